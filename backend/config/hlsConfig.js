@@ -1,14 +1,25 @@
 import path from 'path';
 
 export const hlsConfig = {
-  // HLS encoding settings - optimized for 500kbps connections (High Efficiency)
+  // HLS encoding settings - adaptive ladder from 2G/3G up to Wi-Fi
   encoding: {
     segmentDuration: 1, // Keep 1s for instant startup
-    maxBitrate: 400000, // Cap at 400kbps
-    minBitrate: 300000, // Allow dropping lower if needed
+    maxBitrate: 3000000, // Top rung (1080p) peak
+    minBitrate: 200000, // Bottom rung (240p) target
+    // Rendition ladder. `height` is the short edge, so portrait and landscape sources
+    // get the same pixel budget. `qualityField` maps a rung onto Video.<field>QualityUrl.
     qualityPresets: {
-      '480p': { width: 854, height: 480, crf: 28, audioBitrate: '48k', targetBitrate: '400k' }
+      '240p': { width: 426, height: 240, crf: 30, audioBitrate: '32k', targetBitrate: '200k', level: '3.0' },
+      '360p': { width: 640, height: 360, crf: 28, audioBitrate: '48k', targetBitrate: '350k', level: '3.0', qualityField: 'preload' },
+      '480p': { width: 854, height: 480, crf: 28, audioBitrate: '48k', targetBitrate: '600k', level: '3.1', qualityField: 'low' },
+      '720p': { width: 1280, height: 720, crf: 26, audioBitrate: '96k', targetBitrate: '1400k', level: '3.1', qualityField: 'medium' },
+      '1080p': { width: 1920, height: 1080, crf: 24, audioBitrate: '128k', targetBitrate: '2800k', level: '4.0', qualityField: 'high' }
     },
+    // Rungs to encode, lowest first. Rungs above the source resolution are skipped.
+    ladder: (process.env.HLS_LADDER || '240p,360p,480p,720p,1080p')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
     // H.264 encoding profile settings - High Profile for max quality/bit
     h264Profile: 'high',     // Better compression efficiency (~30-50% savings vs baseline)
     h264Level: '3.1',        // Supported by 98% of devices
@@ -39,7 +50,7 @@ export const hlsConfig = {
     lastModified: true
   },
 
-  // Streaming settings - optimized for 480p streaming
+  // Streaming settings
   streaming: {
     enableRangeRequests: true,
     enableCompression: false, // Don't compress video files
@@ -23,7 +23,20 @@ export const UPLOAD_CONFIG = {
   ],
   ALLOWED_VIDEO_TYPES: [
     'video/mp4', 'video/webm', 'video/avi', 'video/mov'
-  ]
+  ],
+  // Resumable direct-to-R2 uploads (S3 multipart)
+  MULTIPART: {
+    MIN_PART_SIZE: 5 * 1024 * 1024, // S3/R2 minimum for every part but the last
+    DEFAULT_PART_SIZE: 8 * 1024 * 1024, // Small enough to retry cheaply on mobile data
+    MAX_PART_SIZE: 64 * 1024 * 1024,
+    MAX_PARTS: 1000,
+    MAX_SIGN_BATCH: 20, // Part URLs handed out per request
+    PART_URL_TTL_SECONDS: 60 * 60,
+    MAX_ACTIVE_SESSIONS_PER_USER: 3,
+    MAX_INFLIGHT_BYTES_PER_USER: 2 * 1024 * 1024 * 1024,
+    SESSION_TTL_MS: 24 * 60 * 60 * 1000, // Extended on every sign/list call
+    RETAIN_FINISHED_MS: 7 * 24 * 60 * 60 * 1000
+  }
 };
 
 export const AD_CONFIG = {
@@ -35,7 +48,51 @@ export const AD_CONFIG = {
   CREATOR_REVENUE_SHARE: 0.80, // 80%
   PLATFORM_REVENUE_SHARE: 0.20, // 20%
   MAX_FREQUENCY_CAP: 10,
-  MIN_FREQUENCY_CAP: 1
+  MIN_FREQUENCY_CAP: 1,
+  // Second-price auction
+  AUCTION_RESERVE_CPM: 10, // ₹10 eCPM floor: lower bids are dropped, winners never clear below it
+  AUCTION_INCREMENT_INR: 0.01, // Winner pays runner-up price + 1 paisa
+  CTR_PRIOR: 0.01, // 1% predicted CTR for creatives without history
+  CTR_PRIOR_WEIGHT: 200, // Pseudo-impressions backing the prior
+  // Serve tokens: one per ad slot, carrying its price to the beacons that redeem it
+  SERVE_TOKEN_TTL_SECONDS: 30 * 60, // Long enough for the slot to stay on screen
+  // Opt-in (ADS_ACCEPT_TOKENLESS_BEACONS=true) while app builds that predate serve
+  // tokens are rolled out: their beacons get a 200 and are logged as invalid traffic,
+  // never billed. Off by default: token-less beacons are rejected.
+  ACCEPT_TOKENLESS_BEACONS: process.env.ADS_ACCEPT_TOKENLESS_BEACONS === 'true'
+};
+
+export const SEARCH_CONFIG = {
+  PROVIDER: process.env.SEARCH_PROVIDER || 'mongo', // mongo | local | meilisearch
+  TEXT_WEIGHT: 0.75, // Share of the final rank coming from text relevance
+  SCORE_WEIGHT: 0.25, // Share coming from the recommendation finalScore
+  CANDIDATE_MULTIPLIER: 3, // Text candidates fetched per result slot before blending
+  SYNC_DEBOUNCE_MS: 2000, // Batch window for incremental index updates
+  MAX_CANDIDATES: 500, // Text candidates considered for filtering, facets and paging
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 50,
+  MAX_QUERY_LENGTH: 100,
+  MIN_RECORDED_QUERY_LENGTH: 2, // Shorter queries never reach recent / trending
+  RECENT_LIMIT: 20, // Recent searches kept per user
+  POPULAR_QUERY_LIMIT: 1000, // All-time queries kept for autocomplete
+  SUGGEST_LIMIT: 8,
+  MEILI_HOST: process.env.MEILI_HOST || 'http://127.0.0.1:7700',
+  MEILI_API_KEY: process.env.MEILI_API_KEY || '',
+  MEILI_INDEX: process.env.MEILI_INDEX || 'videos'
+};
+
+export const TAG_CONFIG = {
+  MAX_HASHTAGS_PER_VIDEO: 30,
+  MIN_TAG_LENGTH: 2,
+  MAX_TAG_LENGTH: 50,
+  TRENDING_WINDOW_HOURS: 24,
+  BASELINE_DAYS: 7, // Daily history averaged into the baseline
+  UPLOAD_PRIOR: 1, // Pseudo-uploads added to both sides of the upload ratio
+  VIEW_PRIOR: 20, // Pseudo-views added to both sides of the view ratio
+  UPLOAD_WEIGHT: 0.4,
+  VIEW_WEIGHT: 0.6,
+  MIN_TRENDING_ACTIVITY: 3, // Uploads + views/VIEWS_PER_UPLOAD needed to trend at all
+  VIEWS_PER_UPLOAD: 50 // How many views one upload is worth when sizing activity
 };
 
 export const PAYMENT_CONFIG = {
@@ -48,6 +105,150 @@ export const PAYMENT_CONFIG = {
   }
 };
 
+export const ACCOUNT_CONFIG = {
+  DELETION_GRACE_DAYS: 14,         // Scheduled deletions can be cancelled until then
+  DELETION_BATCH_SIZE: 5,          // Accounts purged per scheduler run
+  EXPORT_COOLDOWN_SECONDS: 10 * 60, // One data export per user per window
+  SECURITY_ALERT_DAYS: 30,         // Killed sessions and login alerts shown in GET /api/auth/sessions
+  REFRESH_REUSE_GRACE_SECONDS: 60, // A retry with the token just rotated (lost response) rotates again instead of killing the family
+  SESSION_CHECK_CACHE_SECONDS: 60  // How long an access token's family is trusted before it is looked up again
+};
+
+export const MODERATION_CONFIG = {
+  PROVIDER: process.env.MODERATION_PROVIDER || 'local', // local | huggingface
+  FRAME_COUNT: 5, // Frames sampled per video
+  // Scores at or above REVIEW queue the video for a human; at or above HOLD it
+  // also stays hidden until a moderator decides
+  IMAGE_REVIEW_THRESHOLD: Number(process.env.MODERATION_IMAGE_REVIEW_THRESHOLD) || 0.6,
+  IMAGE_HOLD_THRESHOLD: Number(process.env.MODERATION_IMAGE_HOLD_THRESHOLD) || 0.85,
+  TEXT_REVIEW_THRESHOLD: Number(process.env.MODERATION_TEXT_REVIEW_THRESHOLD) || 0.7,
+  TEXT_HOLD_THRESHOLD: Number(process.env.MODERATION_TEXT_HOLD_THRESHOLD) || 0.9,
+  UNSAFE_IMAGE_LABELS: ['nsfw', 'porn', 'hentai', 'sexy'],
+  UNSAFE_TEXT_LABELS: ['toxic', 'severe_toxic', 'obscene', 'threat', 'insult', 'identity_hate'],
+  LOCAL_IMAGE_MODEL: process.env.MODERATION_LOCAL_IMAGE_MODEL || 'AdamCodd/vit-base-nsfw-detector',
+  LOCAL_TEXT_MODEL: process.env.MODERATION_LOCAL_TEXT_MODEL || 'Xenova/toxic-bert'
+};
+
+export const DUPLICATE_CONFIG = {
+  // demonetize: the copy stays up but earns nothing | review: also held in the moderation queue
+  ACTION: process.env.DUPLICATE_ACTION || 'demonetize',
+  FRAME_SAMPLES: 16, // Frames hashed per video
+  FRAME_MAX_DISTANCE: 10, // Differing bits (of 64) for two frames to count as the same shot
+  MIN_FRAME_SIMILARITY: 0.5, // Shared audio alone (e.g. a trending song) is never a duplicate
+  MATCH_THRESHOLD: 0.75, // Combined frame + audio similarity that flags a copy
+  AUDIO_WEIGHT: 0.4, // Share of the combined similarity coming from audio, when both have it
+  AUDIO_SECONDS: 120, // Audio analysed from the start of the video
+  AUDIO_WINDOW_MS: 250,
+  AUDIO_MAX_SHIFT: 8, // Windows of offset tolerated (trimmed intros)
+  CANDIDATE_LIMIT: 50 // Band-matched fingerprints compared in full
+};
+
+export const CAPTION_CONFIG = {
+  ENABLED: process.env.AUTO_CAPTIONS_ENABLED !== 'false',
+  DEFAULT_SOURCE_LANGUAGE: 'english', // When Video.language is unset or unsupported
+  CHUNK_SECONDS: 30, // Audio is transcribed in chunks this long
+  MAX_AUDIO_SECONDS: 20 * 60, // Longer videos are captioned up to this point
+  MAX_TRANSLATIONS: 3, // Translated tracks per video
+  MAX_CUE_CHARS: 84, // Two lines of 42
+  MAX_CUES: 2000,
+  MAX_CUE_TEXT: 500, // Per cue, when edited by the creator
+  // ffmpeg's MPEG-TS muxer starts segments at 1.4s; players align cues with this map
+  MPEGTS_OFFSET: 126000,
+  // Languages captions can be produced in (User.preferredLanguages / Video.language values)
+  // code: BCP-47 tag for the HLS rendition, engineCode: translation model language code
+  LANGUAGES: {
+    english: { code: 'en', name: 'English', engineCode: 'en_XX' },
+    hindi: { code: 'hi', name: 'हिन्दी', engineCode: 'hi_IN' },
+    bengali: { code: 'bn', name: 'বাংলা', engineCode: 'bn_IN' },
+    marathi: { code: 'mr', name: 'मराठी', engineCode: 'mr_IN' },
+    gujarati: { code: 'gu', name: 'ગુજરાતી', engineCode: 'gu_IN' },
+    tamil: { code: 'ta', name: 'தமிழ்', engineCode: 'ta_IN' },
+    telugu: { code: 'te', name: 'తెలుగు', engineCode: 'te_IN' },
+    malayalam: { code: 'ml', name: 'മലയാളം', engineCode: 'ml_IN' },
+    urdu: { code: 'ur', name: 'اردو', engineCode: 'ur_PK' }
+  }
+};
+
+export const DUBBING_CONFIG = {
+  TARGET_LANGUAGES: Object.keys(CAPTION_CONFIG.LANGUAGES),
+  MAX_DURATION_SECONDS: 20 * 60,
+  SAMPLE_RATE: 24000, // Mono speech timeline
+  MAX_TEMPO: 1.6, // Fastest speed-up applied to a phrase that is longer than its slot
+  MERGE_GAP_SECONDS: 0.3, // Cues closer than this are spoken as one phrase
+  MAX_PHRASE_CHARS: 250,
+  BED_VOLUME: 0.15, // Original audio kept under the dub (music, ambience); 0 for voice only
+  AUDIO_BITRATE: '96k',
+  SEGMENT_SECONDS: 6,
+  AUDIO_GROUP_ID: 'aud'
+};
+
+export const SOCIAL_CONFIG = {
+  // 'live' talks to the platform APIs; 'fake' swaps every platform for the offline test double
+  ADAPTER: process.env.SOCIAL_PUBLISH_ADAPTER || 'live',
+  GRAPH_API_VERSION: process.env.META_GRAPH_API_VERSION || 'v21.0',
+  LINKEDIN_API_VERSION: process.env.LINKEDIN_API_VERSION || '202501',
+  TOKEN_REFRESH_MARGIN_MS: 24 * 60 * 60 * 1000, // Refresh long-lived tokens a day before they lapse
+  YOUTUBE_DAILY_UPLOADS: parseInt(process.env.YOUTUBE_DAILY_UPLOADS || '6', 10), // 1600 quota units each out of 10k
+  CONTAINER_POLL_INTERVAL_MS: 10 * 1000,
+  CONTAINER_POLL_TIMEOUT_MS: 10 * 60 * 1000
+};
+
+// Signed playback for subscriber-only and unpublished videos
+export const PLAYBACK_CONFIG = {
+  SIGNING_SECRET: process.env.PLAYBACK_SIGNING_SECRET || process.env.JWT_SECRET,
+  TOKEN_TTL_SECONDS: parseInt(process.env.PLAYBACK_TOKEN_TTL_SECONDS || '300', 10), // Players re-authorize when it lapses
+  // Cloudflare worker that serves segments from the bucket binding; without it segments redirect to presigned R2 URLs
+  EDGE_BASE_URL: process.env.PLAYBACK_EDGE_URL || null,
+  SEGMENT_URL_TTL_SECONDS: 120,
+  // Longest a token handed out inside a playlist can live, and so how long the edge remembers a revocation
+  REVOCATION_TTL_SECONDS: 6 * 60 * 60
+};
+
+// Thumbnail picker and seek-bar preview sprites (see services/uploadServices/thumbnailService.js)
+export const THUMBNAIL_CONFIG = {
+  CANDIDATE_COUNT: 6, // Frames offered to the creator, spread over 5%-90% of the video
+  CANDIDATE_WIDTH: 720,
+  SCORE_WIDTH: 256, // Sharpness is measured on a grayscale copy this wide
+  // Object-detection model for face presence; a general detector's 'person' boxes stand in for faces
+  FACE_MODEL: process.env.THUMBNAIL_FACE_MODEL || 'Xenova/detr-resnet-50',
+  FACE_LABELS: ['face', 'person'],
+  FACE_MIN_CONFIDENCE: 0.6,
+  FACE_WEIGHT: 0.4, // Share of the score from face presence; the rest is sharpness
+  CUSTOM_MAX_BYTES: 5 * 1024 * 1024,
+  CUSTOM_MAX_WIDTH: 1280,
+  SPRITE_TILE_WIDTH: 160,
+  SPRITE_COLUMNS: 10,
+  SPRITE_ROWS: 10,
+  SPRITE_MIN_INTERVAL_SECONDS: 2,
+  SPRITE_MAX_TILES: 300 // Longer videos get a wider interval instead of more sheets
+};
+
+// Payout destination vault: key-encryption keys as "keyId:base64key" pairs (32-byte AES keys).
+// New records are wrapped with ACTIVE_KEY_ID; older ids stay listed until rotatePayoutVaultKey has re-wrapped them.
+const parseVaultKeys = (value = '') => Object.fromEntries(
+  value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const separator = pair.indexOf(':');
+    return [pair.slice(0, separator), pair.slice(separator + 1)];
+  })
+);
+
+export const PAYOUT_VAULT_CONFIG = {
+  KEYS: parseVaultKeys(process.env.PAYOUT_VAULT_KEYS),
+  ACTIVE_KEY_ID: process.env.PAYOUT_VAULT_ACTIVE_KEY_ID || null
+};
+
+// Admin dashboard roles. Each route asks for one permission; superadmin holds all of them.
+export const ADMIN_CONFIG = {
+  KEY_HEADER: 'x-admin-key',
+  ROLE_PERMISSIONS: {
+    moderator: ['analytics:read', 'moderation:read', 'moderation:write', 'content:delete', 'reports:read', 'reports:write'],
+    finance: ['analytics:read', 'finance:read'],
+    support: ['analytics:read', 'feedback:read', 'feedback:write', 'reports:read', 'reports:write', 'notifications:send'],
+    superadmin: ['*']
+  },
+  LAST_USED_WRITE_INTERVAL_MS: 5 * 60 * 1000
+};
+
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
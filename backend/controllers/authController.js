@@ -2,6 +2,8 @@ import { verifyGoogleToken, generateJWT } from '../utils/verifytoken.js';
 import User from '../models/User.js';
 import RefreshToken from '../models/RefreshToken.js';
 import brevoService from '../services/notificationServices/brevoService.js';
+import sessionSecurityService from '../services/accountServices/sessionSecurityService.js';
+import { getAuditRequestContext } from '../utils/auditLogger.js';
 import { OAuth2Client } from 'google-auth-library';
 
 /**
@@ -86,19 +88,31 @@ export const googleSignIn = async (req, res) => {
       console.log('✅ Found existing user:', user.email);
     }
 
-    // Generate Access Token (JWT, 30 days)
-    const accessToken = generateJWT(user.googleId, '30d');
+    // **NEW: Checked before issuing, since the new token makes every device "known"**
+    const device = { deviceId, deviceName, platform };
+    const isNewDevice = await sessionSecurityService.isNewDevice(user, device, isNewUser);
 
-    // Generate Device-Bound Refresh Token (stored in MongoDB)
-    const refreshToken = await RefreshToken.createForDevice(
+    // Generate Device-Bound Refresh Token (stored in MongoDB), starting a new token family
+    const context = getAuditRequestContext(req);
+    const { refreshToken, familyId } = await RefreshToken.createSession(
       user._id,
       deviceId,
       deviceName || 'Unknown Device',
-      platform || 'unknown'
+      platform || 'unknown',
+      context
     );
 
+    // Generate Access Token (JWT, 30 days), revoked together with its refresh token family
+    const accessToken = generateJWT(user.googleId, '30d', familyId);
+
     console.log('🔐 Issued tokens for device:', deviceId?.substring?.(0, 8) + '...');
 
+    if (isNewDevice) {
+      sessionSecurityService.alertNewDeviceLogin(user, device, context).catch(err => {
+        console.error('⚠️ AuthController: new-device alert failed:', err.message);
+      });
+    }
+
     // **NEW: Merge Guest History from Device ID to User ID**
     if (deviceId && deviceId !== 'anon') {
       import('../services/yugFeedServices/feedQueueService.js').then(module => {
@@ -157,7 +171,19 @@ export const refreshAccessToken = async (req, res) => {
     }
 
     // Verify and rotate refresh token (deviceId no longer required for rotation check)
-    const result = await RefreshToken.verifyAndRotate(refreshToken);
+    const context = getAuditRequestContext(req);
+    const result = await RefreshToken.verifyAndRotate(refreshToken, context);
+
+    // **SECURITY: A rotated token was replayed - its whole family has been revoked**
+    if (result?.reuseDetected) {
+      console.warn(`🚨 Refresh token reuse detected (family ${result.familyId}), revoked ${result.revokedCount} token(s)`);
+      await sessionSecurityService.handleTokenReuse(result, context);
+      return res.status(403).json({
+        error: 'This session has been signed out for security reasons',
+        code: 'REFRESH_TOKEN_REUSED',
+        requiresLogin: true
+      });
+    }
 
     if (!result) {
       console.log('❌ Invalid or expired refresh token');
@@ -167,10 +193,13 @@ export const refreshAccessToken = async (req, res) => {
       });
     }
 
-    const { newToken: newRefreshToken, user } = result;
+    const { newToken: newRefreshToken, user, familyId } = result;
+    if (result.graceRetry) {
+      console.log(`🔁 Refresh retried with the just-rotated token (family ${familyId}), rotated again`);
+    }
 
-    // Generate new Access Token (30 days)
-    const accessToken = generateJWT(user.googleId, '30d');
+    // Generate new Access Token (30 days), revoked together with its refresh token family
+    const accessToken = generateJWT(user.googleId, '30d', familyId);
 
     console.log('✅ Token refreshed for:', user.email);
 
@@ -246,7 +275,8 @@ export const logoutAllDevices = async (req, res) => {
 
 /**
  * Get Active Sessions
- * Returns list of devices with active sessions
+ * Returns devices with active sessions, sessions revoked by reuse detection
+ * and recent security alerts (new-device sign-ins, killed sessions)
  */
 export const getActiveSessions = async (req, res) => {
   const googleId = req.user?.googleId;
@@ -261,17 +291,10 @@ export const getActiveSessions = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const sessions = await RefreshToken.getActiveSessions(user._id);
+    const overview = await sessionSecurityService.getSessionOverview(user._id);
 
-    res.json({
-      sessions: sessions.map(s => ({
-        deviceId: s.deviceId,
-        deviceName: s.deviceName,
-        platform: s.platform,
-        createdAt: s.createdAt,
-        lastUsedAt: s.lastUsedAt
-      }))
-    });
+    res.set('Cache-Control', 'private, no-store');
+    res.json(overview);
 
   } catch (error) {
     console.error('❌ Get sessions error:', error);
@@ -342,7 +365,7 @@ export const recoverSession = async (req, res) => {
     }
 
     const user = await User.findOne({ googleId })
-      .select('_id googleId email googleRefreshToken');
+      .select('_id googleId name email googleRefreshToken');
 
     if (!user || !user.googleRefreshToken) {
       console.log(`⚠️ Tier 4: Recovery attempted but no stored Google Refresh Token for ${googleId}`);
@@ -378,13 +401,23 @@ export const recoverSession = async (req, res) => {
     }
 
     // Success! Generate fresh local Snehayog session
-    const accessToken = generateJWT(user.googleId, '30d');
-    const newRefreshToken = await RefreshToken.createForDevice(
+    const device = { deviceId, deviceName, platform };
+    const isNewDevice = await sessionSecurityService.isNewDevice(user, device);
+    const context = getAuditRequestContext(req);
+    const { refreshToken: newRefreshToken, familyId } = await RefreshToken.createSession(
       user._id,
       deviceId,
       deviceName || 'Unknown Device',
-      platform || 'unknown'
+      platform || 'unknown',
+      context
     );
+    const accessToken = generateJWT(user.googleId, '30d', familyId);
+
+    if (isNewDevice) {
+      sessionSecurityService.alertNewDeviceLogin(user, device, context).catch(err => {
+        console.error('⚠️ AuthController: new-device alert failed:', err.message);
+      });
+    }
 
     console.log(`✅ Tier 4 Recovery Successful: Silently logged in ${user.email}`);
 
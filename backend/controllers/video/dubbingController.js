@@ -1,6 +1,9 @@
 import AIService from '../../services/aiService.js';
 import fs from 'fs';
 import path from 'path';
+import mongoose from 'mongoose';
+import dubbingService from '../../services/uploadServices/dubbingService.js';
+import eventBus from '../../utils/eventBus.js';
 
 export const transcribeAudio = async (req, res) => {
   try {
@@ -129,3 +132,121 @@ export const setActiveAIEngine = async (req, res) => {
     res.status(500).json({ error: 'Failed to swap AI Engine', details: error.message });
   }
 };
+
+/**
+ * POST /api/videos/:id/dub
+ * Body: { language }. Queues a dubbed audio track; follow it via the stream URL.
+ */
+export const requestVideoDub = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const job = await dubbingService.requestDub(videoId, req.body?.language, req.user.googleId);
+    res.status(202).json({
+      success: true,
+      ...job,
+      statusUrl: `/api/videos/dub/status/${job.jobId}`,
+      streamUrl: `/api/videos/dub/stream/${job.jobId}`
+    });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('❌ [Dubbing Controller] Dub request error:', error);
+    res.status(500).json({ error: 'Failed to start dubbing' });
+  }
+};
+
+/**
+ * GET /api/videos/:id/dub
+ * Dubbing jobs (and their tracks) of a video
+ */
+export const getVideoDubs = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json({ videoId, jobs: await dubbingService.listForVideo(videoId) });
+  } catch (error) {
+    console.error('❌ [Dubbing Controller] List dubs error:', error);
+    res.status(500).json({ error: 'Failed to fetch dubbing jobs' });
+  }
+};
+
+/**
+ * GET /api/videos/dub/status/:jobId
+ */
+export const getDubJobStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ error: 'Invalid Job ID' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json(await dubbingService.getStatus(jobId));
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('❌ [Dubbing Controller] Status error:', error);
+    res.status(500).json({ error: 'Failed to get status' });
+  }
+};
+
+/**
+ * SSE (Server-Sent Events) for dubbing progress, like the clipping stream.
+ * Sends the current state first so a late subscriber is never left waiting.
+ */
+export const streamDubJobStatus = async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return res.status(400).json({ error: 'Invalid Job ID' });
+  }
+
+  let current;
+  try {
+    current = await dubbingService.getStatus(jobId);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    return res.status(500).json({ error: 'Failed to get status' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+
+  const push = (update) => {
+    res.write(`data: ${JSON.stringify(update)}\n\n`);
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  const onStatusUpdate = (update) => {
+    if (update.jobId !== jobId.toString()) return;
+    push(update);
+    if (update.status === 'completed' || update.status === 'failed') {
+      eventBus.removeListener('dubbing-status', onStatusUpdate);
+      setTimeout(() => res.end(), 1000);
+    }
+  };
+
+  res.write('retry: 10000\n');
+  onStatusUpdate(current);
+  if (current.status === 'completed' || current.status === 'failed') return;
+
+  eventBus.on('dubbing-status', onStatusUpdate);
+  console.log(`📡 SSE: User connected to dubbing stream for job ${jobId}`);
+
+  req.on('close', () => {
+    console.log(`🔌 SSE: User disconnected from dubbing job ${jobId}`);
+    eventBus.removeListener('dubbing-status', onStatusUpdate);
+  });
+};
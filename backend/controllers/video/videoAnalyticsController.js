@@ -1,7 +1,10 @@
+import mongoose from 'mongoose';
 import Video from '../../models/Video.js';
 import User from '../../models/User.js';
 import CreatorDailyStats from '../../models/CreatorDailyStats.js';
 import WatchHistory from '../../models/WatchHistory.js';
+import VideoRetention from '../../models/VideoRetention.js';
+import { buildRetentionReport } from '../../utils/analyticsUtils.js';
 import redisService from '../../services/caching/redisService.js';
 
 /**
@@ -258,3 +261,44 @@ export const getCreatorAnalytics = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch creator analytics' });
   }
 };
+
+/**
+ * Per-video retention analytics (uploader only):
+ * retention curve in 2% bins, average % viewed, rewatch and 3s-skip rates
+ */
+export const getVideoAnalytics = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const [video, user] = await Promise.all([
+      Video.findById(videoId).select('videoName uploader duration views likes shares commentCount uploadedAt').lean(),
+      User.findOne({ googleId: req.user.googleId }).select('_id').lean()
+    ]);
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    if (!user || video.uploader?.toString() !== user._id.toString()) {
+      return res.status(403).json({ error: 'Only the creator can view analytics for this video' });
+    }
+
+    const retention = await VideoRetention.findOne({ videoId: video._id }).lean();
+    const report = buildRetentionReport(retention);
+
+    res.set('Cache-Control', 'private, max-age=60');
+    res.json({
+      videoId: video._id.toString(),
+      videoName: video.videoName,
+      duration: video.duration || 0,
+      views: video.views || 0,
+      likes: video.likes || 0,
+      shares: video.shares || 0,
+      commentCount: video.commentCount || 0,
+      ...report,
+      updatedAt: retention?.lastEventAt || null
+    });
+  } catch (error) {
+    console.error('❌ Error in getVideoAnalytics:', error);
+    res.status(500).json({ error: 'Failed to fetch video analytics' });
+  }
+};
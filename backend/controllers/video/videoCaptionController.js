@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import Video from '../../models/Video.js';
+import captionService from '../../services/uploadServices/captionService.js';
+import cloudflareR2Service from '../../services/uploadServices/cloudflareR2Service.js';
+
+const sendCaptionError = (res, error, fallback) => {
+  if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+};
+
+/**
+ * GET /api/videos/:id/captions
+ * Caption tracks available for a video (WebVTT + HLS subtitle playlist per language)
+ */
+export const getCaptions = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const video = await Video.findById(videoId).select('captions captionStatus').lean();
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+
+    res.json({
+      videoId,
+      status: video.captionStatus || 'none',
+      tracks: (video.captions || []).map(track => ({
+        ...track,
+        url: cloudflareR2Service.getPublicUrl(track.url),
+        playlistUrl: cloudflareR2Service.getPublicUrl(track.playlistUrl)
+      }))
+    });
+  } catch (error) {
+    sendCaptionError(res, error, 'Failed to fetch captions');
+  }
+};
+
+/**
+ * GET /api/videos/:id/captions/:language
+ * Cues of one track for the creator's caption editor
+ */
+export const getCaptionCues = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const track = await captionService.getTrack(videoId, req.params.language, req.user.googleId);
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      videoId,
+      language: track.language,
+      isOriginal: track.isOriginal,
+      isAuto: track.isAuto,
+      editedAt: track.editedAt,
+      cues: track.cues
+    });
+  } catch (error) {
+    sendCaptionError(res, error, 'Failed to fetch caption cues');
+  }
+};
+
+/**
+ * PUT /api/videos/:id/captions/:language
+ * Body: { cues: [{ start, end, text }] } (seconds). Replaces the track and republishes it.
+ */
+export const updateCaptionCues = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const track = await captionService.updateCues(videoId, req.params.language, req.body?.cues, req.user.googleId);
+    res.json({
+      success: true,
+      videoId,
+      language: track.language,
+      isAuto: track.isAuto,
+      editedAt: track.editedAt,
+      cueCount: track.cues.length
+    });
+  } catch (error) {
+    sendCaptionError(res, error, 'Failed to update captions');
+  }
+};
@@ -0,0 +1,342 @@
+import mongoose from 'mongoose';
+import Video from '../../models/Video.js';
+import User from '../../models/User.js';
+import Comment from '../../models/Comment.js';
+
+const MAX_COMMENT_LENGTH = 500;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Helpers
+ */
+const resolveUserObjectId = async (req) => {
+  if (req.user?._id) return req.user._id.toString();
+  const googleId = req.user?.googleId || req.user?.id;
+  if (!googleId) return null;
+  const user = await User.findOne({ googleId }).select('_id').lean();
+  return user ? user._id.toString() : null;
+};
+
+const parseLimit = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+/**
+ * Loads the video and enforces subscriber-only access.
+ * Returns { video } on success or { status, error } on failure.
+ */
+const loadAccessibleVideo = async (videoId, userObjectId) => {
+  if (!mongoose.Types.ObjectId.isValid(videoId)) return { status: 400, error: 'Invalid video ID' };
+
+  const video = await Video.findById(videoId).select('uploader isSubscriberOnly allowedSubscribers').lean();
+  if (!video) return { status: 404, error: 'Video not found' };
+
+  if (video.isSubscriberOnly) {
+    const isOwner = userObjectId && video.uploader.toString() === userObjectId;
+    const isAllowed = userObjectId && (video.allowedSubscribers || []).some(id => id.toString() === userObjectId);
+    if (!isOwner && !isAllowed) {
+      return { status: 403, error: 'This video is only available to subscribers' };
+    }
+  }
+
+  return { video };
+};
+
+const serializeComment = (comment, requestingUserObjectId) => {
+  const isDeleted = comment.isDeleted === true;
+  const author = comment.user || {};
+
+  return {
+    _id: comment._id.toString(),
+    content: isDeleted ? '' : comment.content,
+    user: isDeleted ? null : {
+      id: author.googleId?.toString() || author._id?.toString() || '',
+      _id: author._id?.toString() || '',
+      googleId: author.googleId?.toString() || '',
+      name: author.name || 'Unknown User',
+      profilePic: author.profilePic || ''
+    },
+    parentComment: comment.parentComment ? comment.parentComment.toString() : null,
+    replyToUser: comment.replyToUser ? {
+      _id: comment.replyToUser._id?.toString() || comment.replyToUser.toString(),
+      name: comment.replyToUser.name || ''
+    } : null,
+    replyCount: comment.replyCount || 0,
+    likes: Math.max(comment.likes || 0, 0),
+    isLiked: !!requestingUserObjectId && (comment.likedBy || []).some(id => id.toString() === requestingUserObjectId),
+    isPinned: comment.isPinned === true,
+    isDeleted: isDeleted,
+    createdAt: comment.createdAt?.toISOString ? comment.createdAt.toISOString() : comment.createdAt
+  };
+};
+
+const populateComment = (query) => query
+  .populate('user', 'name profilePic googleId')
+  .populate('replyToUser', 'name');
+
+/**
+ * Comment Retrieval Controllers
+ */
+export const getComments = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const userObjectId = await resolveUserObjectId(req);
+    const { video, status, error } = await loadAccessibleVideo(videoId, userObjectId);
+    if (!video) return res.status(status).json({ error });
+
+    const baseQuery = {
+      targetType: 'video',
+      targetId: video._id,
+      parentComment: null,
+      // Deleted comments only stay visible as placeholders while they still have replies
+      $or: [{ isDeleted: false }, { replyCount: { $gt: 0 } }]
+    };
+
+    // Pinned comment is only returned on the first page, above the regular list
+    let pinned = null;
+    if (!cursor) {
+      pinned = await populateComment(Comment.findOne({ ...baseQuery, isPinned: true })).lean();
+    }
+
+    const query = { ...baseQuery, isPinned: { $ne: true } };
+    if (cursor) query._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+
+    // Fetch one extra to know whether another page exists
+    const comments = await populateComment(
+      Comment.find(query).sort({ _id: -1 }).limit(limit + 1)
+    ).lean();
+
+    const hasMore = comments.length > limit;
+    const page = hasMore ? comments.slice(0, limit) : comments;
+
+    res.json({
+      success: true,
+      pinnedComment: pinned ? serializeComment(pinned, userObjectId) : null,
+      comments: page.map(c => serializeComment(c, userObjectId)),
+      nextCursor: hasMore ? page[page.length - 1]._id.toString() : null,
+      hasMore
+    });
+  } catch (error) {
+    console.error('❌ Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments', message: error.message });
+  }
+};
+
+export const getReplies = async (req, res) => {
+  try {
+    const { id: videoId, commentId } = req.params;
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) return res.status(400).json({ error: 'Invalid comment ID' });
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) return res.status(400).json({ error: 'Invalid cursor' });
+
+    const userObjectId = await resolveUserObjectId(req);
+    const { video, status, error } = await loadAccessibleVideo(videoId, userObjectId);
+    if (!video) return res.status(status).json({ error });
+
+    const query = { parentComment: commentId, targetType: 'video', targetId: video._id, isDeleted: false };
+    if (cursor) query._id = { $gt: new mongoose.Types.ObjectId(cursor) };
+
+    // Replies read top-down, oldest first
+    const replies = await populateComment(
+      Comment.find(query).sort({ _id: 1 }).limit(limit + 1)
+    ).lean();
+
+    const hasMore = replies.length > limit;
+    const page = hasMore ? replies.slice(0, limit) : replies;
+
+    res.json({
+      success: true,
+      replies: page.map(c => serializeComment(c, userObjectId)),
+      nextCursor: hasMore ? page[page.length - 1]._id.toString() : null,
+      hasMore
+    });
+  } catch (error) {
+    console.error('❌ Error fetching comment replies:', error);
+    res.status(500).json({ error: 'Failed to fetch replies', message: error.message });
+  }
+};
+
+/**
+ * Comment Mutation Controllers
+ */
+export const addComment = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    const { content, parentCommentId } = req.body;
+
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Comment content is required' });
+    }
+    if (content.trim().length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment too long (max ${MAX_COMMENT_LENGTH} characters)` });
+    }
+
+    const userObjectId = await resolveUserObjectId(req);
+    if (!userObjectId) return res.status(404).json({ error: 'User not found' });
+
+    const { video, status, error } = await loadAccessibleVideo(videoId, userObjectId);
+    if (!video) return res.status(status).json({ error });
+
+    let parentComment = null;
+    let replyToUser = null;
+
+    if (parentCommentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentCommentId)) {
+        return res.status(400).json({ error: 'Invalid parent comment ID' });
+      }
+
+      const parent = await Comment.findOne({ _id: parentCommentId, targetType: 'video', targetId: video._id }).lean();
+      if (!parent || parent.isDeleted) return res.status(404).json({ error: 'Parent comment not found' });
+
+      // Replies to replies are flattened into the top-level thread
+      parentComment = parent.parentComment || parent._id;
+      replyToUser = parent.user;
+    }
+
+    const comment = await Comment.create({
+      targetType: 'video',
+      targetId: video._id,
+      user: userObjectId,
+      content: content.trim(),
+      parentComment,
+      replyToUser
+    });
+
+    await Promise.all([
+      Video.updateOne({ _id: video._id }, { $inc: { commentCount: 1 } }),
+      parentComment ? Comment.updateOne({ _id: parentComment }, { $inc: { replyCount: 1 } }) : Promise.resolve()
+    ]);
+
+    const populated = await populateComment(Comment.findById(comment._id)).lean();
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      comment: serializeComment(populated, userObjectId)
+    });
+  } catch (error) {
+    console.error('❌ Error adding comment:', error);
+    res.status(500).json({ error: 'Failed to add comment', message: error.message });
+  }
+};
+
+export const deleteComment = async (req, res) => {
+  try {
+    const { id: videoId, commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(videoId) || !mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    const userObjectId = await resolveUserObjectId(req);
+    if (!userObjectId) return res.status(404).json({ error: 'User not found' });
+
+    const [video, comment] = await Promise.all([
+      Video.findById(videoId).select('uploader').lean(),
+      Comment.findOne({ _id: commentId, targetType: 'video', targetId: videoId }).lean()
+    ]);
+
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    if (!comment || comment.isDeleted) return res.status(404).json({ error: 'Comment not found' });
+
+    // Comment author or the video's creator can remove a comment
+    const isAuthor = comment.user.toString() === userObjectId;
+    const isCreator = video.uploader.toString() === userObjectId;
+    if (!isAuthor && !isCreator) {
+      return res.status(403).json({ error: 'Not authorized to delete this comment' });
+    }
+
+    const deleted = await Comment.softDelete(comment, userObjectId);
+    if (deleted) {
+      await Video.updateOne({ _id: videoId, commentCount: { $gt: 0 } }, { $inc: { commentCount: -1 } });
+    }
+
+    res.json({ success: true, message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment', message: error.message });
+  }
+};
+
+export const toggleCommentLike = async (req, res) => {
+  try {
+    const { id: videoId, commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(videoId) || !mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    const userObjectId = await resolveUserObjectId(req);
+    if (!userObjectId) return res.status(404).json({ error: 'User not found' });
+
+    const comment = await Comment.findOne({ _id: commentId, targetType: 'video', targetId: videoId }).select('isDeleted').lean();
+    if (!comment || comment.isDeleted) return res.status(404).json({ error: 'Comment not found' });
+
+    const { liked, likes } = await Comment.toggleLike(commentId, userObjectId);
+
+    res.json({
+      success: true,
+      message: liked ? 'Comment liked' : 'Comment unliked',
+      isLiked: liked,
+      likes
+    });
+  } catch (error) {
+    console.error('❌ Error toggling comment like:', error);
+    res.status(500).json({ error: 'Failed to like comment', message: error.message });
+  }
+};
+
+export const togglePinComment = async (req, res) => {
+  try {
+    const { id: videoId, commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(videoId) || !mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+
+    const userObjectId = await resolveUserObjectId(req);
+    if (!userObjectId) return res.status(404).json({ error: 'User not found' });
+
+    const video = await Video.findById(videoId).select('uploader').lean();
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    if (video.uploader.toString() !== userObjectId) {
+      return res.status(403).json({ error: 'Only the creator can pin comments' });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, targetType: 'video', targetId: videoId }).lean();
+    if (!comment || comment.isDeleted) return res.status(404).json({ error: 'Comment not found' });
+    if (comment.parentComment) return res.status(400).json({ error: 'Replies cannot be pinned' });
+
+    const pin = !comment.isPinned;
+
+    // Only one pinned comment per video
+    if (pin) {
+      await Comment.updateMany(
+        { targetType: 'video', targetId: video._id, isPinned: true },
+        { $set: { isPinned: false }, $unset: { pinnedAt: 1 } }
+      );
+    }
+
+    await Comment.updateOne(
+      { _id: commentId },
+      pin ? { $set: { isPinned: true, pinnedAt: new Date() } } : { $set: { isPinned: false }, $unset: { pinnedAt: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: pin ? 'Comment pinned' : 'Comment unpinned',
+      isPinned: pin
+    });
+  } catch (error) {
+    console.error('❌ Error pinning comment:', error);
+    res.status(500).json({ error: 'Failed to pin comment', message: error.message });
+  }
+};
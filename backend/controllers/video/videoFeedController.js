@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import Video from '../../models/Video.js';
+import Video, { publishedMatch, isPublished } from '../../models/Video.js';
 import User from '../../models/User.js';
 import RemovedVideoRecord from '../../models/RemovedVideoRecord.js';
 import RecommendationService from '../../services/yugFeedServices/recommendationService.js';
@@ -8,6 +8,7 @@ import redisService from '../../services/caching/redisService.js';
 import { invalidateCache, VideoCacheKeys } from '../../middleware/cacheMiddleware.js';
 import { serializeVideo, serializeVideos } from '../../utils/serializers/videoSerializer.js';
 import RevenueService from '../../services/adServices/revenueService.js';
+import playbackAuthorizationService from '../../services/uploadServices/playbackAuthorizationService.js';
 
 /**
  * Helper to populate episodes for a list of videos
@@ -22,7 +23,8 @@ const populateEpisodesForVideos = async (videos) => {
     try {
       const allEpisodes = await Video.find({ 
         seriesId: { $in: Array.from(seriesIds) }, 
-        processingStatus: 'completed'
+        processingStatus: 'completed',
+        ...publishedMatch()
       })
         .select('_id videoName thumbnailUrl episodeNumber seriesId duration')
         .sort({ episodeNumber: 1 }).lean();
@@ -58,9 +60,13 @@ export const getUserVideos = async (req, res) => {
     
     // **FIX: Include pagination and filter parameters in the cache key**
     // This prevents different pages/filters from returning the same cached data.
-    const cacheKey = `${VideoCacheKeys.user(googleId)}:p${page}:l${limit}:t${videoType}:m${mediaType}`;
+    const requestingGoogleId = req.user?.googleId || req.user?.id;
+    const isOwner = requestingGoogleId === googleId;
+
+    // **NEW: The owner's view includes drafts and scheduled videos, so it is cached separately and never shared**
+    const cacheKey = `${VideoCacheKeys.user(googleId)}:p${page}:l${limit}:t${videoType}:m${mediaType}${isOwner ? ':owner' : ''}`;
     
-    res.set('Cache-Control', 'public, max-age=300');
+    res.set('Cache-Control', isOwner ? 'private, no-store' : 'public, max-age=300');
 
     const shouldRefresh = req.query.refresh === 'true';
 
@@ -70,9 +76,19 @@ export const getUserVideos = async (req, res) => {
         await invalidateCache(`user:profile:${googleId}`);
     }
 
+    // The owner's drafts, scheduled and subscriber-only videos are signed per response, after the cache
+    const signForOwner = (videos) => {
+      if (isOwner && Array.isArray(videos) && videos.length > 0) {
+        // Every video on the page is the owner's own
+        const ownerId = videos[0].uploader?._id || null;
+        playbackAuthorizationService.signSerialized(videos, ownerId, `${req.protocol}://${req.get('host')}`);
+      }
+      return videos;
+    };
+
     if (!shouldRefresh && redisService.getConnectionStatus()) {
       const cached = await redisService.get(cacheKey);
-      if (cached) return res.json(cached);
+      if (cached) return res.json(signForOwner(cached));
     }
 
     const userProfileCacheKey = `user:profile:${googleId}`;
@@ -122,14 +138,12 @@ export const getUserVideos = async (req, res) => {
       query.mediaType = req.query.mediaType.toLowerCase();
     }
 
-    const requestingGoogleId = req.user?.googleId || req.user?.id;
-    const isOwner = requestingGoogleId === googleId;
-
     // ENFORCE: Subscriber-Only Filtering (STRICT)
-    // Only the owner can see exclusive content on the profile.
-    // Everyone else only sees public content.
+    // Only the owner can see exclusive content, drafts and scheduled videos on the profile.
+    // Everyone else only sees published public content.
     if (!isOwner) {
       query.isSubscriberOnly = { $ne: true };
+      Object.assign(query, publishedMatch());
     }
 
     const [videos, rank, cachedEarnings] = await Promise.all([
@@ -178,7 +192,8 @@ export const getUserVideos = async (req, res) => {
       try {
         const allEpisodes = await Video.find({ 
           seriesId: { $in: Array.from(seriesIds) }, 
-          processingStatus: 'completed'
+          processingStatus: 'completed',
+          ...publishedMatch()
         })
           .select('_id videoName thumbnailUrl episodeNumber seriesId duration')
           .sort({ episodeNumber: 1 }).lean();
@@ -221,7 +236,7 @@ export const getUserVideos = async (req, res) => {
       await redisService.set(cacheKey, videosSerialized, 600);
     }
 
-    return res.json(videosSerialized);
+    return res.json(signForOwner(videosSerialized));
   } catch (error) {
     console.error('❌ Error fetching user videos:', error);
     res.status(500).json({ error: 'Error fetching videos', details: error.message });
@@ -306,7 +321,8 @@ export const getFeed = async (req, res) => {
       console.log(`[FeedQueue] Queue empty for ${userIdentifier} (${type}), falling back to MongoDB with scoring`);
       const query = {
         videoType: type,
-        processingStatus: 'completed'
+        processingStatus: 'completed',
+        ...publishedMatch()
       };
 
       // STRICT: Main feed NEVER shows subscriber-only videos
@@ -397,6 +413,43 @@ export const getFeed = async (req, res) => {
   }
 };
 
+/**
+ * Chronological feed of creators the user follows (cursor paginated)
+ */
+export const getFollowingFeed = async (req, res) => {
+  try {
+    let userObjectId = req.user._id;
+    if (!userObjectId) {
+      const user = await User.findOne({ googleId: req.user.googleId }).select('_id').lean();
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      userObjectId = user._id;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const { videos, nextCursor, hasMore } = await FeedQueueService.getFollowingFeed(
+      new mongoose.Types.ObjectId(userObjectId.toString()),
+      { cursor: req.query.cursor, limit }
+    );
+
+    await populateEpisodesForVideos(videos);
+
+    // Subscriber-only uploads in the feed are signed for this viewer
+    const serialized = serializeVideos(videos, req.apiVersion, userObjectId.toString(), req.traceId);
+    playbackAuthorizationService.signSerialized(serialized, userObjectId.toString(), `${req.protocol}://${req.get('host')}`);
+
+    // Per-user response; the video router is mounted behind a public cache
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      videos: serialized,
+      hasMore,
+      nextCursor
+    });
+  } catch (error) {
+    console.error('❌ Error fetching following feed:', error);
+    res.status(500).json({ error: 'Failed to fetch following feed', message: error.message });
+  }
+};
+
 export const getVideoById = async (req, res) => {
   try {
     const videoId = req.params.id;
@@ -407,6 +460,18 @@ export const getVideoById = async (req, res) => {
 
     const videoObj = video.toObject();
 
+    // **NEW: Drafts and scheduled videos only exist for their creator**
+    if (!isPublished(videoObj)) {
+      const requestingGoogleId = req.user?.googleId || req.user?.id;
+      if (!requestingGoogleId || requestingGoogleId !== videoObj.uploader?.googleId) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+      res.set('Cache-Control', 'private, no-store');
+    }
+
+    // Viewer the playback URL is signed for when the video is not public
+    let viewerId = isPublished(videoObj) ? null : videoObj.uploader?._id?.toString();
+
     // **NEW: Check access for subscriber-only videos**
     if (videoObj.isSubscriberOnly) {
       const requestingGoogleId = req.user?.googleId || req.user?.id;
@@ -419,10 +484,12 @@ export const getVideoById = async (req, res) => {
         return res.status(403).json({ error: 'This video is only available to subscribers' });
       }
 
-      const hasAccess = videoObj.allowedSubscribers.some(id => id.toString() === requestingUser._id.toString());
+      const isCreator = requestingUser._id.toString() === videoObj.uploader?._id?.toString();
+      const hasAccess = isCreator || videoObj.allowedSubscribers.some(id => id.toString() === requestingUser._id.toString());
       if (!hasAccess) {
         return res.status(403).json({ error: 'This video is only available to subscribers' });
       }
+      viewerId = requestingUser._id.toString();
     }
 
     const requestingGoogleId = req.user?.googleId || req.user?.id;
@@ -430,7 +497,7 @@ export const getVideoById = async (req, res) => {
 
     const [episodes, rank, isLiked] = await Promise.all([
       videoObj.seriesId ?
-        Video.find({ seriesId: videoObj.seriesId, processingStatus: 'completed' })
+        Video.find({ seriesId: videoObj.seriesId, processingStatus: 'completed', ...publishedMatch() })
           .select('_id videoName thumbnailUrl episodeNumber seriesId duration')
           .sort({ episodeNumber: 1 }).lean().then(eps => eps.map(ep => ({ ...ep, _id: ep._id.toString() })))
         : Promise.resolve([]),
@@ -443,6 +510,12 @@ export const getVideoById = async (req, res) => {
     ]);
 
     const transformedVideo = serializeVideo(videoObj, req.apiVersion, rqUserObjectIdStr, req.traceId);
+
+    // **NEW: Protected videos never hand out their public CDN URL**
+    if (playbackAuthorizationService.signSerialized([transformedVideo], viewerId, `${req.protocol}://${req.get('host')}`)) {
+      res.set('Cache-Control', 'private, no-store');
+    }
+
     res.json(transformedVideo);
   } catch (error) {
     console.error('❌ Error getting video by ID:', error);
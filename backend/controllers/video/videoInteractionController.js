@@ -4,9 +4,10 @@ import User from '../../models/User.js';
 import WatchHistory from '../../models/WatchHistory.js';
 import redisService from '../../services/caching/redisService.js';
 import { invalidateCache, VideoCacheKeys } from '../../middleware/cacheMiddleware.js';
-import { updateCreatorDailyStats } from '../../utils/analyticsUtils.js';
+import { updateCreatorDailyStats, buildRetentionSample, recordRetentionSamples } from '../../utils/analyticsUtils.js';
 import { convertLikedByToGoogleIds } from '../../utils/videoUtils.js';
 import { serializeVideos } from '../../utils/serializers/videoSerializer.js';
+import playbackAuthorizationService, { canView } from '../../services/uploadServices/playbackAuthorizationService.js';
 
 // --- BATCH PROCESSING BUFFERS (Write-Behind Caching) ---
 const viewBuffer = new Map(); // videoId -> count
@@ -148,6 +149,8 @@ export const trackWatch = async (req, res) => {
 
     const SKIM_THRESHOLD = 5;
     const isSkim = duration < SKIM_THRESHOLD;
+    let video = null;
+    let rewatch = false;
 
     if (isSkim) {
       if (redisService.getConnectionStatus()) {
@@ -155,10 +158,11 @@ export const trackWatch = async (req, res) => {
         await redisService.addToSet(skimKey, [videoId]);
         await redisService.expire(skimKey, 259200);
       }
-      await Video.findByIdAndUpdate(videoId, { $inc: { views: 1 } });
+      video = await Video.findByIdAndUpdate(videoId, { $inc: { views: 1 } });
     } else {
-      await WatchHistory.trackWatch(identityId, videoId, { duration, completed, isAuthenticated });
-      const video = await Video.findByIdAndUpdate(videoId, { $inc: { views: 1 } });
+      const watchEntry = await WatchHistory.trackWatch(identityId, videoId, { duration, completed, isAuthenticated });
+      rewatch = (watchEntry?.watchCount || 0) > 1;
+      video = await Video.findByIdAndUpdate(videoId, { $inc: { views: 1 } });
       
       if (video && video.uploader) {
         updateCreatorDailyStats(video.uploader, { 
@@ -170,6 +174,14 @@ export const trackWatch = async (req, res) => {
       if (redisService.getConnectionStatus()) await redisService.addToLongTermWatchHistory(identityId, [videoId.toString()]);
     }
 
+    // **NEW: Exit position feeds the per-video retention curve (skims included)**
+    if (video) {
+      recordRetentionSamples([{
+        videoId,
+        sample: buildRetentionSample(req.body, { videoDuration: video.duration, rewatch })
+      }]).catch(() => {});
+    }
+
     // OPTIMIZATION: Removed aggressive clearCache on every view.
     // The Bloom Filter already handles "unwatched" logic, so we don't need 
     // to hammer Redis with 20+ DEL commands on every single watch event.
@@ -240,6 +252,11 @@ export const syncWatchEvents = async (req, res) => {
     const ops = [];
     const videoViewIncrements = {};
 
+    // Videos this viewer already has history for: watching them again counts as a rewatch
+    const eventVideoIds = [...new Set(events.map(e => e?.videoId).filter(id => id && mongoose.Types.ObjectId.isValid(id)).map(String))];
+    const previouslyWatched = new Set((await WatchHistory.find({ userId: identityId, videoId: { $in: eventVideoIds } })
+      .select('videoId').lean()).map(h => h.videoId.toString()));
+
     for (const event of events) {
       const { videoId, duration = 0, completed = false, timestamp } = event;
       if (!videoId || !mongoose.Types.ObjectId.isValid(videoId)) continue;
@@ -280,10 +297,22 @@ export const syncWatchEvents = async (req, res) => {
         await Video.bulkWrite(videoOps, { ordered: false });
       }
 
+      const eventVideos = await Video.find({ _id: { $in: eventVideoIds } }).select('uploader duration').lean();
+      const videosById = new Map(eventVideos.map(v => [v._id.toString(), v]));
+
       const creatorDailyStatsMap = {};
+      const retentionSamples = [];
       for (const event of events) {
         try {
-          const video = await Video.findById(event.videoId).select('uploader').lean();
+          const video = videosById.get(String(event.videoId));
+          if (video) {
+            const id = video._id.toString();
+            retentionSamples.push({
+              videoId: id,
+              sample: buildRetentionSample(event, { videoDuration: video.duration, rewatch: previouslyWatched.has(id) })
+            });
+            previouslyWatched.add(id);
+          }
           if (video && video.uploader) {
             const creatorId = video.uploader.toString();
             if (!creatorDailyStatsMap[creatorId]) {
@@ -298,6 +327,7 @@ export const syncWatchEvents = async (req, res) => {
       for (const [creatorId, stats] of Object.entries(creatorDailyStatsMap)) {
         updateCreatorDailyStats(creatorId, stats).catch(err => console.error('DailyStats Batch Error:', err));
       }
+      recordRetentionSamples(retentionSamples).catch(() => {});
 
       if (redisService.getConnectionStatus()) {
         const videoIdsStrings = events.map(e => e.videoId.toString());
@@ -452,13 +482,17 @@ export const getSavedVideos = async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
+    const requestingUserObjectIdStr = user._id.toString();
+
+    // Saved videos may since have been unpublished or lost this user's subscription
     const validSavedVideos = savedEntries
       .map(entry => entry.video)
-      .filter(v => v != null);
+      .filter(v => v != null && canView(v, requestingUserObjectIdStr));
 
-    const requestingUserObjectIdStr = user._id.toString();
     const serializedVideos = serializeVideos(validSavedVideos, req.apiVersion, requestingUserObjectIdStr, req.traceId);
+    playbackAuthorizationService.signSerialized(serializedVideos, requestingUserObjectIdStr, `${req.protocol}://${req.get('host')}`);
 
+    res.set('Cache-Control', 'private, no-store');
     res.json(serializedVideos);
   } catch (error) {
     console.error('❌ Error fetching saved videos:', error);
@@ -3,11 +3,21 @@ import fs from 'fs';
 import path from 'path';
 import Video from '../../models/Video.js';
 import User from '../../models/User.js';
+import Comment from '../../models/Comment.js';
 import redisService from '../../services/caching/redisService.js';
 import { invalidateCache, VideoCacheKeys } from '../../middleware/cacheMiddleware.js';
 import { logger } from '../../middleware/traceMiddleware.js';
 import { serializeVideo } from '../../utils/serializers/videoSerializer.js';
 import queueService from '../../services/yugFeedServices/queueService.js';
+import videoPublishService, { parsePublishOptions } from '../../services/uploadServices/videoPublishService.js';
+import videoFingerprintService from '../../services/uploadServices/videoFingerprintService.js';
+import playbackAuthorizationService from '../../services/uploadServices/playbackAuthorizationService.js';
+import VideoCaption from '../../models/VideoCaption.js';
+import DubbingJob from '../../models/DubbingJob.js';
+
+// Moves renditions to the bucket the new visibility calls for, in the background: the old copies stay until the video points at the new ones
+const relocateStorage = (videoId) => playbackAuthorizationService.relocateStorage(videoId)
+  .catch(err => console.error(`❌ Failed to move the renditions of video ${videoId}:`, err.message));
 
 /**
  * **Update Video Metadata**
@@ -16,7 +26,7 @@ export const updateVideo = async (req, res) => {
   try {
     const videoId = req.params.id;
     const googleId = req.user.googleId;
-    const { videoName, link, tags, seriesId, episodeNumber, quizzes, thumbnailKey } = req.body;
+    const { videoName, description, link, tags, seriesId, episodeNumber, quizzes, thumbnailKey } = req.body;
 
     if (!videoName || videoName.trim() === '') {
       return res.status(400).json({ error: 'Video name is required' });
@@ -35,7 +45,11 @@ export const updateVideo = async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to update this video' });
     }
 
+    // **NEW: Edited text goes back through moderation**
+    const previousText = `${video.videoName}\n${video.description || ''}`;
+
     video.videoName = videoName.trim();
+    if (description !== undefined) video.description = description.toString().trim(); // Re-parses #hashtags on save
     if (link !== undefined) video.link = link.trim();
     if (seriesId !== undefined) video.seriesId = seriesId;
     if (episodeNumber !== undefined) video.episodeNumber = parseInt(episodeNumber) || 0;
@@ -57,11 +71,16 @@ export const updateVideo = async (req, res) => {
       // For consistency with direct-complete, we'll assume it's available or we use a helper
       const { default: cloudflareR2Service } = await import('../../services/uploadServices/cloudflareR2Service.js');
       video.thumbnailUrl = cloudflareR2Service.getPublicUrl(thumbnailKey);
+      video.thumbnailSource = 'custom';
       logger.info(req.traceId, 'Video thumbnail updated', { videoId, thumbnailKey });
     }
 
     video.updatedAt = new Date();
     await video.save();
+
+    if (`${video.videoName}\n${video.description || ''}` !== previousText) {
+      queueService.addTextModerationJob(video._id);
+    }
     
     if (redisService.getConnectionStatus()) {
       const keysToInvalidate = [
@@ -87,6 +106,9 @@ export const updateVideo = async (req, res) => {
 
     const videoObj = video.toObject();
     const transformedVideo = serializeVideo(videoObj, req.apiVersion, user._id.toString(), req.traceId);
+    if (playbackAuthorizationService.signSerialized([transformedVideo], user._id.toString(), `${req.protocol}://${req.get('host')}`)) {
+      res.set('Cache-Control', 'private, no-store');
+    }
 
     res.json({ 
       success: true, 
@@ -214,6 +236,139 @@ export const updateVideoSeries = async (req, res) => {
 /**
  * Video Deletion Controllers
  */
+/**
+ * **Publish, Schedule or Unpublish a Video**
+ * Body: { visibility: 'public'|'draft'|'scheduled', publishAt, timezone }
+ * publishAt is an ISO instant, or a wall-clock time read in `timezone`.
+ */
+export const updateVideoVisibility = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    const googleId = req.user.googleId;
+
+    let options;
+    try {
+      options = parsePublishOptions(req.body);
+    } catch (scheduleError) {
+      return res.status(scheduleError.statusCode || 400).json({ error: scheduleError.message });
+    }
+    if (!options) return res.status(400).json({ error: 'visibility is required' });
+
+    const user = await User.findOne({ googleId }).select('_id').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const video = await Video.findById(videoId).select('uploader visibility').lean();
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    if (video.uploader.toString() !== user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to update this video' });
+    }
+
+    if (options.visibility === 'public') {
+      // No-op for a video that is already live
+      await videoPublishService.publishVideo(videoId);
+    } else {
+      await Video.updateOne({ _id: videoId }, { $set: options });
+      relocateStorage(videoId);
+
+      if (redisService.getConnectionStatus()) {
+        await invalidateCache([
+          'videos:feed:*',
+          `videos:user:${googleId}`,
+          `user:feed:${googleId}:*`,
+          VideoCacheKeys.all(),
+          VideoCacheKeys.single(videoId),
+          `video:data:${videoId}`
+        ]);
+      }
+    }
+
+    const updated = await Video.findById(videoId).populate('uploader', 'name profilePic googleId').lean();
+    const transformedVideo = serializeVideo(updated, req.apiVersion, user._id.toString(), req.traceId);
+    playbackAuthorizationService.signSerialized([transformedVideo], user._id.toString(), `${req.protocol}://${req.get('host')}`);
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      success: true,
+      video: transformedVideo
+    });
+  } catch (error) {
+    logger.error(req.traceId, 'Error updating video visibility', error, { videoId: req.params.id });
+    res.status(500).json({ error: 'Failed to update video visibility' });
+  }
+};
+
+/**
+ * **Add or remove subscribers of a subscriber-only video**
+ * Body: { add: [userId | googleId], remove: [userId | googleId] }
+ * Removed viewers lose playback at once; an empty list makes the video public again.
+ */
+export const updateVideoSubscribers = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    const googleId = req.user.googleId;
+    const add = Array.isArray(req.body.add) ? req.body.add : [];
+    const remove = Array.isArray(req.body.remove) ? req.body.remove : [];
+    if (add.length === 0 && remove.length === 0) {
+      return res.status(400).json({ error: 'add or remove is required' });
+    }
+
+    const user = await User.findOne({ googleId }).select('_id').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const video = await Video.findById(videoId).select('uploader allowedSubscribers');
+    if (!video) return res.status(404).json({ error: 'Video not found' });
+    if (video.uploader.toString() !== user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to update this video' });
+    }
+
+    // Accept MongoDB ids or googleIds, like direct-complete does
+    const resolveIds = async (ids) => {
+      if (ids.length === 0) return [];
+      const users = await User.find({
+        $or: [
+          { _id: { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) } },
+          { googleId: { $in: ids } }
+        ]
+      }).select('_id').lean();
+      return users.map(u => u._id.toString());
+    };
+    const [addIds, removeIds] = await Promise.all([resolveIds(add), resolveIds(remove)]);
+
+    const current = new Set(video.allowedSubscribers.map(id => id.toString()));
+    const removed = removeIds.filter(id => current.has(id));
+    removed.forEach(id => current.delete(id));
+    addIds.forEach(id => current.add(id));
+
+    video.allowedSubscribers = [...current];
+    video.isSubscriberOnly = current.size > 0;
+    await video.save();
+
+    await playbackAuthorizationService.revokeViewers(videoId, removed);
+    relocateStorage(videoId);
+
+    if (redisService.getConnectionStatus()) {
+      await invalidateCache([
+        'videos:feed:*',
+        `videos:user:${googleId}`,
+        VideoCacheKeys.all(),
+        VideoCacheKeys.single(videoId),
+        `video:data:${videoId}`
+      ]);
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      success: true,
+      isSubscriberOnly: video.isSubscriberOnly,
+      allowedSubscribers: video.allowedSubscribers.map(id => id.toString()),
+      removed
+    });
+  } catch (error) {
+    logger.error(req.traceId, 'Error updating video subscribers', error, { videoId: req.params.id });
+    res.status(500).json({ error: 'Failed to update video subscribers' });
+  }
+};
+
 export const deleteVideo = async (req, res) => {
   try {
     const videoId = req.params.id;
@@ -231,6 +386,10 @@ export const deleteVideo = async (req, res) => {
 
     await Video.findByIdAndDelete(videoId);
     await User.findByIdAndUpdate(user._id, { $pull: { videos: videoId } });
+    await Comment.deleteMany({ targetType: 'video', targetId: videoId });
+    await videoFingerprintService.removeFingerprints(videoId);
+    await VideoCaption.deleteMany({ videoId });
+    await DubbingJob.deleteMany({ videoId });
 
     // Clean up queue jobs
     await queueService.removeVideoJob(videoId);
@@ -275,6 +434,17 @@ export const bulkDeleteVideos = async (req, res) => {
       $pull: { videos: { $in: objectIds } } 
     });
 
+    // Only remove comments of videos that were actually owned and deleted
+    const remaining = await Video.find({ _id: { $in: objectIds } }).select('_id').lean();
+    const remainingIds = new Set(remaining.map(v => v._id.toString()));
+    const deletedIds = objectIds.filter(id => !remainingIds.has(id.toString()));
+    if (deletedIds.length > 0) {
+      await Comment.deleteMany({ targetType: 'video', targetId: { $in: deletedIds } });
+      await videoFingerprintService.removeFingerprints(deletedIds);
+      await VideoCaption.deleteMany({ videoId: { $in: deletedIds } });
+      await DubbingJob.deleteMany({ videoId: { $in: deletedIds } });
+    }
+
     // Clean up queue jobs for all deleted videos
     try {
       await Promise.all(videoIds.map(id => queueService.removeVideoJob(id)));
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import playbackAuthorizationService from '../../services/uploadServices/playbackAuthorizationService.js';
+
+const sendPlaybackError = (res, error, fallback) => {
+  if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+};
+
+/**
+ * POST /api/videos/:id/playback
+ * Playback URL for the current viewer. Public videos get their CDN URL; subscriber-only
+ * and unpublished videos get a short-lived URL signed for this viewer.
+ */
+export const authorizePlayback = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const playback = await playbackAuthorizationService.authorize(videoId, req.user?._id?.toString() || null, baseUrl);
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      success: true,
+      videoId,
+      protected: playback.protected,
+      playbackUrl: playback.playbackUrl,
+      expiresAt: playback.expiresAt
+    });
+  } catch (error) {
+    sendPlaybackError(res, error, 'Failed to authorize playback');
+  }
+};
+
+/**
+ * GET /api/videos/:id/playback/<path>?token=
+ * Tokenized playlists (rewritten so every URI carries the token) and, when no edge
+ * worker is configured, redirects to short-lived R2 URLs for segments.
+ */
+export const streamPlayback = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const result = await playbackAuthorizationService.resolve(videoId, req.params[0], req.query.token);
+
+    res.set('Cache-Control', 'private, no-store');
+    if (result.redirectUrl) return res.redirect(302, result.redirectUrl);
+
+    res.type('application/vnd.apple.mpegurl').send(result.playlist);
+  } catch (error) {
+    sendPlaybackError(res, error, 'Failed to serve playback');
+  }
+};
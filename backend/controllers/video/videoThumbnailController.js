@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import thumbnailService from '../../services/uploadServices/thumbnailService.js';
+import cloudflareR2Service from '../../services/uploadServices/cloudflareR2Service.js';
+
+const sendThumbnailError = (res, error, fallback) => {
+  if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+};
+
+/**
+ * GET /api/videos/:id/thumbnails
+ * Current thumbnail and the scored candidates, best first, for the creator's picker
+ */
+export const getThumbnailCandidates = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const picker = await thumbnailService.getCandidates(videoId, req.user.googleId);
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      videoId,
+      ...picker,
+      candidates: picker.candidates.map((candidate, index) => ({
+        index,
+        ...candidate,
+        url: cloudflareR2Service.getPublicUrl(candidate.url)
+      }))
+    });
+  } catch (error) {
+    sendThumbnailError(res, error, 'Failed to fetch thumbnail candidates');
+  }
+};
+
+/**
+ * PUT /api/videos/:id/thumbnail
+ * Body: { candidate: <index> }. Makes one of the candidates the thumbnail.
+ */
+export const selectThumbnail = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const url = await thumbnailService.selectCandidate(videoId, Number(req.body?.candidate), req.user.googleId);
+    res.json({
+      success: true,
+      videoId,
+      thumbnailUrl: cloudflareR2Service.getPublicUrl(url),
+      thumbnailSource: 'candidate'
+    });
+  } catch (error) {
+    sendThumbnailError(res, error, 'Failed to select thumbnail');
+  }
+};
+
+/**
+ * POST /api/videos/:id/thumbnail
+ * Multipart field "thumbnail" (JPEG, PNG or WebP). Uploads a custom thumbnail.
+ */
+export const uploadThumbnail = async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No thumbnail image provided' });
+    }
+
+    const url = await thumbnailService.uploadCustom(videoId, req.file.buffer, req.user.googleId);
+    res.status(201).json({
+      success: true,
+      videoId,
+      thumbnailUrl: cloudflareR2Service.getPublicUrl(url),
+      thumbnailSource: 'custom'
+    });
+  } catch (error) {
+    sendThumbnailError(res, error, 'Failed to upload thumbnail');
+  }
+};
@@ -10,6 +10,7 @@ import redisService from '../../services/caching/redisService.js';
 import { invalidateCache, VideoCacheKeys } from '../../middleware/cacheMiddleware.js';
 import { calculateVideoHash } from '../../utils/videoUtils.js';
 import eventBus from '../../utils/eventBus.js';
+import { parsePublishOptions } from '../../services/uploadServices/videoPublishService.js';
 
 let hybridVideoService;
 
@@ -81,6 +82,15 @@ export const uploadVideo = async (req, res) => {
       return res.status(400).json({ error: 'Video name is required' });
     }
 
+    // **NEW: Draft / scheduled publishing**
+    let publishOptions;
+    try {
+      publishOptions = parsePublishOptions(req.body);
+    } catch (scheduleError) {
+      fs.unlinkSync(req.file.path);
+      return res.status(scheduleError.statusCode || 400).json({ error: scheduleError.message });
+    }
+
     // 3. Validate user
     const user = await User.findOne({ googleId: googleId });
     if (!user) {
@@ -175,7 +185,7 @@ export const uploadVideo = async (req, res) => {
       processingProgress: 0,
       isHLSEncoded: false,
       videoHash: videoHash,
-      likes: 0, views: 0, shares: 0, likedBy: [], comments: [],
+      likes: 0, views: 0, shares: 0, likedBy: [], commentCount: 0,
       uploadedAt: new Date(),
       category: category || 'others',
       tags: Array.isArray(tags) ? tags : [],
@@ -184,7 +194,8 @@ export const uploadVideo = async (req, res) => {
       finalScore: initialScore,
       // **NEW: Subscriber-only access control**
       allowedSubscribers: Array.isArray(allowedSubscribers) ? allowedSubscribers : [],
-      isSubscriberOnly: Array.isArray(allowedSubscribers) && allowedSubscribers.length > 0
+      isSubscriberOnly: Array.isArray(allowedSubscribers) && allowedSubscribers.length > 0,
+      ...publishOptions
     });
 
     await video.save();
@@ -263,7 +274,9 @@ export const uploadVideo = async (req, res) => {
         processingStatus: 'queued',
         estimatedTime: '2-5 minutes',
         costBreakdown: { processing: '$0 (FREE!)', storage: '$0.015/GB/month (R2)', bandwidth: '$0 (FREE forever!)' },
-        isSubscriberOnly: video.isSubscriberOnly || false
+        isSubscriberOnly: video.isSubscriberOnly || false,
+        visibility: video.visibility,
+        publishAt: video.publishAt || null
       }
     });
 
@@ -301,6 +314,13 @@ export const registerUpload = async (req, res) => {
        return res.status(400).json({ error: 'R2 storage key is required' });
     }
 
+    let publishOptions;
+    try {
+      publishOptions = parsePublishOptions(req.body);
+    } catch (scheduleError) {
+      return res.status(scheduleError.statusCode || 400).json({ error: scheduleError.message });
+    }
+
     const user = await User.findOne({ googleId });
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -350,11 +370,12 @@ export const registerUpload = async (req, res) => {
       processingProgress: 0,
       isHLSEncoded: false,
       videoHash: videoHash,
-      likes: 0, views: 0, shares: 0, likedBy: [], comments: [],
+      likes: 0, views: 0, shares: 0, likedBy: [], commentCount: 0,
       uploadedAt: new Date(),
       category: category || 'others',
       tags: Array.isArray(tags) ? tags : [],
-      finalScore: initialScore
+      finalScore: initialScore,
+      ...publishOptions
     });
 
     await video.save();
@@ -406,7 +427,9 @@ export const registerUpload = async (req, res) => {
       video: {
         id: video._id,
         videoName: video.videoName,
-        processingStatus: 'queued'
+        processingStatus: 'queued',
+        visibility: video.visibility,
+        publishAt: video.publishAt || null
       }
     });
 
@@ -480,7 +503,7 @@ export const createImageFeedEntry = async (req, res) => {
       processingStatus: 'completed',
       processingProgress: 100,
       isHLSEncoded: false,
-      likes: 0, views: 0, shares: 0, likedBy: [], comments: [],
+      likes: 0, views: 0, shares: 0, likedBy: [], commentCount: 0,
       uploadedAt: now,
       createdAt: now,
       updatedAt: now,
@@ -502,6 +525,8 @@ export const createImageFeedEntry = async (req, res) => {
       ]);
     }
 
+    queueService.fanOutToFollowers(user._id, video._id, video.videoType).catch(() => {});
+
     return res.status(201).json({
       success: true,
       message: 'Image feed entry created successfully',
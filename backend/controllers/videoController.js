@@ -9,3 +9,4 @@ export * from './video/videoFeedController.js';
 export * from './video/videoInteractionController.js';
 export * from './video/videoManagementController.js';
 export * from './video/videoAnalyticsController.js';
+export * from './video/videoCommentController.js';
@@ -19,6 +19,7 @@ import referralRoutes from '../routes/referralRoutes.js';
 import reportRoutes from '../routes/report/reportRoutes.js';
 import notificationRoutes from '../routes/notification/notificationRoutes.js';
 import searchRoutes from '../routes/searchRoutes.js';
+import tagRoutes from '../routes/tagRoutes.js';
 import appConfigRoutes from '../routes/appConfigRoutes.js';
 import youtubeAuthRoutes from '../routes/youtubeAuthRoutes.js';
 import systemRoutes from '../routes/systemRoutes.js';
@@ -118,7 +119,13 @@ export default async ({ app }) => {
   app.use(globalLimiter);
 
   // Body Parsing
-  app.use(express.json({ limit: '700mb' }));
+  app.use(express.json({
+    limit: '700mb',
+    // Razorpay webhook signatures are computed over the exact request bytes
+    verify: (req, res, buf) => {
+      if (req.originalUrl.includes('/billing/webhook')) req.rawBody = buf;
+    }
+  }));
   app.use(express.urlencoded({ extended: true, limit: '700mb' }));
 
   // Strip redundant /api prefixes
@@ -182,6 +189,7 @@ export default async ({ app }) => {
   apiRouter.use('/report', reportRoutes);
   apiRouter.use('/notifications', notificationRoutes);
   apiRouter.use('/search', searchRoutes);
+  apiRouter.use('/tags', createCacheMiddleware('public, max-age=120, stale-while-revalidate=300'), tagRoutes);
   apiRouter.use('/dubbing', dubbingRoutes);
 
   // Apply Passive Auth BEFORE Rate Limiter
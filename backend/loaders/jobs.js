@@ -4,6 +4,10 @@ import monthlyNotificationCron from '../services/notificationServices/monthlyNot
 import recommendationScoreCron from '../services/yugFeedServices/recommendationScoreCron.js';
 import adCleanupService from '../services/adServices/adCleanupService.js';
 import exclusiveVideoCleanupService from '../services/uploadServices/exclusiveVideoCleanupService.js';
+import budgetLedgerService from '../services/adServices/budgetLedger/BudgetLedgerService.js';
+import accountDeletionService from '../services/accountServices/accountDeletionService.js';
+import videoPublishService from '../services/uploadServices/videoPublishService.js';
+import multipartUploadService from '../services/uploadServices/multipartUploadService.js';
 
 export default async () => {
   try {
@@ -19,6 +23,18 @@ export default async () => {
       }
     });
 
+    // Reconcile Redis ad budget ledger into MongoDB (every 5 minutes)
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const stats = await budgetLedgerService.reconcile();
+        if (stats.reconciled > 0) {
+          console.log(`💸 Budget ledger reconciled: ${stats.reconciled} campaigns, ${stats.exhausted} exhausted`);
+        }
+      } catch (error) {
+        console.error('❌ Error in budget ledger reconciliation:', error);
+      }
+    });
+
     // Start monthly notification cron job (runs on 1st of every month at 9:00 AM)
     monthlyNotificationCron.start();
 
@@ -28,6 +44,15 @@ export default async () => {
     // Start exclusive video 7-day auto-cleanup cron job (runs daily at 00:00 midnight)
     exclusiveVideoCleanupService.startScheduler();
 
+    // Purge accounts whose deletion grace period has passed (runs hourly)
+    accountDeletionService.startScheduler();
+
+    // Publish scheduled videos once their publishAt has passed (runs every minute)
+    videoPublishService.startScheduler();
+
+    // Abort abandoned multipart uploads so their parts stop costing storage (runs hourly)
+    multipartUploadService.startScheduler();
+
     console.log('✅ Background jobs initialized');
   } catch (error) {
     console.error('❌ Jobs loader failed:', error);
@@ -0,0 +1,113 @@
+/**
+ * Admin Access Middleware
+ * Authenticates an admin by their personal access key (x-admin-key header only;
+ * keys in query strings end up in logs and browser history) and checks the
+ * permission a route needs against the account's role.
+ */
+import AdminAccount from '../models/AdminAccount.js';
+import { ADMIN_CONFIG } from '../constants/index.js';
+import { recordAuditEvent, getAuditRequestContext } from '../utils/auditLogger.js';
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Active admin account for a raw access key
+ * @param {string} key
+ * @returns {Promise<Object|null>} AdminAccount document
+ */
+export async function findAdminByKey(key) {
+  if (!key || typeof key !== 'string' || !key.trim()) return null;
+  return AdminAccount.findOne({ keyHash: AdminAccount.hashKey(key.trim()), active: true });
+}
+
+/**
+ * Require an admin whose role grants `permission`.
+ * Writes (and reads marked `auditReads`) are recorded in the audit log once the
+ * response is sent; routes can add details through `res.locals.auditMetadata`.
+ * @param {string} permission e.g. 'moderation:write' (see ADMIN_CONFIG.ROLE_PERMISSIONS)
+ * @param {Object} options
+ * @param {boolean} options.auditReads Also audit GET requests (exports, personal data)
+ */
+export function requireAdmin(permission, { auditReads = false } = {}) {
+  return async (req, res, next) => {
+    const providedKey = req.headers[ADMIN_CONFIG.KEY_HEADER];
+    if (!providedKey) {
+      return res.status(401).json({ error: 'Unauthorized: admin access key required' });
+    }
+
+    let admin;
+    try {
+      admin = await findAdminByKey(providedKey);
+    } catch (error) {
+      console.error('❌ Admin Auth: Account lookup failed:', error.message);
+      return res.status(500).json({ error: 'Admin authentication unavailable' });
+    }
+
+    const context = getAuditRequestContext(req);
+
+    if (!admin) {
+      recordAuditEvent({
+        actorType: 'anonymous',
+        action: 'access',
+        resource: permission,
+        outcome: 'denied',
+        severity: 'warning',
+        statusCode: 401,
+        ...context
+      });
+      return res.status(401).json({ error: 'Unauthorized: invalid admin access key' });
+    }
+
+    const actor = {
+      actorType: 'admin',
+      actorId: admin._id.toString(),
+      actorName: admin.email,
+      actorRole: admin.role
+    };
+
+    if (!admin.hasPermission(permission)) {
+      recordAuditEvent({
+        ...actor,
+        action: 'access',
+        resource: permission,
+        outcome: 'denied',
+        severity: 'warning',
+        statusCode: 403,
+        ...context
+      });
+      return res.status(403).json({ error: `Forbidden: the ${admin.role} role does not grant ${permission}` });
+    }
+
+    req.admin = { id: admin._id, name: admin.name, email: admin.email, role: admin.role };
+
+    if (!admin.lastUsedAt || Date.now() - admin.lastUsedAt.getTime() > ADMIN_CONFIG.LAST_USED_WRITE_INTERVAL_MS) {
+      AdminAccount.updateOne({ _id: admin._id }, { $set: { lastUsedAt: new Date() } })
+        .catch(error => console.warn('⚠️ Admin Auth: Failed to update lastUsedAt:', error.message));
+    }
+
+    if (auditReads || !READ_METHODS.has(req.method)) {
+      res.on('finish', () => {
+        const params = req.params || {};
+        recordAuditEvent({
+          ...actor,
+          action: permission,
+          resource: `${req.baseUrl}${req.route?.path || ''}`,
+          targetId: Object.values(params)[0] || null,
+          outcome: res.statusCode < 400 ? 'success' : 'failure',
+          severity: READ_METHODS.has(req.method) ? 'info' : 'warning',
+          statusCode: res.statusCode,
+          ...context,
+          metadata: {
+            params,
+            bodyFields: Object.keys(req.body || {}),
+            ...(res.locals.auditMetadata || {})
+          }
+        });
+      });
+    }
+
+    next();
+  };
+}
+
+export default requireAdmin;
@@ -1,5 +1,6 @@
 import multer from 'multer';
 import fs from 'fs';
+import { THUMBNAIL_CONFIG } from '../constants/index.js';
 
 /**
  * Data validation middleware to ensure consistent types
@@ -65,3 +66,19 @@ export const upload = multer({
     }
   }
 });
+
+// Custom thumbnails stay in memory: they are small and re-encoded before storage
+export const thumbnailUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: THUMBNAIL_CONFIG.CUSTOM_MAX_BYTES,
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimeTypes = ['image/jpeg', 'image/png', 'image/webp'];
+    if (allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG, PNG or WebP images are allowed.'), false);
+    }
+  }
+});
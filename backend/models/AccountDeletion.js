@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+/**
+ * AccountDeletion Model
+ * A scheduled account purge. The user can cancel while it is `scheduled`;
+ * once `scheduledFor` passes, the deletion scheduler cascades through every
+ * collection, R2 prefix and Redis key that belongs to the account.
+ * The record outlives the user as proof of deletion (no profile data is kept).
+ */
+const AccountDeletionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  googleId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'running', 'completed', 'failed'],
+    default: 'scheduled',
+    index: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  scheduledFor: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  cancelledAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Documents / objects removed per cascade step
+  steps: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+// At most one open deletion per account
+AccountDeletionSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['scheduled', 'running'] } }, name: 'one_open_deletion_per_user' }
+);
+
+export default mongoose.models.AccountDeletion || mongoose.model('AccountDeletion', AccountDeletionSchema);
@@ -19,7 +19,7 @@ const AdCampaignSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['draft', 'pending_review', 'active', 'paused', 'completed'],
+    enum: ['draft', 'pending_review', 'active', 'paused', 'completed', 'cancelled'],
     default: 'draft'
   },
   startDate: {
@@ -122,6 +122,44 @@ const AdCampaignSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // **NEW: Budget ledger (reconciled from Redis counters)**
+  dailySpend: {
+    type: Number,
+    default: 0
+  },
+  dailySpendDate: {
+    type: String // YYYY-MM-DD in the campaign timeZone
+  },
+  // Debits written here while Redis was unavailable, not yet added to the Redis counters
+  pendingSpend: {
+    type: Number,
+    default: 0
+  },
+  pendingDailySpend: {
+    type: Number,
+    default: 0
+  },
+  budgetExhaustedAt: {
+    type: Date
+  },
+  lastReconciledAt: {
+    type: Date
+  },
+  // **NEW: Early cancellation (unspent budget is refunded pro rata)**
+  activatedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  unspentRefundINR: {
+    type: Number,
+    default: 0
+  },
   ctr: {
     type: Number,
     default: 0
@@ -153,6 +153,10 @@ const AdCreativeSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  comments: {
+    type: Number,
+    default: 0
+  },
   ctr: {
     type: Number,
     default: 0
@@ -54,6 +54,19 @@ const AdImpressionSchema = new mongoose.Schema({
     type: Number,
     default: 3
   },
+  // Second-price auction outcome for this impression (viewed impressions only)
+  bidType: {
+    type: String,
+    enum: ['CPM', 'CPC']
+  },
+  clearingCpm: {
+    type: Number, // Effective clearing price per 1000 impressions (INR)
+    min: 0
+  },
+  clearingPrice: {
+    type: Number, // clearingCpm / 1000 — gross revenue this impression earned (INR)
+    min: 0
+  },
   timestamp: {
     type: Date,
     default: Date.now,
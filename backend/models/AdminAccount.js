@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { ADMIN_CONFIG } from '../constants/index.js';
+
+/**
+ * AdminAccount Model
+ * One per person with dashboard access. Each account has its own access key
+ * (stored hashed, shown once) and a role from ADMIN_CONFIG.ROLE_PERMISSIONS.
+ */
+const AdminAccountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: Object.keys(ADMIN_CONFIG.ROLE_PERMISSIONS),
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key so admins can tell their keys apart
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  keyRotatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminAccount',
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to generate a new access key
+AdminAccountSchema.statics.generateKey = function() {
+  return `vak_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+// Static method to hash a key for storage
+AdminAccountSchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+AdminAccountSchema.methods.hasPermission = function(permission) {
+  const granted = ADMIN_CONFIG.ROLE_PERMISSIONS[this.role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+AdminAccountSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    keyPrefix: this.keyPrefix,
+    keyRotatedAt: this.keyRotatedAt,
+    active: this.active,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt
+  };
+};
+
+export default mongoose.models.AdminAccount || mongoose.model('AdminAccount', AdminAccountSchema);
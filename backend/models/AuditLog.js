@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * AuditLog Model
+ * Append-only record of privileged actions: admin dashboard requests, denied
+ * admin access, every read and write of creators' payout destinations (payoutVaultService) and
+ * account security events such as new-device sign-ins and refresh token reuse.
+ */
+const AuditLogSchema = new mongoose.Schema({
+  actorType: {
+    type: String,
+    enum: ['admin', 'user', 'system', 'anonymous'],
+    required: true
+  },
+  actorId: {
+    type: String,
+    default: null
+  },
+  actorName: {
+    type: String,
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  resource: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: String,
+    default: null
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'denied'],
+    default: 'success'
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'info'
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  ipAddress: String,
+  userAgent: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+AuditLogSchema.index({ resource: 1, createdAt: -1 });
+
+export default mongoose.models.AuditLog || mongoose.model('AuditLog', AuditLogSchema);
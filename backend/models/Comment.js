@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+
+/**
+ * Comment Model
+ * Shared by videos and ads. Replies point at their top-level comment through
+ * `parentComment` (single-level threading, like most short-video apps).
+ * Deleted comments are soft-deleted so reply threads stay intact.
+ */
+const CommentSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['video', 'ad'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  // Top-level comment this is a reply to (null for top-level comments)
+  parentComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // User being replied to, so clients can render "@name" on nested replies
+  replyToUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  likes: {
+    type: Number,
+    default: 0
+  },
+  likedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // **Creator pinning** - only the video uploader / ad advertiser can pin
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: {
+    type: Date
+  },
+  // **Soft delete** - content is blanked but the document is kept for threads
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Top-level comments for a target, newest first (cursor pagination on _id)
+CommentSchema.index({ targetType: 1, targetId: 1, parentComment: 1, _id: -1 });
+// Pinned comment lookup
+CommentSchema.index({ targetType: 1, targetId: 1, isPinned: 1 });
+// Replies in a thread, oldest first
+CommentSchema.index({ parentComment: 1, _id: 1 });
+
+/**
+ * Toggle a like for a user on this comment.
+ * Both directions are conditional updates, so concurrent requests can never
+ * push the same user twice or move `likes` away from `likedBy`.
+ * @param {String|ObjectId} userId - Mongo _id of the user
+ * @returns {Promise<Object>} { liked, likes }
+ */
+CommentSchema.statics.toggleLike = async function(commentId, userId) {
+  const liked = await this.findOneAndUpdate(
+    { _id: commentId, likedBy: { $ne: userId } },
+    { $addToSet: { likedBy: userId }, $inc: { likes: 1 } },
+    { new: true }
+  ).select('likes').lean();
+  if (liked) return { liked: true, likes: Math.max(liked.likes || 0, 0) };
+
+  const unliked = await this.findOneAndUpdate(
+    { _id: commentId, likedBy: userId },
+    { $pull: { likedBy: userId }, $inc: { likes: -1 } },
+    { new: true }
+  ).select('likes').lean();
+  if (unliked) return { liked: false, likes: Math.max(unliked.likes || 0, 0) };
+
+  // A concurrent request flipped the like between the two updates; report what is stored
+  const current = await this.findById(commentId).select('likes likedBy').lean();
+  return {
+    liked: (current?.likedBy || []).some(id => id.toString() === userId.toString()),
+    likes: Math.max(current?.likes || 0, 0)
+  };
+};
+
+/**
+ * Soft delete a comment and keep the parent's reply counter in sync
+ * @param {Object} comment - Comment document
+ * @param {String|ObjectId} deletedBy - Mongo _id of the acting user
+ * @returns {Promise<Boolean>} True if the comment was newly deleted
+ */
+CommentSchema.statics.softDelete = async function(comment, deletedBy) {
+  const result = await this.updateOne(
+    { _id: comment._id, isDeleted: false },
+    {
+      $set: {
+        isDeleted: true,
+        isPinned: false,
+        content: '[deleted]',
+        deletedAt: new Date(),
+        deletedBy: deletedBy
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  if (comment.parentComment) {
+    await this.updateOne(
+      { _id: comment.parentComment, replyCount: { $gt: 0 } },
+      { $inc: { replyCount: -1 } }
+    );
+  }
+
+  return true;
+};
+
+export default mongoose.models.Comment || mongoose.model('Comment', CommentSchema);
@@ -23,6 +23,19 @@ const CreatorMonthlyStatSchema = new mongoose.Schema({
   grossRevenue: {
     type: Number, 
     default: 0.0
+  },
+  // Ad beacons on this creator's videos rejected by serve-token checks, reviewed before payouts
+  invalidTraffic: {
+    replay: { type: Number, default: 0 },
+    expired: { type: Number, default: 0 },
+    viewer_mismatch: { type: Number, default: 0 },
+    wrong_ad_type: { type: Number, default: 0 },
+    // Beacons from app builds without serve tokens; tracked apart from invalidTrafficTotal
+    missing_token: { type: Number, default: 0 }
+  },
+  invalidTrafficTotal: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -30,5 +43,6 @@ const CreatorMonthlyStatSchema = new mongoose.Schema({
 
 // A unique index per creator + month ensures atomic $inc upserts function correctly
 CreatorMonthlyStatSchema.index({ creatorId: 1, yearMonth: 1 }, { unique: true });
+CreatorMonthlyStatSchema.index({ yearMonth: 1, invalidTrafficTotal: -1 });
 
 export default mongoose.models.CreatorMonthlyStat || mongoose.model('CreatorMonthlyStat', CreatorMonthlyStatSchema);
@@ -82,13 +82,6 @@ const CreatorPayoutSchema = new mongoose.Schema({
   paymentDetails: {
     // For UPI
     upiId: String,
-    // **NEW: Card Payment Details**
-    cardDetails: {
-      cardNumber: String,
-      expiryDate: String,
-      cvv: String,
-      cardholderName: String
-    },
     // For International
     paypalEmail: String,
     stripeAccountId: String,
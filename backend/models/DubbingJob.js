@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+/**
+ * DubbingJob Model
+ * One dubbed audio track of a video, from request to published HLS rendition.
+ * Its _id is the job id clients follow over SSE; a re-dub of the same
+ * language reuses (and resets) the document.
+ */
+const dubbingJobSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  language: {
+    type: String, // CAPTION_CONFIG.LANGUAGES key
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  stage: {
+    type: String,
+    default: 'queued' // preparing | transcribing | translating | synthesizing | mixing | publishing
+  },
+  progress: {
+    type: Number,
+    default: 0
+  },
+  segmentCount: {
+    type: Number,
+    default: 0
+  },
+  playlistUrl: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+dubbingJobSchema.index({ videoId: 1, language: 1 }, { unique: true });
+
+export default mongoose.models.DubbingJob || mongoose.model('DubbingJob', dubbingJobSchema);
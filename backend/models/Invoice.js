@@ -19,7 +19,7 @@ const InvoiceSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['created', 'paid', 'failed', 'refunded'],
+    enum: ['created', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'created'
   },
   razorpayPaymentId: {
@@ -32,15 +32,49 @@ const InvoiceSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['upi', 'card', 'netbanking', 'wallet', 'other']
+    enum: ['upi', 'card', 'netbanking', 'wallet', 'razorpay', 'other']
   },
   paymentDate: {
     type: Date
   },
+  paidAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  // Settled refunds (INR); `refundRequestedAmount` also counts refunds still in flight
   refundAmount: {
     type: Number,
     default: 0
   },
+  refundRequestedAmount: {
+    type: Number,
+    default: 0
+  },
+  // **NEW: One entry per Razorpay refund, updated by refund.* webhooks**
+  refunds: [{
+    _id: false,
+    refundId: { type: String, required: true },
+    amountINR: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    source: {
+      type: String,
+      enum: ['advertiser', 'campaign_cancellation'],
+      default: 'advertiser'
+    },
+    reason: String,
+    createdAt: { type: Date, default: Date.now },
+    settledAt: Date
+  }],
   refundReason: {
     type: String,
     trim: true
@@ -97,5 +131,7 @@ InvoiceSchema.pre('save', function(next) {
 InvoiceSchema.index({ campaignId: 1, status: 1 });
 InvoiceSchema.index({ orderId: 1 });
 InvoiceSchema.index({ status: 1, createdAt: -1 });
+InvoiceSchema.index({ razorpayPaymentId: 1 });
+InvoiceSchema.index({ 'refunds.refundId': 1 });
 
 export default mongoose.models.Invoice || mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * PaymentWebhookEvent Model
+ * One document per Razorpay webhook delivery (keyed by the x-razorpay-event-id
+ * header) so retried deliveries are applied exactly once.
+ */
+const PaymentWebhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // Entity the event was about (payment / refund / order id)
+  entityId: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Razorpay stops retrying a delivery within a day; the rest is an audit trail
+PaymentWebhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.models.PaymentWebhookEvent || mongoose.model('PaymentWebhookEvent', PaymentWebhookEventSchema);
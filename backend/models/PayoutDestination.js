@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+/**
+ * PayoutDestination Model
+ * Where a creator's payouts go (UPI ID, PayPal/Wise email, Stripe account, card token),
+ * one record per method. The details are envelope-encrypted: a per-record data key
+ * encrypts the payload and is itself wrapped by a rotatable vault key
+ * (see services/payoutServices/payoutVaultService.js). Only masked display values are
+ * stored in the clear; full card numbers and CVVs are never stored.
+ */
+const EncryptedBlobSchema = new mongoose.Schema({
+  iv: { type: String, required: true },
+  authTag: { type: String, required: true },
+  ciphertext: { type: String, required: true }
+}, { _id: false });
+
+const PayoutDestinationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true,
+    enum: ['upi', 'card_payment', 'paypal', 'stripe', 'wise', 'payoneer']
+  },
+  // Safe to show: masked identifier, card last 4 and cardholder name
+  display: {
+    masked: String,
+    last4: String,
+    cardholderName: String
+  },
+  payload: {
+    type: EncryptedBlobSchema,
+    required: true
+  },
+  dataKey: {
+    type: EncryptedBlobSchema,
+    required: true
+  },
+  keyId: {
+    type: String,
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+PayoutDestinationSchema.index({ userId: 1, method: 1 }, { unique: true });
+
+export default mongoose.models.PayoutDestination || mongoose.model('PayoutDestination', PayoutDestinationSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
+import { ACCOUNT_CONFIG } from '../constants/index.js';
 
 const RefreshTokenSchema = new mongoose.Schema({
   userId: {
@@ -44,12 +45,50 @@ const RefreshTokenSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
     index: true
-  }
+  },
+  // **NEW: Token families** - every token rotated from one sign-in shares a familyId,
+  // so replaying a rotated token can take down the whole device session
+  familyId: {
+    type: String,
+    index: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'replaced', 'reuse_detected'],
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  ipAddress: String,
+  userAgent: String
 });
 
 // Compound index for efficient user sessions lookup
 RefreshTokenSchema.index({ userId: 1, isRevoked: 1 });
 RefreshTokenSchema.index({ tokenHash: 1, isRevoked: 1 });
+RefreshTokenSchema.index({ userId: 1, revokedReason: 1, revokedAt: -1 });
+
+const UNRELIABLE_DEVICE_IDS = ['unknown', 'fallback', 'emergency', 'generic', '9774d56d682e549c'];
+
+const isReliableDeviceId = (deviceId) => !!deviceId &&
+  deviceId.length > 5 &&
+  !UNRELIABLE_DEVICE_IDS.some(u => deviceId.toLowerCase().includes(u));
+
+const refreshExpiryDate = () => {
+  // Production-ready: Set expiry to 180 days (configurable via env)
+  const refreshExpiryDays = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 180;
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + refreshExpiryDays);
+  return expiresAt;
+};
+
+const revocation = (reason) => ({ isRevoked: true, revokedAt: new Date(), revokedReason: reason });
 
 // Static method to generate a secure refresh token
 RefreshTokenSchema.statics.generateToken = function() {
@@ -62,94 +101,155 @@ RefreshTokenSchema.statics.hashToken = function(token) {
 };
 
 // Static method to create a new refresh token for a user/device
-RefreshTokenSchema.statics.createForDevice = async function(userId, deviceId, deviceName, platform) {
+// Starts a new token family (one per sign-in); the familyId goes into the access token too
+RefreshTokenSchema.statics.createSession = async function(userId, deviceId, deviceName, platform, context = {}) {
   // **SECURITY FIX: "Loose" Device Validation**
   // Only revoke existing tokens if the deviceId is reliable.
-  // We skip revocation for generic/fallback IDs to avoid "Session Collision" bugs.
-  const unreliableIds = ['unknown', 'fallback', 'emergency', 'generic', '9774d56d682e549c'];
-  const isReliableId = deviceId && 
-                       deviceId.length > 5 && 
-                       !unreliableIds.some(u => deviceId.toLowerCase().includes(u));
-
-  if (isReliableId) {
+  // We skip revocation for generic/fallback IDs to avoid "Session Collision" bugs,
+  // which allows multiple "unknown" sessions without them kicking each other out.
+  if (isReliableDeviceId(deviceId)) {
     await this.updateMany(
       { userId, deviceId, isRevoked: false },
-      { $set: { isRevoked: true } }
+      { $set: revocation('replaced') }
     );
-  } else {
-    // If ID is unreliable, we just continue. This allows multiple "unknown" sessions 
-    // without them kicking each other out.
   }
 
   // Generate new token
   const rawToken = this.generateToken();
-  const tokenHash = this.hashToken(rawToken);
-  
-  // Production-ready: Set expiry to 180 days (configurable via env)
-  const refreshExpiryDays = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 180;
-  const expiresAt = new Date();
-  expiresAt.setDate(expiresAt.getDate() + refreshExpiryDays);
 
-  // Create and save
+  const familyId = crypto.randomUUID();
   const refreshToken = new this({
     userId,
-    tokenHash,
+    tokenHash: this.hashToken(rawToken),
+    familyId,
     deviceId,
     deviceName: deviceName || 'Unknown Device',
     platform: platform || 'unknown',
-    expiresAt,
-    lastUsedAt: new Date()
+    expiresAt: refreshExpiryDate(),
+    lastUsedAt: new Date(),
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent
   });
 
   await refreshToken.save();
 
   // Return the raw token (only time it's available unhashed)
-  return rawToken;
+  return { refreshToken: rawToken, familyId };
+};
+
+// Static method to create a new refresh token for a user/device, returning only the raw token
+RefreshTokenSchema.statics.createForDevice = async function(userId, deviceId, deviceName, platform, context = {}) {
+  const { refreshToken } = await this.createSession(userId, deviceId, deviceName, platform, context);
+  return refreshToken;
+};
+
+// Static method to check whether a user has signed in on this device before
+// Unreliable device IDs fall back to matching the device name and platform
+RefreshTokenSchema.statics.isKnownDevice = async function(userId, deviceId, deviceName, platform) {
+  const query = isReliableDeviceId(deviceId)
+    ? { userId, deviceId }
+    : { userId, deviceName: deviceName || 'Unknown Device', platform: platform || 'unknown' };
+  return !!(await this.exists(query));
 };
 
 // Static method to verify and rotate a refresh token
-RefreshTokenSchema.statics.verifyAndRotate = async function(rawToken) {
+// Returns null for unknown/expired tokens, { reuseDetected: true, ... } when a token that was
+// already rotated is presented again (the whole family is revoked), otherwise the new token.
+RefreshTokenSchema.statics.verifyAndRotate = async function(rawToken, context = {}) {
   const tokenHash = this.hashToken(rawToken);
+  const now = new Date();
 
-  // Find valid token by hash only
-  const existingToken = await this.findOne({
-    tokenHash,
-    isRevoked: false,
-    expiresAt: { $gt: new Date() }
-  }).populate('userId', 'googleId name email profilePic');
+  // Revoke atomically so two concurrent refreshes cannot both rotate the same token
+  const existingToken = await this.findOneAndUpdate(
+    { tokenHash, isRevoked: false, expiresAt: { $gt: now } },
+    { $set: revocation('rotated') },
+    { new: true }
+  ).populate('userId', 'googleId name email profilePic');
 
   if (!existingToken) {
-    return null;
+    return this.detectReuse(tokenHash, context);
   }
 
-  // Revoke the old token
-  existingToken.isRevoked = true;
-  await existingToken.save();
+  // Tokens issued before families existed start one on their first rotation
+  let familyId = existingToken.familyId;
+  if (!familyId) {
+    familyId = crypto.randomUUID();
+    await this.updateOne({ _id: existingToken._id }, { $set: { familyId } });
+  }
 
-  // Generate new token (rotation)
-  const newRawToken = this.generateToken();
-  const newTokenHash = this.hashToken(newRawToken);
+  return {
+    newToken: await this.issueSuccessor(existingToken, familyId, context),
+    user: existingToken.userId,
+    familyId
+  };
+};
 
-  // Production-ready: Set expiry to 180 days (configurable via env)
-  const refreshExpiryDays = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 180;
-  const expiresAt = new Date();
-  expiresAt.setDate(expiresAt.getDate() + refreshExpiryDays);
+// Static method to issue the token that replaces a just-revoked one in its family
+// Returns the new raw token
+RefreshTokenSchema.statics.issueSuccessor = async function(previous, familyId, context = {}) {
+  const newRawToken = this.generateToken();
 
   const newToken = new this({
-    userId: existingToken.userId._id,
-    tokenHash: newTokenHash,
-    deviceId: existingToken.deviceId, // Preserve if existed
-    deviceName: existingToken.deviceName,
-    platform: existingToken.platform,
-    expiresAt,
-    lastUsedAt: new Date()
+    userId: previous.userId._id,
+    tokenHash: this.hashToken(newRawToken),
+    familyId,
+    deviceId: previous.deviceId, // Preserve if existed
+    deviceName: previous.deviceName,
+    platform: previous.platform,
+    expiresAt: refreshExpiryDate(),
+    lastUsedAt: new Date(),
+    ipAddress: context.ipAddress || previous.ipAddress,
+    userAgent: context.userAgent || previous.userAgent
   });
 
   await newToken.save();
+  await this.updateOne({ _id: previous._id }, { $set: { replacedBy: newToken._id } });
+
+  return newRawToken;
+};
+
+// Static method to handle a token that could not be rotated
+// A token that was already rotated means two parties hold the family: kill all of it.
+// Exception: the immediate predecessor of the live token, shortly after it was rotated,
+// is a client retrying after a lost response; it rotates the live token instead.
+RefreshTokenSchema.statics.detectReuse = async function(tokenHash, context = {}) {
+  const presented = await this.findOne({ tokenHash }).select('userId familyId revokedReason revokedAt replacedBy deviceId deviceName platform');
+  if (!presented || presented.revokedReason !== 'rotated' || !presented.familyId) {
+    return null;
+  }
+
+  const graceMs = ACCOUNT_CONFIG.REFRESH_REUSE_GRACE_SECONDS * 1000;
+  if (presented.replacedBy && presented.revokedAt && Date.now() - presented.revokedAt.getTime() <= graceMs) {
+    // Only while the successor is still unused: once it has rotated, the predecessor is stale
+    const successor = await this.findOneAndUpdate(
+      { _id: presented.replacedBy, isRevoked: false, expiresAt: { $gt: new Date() } },
+      { $set: revocation('rotated') },
+      { new: true }
+    ).populate('userId', 'googleId name email profilePic');
+
+    if (successor) {
+      return {
+        newToken: await this.issueSuccessor(successor, presented.familyId, context),
+        user: successor.userId,
+        familyId: presented.familyId,
+        graceRetry: true
+      };
+    }
+  }
+
+  const result = await this.updateMany(
+    { familyId: presented.familyId, isRevoked: false },
+    { $set: revocation('reuse_detected') }
+  );
 
   return {
-    newToken: newRawToken,
-    user: existingToken.userId
+    reuseDetected: true,
+    userId: presented.userId,
+    familyId: presented.familyId,
+    revokedCount: result.modifiedCount,
+    deviceId: presented.deviceId,
+    deviceName: presented.deviceName,
+    platform: presented.platform
   };
 };
 
@@ -180,7 +280,7 @@ RefreshTokenSchema.statics.findValidSessionByDevice = async function(deviceId) {
 RefreshTokenSchema.statics.revokeAllForUser = async function(userId) {
   const result = await this.updateMany(
     { userId, isRevoked: false },
-    { $set: { isRevoked: true } }
+    { $set: revocation('logout_all') }
   );
   return result.modifiedCount;
 };
@@ -189,22 +289,38 @@ RefreshTokenSchema.statics.revokeAllForUser = async function(userId) {
 RefreshTokenSchema.statics.revokeForDevice = async function(userId, deviceId) {
   const result = await this.updateMany(
     { userId, deviceId, isRevoked: false },
-    { $set: { isRevoked: true } }
+    { $set: revocation('logout') }
   );
   return result.modifiedCount;
 };
 
+// Static method to check whether the session an access token belongs to is still signed in
+// A family is live while it holds an unrevoked, unexpired token
+RefreshTokenSchema.statics.isFamilyActive = async function(familyId) {
+  return !!(await this.exists({ familyId, isRevoked: false, expiresAt: { $gt: new Date() } }));
+};
+
 // Static method to get all active sessions for a user
 RefreshTokenSchema.statics.getActiveSessions = async function(userId) {
   const sessions = await this.find({
     userId,
     isRevoked: false,
     expiresAt: { $gt: new Date() }
-  }).select('deviceId deviceName platform createdAt lastUsedAt').sort({ lastUsedAt: -1 });
+  }).select('familyId deviceId deviceName platform createdAt lastUsedAt ipAddress').sort({ lastUsedAt: -1 });
 
   return sessions;
 };
 
+// Static method to get sessions killed by reuse detection since a date
+RefreshTokenSchema.statics.getRevokedSessions = async function(userId, since) {
+  return this.find({
+    userId,
+    revokedReason: 'reuse_detected',
+    revokedAt: { $gte: since }
+  }).select('familyId deviceId deviceName platform createdAt lastUsedAt revokedAt revokedReason ipAddress')
+    .sort({ revokedAt: -1 });
+};
+
 // Cleanup expired tokens (can be run as a cron job)
 RefreshTokenSchema.statics.cleanupExpired = async function() {
   const result = await this.deleteMany({
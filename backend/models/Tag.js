@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * Tag Model
+ * One document per hashtag parsed from video descriptions (Video.hashtags).
+ * `videoCount` moves with every video save and is reconciled daily;
+ * the 24h window, baseline and `trendingScore` are rewritten by the
+ * trending recalculation in recommendationScoreCron.
+ */
+const TagSchema = new mongoose.Schema({
+  tag: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  videoCount: {
+    type: Number,
+    default: 0
+  },
+  totalViews: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  // Activity in the trailing TRENDING_WINDOW_HOURS
+  uploads24h: {
+    type: Number,
+    default: 0
+  },
+  views24h: {
+    type: Number,
+    default: 0
+  },
+  // One entry per UTC day, newest last, capped at BASELINE_DAYS
+  dailyStats: [{
+    _id: false,
+    date: String, // YYYY-MM-DD
+    uploads: Number,
+    views: Number
+  }],
+  baselineUploads: {
+    type: Number,
+    default: 0
+  },
+  baselineViews: {
+    type: Number,
+    default: 0
+  },
+  trendingScore: {
+    type: Number,
+    default: 0
+  },
+  trendingUpdatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+TagSchema.index({ trendingScore: -1 });
+TagSchema.index({ videoCount: -1 });
+
+export default mongoose.model('Tag', TagSchema);
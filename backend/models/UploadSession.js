@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+/**
+ * UploadSession Model
+ * A resumable direct-to-R2 upload (S3 multipart). R2 is the source of truth for
+ * which parts have arrived; this record holds the layout (part size and count),
+ * ownership and expiry so the client can resume after an app restart and the
+ * janitor can abort uploads nobody is coming back for.
+ */
+const uploadSessionSchema = new mongoose.Schema({
+  userId: {
+    type: String, // googleId, as used by the upload routes
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  partSize: {
+    type: Number,
+    required: true
+  },
+  partCount: {
+    type: Number,
+    required: true
+  },
+  // Client-side file identity (e.g. name + size + modified time) used to find the session again
+  fingerprint: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'aborted', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ userId: 1, status: 1, fingerprint: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 }); // Janitor sweep
+
+export default mongoose.models.UploadSession || mongoose.model('UploadSession', uploadSessionSchema);
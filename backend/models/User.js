@@ -51,21 +51,7 @@ const UserSchema = new mongoose.Schema({
       'paypal', 'stripe', 'wise', 'payoneer'
     ]
   },
-  paymentDetails: {
-    // UPI
-    upiId: String,
-    // **NEW: Card Payment Details**
-    cardDetails: {
-      cardNumber: String,
-      expiryDate: String,
-      cvv: String,
-      cardholderName: String
-    },
-    // International
-    paypalEmail: String,
-    stripeAccountId: String,
-    wiseEmail: String
-  },
+  // Payout destinations (UPI ID, PayPal/Wise email, card) live encrypted in PayoutDestination
   country: {
     type: String,
     default: 'IN'
@@ -168,19 +154,25 @@ const UserSchema = new mongoose.Schema({
     },
     instagram: {
       connected: { type: Boolean, default: false },
-      accessToken: String,
+      accessToken: String, // Long-lived Facebook Login user token (60 days)
+      expiryDate: Number,
       instagramUserId: String,
       userName: String
     },
     facebook: {
       connected: { type: Boolean, default: false },
-      accessToken: String,
+      accessToken: String, // Page token used for publishing
+      userAccessToken: String, // Long-lived user token the page token is re-derived from
+      expiryDate: Number,
       pageId: String,
       pageName: String
     },
     linkedin: {
       connected: { type: Boolean, default: false },
       accessToken: String,
+      refreshToken: String,
+      expiryDate: Number,
+      refreshTokenExpiryDate: Number,
       urn: String,
       name: String
     }
@@ -1,5 +1,13 @@
 import mongoose from 'mongoose';
 import View from './View.js';
+import Tag from './Tag.js';
+import { extractHashtags } from '../utils/hashtags.js';
+import {
+  isSearchIndexBound,
+  queueSearchSync,
+  touchesSearchableFields,
+  SEARCHABLE_FIELDS
+} from '../services/searchServices/searchIndexSync.js';
 
 const videoSchema = new mongoose.Schema({
   videoName: {
@@ -16,6 +24,22 @@ const videoSchema = new mongoose.Schema({
     required: false,
     default: ''
   },
+  // Where thumbnailUrl came from: 'auto' may be replaced by the best-scored candidate,
+  // 'candidate' and 'custom' were chosen by the creator and are never overwritten
+  thumbnailSource: {
+    type: String,
+    enum: ['auto', 'candidate', 'custom'],
+    default: 'auto'
+  },
+  // Frames offered in the thumbnail picker, best score first
+  thumbnailCandidates: [{
+    _id: false,
+    url: String,
+    timestamp: Number, // Seconds into the video
+    sharpness: Number, // Variance of the Laplacian
+    faceScore: Number, // 0-1, confidence of the most likely face
+    score: Number
+  }],
   description: {
     type: String,
     trim: true
@@ -64,6 +88,11 @@ const videoSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // **Denormalized from Comment collection (live, non-deleted comments + replies)**
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   skipCount: {
     type: Number,
     default: 0,
@@ -100,6 +129,11 @@ const videoSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   }],
+  // **NEW: #hashtags parsed from description (kept in sync by the save/update hooks below)**
+  hashtags: [{
+    type: String,
+    trim: true
+  }],
   aspectRatio: {
     type: Number
   },
@@ -134,7 +168,8 @@ const videoSchema = new mongoose.Schema({
   // **NEW: Video processing status**
   processingStatus: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'flagged'],
+    // moderating: transcoded and playable by the owner, hidden from everyone else until the scan passes
+    enum: ['pending', 'processing', 'moderating', 'completed', 'failed', 'flagged'],
     default: 'pending'
   },
   processingProgress: {
@@ -146,6 +181,31 @@ const videoSchema = new mongoose.Schema({
   processingError: {
     type: String
   },
+  // **NEW: Resumable pipeline state**
+  // Per-step checkpoints keyed by step name; a re-queued job skips completed steps
+  processingCheckpoints: {
+    type: Map,
+    of: new mongoose.Schema({
+      status: { type: String, enum: ['running', 'completed', 'failed'] },
+      attempts: { type: Number, default: 0 },
+      startedAt: Date,
+      completedAt: Date,
+      durationMs: Number,
+      error: String,
+      output: mongoose.Schema.Types.Mixed
+    }, { _id: false }),
+    default: {}
+  },
+  processingStep: String, // Step currently (or last) executing
+  processingHeartbeatAt: Date, // Bumped on step transitions and progress, used to detect stuck jobs
+  processingJob: {
+    // Original job payload so an admin retry can re-queue after BullMQ dropped the job
+    rawVideoKey: String,
+    videoName: String,
+    userId: String,
+    thumbnailKey: String,
+    crossPostPlatforms: [String]
+  },
   
   // **NEW: Video metadata**
   originalSize: {
@@ -264,9 +324,87 @@ const videoSchema = new mongoose.Schema({
     provider: {
       type: String,
       default: 'local-transformers'
+    },
+    // allow | review (queued, stays visible) | hold (queued, hidden until reviewed)
+    action: {
+      type: String,
+      enum: ['allow', 'review', 'hold'],
+      default: 'allow'
+    },
+    source: {
+      type: String // frame | title | description
+    },
+    signals: [{
+      _id: false,
+      source: String,
+      label: String,
+      score: Number
+    }],
+    error: {
+      type: String
+    },
+    reviewStatus: {
+      type: String,
+      enum: ['none', 'pending', 'approved', 'rejected', 'age_restricted'],
+      default: 'none'
+    },
+    reviewNote: {
+      type: String
+    },
+    reviewedAt: {
+      type: Date
+    },
+    reviewedBy: {
+      type: String // Admin account email
     }
   },
+  isAgeRestricted: {
+    type: Boolean,
+    default: false
+  },
+  // **NEW: Near-duplicate of another creator's earlier upload (perceptual fingerprint match)**
+  duplicateOf: {
+    videoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Video' },
+    uploader: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    similarity: Number,
+    frameSimilarity: Number,
+    audioSimilarity: Number,
+    detectedAt: Date
+  },
+  // Set with duplicateOf; ads still run but nothing is attributed to the uploader
+  monetizationBlocked: {
+    type: Boolean,
+    default: false
+  },
   
+  // **NEW: Caption tracks (also listed as SUBTITLES renditions in the HLS master playlist)**
+  // Cues live in VideoCaption; these entries are what players need
+  captions: [{
+    _id: false,
+    language: String, // CAPTION_CONFIG.LANGUAGES key
+    code: String, // BCP-47, e.g. 'hi'
+    name: String,
+    url: String, // WebVTT
+    playlistUrl: String, // Subtitle media playlist
+    isOriginal: { type: Boolean, default: false },
+    isAuto: { type: Boolean, default: true }
+  }],
+  captionStatus: {
+    type: String,
+    enum: ['none', 'processing', 'completed', 'failed'],
+    default: 'none'
+  },
+
+  // **NEW: Seek-bar preview sprites**
+  // WebVTT whose cues point at tiles of the sprite sheets next to it (sprite_000.jpg#xywh=x,y,w,h)
+  previewSprites: {
+    vttUrl: String,
+    interval: Number, // Seconds between tiles
+    tileWidth: Number,
+    tileHeight: Number,
+    sheetUrls: [String]
+  },
+
   // **NEW: Persistent Dubbed URLs**
   // Stores URLs of dubbed versions (e.g., { hi: "url", en: "url" })
   dubbedUrls: {
@@ -340,6 +478,24 @@ const videoSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
     index: true
+  },
+
+  // **NEW: Drafts & scheduled publishing**
+  // Only 'public' videos reach feeds, search and other creators' profiles.
+  // Videos saved before this field existed have no value and count as public.
+  visibility: {
+    type: String,
+    enum: ['public', 'draft', 'scheduled'],
+    default: 'public'
+  },
+  publishAt: {
+    type: Date // UTC instant a 'scheduled' video goes live
+  },
+  publishTimezone: {
+    type: String // IANA zone the creator scheduled in, for showing publishAt back to them
+  },
+  publishedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -350,6 +506,8 @@ videoSchema.index({ uploader: 1, uploadedAt: -1 });
 videoSchema.index({ uploader: 1, createdAt: -1 }); // **OPTIMIZATION: Match route sort order**
 videoSchema.index({ uploader: 1, processingStatus: 1, createdAt: -1 }); // **OPTIMIZATION: Multi-criteria filter for getUserVideos**
 videoSchema.index({ processingStatus: 1 });
+videoSchema.index({ 'moderationResult.reviewStatus': 1, updatedAt: -1 }); // Moderation review queue
+videoSchema.index({ 'duplicateOf.videoId': 1 }, { sparse: true }); // Copies of a video
 videoSchema.index({ 'qualitiesGenerated.quality': 1 });
 // **NEW: Compound index for faster duplicate queries**
 videoSchema.index({ uploader: 1, videoHash: 1 });
@@ -359,6 +517,20 @@ videoSchema.index({ videoType: 1, finalScore: -1 }); // **OPTIMIZATION: For feed
 videoSchema.index({ videoType: 1, uploadedAt: -1 }); // **OPTIMIZATION: For freshness priority**
 videoSchema.index({ uploadedAt: -1 }); // **OPTIMIZATION: General recency sort**
 videoSchema.index({ createdAt: -1 }); // **OPTIMIZATION: For cursor-based pagination**
+videoSchema.index({ processingStatus: 1, processingHeartbeatAt: 1 }); // Admin stuck/failed job listing
+videoSchema.index({ hashtags: 1, uploadedAt: -1, _id: -1 }); // Tag pages (recent)
+videoSchema.index({ hashtags: 1, finalScore: -1, _id: -1 }); // Tag pages (top)
+videoSchema.index({ visibility: 1, publishAt: 1 }); // Scheduled publishing sweep
+
+export const UNPUBLISHED_VISIBILITIES = ['draft', 'scheduled'];
+
+/**
+ * Match for videos viewers may see (spread into any public listing query).
+ * Returns a fresh object each call because Mongoose casts filters in place.
+ */
+export const publishedMatch = () => ({ visibility: { $nin: UNPUBLISHED_VISIBILITIES } });
+
+export const isPublished = (video) => !UNPUBLISHED_VISIBILITIES.includes(video?.visibility);
 
 // **NEW: Virtual field to check if video has multiple qualities**
 videoSchema.virtual('hasMultipleQualities').get(function() {
@@ -421,5 +593,89 @@ videoSchema.methods.incrementView = async function(userId, duration = 2, source
   );
 };
 
+// **NEW: Hashtags + per-tag counters**
+// Remember what was stored so a save can apply only the difference to Tag.videoCount
+videoSchema.post('init', function(doc) {
+  if (doc.isSelected('hashtags')) doc.$locals.storedHashtags = [...(doc.hashtags || [])];
+});
+
+videoSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('description')) {
+    this.hashtags = extractHashtags(this.description);
+  }
+  next();
+});
+
+videoSchema.post('save', function(doc) {
+  // Loaded without the hashtags path: we can't diff, leave it to the reconcile
+  if (!doc.$locals.storedHashtags && !doc.isSelected('hashtags')) return;
+  const before = doc.$locals.storedHashtags || [];
+  const after = doc.hashtags || [];
+
+  const added = after.filter(tag => !before.includes(tag));
+  const removed = before.filter(tag => !after.includes(tag));
+  doc.$locals.storedHashtags = [...after];
+  if (added.length === 0 && removed.length === 0) return;
+
+  const now = new Date();
+  Tag.bulkWrite([
+    ...added.map(tag => ({
+      updateOne: { filter: { tag }, update: { $inc: { videoCount: 1 }, $set: { lastUsedAt: now } }, upsert: true }
+    })),
+    ...removed.map(tag => ({
+      updateOne: { filter: { tag }, update: { $inc: { videoCount: -1 } } }
+    }))
+  ], { ordered: false }).catch(error => console.warn('⚠️ Video Hook: Failed to update tag counters:', error.message));
+});
+
+// Query updates that rewrite the description re-derive hashtags in the same write
+// (counters for these paths are corrected by the daily tag reconcile)
+function syncHashtagsInUpdate() {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+  const description = update.$set?.description ?? update.description;
+  if (description === undefined) return;
+  this.setUpdate({ ...update, $set: { ...(update.$set || {}), hashtags: extractHashtags(description) } });
+}
+
+videoSchema.pre('findOneAndUpdate', syncHashtagsInUpdate);
+videoSchema.pre('updateOne', syncHashtagsInUpdate);
+videoSchema.pre('updateMany', syncHashtagsInUpdate);
+
+// **NEW: Incremental search index sync**
+// Only active when the search provider keeps its own index (local / meilisearch).
+videoSchema.pre('save', function(next) {
+  this.$locals.searchDirty = this.isNew || SEARCHABLE_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+videoSchema.post('save', function(doc) {
+  if (doc.$locals.searchDirty) queueSearchSync([doc._id]);
+});
+
+// Query writes: resolve affected ids up front (deleted docs can't be looked up afterwards)
+async function captureSearchSyncIds(isDelete) {
+  if (!isSearchIndexBound()) return;
+  if (!isDelete && !touchesSearchableFields(this.getUpdate())) return;
+  try {
+    this._searchSyncIds = await this.model.find(this.getFilter()).distinct('_id');
+  } catch (error) {
+    console.warn('⚠️ Video Hook: Failed to resolve ids for search sync:', error.message);
+  }
+}
+
+function flushSearchSyncIds() {
+  if (this._searchSyncIds?.length) queueSearchSync(this._searchSyncIds);
+}
+
+for (const op of ['findOneAndUpdate', 'updateOne', 'updateMany']) {
+  videoSchema.pre(op, function() { return captureSearchSyncIds.call(this, false); });
+  videoSchema.post(op, flushSearchSyncIds);
+}
+for (const op of ['findOneAndDelete', 'deleteOne', 'deleteMany']) {
+  videoSchema.pre(op, function() { return captureSearchSyncIds.call(this, true); });
+  videoSchema.post(op, flushSearchSyncIds);
+}
+
 export default mongoose.model('Video', videoSchema);
 
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * VideoCaption Model
+ * Editable cues of one caption track (one language of one video). The WebVTT
+ * file in R2 and the entry in Video.captions are regenerated from these cues
+ * whenever they change. `isAuto` stays true until the creator edits the track.
+ */
+const cueSchema = new mongoose.Schema({
+  start: { type: Number, required: true }, // Seconds
+  end: { type: Number, required: true },
+  text: { type: String, required: true }
+}, { _id: false });
+
+const videoCaptionSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  language: {
+    type: String, // CAPTION_CONFIG.LANGUAGES key, e.g. 'hindi'
+    required: true
+  },
+  isOriginal: {
+    type: Boolean,
+    default: false // true for the transcript, false for translations of it
+  },
+  isAuto: {
+    type: Boolean,
+    default: true
+  },
+  cues: {
+    type: [cueSchema],
+    default: []
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+videoCaptionSchema.index({ videoId: 1, language: 1 }, { unique: true });
+
+export default mongoose.models.VideoCaption || mongoose.model('VideoCaption', videoCaptionSchema);
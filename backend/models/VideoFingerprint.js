@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * VideoFingerprint Model
+ * Perceptual fingerprint of a processed upload, used to find re-encoded,
+ * cropped or trimmed copies across creators.
+ * `frameHashes` are 64-bit difference hashes (16 hex chars) of evenly sampled
+ * frames; `bands` splits each hash into 16-bit slices ("<slot>:<hex>") so a
+ * near-duplicate lookup is an indexed $in instead of a collection scan.
+ * `audioBits` is the rise/fall pattern of the audio energy envelope (hex packed).
+ */
+const videoFingerprintSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true,
+    unique: true
+  },
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  frameHashes: {
+    type: [String],
+    default: []
+  },
+  bands: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  audioBits: {
+    type: String,
+    default: null
+  },
+  audioBitCount: {
+    type: Number,
+    default: 0
+  },
+  version: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.models.VideoFingerprint || mongoose.model('VideoFingerprint', videoFingerprintSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * VideoRetention Model
+ * Pre-aggregated playback exits for one video, fed by the watch tracking endpoints.
+ * `exitBins` counts sessions by where playback stopped, in RETENTION_BIN_PERCENT
+ * slices of the video ("0".."49"), with "50" for sessions that reached the end.
+ * The retention curve is the running suffix sum of these counts.
+ */
+const videoRetentionSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true,
+    unique: true
+  },
+  sessions: {
+    type: Number,
+    default: 0
+  },
+  exitBins: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  percentViewedSum: {
+    type: Number,
+    default: 0 // Sum of per-session viewed fractions (0..1)
+  },
+  completions: {
+    type: Number,
+    default: 0
+  },
+  rewatches: {
+    type: Number,
+    default: 0 // Sessions that looped or came back to a video already watched
+  },
+  earlySkips: {
+    type: Number,
+    default: 0 // Sessions that left within the first 3 seconds
+  },
+  lastEventAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.models.VideoRetention || mongoose.model('VideoRetention', videoRetentionSchema);
@@ -38,6 +38,8 @@ const viewSchema = new mongoose.Schema({
 
 // Compound index to quickly check "Has User X seen Video Y?"
 viewSchema.index({ video: 1, user: 1 }, { background: true });
+// Windowed view counts (tag trending)
+viewSchema.index({ createdAt: -1 });
 
 // TTL Index: Optional, if we want to auto-delete views after 1 year to save space?
 // For now, let's keep them forever as per "Lifetime Views" logic.
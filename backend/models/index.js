@@ -16,5 +16,17 @@ import './FeedHistory.js';
 import './AppConfig.js';
 import './Notice.js';
 import './CreatorDailyStats.js';
+import './Comment.js';
+import './Tag.js';
+import './PaymentWebhookEvent.js';
+import './VideoRetention.js';
+import './AccountDeletion.js';
+import './VideoFingerprint.js';
+import './VideoCaption.js';
+import './DubbingJob.js';
+import './AdminAccount.js';
+import './AuditLog.js';
+import './UploadSession.js';
+import './PayoutDestination.js';
 
 console.log('✅ All models imported and registered successfully');
@@ -1,10 +1,18 @@
 import express from 'express';
 import { verifyToken } from '../../utils/verifytoken.js';
 import AdCreative from '../../models/AdCreative.js';
-import Comment from '../models/Comment.js';
+import Comment from '../../models/Comment.js';
+import User from '../../models/User.js';
 
 const router = express.Router();
 
+// Comments reference the Mongo _id of the user, req.user.id is the Google ID
+const resolveUserObjectId = async (req) => {
+  if (req.user?._id) return req.user._id.toString();
+  const user = await User.findOne({ googleId: req.user?.googleId || req.user?.id }).select('_id').lean();
+  return user ? user._id.toString() : null;
+};
+
 // **GET AD COMMENTS: Fetch comments for a specific ad**
 router.get('/:adId', verifyToken, async (req, res) => {
   try {
@@ -30,7 +38,8 @@ router.get('/:adId', verifyToken, async (req, res) => {
     // Get comments for this ad
     const comments = await Comment.find({ 
       targetType: 'ad',
-      targetId: adId 
+      targetId: adId,
+      isDeleted: false
     })
     .populate('user', 'name profilePic')
     .sort({ createdAt: -1 })
@@ -39,7 +48,8 @@ router.get('/:adId', verifyToken, async (req, res) => {
 
     const totalComments = await Comment.countDocuments({ 
       targetType: 'ad',
-      targetId: adId 
+      targetId: adId,
+      isDeleted: false
     });
 
     res.json({
@@ -68,7 +78,14 @@ router.post('/:adId', verifyToken, async (req, res) => {
   try {
     const { adId } = req.params;
     const { content } = req.body;
-    const userId = req.user.id;
+    const userId = await resolveUserObjectId(req);
+
+    if (!userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
     // Validate input
     if (!content || content.trim().length === 0) {
@@ -135,11 +152,11 @@ router.post('/:adId', verifyToken, async (req, res) => {
 router.delete('/:adId/:commentId', verifyToken, async (req, res) => {
   try {
     const { adId, commentId } = req.params;
-    const userId = req.user.id;
+    const userId = await resolveUserObjectId(req);
 
     // Find comment
     const comment = await Comment.findById(commentId);
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
       return res.status(404).json({
         success: false,
         message: 'Comment not found'
@@ -147,7 +164,7 @@ router.delete('/:adId/:commentId', verifyToken, async (req, res) => {
     }
 
     // Verify comment belongs to this ad
-    if (comment.targetType !== 'ad' || comment.targetId !== adId) {
+    if (comment.targetType !== 'ad' || comment.targetId.toString() !== adId) {
       return res.status(400).json({
         success: false,
         message: 'Comment does not belong to this ad'
@@ -156,7 +173,7 @@ router.delete('/:adId/:commentId', verifyToken, async (req, res) => {
 
     // Check if user can delete (comment author or ad owner)
     const ad = await AdCreative.findById(adId).populate('campaign');
-    const isCommentAuthor = comment.user.toString() === userId;
+    const isCommentAuthor = !!userId && comment.user.toString() === userId;
     const isAdOwner = ad?.campaign?.advertiser?.toString() === userId;
 
     if (!isCommentAuthor && !isAdOwner) {
@@ -166,11 +183,11 @@ router.delete('/:adId/:commentId', verifyToken, async (req, res) => {
       });
     }
 
-    // Delete comment
-    await Comment.findByIdAndDelete(commentId);
+    // Soft delete comment
+    const deleted = await Comment.softDelete(comment, userId);
 
     // Update ad comment count
-    if (ad) {
+    if (ad && deleted) {
       ad.comments = Math.max((ad.comments || 1) - 1, 0);
       await ad.save();
     }
@@ -193,11 +210,11 @@ router.delete('/:adId/:commentId', verifyToken, async (req, res) => {
 router.post('/:adId/:commentId/like', verifyToken, async (req, res) => {
   try {
     const { adId, commentId } = req.params;
-    const userId = req.user.id;
+    const userId = await resolveUserObjectId(req);
 
     // Find comment
     const comment = await Comment.findById(commentId);
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
       return res.status(404).json({
         success: false,
         message: 'Comment not found'
@@ -205,29 +222,28 @@ router.post('/:adId/:commentId/like', verifyToken, async (req, res) => {
     }
 
     // Verify comment belongs to this ad
-    if (comment.targetType !== 'ad' || comment.targetId !== adId) {
+    if (comment.targetType !== 'ad' || comment.targetId.toString() !== adId) {
       return res.status(400).json({
         success: false,
         message: 'Comment does not belong to this ad'
       });
     }
 
-    // Toggle like
-    const isLiked = comment.likedBy.includes(userId);
-    if (isLiked) {
-      comment.likedBy = comment.likedBy.filter(id => id.toString() !== userId);
-      comment.likes = Math.max(comment.likes - 1, 0);
-    } else {
-      comment.likedBy.push(userId);
-      comment.likes += 1;
+    if (!userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
     }
 
-    await comment.save();
+    // Toggle like
+    const { liked, likes } = await Comment.toggleLike(commentId, userId);
 
     res.json({
       success: true,
-      message: isLiked ? 'Comment unliked' : 'Comment liked',
-      comment
+      message: liked ? 'Comment liked' : 'Comment unliked',
+      isLiked: liked,
+      likes
     });
   } catch (error) {
     console.error('❌ Error liking ad comment:', error);
@@ -2,13 +2,15 @@ import express from 'express';
 import { asyncHandler } from '../../middleware/errorHandler.js';
 import adService from '../../services/adServices/adService.js';
 import redisService from '../../services/caching/redisService.js';
+import budgetLedgerService from '../../services/adServices/budgetLedger/BudgetLedgerService.js';
+import adEngine from '../../services/adServices/adEngine/index.js';
 
 const router = express.Router();
 
 // GET /ads/serve - Get active ads for serving with targeting
 // **NEW: Redis caching integrated for faster ad serving**
 router.get('/serve', asyncHandler(async (req, res) => {
-  const { userId, platform, location, videoCategory, videoTags, videoKeywords, adType } = req.query;
+  const { userId, videoId, platform, location, videoCategory, videoTags, videoKeywords, adType } = req.query;
   
   // Parse comma-separated tags and keywords
   const parsedTags = videoTags ? videoTags.split(',').map(t => t.trim()) : [];
@@ -17,12 +19,24 @@ router.get('/serve', asyncHandler(async (req, res) => {
   // **NEW: Generate cache key based on targeting parameters**
   const cacheKey = `ads:serve:${adType || 'all'}:${videoCategory || 'all'}:${parsedTags.join(',')}:${parsedKeywords.join(',')}`;
   
+  // Frequency caps and serve tokens are per viewer, so they are applied after the shared cache
+  const userKey = req.user?._id?.toString() ||
+    (/^[a-f0-9]{24}$/i.test(userId || '') ? userId : null) ||
+    req.headers['x-device-id'];
+  const respond = async (payload) => {
+    const servable = await budgetLedgerService.filterByFrequency(payload.ads, userKey);
+    const ads = await adEngine.issueServeTokens(servable, { userKey, videoId });
+    // Tokens are single-use and bound to this viewer: never let a shared cache replay them
+    res.set('Cache-Control', 'private, no-store');
+    return res.json({ ...payload, ads, count: ads.length });
+  };
+  
   // **NEW: Try to get from Redis cache first (cache for 2 minutes)**
   if (redisService.getConnectionStatus()) {
     const cached = await redisService.get(cacheKey);
     if (cached) {
       console.log(`✅ Ad Cache HIT: ${cacheKey}`);
-      return res.json(cached);
+      return respond(cached);
     }
     console.log(`❌ Ad Cache MISS: ${cacheKey}`);
   }
@@ -55,15 +69,15 @@ router.get('/serve', asyncHandler(async (req, res) => {
     console.log(`✅ Cached ad response: ${cacheKey}`);
   }
   
-  res.json(response);
+  return respond(response);
 }));
 
 // POST /ads/track-click/:adId - Track ad clicks
 router.post('/track-click/:adId', asyncHandler(async (req, res) => {
   const { adId } = req.params;
-  const { userId, platform, location } = req.body;
+  const { userId, platform, location, serveToken } = req.body;
   
-  const result = await adService.trackAdClick(adId, { userId, platform, location });
+  const result = await adService.trackAdClick(adId, { userId, platform, location, serveToken });
   
   res.json(result);
 }));
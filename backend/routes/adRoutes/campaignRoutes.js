@@ -4,6 +4,9 @@ import { validateCampaignData, validatePagination } from '../../middleware/valid
 import AdCampaign from '../../models/AdCampaign.js';
 import AdCreative from '../../models/AdCreative.js';
 import Invoice from '../../models/Invoice.js';
+import User from '../../models/User.js';
+import { verifyToken } from '../../utils/verifytoken.js';
+import refundService from '../../services/adServices/billing/RefundService.js';
 
 const router = express.Router();
 
@@ -173,4 +176,29 @@ router.post('/:id/activate', asyncHandler(async (req, res) => {
   });
 }));
 
+// POST /ads/campaigns/:id/cancel - Stop a campaign early and refund its unspent budget pro rata
+router.post('/:id/cancel', verifyToken, asyncHandler(async (req, res) => {
+  const campaignId = req.params.id;
+
+  const [campaign, user] = await Promise.all([
+    AdCampaign.findById(campaignId).select('advertiserUserId').lean(),
+    User.findOne({ googleId: req.user.googleId }).select('_id').lean()
+  ]);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  if (!user || campaign.advertiserUserId.toString() !== user._id.toString()) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  const result = await refundService.cancelCampaign(campaignId, { reason: req.body?.reason });
+
+  res.json({
+    message: result.refunds.length > 0
+      ? 'Campaign cancelled; unspent budget is being refunded'
+      : 'Campaign cancelled',
+    ...result
+  });
+}));
+
 export default router;
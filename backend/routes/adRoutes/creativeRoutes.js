@@ -5,6 +5,8 @@ import AdCreative from '../../models/AdCreative.js';
 import AdCampaign from '../../models/AdCampaign.js';
 import User from '../../models/User.js';
 import cloudflareR2Service from '../../services/uploadServices/cloudflareR2Service.js';
+import adService from '../../services/adServices/adService.js';
+import adEngine from '../../services/adServices/adEngine/index.js';
 
 const router = express.Router();
 
@@ -362,8 +364,18 @@ router.get('/carousel', asyncHandler(async (req, res) => {
     }
     
     console.log(`✅ Successfully processed ${carouselAds.length} carousel ads`);
-    
-    res.json(carouselAds);
+
+    // Serve tokens are bound to the video the carousel is shown on (?videoId=); without one
+    // the ads are returned unbillable
+    const userKey = req.user?._id?.toString() || req.headers['x-device-id'] || null;
+    const servedAds = await adEngine.issueServeTokens(
+      carouselAds.map(ad => ({ ...ad, adType: 'carousel' })),
+      { userKey, videoId: req.query.videoId }
+    );
+
+    // Tokens are single-use and bound to this viewer: never let a shared cache replay them
+    res.set('Cache-Control', 'private, no-store');
+    res.json(servedAds);
     
   } catch (error) {
     console.error('❌ Error fetching carousel ads:', error);
@@ -484,6 +496,8 @@ router.post('/carousel/:id/click', asyncHandler(async (req, res) => {
     // Increment click count
     creative.clicks = (creative.clicks || 0) + 1;
     await creative.save();
+
+    await adService.billClick(creative, req.body?.serveToken);
     
     console.log(`✅ Click tracked for carousel ad ${id}. New count: ${creative.clicks}`);
     
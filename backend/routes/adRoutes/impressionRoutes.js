@@ -3,12 +3,16 @@ import mongoose from 'mongoose';
 import AdCreative from '../../models/AdCreative.js';
 import AdImpression from '../../models/AdImpression.js';
 import User from '../../models/User.js';
-import Video from '../../models/Video.js'; // Import Video model to fetch creatorId
+import Video from '../../models/Video.js';
 import CreatorMonthlyStat from '../../models/CreatorMonthlyStat.js';
 import { AD_CONFIG } from '../../constants/index.js';
+import budgetLedgerService from '../../services/adServices/budgetLedger/BudgetLedgerService.js';
+import serveTokenService, { ServeTokenError } from '../../services/adServices/adEngine/serveToken/ServeTokenService.js';
 
 const router = express.Router();
-const DAILY_VIEW_FREQUENCY_CAP = 3;
+
+// Rejections that can be pinned on a genuine token, and so on the creator it was served for
+const INVALID_TRAFFIC_REASONS = ['replay', 'expired', 'viewer_mismatch', 'wrong_ad_type'];
 
 // **OPTIMIZATION: In-memory cache for Google ID to Mongo ObjectID mapping**
 // This reduces redundant User.findOne calls which were taking ~95ms each
@@ -49,26 +53,40 @@ async function normalizeUserId(userId) {
   return null;
 }
 
+// Clearing price the second-price auction set for this slot, carried in its serve token.
+// Falls back to the flat config CPM for slots served without an auction.
+function resolveClearingPrice(claims, adType) {
+  const fallbackCpm = adType === 'banner' ? (AD_CONFIG?.BANNER_CPM ?? 10) : (AD_CONFIG?.DEFAULT_CPM ?? 30);
+  const clearingCpm = Number(claims.px?.cpm) || fallbackCpm;
+
+  return {
+    bidType: claims.px?.bt || AD_CONFIG.DEFAULT_BID_TYPE,
+    clearingCpm,
+    clearingPrice: clearingCpm / 1000
+  };
+}
+
+// IST 'YYYY-MM' bucket of CreatorMonthlyStat
+function currentYearMonth() {
+  const ist = new Date(Date.now() + (5.5 * 60 * 60 * 1000));
+  return `${ist.getUTCFullYear()}-${String(ist.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
 // **NEW: Helper to update real-time revenue stats**
-async function updateMonthlyStats(creatorId, adType) {
+async function updateMonthlyStats(creatorId, adType, clearingPrice) {
   if (!creatorId) return;
 
   try {
-    // Calculate IST yearMonth
-    const now = new Date();
-    const ist = new Date(now.getTime() + (5.5 * 60 * 60 * 1000));
-    const yearMonth = `${ist.getUTCFullYear()}-${String(ist.getUTCMonth() + 1).padStart(2, '0')}`;
+    const yearMonth = currentYearMonth();
 
     const update = { $inc: {} };
-    const bannerCpm = AD_CONFIG?.BANNER_CPM ?? 10;
-    const carouselCpm = AD_CONFIG?.DEFAULT_CPM ?? 30;
 
     if (adType === 'banner') {
       update.$inc.bannerImpressions = 1;
-      update.$inc.grossRevenue = (1 / 1000) * bannerCpm;
+      update.$inc.grossRevenue = clearingPrice;
     } else if (adType === 'carousel') {
       update.$inc.carouselImpressions = 1;
-      update.$inc.grossRevenue = (1 / 1000) * carouselCpm;
+      update.$inc.grossRevenue = clearingPrice;
     }
 
     await CreatorMonthlyStat.findOneAndUpdate(
@@ -82,151 +100,128 @@ async function updateMonthlyStats(creatorId, adType) {
   }
 }
 
-// POST /ads/impressions/banner - Track banner ad impression
-router.post('/impressions/banner', async (req, res) => {
+// **NEW: Count a rejected beacon against the creator it would have paid, for review before payouts**
+// Token-less beacons come from outdated app builds, not from the creator's audience: they are
+// kept out of invalidTrafficTotal so they don't bury real fraud in the review queue
+async function recordInvalidTraffic(creatorId, reason) {
+  if (!creatorId) return;
+
   try {
-    const { videoId, adId, userId, creatorId: providedCreatorId } = req.body;
-    // **FIXED: Normalize userId (Google ID to MongoDB ObjectId)**
-    const normalizedUserId = await normalizeUserId(userId);
-    if (userId && !normalizedUserId) {
-      // Don't log spam for every request, just keep track
-    }
+    const inc = { [`invalidTraffic.${reason}`]: 1 };
+    if (reason !== 'missing_token') inc.invalidTrafficTotal = 1;
+    await CreatorMonthlyStat.findOneAndUpdate(
+      { creatorId, yearMonth: currentYearMonth() },
+      { $inc: inc },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('⚠️ Error recording invalid ad traffic:', error);
+  }
+}
 
-    if (!adId) {
-      return res.status(400).json({ error: 'Ad ID is required' });
-    }
+// Creator of the video a token-less beacon names; only used to file it for review
+async function resolveVideoCreator(videoId) {
+  if (!videoId || !mongoose.isValidObjectId(videoId)) return { video: null, creatorId: null };
+  const video = await Video.findById(videoId).select('uploader monetizationBlocked').lean();
+  return { video, creatorId: video && !video.monetizationBlocked ? String(video.uploader) : null };
+}
 
-    if (!videoId) {
-      return res.status(400).json({ error: 'Video ID is required' });
-    }
+// Verify and spend the beacon's serve token. On rejection the response is sent and null returned.
+async function redeemServeToken(req, res, stage, adType, normalizedUserId) {
+  const { serveToken, videoId } = req.body;
 
-    // Find the creative and increment impression count (for global tracking)
-    const creative = await AdCreative.findById(adId);
-    if (!creative) {
-      console.error('❌ Ad creative not found:', adId);
-      return res.status(404).json({ error: 'Ad not found' });
-    }
+  if (!serveToken && AD_CONFIG.ACCEPT_TOKENLESS_BEACONS) {
+    const { creatorId } = await resolveVideoCreator(videoId);
+    await recordInvalidTraffic(creatorId, 'missing_token');
+    // 200 so older builds don't queue the beacon for an offline retry
+    res.status(200).json({ success: true, billed: false, reason: 'missing_token' });
+    return null;
+  }
 
-    // **FIXED: Track video-specific impression in AdImpression collection**
-    try {
-      // **OPTIMIZATION: Get creatorId from request or fetch from Video**
-      let creatorId = providedCreatorId;
-        
-      if (!creatorId) {
-        const video = await Video.findById(videoId).select('uploader').lean();
-        creatorId = video ? video.uploader : null;
-      }
+  const viewerKeys = [req.user?._id?.toString(), normalizedUserId?.toString(), req.headers['x-device-id']];
 
-      // **NEW: PREVENT SELF-IMPRESSION**
-      // If the viewer matches the video owner, do NOT count it as an impression
-      if (normalizedUserId && creatorId && normalizedUserId.toString() === creatorId.toString()) {
-        console.log(`🚫 Self-impression prevented: User ${normalizedUserId} viewing own video ${videoId}`);
-        // We still return success to the frontend so it doesn't think something broke, 
-        // but we don't record the impression.
-        return res.status(200).json({ 
-          success: true,
-          message: 'Self-impression ignored',
-          ignored: true 
-        });
-      }
+  try {
+    // The token names the video and creator; the beacon's videoId is never trusted
+    return await serveTokenService.redeem(serveToken, stage, { adType, viewerKeys });
+  } catch (error) {
+    if (!(error instanceof ServeTokenError)) throw error;
 
-      // Create new impression record
-      await AdImpression.create({
-        videoId: videoId,
-        adId: adId,
-        userId: normalizedUserId,
-        creatorId: creatorId, // **NEW: Save creatorId for fast lookup**
-        adType: 'banner',
-        impressionType: 'view',
-        timestamp: new Date()
-      });
-    } catch (impressionError) {
-      // Log error but don't fail the request
-      console.error('⚠️ Error creating impression record:', impressionError);
+    if (INVALID_TRAFFIC_REASONS.includes(error.reason)) {
+      await recordInvalidTraffic(error.claims?.cr, error.reason);
     }
+    console.warn(`🚫 Rejected ${adType} ${stage} beacon: ${error.reason}`);
+    res.status(error.statusCode).json({ success: false, error: error.message, reason: error.reason });
+    return null;
+  }
+}
 
-    // Increment global impressions count (for backward compatibility)
-    creative.impressions = (creative.impressions || 0) + 1;
-    await creative.save();
-
-    // console.log(`✅ Banner ad impression tracked. Ad: ${adId}, Global count: ${creative.impressions}`);
+const isDuplicateKeyError = (error) => error?.code === 11000;
 
-    res.status(200).json({ 
-      success: true,
-      message: 'Banner ad impression tracked successfully',
-      impressions: creative.impressions
-    });
-  } catch (error) {
-    console.error('❌ Error tracking banner ad impression:', error);
-    res.status(500).json({ 
-      error: 'Failed to track banner ad impression',
-      message: error.message 
-    });
-  }
-});
+// Second line of replay defence when Redis missed it: AdImpression.uniqueKey
+async function rejectReplay(res, creatorId, stage) {
+  await recordInvalidTraffic(creatorId, 'replay');
+  return res.status(409).json({ success: false, error: `Serve token was already used for this ${stage}`, reason: 'replay' });
+}
 
-// POST /ads/impressions/carousel - Track carousel ad impression
-router.post('/impressions/carousel', async (req, res) => {
+// Impression beacons: the serve token says which ad was shown on which video, and to whom
+const trackImpression = (adType, impressionType, label) => async (req, res) => {
   try {
-    const { videoId, adId, userId, scrollPosition, creatorId: providedCreatorId } = req.body;
     // **FIXED: Normalize userId (Google ID to MongoDB ObjectId)**
-    const normalizedUserId = await normalizeUserId(userId);
-    if (userId && !normalizedUserId) {
-      // Minimal logging
-    }
+    const normalizedUserId = await normalizeUserId(req.body.userId);
 
-    // console.log('📊 Tracking carousel ad impression:');
-    // console.log('   Video ID:', videoId);
-    // console.log('   Ad ID:', adId);
-    // console.log('   User ID:', userId);
-    // console.log('   Scroll Position:', scrollPosition);
+    const redemption = await redeemServeToken(req, res, 'impression', adType, normalizedUserId);
+    if (!redemption) return;
+    const { claims } = redemption;
 
-    if (!adId) {
-      return res.status(400).json({ error: 'Ad ID is required' });
+    // Find the creative and increment impression count (for global tracking)
+    const creative = await AdCreative.findById(claims.ad);
+    if (!creative) {
+      console.error('❌ Ad creative not found:', claims.ad);
+      return res.status(404).json({ error: 'Ad not found' });
     }
 
-    if (!videoId) {
-      return res.status(400).json({ error: 'Video ID is required' });
+    const creatorId = claims.cr;
+
+    // **NEW: PREVENT SELF-IMPRESSION**
+    // If the viewer matches the video owner, do NOT count it as an impression
+    if (normalizedUserId && creatorId && normalizedUserId.toString() === creatorId) {
+      console.log(`🚫 Self-impression prevented (${adType}): User ${normalizedUserId} viewing own video ${claims.vid}`);
+      // We still return success to the frontend so it doesn't think something broke,
+      // but we don't record the impression.
+      return res.status(200).json({
+        success: true,
+        message: 'Self-impression ignored',
+        ignored: true
+      });
     }
 
-    // Find the creative and increment impression count (for global tracking)
-    const creative = await AdCreative.findById(adId);
-    if (!creative) {
-      console.error('❌ Ad creative not found:', adId);
-      return res.status(404).json({ error: 'Ad not found' });
+    // Count towards the campaign's per-user frequency cap; past the cap nothing is recorded
+    const frequency = await budgetLedgerService.recordImpression(creative.campaignId, claims.uk);
+    if (frequency?.capped) {
+      await serveTokenService.markImpressionCapped(claims);
+      return res.status(200).json({
+        success: false,
+        message: 'Frequency cap reached for this viewer',
+        frequencyCap: frequency.frequencyCap
+      });
     }
 
     // **FIXED: Track video-specific impression in AdImpression collection**
     try {
-      // **OPTIMIZATION: Get creatorId from request or fetch from Video**
-      let creatorId = providedCreatorId;
-        
-      if (!creatorId) {
-        const video = await Video.findById(videoId).select('uploader').lean();
-        creatorId = video ? video.uploader : null;
-      }
-
-      // **NEW: PREVENT SELF-IMPRESSION**
-      if (normalizedUserId && creatorId && normalizedUserId.toString() === creatorId.toString()) {
-        console.log(`🚫 Self-impression prevented (carousel): User ${normalizedUserId} viewing own video ${videoId}`);
-        return res.status(200).json({ 
-          success: true,
-          message: 'Self-impression ignored',
-          ignored: true 
-        });
-      }
-
-      // Create new impression record
       await AdImpression.create({
-        videoId: videoId,
-        adId: adId,
+        videoId: claims.vid,
+        adId: claims.ad,
         userId: normalizedUserId,
         creatorId: creatorId, // **NEW: Save creatorId for fast lookup**
-        adType: 'carousel',
-        impressionType: 'scroll_view',
+        adType,
+        impressionType,
+        uniqueKey: serveTokenService.uniqueKey(claims, 'impression'),
         timestamp: new Date()
       });
     } catch (impressionError) {
+      if (isDuplicateKeyError(impressionError)) {
+        return rejectReplay(res, creatorId, 'impression');
+      }
       // Log error but don't fail the request
       console.error('⚠️ Error creating impression record:', impressionError);
     }
@@ -235,21 +230,25 @@ router.post('/impressions/carousel', async (req, res) => {
     creative.impressions = (creative.impressions || 0) + 1;
     await creative.save();
 
-    // console.log(`✅ Carousel ad impression tracked. Ad: ${adId}, Global count: ${creative.impressions}`);
-
-    res.status(200).json({ 
+    res.status(200).json({
       success: true,
-      message: 'Carousel ad impression tracked successfully',
+      message: `${label} ad impression tracked successfully`,
       impressions: creative.impressions
     });
   } catch (error) {
-    console.error('❌ Error tracking carousel ad impression:', error);
-    res.status(500).json({ 
-      error: 'Failed to track carousel ad impression',
-      message: error.message 
+    console.error(`❌ Error tracking ${adType} ad impression:`, error);
+    res.status(500).json({
+      error: `Failed to track ${adType} ad impression`,
+      message: error.message
     });
   }
-});
+};
+
+// POST /ads/impressions/banner - Track banner ad impression
+router.post('/impressions/banner', trackImpression('banner', 'view', 'Banner'));
+
+// POST /ads/impressions/carousel - Track carousel ad impression
+router.post('/impressions/carousel', trackImpression('carousel', 'scroll_view', 'Carousel'));
 
 // GET /ads/impressions/video/:videoId/banner - Get banner impressions for a video
 router.get('/impressions/video/:videoId/banner', async (req, res) => {
@@ -301,216 +300,117 @@ router.get('/impressions/video/:videoId/carousel', async (req, res) => {
   }
 });
 
-// **NEW: POST /ads/impressions/banner/view - Track banner ad view (minimum 2-3 seconds)**
-router.post('/impressions/banner/view', async (req, res) => {
+// **NEW: View beacons (minimum 2 seconds on screen) - the billable event for CPM campaigns**
+const trackView = (adType, impressionType, label) => async (req, res) => {
   try {
-    const { videoId, adId, userId, viewDuration, creatorId: providedCreatorId } = req.body;
+    const { userId, viewDuration } = req.body;
     // **FIXED: Normalize userId (Google ID to MongoDB ObjectId)**
     const normalizedUserId = await normalizeUserId(userId);
-    if (userId && !normalizedUserId) {
-      // Minimal logging
-    }
 
-    // console.log('👁️ Tracking banner ad VIEW (minimum duration):');
-    // console.log('   Video ID:', videoId);
-    // console.log('   Ad ID:', adId);
-    // console.log('   User ID:', userId);
-    // console.log('   View Duration:', viewDuration);
-
-    if (!adId || !videoId) {
-      return res.status(400).json({ error: 'Ad ID and Video ID are required' });
-    }
-
-    // Minimum view duration: 2 seconds
+    // Minimum view duration: 2 seconds (checked before the serve token is spent)
     const minViewDuration = 2.0;
     if (!viewDuration || viewDuration < minViewDuration) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         error: `View duration must be at least ${minViewDuration} seconds`,
-        viewDuration: viewDuration 
+        viewDuration: viewDuration
       });
     }
 
-    let dailyViewCount = 0;
-    if (normalizedUserId) {
-      const startOfDay = new Date();
-      startOfDay.setHours(0, 0, 0, 0);
-      dailyViewCount = await AdImpression.countDocuments({
-        videoId: videoId,
-        adId: adId,
-        userId: normalizedUserId,
-        adType: 'banner',
-        isViewed: true,
-        timestamp: { $gte: startOfDay }
-      });
+    const redemption = await redeemServeToken(req, res, 'view', adType, normalizedUserId);
+    if (!redemption) return;
+    const { claims, impressionOutcome } = redemption;
 
-      if (dailyViewCount >= DAILY_VIEW_FREQUENCY_CAP) {
-        return res.status(200).json({
-          success: false,
-          message: 'Daily ad view cap reached for this user',
-          dailyViews: dailyViewCount,
-          frequencyCap: DAILY_VIEW_FREQUENCY_CAP
-        });
-      }
+    const creative = await AdCreative.findById(claims.ad)
+      .select('campaignId')
+      .populate('campaignId', 'frequencyCap')
+      .lean();
+    if (!creative) {
+      return res.status(404).json({ error: 'Ad not found' });
+    }
+    const campaign = creative.campaignId;
+    const creatorId = claims.cr;
+
+    // **NEW: PREVENT SELF-VIEW**
+    if (normalizedUserId && creatorId && normalizedUserId.toString() === creatorId) {
+      return res.status(200).json({
+        success: true,
+        message: 'Self-view ignored',
+        ignored: true
+      });
     }
 
-      // **OPTIMIZATION: Get creatorId from request or fetch from Video**
-      let creatorId = providedCreatorId;
-      
-      if (!creatorId) {
-        const video = await Video.findById(videoId).select('uploader').lean();
-        creatorId = video ? video.uploader : null;
-      }
+    // The impression beacon already counted this slot against the cap; a view
+    // whose impression never arrived is counted here instead
+    const frequency = impressionOutcome
+      ? null
+      : await budgetLedgerService.recordImpression(campaign?._id, claims.uk);
+    if (impressionOutcome === 'capped' || frequency?.capped) {
+      return res.status(200).json({
+        success: false,
+        message: 'Frequency cap reached for this viewer',
+        frequencyCap: campaign?.frequencyCap
+      });
+    }
 
-      // **NEW: PREVENT SELF-VIEW**
-      if (normalizedUserId && creatorId && normalizedUserId.toString() === creatorId.toString()) {
-        return res.status(200).json({ 
-          success: true,
-          message: 'Self-view ignored',
-          ignored: true 
-        });
-      }
+    // Create new viewed impression record
+    const pricing = resolveClearingPrice(claims, adType);
 
-      // Create new viewed impression record
+    try {
       await AdImpression.create({
-        videoId: videoId,
-        adId: adId,
+        videoId: claims.vid,
+        adId: claims.ad,
         userId: normalizedUserId,
         creatorId: creatorId, // **NEW: Save creatorId for fast lookup**
-        adType: 'banner',
-        impressionType: 'view',
+        adType,
+        impressionType,
         isViewed: true,
+        bidType: pricing.bidType,
+        clearingCpm: pricing.clearingCpm,
+        clearingPrice: pricing.clearingPrice,
         viewDuration: viewDuration,
         viewCount: 1,
-        frequencyCap: DAILY_VIEW_FREQUENCY_CAP,
+        frequencyCap: campaign?.frequencyCap,
+        uniqueKey: serveTokenService.uniqueKey(claims, 'view'),
         timestamp: new Date()
       });
-      
-      // **NEW: Update real-time stats**
-      // **NEW: Increment views on AdCreative**
-      await AdCreative.findByIdAndUpdate(adId, { $inc: { views: 1 } });
-      
-      await updateMonthlyStats(creatorId, 'banner');
-
-    res.status(200).json({ 
-      success: true,
-      message: 'Banner ad view tracked successfully',
-      viewDuration: viewDuration,
-      dailyViews: normalizedUserId ? dailyViewCount + 1 : undefined,
-      frequencyCap: normalizedUserId ? DAILY_VIEW_FREQUENCY_CAP : undefined
-    });
-  } catch (error) {
-    console.error('❌ Error tracking banner ad view:', error);
-    res.status(500).json({ 
-      error: 'Failed to track banner ad view',
-      message: error.message 
-    });
-  }
-});
-
-// **NEW: POST /ads/impressions/carousel/view - Track carousel ad view (minimum 2-3 seconds)**
-router.post('/impressions/carousel/view', async (req, res) => {
-  try {
-    const { videoId, adId, userId, viewDuration, creatorId: providedCreatorId } = req.body;
-    // **FIXED: Normalize userId (Google ID to MongoDB ObjectId)**
-    const normalizedUserId = await normalizeUserId(userId);
-    if (userId && !normalizedUserId) {
-      // Minimal logging
-    }
-
-    // console.log('👁️ Tracking carousel ad VIEW (minimum duration):');
-    // console.log('   Video ID:', videoId);
-    // console.log('   Ad ID:', adId);
-    // console.log('   User ID:', userId);
-    // console.log('   View Duration:', viewDuration);
-
-    if (!adId || !videoId) {
-      return res.status(400).json({ error: 'Ad ID and Video ID are required' });
-    }
-
-    // Minimum view duration: 2 seconds
-    const minViewDuration = 2.0;
-    if (!viewDuration || viewDuration < minViewDuration) {
-      return res.status(400).json({ 
-        error: `View duration must be at least ${minViewDuration} seconds`,
-        viewDuration: viewDuration 
-      });
+    } catch (viewError) {
+      if (isDuplicateKeyError(viewError)) {
+        return rejectReplay(res, creatorId, 'view');
+      }
+      throw viewError;
     }
 
-    let dailyViewCount = 0;
-    if (normalizedUserId) {
-      const startOfDay = new Date();
-      startOfDay.setHours(0, 0, 0, 0);
-      dailyViewCount = await AdImpression.countDocuments({
-        videoId: videoId,
-        adId: adId,
-        userId: normalizedUserId,
-        adType: 'carousel',
-        isViewed: true,
-        timestamp: { $gte: startOfDay }
-      });
+    // **NEW: Increment views on AdCreative**
+    await AdCreative.updateOne({ _id: claims.ad }, { $inc: { views: 1 } });
 
-      if (dailyViewCount >= DAILY_VIEW_FREQUENCY_CAP) {
-        return res.status(200).json({
-          success: false,
-          message: 'Daily ad view cap reached for this user',
-          dailyViews: dailyViewCount,
-          frequencyCap: DAILY_VIEW_FREQUENCY_CAP
-        });
-      }
+    // Viewed impressions are the billable event for CPM campaigns, charged at the clearing price
+    if (campaign?._id) {
+      await budgetLedgerService.debit(campaign._id, { eventType: 'impression', amount: pricing.clearingPrice });
     }
 
-      // **OPTIMIZATION: Get creatorId from request or fetch from Video**
-      let creatorId = providedCreatorId;
-      
-      if (!creatorId) {
-        const video = await Video.findById(videoId).select('uploader').lean();
-        creatorId = video ? video.uploader : null;
-      }
+    // **NEW: Update real-time stats**
+    await updateMonthlyStats(creatorId, adType, pricing.clearingPrice);
 
-      // **NEW: PREVENT SELF-VIEW**
-      if (normalizedUserId && creatorId && normalizedUserId.toString() === creatorId.toString()) {
-        return res.status(200).json({ 
-          success: true,
-          message: 'Self-view ignored',
-          ignored: true 
-        });
-      }
-
-      await AdImpression.create({
-        videoId: videoId,
-        adId: adId,
-        userId: normalizedUserId,
-        creatorId: creatorId, // **NEW: Save creatorId for fast lookup**
-        adType: 'carousel',
-        impressionType: 'scroll_view',
-        isViewed: true,
-        viewDuration: viewDuration,
-        viewCount: 1,
-        frequencyCap: DAILY_VIEW_FREQUENCY_CAP,
-        timestamp: new Date()
-      });
-      
-      // **NEW: Update real-time stats**
-      // **NEW: Increment views on AdCreative**
-      await AdCreative.findByIdAndUpdate(adId, { $inc: { views: 1 } });
-      
-      await updateMonthlyStats(creatorId, 'carousel');
-
-    res.status(200).json({ 
+    res.status(200).json({
       success: true,
-      message: 'Carousel ad view tracked successfully',
+      message: `${label} ad view tracked successfully`,
       viewDuration: viewDuration,
-      dailyViews: normalizedUserId ? dailyViewCount + 1 : undefined,
-      frequencyCap: normalizedUserId ? DAILY_VIEW_FREQUENCY_CAP : undefined
+      frequencyCap: campaign?.frequencyCap
     });
   } catch (error) {
-    console.error('❌ Error tracking carousel ad view:', error);
-    res.status(500).json({ 
-      error: 'Failed to track carousel ad view',
-      message: error.message 
+    console.error(`❌ Error tracking ${adType} ad view:`, error);
+    res.status(500).json({
+      error: `Failed to track ${adType} ad view`,
+      message: error.message
     });
   }
-});
+};
+
+// **NEW: POST /ads/impressions/banner/view - Track banner ad view (minimum 2-3 seconds)**
+router.post('/impressions/banner/view', trackView('banner', 'view', 'Banner'));
+
+// **NEW: POST /ads/impressions/carousel/view - Track carousel ad view (minimum 2-3 seconds)**
+router.post('/impressions/carousel/view', trackView('carousel', 'scroll_view', 'Carousel'));
 
 // **NEW: GET /ads/views/video/:videoId/banner - Get banner ad VIEWS (not impressions) for revenue**
 router.get('/views/video/:videoId/banner', async (req, res) => {
@@ -7,6 +7,7 @@ import userRoutes from './userRoutes.js';
 import validationRoutes from './validationRoutes.js';
 import impressionRoutes from './impressionRoutes.js';
 import adTargetingRoutes from './adTargetingRoutes.js';
+import adCommentRoutes from './adCommentRoutes.js';
 
 const router = express.Router();
 
@@ -19,5 +20,6 @@ router.use('/', userRoutes);
 router.use('/', validationRoutes);
 router.use('/', impressionRoutes);
 router.use('/targeting', adTargetingRoutes);
+router.use('/comments', adCommentRoutes);
 
 export default router;
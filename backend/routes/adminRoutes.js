@@ -1,19 +1,28 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import Feedback from '../models/Feedback.js';
-import requireAdminDashboardKey from '../middleware/adminDashboardAuth.js';
+import requireAdmin from '../middleware/adminAuth.js';
 import User from '../models/User.js';
 import Video from '../models/Video.js';
 import CreatorPayout from '../models/CreatorPayout.js';
 import AdImpression from '../models/AdImpression.js';
+import CreatorMonthlyStat from '../models/CreatorMonthlyStat.js';
 import Notice from '../models/Notice.js';
 import RemovedVideoRecord from '../models/RemovedVideoRecord.js';
-import { AD_CONFIG } from '../constants/index.js';
+import { AD_CONFIG, MODERATION_CONFIG, ADMIN_CONFIG } from '../constants/index.js';
 import RecommendationService from '../services/yugFeedServices/recommendationService.js';
 import WatchHistory from '../models/WatchHistory.js';
+import VideoCaption from '../models/VideoCaption.js';
+import DubbingJob from '../models/DubbingJob.js';
 import RevenueService from '../services/adServices/revenueService.js';
 import brevoService from '../services/notificationServices/brevoService.js';
 import queueService from '../services/yugFeedServices/queueService.js';
+import moderationReviewService from '../services/moderationServices/moderationReviewService.js';
+import { getModerationProvider } from '../services/moderationServices/index.js';
+import videoFingerprintService from '../services/uploadServices/videoFingerprintService.js';
+import adminAccountService from '../services/accountServices/adminAccountService.js';
+import payoutVaultService from '../services/payoutServices/payoutVaultService.js';
+import { getAuditRequestContext } from '../utils/auditLogger.js';
 
 const router = express.Router();
 
@@ -23,7 +32,7 @@ const router = express.Router();
 
 
 // Admin feedback endpoints
-router.get('/feedback', requireAdminDashboardKey, async (req, res) => {
+router.get('/feedback', requireAdmin('feedback:read'), async (req, res) => {
   try {
     const {
       limit = 50,
@@ -104,7 +113,7 @@ router.get('/feedback', requireAdminDashboardKey, async (req, res) => {
   }
 });
 
-router.get('/feedback/stats', requireAdminDashboardKey, async (req, res) => {
+router.get('/feedback/stats', requireAdmin('feedback:read'), async (req, res) => {
   try {
     const stats = await Feedback.getStats();
     res.json({ success: true, stats });
@@ -114,7 +123,7 @@ router.get('/feedback/stats', requireAdminDashboardKey, async (req, res) => {
   }
 });
 
-router.get('/feedback/:id', requireAdminDashboardKey, async (req, res) => {
+router.get('/feedback/:id', requireAdmin('feedback:read'), async (req, res) => {
   try {
     const feedback = await Feedback.findById(req.params.id).lean();
     if (!feedback) {
@@ -127,7 +136,7 @@ router.get('/feedback/:id', requireAdminDashboardKey, async (req, res) => {
   }
 });
 
-router.put('/feedback/:id/read', requireAdminDashboardKey, async (req, res) => {
+router.put('/feedback/:id/read', requireAdmin('feedback:write'), async (req, res) => {
   try {
     const feedback = await Feedback.findById(req.params.id);
     if (!feedback) {
@@ -147,7 +156,7 @@ router.put('/feedback/:id/read', requireAdminDashboardKey, async (req, res) => {
   }
 });
 
-router.post('/feedback/:id/reply', requireAdminDashboardKey, async (req, res) => {
+router.post('/feedback/:id/reply', requireAdmin('feedback:write'), async (req, res) => {
   try {
     const { reply } = req.body;
     if (!reply || !reply.trim()) {
@@ -171,7 +180,7 @@ router.post('/feedback/:id/reply', requireAdminDashboardKey, async (req, res) =>
   }
 });
 
-router.get('/feedback/export', requireAdminDashboardKey, async (req, res) => {
+router.get('/feedback/export', requireAdmin('feedback:read', { auditReads: true }), async (req, res) => {
   try {
     const feedback = await Feedback.find().sort({ createdAt: -1 }).lean();
 
@@ -231,10 +240,10 @@ router.get('/feedback/export', requireAdminDashboardKey, async (req, res) => {
   }
 });
 
-router.get('/creators', requireAdminDashboardKey, async (req, res) => {
+router.get('/creators', requireAdmin('analytics:read'), async (req, res) => {
   try {
     const [creators, videoStats, adStats, payoutStats, earningsStats] = await Promise.all([
-      User.find({}, 'name email preferredPaymentMethod paymentDetails country payoutCount createdAt googleId lastActive isAppUninstalled lastInstallCheck fcmToken appVersion').lean(),
+      User.find({}, 'name email preferredPaymentMethod country payoutCount createdAt googleId lastActive isAppUninstalled lastInstallCheck fcmToken appVersion').lean(),
       Video.aggregate([
         {
           $group: {
@@ -341,6 +350,21 @@ router.get('/creators', requireAdminDashboardKey, async (req, res) => {
                   1
                 ]
               }
+            },
+            // Auction clearing price; pre-auction impressions fall back to the flat CPM
+            revenueSum: {
+              $sum: {
+                $ifNull: [
+                  '$clearingPrice',
+                  {
+                    $cond: [
+                      { $eq: ['$adType', 'banner'] },
+                      (AD_CONFIG?.BANNER_CPM ?? 10) / 1000,
+                      (AD_CONFIG?.DEFAULT_CPM ?? 30) / 1000
+                    ]
+                  }
+                ]
+              }
             }
           }
         },
@@ -365,7 +389,8 @@ router.get('/creators', requireAdminDashboardKey, async (req, res) => {
                 ]
               }
             },
-            totalAdViews: { $sum: '$viewSum' }
+            totalAdViews: { $sum: '$viewSum' },
+            grossRevenueINR: { $sum: '$revenueSum' }
           }
         }
       ])
@@ -399,8 +424,6 @@ router.get('/creators', requireAdminDashboardKey, async (req, res) => {
       });
     });
 
-    const bannerCpm = AD_CONFIG?.BANNER_CPM ?? 10;
-    const carouselCpm = AD_CONFIG?.DEFAULT_CPM ?? 30;
     const creatorShare = AD_CONFIG?.CREATOR_REVENUE_SHARE ?? 0.8;
     const platformShare = AD_CONFIG?.PLATFORM_REVENUE_SHARE ?? 0.2;
 
@@ -409,9 +432,7 @@ router.get('/creators', requireAdminDashboardKey, async (req, res) => {
       const totalViews = stat.totalAdViews || 0;
       const bannerViews = stat.bannerViews || 0;
       const carouselViews = stat.carouselViews || 0;
-      const bannerRevenue = (bannerViews / 1000) * bannerCpm;
-      const carouselRevenue = (carouselViews / 1000) * carouselCpm;
-      const grossRevenueINR = bannerRevenue + carouselRevenue;
+      const grossRevenueINR = stat.grossRevenueINR || 0;
       const creatorRevenueINR = grossRevenueINR * creatorShare;
       const platformRevenueINR = grossRevenueINR * platformShare;
 
@@ -425,6 +446,15 @@ router.get('/creators', requireAdminDashboardKey, async (req, res) => {
       });
     });
 
+    // Masked only; full destinations never leave the payout vault for a listing
+    const destinationViews = await payoutVaultService.getPaymentDetailsViews(creators.map(creator => creator._id), {
+      actorType: 'admin',
+      actorId: req.admin.id.toString(),
+      actorName: req.admin.email,
+      actorRole: req.admin.role,
+      ...getAuditRequestContext(req)
+    });
+
     const creatorSummaries = creators.map((creator) => {
       const id = String(creator._id);
       const videos = videoMap.get(id) || { totalViews: 0, totalVideos: 0 };
@@ -441,13 +471,13 @@ router.get('/creators', requireAdminDashboardKey, async (req, res) => {
         lastPayoutAt: null
       };
 
-      const upiId = creator?.paymentDetails?.upiId || null;
+      const destinations = destinationViews.get(id) || {};
       const paymentSummary = {
         preferredPaymentMethod: creator.preferredPaymentMethod || null,
-        upiId,
-        paypalEmail: creator?.paymentDetails?.paypalEmail || null,
-        stripeAccountId: creator?.paymentDetails?.stripeAccountId || null,
-        wiseEmail: creator?.paymentDetails?.wiseEmail || null
+        upiId: destinations.upiId || null,
+        paypalEmail: destinations.paypalEmail || null,
+        stripeAccountId: destinations.stripeAccountId || null,
+        wiseEmail: destinations.wiseEmail || null
       };
 
       const earnings = earningsMap.get(id) || {
@@ -520,7 +550,7 @@ router.get('/creators', requireAdminDashboardKey, async (req, res) => {
 });
 
 // **NEW: Route to get list of videos uploaded today**
-router.get('/videos/daily', requireAdminDashboardKey, async (req, res) => {
+router.get('/videos/daily', requireAdmin('analytics:read'), async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -550,7 +580,7 @@ router.get('/videos/daily', requireAdminDashboardKey, async (req, res) => {
 });
 
 // ✅ Route to get platform-wide statistics
-router.get('/stats', requireAdminDashboardKey, async (req, res) => {
+router.get('/stats', requireAdmin('analytics:read'), async (req, res) => {
   try {
     // Get total videos count (completed only)
     const totalVideos = await Video.countDocuments({ processingStatus: 'completed' });
@@ -652,7 +682,7 @@ router.get('/stats', requireAdminDashboardKey, async (req, res) => {
 });
 
 // **NEW: Route to get recommendation system effectiveness**
-router.get('/recommender/stats', requireAdminDashboardKey, async (req, res) => {
+router.get('/recommender/stats', requireAdmin('analytics:read'), async (req, res) => {
   try {
     const stats = await RecommendationService.getRecommendationStats();
     if (!stats) {
@@ -666,7 +696,7 @@ router.get('/recommender/stats', requireAdminDashboardKey, async (req, res) => {
 });
 
 // **NEW: Route to get detailed user behavior metrics**
-router.get('/user-behavior/stats', requireAdminDashboardKey, async (req, res) => {
+router.get('/user-behavior/stats', requireAdmin('analytics:read'), async (req, res) => {
   try {
     const { range = 'all' } = req.query;
     let matchStage = {};
@@ -806,7 +836,7 @@ router.get('/user-behavior/stats', requireAdminDashboardKey, async (req, res) =>
 });
 
 // **NEW: Admin endpoint to get monthly earnings for all creators**
-router.get('/creators/monthly-earnings', requireAdminDashboardKey, async (req, res) => {
+router.get('/creators/monthly-earnings', requireAdmin('finance:read', { auditReads: true }), async (req, res) => {
   try {
     const { month, year } = req.query; // **NEW: Support filtering by month/year**
 
@@ -884,8 +914,48 @@ router.get('/creators/monthly-earnings', requireAdminDashboardKey, async (req, r
   }
 });
 
+// **NEW: Creators whose ad beacons were rejected by serve-token checks (replays, expired or foreign tokens)**
+router.get('/creators/invalid-traffic', requireAdmin('finance:read'), async (req, res) => {
+  try {
+    const { yearMonth, limit = 50 } = req.query;
+    const ist = new Date(Date.now() + (5.5 * 60 * 60 * 1000));
+    const month = /^\d{4}-\d{2}$/.test(yearMonth || '')
+      ? yearMonth
+      : `${ist.getUTCFullYear()}-${String(ist.getUTCMonth() + 1).padStart(2, '0')}`;
+
+    const stats = await CreatorMonthlyStat.find({ yearMonth: month, invalidTrafficTotal: { $gt: 0 } })
+      .sort({ invalidTrafficTotal: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 50, 200))
+      .populate('creatorId', 'name email googleId')
+      .lean();
+
+    res.json({
+      success: true,
+      yearMonth: month,
+      creators: stats.map(stat => {
+        const impressions = (stat.bannerImpressions || 0) + (stat.carouselImpressions || 0);
+        return {
+          creatorId: stat.creatorId?._id || stat.creatorId,
+          name: stat.creatorId?.name,
+          email: stat.creatorId?.email,
+          googleId: stat.creatorId?.googleId,
+          invalidTraffic: stat.invalidTraffic,
+          invalidTrafficTotal: stat.invalidTrafficTotal,
+          validViews: impressions,
+          // Share of all beacons this month that were rejected
+          invalidRate: Math.round((stat.invalidTrafficTotal / (stat.invalidTrafficTotal + impressions)) * 10000) / 100,
+          grossRevenue: stat.grossRevenue
+        };
+      })
+    });
+  } catch (error) {
+    console.error('❌ Error loading invalid ad traffic:', error);
+    res.status(500).json({ success: false, error: 'Failed to load invalid ad traffic' });
+  }
+});
+
 // **NEW: Admin endpoint to get ad impressions for a specific creator (for frontend calculation)**
-router.get('/creators/:creatorId/ad-impressions', requireAdminDashboardKey, async (req, res) => {
+router.get('/creators/:creatorId/ad-impressions', requireAdmin('finance:read'), async (req, res) => {
   try {
     const { creatorId } = req.params;
     const { month, year } = req.query;
@@ -969,7 +1039,7 @@ router.get('/creators/:creatorId/ad-impressions', requireAdminDashboardKey, asyn
 
 // **NEW: Admin endpoint to get all videos with search/filter**
 
-router.get('/videos', requireAdminDashboardKey, async (req, res) => {
+router.get('/videos', requireAdmin('moderation:read'), async (req, res) => {
   try {
     const { search, limit = 50, skip = 0 } = req.query;
     const query = {};
@@ -1019,7 +1089,7 @@ router.get('/videos', requireAdminDashboardKey, async (req, res) => {
 });
 
 // **NEW: Admin endpoint to delete any video**
-router.delete('/videos/:videoId', requireAdminDashboardKey, async (req, res) => {
+router.delete('/videos/:videoId', requireAdmin('content:delete'), async (req, res) => {
   try {
     const { videoId } = req.params;
 
@@ -1037,11 +1107,15 @@ router.delete('/videos/:videoId', requireAdminDashboardKey, async (req, res) =>
 
     // Delete the video
     await Video.findByIdAndDelete(videoId);
+    await videoFingerprintService.removeFingerprints(videoId);
+    await VideoCaption.deleteMany({ videoId });
+    await DubbingJob.deleteMany({ videoId });
 
     // Clean up queue jobs
     await queueService.removeVideoJob(videoId);
 
-    console.log(`✅ Admin deleted video: ${videoId} - ${video.videoName}`);
+    console.log(`✅ Admin ${req.admin.email} deleted video: ${videoId} - ${video.videoName}`);
+    res.locals.auditMetadata = { videoName: video.videoName, uploader: video.uploader?.toString() || null };
 
     res.json({
       success: true,
@@ -1058,7 +1132,7 @@ router.delete('/videos/:videoId', requireAdminDashboardKey, async (req, res) =>
 });
 
 // **NEW: Video Soft-Removal (Transparency Logging then Permanent Deletion)**
-router.post('/videos/:videoId/remove', requireAdminDashboardKey, async (req, res) => {
+router.post('/videos/:videoId/remove', requireAdmin('content:delete'), async (req, res) => {
   try {
     const { videoId } = req.params;
     const { reason } = req.body;
@@ -1066,6 +1140,7 @@ router.post('/videos/:videoId/remove', requireAdminDashboardKey, async (req, res
     if (!reason) {
       return res.status(400).json({ error: 'Reason for removal is required' });
     }
+    res.locals.auditMetadata = { reason };
 
     const video = await Video.findById(videoId).populate('uploader');
     if (!video) {
@@ -1107,6 +1182,9 @@ router.post('/videos/:videoId/remove', requireAdminDashboardKey, async (req, res
 
     // 4. PERMANENTLY DELETE the video from the database
     await Video.findByIdAndDelete(videoId);
+    await videoFingerprintService.removeFingerprints(videoId);
+    await VideoCaption.deleteMany({ videoId });
+    await DubbingJob.deleteMany({ videoId });
 
     // Clean up queue jobs
     await queueService.removeVideoJob(videoId);
@@ -1128,7 +1206,7 @@ router.post('/videos/:videoId/remove', requireAdminDashboardKey, async (req, res
 });
 
 // **NEW: Admin endpoint to manually trigger recommendation score recalculation**
-router.post('/recalculate-scores', requireAdminDashboardKey, async (req, res) => {
+router.post('/recalculate-scores', requireAdmin('system:write'), async (req, res) => {
   try {
     const { onlyOutdated = false, maxAgeMinutes = 15, limit = null } = req.body;
 
@@ -1161,7 +1239,7 @@ router.post('/recalculate-scores', requireAdminDashboardKey, async (req, res) =>
 });
 
 // **NEW: Admin endpoint to get flagged (NSFW) videos**
-router.get('/videos/flagged', requireAdminDashboardKey, async (req, res) => {
+router.get('/videos/flagged', requireAdmin('moderation:read'), async (req, res) => {
   try {
     const flaggedVideos = await Video.find({
       $or: [
@@ -1202,33 +1280,223 @@ router.get('/videos/flagged', requireAdminDashboardKey, async (req, res) => {
 });
 
 // **NEW: Admin endpoint to unflag a video (approve it)**
-router.post('/videos/:videoId/unflag', requireAdminDashboardKey, async (req, res) => {
+router.post('/videos/:videoId/unflag', requireAdmin('moderation:write'), async (req, res) => {
+  try {
+    const video = await moderationReviewService.decide(req.params.videoId, 'approve');
+
+    console.log(`✅ Admin unflagged video: ${video._id} - ${video.videoName}`);
+    res.json({ success: true, message: 'Video unflagged and approved' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error unflagging video:', error);
+    res.status(500).json({ success: false, error: 'Failed to unflag video' });
+  }
+});
+
+// **NEW: Moderation review queue (pending by default; ?status=approved|rejected|age_restricted for history)**
+router.get('/moderation/queue', requireAdmin('moderation:read'), async (req, res) => {
+  try {
+    const { status = 'pending', limit = 50 } = req.query;
+    const videos = await moderationReviewService.listQueue({ status, limit });
+
+    res.json({
+      success: true,
+      status,
+      count: videos.length,
+      thresholds: {
+        provider: getModerationProvider().getName(),
+        imageReview: MODERATION_CONFIG.IMAGE_REVIEW_THRESHOLD,
+        imageHold: MODERATION_CONFIG.IMAGE_HOLD_THRESHOLD,
+        textReview: MODERATION_CONFIG.TEXT_REVIEW_THRESHOLD,
+        textHold: MODERATION_CONFIG.TEXT_HOLD_THRESHOLD
+      },
+      videos: videos.map(v => ({
+        _id: v._id,
+        videoName: v.videoName,
+        description: v.description,
+        thumbnailUrl: v.thumbnailUrl,
+        videoUrl: v.hlsPlaylistUrl || v.videoUrl,
+        processingStatus: v.processingStatus,
+        visibility: v.visibility,
+        isAgeRestricted: v.isAgeRestricted === true,
+        // Held videos are hidden from every feed until decided
+        isHeld: v.processingStatus === 'flagged',
+        moderationResult: v.moderationResult || {},
+        duplicateOf: v.duplicateOf?.videoId ? v.duplicateOf : null,
+        monetizationBlocked: v.monetizationBlocked === true,
+        createdAt: v.createdAt,
+        updatedAt: v.updatedAt,
+        uploader: v.uploader ? {
+          name: v.uploader.name,
+          email: v.uploader.email,
+          googleId: v.uploader.googleId
+        } : null
+      }))
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error loading moderation queue:', error);
+    res.status(500).json({ success: false, error: 'Failed to load moderation queue' });
+  }
+});
+
+// **NEW: Moderator decisions: approve, reject (reason required) or age-restrict**
+const MODERATION_DECISIONS = { approve: 'approve', reject: 'reject', 'age-restrict': 'age_restrict' };
+
+router.post('/moderation/:videoId/:decision', requireAdmin('moderation:write'), async (req, res) => {
+  try {
+    const decision = MODERATION_DECISIONS[req.params.decision];
+    if (!decision) {
+      return res.status(404).json({ success: false, error: 'Unknown moderation action' });
+    }
+
+    const { reason, note } = req.body || {};
+    res.locals.auditMetadata = { decision, note: reason || note || null };
+    const video = await moderationReviewService.decide(req.params.videoId, decision, {
+      note: reason || note || null,
+      reviewedBy: req.admin.email
+    });
+
+    res.json({
+      success: true,
+      videoId: video._id,
+      processingStatus: video.processingStatus,
+      isAgeRestricted: video.isAgeRestricted === true,
+      reviewStatus: video.moderationResult?.reviewStatus
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error applying moderation decision:', error);
+    res.status(500).json({ success: false, error: 'Failed to apply moderation decision' });
+  }
+});
+
+// **NEW: Video processing jobs that failed or stopped heartbeating**
+router.get('/processing/jobs', requireAdmin('system:read'), async (req, res) => {
+  try {
+    const { status = 'all', stuckMinutes = 30, limit = 50 } = req.query;
+    const normalizedLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const stuckBefore = new Date(Date.now() - Math.max(parseInt(stuckMinutes, 10) || 30, 1) * 60 * 1000);
+
+    // No heartbeat at all (pre-checkpoint uploads) falls back to updatedAt
+    const stuckQuery = {
+      processingStatus: { $in: ['pending', 'processing', 'moderating'] },
+      $or: [
+        { processingHeartbeatAt: { $lt: stuckBefore } },
+        { processingHeartbeatAt: { $exists: false }, updatedAt: { $lt: stuckBefore } }
+      ]
+    };
+    const failedQuery = { processingStatus: 'failed' };
+
+    let query;
+    if (status === 'failed') query = failedQuery;
+    else if (status === 'stuck') query = stuckQuery;
+    else query = { $or: [failedQuery, stuckQuery] };
+
+    const videos = await Video.find(query)
+      .select('videoName uploader processingStatus processingProgress processingError processingStep processingHeartbeatAt processingCheckpoints processingJob createdAt updatedAt')
+      .populate('uploader', 'name email googleId')
+      .sort({ updatedAt: -1 })
+      .limit(normalizedLimit)
+      .lean();
+
+    const jobStates = await queueService.getVideoJobStates(videos.map(v => String(v._id)));
+
+    res.json({
+      success: true,
+      count: videos.length,
+      jobs: videos.map(v => ({
+        videoId: v._id,
+        videoName: v.videoName,
+        processingStatus: v.processingStatus,
+        isStuck: v.processingStatus !== 'failed',
+        processingProgress: v.processingProgress || 0,
+        processingError: v.processingError || null,
+        currentStep: v.processingStep || null,
+        lastHeartbeatAt: v.processingHeartbeatAt || v.updatedAt,
+        queueState: jobStates[String(v._id)] || null,
+        canRequeue: !!v.processingJob?.rawVideoKey,
+        steps: Object.entries(v.processingCheckpoints || {}).map(([name, checkpoint]) => ({
+          name,
+          status: checkpoint.status,
+          attempts: checkpoint.attempts || 0,
+          completedAt: checkpoint.completedAt || null,
+          durationMs: checkpoint.durationMs || null,
+          error: checkpoint.error || null
+        })),
+        createdAt: v.createdAt,
+        uploader: v.uploader ? {
+          name: v.uploader.name,
+          email: v.uploader.email,
+          googleId: v.uploader.googleId
+        } : null
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error loading processing jobs:', error);
+    res.status(500).json({ success: false, error: 'Failed to load processing jobs' });
+  }
+});
+
+// **NEW: Re-queue a failed/stuck processing job (resumes from the last completed step)**
+router.post('/processing/jobs/:videoId/retry', requireAdmin('system:write'), async (req, res) => {
   try {
     const { videoId } = req.params;
-    const video = await Video.findById(videoId);
+    const fresh = req.body?.fresh === true;
+
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ success: false, error: 'Invalid video id' });
+    }
+
+    const video = await Video.findById(videoId).select('videoName uploader processingStatus processingJob').lean();
     if (!video) {
       return res.status(404).json({ success: false, error: 'Video not found' });
     }
 
-    video.processingStatus = 'completed';
-    video.moderationResult = {
-      ...video.moderationResult,
-      isFlagged: false,
-      processedAt: new Date(),
-      provider: 'admin-override'
-    };
-    await video.save();
+    const job = video.processingJob || {};
+    if (!job.rawVideoKey) {
+      return res.status(409).json({
+        success: false,
+        error: 'No recorded job payload for this video; it cannot be re-queued'
+      });
+    }
 
-    console.log(`✅ Admin unflagged video: ${videoId} - ${video.videoName}`);
-    res.json({ success: true, message: 'Video unflagged and approved' });
+    const result = await queueService.retryVideoJob({
+      videoId: String(video._id),
+      rawVideoKey: job.rawVideoKey,
+      videoName: job.videoName || video.videoName,
+      userId: job.userId || String(video.uploader),
+      thumbnailKey: job.thumbnailKey,
+      crossPostPlatforms: job.crossPostPlatforms || [],
+      fresh
+    });
+
+    if (result.action === 'already_queued') {
+      return res.status(409).json({ success: false, error: `Job is already ${result.state}`, ...result });
+    }
+
+    await Video.findByIdAndUpdate(videoId, {
+      processingStatus: 'pending',
+      processingError: null,
+      processingHeartbeatAt: new Date()
+    });
+
+    console.log(`🔁 Admin re-queued processing for video ${videoId} (${result.action}${fresh ? ', fresh' : ''})`);
+    res.json({ success: true, message: 'Processing job re-queued', fresh, ...result });
   } catch (error) {
-    console.error('❌ Error unflagging video:', error);
-    res.status(500).json({ success: false, error: 'Failed to unflag video' });
+    console.error('❌ Error retrying processing job:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry processing job' });
   }
 });
 
 // **NEW: Admin endpoint to get video reports**
-router.get('/reports', requireAdminDashboardKey, async (req, res) => {
+router.get('/reports', requireAdmin('reports:read'), async (req, res) => {
   try {
     const { status = 'open', limit = 100 } = req.query;
     
@@ -1277,7 +1545,7 @@ router.get('/reports', requireAdminDashboardKey, async (req, res) => {
 });
 
 // **NEW: Admin endpoint to get stats including report counts**
-router.get('/report-stats', requireAdminDashboardKey, async (req, res) => {
+router.get('/report-stats', requireAdmin('reports:read'), async (req, res) => {
   try {
     const Report = mongoose.model('Report');
     const openReportsCount = await Report.countDocuments({ targetType: 'video', status: 'open' });
@@ -1300,7 +1568,7 @@ router.get('/report-stats', requireAdminDashboardKey, async (req, res) => {
 });
 
 // **NEW: Route to broadcast emails to users (via Brevo)**
-router.post('/email/blast', requireAdminDashboardKey, async (req, res) => {
+router.post('/email/blast', requireAdmin('notifications:send'), async (req, res) => {
   try {
     const { target, customEmail, subject, htmlContent } = req.body;
 
@@ -1325,6 +1593,7 @@ router.post('/email/blast', requireAdminDashboardKey, async (req, res) => {
     }
 
     console.log(`📧 Email Blast: Sending to ${recipients.length} recipients...`);
+    res.locals.auditMetadata = { target, subject, recipientCount: recipients.length };
 
     // In a massive blast, we should batch these or use a worker
     // For now, if < 100, we can do it in a loop
@@ -1364,4 +1633,72 @@ router.post('/email/blast', requireAdminDashboardKey, async (req, res) => {
   }
 });
 
+// **NEW: Admin accounts (role-based dashboard access)**
+const sendAdminAccountError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+// Who am I (any active admin); lets the dashboards hide sections the role cannot use
+router.get('/me', requireAdmin('analytics:read'), (req, res) => {
+  res.json({
+    success: true,
+    admin: req.admin,
+    permissions: ADMIN_CONFIG.ROLE_PERMISSIONS[req.admin.role]
+  });
+});
+
+router.get('/accounts', requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, accounts: await adminAccountService.listAccounts() });
+  } catch (error) {
+    sendAdminAccountError(res, error, 'Failed to load admin accounts');
+  }
+});
+
+// The access key is only ever returned here and by rotate-key
+router.post('/accounts', requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const { name, email, role } = req.body || {};
+    const { account, accessKey } = await adminAccountService.createAccount({ name, email, role }, req.admin.id);
+    res.locals.auditMetadata = { email: account.email, role: account.role };
+    res.status(201).json({ success: true, account, accessKey });
+  } catch (error) {
+    sendAdminAccountError(res, error, 'Failed to create admin account');
+  }
+});
+
+router.patch('/accounts/:accountId', requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const { name, role, active } = req.body || {};
+    const account = await adminAccountService.updateAccount(req.params.accountId, { name, role, active }, req.admin.id);
+    res.locals.auditMetadata = { role, active };
+    res.json({ success: true, account });
+  } catch (error) {
+    sendAdminAccountError(res, error, 'Failed to update admin account');
+  }
+});
+
+router.post('/accounts/:accountId/rotate-key', requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const { account, accessKey } = await adminAccountService.rotateKey(req.params.accountId);
+    res.json({ success: true, account, accessKey });
+  } catch (error) {
+    sendAdminAccountError(res, error, 'Failed to rotate admin access key');
+  }
+});
+
+router.get('/audit-log', requireAdmin('audit:read'), async (req, res) => {
+  try {
+    const { actorId, resource, outcome, before, limit } = req.query;
+    const page = await adminAccountService.listAuditLog({ actorId, resource, outcome, before, limit });
+    res.json({ success: true, ...page });
+  } catch (error) {
+    sendAdminAccountError(res, error, 'Failed to load audit log');
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,30 +1,16 @@
 import express from 'express';
 import AdCampaign from '../../models/AdCampaign.js';
 import Invoice from '../../models/Invoice.js';
+import User from '../../models/User.js';
 import crypto from 'crypto';
-import Razorpay from 'razorpay';
-import { getRazorpayConfig } from '../../config/razorpay.js';
+import { verifyToken } from '../../utils/verifytoken.js';
+import { getRazorpayClient, razorpayConfig as config, verifyWebhookSignature } from '../../services/adServices/billing/razorpayClient.js';
+import refundService from '../../services/adServices/billing/RefundService.js';
+import webhookService from '../../services/adServices/billing/WebhookService.js';
 
 const router = express.Router();
 
-// **NEW: Initialize Razorpay with config (only if configured)**
-const config = getRazorpayConfig();
-let razorpay = null;
-
-if (config.isConfigured) {
-  try {
-    razorpay = new Razorpay({
-      key_id: config.keyId,
-      key_secret: config.keySecret,
-    });
-    console.log('✅ Razorpay initialized successfully');
-  } catch (error) {
-    console.error('❌ Failed to initialize Razorpay:', error);
-    razorpay = null;
-  }
-} else {
-  console.warn('⚠️ Razorpay not configured - payment routes will return errors');
-}
+const razorpay = getRazorpayClient();
 
 // **Helper function to check if Razorpay is available**
 const checkRazorpayAvailable = (res) => {
@@ -353,9 +339,11 @@ router.post('/verify-payment', async (req, res) => {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    // Update invoice with payment details
-    invoice.status = 'paid';
-    invoice.paidAt = new Date();
+    // Update invoice with payment details (never rewinds a refunded invoice; webhooks may have got here first)
+    if (['created', 'failed'].includes(invoice.status)) {
+      invoice.status = 'paid';
+      invoice.paidAt = new Date();
+    }
     invoice.razorpayPaymentId = razorpay_payment_id;
     invoice.razorpaySignature = razorpay_signature;
     invoice.paymentMethod = 'razorpay';
@@ -374,245 +362,43 @@ router.post('/verify-payment', async (req, res) => {
 });
 
 // **NEW: POST /billing/webhook - Handle Razorpay webhooks**
+// Signature is checked against the raw body (captured by express.json in loaders/express.js);
+// events are applied once per x-razorpay-event-id by the WebhookService.
 router.post('/webhook', async (req, res) => {
   try {
-    // **FIX: Check if Razorpay is configured**
-    if (!config.isConfigured || !process.env.RAZORPAY_WEBHOOK_SECRET) {
+    if (!config.isConfigured || !config.webhookSecret) {
       console.warn('⚠️ Billing: Webhook received but Razorpay is not configured');
       return res.status(503).json({ 
         error: 'Payment service is currently unavailable. Razorpay is not configured.' 
       });
     }
-    
-    console.log('🔍 Billing: Webhook received from Razorpay');
-    console.log('🔍 Billing: Webhook body:', req.body);
-
-    const {
-      event,
-      payload,
-      created_at
-    } = req.body;
 
-    // **NEW: Verify webhook signature**
     const webhookSignature = req.headers['x-razorpay-signature'];
     if (!webhookSignature) {
       console.warn('⚠️ Billing: No webhook signature received');
       return res.status(400).json({ error: 'Missing webhook signature' });
     }
 
-    // Verify webhook signature
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
-      .update(JSON.stringify(req.body))
-      .digest('hex');
-
-    if (webhookSignature !== expectedSignature) {
+    if (!verifyWebhookSignature(req.rawBody, webhookSignature)) {
       console.warn('⚠️ Billing: Invalid webhook signature');
       return res.status(400).json({ error: 'Invalid webhook signature' });
     }
 
-    console.log('✅ Billing: Webhook signature verified');
-
-    // **NEW: Handle different webhook events**
-    switch (event) {
-      case 'payment.captured':
-        await _handlePaymentCaptured(payload);
-        break;
-      
-      case 'payment.failed':
-        await _handlePaymentFailed(payload);
-        break;
-      
-      case 'order.paid':
-        await _handleOrderPaid(payload);
-        break;
-      
-      case 'refund.processed':
-        await _handleRefundProcessed(payload);
-        break;
-      
-      default:
-        console.log('🔍 Billing: Unhandled webhook event:', event);
-    }
+    const { event } = req.body;
+    const eventId = req.headers['x-razorpay-event-id'];
+    console.log(`🔍 Billing: Webhook ${event} (${eventId || 'no event id'}) verified`);
 
-    // **NEW: Send success response to Razorpay**
-    res.json({ status: 'ok' });
+    const { duplicate } = await webhookService.handleEvent(req.body, eventId);
+
+    res.json({ status: 'ok', duplicate });
 
   } catch (error) {
+    // Non-2xx makes Razorpay redeliver the event
     console.error('❌ Billing: Webhook processing error:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
 
-// **NEW: Helper function to handle payment captured**
-async function _handlePaymentCaptured(payload) {
-  try {
-    console.log('🔍 Billing: Processing payment captured event');
-    
-    const {
-      id: paymentId,
-      order_id: orderId,
-      amount,
-      currency,
-      status
-    } = payload.payment.entity;
-
-    console.log('🔍 Billing: Payment ID:', paymentId);
-    console.log('🔍 Billing: Order ID:', orderId);
-    console.log('🔍 Billing: Amount:', amount);
-    console.log('🔍 Billing: Status:', status);
-
-    // Find invoice by order ID
-    const invoice = await Invoice.findOne({ orderId: orderId });
-    if (!invoice) {
-      console.warn('⚠️ Billing: Invoice not found for order:', orderId);
-      return;
-    }
-
-    // Update invoice status
-    invoice.status = 'paid';
-    invoice.paidAt = new Date();
-    invoice.razorpayPaymentId = paymentId;
-    invoice.paymentMethod = 'razorpay';
-
-    await invoice.save();
-    console.log('✅ Billing: Invoice updated successfully');
-
-  // **NEW: Activate ad campaign**
-  await _activateAdCampaign(invoice.campaignId);
-
-  } catch (error) {
-    console.error('❌ Billing: Error handling payment captured:', error);
-  }
-}
-
-// **NEW: Helper function to handle payment failed**
-async function _handlePaymentFailed(payload) {
-  try {
-    console.log('🔍 Billing: Processing payment failed event');
-    
-    const {
-      id: paymentId,
-      order_id: orderId,
-      error_code: errorCode,
-      error_description: errorDescription
-    } = payload.payment.entity;
-
-    console.log('🔍 Billing: Payment failed - ID:', paymentId);
-    console.log('🔍 Billing: Error code:', errorCode);
-    console.log('🔍 Billing: Error description:', errorDescription);
-
-    // Find invoice and mark as failed
-    const invoice = await Invoice.findOne({ orderId: orderId });
-    if (invoice) {
-      invoice.status = 'failed';
-      invoice.failedAt = new Date();
-      invoice.failureReason = errorDescription;
-      await invoice.save();
-      console.log('✅ Billing: Invoice marked as failed');
-    }
-
-  } catch (error) {
-    console.error('❌ Billing: Error handling payment failed:', error);
-  }
-}
-
-// **NEW: Helper function to handle order paid**
-async function _handleOrderPaid(payload) {
-  try {
-    console.log('🔍 Billing: Processing order paid event');
-    
-    const {
-      id: orderId,
-      amount,
-      currency,
-      status
-    } = payload.order.entity;
-
-    console.log('🔍 Billing: Order paid - ID:', orderId);
-    console.log('🔍 Billing: Amount:', amount);
-    console.log('🔍 Billing: Status:', status);
-
-    // Find invoice and update status
-    const invoice = await Invoice.findOne({ orderId: orderId });
-    if (invoice) {
-      invoice.status = 'paid';
-      invoice.paidAt = new Date();
-      await invoice.save();
-      console.log('✅ Billing: Invoice marked as paid');
-
-      // Activate ad campaign
-      await _activateAdCampaign(invoice.campaignId);
-    }
-
-  } catch (error) {
-    console.error('❌ Billing: Error handling order paid:', error);
-  }
-}
-
-// **NEW: Helper function to handle refund processed**
-async function _handleRefundProcessed(payload) {
-  try {
-    console.log('🔍 Billing: Processing refund processed event');
-    
-    const {
-      id: refundId,
-      payment_id: paymentId,
-      amount,
-      status
-    } = payload.refund.entity;
-
-    console.log('🔍 Billing: Refund processed - ID:', refundId);
-    console.log('🔍 Billing: Payment ID:', paymentId);
-    console.log('🔍 Billing: Amount:', amount);
-    console.log('🔍 Billing: Status:', status);
-
-    // Find invoice and update refund status
-    const invoice = await Invoice.findOne({ razorpayPaymentId: paymentId });
-    if (invoice) {
-      invoice.status = 'refunded';
-      invoice.refundedAt = new Date();
-      invoice.refundAmount = amount / 100; // Convert from paise to rupees
-      await invoice.save();
-      console.log('✅ Billing: Invoice marked as refunded');
-    }
-
-  } catch (error) {
-    console.error('❌ Billing: Error handling refund processed:', error);
-  }
-}
-
-// **NEW: Helper function to activate ad campaign**
-async function _activateAdCampaign(campaignId) {
-  try {
-    console.log('🔍 Billing: Activating ad campaign:', campaignId);
-
-    // Find and activate campaign
-    const campaign = await AdCampaign.findById(campaignId);
-    if (campaign) {
-      campaign.status = 'active';
-      campaign.activatedAt = new Date();
-      await campaign.save();
-      console.log('✅ Billing: Campaign activated successfully');
-
-      // Also activate associated creative consistently
-      const { default: AdCreative } = await import('../../models/AdCreative.js');
-      await AdCreative.findOneAndUpdate(
-        { campaignId },
-        { $set: { isActive: true, reviewStatus: 'approved' } }
-      );
-
-      // **NEW: Send notification to user (implement as needed)**
-      // await sendCampaignActivatedNotification(campaign.advertiserUserId);
-    } else {
-      console.warn('⚠️ Billing: Campaign not found:', campaignId);
-    }
-
-  } catch (error) {
-    console.error('❌ Billing: Error activating campaign:', error);
-  }
-}
-
 // GET /billing/invoices - Get user's invoices
 router.get('/invoices', async (req, res) => {
   try {
@@ -683,10 +469,10 @@ router.get('/invoices/:id', async (req, res) => {
   }
 });
 
-// POST /billing/refund - Request refund
-router.post('/refund', async (req, res) => {
+// POST /billing/refund - Refund a paid invoice through Razorpay (full by default, or `amount` INR)
+router.post('/refund', verifyToken, async (req, res) => {
   try {
-    const { invoiceId, reason } = req.body;
+    const { invoiceId, amount, reason } = req.body;
 
     const invoice = await Invoice.findById(invoiceId);
     if (!invoice) {
@@ -694,37 +480,43 @@ router.post('/refund', async (req, res) => {
     }
 
     // Check if user owns this invoice
-    const campaign = await AdCampaign.findById(invoice.campaignId);
-    if (campaign.advertiserUserId.toString() !== req.user.id) {
+    const [campaign, user] = await Promise.all([
+      AdCampaign.findById(invoice.campaignId),
+      User.findOne({ googleId: req.user.googleId }).select('_id').lean()
+    ]);
+    if (!campaign || !user || campaign.advertiserUserId.toString() !== user._id.toString()) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check if invoice is paid
-    if (invoice.status !== 'paid') {
-      return res.status(400).json({ error: 'Only paid invoices can be refunded' });
+    // Budget already delivered can't be refunded
+    const budget = await refundService.getUnspentBudget(campaign);
+    const requested = amount !== undefined && amount !== null && amount !== '' ? Number(amount) : null;
+    const amountINR = Math.min(requested ?? refundService.refundableAmount(invoice), budget.unspentINR);
+    if (amountINR <= 0) {
+      return res.status(400).json({ error: 'Nothing left to refund: the paid budget has been spent', budget });
     }
 
-    // Process refund (this would integrate with Razorpay API)
-    // For now, just update the status
-    invoice.status = 'refunded';
-    invoice.refundAmount = invoice.amountINR;
-    invoice.refundReason = reason;
-    invoice.refundDate = new Date();
-
-    await invoice.save();
+    const updated = await refundService.refundInvoice(invoice, { amountINR, reason });
+    const refund = updated.refunds[updated.refunds.length - 1];
 
     res.json({
-      message: 'Refund processed successfully',
+      message: refund.status === 'processed' ? 'Refund processed successfully' : 'Refund initiated',
+      refund: {
+        id: refund.refundId,
+        amount: refund.amountINR,
+        status: refund.status
+      },
       invoice: {
-        id: invoice._id,
-        status: invoice.status,
-        refundAmount: invoice.refundAmount
+        id: updated._id,
+        status: updated.status,
+        refundAmount: updated.refundAmount,
+        refundRequestedAmount: updated.refundRequestedAmount
       }
     });
 
   } catch (error) {
     console.error('Refund error:', error);
-    res.status(500).json({ error: 'Failed to process refund' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to process refund' });
   }
 });
 
@@ -2,7 +2,9 @@ import express from 'express';
 import CreatorPayout from '../../models/CreatorPayout.js';
 import User from '../../models/User.js';
 import { verifyToken } from '../../utils/verifytoken.js';
-import requireAdminDashboardKey from '../../middleware/adminDashboardAuth.js';
+import requireAdmin from '../../middleware/adminAuth.js';
+import payoutVaultService from '../../services/payoutServices/payoutVaultService.js';
+import { getAuditRequestContext } from '../../utils/auditLogger.js';
 
 const router = express.Router();
 
@@ -61,6 +63,13 @@ router.get('/profile', verifyToken, async (req, res) => {
     const isFirstPayout = existingPayouts === 0;
     const payoutCount = existingPayouts;
 
+    const paymentDetails = await payoutVaultService.getPaymentDetailsView(user._id, {
+      actorType: 'user',
+      actorId: user._id.toString(),
+      actorName: user.email,
+      ...getAuditRequestContext(req)
+    });
+
     /* console.log('🔍 Payout info:', {
       existingPayouts,
       isFirstPayout,
@@ -78,8 +87,8 @@ router.get('/profile', verifyToken, async (req, res) => {
         preferredPaymentMethod: user.preferredPaymentMethod,
         payoutCount: payoutCount
       },
-      // **NEW: Include payment details for frontend validation**
-      paymentDetails: user.paymentDetails || null,
+      // Masked destinations from the payout vault, for frontend validation
+      paymentDetails,
       paymentMethods: _getAvailablePaymentMethods(user.country || 'IN'),
       // **NEW: Dynamic thresholds based on payout count**
       thresholds: {
@@ -144,10 +153,19 @@ router.put('/payment-method', verifyToken, async (req, res) => {
 
     // console.log('✅ Payment method validation passed');
 
+    // Destinations go to the encrypted payout vault, never onto the user document
+    if (paymentDetails) {
+      await payoutVaultService.saveDestinations(user._id, paymentDetails, {
+        actorType: 'user',
+        actorId: user._id.toString(),
+        actorName: user.email,
+        ...getAuditRequestContext(req)
+      });
+    }
+
     // Prepare update data
     const updateData = {
       preferredPaymentMethod: paymentMethod,
-      paymentDetails: paymentDetails,
       country: country
     };
 
@@ -329,7 +347,7 @@ router.post('/request', verifyToken, async (req, res) => {
 });
 
 // **NEW: Admin endpoints for monitoring and control**
-router.get('/stats', requireAdminDashboardKey, async (req, res) => {
+router.get('/stats', requireAdmin('finance:read'), async (req, res) => {
   try {
     const stats = await CreatorPayout.aggregate([
       {
@@ -360,7 +378,7 @@ router.get('/stats', requireAdminDashboardKey, async (req, res) => {
   }
 });
 
-router.get('/overview', requireAdminDashboardKey, async (req, res) => {
+router.get('/overview', requireAdmin('finance:read'), async (req, res) => {
   try {
     const totalCreators = await User.countDocuments();
     const eligibleForPayout = await CreatorPayout.countDocuments({ 
@@ -394,7 +412,7 @@ router.get('/overview', requireAdminDashboardKey, async (req, res) => {
   }
 });
 
-router.get('/recent', requireAdminDashboardKey, async (req, res) => {
+router.get('/recent', requireAdmin('finance:read', { auditReads: true }), async (req, res) => {
   try {
     const recentPayouts = await CreatorPayout.find()
       .populate('creatorId', 'name')
@@ -1,6 +1,6 @@
 import express from 'express';
 import { verifyToken } from '../../utils/verifytoken.js';
-import { requireAdminDashboardKey } from '../../middleware/adminDashboardAuth.js';
+import { requireAdmin } from '../../middleware/adminAuth.js';
 import { 
   sendNotificationToUser, 
   sendNotificationToUsers, 
@@ -77,7 +77,7 @@ router.post('/token', verifyToken, async (req, res) => {
  * POST /api/notifications/send
  * Send notification to a specific user (Admin Dashboard Only)
  */
-router.post('/send', requireAdminDashboardKey, async (req, res) => {
+router.post('/send', requireAdmin('notifications:send'), async (req, res) => {
   try {
     const { googleId, title, body, data } = req.body;
 
@@ -115,7 +115,7 @@ router.post('/send', requireAdminDashboardKey, async (req, res) => {
  * POST /api/notifications/send-multiple
  * Send notification to multiple users (Admin Dashboard Only)
  */
-router.post('/send-multiple', requireAdminDashboardKey, async (req, res) => {
+router.post('/send-multiple', requireAdmin('notifications:send'), async (req, res) => {
   try {
     const { googleIds, title, body, data } = req.body;
 
@@ -160,7 +160,7 @@ router.post('/send-multiple', requireAdminDashboardKey, async (req, res) => {
  * POST /api/notifications/broadcast
  * Send notification to all users (Admin Dashboard Only)
  */
-router.post('/broadcast', requireAdminDashboardKey, async (req, res) => {
+router.post('/broadcast', requireAdmin('notifications:send'), async (req, res) => {
   try {
     const { title, body, data } = req.body;
 
@@ -199,7 +199,7 @@ router.post('/broadcast', requireAdminDashboardKey, async (req, res) => {
  * GET /api/notifications/monthly/status
  * Get monthly notification cron job status (Admin Dashboard Only)
  */
-router.get('/monthly/status', requireAdminDashboardKey, async (req, res) => {
+router.get('/monthly/status', requireAdmin('notifications:send'), async (req, res) => {
   try {
     const status = monthlyNotificationCron.getStatus();
     res.json({
@@ -216,7 +216,7 @@ router.get('/monthly/status', requireAdminDashboardKey, async (req, res) => {
  * POST /api/notifications/monthly/trigger
  * Manually trigger monthly notification (Admin Dashboard Only)
  */
-router.post('/monthly/trigger', requireAdminDashboardKey, async (req, res) => {
+router.post('/monthly/trigger', requireAdmin('notifications:send'), async (req, res) => {
   try {
     console.log('🔧 Manual trigger of monthly notification requested');
     await monthlyNotificationCron.triggerManually();
@@ -235,7 +235,7 @@ router.post('/monthly/trigger', requireAdminDashboardKey, async (req, res) => {
  * POST /api/notifications/verify-installation
  * Check if a specific user still has the app installed
  */
-router.post('/verify-installation', requireAdminDashboardKey, async (req, res) => {
+router.post('/verify-installation', requireAdmin('notifications:send'), async (req, res) => {
   try {
     const { googleId } = req.body;
     console.log(`📡 Route: /verify-installation hit for googleId: ${googleId}`);
@@ -258,7 +258,7 @@ router.post('/verify-installation', requireAdminDashboardKey, async (req, res) =
  * POST /api/notifications/verify-all-installations
  * Bulk check all users to see who has uninstalled the app
  */
-router.post('/verify-all-installations', requireAdminDashboardKey, async (req, res) => {
+router.post('/verify-all-installations', requireAdmin('notifications:send'), async (req, res) => {
   try {
     const { verifyInstallationStatus } = await import('../../services/notificationServices/notificationService.js');
     
@@ -4,6 +4,8 @@ import jwt from 'jsonwebtoken';
 import { OAuth2Client } from 'google-auth-library';
 import { config } from '../../config.js';
 import User from '../../models/User.js';
+import { isSessionActive } from '../../utils/verifytoken.js';
+import requireAdmin from '../../middleware/adminAuth.js';
 
 const router = express.Router();
 
@@ -23,7 +25,8 @@ const optionalAuth = async (req, res, next) => {
         const JWT_SECRET = process.env.JWT_SECRET || config.auth.jwtSecret;
         try {
           const decoded = jwt.verify(token, JWT_SECRET);
-          if (decoded && decoded.id) {
+          // Tokens of a signed-out session report anonymously
+          if (decoded && decoded.id && (!decoded.fam || await isSessionActive(decoded.fam))) {
             // Find user by googleId or _id
             const user = await User.findOne({ 
               $or: [
@@ -136,8 +139,8 @@ router.post('/', optionalAuth, async (req, res) => {
   }
 });
 
-// Optional: List reports for admin (basic, can be expanded later)
-router.get('/', async (req, res) => {
+// List reports for admin (basic, can be expanded later)
+router.get('/', requireAdmin('reports:read'), async (req, res) => {
   try {
     const { status, targetType, limit = 100 } = req.query;
     const query = {};
@@ -152,7 +155,7 @@ router.get('/', async (req, res) => {
 });
 
 // Update report status (admin)
-router.patch('/:reportId/status', async (req, res) => {
+router.patch('/:reportId/status', requireAdmin('reports:write'), async (req, res) => {
   try {
     const { reportId } = req.params;
     const { status } = req.body;
@@ -1,50 +1,111 @@
 import express from 'express';
-import MongoSearchProvider from '../services/searchServices/MongoSearchProvider.js';
+import { getSearchProvider, setSearchProvider } from '../services/searchServices/index.js';
+import {
+  searchVideoPage,
+  parseSearchFilters,
+  suggest,
+  SearchFilterError
+} from '../services/searchServices/videoSearchService.js';
+import searchHistoryService from '../services/searchServices/searchHistoryService.js';
+import { verifyToken, passiveVerifyToken } from '../utils/verifytoken.js';
+import { SEARCH_CONFIG } from '../constants/index.js';
 
 const router = express.Router();
 
-// **PLUG-AND-PLAY ARCHITECTURE (FFmpeg Style)**
-// By default, we use MongoSearchProvider. But any other provider implementing
-// ISearchProvider (e.g. ElasticSearchProvider, MockSearchProvider) can be swapped in.
-let activeSearchProvider = new MongoSearchProvider();
-
-/**
- * Configure the active search provider (Dynamic Swap / Codec injection).
- * Useful for tests or swapping search engines (e.g., Elasticsearch, Algolia).
- * @param {ISearchProvider} provider
- */
-export function setSearchProvider(provider) {
-  activeSearchProvider = provider;
-  console.log(`🔌 Search Provider swapped to: ${provider.constructor.name}`);
-}
-
-/**
- * Get the currently active search provider.
- * @returns {ISearchProvider}
- */
-export function getSearchProvider() {
-  return activeSearchProvider;
-}
-
-// GET /api/search/videos?q=...&limit=20
-router.get('/videos', async (req, res) => {
+// Provider selection lives in services/searchServices (SEARCH_PROVIDER=mongo|local|meilisearch)
+export { getSearchProvider, setSearchProvider };
+
+// GET /api/search/videos?q=...&limit=20&cursor=...
+//   Filters: category, language, videoType (comma lists), minDuration / maxDuration (seconds)
+//   or duration=short|medium|long, uploadedAfter / uploadedBefore (ISO) or uploadedWithin=day|week|month|year
+router.get('/videos', passiveVerifyToken, async (req, res) => {
   try {
-    const q = (req.query.q || '').toString().trim();
-    const limit = Math.min(parseInt(req.query.limit || '20', 10), 50);
+    const q = (req.query.q || '').toString().trim().slice(0, SEARCH_CONFIG.MAX_QUERY_LENGTH);
+    const limit = Math.min(parseInt(req.query.limit || SEARCH_CONFIG.DEFAULT_PAGE_SIZE, 10) || SEARCH_CONFIG.DEFAULT_PAGE_SIZE, SEARCH_CONFIG.MAX_PAGE_SIZE);
 
     if (!q) {
-      return res.json({ videos: [] });
+      return res.json({ videos: [], nextCursor: null, hasMore: false });
     }
 
-    const videos = await activeSearchProvider.searchVideos(q, limit);
-    return res.json({ videos });
+    const filters = parseSearchFilters(req.query);
+    const cursor = req.query.cursor ? req.query.cursor.toString() : null;
+    const page = await searchVideoPage(q, { filters, cursor, limit });
+
+    // Count the search once, on its first page
+    if (!cursor) {
+      searchHistoryService.recordSearch(q, req.user?.googleId || null)
+        .catch(err => console.warn('⚠️ Search history write failed:', err.message));
+    }
+
+    return res.json(page);
 
   } catch (err) {
+    if (err instanceof SearchFilterError) {
+      return res.status(400).json({ videos: [], error: err.message });
+    }
     console.error('❌ Router Search Error (videos):', err);
     return res.status(500).json({ videos: [], error: 'Search failed' });
   }
 });
 
+// GET /api/search/suggest?q=...&limit=8
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = (req.query.q || '').toString().trim().slice(0, SEARCH_CONFIG.MAX_QUERY_LENGTH);
+    const limit = Math.min(parseInt(req.query.limit || SEARCH_CONFIG.SUGGEST_LIMIT, 10) || SEARCH_CONFIG.SUGGEST_LIMIT, 20);
+
+    if (!q) {
+      return res.json({ suggestions: [] });
+    }
+
+    const suggestions = await suggest(q, limit);
+    return res.json({ suggestions });
+
+  } catch (err) {
+    console.error('❌ Router Search Error (suggest):', err);
+    return res.status(500).json({ suggestions: [], error: 'Suggest failed' });
+  }
+});
+
+// GET /api/search/recent
+router.get('/recent', verifyToken, async (req, res) => {
+  try {
+    const searches = await searchHistoryService.getRecentSearches(req.user.googleId);
+    return res.json({ searches });
+  } catch (err) {
+    console.error('❌ Router Search Error (recent):', err);
+    return res.status(500).json({ searches: [], error: 'Failed to load recent searches' });
+  }
+});
+
+// DELETE /api/search/recent?q=...  (omit q to clear all)
+router.delete('/recent', verifyToken, async (req, res) => {
+  try {
+    const q = (req.query.q || '').toString().trim();
+    if (q) {
+      await searchHistoryService.removeRecentSearch(req.user.googleId, q);
+    } else {
+      await searchHistoryService.clearRecentSearches(req.user.googleId);
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Router Search Error (clear recent):', err);
+    return res.status(500).json({ success: false, error: 'Failed to clear recent searches' });
+  }
+});
+
+// GET /api/search/trending?limit=10
+router.get('/trending', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '10', 10) || 10, 50);
+    const searches = await searchHistoryService.getTrendingSearches(limit);
+    return res.json({ searches });
+  } catch (err) {
+    console.error('❌ Router Search Error (trending):', err);
+    return res.status(500).json({ searches: [], error: 'Failed to load trending searches' });
+  }
+});
+
 // GET /api/search/creators?q=...&limit=20
 router.get('/creators', async (req, res) => {
   try {
@@ -55,7 +116,7 @@ router.get('/creators', async (req, res) => {
       return res.json({ creators: [] });
     }
 
-    const creators = await activeSearchProvider.searchCreators(q, limit);
+    const creators = await getSearchProvider().searchCreators(q, limit);
     return res.json({ creators });
 
   } catch (err) {
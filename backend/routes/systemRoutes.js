@@ -10,6 +10,25 @@ const backendRoot = path.join(__dirname, '..');
 
 const router = express.Router();
 
+/**
+ * Seek-bar preview markup for the web players. With preview sprites the native
+ * controls are swapped for Plyr, which reads the sprite WebVTT; otherwise nothing changes.
+ */
+const previewThumbnailAssets = (video, elementId) => {
+  const vttUrl = video.previewSprites?.vttUrl;
+  if (!vttUrl) return { head: '', script: '' };
+
+  return {
+    head: '<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/plyr@3/dist/plyr.css" />',
+    script: `<script src="https://cdn.jsdelivr.net/npm/plyr@3/dist/plyr.polyfilled.min.js"></script>
+  <script>
+    new Plyr(document.getElementById(${JSON.stringify(elementId)}), {
+      previewThumbnails: { enabled: true, src: ${JSON.stringify(vttUrl)} }
+    });
+  </script>`
+  };
+};
+
 // Asset Links dynamic response
 const assetLinksPackageName = process.env.ANDROID_ASSETLINKS_PACKAGE_NAME;
 const assetLinksFingerprintsRaw = process.env.ANDROID_ASSETLINKS_FINGERPRINTS || '';
@@ -116,6 +135,7 @@ router.get('/video/:id', async (req, res) => {
     const finalThumbnailUrl = (video.thumbnailUrl && video.thumbnailUrl.startsWith('http')) 
       ? video.thumbnailUrl 
       : (video.thumbnailUrl ? `${baseUrl}${video.thumbnailUrl}` : '');
+    const previews = previewThumbnailAssets(video, 'v');
 
     const html = `<!doctype html>
 <html lang="en">
@@ -140,6 +160,7 @@ router.get('/video/:id', async (req, res) => {
     .primary { background:#2563eb; color:#fff; }
     .secondary { border:1px solid #333; color:#fff; background:#111; }
   </style>
+  ${previews.head}
 </head>
 <body>
   <div class="player">
@@ -162,6 +183,7 @@ router.get('/video/:id', async (req, res) => {
       const hls = new Hls(); hls.loadSource(src); hls.attachMedia(video);
     } else { video.src = src; }
   </script>
+  ${previews.script}
 </body>
 </html>`;
 
@@ -190,6 +212,7 @@ router.get('/embed/:id', async (req, res) => {
     const videoStreamUrl = video.hlsMasterPlaylistUrl || video.videoUrl;
     const finalStreamUrl = videoStreamUrl.startsWith('http') ? videoStreamUrl : `${baseUrl}${videoStreamUrl}`;
     const finalThumbnailUrl = video.thumbnailUrl.startsWith('http') ? video.thumbnailUrl : `${baseUrl}${video.thumbnailUrl}`;
+    const previews = previewThumbnailAssets(video, 'video');
 
     const html = `<!doctype html>
 <html lang="en">
@@ -223,6 +246,7 @@ router.get('/embed/:id', async (req, res) => {
       .vayu-btn { bottom: 10px; right: 10px; padding: 8px 12px; font-size: 12px; }
     }
   </style>
+  ${previews.head}
 </head>
 <body>
   <div class="player-container">
@@ -262,6 +286,7 @@ router.get('/embed/:id', async (req, res) => {
       }
     });
   </script>
+  ${previews.script}
 </body>
 </html>`;
 
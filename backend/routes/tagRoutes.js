@@ -0,0 +1,51 @@
+import express from 'express';
+import tagService from '../services/tagServices/tagService.js';
+import { passiveVerifyToken } from '../utils/verifytoken.js';
+import { serializeVideos } from '../utils/serializers/videoSerializer.js';
+
+const router = express.Router();
+
+// GET /api/tags/trending?limit=20
+router.get('/trending', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 50);
+    const tags = await tagService.getTrending(limit);
+    return res.json({ success: true, tags });
+  } catch (err) {
+    console.error('❌ Tag Routes Error (trending):', err);
+    return res.status(500).json({ success: false, error: 'Failed to load trending tags' });
+  }
+});
+
+// GET /api/tags/:tag?sort=recent|top&cursor=...&limit=20
+router.get('/:tag', passiveVerifyToken, async (req, res) => {
+  try {
+    const sort = req.query.sort === 'top' ? 'top' : 'recent';
+    const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 50);
+
+    const feed = await tagService.getTagFeed(req.params.tag, {
+      sort,
+      cursor: req.query.cursor || null,
+      limit
+    });
+
+    if (!feed) {
+      return res.status(400).json({ success: false, error: 'Invalid tag' });
+    }
+
+    const requestingUserId = req.user?._id ? req.user._id.toString() : null;
+    return res.json({
+      success: true,
+      tag: feed.tag,
+      sort,
+      videos: serializeVideos(feed.videos, req.apiVersion, requestingUserId, req.traceId),
+      nextCursor: feed.nextCursor,
+      hasMore: feed.hasMore
+    });
+  } catch (err) {
+    console.error('❌ Tag Routes Error (feed):', err);
+    return res.status(500).json({ success: false, error: 'Failed to load tag' });
+  }
+});
+
+export default router;
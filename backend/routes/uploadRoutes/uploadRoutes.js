@@ -15,6 +15,8 @@ import AdmZip from 'adm-zip';
 import { addSocialJob } from '../../services/socialQueue.js';
 import queueService from '../../services/yugFeedServices/queueService.js';
 import redisService from '../../services/caching/redisService.js';
+import { parsePublishOptions } from '../../services/uploadServices/videoPublishService.js';
+import multipartUploadService from '../../services/uploadServices/multipartUploadService.js';
 
 const router = express.Router();
 
@@ -176,6 +178,101 @@ router.post('/video/presigned', verifyToken, uploadLimiter, async (req, res) =>
   }
 });
 
+// **NEW: Resumable multipart uploads (large videos on flaky networks)**
+// Flow: create (or resume) → sign parts in batches → PUT parts to R2 → complete → /video/direct-complete with the key
+
+const sendMultipartError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message, ...(error.details || {}) });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, error: fallbackMessage });
+};
+
+/**
+ * @route POST /api/upload/video/multipart
+ * @desc Start a multipart upload session, or resume the active one for the same file fingerprint
+ * @access Private
+ */
+router.post('/video/multipart', verifyToken, uploadLimiter, async (req, res) => {
+  try {
+    const { fileName, fileType, fileSize, partSize, fingerprint } = req.body;
+    const session = await multipartUploadService.createSession({
+      userId: req.user.id, fileName, fileType, fileSize, partSize, fingerprint
+    });
+    res.status(session.resumed ? 200 : 201).json({ success: true, session });
+  } catch (error) {
+    sendMultipartError(res, error, 'Failed to start multipart upload');
+  }
+});
+
+/**
+ * @route GET /api/upload/video/multipart
+ * @desc Unfinished upload sessions (offered for resume after an app restart)
+ * @access Private
+ */
+router.get('/video/multipart', verifyToken, async (req, res) => {
+  try {
+    res.json({ success: true, sessions: await multipartUploadService.listActiveSessions(req.user.id) });
+  } catch (error) {
+    sendMultipartError(res, error, 'Failed to list upload sessions');
+  }
+});
+
+/**
+ * @route GET /api/upload/video/multipart/:sessionId
+ * @desc Session layout and the parts already uploaded
+ * @access Private
+ */
+router.get('/video/multipart/:sessionId', verifyToken, async (req, res) => {
+  try {
+    res.json({ success: true, session: await multipartUploadService.getSession(req.params.sessionId, req.user.id) });
+  } catch (error) {
+    sendMultipartError(res, error, 'Failed to load upload session');
+  }
+});
+
+/**
+ * @route POST /api/upload/video/multipart/:sessionId/parts
+ * @desc Presigned PUT URLs for a batch of part numbers
+ * @access Private
+ */
+router.post('/video/multipart/:sessionId/parts', verifyToken, async (req, res) => {
+  try {
+    const parts = await multipartUploadService.signParts(req.params.sessionId, req.user.id, req.body.partNumbers);
+    res.json({ success: true, parts });
+  } catch (error) {
+    sendMultipartError(res, error, 'Failed to sign upload parts');
+  }
+});
+
+/**
+ * @route POST /api/upload/video/multipart/:sessionId/complete
+ * @desc Assemble the uploaded parts; 409 lists missing parts to re-upload
+ * @access Private
+ */
+router.post('/video/multipart/:sessionId/complete', verifyToken, uploadLimiter, async (req, res) => {
+  try {
+    const result = await multipartUploadService.complete(req.params.sessionId, req.user.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendMultipartError(res, error, 'Failed to complete multipart upload');
+  }
+});
+
+/**
+ * @route DELETE /api/upload/video/multipart/:sessionId
+ * @desc Cancel an upload and discard its parts
+ * @access Private
+ */
+router.delete('/video/multipart/:sessionId', verifyToken, async (req, res) => {
+  try {
+    res.json({ success: true, session: await multipartUploadService.abort(req.params.sessionId, req.user.id) });
+  } catch (error) {
+    sendMultipartError(res, error, 'Failed to abort multipart upload');
+  }
+});
+
 /**
  * @route POST /api/upload/video/direct-complete
  * @desc Notify backend that direct upload is complete and trigger processing
@@ -190,6 +287,14 @@ router.post('/video/direct-complete', verifyToken, uploadLimiter, async (req, re
       return res.status(400).json({ success: false, error: 'Key and VideoName are required' });
     }
 
+    // **NEW: Draft / scheduled publishing**
+    let publishOptions;
+    try {
+      publishOptions = parsePublishOptions(req.body);
+    } catch (scheduleError) {
+      return res.status(scheduleError.statusCode || 400).json({ success: false, error: scheduleError.message });
+    }
+
     console.log('🚀 Direct Upload Complete received for:', key);
 
     // Find user by Google ID to get proper ObjectId
@@ -224,6 +329,7 @@ router.post('/video/direct-complete', verifyToken, uploadLimiter, async (req, re
       link: link || '',
       videoUrl: cloudflareR2Service.getPublicUrl(key),
       thumbnailUrl: thumbnailKey ? cloudflareR2Service.getPublicUrl(thumbnailKey) : '',
+      thumbnailSource: thumbnailKey ? 'custom' : 'auto',
       processingStatus: 'processing',
       processingProgress: 0,
       processingError: null,
@@ -236,7 +342,8 @@ router.post('/video/direct-complete', verifyToken, uploadLimiter, async (req, re
       quizzes: Array.isArray(quizzes) ? quizzes : [],
       // **FIX: Store resolved ObjectIds so subscriber-videos query works correctly**
       allowedSubscribers: resolvedSubscriberIds,
-      isSubscriberOnly: resolvedSubscriberIds.length > 0
+      isSubscriberOnly: resolvedSubscriberIds.length > 0,
+      ...publishOptions
     });
 
     if (crossPostPlatforms && Array.isArray(crossPostPlatforms)) {
@@ -308,6 +415,14 @@ router.post('/video', verifyToken, uploadLimiter, upload.single('video'), async
       hybridVideoService = service;
     }
 
+    let publishOptions;
+    try {
+      publishOptions = parsePublishOptions(req.body);
+    } catch (scheduleError) {
+      await fs.unlink(videoPath);
+      return res.status(scheduleError.statusCode || 400).json({ success: false, error: scheduleError.message });
+    }
+
     const videoValidation = await hybridVideoService.validateVideo(videoPath);
     if (!videoValidation.isValid) {
       await fs.unlink(videoPath);
@@ -406,7 +521,8 @@ router.post('/video', verifyToken, uploadLimiter, upload.single('video'), async
       episodeNumber: req.body.episodeNumber ? parseInt(req.body.episodeNumber) : 0, // **NEW: Save episode number**
       category: category || 'others',
       tags: Array.isArray(tags) ? tags : [],
-      quizzes: Array.isArray(quizzes) ? quizzes : []
+      quizzes: Array.isArray(quizzes) ? quizzes : [],
+      ...publishOptions
     });
 
     if (crossPostPlatforms && Array.isArray(crossPostPlatforms)) {
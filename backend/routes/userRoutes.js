@@ -8,8 +8,18 @@ import jwt from 'jsonwebtoken'; // Added for token info endpoint
 import redisService from '../services/caching/redisService.js';
 import { getGlobalLeaderboard } from '../controllers/video/videoFeedController.js';
 import RecommendationService from '../services/yugFeedServices/recommendationService.js';
+import feedQueueService from '../services/yugFeedServices/feedQueueService.js';
 import Notice from '../models/Notice.js';
-import Video from '../models/Video.js';
+import Video, { publishedMatch } from '../models/Video.js';
+import RefreshToken from '../models/RefreshToken.js';
+import accountDeletionService from '../services/accountServices/accountDeletionService.js';
+import dataExportService from '../services/accountServices/dataExportService.js';
+import playbackAuthorizationService, { canView } from '../services/uploadServices/playbackAuthorizationService.js';
+import { serializeVideos } from '../utils/serializers/videoSerializer.js';
+import payoutVaultService from '../services/payoutServices/payoutVaultService.js';
+import { getAuditRequestContext } from '../utils/auditLogger.js';
+import { ACCOUNT_CONFIG } from '../constants/index.js';
+import requireAdmin from '../middleware/adminAuth.js';
 
 const router = express.Router();
 
@@ -700,6 +710,7 @@ router.post('/follow', verifyToken, async (req, res) => {
     ]);
 
     await invalidateProfileCache([currentUser.googleId, userToFollow.googleId]);
+    feedQueueService.invalidateFollowingInbox(currentUser._id).catch(() => {});
 
     // **PROACTIVE SYNC: Ensure counts are perfectly accurate in background**
     syncUserCounters(currentUser._id).catch(() => {});
@@ -759,6 +770,7 @@ router.post('/unfollow', verifyToken, async (req, res) => {
     ]);
 
     await invalidateProfileCache([currentUser.googleId, userToUnfollow.googleId]);
+    feedQueueService.invalidateFollowingInbox(currentUser._id).catch(() => {});
 
     // **PROACTIVE SYNC: Ensure counts are perfectly accurate in background**
     syncUserCounters(currentUser._id).catch(() => {});
@@ -1070,14 +1082,8 @@ router.post('/sync-profile', verifyToken, async (req, res) => {
 });
 
 // ✅ Route to sync ALL user counters (Admin only)
-router.post('/sync-all-counters', async (req, res) => {
+router.post('/sync-all-counters', requireAdmin('system:write'), async (req, res) => {
   try {
-    // Check for admin key in headers
-    const adminKey = req.headers['x-admin-key'];
-    if (adminKey !== process.env.ADMIN_KEY) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
-
     const users = await User.find({}).select('_id').lean();
     let count = 0;
     
@@ -1160,17 +1166,23 @@ router.get('/subscriber-videos', verifyToken, async (req, res) => {
     const videos = await Video.find({
       isSubscriberOnly: true,
       allowedSubscribers: userId,
-      processingStatus: 'completed'
+      processingStatus: 'completed',
+      ...publishedMatch()
     })
-    .populate('uploader', 'name profilePic profilePicture')
+    .populate('uploader', 'name profilePic profilePicture googleId')
     .sort({ uploadedAt: -1 })
     .limit(50)
     .lean();
 
+    // Serialized so the subscriber list stays private, and signed so the CDN URLs do too
+    const serialized = serializeVideos(videos, req.apiVersion, userId.toString(), req.traceId);
+    playbackAuthorizationService.signSerialized(serialized, userId.toString(), `${req.protocol}://${req.get('host')}`);
+
+    res.set('Cache-Control', 'private, no-store');
     res.json({
       success: true,
-      videos,
-      total: videos.length,
+      videos: serialized,
+      total: serialized.length,
     });
   } catch (err) {
     console.error('❌ Get subscriber videos error:', err);
@@ -1194,12 +1206,18 @@ router.get('/video-access/:videoId', verifyToken, async (req, res) => {
     // Check if video is subscriber-only
     if (video.isSubscriberOnly) {
       // Check if user is in allowedSubscribers
-      const hasAccess = video.allowedSubscribers.some(id => id.toString() === userId.toString());
+      const hasAccess = canView(video, userId.toString());
+      const playback = hasAccess && playbackAuthorizationService.getSource(video)
+        ? playbackAuthorizationService.issue(video, userId, `${req.protocol}://${req.get('host')}`)
+        : null;
 
+      res.set('Cache-Control', 'private, no-store');
       return res.json({
         success: true,
         hasAccess,
         isSubscriberOnly: true,
+        playbackUrl: playback?.playbackUrl || null,
+        playbackExpiresAt: playback?.expiresAt || null,
       });
     }
 
@@ -1215,6 +1233,71 @@ router.get('/video-access/:videoId', verifyToken, async (req, res) => {
   }
 });
 
+// ✅ Route to download everything stored about the current user (ZIP)
+router.get('/me/export', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    // Exports scan every collection; one per user per cooldown window
+    const lockKey = `lock:export:${userId}`;
+    if (redisService.getConnectionStatus()) {
+      const acquired = await redisService.setLock(lockKey, '1', ACCOUNT_CONFIG.EXPORT_COOLDOWN_SECONDS);
+      if (!acquired) {
+        return res.status(429).json({ error: 'An export was generated recently. Please try again later.' });
+      }
+    }
+
+    const archive = await dataExportService.buildArchive(userId);
+    if (!archive) {
+      await redisService.del(lockKey);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="data-export-${date}.zip"`,
+      'Content-Length': archive.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(archive);
+  } catch (err) {
+    console.error('❌ Data export error:', err);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// ✅ Route to check whether the current user's account is scheduled for deletion
+router.get('/me/deletion', verifyToken, async (req, res) => {
+  try {
+    const deletion = await accountDeletionService.getPendingDeletion(req.user._id);
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      success: true,
+      scheduled: !!deletion,
+      status: deletion?.status || null,
+      requestedAt: deletion?.requestedAt || null,
+      scheduledFor: deletion?.scheduledFor || null
+    });
+  } catch (err) {
+    console.error('❌ Get account deletion error:', err);
+    res.status(500).json({ error: 'Failed to get account deletion status' });
+  }
+});
+
+// ✅ Route to cancel a scheduled account deletion during the grace period
+router.post('/me/deletion/cancel', verifyToken, async (req, res) => {
+  try {
+    await accountDeletionService.cancelDeletion(req.user._id);
+    console.log(`↩️ Delete Account: Cancelled for user ${req.user.id}`);
+    res.json({ success: true, message: 'Account deletion cancelled' });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('❌ Cancel account deletion error:', err);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
 // ✅ Route to get user profile by ID
 // **IMPORTANT: This must come AFTER all specific routes**
 // **SECURITY FIX: Disabled caching and added privacy filter**
@@ -1224,7 +1307,7 @@ router.get('/:id', passiveVerifyToken, async (req, res) => {
     
     // First try to find by Google ID (primary identifier)
     let user = await User.findOne({ googleId: id })
-      .select('_id googleId name email profilePic websiteUrl videos followingCount followerCount preferredCurrency preferredPaymentMethod country paymentDetails')
+      .select('_id googleId name email profilePic websiteUrl videos followingCount followerCount preferredCurrency preferredPaymentMethod country')
       .lean();
 
     // If not found, try by MongoDB ObjectId
@@ -1234,7 +1317,7 @@ router.get('/:id', passiveVerifyToken, async (req, res) => {
         // **IDENTITY OPTIMIZATION: Support pre-resolved ObjectIds**
         if (mongoose.Types.ObjectId.isValid(id)) {
           user = await User.findById(id)
-            .select('_id googleId name email profilePic websiteUrl videos followingCount followerCount preferredCurrency preferredPaymentMethod country paymentDetails')
+            .select('_id googleId name email profilePic websiteUrl videos followingCount followerCount preferredCurrency preferredPaymentMethod country')
             .lean();
         }
       } catch (e) {
@@ -1274,7 +1357,14 @@ router.get('/:id', passiveVerifyToken, async (req, res) => {
       preferredCurrency: isOwner ? user.preferredCurrency : null,
       preferredPaymentMethod: isOwner ? user.preferredPaymentMethod : null,
       country: isOwner ? user.country : null,
-      paymentDetails: isOwner ? user.paymentDetails : null,
+      paymentDetails: isOwner
+        ? await payoutVaultService.getPaymentDetailsView(user._id, {
+          actorType: 'user',
+          actorId: user._id.toString(),
+          actorName: user.email,
+          ...getAuditRequestContext(req)
+        })
+        : null,
     };
 
     // **API VERSIONING: Backward Compatibility for Legacy Versions**
@@ -1300,43 +1390,29 @@ router.get('/:id', passiveVerifyToken, async (req, res) => {
 });
 
 // ✅ Route to delete account (MANDATORY for Google Play)
+// Deletion is scheduled, not immediate: the user can cancel during the grace
+// period, after which the deletion scheduler purges every record, file and cache.
 router.delete('/delete-account', verifyToken, async (req, res) => {
   try {
-    const userId = req.user._id;
-    const googleId = req.user.id;
-
-    console.log(`🗑️ Delete Account: Starting for user ${googleId} (${userId})`);
-
-    // 1. Delete user's videos (or mark as deleted)
-    const Video = (await import('../models/Video.js')).default;
-    await Video.deleteMany({ uploader: userId });
-
-    // 2. Delete followers/following relationships
-    const Follower = (await import('../models/Follower.js')).default;
-    await Follower.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
-
-    // 3. Delete saved videos
-    const SavedVideo = (await import('../models/SavedVideo.js')).default;
-    await SavedVideo.deleteMany({ user: userId });
-
-    // 4. Delete notices
-    const Notice = (await import('../models/Notice.js')).default;
-    await Notice.deleteMany({ userId: googleId });
-
-    // 5. Delete user document
-    const user = await User.findByIdAndDelete(userId);
-
+    const user = await User.findById(req.user._id).select('_id googleId').lean();
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    console.log(`✅ Delete Account: Completed for user ${googleId}`);
+    const deletion = await accountDeletionService.requestDeletion(user, { reason: req.body?.reason });
 
-    res.json({ 
-      success: true, 
-      message: 'Account and all associated data deleted successfully. Please note that it may take up to 30 days for data to be fully purged from backups.' 
+    // Sign the user out everywhere right away; the data goes when the grace period ends
+    await RefreshToken.deleteMany({ userId: user._id });
+
+    console.log(`🗑️ Delete Account: Scheduled for user ${user.googleId} at ${deletion.scheduledFor.toISOString()}`);
+
+    res.status(202).json({
+      success: true,
+      scheduledFor: deletion.scheduledFor,
+      message: `Your account and all associated data will be permanently deleted on ${deletion.scheduledFor.toDateString()}. Sign in and cancel before then to keep your account.`
     });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     console.error('❌ Delete account error:', err);
     res.status(500).json({ error: 'Failed to delete account', details: err.message });
   }
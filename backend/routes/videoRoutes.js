@@ -5,7 +5,12 @@ import * as feedController from '../controllers/video/videoFeedController.js';
 import * as interactionController from '../controllers/video/videoInteractionController.js';
 import * as managementController from '../controllers/video/videoManagementController.js';
 import * as analyticsController from '../controllers/video/videoAnalyticsController.js';
-import { validateVideoData, upload } from '../middleware/videoMiddleware.js';
+import * as commentController from '../controllers/video/videoCommentController.js';
+import * as captionController from '../controllers/video/videoCaptionController.js';
+import * as thumbnailController from '../controllers/video/videoThumbnailController.js';
+import * as dubbingController from '../controllers/video/dubbingController.js';
+import * as playbackController from '../controllers/video/videoPlaybackController.js';
+import { validateVideoData, upload, thumbnailUpload } from '../middleware/videoMiddleware.js';
 import rateLimit from 'express-rate-limit';
 
 const router = express.Router();
@@ -39,6 +44,10 @@ router.post('/clipping/process', verifyToken, uploadController.processClippingTa
 router.get('/clipping/status/:jobId', verifyToken, uploadController.getClipJobStatus);
 router.get('/clipping/stream/:jobId', uploadController.streamClippingStatus);
 
+// Dubbing job status (SSE stream like clipping)
+router.get('/dub/status/:jobId', verifyToken, dubbingController.getDubJobStatus);
+router.get('/dub/stream/:jobId', dubbingController.streamDubJobStatus);
+
 /**
  * Video Retrieval Routes
  */
@@ -46,8 +55,10 @@ router.get('/', feedController.getFeed);
 router.get('/user/:googleId', passiveVerifyToken, feedController.getUserVideos);
 router.get('/saved', verifyToken, interactionController.getSavedVideos);
 router.get('/removed', verifyToken, feedController.getRemovedVideos);
+router.get('/following', verifyToken, feedController.getFollowingFeed);
 router.get('/:id', feedController.getVideoById);
 router.get('/creator/analytics/:userId', verifyToken, analyticsController.getCreatorAnalytics);
+router.get('/:id/analytics', verifyToken, analyticsController.getVideoAnalytics);
 
 
 /**
@@ -62,11 +73,50 @@ router.post('/:id/like', verifyToken, interactionController.toggleLike);
 router.delete('/:id/like', verifyToken, interactionController.deleteLike);
 router.post('/:id/increment-view', interactionController.incrementView);
 
+/**
+ * Video Comment Routes
+ */
+router.get('/:id/comments', passiveVerifyToken, commentController.getComments);
+router.post('/:id/comments', verifyToken, commentController.addComment);
+router.get('/:id/comments/:commentId/replies', passiveVerifyToken, commentController.getReplies);
+router.delete('/:id/comments/:commentId', verifyToken, commentController.deleteComment);
+router.post('/:id/comments/:commentId/like', verifyToken, commentController.toggleCommentLike);
+router.post('/:id/comments/:commentId/pin', verifyToken, commentController.togglePinComment);
+
+/**
+ * Video Caption Routes
+ */
+router.get('/:id/captions', captionController.getCaptions);
+router.get('/:id/captions/:language', verifyToken, captionController.getCaptionCues);
+router.put('/:id/captions/:language', verifyToken, captionController.updateCaptionCues);
+
+/**
+ * Video Thumbnail Routes
+ */
+router.get('/:id/thumbnails', verifyToken, thumbnailController.getThumbnailCandidates);
+router.put('/:id/thumbnail', verifyToken, thumbnailController.selectThumbnail);
+router.post('/:id/thumbnail', verifyToken, thumbnailUpload.single('thumbnail'), thumbnailController.uploadThumbnail);
+
+/**
+ * Video Dubbing Routes
+ */
+router.get('/:id/dub', verifyToken, dubbingController.getVideoDubs);
+router.post('/:id/dub', verifyToken, dubbingController.requestVideoDub);
+
+/**
+ * Signed Playback Routes (subscriber-only and unpublished videos)
+ * The playlist route carries its own token so players can fetch it without headers.
+ */
+router.post('/:id/playback', passiveVerifyToken, playbackController.authorizePlayback);
+router.get('/:id/playback/*', playbackController.streamPlayback);
+
 /**
  * Video Deletion Routes
  */
 router.delete('/:id', verifyToken, managementController.deleteVideo);
 router.patch('/:id', verifyToken, managementController.updateVideo);
+router.patch('/:id/visibility', verifyToken, managementController.updateVideoVisibility);
+router.patch('/:id/subscribers', verifyToken, managementController.updateVideoSubscribers);
 router.post('/:id/series', verifyToken, managementController.updateVideoSeries);
 router.post('/bulk-delete', verifyToken, managementController.bulkDeleteVideos);
 
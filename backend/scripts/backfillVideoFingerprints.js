@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Setup __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load the .env file from the backend folder
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+import Video from '../models/Video.js';
+import VideoFingerprint from '../models/VideoFingerprint.js';
+import videoFingerprintService from '../services/uploadServices/videoFingerprintService.js';
+
+/**
+ * Fingerprint videos processed before duplicate detection existed, so new uploads
+ * can be matched against the whole catalog. Only stores fingerprints: existing
+ * videos are never marked as duplicates of each other.
+ * Reads the lowest rendition from the CDN, one video at a time, oldest first.
+ * Resumable: fingerprinted videos are skipped, and --after continues from the
+ * last id it printed.
+ * Usage: npm run fingerprints:backfill [-- --dry-run] [--after=<videoId>] [--limit=500] [--delay-ms=1000]
+ */
+const BATCH_SIZE = 100;
+
+const option = (name, fallback) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const after = option('after', null);
+  const limit = parseInt(option('limit', '0'), 10) || Infinity;
+  const delayMs = Math.max(parseInt(option('delay-ms', '1000'), 10) || 0, 0);
+
+  if (!process.env.MONGO_URI) {
+    console.error('❌ MONGO_URI is undefined. Make sure it is set in backend/.env');
+    process.exit(1);
+  }
+  if (after && !mongoose.Types.ObjectId.isValid(after)) {
+    console.error(`❌ --after must be a video id, got "${after}"`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  let lastId = after ? new mongoose.Types.ObjectId(after) : null;
+  let fingerprinted = 0;
+  let failed = 0;
+  try {
+    while (fingerprinted + failed < limit) {
+      const videos = await Video.find({
+        ...(lastId ? { _id: { $gt: lastId } } : {}),
+        processingStatus: { $in: ['completed', 'flagged'] },
+        isHLSEncoded: true
+      })
+        .select('uploader duration videoUrl hlsPlaylistUrl lowQualityUrl')
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+      if (videos.length === 0) break;
+
+      const done = new Set((await VideoFingerprint.find({ videoId: { $in: videos.map(video => video._id) } })
+        .select('videoId')
+        .lean()).map(fingerprint => fingerprint.videoId.toString()));
+
+      for (const video of videos) {
+        if (fingerprinted + failed >= limit) break;
+        lastId = video._id;
+        if (done.has(video._id.toString())) continue;
+
+        // Frames are cropped and scaled to 9x8 anyway: the smallest rendition is enough
+        const source = video.lowQualityUrl || video.hlsPlaylistUrl || video.videoUrl;
+        if (!source) continue;
+
+        try {
+          if (!dryRun) {
+            const fingerprint = await videoFingerprintService.compute(source, video.duration);
+            if (fingerprint.frameHashes.length === 0) throw new Error('no frames decoded');
+            await videoFingerprintService.store(video, fingerprint);
+          }
+          fingerprinted++;
+        } catch (error) {
+          failed++;
+          console.error(`❌ Failed to fingerprint video ${video._id}:`, error.message);
+        }
+
+        // Throttle: keep CDN egress and CPU usage low on a live system
+        if (!dryRun && delayMs > 0) await sleep(delayMs);
+      }
+
+      console.log(`⏩ Up to ${lastId}: ${fingerprinted} ${dryRun ? 'to fingerprint' : 'fingerprinted'}, ${failed} failed (resume with --after=${lastId})`);
+    }
+
+    console.log(`${dryRun ? '🔍 [dry run] Would fingerprint' : '✅ Fingerprinted'} ${fingerprinted} videos`);
+    if (failed) {
+      console.error(`⚠️ ${failed} videos could not be fingerprinted; re-run to retry them`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ Fingerprint backfill failed (resume with --after=${lastId || ''}):`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Setup __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load the .env file from the backend folder
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+import adminAccountService from '../services/accountServices/adminAccountService.js';
+
+/**
+ * Bootstrap an admin dashboard account (the first superadmin cannot be created over HTTP).
+ * Usage: npm run admin:create -- --email ops@example.com --name "Ops" [--role superadmin]
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (argv[i]?.startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+async function main() {
+  const { email, name, role = 'superadmin' } = parseArgs(process.argv.slice(2));
+  if (!email || !name) {
+    console.error('Usage: npm run admin:create -- --email <email> --name <name> [--role moderator|finance|support|superadmin]');
+    process.exit(1);
+  }
+  if (!process.env.MONGO_URI) {
+    console.error('❌ MONGO_URI is undefined. Make sure it is set in backend/.env');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    const { account, accessKey } = await adminAccountService.createAccount({ name, email, role });
+    console.log(`✅ Created ${account.role} account for ${account.email}`);
+    console.log(`🔑 Access key (shown once, send it as the x-admin-key header): ${accessKey}`);
+  } catch (error) {
+    console.error('❌ Failed to create admin account:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Setup __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load the .env file from the backend folder
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+import User from '../models/User.js';
+import CreatorPayout from '../models/CreatorPayout.js';
+import payoutVaultService from '../services/payoutServices/payoutVaultService.js';
+
+/**
+ * Move payout destinations off user documents into the encrypted payout vault, then
+ * scrub the plaintext (including card numbers and CVVs) from users and payout records.
+ * Safe to re-run: migrated users no longer have paymentDetails.
+ * Usage: npm run payout-vault:migrate [-- --dry-run]
+ */
+const AUDIT = { actorType: 'system', actorId: 'payoutVaultMigration' };
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  if (!process.env.MONGO_URI) {
+    console.error('❌ MONGO_URI is undefined. Make sure it is set in backend/.env');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    // paymentDetails is no longer in the User schema, so read and unset it on the raw collection
+    const cursor = User.collection.find(
+      { paymentDetails: { $exists: true } },
+      { projection: { paymentDetails: 1 } }
+    );
+
+    let users = 0;
+    let failed = 0;
+    for await (const user of cursor) {
+      try {
+        if (!dryRun) {
+          await payoutVaultService.saveDestinations(user._id, user.paymentDetails, AUDIT);
+          await User.collection.updateOne({ _id: user._id }, { $unset: { paymentDetails: '' } });
+        }
+        users++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to migrate payment details for user ${user._id}:`, error.message);
+      }
+    }
+
+    const payoutFilter = { 'paymentDetails.cardDetails': { $exists: true } };
+    const payouts = dryRun
+      ? await CreatorPayout.collection.countDocuments(payoutFilter)
+      : (await CreatorPayout.collection.updateMany(payoutFilter, { $unset: { 'paymentDetails.cardDetails': '' } })).modifiedCount;
+
+    console.log(`${dryRun ? '🔍 [dry run] Would migrate' : '✅ Migrated'} ${users} users; ${dryRun ? 'would scrub' : 'scrubbed'} card details from ${payouts} payout records`);
+    if (failed) {
+      console.error(`⚠️ ${failed} users were left untouched, fix the errors above and re-run`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Payout vault migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
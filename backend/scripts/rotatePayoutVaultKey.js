@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Setup __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load the .env file from the backend folder
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+import payoutVaultService from '../services/payoutServices/payoutVaultService.js';
+
+/**
+ * Re-wrap payout vault data keys under PAYOUT_VAULT_ACTIVE_KEY_ID.
+ * Rotation: add the new key to PAYOUT_VAULT_KEYS, point PAYOUT_VAULT_ACTIVE_KEY_ID at it
+ * and deploy, run this script, then drop the old key once it reports no failures.
+ * Usage: npm run payout-vault:rotate
+ */
+async function main() {
+  if (!process.env.MONGO_URI) {
+    console.error('❌ MONGO_URI is undefined. Make sure it is set in backend/.env');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    const { rotated, failed, activeKeyId } = await payoutVaultService.rotateKeys();
+    console.log(`✅ ${rotated} payout destinations now wrapped by ${activeKeyId}`);
+    if (failed) {
+      console.error(`⚠️ ${failed} could not be re-wrapped; keep the old key configured and re-run`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Payout vault key rotation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,336 @@
+import cron from 'node-cron';
+import User from '../../models/User.js';
+import Video from '../../models/Video.js';
+import Follower from '../../models/Follower.js';
+import SavedVideo from '../../models/SavedVideo.js';
+import Notice from '../../models/Notice.js';
+import Comment from '../../models/Comment.js';
+import WatchHistory from '../../models/WatchHistory.js';
+import FeedHistory from '../../models/FeedHistory.js';
+import View from '../../models/View.js';
+import AdImpression from '../../models/AdImpression.js';
+import AdCampaign from '../../models/AdCampaign.js';
+import AdCreative from '../../models/AdCreative.js';
+import RefreshToken from '../../models/RefreshToken.js';
+import Referral from '../../models/Referral.js';
+import Report from '../../models/Report.js';
+import Feedback from '../../models/Feedback.js';
+import CreatorDailyStats from '../../models/CreatorDailyStats.js';
+import CreatorMonthlyStat from '../../models/CreatorMonthlyStat.js';
+import CreatorNotification from '../../models/CreatorNotification.js';
+import CreatorPayout from '../../models/CreatorPayout.js';
+import RemovedVideoRecord from '../../models/RemovedVideoRecord.js';
+import VideoRetention from '../../models/VideoRetention.js';
+import VideoFingerprint from '../../models/VideoFingerprint.js';
+import VideoCaption from '../../models/VideoCaption.js';
+import DubbingJob from '../../models/DubbingJob.js';
+import AccountDeletion from '../../models/AccountDeletion.js';
+import cloudflareR2Service, { PRIVATE_PREFIX } from '../uploadServices/cloudflareR2Service.js';
+import { getR2KeyFromUrl } from '../uploadServices/exclusiveVideoCleanupService.js';
+import redisService from '../caching/redisService.js';
+import queueService from '../yugFeedServices/queueService.js';
+import refundService, { BillingError } from '../adServices/billing/RefundService.js';
+import payoutVaultService from '../payoutServices/payoutVaultService.js';
+import multipartUploadService from '../uploadServices/multipartUploadService.js';
+import { ACCOUNT_CONFIG } from '../../constants/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Video fields holding individual R2 objects (HLS folders are removed by prefix)
+const VIDEO_FILE_FIELDS = [
+  'videoUrl', 'thumbnailUrl', 'preloadQualityUrl', 'lowQualityUrl',
+  'mediumQualityUrl', 'highQualityUrl', 'canonicalMp4Url'
+];
+
+export class AccountDeletionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AccountDeletionError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * **AccountDeletionService**
+ * Schedules account deletions with a grace period and purges everything that
+ * belongs to the account once it has passed.
+ *
+ * Every cascade step is idempotent, so a run that dies half-way is simply
+ * retried by the next scheduler tick. Financial records the platform must keep
+ * (invoices, creator payouts) are retained with payment details stripped.
+ */
+class AccountDeletionService {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Schedule deletion of an account after the grace period
+   * @throws {AccountDeletionError} 409 if one is already scheduled
+   */
+  async requestDeletion(user, { reason = '' } = {}) {
+    const scheduledFor = new Date(Date.now() + ACCOUNT_CONFIG.DELETION_GRACE_DAYS * DAY_MS);
+    try {
+      return await AccountDeletion.create({
+        userId: user._id,
+        googleId: user.googleId,
+        scheduledFor,
+        reason
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AccountDeletionError('Account deletion is already scheduled', 409);
+      }
+      throw error;
+    }
+  }
+
+  async getPendingDeletion(userId) {
+    return AccountDeletion.findOne({ userId, status: { $in: ['scheduled', 'running'] } }).lean();
+  }
+
+  /**
+   * Cancel a scheduled deletion during the grace period
+   * @throws {AccountDeletionError} 404 if nothing is scheduled, 409 once the purge has started
+   */
+  async cancelDeletion(userId) {
+    const cancelled = await AccountDeletion.findOneAndUpdate(
+      { userId, status: 'scheduled' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (cancelled) return cancelled;
+
+    const running = await AccountDeletion.exists({ userId, status: 'running' });
+    if (running) throw new AccountDeletionError('Account deletion is already in progress', 409);
+    throw new AccountDeletionError('No account deletion is scheduled', 404);
+  }
+
+  /**
+   * Purge every account whose grace period has passed
+   * @returns {Promise<number>} Accounts purged
+   */
+  async processDueDeletions(now = new Date()) {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let purged = 0;
+    try {
+      for (let i = 0; i < ACCOUNT_CONFIG.DELETION_BATCH_SIZE; i++) {
+        // Claim one at a time so parallel instances never purge the same account
+        const deletion = await AccountDeletion.findOneAndUpdate(
+          { status: 'scheduled', scheduledFor: { $lte: now } },
+          { $set: { status: 'running', startedAt: new Date() }, $inc: { attempts: 1 } },
+          { new: true, sort: { scheduledFor: 1 } }
+        );
+        if (!deletion) break;
+
+        try {
+          const steps = await this.purgeAccount(deletion.userId, deletion.googleId);
+          await AccountDeletion.updateOne(
+            { _id: deletion._id },
+            { $set: { status: 'completed', completedAt: new Date(), steps }, $unset: { error: 1 } }
+          );
+          purged++;
+          console.log(`✅ AccountDeletion: Purged account ${deletion.userId}`, steps);
+        } catch (error) {
+          const exhausted = deletion.attempts >= MAX_ATTEMPTS;
+          await AccountDeletion.updateOne(
+            { _id: deletion._id },
+            {
+              $set: {
+                status: exhausted ? 'failed' : 'scheduled',
+                scheduledFor: new Date(Date.now() + RETRY_DELAY_MS),
+                error: error.message
+              }
+            }
+          );
+          console.error(`❌ AccountDeletion: Purge of ${deletion.userId} failed (attempt ${deletion.attempts}):`, error.message);
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+    return purged;
+  }
+
+  /**
+   * Remove everything belonging to an account. Safe to re-run.
+   * @returns {Promise<Object>} Count per step
+   */
+  async purgeAccount(userId, googleId) {
+    const steps = {};
+    const record = (name, result) => {
+      steps[name] = typeof result === 'number' ? result : (result?.deletedCount ?? result?.modifiedCount ?? 0);
+    };
+
+    const user = await User.findById(userId).select('googleId deviceIds').lean();
+    const identities = [googleId, ...(user?.deviceIds || [])].filter(Boolean);
+
+    // 1. Uploads: storage first, so a failure leaves the records needed to retry
+    const videos = await Video.find({ uploader: userId }).lean();
+    const videoIds = videos.map(v => v._id);
+    // Open multipart uploads hold parts that a prefix delete cannot see
+    record('multipartUploads', await multipartUploadService.abortAllForUser(googleId));
+    record('storageObjects', await this._deleteStorage(userId, googleId, videos));
+    for (const video of videos) {
+      await queueService.removeVideoJob(video._id.toString());
+    }
+
+    record('videoComments', await Comment.deleteMany({ targetType: 'video', targetId: { $in: videoIds } }));
+    record('videoViews', await View.deleteMany({ video: { $in: videoIds } }));
+    record('videoRetention', await VideoRetention.deleteMany({ videoId: { $in: videoIds } }));
+    record('videoFingerprints', await VideoFingerprint.deleteMany({ videoId: { $in: videoIds } }));
+    record('videoCaptions', await VideoCaption.deleteMany({ videoId: { $in: videoIds } }));
+    record('dubbingJobs', await DubbingJob.deleteMany({ videoId: { $in: videoIds } }));
+    record('savedByOthers', await SavedVideo.deleteMany({ video: { $in: videoIds } }));
+    record('videos', await Video.deleteMany({ uploader: userId }));
+    record('removedVideoRecords', await RemovedVideoRecord.deleteMany({ uploaderId: googleId }));
+
+    // 2. Social graph (keep the other side's counters honest)
+    const follows = await Follower.find({ $or: [{ follower: userId }, { following: userId }] }).lean();
+    const followedIds = follows.filter(f => f.follower.equals(userId)).map(f => f.following);
+    const followerIds = follows.filter(f => f.following.equals(userId)).map(f => f.follower);
+    if (followedIds.length) await User.updateMany({ _id: { $in: followedIds }, followerCount: { $gt: 0 } }, { $inc: { followerCount: -1 } });
+    if (followerIds.length) await User.updateMany({ _id: { $in: followerIds }, followingCount: { $gt: 0 } }, { $inc: { followingCount: -1 } });
+    record('follows', await Follower.deleteMany({ $or: [{ follower: userId }, { following: userId }] }));
+
+    // 3. Activity
+    record('likes', await Video.updateMany({ likedBy: userId }, { $pull: { likedBy: userId }, $inc: { likes: -1 } }));
+    record('commentLikes', await Comment.updateMany({ likedBy: userId }, { $pull: { likedBy: userId }, $inc: { likes: -1 } }));
+    // Comments are soft-deleted so reply threads under them stay intact
+    const comments = await Comment.find({ user: userId, isDeleted: false }).select('_id parentComment').lean();
+    let softDeleted = 0;
+    for (const comment of comments) {
+      if (await Comment.softDelete(comment, userId)) softDeleted++;
+    }
+    record('comments', softDeleted);
+    record('savedVideos', await SavedVideo.deleteMany({ user: userId }));
+    record('watchHistory', await WatchHistory.deleteMany({ userId: { $in: identities } }));
+    record('feedHistory', await FeedHistory.deleteMany({ userId: { $in: identities } }));
+    record('views', await View.deleteMany({ user: userId }));
+    record('adImpressions', await AdImpression.deleteMany({ $or: [{ userId }, { creatorId: userId }] }));
+
+    // 4. Account records
+    record('notices', await Notice.deleteMany({ userId: googleId }));
+    record('creatorNotifications', await CreatorNotification.deleteMany({ creatorId: userId }));
+    record('creatorDailyStats', await CreatorDailyStats.deleteMany({ creatorId: userId }));
+    record('creatorMonthlyStats', await CreatorMonthlyStat.deleteMany({ creatorId: userId }));
+    record('refreshTokens', await RefreshToken.deleteMany({ userId }));
+    record('referrals', await Referral.deleteMany({ referrerGoogleId: googleId }));
+    record('feedback', await Feedback.deleteMany({ userId: googleId }));
+    record('reports', await Report.updateMany({ userId: googleId }, { $unset: { userId: 1, ipAddress: 1, userAgent: 1 } }));
+
+    // Payouts are kept for tax records, without where the money went
+    record('payoutDestinations', await payoutVaultService.deleteForUser(userId, { actorType: 'system', actorId: 'accountDeletion' }));
+    record('payoutsRedacted', await CreatorPayout.updateMany({ creatorId: userId }, { $unset: { paymentDetails: 1 } }));
+
+    // 5. Advertising: stop delivery and refund what was not spent; invoices stay for accounting
+    const campaigns = await AdCampaign.find({
+      advertiserUserId: userId,
+      status: { $in: ['draft', 'pending_review', 'active', 'paused'] }
+    }).select('_id').lean();
+    for (const campaign of campaigns) {
+      try {
+        await refundService.cancelCampaign(campaign._id, { reason: 'Account deleted' });
+      } catch (error) {
+        // Lost a race with another cancel/completion; nothing left to refund here
+        if (!(error instanceof BillingError && error.statusCode === 409)) throw error;
+      }
+    }
+    const allCampaignIds = (await AdCampaign.find({ advertiserUserId: userId }).select('_id').lean()).map(c => c._id);
+    record('cancelledCampaigns', campaigns.length);
+    record('adCreatives', await AdCreative.deleteMany({ campaignId: { $in: allCampaignIds } }));
+
+    // 6. Caches
+    record('redisKeys', await this._deleteRedisKeys(userId, googleId, identities, videoIds));
+
+    // 7. The user itself, last, so every step above can be retried from it
+    record('user', await User.deleteOne({ _id: userId }));
+    return steps;
+  }
+
+  async _deleteStorage(userId, googleId, videos) {
+    let deleted = 0;
+
+    // Objects referenced by URL (legacy uploads may live outside the per-user prefixes)
+    const keys = new Set();
+    for (const video of videos) {
+      VIDEO_FILE_FIELDS.forEach(field => keys.add(getR2KeyFromUrl(video[field])));
+      (video.qualitiesGenerated || []).forEach(q => keys.add(getR2KeyFromUrl(q.url)));
+      (video.hlsVariants || []).forEach(v => keys.add(getR2KeyFromUrl(v.url)));
+    }
+    keys.delete(null);
+    for (const key of keys) {
+      await cloudflareR2Service.deleteFile(key);
+      deleted++;
+    }
+
+    // Everything the upload pipeline writes is namespaced by user
+    const prefixes = [
+      `videos/${userId}/`,
+      `hls/${userId}/`,
+      `${PRIVATE_PREFIX}hls/${userId}/`,
+      `thumbnails/${userId}/`,
+      `temp_raw/${userId}/`,
+      `temp_clipping/${googleId}/`,
+      // Direct-to-R2 uploads (presigned and multipart) are keyed by googleId
+      `uploads/raw/${googleId}/`,
+      `uploads/thumbnails/${googleId}/`
+    ];
+    for (const prefix of prefixes) {
+      deleted += await cloudflareR2Service.deletePrefix(prefix);
+    }
+    return deleted;
+  }
+
+  async _deleteRedisKeys(userId, googleId, identities, videoIds) {
+    if (!redisService.getConnectionStatus()) return 0;
+
+    const keys = [
+      `user:following:${userId}`,
+      `user:following_seeded:${userId}`,
+      `search:recent:${googleId}`,
+      `videos:user:${googleId}`,
+      `user:profile:${googleId}`,
+      ...videoIds.map(id => `video:data:${id}`)
+    ];
+    for (const identity of identities) {
+      keys.push(
+        `user:bf_seen:${identity}`,
+        `user:bf_hashes:${identity}`,
+        `user:bf_seeded:${identity}`,
+        `user:recent_served:${identity}`,
+        `user:recent_creators:${identity}`,
+        `user:interest_vector:${identity}`,
+        `videos:seen_recently:${identity}`,
+        `watch:history:${identity}`,
+        `session:shown:${identity}`
+      );
+    }
+    await redisService.delMany(keys);
+    for (const identity of identities) {
+      await redisService.clearPattern(`user:feed:${identity}:*`);
+    }
+    return keys.length;
+  }
+
+  startScheduler() {
+    if (this.job) return;
+    // Hourly, at minute 20 (clear of the other on-the-hour jobs)
+    this.job = cron.schedule('20 * * * *', async () => {
+      try {
+        const purged = await this.processDueDeletions();
+        if (purged > 0) console.log(`🗑️ AccountDeletion: ${purged} account(s) purged`);
+      } catch (error) {
+        console.error('❌ Error in account deletion scheduler:', error);
+      }
+    });
+    console.log('📅 Account deletion scheduler started (hourly)');
+  }
+}
+
+export default new AccountDeletionService();
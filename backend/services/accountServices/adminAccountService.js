@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import AdminAccount from '../../models/AdminAccount.js';
+import AuditLog from '../../models/AuditLog.js';
+import { ADMIN_CONFIG } from '../../constants/index.js';
+
+export class AdminAccountError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AdminAccountError';
+    this.statusCode = statusCode;
+  }
+}
+
+const ROLES = Object.keys(ADMIN_CONFIG.ROLE_PERMISSIONS);
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * **AdminAccountService**
+ * Superadmin-managed dashboard accounts. Access keys are returned exactly once
+ * (on creation and rotation); only their hash is stored.
+ */
+class AdminAccountService {
+  /**
+   * @param {Object} input { name, email, role }
+   * @param {ObjectId|null} createdBy Acting admin (null for the bootstrap script)
+   * @returns {Promise<{ account: Object, accessKey: string }>}
+   */
+  async createAccount({ name, email, role }, createdBy = null) {
+    if (!name || !String(name).trim()) throw new AdminAccountError('name is required');
+    if (!email || !EMAIL_PATTERN.test(String(email).trim())) throw new AdminAccountError('A valid email is required');
+    if (!ROLES.includes(role)) throw new AdminAccountError(`role must be one of: ${ROLES.join(', ')}`);
+
+    const existing = await AdminAccount.exists({ email: String(email).trim().toLowerCase() });
+    if (existing) throw new AdminAccountError('An admin account with this email already exists', 409);
+
+    const accessKey = AdminAccount.generateKey();
+    const account = await AdminAccount.create({
+      name: String(name).trim(),
+      email,
+      role,
+      keyHash: AdminAccount.hashKey(accessKey),
+      keyPrefix: accessKey.slice(0, 12),
+      createdBy
+    });
+
+    console.log(`🛡️ AdminAccountService: Created ${role} account ${account.email}`);
+    return { account: account.toSafeObject(), accessKey };
+  }
+
+  async listAccounts() {
+    const accounts = await AdminAccount.find({}).sort({ createdAt: 1 });
+    return accounts.map(account => account.toSafeObject());
+  }
+
+  /**
+   * Change role, name or active flag
+   * @param {string} accountId
+   * @param {Object} changes { name, role, active }
+   * @param {ObjectId} actingAdminId
+   */
+  async updateAccount(accountId, { name, role, active }, actingAdminId) {
+    const account = await this._findAccount(accountId);
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new AdminAccountError(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    const demotes = (role !== undefined && role !== 'superadmin') || active === false;
+    if (account.role === 'superadmin' && account.active && demotes) {
+      if (account._id.equals(actingAdminId)) {
+        throw new AdminAccountError('You cannot demote or deactivate your own superadmin account', 409);
+      }
+      const otherSuperadmins = await AdminAccount.countDocuments({ role: 'superadmin', active: true, _id: { $ne: account._id } });
+      if (otherSuperadmins === 0) throw new AdminAccountError('At least one active superadmin is required', 409);
+    }
+
+    if (name !== undefined && String(name).trim()) account.name = String(name).trim();
+    if (role !== undefined) account.role = role;
+    if (active !== undefined) account.active = Boolean(active);
+    await account.save();
+
+    return account.toSafeObject();
+  }
+
+  /**
+   * Issue a new key; the old one stops working immediately
+   * @returns {Promise<{ account: Object, accessKey: string }>}
+   */
+  async rotateKey(accountId) {
+    const account = await this._findAccount(accountId);
+    const accessKey = AdminAccount.generateKey();
+
+    account.keyHash = AdminAccount.hashKey(accessKey);
+    account.keyPrefix = accessKey.slice(0, 12);
+    account.keyRotatedAt = new Date();
+    await account.save();
+
+    return { account: account.toSafeObject(), accessKey };
+  }
+
+  /**
+   * Newest-first audit entries
+   * @param {Object} filters { actorId, resource, outcome, before (ISO date cursor), limit }
+   */
+  async listAuditLog({ actorId, resource, outcome, before, limit = 50 } = {}) {
+    const query = {};
+    if (actorId) query.actorId = String(actorId);
+    if (resource) query.resource = String(resource);
+    if (outcome) query.outcome = String(outcome);
+    if (before) {
+      const cursor = new Date(before);
+      if (Number.isNaN(cursor.getTime())) throw new AdminAccountError('before must be an ISO date');
+      query.createdAt = { $lt: cursor };
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const entries = await AuditLog.find(query).sort({ createdAt: -1 }).limit(pageSize).lean();
+
+    return {
+      entries,
+      nextCursor: entries.length === pageSize ? entries[entries.length - 1].createdAt.toISOString() : null
+    };
+  }
+
+  async _findAccount(accountId) {
+    if (!mongoose.Types.ObjectId.isValid(accountId)) throw new AdminAccountError('Admin account not found', 404);
+    const account = await AdminAccount.findById(accountId);
+    if (!account) throw new AdminAccountError('Admin account not found', 404);
+    return account;
+  }
+}
+
+export default new AdminAccountService();
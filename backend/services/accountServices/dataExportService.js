@@ -0,0 +1,160 @@
+import AdmZip from 'adm-zip';
+import User from '../../models/User.js';
+import Video from '../../models/Video.js';
+import Follower from '../../models/Follower.js';
+import SavedVideo from '../../models/SavedVideo.js';
+import Comment from '../../models/Comment.js';
+import WatchHistory from '../../models/WatchHistory.js';
+import CreatorDailyStats from '../../models/CreatorDailyStats.js';
+import CreatorMonthlyStat from '../../models/CreatorMonthlyStat.js';
+import CreatorPayout from '../../models/CreatorPayout.js';
+import AdCampaign from '../../models/AdCampaign.js';
+import Invoice from '../../models/Invoice.js';
+import payoutVaultService from '../payoutServices/payoutVaultService.js';
+
+// Credentials and tokens never leave the server, not even to their owner
+const USER_EXCLUDED_FIELDS = '-googleRefreshToken -fcmToken -__v';
+
+const maskCardNumber = (cardNumber) =>
+  cardNumber ? `**** **** **** ${String(cardNumber).replace(/\s/g, '').slice(-4)}` : undefined;
+
+/**
+ * Strip the parts of stored payment details that must not be exported
+ * (full card number, CVV); everything else identifies the account to the user.
+ * Payout records from before the payout vault may still carry these.
+ */
+const redactPaymentDetails = (paymentDetails) => {
+  if (!paymentDetails) return paymentDetails;
+  const { cardDetails, ...rest } = paymentDetails;
+  if (!cardDetails) return rest;
+  return {
+    ...rest,
+    cardDetails: {
+      cardholderName: cardDetails.cardholderName,
+      expiryDate: cardDetails.expiryDate,
+      cardNumber: maskCardNumber(cardDetails.cardNumber)
+    }
+  };
+};
+
+const README = `Your data export
+
+profile.json         Your account profile and settings
+uploads.json         Metadata of every video and image you uploaded
+watch_history.json   Videos you watched, with watch time and completion
+comments.json        Comments you wrote
+saved_videos.json    Videos you saved
+following.json       Creators you follow
+followers.json       Accounts that follow you
+earnings.json        Daily creator stats and monthly ad revenue
+payouts.json         Payouts to you (card numbers are masked)
+ad_campaigns.json    Ad campaigns you ran, with their invoices
+
+All timestamps are UTC (ISO 8601). Media files themselves are available at the
+URLs listed in uploads.json.
+`;
+
+/**
+ * **DataExportService**
+ * Builds the downloadable ZIP behind GET /api/users/me/export.
+ */
+class DataExportService {
+  /**
+   * Collect everything stored about a user, one JSON document per section
+   * @param {String|ObjectId} userId - Mongo _id of the user
+   * @returns {Promise<Object|null>} Section name -> data, null if the user does not exist
+   */
+  async collect(userId) {
+    const user = await User.findById(userId).select(USER_EXCLUDED_FIELDS).lean();
+    if (!user) return null;
+
+    const identities = [user.googleId, ...(user.deviceIds || [])].filter(Boolean);
+
+    const [
+      uploads, watchHistory, comments, saved, following, followers,
+      dailyStats, monthlyStats, payouts, campaigns
+    ] = await Promise.all([
+      Video.find({ uploader: user._id })
+        .select('-likedBy -allowedSubscribers -__v')
+        .sort({ createdAt: -1 })
+        .lean(),
+      WatchHistory.find({ userId: { $in: identities } })
+        .populate('videoId', 'videoName')
+        .sort({ lastWatchedAt: -1 })
+        .lean(),
+      Comment.find({ user: user._id, isDeleted: false })
+        .select('targetType targetId parentComment content likes createdAt updatedAt')
+        .sort({ createdAt: -1 })
+        .lean(),
+      SavedVideo.find({ user: user._id }).populate('video', 'videoName').lean(),
+      Follower.find({ follower: user._id }).populate('following', 'name googleId').lean(),
+      Follower.find({ following: user._id }).populate('follower', 'name googleId').lean(),
+      CreatorDailyStats.find({ creatorId: user._id }).sort({ date: 1 }).lean(),
+      CreatorMonthlyStat.find({ creatorId: user._id }).sort({ yearMonth: 1 }).lean(),
+      CreatorPayout.find({ creatorId: user._id }).sort({ month: 1 }).lean(),
+      AdCampaign.find({ advertiserUserId: user._id }).sort({ createdAt: -1 }).lean()
+    ]);
+
+    // Payout destinations come masked from the vault, whatever is left on an unmigrated document is dropped
+    const { paymentDetails: _legacyPaymentDetails, ...profile } = user;
+    const paymentDetails = await payoutVaultService.getPaymentDetailsView(user._id, {
+      actorType: 'user',
+      actorId: user._id.toString(),
+      actorName: user.email,
+      metadata: { purpose: 'data_export' }
+    });
+
+    const invoices = campaigns.length
+      ? await Invoice.find({ campaignId: { $in: campaigns.map(c => c._id) } })
+        .select('-razorpaySignature')
+        .lean()
+      : [];
+
+    return {
+      'profile.json': { ...profile, paymentDetails },
+      'uploads.json': uploads,
+      'watch_history.json': watchHistory.map(entry => ({
+        videoId: entry.videoId?._id || entry.videoId,
+        videoName: entry.videoId?.videoName,
+        watchedAt: entry.watchedAt,
+        lastWatchedAt: entry.lastWatchedAt,
+        watchDuration: entry.watchDuration,
+        watchCount: entry.watchCount,
+        completed: entry.completed
+      })),
+      'comments.json': comments,
+      'saved_videos.json': saved.map(s => ({
+        videoId: s.video?._id || s.video,
+        videoName: s.video?.videoName,
+        savedAt: s.createdAt
+      })),
+      'following.json': following.map(f => ({ user: f.following, since: f.createdAt })),
+      'followers.json': followers.map(f => ({ user: f.follower, since: f.createdAt })),
+      'earnings.json': { daily: dailyStats, monthly: monthlyStats },
+      'payouts.json': payouts.map(p => ({ ...p, paymentDetails: redactPaymentDetails(p.paymentDetails) })),
+      'ad_campaigns.json': campaigns.map(c => ({
+        ...c,
+        invoices: invoices.filter(i => i.campaignId.equals(c._id))
+      }))
+    };
+  }
+
+  /**
+   * Build the export archive
+   * @returns {Promise<Buffer|null>} ZIP contents, null if the user does not exist
+   */
+  async buildArchive(userId) {
+    const sections = await this.collect(userId);
+    if (!sections) return null;
+
+    const zip = new AdmZip();
+    zip.addFile('README.txt', Buffer.from(README, 'utf8'));
+    for (const [name, data] of Object.entries(sections)) {
+      zip.addFile(name, Buffer.from(JSON.stringify(data, null, 2), 'utf8'));
+    }
+    return zip.toBuffer();
+  }
+}
+
+export { redactPaymentDetails };
+export default new DataExportService();
@@ -0,0 +1,167 @@
+import RefreshToken from '../../models/RefreshToken.js';
+import User from '../../models/User.js';
+import Notice from '../../models/Notice.js';
+import AuditLog from '../../models/AuditLog.js';
+import brevoService from '../notificationServices/brevoService.js';
+import { sendNotificationToUser } from '../notificationServices/notificationService.js';
+import { recordAuditEvent } from '../../utils/auditLogger.js';
+import { ACCOUNT_CONFIG } from '../../constants/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALERT_LIMIT = 20;
+
+// Audit actions surfaced to the account owner as security alerts
+export const SECURITY_ACTIONS = {
+  NEW_DEVICE_LOGIN: 'auth:new_device_login',
+  TOKEN_REUSE: 'auth:refresh_token_reuse'
+};
+
+const describeDevice = ({ deviceName, platform }) =>
+  `${deviceName || 'Unknown Device'}${platform && platform !== 'unknown' ? ` (${platform})` : ''}`;
+
+/**
+ * **SessionSecurityService**
+ * Alerts and history for the account owner's device sessions: new-device sign-ins,
+ * and refresh-token families revoked because a rotated token was replayed.
+ */
+class SessionSecurityService {
+  /**
+   * Whether this sign-in comes from a device the user has not used before.
+   * A brand-new account's first device is never "new".
+   * @param {Object} user User document
+   * @param {Object} device { deviceId, deviceName, platform }
+   * @param {boolean} isNewUser
+   */
+  async isNewDevice(user, device, isNewUser = false) {
+    if (isNewUser) return false;
+    return !(await RefreshToken.isKnownDevice(user._id, device.deviceId, device.deviceName, device.platform));
+  }
+
+  /**
+   * Audit a sign-in from a new device and tell the user (push, in-app notice and email)
+   * @param {Object} user User document (googleId, email, name)
+   * @param {Object} device { deviceId, deviceName, platform }
+   * @param {Object} context getAuditRequestContext(req)
+   */
+  async alertNewDeviceLogin(user, device, context = {}) {
+    const deviceLabel = describeDevice(device);
+
+    await recordAuditEvent({
+      actorType: 'user',
+      actorId: user._id.toString(),
+      actorName: user.email,
+      action: SECURITY_ACTIONS.NEW_DEVICE_LOGIN,
+      resource: 'session',
+      targetId: device.deviceId || null,
+      severity: 'warning',
+      ...context,
+      metadata: { deviceName: device.deviceName, platform: device.platform }
+    });
+
+    await this._notify(user, {
+      title: 'New sign-in to your account',
+      body: `Your account was used to sign in on ${deviceLabel}. If this wasn't you, sign out of all devices.`,
+      data: { type: 'security_new_device', deviceName: device.deviceName || '', platform: device.platform || '' }
+    }, {
+      subject: 'New sign-in to your Vayug account',
+      htmlContent: `
+        <p>Hi ${user.name || 'there'},</p>
+        <p>Your Vayug account was just used to sign in on <b>${deviceLabel}</b>${context.ipAddress ? ` from IP ${context.ipAddress}` : ''}.</p>
+        <p>If this was you, there is nothing to do. If not, open the app and sign out of all devices.</p>
+        <p>The Vayug Team</p>
+      `
+    });
+  }
+
+  /**
+   * Audit a replayed refresh token whose family has just been revoked, and tell the user
+   * @param {Object} reuse Result of RefreshToken.verifyAndRotate with reuseDetected
+   * @param {Object} context getAuditRequestContext(req)
+   */
+  async handleTokenReuse(reuse, context = {}) {
+    const user = await User.findById(reuse.userId).select('googleId email name').lean();
+
+    await recordAuditEvent({
+      actorType: 'user',
+      actorId: reuse.userId.toString(),
+      actorName: user?.email || null,
+      action: SECURITY_ACTIONS.TOKEN_REUSE,
+      resource: 'session',
+      targetId: reuse.familyId,
+      outcome: 'denied',
+      severity: 'critical',
+      ...context,
+      metadata: {
+        deviceName: reuse.deviceName,
+        platform: reuse.platform,
+        revokedTokens: reuse.revokedCount
+      }
+    });
+
+    if (!user) return;
+    await this._notify(user, {
+      title: 'We signed out a device',
+      body: `A sign-in on ${describeDevice(reuse)} was ended because its session was used from two places. Sign in again on that device if it is yours.`,
+      data: { type: 'security_session_revoked', familyId: reuse.familyId }
+    });
+  }
+
+  /**
+   * Active sessions, sessions killed by reuse detection and recent security alerts
+   * @param {ObjectId} userId
+   */
+  async getSessionOverview(userId) {
+    const since = new Date(Date.now() - ACCOUNT_CONFIG.SECURITY_ALERT_DAYS * DAY_MS);
+
+    const [active, revoked, alerts] = await Promise.all([
+      RefreshToken.getActiveSessions(userId),
+      RefreshToken.getRevokedSessions(userId, since),
+      AuditLog.find({
+        actorId: userId.toString(),
+        action: { $in: Object.values(SECURITY_ACTIONS) },
+        createdAt: { $gte: since }
+      }).sort({ createdAt: -1 }).limit(ALERT_LIMIT).lean()
+    ]);
+
+    return {
+      sessions: active.map(s => ({
+        sessionId: s.familyId || null,
+        deviceId: s.deviceId,
+        deviceName: s.deviceName,
+        platform: s.platform,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt
+      })),
+      revokedSessions: revoked.map(s => ({
+        sessionId: s.familyId,
+        deviceId: s.deviceId,
+        deviceName: s.deviceName,
+        platform: s.platform,
+        lastUsedAt: s.lastUsedAt,
+        revokedAt: s.revokedAt,
+        reason: s.revokedReason
+      })),
+      alerts: alerts.map(alert => ({
+        type: alert.action === SECURITY_ACTIONS.TOKEN_REUSE ? 'session_revoked' : 'new_device_login',
+        deviceName: alert.metadata?.deviceName || null,
+        platform: alert.metadata?.platform || null,
+        ipAddress: alert.ipAddress || null,
+        createdAt: alert.createdAt
+      }))
+    };
+  }
+
+  async _notify(user, push, email = null) {
+    try {
+      await sendNotificationToUser(user.googleId, push);
+      await Notice.create({ userId: user.googleId, title: push.title, type: 'warning' });
+      if (email && user.email) {
+        await brevoService.sendEmail({ to: user.email, ...email });
+      }
+    } catch (error) {
+      console.error('⚠️ SessionSecurity: Failed to notify user:', error.message);
+    }
+  }
+}
+
+export default new SessionSecurityService();
@@ -3,6 +3,10 @@ import { CarouselAdSource } from './sources/CarouselAdSource.js';
 import { ContextualTargeter } from './targeters/ContextualTargeter.js';
 import { DemographicTargeter } from './targeters/DemographicTargeter.js';
 import { AISemanticTargeter } from './targeters/AISemanticTargeter.js';
+import budgetLedgerService from '../budgetLedger/BudgetLedgerService.js';
+import secondPriceAuction from './auction/SecondPriceAuction.js';
+import serveTokenService from './serveToken/ServeTokenService.js';
+import Video from '../../../models/Video.js';
 
 /**
  * **AdEngine**
@@ -10,7 +14,7 @@ import { AISemanticTargeter } from './targeters/AISemanticTargeter.js';
  * Manages active ad sources and scores candidates through targeting pipelines.
  */
 export class AdEngine {
-  constructor(sources = [], targeters = []) {
+  constructor(sources = [], targeters = [], budgetLedger = budgetLedgerService, auction = secondPriceAuction, serveTokens = serveTokenService) {
     // Register default sources if none are passed in
     this.sources = sources.length > 0 ? sources : [
       new BannerAdSource(),
@@ -23,11 +27,20 @@ export class AdEngine {
       new DemographicTargeter(),
       new AISemanticTargeter()
     ];
+
+    // Serve-time budget, pacing, parting and frequency enforcement
+    this.budgetLedger = budgetLedger;
+
+    // Ranks by eCPM × relevance and prices winners at the second price
+    this.auction = auction;
+
+    // Signs the single-use token each served slot must present to be counted
+    this.serveTokens = serveTokens;
   }
 
   /**
    * Fetch, score, and filter ads for a specific video feed and user context
-   * @param {Object} context Context signals (e.g. videoData, userProfile, location, platform, adType)
+   * @param {Object} context Context signals (e.g. videoData, userProfile, location, platform, adType, userKey)
    * @param {Object} options Configuration parameters (e.g. limit, useFallback)
    * @returns {Promise<Array<Object>>} Standardized and targeted ad creatives for the frontend
    */
@@ -53,12 +66,21 @@ export class AdEngine {
       }
 
       // 2. Fetch candidates from the source
-      const candidates = await activeSource.getActiveAds({ limit: 50 });
-      if (candidates.length === 0) {
+      const sourceCandidates = await activeSource.getActiveAds({ limit: 50 });
+      if (sourceCandidates.length === 0) {
         console.log(`🔄 AdEngine: No ad candidates found in source for adType: ${adType}`);
         return [];
       }
 
+      // 2b. Drop campaigns that are out of budget, paced, outside their schedule or frequency capped
+      const candidates = this.budgetLedger
+        ? await this.budgetLedger.filterServable(sourceCandidates, { userKey: context.userKey })
+        : sourceCandidates;
+      if (candidates.length === 0) {
+        console.log(`💸 AdEngine: All ${adType} candidates are held back by budget/pacing rules`);
+        return [];
+      }
+
       // Prepare scoring context
       const videoData = context.videoData || {};
       const targeterContext = {
@@ -100,11 +122,10 @@ export class AdEngine {
         })
       );
 
-      // 4. Filter, sort, and slice matches
+      // 4. Filter matches and run the second-price auction over them
       // A score > 50 indicates positive matching signals
-      const matchingAds = scoredCandidates
-        .filter(item => item.targetingScore > 50)
-        .sort((a, b) => b.targetingScore - a.targetingScore || b.impressions - a.impressions)
+      const matchingAds = this.auction
+        .run(scoredCandidates.filter(item => item.targetingScore > 50))
         .slice(0, limit);
 
       if (matchingAds.length > 0) {
@@ -112,12 +133,10 @@ export class AdEngine {
         return this.transformAdsForFrontend(matchingAds);
       }
 
-      // 5. Final Fallback: Sorted by impressions if no targeted ads match
+      // 5. Final Fallback: Auction across every servable candidate if no targeted ads match
       if (useFallback) {
-        console.log('🔄 AdEngine: No high-relevance ads found. Triggering impressions-based fallback...');
-        const generalFallback = scoredCandidates
-          .sort((a, b) => (b.impressions || 0) - (a.impressions || 0) || b.createdAt - a.createdAt)
-          .slice(0, limit);
+        console.log('🔄 AdEngine: No high-relevance ads found. Triggering auction fallback...');
+        const generalFallback = this.auction.run(scoredCandidates).slice(0, limit);
         return this.transformAdsForFrontend(generalFallback);
       }
 
@@ -128,6 +147,44 @@ export class AdEngine {
     }
   }
 
+  /**
+   * Attach a serve token to every ad for this viewer. Runs per request, after
+   * any shared cache, because tokens are bound to the viewer and the video.
+   * The auction price moves from the ad into its token, so beacons bill exactly
+   * the price this slot cleared at and clients never see the `auction` block.
+   * Slots are only billable on the video they were served for: without a known
+   * video the ads come back with `serveToken: null`, and their beacons are rejected.
+   * @param {Array<Object>} ads Ads in the frontend contract (see transformAdsForFrontend)
+   * @param {Object} viewer { userKey: user ObjectId or device ID, videoId: video the slots are shown on }
+   * @returns {Promise<Array<Object>>} Copies of the ads with `serveToken`
+   */
+  async issueServeTokens(ads, { userKey = null, videoId = null } = {}) {
+    if (!ads || ads.length === 0) return [];
+
+    // The creator who earns from the slot comes from the video, never from the client
+    const video = videoId && /^[a-f0-9]{24}$/i.test(videoId)
+      ? await Video.findById(videoId).select('uploader monetizationBlocked').lean()
+      : null;
+    if (!video) {
+      return ads.map(({ auction, ...ad }) => ({ ...ad, serveToken: null }));
+    }
+    // Detected re-uploads still show ads, but the uploader earns nothing from them
+    const creatorId = video.monetizationBlocked ? null : video.uploader;
+
+    return ads.map(({ auction, ...ad }) => ({
+      ...ad,
+      serveToken: this.serveTokens.issue({
+        adId: ad.id || ad._id,
+        campaignId: ad.campaign?.id || ad.campaignId,
+        adType: ad.adType,
+        videoId: video._id,
+        creatorId,
+        userKey,
+        pricing: auction
+      })
+    }));
+  }
+
   /**
    * Standardize backend creative schema into expected frontend contract.
    * Ensures absolute backward compatibility.
@@ -166,7 +223,13 @@ export class AdEngine {
           name: campaign.name || '',
           objective: campaign.objective || '',
           status: campaign.status || ''
-        }
+        },
+        // Stripped again by issueServeTokens; kept here so it survives the shared serve cache
+        auction: ad.auction ? {
+          bidType: ad.auction.bidType,
+          clearingCpm: ad.auction.clearingCpm,
+          clearingCpc: ad.auction.clearingCpc
+        } : null
       };
     });
   }
@@ -0,0 +1,102 @@
+import { AD_CONFIG } from '../../../../constants/index.js';
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * **SecondPriceAuction**
+ * Ranks scored ad candidates by eCPM × relevance and prices every slot
+ * generalized second-price style: each winner pays the lowest eCPM that would
+ * still have beaten the next campaign down, plus one paisa.
+ *
+ * - CPM bids use `cpmINR` directly as eCPM.
+ * - CPC bids (`cpmINR` = bid per click) become eCPM = bid × pCTR × 1000, with
+ *   pCTR smoothed from the creative's own clicks / impressions.
+ * - The effective clearing price per impression is what creators earn from;
+ *   CPC advertisers are charged the equivalent price per click.
+ * - The reserve is a floor: bids with an eCPM below it are dropped, and no
+ *   winner clears below it.
+ * - Prices travel with each served slot inside its serve token (see
+ *   ServeTokenService), so concurrent auctions for one creative never share a price.
+ */
+export class SecondPriceAuction {
+  constructor({
+    reserveCpm = AD_CONFIG.AUCTION_RESERVE_CPM,
+    increment = AD_CONFIG.AUCTION_INCREMENT_INR,
+    ctrPrior = AD_CONFIG.CTR_PRIOR,
+    ctrPriorWeight = AD_CONFIG.CTR_PRIOR_WEIGHT
+  } = {}) {
+    this.reserveCpm = reserveCpm;
+    this.increment = increment;
+    this.ctrPrior = ctrPrior;
+    this.ctrPriorWeight = ctrPriorWeight;
+  }
+
+  /**
+   * Bayesian-smoothed click-through rate from creative history
+   */
+  predictCtr(ad) {
+    const impressions = Math.max(Number(ad.impressions) || 0, 0);
+    const clicks = Math.min(Math.max(Number(ad.clicks) || 0, 0), impressions);
+    return (clicks + this.ctrPrior * this.ctrPriorWeight) / (impressions + this.ctrPriorWeight);
+  }
+
+  /**
+   * Effective CPM bid of a candidate in INR
+   */
+  getEffectiveCpm(ad, predictedCtr) {
+    const campaign = ad.campaign || ad.campaignId || {};
+    const bid = Number(campaign.cpmINR) || AD_CONFIG.DEFAULT_CPM;
+    const bidType = campaign.bidType || AD_CONFIG.DEFAULT_BID_TYPE;
+
+    return bidType === 'CPC' ? bid * predictedCtr * 1000 : bid;
+  }
+
+  /**
+   * Rank and price candidates
+   * @param {Array<Object>} candidates Scored candidates ({ ...creative, campaign, targetingScore })
+   * @returns {Array<Object>} Candidates at or above the reserve, sorted by auction rank, each with an `auction` block
+   */
+  run(candidates) {
+    const bids = candidates.map(ad => {
+      const campaign = ad.campaign || ad.campaignId || {};
+      const predictedCtr = this.predictCtr(ad);
+      const ecpm = this.getEffectiveCpm(ad, predictedCtr);
+      // Keep a sliver of weight for zero-relevance fallback candidates
+      const relevance = Math.max(Number(ad.targetingScore) || 0, 1) / 100;
+
+      return {
+        ad,
+        campaignId: campaign._id ? campaign._id.toString() : null,
+        bidType: campaign.bidType || AD_CONFIG.DEFAULT_BID_TYPE,
+        predictedCtr,
+        ecpm,
+        relevance,
+        rankScore: ecpm * relevance
+      };
+    }).filter(bid => bid.ecpm >= this.reserveCpm);
+
+    bids.sort((a, b) => b.rankScore - a.rankScore || (b.ad.impressions || 0) - (a.ad.impressions || 0));
+
+    return bids.map((bid, index) => {
+      // Runner-up is the next bid from a different campaign; advertisers never bid against themselves
+      const runnerUp = bids.slice(index + 1).find(other => other.campaignId !== bid.campaignId);
+      const priceToBeat = Math.max(runnerUp ? runnerUp.rankScore / bid.relevance : 0, this.reserveCpm);
+      const clearingCpm = Math.min(bid.ecpm, priceToBeat + this.increment);
+
+      return {
+        ...bid.ad,
+        auction: {
+          bidType: bid.bidType,
+          ecpm: round(bid.ecpm),
+          predictedCtr: round(bid.predictedCtr, 6),
+          rankScore: round(bid.rankScore),
+          clearingCpm: round(clearingCpm),
+          // Price per click that yields the same clearing eCPM
+          clearingCpc: bid.bidType === 'CPC' ? round(clearingCpm / (bid.predictedCtr * 1000)) : null
+        }
+      };
+    });
+  }
+}
+
+export default new SecondPriceAuction();
@@ -5,6 +5,8 @@ export { CarouselAdSource } from './sources/CarouselAdSource.js';
 export { ContextualTargeter } from './targeters/ContextualTargeter.js';
 export { DemographicTargeter } from './targeters/DemographicTargeter.js';
 export { AISemanticTargeter } from './targeters/AISemanticTargeter.js';
+export { SecondPriceAuction } from './auction/SecondPriceAuction.js';
+export { ServeTokenService, ServeTokenError } from './serveToken/ServeTokenService.js';
 export { AdEngine } from './AdEngine.js';
 
 import defaultAdEngine from './AdEngine.js';
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import redisService from '../../../caching/redisService.js';
+import { AD_CONFIG } from '../../../../constants/index.js';
+
+const REDEMPTION_KEY_PREFIX = 'ads:serve-token';
+const STAGES = ['impression', 'view', 'click'];
+
+// Claims a stage of a token once. Returns { claimed (1/0), impression outcome or nil }.
+// KEYS: redemption hash | ARGV: stage, outcome, ttl
+const REDEEM_SCRIPT = `
+local claimed = redis.call('HSETNX', KEYS[1], ARGV[1], ARGV[2])
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+return { claimed, redis.call('HGET', KEYS[1], 'impression') }
+`;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+export class ServeTokenError extends Error {
+  /**
+   * @param {String} message
+   * @param {String} reason malformed | bad_signature | expired | replay | viewer_mismatch | wrong_ad_type | wrong_ad | unbound | unverified
+   * @param {Number} statusCode
+   * @param {Object|null} claims Verified claims, set when the token itself was genuine
+   */
+  constructor(message, reason, statusCode = 400, claims = null) {
+    super(message);
+    this.name = 'ServeTokenError';
+    this.reason = reason;
+    this.statusCode = statusCode;
+    this.claims = claims;
+  }
+}
+
+/**
+ * **ServeTokenService**
+ * Signs one single-use token per served ad slot. The token carries everything
+ * the beacons used to take from the client (ad, campaign, video, creator and
+ * the viewer it was served to), so impressions and views can only be counted
+ * for slots the server actually filled, once each.
+ * Every token is bound to the video its slot was served on: the video (and so
+ * the creator who earns) never comes from the beacon.
+ *
+ * Format: base64url(JSON claims) + '.' + base64url(HMAC-SHA256)
+ */
+export class ServeTokenService {
+  constructor({ secret = null, ttlSeconds = AD_CONFIG.SERVE_TOKEN_TTL_SECONDS } = {}) {
+    this.secret = secret;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  // Read lazily: env is loaded after module evaluation
+  _secret() {
+    const secret = this.secret || process.env.AD_SERVE_TOKEN_SECRET || process.env.JWT_SECRET;
+    if (!secret) throw new Error('AD_SERVE_TOKEN_SECRET (or JWT_SECRET) is not configured');
+    return secret;
+  }
+
+  _sign(body) {
+    return crypto.createHmac('sha256', this._secret()).update(body).digest('base64url');
+  }
+
+  /**
+   * Issue a token for one ad slot
+   * @param {Object} slot { adId, campaignId, adType, videoId (required), creatorId, userKey,
+   *   pricing: auction result { bidType, clearingCpm, clearingCpc } this slot cleared at }
+   * @returns {String}
+   */
+  issue({ adId, campaignId, adType, videoId, creatorId = null, userKey = null, pricing = null }, now = Date.now()) {
+    if (!videoId) throw new Error('Serve tokens must be bound to the video the slot is shown on');
+
+    const claims = {
+      jti: crypto.randomBytes(12).toString('base64url'),
+      ad: String(adId),
+      cmp: campaignId ? String(campaignId) : null,
+      typ: adType,
+      vid: String(videoId),
+      cr: creatorId ? String(creatorId) : null,
+      uk: userKey ? String(userKey) : null,
+      px: pricing && Number(pricing.clearingCpm) > 0 ? {
+        bt: pricing.bidType,
+        cpm: Number(pricing.clearingCpm),
+        cpc: pricing.clearingCpc ?? null
+      } : null,
+      exp: Math.floor(now / 1000) + this.ttlSeconds
+    };
+    const body = base64url(JSON.stringify(claims));
+    return `${body}.${this._sign(body)}`;
+  }
+
+  /**
+   * Check signature, expiry, ad type and viewer. Does not consume the token.
+   * @param {String} token
+   * @param {Object} expected { adType, viewerKeys: identities the beacon arrived with }
+   * @returns {Object} Claims
+   * @throws {ServeTokenError}
+   */
+  verify(token, { adType = null, viewerKeys = [] } = {}, now = Date.now()) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+      throw new ServeTokenError('Serve token is required', 'malformed');
+    }
+
+    const [body, signature] = token.split('.');
+    const expected = Buffer.from(this._sign(body));
+    const received = Buffer.from(signature || '');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new ServeTokenError('Invalid serve token', 'bad_signature', 401);
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new ServeTokenError('Invalid serve token', 'malformed');
+    }
+
+    // Tokens from before every slot was bound to a video could be billed on any video
+    if (!claims.vid) {
+      throw new ServeTokenError('Serve token is not bound to a video', 'unbound');
+    }
+    if (!claims.exp || claims.exp * 1000 <= now) {
+      throw new ServeTokenError('Serve token has expired', 'expired', 410, claims);
+    }
+    if (adType && claims.typ !== adType) {
+      throw new ServeTokenError(`Serve token was issued for a ${claims.typ} slot`, 'wrong_ad_type', 400, claims);
+    }
+    // Served to a known viewer: the beacon must come from the same user or device
+    if (claims.uk && !viewerKeys.filter(Boolean).map(String).includes(claims.uk)) {
+      throw new ServeTokenError('Serve token belongs to another viewer', 'viewer_mismatch', 403, claims);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Verify and consume one stage of a token
+   * @param {String} token
+   * @param {String} stage 'impression' | 'view' | 'click'
+   * @param {Object} expected See verify()
+   * @returns {Promise<{ claims: Object, impressionOutcome: String|null }>}
+   *   impressionOutcome is what the impression beacon recorded for this slot ('counted' | 'capped'), null if it never arrived
+   * @throws {ServeTokenError} replay when the stage was already redeemed
+   */
+  async redeem(token, stage, expected = {}) {
+    if (!STAGES.includes(stage)) throw new Error(`Unknown serve token stage: ${stage}`);
+
+    const claims = this.verify(token, expected);
+    const ttl = Math.max(claims.exp - Math.floor(Date.now() / 1000), 1);
+
+    // Redis down: AdImpression.uniqueKey still rejects a second view of the same slot
+    const result = await redisService.eval(REDEEM_SCRIPT, [this._redemptionKey(claims)], [stage, 'counted', ttl]);
+    if (!result) return { claims, impressionOutcome: null };
+
+    const [claimed, impressionOutcome] = result;
+    if (Number(claimed) !== 1) {
+      throw new ServeTokenError(`Serve token was already used for this ${stage}`, 'replay', 409, claims);
+    }
+    return { claims, impressionOutcome: stage === 'view' ? (impressionOutcome || null) : null };
+  }
+
+  /**
+   * Remember that the impression of this slot was over the frequency cap,
+   * so its view beacon is not billed either
+   */
+  async markImpressionCapped(claims) {
+    const ttl = Math.max(claims.exp - Math.floor(Date.now() / 1000), 1);
+    await redisService.eval(
+      `redis.call('HSET', KEYS[1], 'impression', ARGV[1]) redis.call('EXPIRE', KEYS[1], ARGV[2]) return 1`,
+      [this._redemptionKey(claims)],
+      ['capped', ttl]
+    );
+  }
+
+  /**
+   * Auction price a slot cleared at, or null for slots served without one (billed at list price)
+   * @param {Object} claims Verified claims
+   * @returns {{ bidType, clearingCpm, clearingCpc }|null}
+   */
+  pricing(claims) {
+    return claims?.px ? { bidType: claims.px.bt, clearingCpm: claims.px.cpm, clearingCpc: claims.px.cpc } : null;
+  }
+
+  /**
+   * Redeem the click stage of the slot's token and return the price to bill it at.
+   * Click beacons rarely carry the viewer's identity, so a genuine token served to
+   * someone else is still accepted; it can only be clicked once either way.
+   * @param {String} token
+   * @param {String|ObjectId} adId The clicked ad
+   * @returns {Promise<{ claims: Object, pricing: { bidType, clearingCpm, clearingCpc }|null }>}
+   *   pricing is null for slots served without an auction price (billed at list price)
+   * @throws {ServeTokenError} missing, forged, expired or replayed tokens, or a token of another ad
+   */
+  async redeemClick(token, adId) {
+    let claims;
+    try {
+      claims = this.verify(token);
+    } catch (error) {
+      if (error.reason !== 'viewer_mismatch') throw error;
+      claims = error.claims;
+    }
+    if (claims.ad !== String(adId)) {
+      throw new ServeTokenError('Serve token was issued for another ad', 'wrong_ad', 400, claims);
+    }
+
+    const ttl = Math.max(claims.exp - Math.floor(Date.now() / 1000), 1);
+    // Clicks have no durable record to catch a replay later: without Redis they are not billed
+    const result = await redisService.eval(REDEEM_SCRIPT, [this._redemptionKey(claims)], ['click', 'counted', ttl]);
+    if (!result) {
+      throw new ServeTokenError('Click could not be checked for replays', 'unverified', 503, claims);
+    }
+    if (Number(result[0]) !== 1) {
+      throw new ServeTokenError('Serve token was already used for this click', 'replay', 409, claims);
+    }
+
+    return { claims, pricing: this.pricing(claims) };
+  }
+
+  /**
+   * Durable de-duplication key for AdImpression.uniqueKey
+   */
+  uniqueKey(claims, stage) {
+    return `serve:${claims.jti}:${stage}`;
+  }
+
+  _redemptionKey(claims) {
+    return `${REDEMPTION_KEY_PREFIX}:${claims.jti}`;
+  }
+}
+
+export { REDEEM_SCRIPT };
+export default new ServeTokenService();
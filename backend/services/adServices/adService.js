@@ -10,6 +10,8 @@ import {
 import { AD_CONFIG, PAYMENT_CONFIG } from '../../constants/index.js';
 import { calculateCategoryRelevance } from '../../config/categoryMap.js';
 import adEngine from './adEngine/index.js';
+import budgetLedgerService from './budgetLedger/BudgetLedgerService.js';
+import serveTokenService, { ServeTokenError } from './adEngine/serveToken/ServeTokenService.js';
 
 class AdService {
   async createAdWithPayment(adData) {
@@ -327,6 +329,8 @@ class AdService {
           campaign.clicks = (campaign.clicks || 0) + 1;
           await campaign.save();
         }
+
+        await this.billClick(ad, clickData.serveToken);
       }
       
       console.log('✅ AdService: Click tracked successfully');
@@ -338,6 +342,30 @@ class AdService {
     }
   }
 
+  /**
+   * Bill a click to its campaign (the billable event for CPC campaigns), charged at the
+   * clearing CPC of the slot's serve token. Each token pays for one click; clicks without
+   * a genuine, unused token for this ad are not billed.
+   * @param {Object} ad AdCreative with campaignId
+   * @param {String} serveToken Token the ad was served with
+   * @returns {Promise<Object|null>} Debit result, null when nothing was billed
+   */
+  async billClick(ad, serveToken) {
+    if (!ad?.campaignId) return null;
+
+    let redemption;
+    try {
+      redemption = await serveTokenService.redeemClick(serveToken, ad._id);
+    } catch (error) {
+      if (!(error instanceof ServeTokenError)) throw error;
+      console.warn(`🚫 AdService: Click on ad ${ad._id} not billed: ${error.reason}`);
+      return null;
+    }
+
+    const campaignId = ad.campaignId._id || ad.campaignId;
+    return budgetLedgerService.debit(campaignId, { eventType: 'click', amount: redemption.pricing?.clearingCpc ?? null });
+  }
+
   /**
    * Get ad analytics
    */
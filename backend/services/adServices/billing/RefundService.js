@@ -0,0 +1,288 @@
+import AdCampaign from '../../../models/AdCampaign.js';
+import AdCreative from '../../../models/AdCreative.js';
+import Invoice from '../../../models/Invoice.js';
+import budgetLedgerService from '../budgetLedger/BudgetLedgerService.js';
+import { getRazorpayClient, toPaise, toINR } from './razorpayClient.js';
+
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+const FUNDED_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const CANCELLABLE_STATUSES = ['draft', 'pending_review', 'active', 'paused'];
+
+const roundINR = (amount) => Math.round(amount * 100) / 100;
+
+export class BillingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BillingError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * **RefundService**
+ * Issues Razorpay refunds against paid invoices and keeps Invoice / AdCampaign
+ * state in step with them.
+ *
+ * - A refund reserves its amount on the invoice (`refundRequestedAmount`) before
+ *   calling Razorpay, so concurrent requests can never refund more than was paid.
+ * - Refunds are recorded as pending and settled by refund.processed / refund.failed
+ *   webhooks (or immediately when Razorpay reports them processed).
+ * - Advertiser refunds on a running campaign lower its totalBudget by the same
+ *   amount, so the budget ledger stops delivery at what is still paid for.
+ */
+class RefundService {
+  refundableAmount(invoice) {
+    const total = invoice.totalAmount || invoice.amountINR || 0;
+    return roundINR(Math.max(0, total - (invoice.refundRequestedAmount || 0)));
+  }
+
+  /**
+   * Paid, refunded and spent totals for a campaign (INR)
+   * @returns {Promise<{ paidINR, refundedINR, spentINR, unspentINR }>}
+   */
+  async getUnspentBudget(campaign, invoices = null) {
+    const funded = invoices || await Invoice.find({ campaignId: campaign._id, status: { $in: FUNDED_STATUSES } }).lean();
+    const ledgers = await budgetLedgerService.getLedgers([campaign]);
+    const spentINR = roundINR(ledgers.get(campaign._id.toString())?.totalSpent || 0);
+
+    const paidINR = roundINR(funded.reduce((sum, inv) => sum + (inv.totalAmount || inv.amountINR || 0), 0));
+    const refundedINR = roundINR(funded.reduce((sum, inv) => sum + (inv.refundRequestedAmount || 0), 0));
+
+    return {
+      paidINR,
+      refundedINR,
+      spentINR,
+      unspentINR: roundINR(Math.max(0, paidINR - refundedINR - spentINR))
+    };
+  }
+
+  /**
+   * Split a refund across invoices in proportion to what is still refundable on each.
+   * Works in paise; rounding leftovers go to the invoices with the most headroom.
+   * @returns {Array<{ invoice, amountINR }>}
+   */
+  allocateProRata(invoices, amountINR) {
+    const entries = invoices
+      .map(invoice => ({ invoice, headroom: toPaise(this.refundableAmount(invoice)) }))
+      .filter(entry => entry.headroom > 0)
+      .sort((a, b) => b.headroom - a.headroom);
+
+    const totalHeadroom = entries.reduce((sum, entry) => sum + entry.headroom, 0);
+    const target = Math.min(toPaise(amountINR), totalHeadroom);
+    if (target <= 0) return [];
+
+    let allocated = 0;
+    for (const entry of entries) {
+      entry.share = Math.floor(target * entry.headroom / totalHeadroom);
+      allocated += entry.share;
+    }
+    for (const entry of entries) {
+      if (allocated >= target) break;
+      const extra = Math.min(target - allocated, entry.headroom - entry.share);
+      entry.share += extra;
+      allocated += extra;
+    }
+
+    return entries
+      .filter(entry => entry.share > 0)
+      .map(entry => ({ invoice: entry.invoice, amountINR: toINR(entry.share) }));
+  }
+
+  /**
+   * Issue a full or partial Razorpay refund for a paid invoice
+   * @param {Object} invoice Invoice document (lean or hydrated)
+   * @param {Object} options { amountINR (default: full refundable balance), reason, source }
+   * @returns {Promise<Object>} Updated invoice
+   * @throws {BillingError}
+   */
+  async refundInvoice(invoice, { amountINR = null, reason = '', source = 'advertiser' } = {}) {
+    const razorpay = getRazorpayClient();
+    if (!razorpay) {
+      throw new BillingError('Payment service is currently unavailable. Razorpay is not configured.', 503);
+    }
+    if (!REFUNDABLE_STATUSES.includes(invoice.status)) {
+      throw new BillingError('Only paid invoices can be refunded');
+    }
+    if (!invoice.razorpayPaymentId) {
+      throw new BillingError('Invoice has no captured Razorpay payment to refund', 409);
+    }
+
+    const refundable = this.refundableAmount(invoice);
+    const amount = roundINR(amountINR === null ? refundable : Number(amountINR));
+    if (!Number.isFinite(amount) || amount < 1) {
+      throw new BillingError('Refund amount must be at least ₹1');
+    }
+    if (amount > refundable) {
+      throw new BillingError(`Refund amount exceeds the refundable balance of ₹${refundable}`);
+    }
+
+    // Reserve first: a concurrent refund on the same invoice fails here, not at Razorpay
+    const reserved = await Invoice.findOneAndUpdate(
+      {
+        _id: invoice._id,
+        status: { $in: REFUNDABLE_STATUSES },
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refundRequestedAmount', 0] }, amount] }, '$totalAmount'] }
+      },
+      { $inc: { refundRequestedAmount: amount } },
+      { new: true }
+    );
+    if (!reserved) {
+      throw new BillingError('Another refund for this invoice is already in progress', 409);
+    }
+
+    let refund;
+    try {
+      refund = await razorpay.payments.refund(invoice.razorpayPaymentId, {
+        amount: toPaise(amount),
+        speed: 'normal',
+        notes: {
+          invoiceId: invoice._id.toString(),
+          campaignId: invoice.campaignId.toString(),
+          source,
+          reason: String(reason || '').slice(0, 200)
+        }
+      });
+    } catch (error) {
+      await Invoice.updateOne({ _id: invoice._id }, { $inc: { refundRequestedAmount: -amount } });
+      const description = error.error?.description || error.message;
+      console.error('❌ Billing: Razorpay refund failed:', description);
+      throw new BillingError(`Razorpay error: ${description}`, 502);
+    }
+
+    console.log(`💸 Billing: Refund ${refund.id} of ₹${amount} issued for invoice ${invoice._id} (${refund.status})`);
+
+    // The refund webhook may already have recorded it
+    await Invoice.updateOne(
+      { _id: invoice._id, 'refunds.refundId': { $ne: refund.id } },
+      { $push: { refunds: { refundId: refund.id, amountINR: amount, status: 'pending', source, reason } } }
+    );
+
+    if (source === 'advertiser') {
+      await this._adjustCampaignBudget(invoice.campaignId, -amount);
+    }
+
+    if (refund.status === 'processed') {
+      return this.applyRefundUpdate(refund, 'processed');
+    }
+    return Invoice.findById(invoice._id);
+  }
+
+  /**
+   * Settle a refund from a refund.processed / refund.failed webhook (idempotent)
+   * @param {Object} entity Razorpay refund entity (amount in paise)
+   * @param {'processed'|'failed'} status
+   * @returns {Promise<Object|null>} Updated invoice, null if no invoice matches
+   */
+  async applyRefundUpdate(entity, status) {
+    const invoice = await Invoice.findOne({ 'refunds.refundId': entity.id }) ||
+      await Invoice.findOne({ razorpayPaymentId: entity.payment_id });
+    if (!invoice) {
+      console.warn('⚠️ Billing: No invoice for refund', entity.id, 'payment', entity.payment_id);
+      return null;
+    }
+
+    let record = invoice.refunds.find(r => r.refundId === entity.id);
+    if (!record) {
+      // Issued outside refundInvoice (e.g. from the Razorpay dashboard) or the webhook
+      // beat the API response; only the former still needs reserving.
+      const issuedHere = entity.notes?.invoiceId === invoice._id.toString();
+      const amount = toINR(entity.amount);
+      if (!issuedHere) invoice.refundRequestedAmount = roundINR((invoice.refundRequestedAmount || 0) + amount);
+      invoice.refunds.push({
+        refundId: entity.id,
+        amountINR: amount,
+        status: 'pending',
+        source: entity.notes?.source === 'campaign_cancellation' ? 'campaign_cancellation' : 'advertiser',
+        reason: entity.notes?.reason
+      });
+      record = invoice.refunds[invoice.refunds.length - 1];
+    }
+
+    // Terminal states never move again (processed can't turn into failed)
+    if (record.status !== 'pending') return invoice;
+
+    const now = new Date();
+    record.status = status;
+    record.settledAt = now;
+
+    if (status === 'failed') {
+      invoice.refundRequestedAmount = roundINR(Math.max(0, (invoice.refundRequestedAmount || 0) - record.amountINR));
+      if (record.source === 'advertiser') {
+        await this._adjustCampaignBudget(invoice.campaignId, record.amountINR);
+      }
+    } else {
+      invoice.refundDate = now;
+    }
+
+    invoice.refundAmount = roundINR(invoice.refunds
+      .filter(r => r.status === 'processed')
+      .reduce((sum, r) => sum + r.amountINR, 0));
+    if (invoice.refundAmount > 0) {
+      invoice.status = invoice.refundAmount >= (invoice.totalAmount || invoice.amountINR) ? 'refunded' : 'partially_refunded';
+    }
+    if (record.reason && !invoice.refundReason) invoice.refundReason = record.reason;
+
+    await invoice.save();
+    console.log(`✅ Billing: Refund ${entity.id} ${status} (invoice ${invoice._id} now ${invoice.status})`);
+    return invoice;
+  }
+
+  /**
+   * Cancel a campaign early and refund its unspent budget pro rata across its paid invoices.
+   * Delivery stops first so no spend lands after the refund is calculated.
+   * @returns {Promise<{ campaign, budget, refunds }>}
+   * @throws {BillingError}
+   */
+  async cancelCampaign(campaignId, { reason = '' } = {}) {
+    const campaign = await AdCampaign.findOneAndUpdate(
+      { _id: campaignId, status: { $in: CANCELLABLE_STATUSES } },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason } },
+      { new: true }
+    );
+    if (!campaign) {
+      const existing = await AdCampaign.findById(campaignId).select('status').lean();
+      if (!existing) throw new BillingError('Campaign not found', 404);
+      throw new BillingError(`Campaign is already ${existing.status}`, 409);
+    }
+
+    await AdCreative.updateMany({ campaignId: campaign._id }, { $set: { isActive: false } });
+
+    const invoices = await Invoice.find({ campaignId: campaign._id, status: { $in: FUNDED_STATUSES } }).lean();
+    const budget = await this.getUnspentBudget(campaign, invoices);
+
+    const refunds = [];
+    const allocations = this.allocateProRata(invoices.filter(inv => REFUNDABLE_STATUSES.includes(inv.status)), budget.unspentINR);
+    for (const { invoice, amountINR } of allocations) {
+      try {
+        const updated = await this.refundInvoice(invoice, {
+          amountINR,
+          reason: reason || 'Unspent budget after campaign cancellation',
+          source: 'campaign_cancellation'
+        });
+        const record = updated?.refunds?.[updated.refunds.length - 1];
+        refunds.push({ invoiceId: invoice._id, amountINR, refundId: record?.refundId, status: record?.status || 'pending' });
+      } catch (error) {
+        console.error(`❌ Billing: Cancellation refund failed for invoice ${invoice._id}:`, error.message);
+        refunds.push({ invoiceId: invoice._id, amountINR, status: 'error', error: error.message });
+      }
+    }
+
+    const refundedINR = roundINR(refunds.filter(r => r.status !== 'error').reduce((sum, r) => sum + r.amountINR, 0));
+    if (refundedINR > 0) {
+      campaign.unspentRefundINR = roundINR((campaign.unspentRefundINR || 0) + refundedINR);
+      await AdCampaign.updateOne({ _id: campaign._id }, { $set: { unspentRefundINR: campaign.unspentRefundINR } });
+    }
+
+    return { campaign, budget, refunds };
+  }
+
+  async _adjustCampaignBudget(campaignId, deltaINR) {
+    // Validators skipped on purpose: the lowered budget may fall under the creation minimum
+    await AdCampaign.updateOne(
+      { _id: campaignId, status: { $ne: 'cancelled' }, totalBudget: { $gt: 0 } },
+      { $inc: { totalBudget: deltaINR } }
+    );
+  }
+}
+
+export default new RefundService();
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import AdCampaign from '../../../models/AdCampaign.js';
+import AdCreative from '../../../models/AdCreative.js';
+import Invoice from '../../../models/Invoice.js';
+import PaymentWebhookEvent from '../../../models/PaymentWebhookEvent.js';
+import refundService from './RefundService.js';
+
+// A delivery stuck in "processing" this long is assumed to have crashed and may be retried
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const ACTIVATABLE_STATUSES = ['draft', 'pending_review'];
+
+/**
+ * **WebhookService**
+ * Applies Razorpay webhook events to Invoice and AdCampaign state exactly once.
+ *
+ * Each delivery is claimed in PaymentWebhookEvent by its event id before it is
+ * applied; redeliveries of a processed event are acknowledged without effect,
+ * and a failed one is re-applied. Handlers only move state forward, so an
+ * out-of-order payment.failed can't undo a capture.
+ */
+class WebhookService {
+  /**
+   * @param {Object} body Parsed webhook body ({ event, payload })
+   * @param {string|undefined} eventId x-razorpay-event-id header
+   * @returns {Promise<{ duplicate: boolean }>}
+   * @throws When the event could not be applied (Razorpay should redeliver)
+   */
+  async handleEvent(body, eventId) {
+    const { event, payload } = body;
+    // Older webhook setups don't send an event id; fall back to a digest of the event
+    const id = eventId || crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+    const claimed = await this._claim(id, event, this._entityId(payload));
+    if (!claimed) {
+      console.log(`🔁 Billing: Webhook ${id} (${event}) already handled`);
+      return { duplicate: true };
+    }
+
+    try {
+      await this._dispatch(event, payload);
+      await PaymentWebhookEvent.updateOne({ eventId: id }, { $set: { status: 'processed', processedAt: new Date() }, $unset: { error: 1 } });
+      return { duplicate: false };
+    } catch (error) {
+      await PaymentWebhookEvent.updateOne({ eventId: id }, { $set: { status: 'failed', error: error.message } });
+      throw error;
+    }
+  }
+
+  async _claim(eventId, event, entityId) {
+    try {
+      await PaymentWebhookEvent.create({ eventId, event, entityId });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    // Seen before: take it over only if the earlier attempt failed or died mid-way
+    const retry = await PaymentWebhookEvent.findOneAndUpdate(
+      {
+        eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } }
+    );
+    return !!retry;
+  }
+
+  _entityId(payload = {}) {
+    return payload.refund?.entity?.id || payload.payment?.entity?.id || payload.order?.entity?.id;
+  }
+
+  async _dispatch(event, payload) {
+    switch (event) {
+      case 'payment.captured':
+        return this._handlePaymentCaptured(payload.payment.entity);
+      case 'payment.failed':
+        return this._handlePaymentFailed(payload.payment.entity);
+      case 'order.paid':
+        return this._handleOrderPaid(payload.order.entity, payload.payment?.entity);
+      case 'refund.processed':
+        return refundService.applyRefundUpdate(payload.refund.entity, 'processed');
+      case 'refund.failed':
+        return refundService.applyRefundUpdate(payload.refund.entity, 'failed');
+      case 'refund.created':
+        // Recorded when the refund is issued; settled by processed / failed
+        return null;
+      default:
+        console.log('🔍 Billing: Unhandled webhook event:', event);
+        return null;
+    }
+  }
+
+  async _handlePaymentCaptured(payment) {
+    const invoice = await Invoice.findOne({ orderId: payment.order_id });
+    if (!invoice) {
+      console.warn('⚠️ Billing: Invoice not found for order:', payment.order_id);
+      return;
+    }
+    await this._markPaid(invoice, payment.id);
+  }
+
+  async _handleOrderPaid(order, payment) {
+    const invoice = await Invoice.findOne({ orderId: order.id });
+    if (!invoice) {
+      console.warn('⚠️ Billing: Invoice not found for order:', order.id);
+      return;
+    }
+    await this._markPaid(invoice, payment?.id);
+  }
+
+  async _markPaid(invoice, paymentId) {
+    if (['created', 'failed'].includes(invoice.status)) {
+      invoice.status = 'paid';
+      invoice.paidAt = new Date();
+      invoice.paymentMethod = 'razorpay';
+      invoice.failureReason = undefined;
+    }
+    if (paymentId && !invoice.razorpayPaymentId) invoice.razorpayPaymentId = paymentId;
+
+    if (invoice.isModified()) {
+      await invoice.save();
+      console.log('✅ Billing: Invoice marked as paid:', invoice._id);
+    }
+    await this._activateAdCampaign(invoice.campaignId);
+  }
+
+  async _handlePaymentFailed(payment) {
+    const invoice = await Invoice.findOne({ orderId: payment.order_id });
+    // A failed attempt after a successful one (or a late delivery) must not undo the capture
+    if (!invoice || invoice.status !== 'created') return;
+
+    invoice.status = 'failed';
+    invoice.failedAt = new Date();
+    invoice.failureReason = payment.error_description;
+    await invoice.save();
+    console.log('✅ Billing: Invoice marked as failed:', invoice._id);
+  }
+
+  async _activateAdCampaign(campaignId) {
+    const campaign = await AdCampaign.findOneAndUpdate(
+      { _id: campaignId, status: { $in: ACTIVATABLE_STATUSES } },
+      { $set: { status: 'active', activatedAt: new Date() } },
+      { new: true }
+    );
+    if (!campaign) return; // Already active, or paused / cancelled by the advertiser
+
+    await AdCreative.findOneAndUpdate(
+      { campaignId },
+      { $set: { isActive: true, reviewStatus: 'approved' } }
+    );
+    console.log('✅ Billing: Campaign activated successfully:', campaignId);
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import Razorpay from 'razorpay';
+import { getRazorpayConfig } from '../../../config/razorpay.js';
+
+/**
+ * Shared Razorpay client for billing routes, refunds and webhooks.
+ * `null` when Razorpay is not configured.
+ */
+const config = getRazorpayConfig();
+let razorpay = null;
+
+if (config.isConfigured) {
+  try {
+    razorpay = new Razorpay({
+      key_id: config.keyId,
+      key_secret: config.keySecret,
+    });
+    console.log('✅ Razorpay initialized successfully');
+  } catch (error) {
+    console.error('❌ Failed to initialize Razorpay:', error);
+    razorpay = null;
+  }
+} else {
+  console.warn('⚠️ Razorpay not configured - payment routes will return errors');
+}
+
+export const razorpayConfig = config;
+
+export const getRazorpayClient = () => razorpay;
+
+export const toPaise = (amountINR) => Math.round(Number(amountINR) * 100);
+
+export const toINR = (paise) => Math.round(Number(paise) || 0) / 100;
+
+/**
+ * Verify the x-razorpay-signature header against the raw request body.
+ * The body must be the exact bytes Razorpay sent; re-serialized JSON does not match.
+ */
+export const verifyWebhookSignature = (rawBody, signature) => {
+  if (!config.webhookSecret || !rawBody || !signature) return false;
+
+  const expected = crypto
+    .createHmac('sha256', config.webhookSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+  return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
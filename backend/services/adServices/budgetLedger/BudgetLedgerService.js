@@ -0,0 +1,413 @@
+import AdCampaign from '../../../models/AdCampaign.js';
+import redisService from '../../caching/redisService.js';
+import { AD_CONFIG } from '../../../constants/index.js';
+import { evaluateCampaignDelivery, getZonedParts } from './pacing.js';
+
+const LEDGER_PREFIX = 'ads:ledger';
+const DIRTY_SET_KEY = `${LEDGER_PREFIX}:dirty`;
+const DAY_KEY_TTL = 2 * 24 * 60 * 60; // Keep yesterday around for late reconciliation
+const FREQUENCY_KEY_TTL = 36 * 60 * 60;
+
+const LEDGER_FIELDS = 'status bidType cpmINR dailyBudget totalBudget spend dailySpend dailySpendDate pendingSpend pendingDailySpend timeZone pacing frequencyCap dayParting hourParting';
+
+// Seeds missing counters from Mongo, then debits total + day atomically.
+// KEYS: total, day, dirty set | ARGV: amount, seedTotal, seedDay, dayTtl, campaignId
+const DEBIT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then redis.call('SET', KEYS[1], ARGV[2]) end
+if redis.call('EXISTS', KEYS[2]) == 0 then redis.call('SET', KEYS[2], ARGV[3], 'EX', ARGV[4]) end
+local total = redis.call('INCRBYFLOAT', KEYS[1], ARGV[1])
+local day = redis.call('INCRBYFLOAT', KEYS[2], ARGV[1])
+redis.call('SADD', KEYS[3], ARGV[5])
+return { total, day }
+`;
+
+// Adds debits that fell back to Mongo onto the counters. A missing counter is left
+// alone: it is seeded from AdCampaign.spend, which already includes them.
+// KEYS: total, day | ARGV: total delta, day delta
+const FOLD_PENDING_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then redis.call('INCRBYFLOAT', KEYS[1], ARGV[1]) end
+if redis.call('EXISTS', KEYS[2]) == 1 and tonumber(ARGV[2]) > 0 then redis.call('INCRBYFLOAT', KEYS[2], ARGV[2]) end
+return 1
+`;
+
+// Unmarks a reconciled campaign unless it was debited after its counter was read.
+// KEYS: dirty set, total | ARGV: campaignId, total that was written back
+const CLEAR_DIRTY_SCRIPT = `
+local total = redis.call('GET', KEYS[2])
+if total and tonumber(total) ~= tonumber(ARGV[2]) then return 0 end
+return redis.call('SREM', KEYS[1], ARGV[1])
+`;
+
+/**
+ * **BudgetLedgerService**
+ * Tracks what every campaign has spent and decides whether it may keep serving.
+ *
+ * - Spend counters live in Redis (total + per campaign-local day) and are
+ *   reconciled into AdCampaign.spend / dailySpend by a cron job.
+ * - When Redis is unavailable, debits go straight to Mongo so budgets are
+ *   still enforced. They are kept as pendingSpend until reconcile adds them
+ *   onto the Redis counters (never overwriting debits Redis took meanwhile).
+ * - Per-user frequency counters are Redis-only (best effort).
+ */
+class BudgetLedgerService {
+  _totalKey(campaignId) {
+    return `${LEDGER_PREFIX}:${campaignId}:total`;
+  }
+
+  _dayKey(campaignId, dateKey) {
+    return `${LEDGER_PREFIX}:${campaignId}:day:${dateKey}`;
+  }
+
+  _frequencyKey(campaignId, userKey, dateKey) {
+    return `ads:freq:${campaignId}:${userKey}:${dateKey}`;
+  }
+
+  _campaignOf(ad) {
+    const campaign = ad.campaign && ad.campaign._id ? ad.campaign : ad.campaignId;
+    return campaign && campaign._id ? campaign : null;
+  }
+
+  _mongoDaySpend(campaign, dateKey) {
+    return campaign.dailySpendDate === dateKey ? (Number(campaign.dailySpend) || 0) : 0;
+  }
+
+  // Fallback debits of the campaign-local day that Redis has not seen yet
+  _pendingDaySpend(campaign, dateKey) {
+    return campaign.dailySpendDate === dateKey ? (Number(campaign.pendingDailySpend) || 0) : 0;
+  }
+
+  /**
+   * Price of a single billable event for the campaign's bid type (INR).
+   * CPM campaigns pay per viewed impression, CPC campaigns per click.
+   * For CPC campaigns `cpmINR` holds the bid per click.
+   */
+  getEventCost(campaign, eventType) {
+    const bid = Number(campaign.cpmINR) || AD_CONFIG.DEFAULT_CPM;
+    if ((campaign.bidType || AD_CONFIG.DEFAULT_BID_TYPE) === 'CPC') {
+      return eventType === 'click' ? bid : 0;
+    }
+    return eventType === 'impression' ? bid / 1000 : 0;
+  }
+
+  /**
+   * Current spend counters for a set of campaigns
+   * @param {Array<Object>} campaigns Campaign documents (lean or hydrated)
+   * @returns {Promise<Map<String, Object>>} campaignId -> { totalSpent, daySpent, dateKey }
+   */
+  async getLedgers(campaigns, now = new Date()) {
+    const ledgers = new Map();
+    const keys = [];
+
+    for (const campaign of campaigns) {
+      const id = campaign._id.toString();
+      const { dateKey } = getZonedParts(now, campaign.timeZone);
+      ledgers.set(id, {
+        totalSpent: Number(campaign.spend) || 0,
+        daySpent: this._mongoDaySpend(campaign, dateKey),
+        pendingTotal: Number(campaign.pendingSpend) || 0,
+        pendingDay: this._pendingDaySpend(campaign, dateKey),
+        dateKey
+      });
+      keys.push(this._totalKey(id), this._dayKey(id, dateKey));
+    }
+
+    if (keys.length > 0 && redisService.getConnectionStatus()) {
+      const values = await redisService.mget(keys);
+      let i = 0;
+      for (const ledger of ledgers.values()) {
+        // Debits that fell back to Mongo while Redis was unavailable are not in Redis yet
+        if (values[i] !== null) ledger.totalSpent = Math.max(ledger.totalSpent, Number(values[i]) + ledger.pendingTotal);
+        if (values[i + 1] !== null) ledger.daySpent = Math.max(ledger.daySpent, Number(values[i + 1]) + ledger.pendingDay);
+        i += 2;
+      }
+    }
+
+    for (const ledger of ledgers.values()) {
+      delete ledger.pendingTotal;
+      delete ledger.pendingDay;
+    }
+    return ledgers;
+  }
+
+  /**
+   * Impressions served today to this user/device, per campaign
+   * @returns {Promise<Map<String, Number>>}
+   */
+  async getFrequencyCounts(campaigns, userKey, now = new Date()) {
+    const counts = new Map();
+    if (!userKey || campaigns.length === 0 || !redisService.getConnectionStatus()) return counts;
+
+    const ids = campaigns.map(c => c._id.toString());
+    const keys = campaigns.map((c, i) => this._frequencyKey(ids[i], userKey, getZonedParts(now, c.timeZone).dateKey));
+    const values = await redisService.mget(keys);
+
+    ids.forEach((id, i) => counts.set(id, Number(values[i]) || 0));
+    return counts;
+  }
+
+  /**
+   * Drop ad candidates whose campaign is out of budget, paced, outside its
+   * day/hour parting, or has hit its frequency cap for this user.
+   *
+   * @param {Array<Object>} ads AdCreative candidates with populated campaignId
+   * @param {Object} options { userKey, now }
+   * @returns {Promise<Array<Object>>} Servable candidates
+   */
+  async filterServable(ads, { userKey = null, now = new Date() } = {}) {
+    if (!ads || ads.length === 0) return [];
+
+    const campaignsById = new Map();
+    for (const ad of ads) {
+      const campaign = this._campaignOf(ad);
+      if (campaign) campaignsById.set(campaign._id.toString(), campaign);
+    }
+    const campaigns = Array.from(campaignsById.values());
+
+    const [ledgers, frequency] = await Promise.all([
+      this.getLedgers(campaigns, now),
+      this.getFrequencyCounts(campaigns, userKey, now)
+    ]);
+
+    const blocked = new Map();
+    for (const campaign of campaigns) {
+      const id = campaign._id.toString();
+      const verdict = evaluateCampaignDelivery(campaign, ledgers.get(id), now);
+
+      if (!verdict.servable) {
+        blocked.set(id, verdict.reason);
+      } else if (campaign.frequencyCap && (frequency.get(id) || 0) >= campaign.frequencyCap) {
+        blocked.set(id, 'frequency_capped');
+      }
+    }
+
+    if (blocked.size > 0) {
+      console.log(`💸 BudgetLedger: Holding back ${blocked.size} campaign(s):`, Object.fromEntries(blocked));
+    }
+
+    return ads.filter(ad => {
+      const campaign = this._campaignOf(ad);
+      return campaign && !blocked.has(campaign._id.toString());
+    });
+  }
+
+  /**
+   * Frequency-only filter for already formatted ads ({ campaign: { id } }).
+   * Used where the campaign-level result is cached and shared across users.
+   */
+  async filterByFrequency(ads, userKey, now = new Date()) {
+    if (!userKey || !ads || ads.length === 0 || !redisService.getConnectionStatus()) return ads || [];
+
+    const campaignIds = [...new Set(ads.map(ad => ad.campaign?.id).filter(Boolean))];
+    if (campaignIds.length === 0) return ads;
+
+    const campaigns = await AdCampaign.find({ _id: { $in: campaignIds } })
+      .select('frequencyCap timeZone')
+      .lean();
+    const frequency = await this.getFrequencyCounts(campaigns, userKey, now);
+
+    const capped = new Set(campaigns
+      .filter(c => c.frequencyCap && (frequency.get(c._id.toString()) || 0) >= c.frequencyCap)
+      .map(c => c._id.toString()));
+
+    return ads.filter(ad => !capped.has(ad.campaign?.id));
+  }
+
+  /**
+   * Count an impression against the user's frequency cap
+   * @param {String|ObjectId} campaignId
+   * @param {String} userKey User ObjectId or device ID
+   * @returns {Promise<Object|null>} { count: impressions today including this one, frequencyCap, capped }
+   *   or null when nothing could be counted
+   */
+  async recordImpression(campaignId, userKey, now = new Date()) {
+    if (!campaignId || !userKey || !redisService.getConnectionStatus()) return null;
+
+    const campaign = await AdCampaign.findById(campaignId).select('timeZone frequencyCap').lean();
+    if (!campaign) return null;
+
+    const { dateKey } = getZonedParts(now, campaign.timeZone);
+    const count = await redisService.incrBy(this._frequencyKey(campaignId.toString(), userKey, dateKey), 1, FREQUENCY_KEY_TTL);
+    if (count === null) return null;
+
+    const frequencyCap = campaign.frequencyCap || null;
+    return { count, frequencyCap, capped: Boolean(frequencyCap) && count > frequencyCap };
+  }
+
+  /**
+   * Debit a billable event from the campaign budget
+   *
+   * @param {String|ObjectId} campaignId
+   * @param {Object} event { eventType: 'impression' | 'click', amount?: Number (auction clearing price in INR, capped at the bid) }
+   * @returns {Promise<Object|null>} { charged, totalSpent, daySpent, exhausted } or null when nothing was charged
+   */
+  async debit(campaignId, { eventType, amount = null, now = new Date() } = {}) {
+    if (!campaignId) return null;
+
+    try {
+      const campaign = await AdCampaign.findById(campaignId).select(LEDGER_FIELDS).lean();
+      if (!campaign) return null;
+
+      const listPrice = this.getEventCost(campaign, eventType);
+      if (!listPrice) return null; // Event is not billable for this bid type
+
+      // Auction clearing prices are never above the advertiser's own bid
+      const charge = amount !== null ? Math.min(Number(amount) || 0, listPrice) : listPrice;
+      if (!charge || charge <= 0) return null;
+
+      const id = campaign._id.toString();
+      const { dateKey } = getZonedParts(now, campaign.timeZone);
+
+      let totals = null;
+      if (redisService.getConnectionStatus()) {
+        const result = await redisService.eval(
+          DEBIT_SCRIPT,
+          [this._totalKey(id), this._dayKey(id, dateKey), DIRTY_SET_KEY],
+          // Seeds leave out fallback debits: reconcile adds those once it folds them in
+          [
+            charge,
+            (Number(campaign.spend) || 0) - (Number(campaign.pendingSpend) || 0),
+            this._mongoDaySpend(campaign, dateKey) - this._pendingDaySpend(campaign, dateKey),
+            DAY_KEY_TTL,
+            id
+          ]
+        );
+        if (Array.isArray(result)) {
+          totals = {
+            totalSpent: (Number(result[0]) || 0) + (Number(campaign.pendingSpend) || 0),
+            daySpent: (Number(result[1]) || 0) + this._pendingDaySpend(campaign, dateKey)
+          };
+        }
+      }
+
+      if (!totals) {
+        totals = await this._debitMongo(campaign, charge, dateKey);
+        // Reconcile also finds these by pendingSpend; mark it when Redis still takes writes
+        await redisService.sAdd(DIRTY_SET_KEY, id);
+      }
+
+      const exhausted = !!campaign.totalBudget && totals.totalSpent >= campaign.totalBudget;
+      if (exhausted && campaign.status === 'active') {
+        await this._markExhausted(campaign._id, totals.totalSpent);
+      }
+
+      return { charged: charge, ...totals, exhausted };
+    } catch (error) {
+      console.error('❌ BudgetLedger: Failed to debit campaign', campaignId, error.message);
+      return null;
+    }
+  }
+
+  async _debitMongo(campaign, charge, dateKey) {
+    let updated = await AdCampaign.findOneAndUpdate(
+      { _id: campaign._id, dailySpendDate: dateKey },
+      { $inc: { spend: charge, dailySpend: charge, pendingSpend: charge, pendingDailySpend: charge } },
+      { new: true }
+    ).select('spend dailySpend').lean();
+
+    if (!updated) {
+      // First debit of a new campaign-local day
+      updated = await AdCampaign.findOneAndUpdate(
+        { _id: campaign._id },
+        { $inc: { spend: charge, pendingSpend: charge }, $set: { dailySpend: charge, pendingDailySpend: charge, dailySpendDate: dateKey } },
+        { new: true }
+      ).select('spend dailySpend').lean();
+    }
+
+    return { totalSpent: updated?.spend || 0, daySpent: updated?.dailySpend || 0 };
+  }
+
+  async _markExhausted(campaignId, totalSpent) {
+    await AdCampaign.updateOne(
+      { _id: campaignId, status: 'active' },
+      { $set: { status: 'completed', budgetExhaustedAt: new Date() }, $max: { spend: totalSpent } }
+    );
+    console.log(`💸 BudgetLedger: Campaign ${campaignId} exhausted its total budget`);
+  }
+
+  /**
+   * Add a campaign's fallback debits onto its Redis counters and clear them in Mongo.
+   * The pending amounts are claimed first, so a concurrent reconcile cannot add them twice.
+   * @returns {Promise<Boolean>} false when nothing could be folded in (they stay pending)
+   */
+  async _foldPending(campaign, dateKey) {
+    const pendingTotal = Number(campaign.pendingSpend) || 0;
+    const pendingDay = Number(campaign.pendingDailySpend) || 0;
+    if (pendingTotal <= 0) return true;
+
+    const claim = { pendingSpend: -pendingTotal, pendingDailySpend: -pendingDay };
+    const claimed = await AdCampaign.updateOne(
+      { _id: campaign._id, pendingSpend: pendingTotal, pendingDailySpend: pendingDay },
+      { $inc: claim }
+    );
+    if (!claimed.modifiedCount) return false; // Another fallback debit landed; next run picks it up
+
+    const id = campaign._id.toString();
+    const dayDelta = campaign.dailySpendDate === dateKey ? pendingDay : 0;
+    const folded = await redisService.eval(
+      FOLD_PENDING_SCRIPT,
+      [this._totalKey(id), this._dayKey(id, dateKey)],
+      [pendingTotal, dayDelta]
+    );
+    if (folded === null) {
+      await AdCampaign.updateOne({ _id: campaign._id }, { $inc: { pendingSpend: pendingTotal, pendingDailySpend: pendingDay } });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Copy Redis counters of recently debited campaigns into Mongo.
+   * Covers campaigns in the dirty set and those with debits that fell back to Mongo.
+   * @returns {Promise<Object>} { reconciled, exhausted }
+   */
+  async reconcile(now = new Date()) {
+    const stats = { reconciled: 0, exhausted: 0 };
+    if (!redisService.getConnectionStatus()) return stats;
+
+    const dirtyIds = await redisService.sMembers(DIRTY_SET_KEY) || [];
+    const campaigns = await AdCampaign.find({
+      $or: [{ _id: { $in: dirtyIds } }, { pendingSpend: { $gt: 0 } }]
+    }).select(LEDGER_FIELDS).lean();
+
+    // Deleted campaigns would stay dirty forever
+    const found = new Set(campaigns.map(campaign => campaign._id.toString()));
+    const missing = dirtyIds.filter(id => !found.has(id));
+    if (missing.length > 0) await redisService.sRem(DIRTY_SET_KEY, ...missing);
+
+    for (const campaign of campaigns) {
+      try {
+        const id = campaign._id.toString();
+        const { dateKey } = getZonedParts(now, campaign.timeZone);
+        if (!await this._foldPending(campaign, dateKey)) continue;
+
+        const [total, day] = await redisService.mget([this._totalKey(id), this._dayKey(id, dateKey)]);
+        const totalSpent = Math.max(Number(total) || 0, Number(campaign.spend) || 0);
+        const daySpent = Math.max(Number(day) || 0, this._mongoDaySpend(campaign, dateKey));
+
+        await AdCampaign.updateOne(
+          { _id: campaign._id },
+          {
+            $max: { spend: totalSpent },
+            $set: { dailySpend: daySpent, dailySpendDate: dateKey, lastReconciledAt: now }
+          }
+        );
+        stats.reconciled++;
+
+        // Only once it is written back: a failed run leaves the campaign dirty for the next one
+        await redisService.eval(CLEAR_DIRTY_SCRIPT, [DIRTY_SET_KEY, this._totalKey(id)], [id, total ?? '']);
+
+        if (campaign.totalBudget && totalSpent >= campaign.totalBudget && campaign.status === 'active') {
+          await this._markExhausted(campaign._id, totalSpent);
+          stats.exhausted++;
+        }
+      } catch (error) {
+        console.error(`❌ BudgetLedger: Reconcile failed for ${campaign._id}:`, error.message);
+      }
+    }
+
+    return stats;
+  }
+}
+
+export { BudgetLedgerService, DEBIT_SCRIPT, FOLD_PENDING_SCRIPT, CLEAR_DIRTY_SCRIPT };
+export default new BudgetLedgerService();
@@ -0,0 +1,183 @@
+/**
+ * **Campaign schedule & pacing rules**
+ * Pure helpers (no I/O) used by the BudgetLedgerService to decide whether a
+ * campaign may serve at a given instant.
+ *
+ * dayParting:  { Monday: true, Tuesday: false, ... }  (empty / all false = every day)
+ * hourParting: { Monday: '09:00-13:00,18:00-23:00', all: '08:00-22:00' }
+ *              Keys are day names, or 'all' / 'default' for every day.
+ *              A missing entry for the current day means "all day".
+ */
+
+export const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+// Share of the daily budget a smooth campaign may spend ahead of schedule,
+// so delivery can start right after midnight instead of waiting for the first slice.
+export const SMOOTH_PACING_BURST = 0.05;
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Wall-clock parts of `date` in the campaign time zone
+ * @param {Date} date
+ * @param {String} timeZone IANA zone, falls back to Asia/Kolkata when invalid
+ * @returns {{ dateKey: String, weekday: String, minuteOfDay: Number, timeZone: String }}
+ */
+export const getZonedParts = (date = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+  let formatter;
+  try {
+    formatter = getFormatter(timeZone || DEFAULT_TIME_ZONE);
+  } catch (error) {
+    formatter = getFormatter(DEFAULT_TIME_ZONE);
+    timeZone = DEFAULT_TIME_ZONE;
+  }
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase(),
+    minuteOfDay: (parseInt(parts.hour, 10) % 24) * 60 + parseInt(parts.minute, 10),
+    timeZone: timeZone || DEFAULT_TIME_ZONE
+  };
+};
+
+// Mongoose Maps arrive as Map on documents and as plain objects on lean() reads
+const toEntries = (value) => {
+  if (!value) return [];
+  if (value instanceof Map) return Array.from(value.entries());
+  return Object.entries(value);
+};
+
+/**
+ * Parse "09:00-13:00,18:00-23:30" into [[540, 780], [1080, 1410]]
+ * Windows that wrap midnight ("22:00-02:00") are split in two.
+ */
+export const parseHourWindows = (spec) => {
+  if (!spec || typeof spec !== 'string') return [];
+
+  const toMinutes = (hhmm) => {
+    const [h, m = '0'] = hhmm.trim().split(':');
+    const hours = parseInt(h, 10);
+    const minutes = parseInt(m, 10);
+    if (isNaN(hours) || isNaN(minutes)) return null;
+    return Math.min(Math.max(hours * 60 + minutes, 0), MINUTES_PER_DAY);
+  };
+
+  const windows = [];
+  for (const range of spec.split(',')) {
+    const [startRaw, endRaw] = range.split('-');
+    if (!startRaw || !endRaw) continue;
+
+    const start = toMinutes(startRaw);
+    const end = toMinutes(endRaw);
+    if (start === null || end === null || start === end) continue;
+
+    if (start < end) {
+      windows.push([start, end]);
+    } else {
+      windows.push([start, MINUTES_PER_DAY], [0, end]);
+    }
+  }
+  return windows;
+};
+
+/**
+ * Whether the campaign runs at all on this weekday
+ */
+export const isDayActive = (dayParting, weekday) => {
+  const selected = toEntries(dayParting).filter(([, enabled]) => enabled === true || enabled === 'true');
+  if (selected.length === 0) return true;
+  return selected.some(([day]) => day.toLowerCase() === weekday);
+};
+
+/**
+ * Active hour windows for a weekday (full day when not restricted)
+ */
+export const getHourWindows = (hourParting, weekday) => {
+  const entries = toEntries(hourParting);
+  const daySpec = entries.find(([day]) => day.toLowerCase() === weekday);
+  const defaultSpec = entries.find(([day]) => ['all', 'default', '*'].includes(day.toLowerCase()));
+
+  const windows = parseHourWindows((daySpec || defaultSpec)?.[1]);
+  return windows.length > 0 ? windows : [[0, MINUTES_PER_DAY]];
+};
+
+/**
+ * Fraction of today's active serving time that has already elapsed (0..1)
+ */
+export const getElapsedActiveFraction = (windows, minuteOfDay) => {
+  let total = 0;
+  let elapsed = 0;
+
+  for (const [start, end] of windows) {
+    total += end - start;
+    elapsed += Math.max(0, Math.min(minuteOfDay, end) - start);
+  }
+
+  return total > 0 ? elapsed / total : 1;
+};
+
+/**
+ * Decide whether a campaign may serve right now.
+ *
+ * @param {Object} campaign AdCampaign (document or lean object)
+ * @param {Object} ledger Current counters { totalSpent, daySpent }
+ * @param {Date} now
+ * @returns {{ servable: Boolean, reason: String|null, dateKey: String }}
+ */
+export const evaluateCampaignDelivery = (campaign, ledger = {}, now = new Date()) => {
+  const { dateKey, weekday, minuteOfDay } = getZonedParts(now, campaign.timeZone);
+  const totalSpent = Number(ledger.totalSpent) || 0;
+  const daySpent = Number(ledger.daySpent) || 0;
+
+  if (campaign.totalBudget && totalSpent >= campaign.totalBudget) {
+    return { servable: false, reason: 'total_budget_exhausted', dateKey };
+  }
+
+  if (campaign.dailyBudget && daySpent >= campaign.dailyBudget) {
+    return { servable: false, reason: 'daily_budget_exhausted', dateKey };
+  }
+
+  if (!isDayActive(campaign.dayParting, weekday)) {
+    return { servable: false, reason: 'outside_day_parting', dateKey };
+  }
+
+  const windows = getHourWindows(campaign.hourParting, weekday);
+  const inWindow = windows.some(([start, end]) => minuteOfDay >= start && minuteOfDay < end);
+  if (!inWindow) {
+    return { servable: false, reason: 'outside_hour_parting', dateKey };
+  }
+
+  if (campaign.pacing !== 'asap' && campaign.dailyBudget) {
+    const fraction = getElapsedActiveFraction(windows, minuteOfDay);
+    const allowedSoFar = campaign.dailyBudget * Math.min(fraction + SMOOTH_PACING_BURST, 1);
+    if (daySpent >= allowedSoFar) {
+      return { servable: false, reason: 'paced', dateKey };
+    }
+  }
+
+  return { servable: true, reason: null, dateKey };
+};
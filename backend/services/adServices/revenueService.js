@@ -40,9 +40,11 @@ class RevenueService {
           { uploader: { $in: uploaderIds } },
           { uploader: String(user._id) }
         ]
-      }).project({ _id: 1, views: 1, likes: 1, shares: 1, videoType: 1 }).toArray();
+      }).project({ _id: 1, views: 1, likes: 1, shares: 1, videoType: 1, monetizationBlocked: 1 }).toArray();
       
       const videoIds = userVideos.map(v => v._id);
+      // **NEW: Re-uploads of another creator's video earn nothing for this creator**
+      const monetizedVideoIds = userVideos.filter(v => !v.monetizationBlocked).map(v => v._id);
 
       // 3. Define Date Range (UTC)
       const startDate = new Date(Date.UTC(year, month, 1));
@@ -50,71 +52,32 @@ class RevenueService {
 
       // 4. Query Ad Impressions (Hybrid Lookup for creatorId)
       // Use raw collection to allow searching for Google ID strings in creatorId
-      const bannerCount = await AdImpression.collection.countDocuments({
-        adType: 'banner',
-        isViewed: true,
-        impressionType: 'view',
-        timestamp: { $gte: startDate, $lt: endDate },
-        $or: [
-          { creatorId: user._id },
-          { creatorId: user.googleId },
-          { creatorId: String(user._id) },
-          { videoId: { $in: videoIds } }
-        ]
-      });
+      const creatorMatch = [
+        { creatorId: user._id },
+        { creatorId: user.googleId },
+        { creatorId: String(user._id) },
+        { videoId: { $in: monetizedVideoIds } }
+      ];
+      const bannerCpm = AD_CONFIG.BANNER_CPM || 20; 
+      const carouselCpm = AD_CONFIG.DEFAULT_CPM || 30; 
 
-      const carouselCount = await AdImpression.collection.countDocuments({
-        adType: 'carousel',
-        isViewed: true,
-        impressionType: 'view',
-        timestamp: { $gte: startDate, $lt: endDate },
-        $or: [
-          { creatorId: user._id },
-          { creatorId: user.googleId },
-          { creatorId: String(user._id) },
-          { videoId: { $in: videoIds } }
-        ]
-      });
+      const banner = await RevenueService._sumViewedImpressions('banner', startDate, endDate, creatorMatch, bannerCpm);
+      const carousel = await RevenueService._sumViewedImpressions('carousel', startDate, endDate, creatorMatch, carouselCpm);
 
       // 5. Query Historical Impressions (Hybrid Lookup)
       const lastMonthDate = new Date(Date.UTC(year, month - 1, 1));
       const lastMonthEnd = startDate;
       
-      const lastMonthBanner = await AdImpression.collection.countDocuments({
-        adType: 'banner',
-        isViewed: true,
-        impressionType: 'view',
-        timestamp: { $gte: lastMonthDate, $lt: lastMonthEnd },
-        $or: [
-          { creatorId: user._id },
-          { creatorId: user.googleId },
-          { creatorId: String(user._id) },
-          { videoId: { $in: videoIds } }
-        ]
-      });
-
-      const lastMonthCarousel = await AdImpression.collection.countDocuments({
-        adType: 'carousel',
-        isViewed: true,
-        impressionType: 'view',
-        timestamp: { $gte: lastMonthDate, $lt: lastMonthEnd },
-        $or: [
-          { creatorId: user._id },
-          { creatorId: user.googleId },
-          { creatorId: String(user._id) },
-          { videoId: { $in: videoIds } }
-        ]
-      });
+      const lastMonthBanner = await RevenueService._sumViewedImpressions('banner', lastMonthDate, lastMonthEnd, creatorMatch, bannerCpm);
+      const lastMonthCarousel = await RevenueService._sumViewedImpressions('carousel', lastMonthDate, lastMonthEnd, creatorMatch, carouselCpm);
 
-      // 6. Calculate Revenue
-      const bannerCpm = AD_CONFIG.BANNER_CPM || 20; 
-      const carouselCpm = AD_CONFIG.DEFAULT_CPM || 30; 
+      // 6. Calculate Revenue from auction clearing prices
       const creatorShare = AD_CONFIG.CREATOR_REVENUE_SHARE || 0.8;
 
-      const currentGross = ((bannerCount / 1000) * bannerCpm) + ((carouselCount / 1000) * carouselCpm);
+      const currentGross = banner.revenue + carousel.revenue;
       const currentNet = currentGross * creatorShare;
 
-      const lastGross = ((lastMonthBanner / 1000) * bannerCpm) + ((lastMonthCarousel / 1000) * carouselCpm);
+      const lastGross = lastMonthBanner.revenue + lastMonthCarousel.revenue;
       const lastNet = lastGross * creatorShare;
 
       // 7. Calculate Lifetime Totals
@@ -184,14 +147,14 @@ class RevenueService {
         platformShare: Math.round((currentGross - currentNet) * 100) / 100,
         
         banner: {
-          views: bannerCount,
-          cpm: bannerCpm,
-          revenue: Math.round(((bannerCount / 1000) * bannerCpm) * 100) / 100
+          views: banner.views,
+          cpm: banner.averageCpm,
+          revenue: Math.round(banner.revenue * 100) / 100
         },
         carousel: {
-          views: carouselCount,
-          cpm: carouselCpm,
-          revenue: Math.round(((carouselCount / 1000) * carouselCpm) * 100) / 100
+          views: carousel.views,
+          cpm: carousel.averageCpm,
+          revenue: Math.round(carousel.revenue * 100) / 100
         },
 
         monthlyViews,
@@ -228,6 +191,43 @@ class RevenueService {
       };
     }
   }
+
+  /**
+   * Count viewed impressions of one ad type and sum what they actually cleared at.
+   * Impressions recorded before the second-price auction carry no clearingPrice
+   * and are valued at the flat config CPM.
+   *
+   * @returns {Object} - { views, revenue, averageCpm }
+   */
+  static async _sumViewedImpressions(adType, startDate, endDate, creatorMatch, fallbackCpm) {
+    const [result] = await AdImpression.collection.aggregate([
+      {
+        $match: {
+          adType,
+          isViewed: true,
+          impressionType: 'view',
+          timestamp: { $gte: startDate, $lt: endDate },
+          $or: creatorMatch
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          views: { $sum: 1 },
+          revenue: { $sum: { $ifNull: ['$clearingPrice', fallbackCpm / 1000] } }
+        }
+      }
+    ]).toArray();
+
+    const views = result?.views || 0;
+    const revenue = result?.revenue || 0;
+
+    return {
+      views,
+      revenue,
+      averageCpm: views > 0 ? Math.round((revenue / views) * 1000 * 100) / 100 : fallbackCpm
+    };
+  }
 }
 
 export default RevenueService;
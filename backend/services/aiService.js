@@ -27,8 +27,8 @@ class AIServiceProxy {
   /**
    * Translates text using the active engine.
    */
-  async translate(text, targetLang) {
-    return activeAIEngine.translate(text, targetLang);
+  async translate(text, targetLang, sourceLang) {
+    return activeAIEngine.translate(text, targetLang, sourceLang);
   }
 
   /**
@@ -38,6 +38,13 @@ class AIServiceProxy {
     return activeAIEngine.transcribe(audioPath);
   }
 
+  /**
+   * Transcribes audio file into timed segments using the active engine.
+   */
+  async transcribeTimed(audioPath) {
+    return activeAIEngine.transcribeTimed(audioPath);
+  }
+
   /**
    * Synthesizes text to speech using the active engine.
    */
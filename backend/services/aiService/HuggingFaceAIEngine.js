@@ -2,10 +2,32 @@ import { IAIEngine } from './IAIEngine.js';
 import axios from 'axios';
 import fs from 'fs';
 import mime from 'mime-types';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import util from 'util';
 
-const execPromise = util.promisify(exec);
+const execFilePromise = util.promisify(execFile);
+
+// Edge TTS neural voices by language name
+const EDGE_VOICES = {
+  hindi: 'hi-IN-SwaraNeural',
+  english: 'en-US-AriaNeural',
+  bengali: 'bn-IN-TanishaaNeural',
+  marathi: 'mr-IN-AarohiNeural',
+  gujarati: 'gu-IN-DhwaniNeural',
+  tamil: 'ta-IN-PallaviNeural',
+  telugu: 'te-IN-ShrutiNeural',
+  malayalam: 'ml-IN-SobhanaNeural',
+  urdu: 'ur-PK-UzmaNeural'
+};
+
+// mBART-50 language codes (e.g. "hi_IN") pass through; legacy names map to them
+const MBART_CODE = /^[a-z]{2}_[A-Z]{2}$/;
+const toMbartCode = (lang, fallback) => {
+  if (MBART_CODE.test(lang)) return lang;
+  if (lang === 'hindi') return 'hi_IN';
+  if (lang === 'english') return 'en_XX';
+  return fallback;
+};
 
 export class HuggingFaceAIEngine extends IAIEngine {
   constructor() {
@@ -23,14 +45,14 @@ export class HuggingFaceAIEngine extends IAIEngine {
   /**
    * Translates text between languages using Hugging Face translation models
    */
-  async translate(text, targetLang = 'hi_IN') {
+  async translate(text, targetLang = 'hi_IN', sourceLang = 'en_XX') {
     if (!this.hfToken) throw new Error('HF_TOKEN is missing');
     
     try {
       const response = await axios.post(this.translationModel, 
         { 
           inputs: text,
-          parameters: { src_lang: "en_XX", tgt_lang: targetLang === 'hindi' ? "hi_IN" : "en_XX" }
+          parameters: { src_lang: toMbartCode(sourceLang, 'en_XX'), tgt_lang: toMbartCode(targetLang, 'en_XX') }
         }, 
         {
           headers: { 'Authorization': `Bearer ${this.hfToken}` }
@@ -76,19 +98,56 @@ export class HuggingFaceAIEngine extends IAIEngine {
     }
   }
 
+  /**
+   * Transcribes audio into timed segments using Whisper's chunk timestamps
+   */
+  async transcribeTimed(audioPath) {
+    if (!this.hfToken) throw new Error('HF_TOKEN is missing');
+
+    try {
+      const audioData = fs.readFileSync(audioPath);
+
+      const response = await axios.post(this.transcriptionModel, {
+        inputs: audioData.toString('base64'),
+        parameters: { return_timestamps: true }
+      }, {
+        headers: {
+          'Authorization': `Bearer ${this.hfToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 60000
+      });
+
+      const chunks = response.data?.chunks;
+      if (Array.isArray(chunks) && chunks.length > 0) {
+        return chunks
+          .map(chunk => ({
+            start: Number(chunk.timestamp?.[0]) || 0,
+            end: Number.isFinite(chunk.timestamp?.[1]) ? chunk.timestamp[1] : null,
+            text: (chunk.text || '').trim()
+          }))
+          .filter(segment => segment.text);
+      }
+      if (response.data?.text) return [{ start: 0, end: null, text: response.data.text.trim() }];
+
+      throw new Error('Transcription response format invalid');
+    } catch (error) {
+      this._handleError(error, 'Timed transcription');
+      throw error;
+    }
+  }
+
   /**
    * Generates high-quality speech from text using Microsoft Edge TTS
    */
   async synthesize(text, language = 'hindi', outputPath) {
-    const voice = language.toLowerCase() === 'hindi' ? 'hi-IN-SwaraNeural' : 'en-US-AriaNeural';
+    const voice = EDGE_VOICES[language.toLowerCase()] || EDGE_VOICES.english;
 
     try {
       console.log(`🔊 [HF AI Engine] Synthesizing ${language} voice with Edge TTS (${voice}) for: "${text.substring(0, 30)}..."`);
       
-      const safeText = text.replace(/"/g, '\\"');
-      const command = `edge-tts --text "${safeText}" --voice ${voice} --write-media "${outputPath}"`;
-      
-      await execPromise(command);
+      // Arguments are passed without a shell: transcripts come from user uploads
+      await execFilePromise('edge-tts', ['--text', text, '--voice', voice, '--write-media', outputPath]);
       
       console.log(`✅ [HF AI Engine] Synthesis complete: ${outputPath}`);
       return outputPath;
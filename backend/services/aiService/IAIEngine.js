@@ -3,13 +3,14 @@
  */
 export class IAIEngine {
   /**
-   * Translates English text to a target language.
+   * Translates text to a target language.
    * @param {string} text 
    * @param {string} targetLang 
+   * @param {string} sourceLang Language code of the input (English by default)
    * @returns {Promise<string>}
    */
-  async translate(text, targetLang = 'hi_IN') {
-    throw new Error('IAIEngine: translate(text, targetLang) not implemented');
+  async translate(text, targetLang = 'hi_IN', sourceLang = 'en_XX') {
+    throw new Error('IAIEngine: translate(text, targetLang, sourceLang) not implemented');
   }
 
   /**
@@ -21,6 +22,17 @@ export class IAIEngine {
     throw new Error('IAIEngine: transcribe(audioPath) not implemented');
   }
 
+  /**
+   * Transcribes an audio file into timed segments (seconds from the start of the file).
+   * Engines without timestamps return the whole transcript as one open-ended segment.
+   * @param {string} audioPath 
+   * @returns {Promise<Array<{ start: number, end: number|null, text: string }>>}
+   */
+  async transcribeTimed(audioPath) {
+    const text = await this.transcribe(audioPath);
+    return text ? [{ start: 0, end: null, text }] : [];
+  }
+
   /**
    * Synthesizes text into spoken audio saved to outputPath.
    * @param {string} text 
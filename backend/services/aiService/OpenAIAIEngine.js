@@ -16,7 +16,7 @@ export class OpenAIAIEngine extends IAIEngine {
   /**
    * Translates English text to a target language using GPT-4o-mini
    */
-  async translate(text, targetLang = 'hi_IN') {
+  async translate(text, targetLang = 'hi_IN', sourceLang = 'en_XX') {
     if (!this.apiKey) {
       console.warn('⚠️ [OpenAI AI Engine] API Key missing, falling back to original text');
       return text;
@@ -27,7 +27,14 @@ export class OpenAIAIEngine extends IAIEngine {
         'hi_IN': 'Hindi',
         'hindi': 'Hindi',
         'en_XX': 'English',
-        'english': 'English'
+        'english': 'English',
+        'bn_IN': 'Bengali',
+        'mr_IN': 'Marathi',
+        'gu_IN': 'Gujarati',
+        'ta_IN': 'Tamil',
+        'te_IN': 'Telugu',
+        'ml_IN': 'Malayalam',
+        'ur_PK': 'Urdu'
       };
       
       const targetLanguageName = languageMap[targetLang] || 'Hindi';
@@ -39,7 +46,7 @@ export class OpenAIAIEngine extends IAIEngine {
           messages: [
             {
               role: 'system',
-              content: `You are an expert translator. Translate the user text into natural, spoken-style ${targetLanguageName}. Only return the translation, no extra commentary.`
+              content: `You are an expert translator. Translate the user text${languageMap[sourceLang] ? ` from ${languageMap[sourceLang]}` : ''} into natural, spoken-style ${targetLanguageName}. Only return the translation, no extra commentary.`
             },
             {
               role: 'user',
@@ -101,6 +108,46 @@ export class OpenAIAIEngine extends IAIEngine {
     }
   }
 
+  /**
+   * Transcribes audio into timed segments using Whisper's verbose JSON output
+   */
+  async transcribeTimed(audioPath) {
+    if (!this.apiKey) throw new Error('OPENAI_API_KEY is missing');
+
+    try {
+      const form = new FormData();
+      form.append('file', fs.createReadStream(audioPath));
+      form.append('model', 'whisper-1');
+      form.append('response_format', 'verbose_json');
+      form.append('timestamp_granularities[]', 'segment');
+
+      const response = await axios.post(
+        'https://api.openai.com/v1/audio/transcriptions',
+        form,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            ...form.getHeaders()
+          },
+          maxContentLength: Infinity,
+          maxBodyLength: Infinity
+        }
+      );
+
+      const segments = response.data?.segments;
+      if (Array.isArray(segments)) {
+        return segments
+          .map(segment => ({ start: segment.start, end: segment.end, text: (segment.text || '').trim() }))
+          .filter(segment => segment.text);
+      }
+
+      throw new Error('OpenAI transcription response invalid');
+    } catch (error) {
+      console.error('❌ [OpenAI AI Engine] Timed transcription error:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Synthesizes speech using OpenAI TTS API
    */
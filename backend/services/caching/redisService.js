@@ -1,6 +1,26 @@
 import { Redis } from '@upstash/redis';
 import crypto from 'crypto';
 
+// ARGV: value, maxItems, expirySeconds (0 = keep TTL)
+export const PUSH_TO_LISTS_SCRIPT = `
+for _, key in ipairs(KEYS) do
+  redis.call('LPUSH', key, ARGV[1])
+  redis.call('LTRIM', key, 0, tonumber(ARGV[2]) - 1)
+  if tonumber(ARGV[3]) > 0 then redis.call('EXPIRE', key, ARGV[3]) end
+end
+return #KEYS
+`;
+
+// ARGV: expirySeconds (0 = none), ...values
+export const REPLACE_LIST_SCRIPT = `
+redis.call('DEL', KEYS[1])
+if #ARGV > 1 then
+  redis.call('RPUSH', KEYS[1], unpack(ARGV, 2))
+  if tonumber(ARGV[1]) > 0 then redis.call('EXPIRE', KEYS[1], ARGV[1]) end
+end
+return #ARGV - 1
+`;
+
 /**
  * Redis Service for caching and performance optimization
  * Uses Upstash REST SDK for better stability and serverless compatibility
@@ -70,6 +90,30 @@ class RedisService {
     };
   }
 
+  /**
+   * Count and error-track every client call.
+   * Each method becomes async, so builders such as pipeline() come back as Promises:
+   * helpers below call commands directly (or use eval) instead of chaining pipelines.
+   */
+  _instrumentClient(baseClient) {
+    return new Proxy(baseClient, {
+      get: (target, prop, receiver) => {
+        const value = Reflect.get(target, prop, receiver);
+        if (typeof value !== 'function') return value;
+
+        return async (...args) => {
+          this._trackRequest();
+          try {
+            return await value.apply(target, args);
+          } catch (error) {
+            this._handleRedisError(error, `client.${String(prop)}`);
+            throw error;
+          }
+        };
+      }
+    });
+  }
+
   async connect() {
     try {
       const url = process.env.UPSTASH_REDIS_REST_URL;
@@ -88,22 +132,7 @@ class RedisService {
         enableAutoPipelining: true
       });
       
-      this.client = new Proxy(baseClient, {
-        get: (target, prop, receiver) => {
-          const value = Reflect.get(target, prop, receiver);
-          if (typeof value !== 'function') return value;
-          
-          return async (...args) => {
-            this._trackRequest();
-            try {
-              return await value.apply(target, args);
-            } catch (error) {
-              this._handleRedisError(error, `client.${String(prop)}`);
-              throw error;
-            }
-          };
-        }
-      });
+      this.client = this._instrumentClient(baseClient);
 
       await this.client.ping();
       console.log('✅ Redis: Upstash REST client ready');
@@ -180,6 +209,18 @@ class RedisService {
     } catch (error) { return false; }
   }
 
+  // --- COUNTER OPERATIONS ---
+
+  async incrBy(key, amount = 1, expirySeconds = null) {
+    if (!this._canUseRedis()) return null;
+    try {
+      const value = await this.client.incrby(key, amount);
+      // The counter is already updated; a missed TTL refresh must not hide it
+      if (expirySeconds) await this.client.expire(key, expirySeconds).catch(() => {});
+      return Number(value);
+    } catch (error) { return null; }
+  }
+
   // --- LIST OPERATIONS ---
 
   async lRange(key, start, stop) {
@@ -236,12 +277,51 @@ class RedisService {
     catch (error) { return []; }
   }
 
+  async sRem(key, ...members) {
+    if (!this._canUseRedis() || members.length === 0) return 0;
+    try { return await this.client.srem(key, ...members); }
+    catch (error) { return 0; }
+  }
+
   async sIsMember(key, member) {
     if (!this._canUseRedis()) return false;
     try { return (await this.client.sismember(key, member)) === 1; }
     catch (error) { return false; }
   }
 
+  // --- SORTED SET OPERATIONS ---
+
+  async zIncrBy(key, amount, member, expirySeconds = null) {
+    if (!this._canUseRedis()) return null;
+    try {
+      const score = await this.client.zincrby(key, amount, member);
+      if (expirySeconds) await this.client.expire(key, expirySeconds).catch(() => {});
+      return Number(score);
+    } catch (error) { return null; }
+  }
+
+  /**
+   * Highest-scored members first
+   * @returns {Promise<Array<{ member: string, score: number }>>}
+   */
+  async zRevRangeWithScores(key, start, stop) {
+    if (!this._canUseRedis()) return [];
+    try {
+      const flat = await this.client.zrange(key, start, stop, { rev: true, withScores: true });
+      const entries = [];
+      for (let i = 0; i < flat.length; i += 2) {
+        entries.push({ member: String(flat[i]), score: Number(flat[i + 1]) });
+      }
+      return entries;
+    } catch (error) { return []; }
+  }
+
+  async zRemRangeByRank(key, start, stop) {
+    if (!this._canUseRedis()) return 0;
+    try { return await this.client.zremrangebyrank(key, start, stop); }
+    catch (error) { return 0; }
+  }
+
   async bfMAdd(key, items) {
     if (!this._canUseRedis() || !items || items.length === 0) return false;
     // Switch to Redis Sets: Key prefix change to avoid type conflict with old Bitsets
@@ -308,6 +388,34 @@ class RedisService {
     } catch (error) { return new Set(); }
   }
 
+  /**
+   * Move a value to the head of a capped most-recent-first list (no duplicates)
+   */
+  async pushRecentUnique(key, value, maxItems, expirySeconds = null) {
+    if (!this._canUseRedis()) return false;
+    try {
+      await this.client.lrem(key, 0, value);
+      await this.client.lpush(key, value);
+      await this.client.ltrim(key, 0, maxItems - 1);
+      if (expirySeconds) await this.client.expire(key, expirySeconds);
+      return true;
+    } catch (error) { return false; }
+  }
+
+  // Prepend one value to many capped lists in a single round trip (feed fan-out)
+  async pushToLists(keys, value, maxItems, expirySeconds = null) {
+    if (!this._canUseRedis() || keys.length === 0) return false;
+    const written = await this.eval(PUSH_TO_LISTS_SCRIPT, keys, [value, maxItems, expirySeconds || 0]);
+    return written !== null;
+  }
+
+  // Swap a list's contents atomically; readers never see it empty mid-rebuild
+  async replaceList(key, values, expirySeconds = null) {
+    if (!this._canUseRedis()) return false;
+    const written = await this.eval(REPLACE_LIST_SCRIPT, [key], [expirySeconds || 0, ...values]);
+    return written !== null;
+  }
+
   // --- UTILS ---
 
   async disconnect() {
@@ -320,7 +428,12 @@ class RedisService {
   }
   
   // Aliases for compatibility
-  async setLock(key, value, expirySeconds) { return this.set(key, value, { nx: true, ex: expirySeconds }); }
+  // True only when this call created the key (SET NX replies null if it already existed)
+  async setLock(key, value, expirySeconds) {
+    if (!this._canUseRedis()) return false;
+    try { return (await this.client.set(key, value, { nx: true, ex: expirySeconds })) === 'OK'; }
+    catch (error) { return false; }
+  }
   async setex(key, seconds, value) { return this.set(key, value, seconds); }
   async delMany(keys) { return this.del(...keys); }
   
@@ -0,0 +1,71 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { IModerationProvider } from './IModerationProvider.js';
+
+const INFERENCE_BASE_URL = 'https://router.huggingface.co/hf-inference/models';
+
+/**
+ * **HuggingFaceModerationProvider**
+ * Hosted inference API. Needs HF_TOKEN; useful where the worker image cannot
+ * load the ONNX runtime.
+ */
+class HuggingFaceModerationProvider extends IModerationProvider {
+  constructor({
+    imageModel = 'Falconsai/nsfw_image_detection',
+    textModel = 'unitary/toxic-bert'
+  } = {}) {
+    super();
+    this.imageModelUrl = `${INFERENCE_BASE_URL}/${imageModel}`;
+    this.textModelUrl = `${INFERENCE_BASE_URL}/${textModel}`;
+  }
+
+  _token() {
+    const token = process.env.HF_TOKEN;
+    if (!token) throw new Error('HF_TOKEN is not configured in .env');
+    return token.trim();
+  }
+
+  async _infer(url, payload, contentType, label) {
+    try {
+      const response = await axios.post(url, payload, {
+        headers: {
+          'Authorization': `Bearer ${this._token()}`,
+          'Content-Type': contentType,
+          'Accept': 'application/json'
+        },
+        timeout: 20000
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 503) {
+        console.warn(`⏳ [Moderation] Model is loading... ${error.response.data?.estimated_time || ''}s`);
+        throw new Error('MODERATION_MODEL_LOADING');
+      }
+
+      console.error(`❌ [Moderation] HF API Error for ${label}:`,
+        error.response?.status,
+        typeof error.response?.data === 'string' ? error.response.data.substring(0, 100) : error.response?.data
+      );
+      throw error;
+    }
+  }
+
+  async classifyImage(imagePath) {
+    const imageBuffer = fs.readFileSync(imagePath);
+    return this._infer(this.imageModelUrl, imageBuffer, 'application/octet-stream', path.basename(imagePath));
+  }
+
+  async classifyText(text) {
+    if (!text || !text.trim()) return [];
+    const data = await this._infer(this.textModelUrl, { inputs: text.slice(0, 2000) }, 'application/json', 'text');
+    // Text models answer one list per input
+    return Array.isArray(data?.[0]) ? data[0] : data;
+  }
+
+  getName() {
+    return 'huggingface';
+  }
+}
+
+export default HuggingFaceModerationProvider;
@@ -0,0 +1,33 @@
+/**
+ * Abstract class defining the contract for content-moderation providers (FFmpeg Moderation Codecs).
+ *
+ * A provider only classifies; thresholds, verdicts and the review queue live in
+ * moderationService so every provider is judged by the same rules.
+ */
+export class IModerationProvider {
+  /**
+   * Classify a single image (a sampled video frame or a thumbnail).
+   * @param {string} imagePath Local file path
+   * @returns {Promise<Array<{ label: string, score: number }>>} Raw model labels, scores in 0..1
+   */
+  async classifyImage(imagePath) {
+    throw new Error('IModerationProvider: classifyImage(imagePath) not implemented');
+  }
+
+  /**
+   * Classify a piece of text (title, description).
+   * @param {string} text
+   * @returns {Promise<Array<{ label: string, score: number }>>} Raw model labels, scores in 0..1
+   */
+  async classifyText(text) {
+    throw new Error('IModerationProvider: classifyText(text) not implemented');
+  }
+
+  /**
+   * Name recorded on Video.moderationResult.provider
+   * @returns {string}
+   */
+  getName() {
+    return this.constructor.name;
+  }
+}
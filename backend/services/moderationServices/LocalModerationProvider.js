@@ -0,0 +1,54 @@
+import { IModerationProvider } from './IModerationProvider.js';
+import { MODERATION_CONFIG } from '../../constants/index.js';
+
+/**
+ * **LocalModerationProvider**
+ * Runs ONNX classifiers in-process through @xenova/transformers: no API token,
+ * no per-call cost, works offline once the models are cached.
+ */
+class LocalModerationProvider extends IModerationProvider {
+  constructor({
+    imageModel = MODERATION_CONFIG.LOCAL_IMAGE_MODEL,
+    textModel = MODERATION_CONFIG.LOCAL_TEXT_MODEL
+  } = {}) {
+    super();
+    this.imageModel = imageModel;
+    this.textModel = textModel;
+    this.pipelines = new Map();
+  }
+
+  // One pipeline per task; concurrent callers share the same load
+  _getPipeline(task, model) {
+    const key = `${task}:${model}`;
+    if (!this.pipelines.has(key)) {
+      const loading = (async () => {
+        console.log(`🛡️ [Moderation] Loading local ${task} model ${model}...`);
+        const { pipeline } = await import('@xenova/transformers');
+        return pipeline(task, model);
+      })();
+      // A failed load (missing native libs, no cached model) is retried on the next call
+      loading.catch(() => this.pipelines.delete(key));
+      this.pipelines.set(key, loading);
+    }
+    return this.pipelines.get(key);
+  }
+
+  async classifyImage(imagePath) {
+    const classifier = await this._getPipeline('image-classification', this.imageModel);
+    const results = await classifier(imagePath, { topk: 5 });
+    return results.map(({ label, score }) => ({ label, score }));
+  }
+
+  async classifyText(text) {
+    if (!text || !text.trim()) return [];
+    const classifier = await this._getPipeline('text-classification', this.textModel);
+    const results = await classifier(text.slice(0, 2000), { topk: 6 });
+    return results.map(({ label, score }) => ({ label, score }));
+  }
+
+  getName() {
+    return 'local-onnx';
+  }
+}
+
+export default LocalModerationProvider;
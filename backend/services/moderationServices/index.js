@@ -0,0 +1,45 @@
+import LocalModerationProvider from './LocalModerationProvider.js';
+import HuggingFaceModerationProvider from './HuggingFaceModerationProvider.js';
+import { MODERATION_CONFIG } from '../../constants/index.js';
+
+// **PLUG-AND-PLAY ARCHITECTURE (FFmpeg Style)**
+// MODERATION_PROVIDER picks the codec; anything implementing IModerationProvider can be swapped in at runtime.
+const PROVIDERS = {
+  local: () => new LocalModerationProvider(),
+  huggingface: () => new HuggingFaceModerationProvider()
+};
+
+/**
+ * Instantiate a provider by name
+ * @param {string} name local | huggingface
+ * @returns {IModerationProvider}
+ */
+export function createModerationProvider(name = MODERATION_CONFIG.PROVIDER) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    console.warn(`⚠️ Unknown MODERATION_PROVIDER "${name}", using local`);
+    return new LocalModerationProvider();
+  }
+  return factory();
+}
+
+let activeModerationProvider = createModerationProvider();
+
+/**
+ * Configure the active moderation provider (Dynamic Swap / Codec injection).
+ * @param {IModerationProvider} provider
+ */
+export function setModerationProvider(provider) {
+  activeModerationProvider = provider;
+  console.log(`🔌 Moderation Provider swapped to: ${provider.constructor.name}`);
+}
+
+/**
+ * Get the currently active moderation provider.
+ * @returns {IModerationProvider}
+ */
+export function getModerationProvider() {
+  return activeModerationProvider;
+}
+
+export { LocalModerationProvider, HuggingFaceModerationProvider };
@@ -0,0 +1,232 @@
+import Video, { isPublished } from '../../models/Video.js';
+import User from '../../models/User.js';
+import Notice from '../../models/Notice.js';
+import redisService from '../caching/redisService.js';
+import { invalidateCache, VideoCacheKeys } from '../../middleware/cacheMiddleware.js';
+import { sendNotificationToUser } from '../notificationServices/notificationService.js';
+import moderationService, { evaluateModeration, TEXT_SOURCES } from './moderationService.js';
+import { getModerationProvider } from './index.js';
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'age_restricted'];
+const DECIDABLE_STATUSES = ['completed', 'flagged'];
+const VIDEO_FIELDS = 'videoName uploader processingStatus visibility videoType isSubscriberOnly moderationResult';
+
+export class ModerationReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ModerationReviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+// What each moderator decision does to the video, and what the uploader is told
+const DECISIONS = {
+  approve: {
+    reviewStatus: 'approved',
+    set: { processingStatus: 'completed', isAgeRestricted: false, monetizationBlocked: false, 'moderationResult.isFlagged': false },
+    notice: (video) => ({ title: `Video Approved: ${video.videoName}`, type: 'notice', body: `"${video.videoName}" passed review and is visible again.` })
+  },
+  age_restrict: {
+    reviewStatus: 'age_restricted',
+    set: { processingStatus: 'completed', isAgeRestricted: true },
+    notice: (video) => ({ title: `Video Age-Restricted: ${video.videoName}`, type: 'warning', body: `"${video.videoName}" is only shown to adult viewers.` })
+  },
+  reject: {
+    reviewStatus: 'rejected',
+    set: { processingStatus: 'flagged', isAgeRestricted: false },
+    notice: (video, note) => ({ title: `Video Rejected: ${video.videoName}${note ? ` (${note})` : ''}`, type: 'warning', body: `"${video.videoName}" breaks the community guidelines and was taken down.` })
+  }
+};
+
+/**
+ * **ModerationReviewService**
+ * Human side of moderation: stores scan verdicts on the video, keeps held
+ * videos out of circulation, and applies moderator decisions (approve,
+ * reject, age-restrict) with a notice to the uploader.
+ */
+class ModerationReviewService {
+  /**
+   * Store a scan on the video and queue it for review when it is flagged
+   * @param {String|ObjectId} videoId
+   * @param {Object} scan { signals, provider, processedAt, error }
+   * @param {Object} options { sources: signal sources this scan covered; signals from other sources are kept }
+   * @returns {Promise<Object|null>} Verdict over all signals plus { reviewStatus, held }
+   */
+  async recordScan(videoId, scan, { sources = null } = {}) {
+    const video = await Video.findById(videoId).select('moderationResult').lean();
+    if (!video) return null;
+
+    const previous = video.moderationResult || {};
+    const kept = sources ? (previous.signals || []).filter(signal => !sources.includes(signal.source)) : [];
+    const signals = [...kept, ...(scan.signals || [])];
+    const verdict = evaluateModeration(signals);
+
+    // A rejection stands until a moderator changes it; anything newly flagged goes back to the queue
+    const current = previous.reviewStatus || 'none';
+    let reviewStatus = current;
+    if (current !== 'rejected') {
+      if (verdict.isFlagged) reviewStatus = 'pending';
+      else if (current === 'pending') reviewStatus = 'none';
+    }
+
+    await Video.updateOne({ _id: videoId }, {
+      $set: {
+        'moderationResult.isFlagged': verdict.isFlagged,
+        'moderationResult.confidence': verdict.confidence,
+        'moderationResult.label': verdict.label,
+        'moderationResult.action': verdict.action,
+        'moderationResult.source': verdict.source,
+        'moderationResult.signals': signals,
+        'moderationResult.provider': scan.provider || previous.provider || null,
+        'moderationResult.processedAt': scan.processedAt || new Date(),
+        'moderationResult.error': scan.error || null,
+        'moderationResult.reviewStatus': reviewStatus
+      }
+    });
+
+    return { ...verdict, reviewStatus, held: reviewStatus === 'rejected' || (verdict.action === 'hold' && reviewStatus === 'pending') };
+  }
+
+  /**
+   * Re-check the title and description after the uploader edited them.
+   * Holds or releases a finished video when the verdict changes.
+   */
+  async rescanText(videoId) {
+    const video = await Video.findById(videoId).select(`${VIDEO_FIELDS} description`).lean();
+    if (!video) return null;
+
+    const { signals, errors } = await moderationService.moderateText({ title: video.videoName, description: video.description });
+    const result = await this.recordScan(videoId, {
+      signals,
+      provider: getModerationProvider().getName(),
+      processedAt: new Date(),
+      error: errors.length > 0 ? errors.join('; ') : null
+    }, { sources: TEXT_SOURCES });
+
+    // Uploads still in the pipeline are settled by the worker when processing finishes
+    if (!result || !DECIDABLE_STATUSES.includes(video.processingStatus)) return result;
+
+    if (result.held && video.processingStatus === 'completed') {
+      await Video.updateOne({ _id: videoId }, { $set: { processingStatus: 'flagged' } });
+      await this.invalidateCaches(video);
+      await this.notifyHeld(video);
+    } else if (!result.held && video.processingStatus === 'flagged') {
+      await Video.updateOne({ _id: videoId }, { $set: { processingStatus: 'completed' } });
+      await this.invalidateCaches(video);
+    }
+    return result;
+  }
+
+  /**
+   * Videos waiting for (or past) human review, newest first
+   * @param {Object} options { status: pending | approved | rejected | age_restricted, limit }
+   */
+  async listQueue({ status = 'pending', limit = 50 } = {}) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new ModerationReviewError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    return Video.find({ 'moderationResult.reviewStatus': status })
+      .select('videoName description thumbnailUrl videoUrl hlsPlaylistUrl processingStatus visibility isAgeRestricted moderationResult duplicateOf monetizationBlocked uploader createdAt updatedAt')
+      .populate('uploader', 'name email googleId')
+      .sort({ updatedAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200))
+      .lean();
+  }
+
+  /**
+   * Apply a moderator decision
+   * @param {String} videoId
+   * @param {String} decision approve | age_restrict | reject
+   * @param {Object} options { note: shown to the uploader; required to reject, reviewedBy: admin email }
+   * @returns {Promise<Object>} The updated video
+   * @throws {ModerationReviewError}
+   */
+  async decide(videoId, decision, { note = null, reviewedBy = null } = {}) {
+    const rule = DECISIONS[decision];
+    if (!rule) throw new ModerationReviewError(`Unknown moderation decision: ${decision}`);
+    if (decision === 'reject' && !note) throw new ModerationReviewError('A reason is required to reject a video');
+
+    const video = await Video.findById(videoId).select(VIDEO_FIELDS).lean();
+    if (!video) throw new ModerationReviewError('Video not found', 404);
+    if (!DECIDABLE_STATUSES.includes(video.processingStatus)) {
+      throw new ModerationReviewError('Video is still processing', 409);
+    }
+
+    const updated = await Video.findByIdAndUpdate(videoId, {
+      $set: {
+        ...rule.set,
+        'moderationResult.reviewStatus': rule.reviewStatus,
+        'moderationResult.reviewNote': note,
+        'moderationResult.reviewedAt': new Date(),
+        'moderationResult.reviewedBy': reviewedBy
+      }
+    }, { new: true }).select(VIDEO_FIELDS).lean();
+
+    await this.invalidateCaches(updated);
+
+    // Back in circulation: deliver it to followers the way a fresh upload would have been
+    if (video.processingStatus === 'flagged' && updated.processingStatus === 'completed' && isPublished(updated)) {
+      // Lazy: queueService opens BullMQ connections on import
+      const { default: queueService } = await import('../yugFeedServices/queueService.js');
+      queueService.fanOutToFollowers(updated.uploader.toString(), updated._id, updated.videoType)
+        .catch(err => console.error('⚠️ ModerationReview: Following fan-out failed:', err.message));
+    }
+
+    await this._notifyUploader(updated, rule.notice(updated, note));
+    console.log(`🛡️ ModerationReview: ${decision} -> ${videoId}`);
+    return updated;
+  }
+
+  /**
+   * Tell the uploader their video is hidden until a moderator has looked at it
+   */
+  async notifyHeld(video) {
+    await this._notifyUploader(video, {
+      title: `Video Under Review: ${video.videoName}`,
+      type: 'info',
+      body: `"${video.videoName}" is being reviewed by our team and will be visible once approved.`
+    });
+  }
+
+  async _notifyUploader(video, { title, type, body }) {
+    try {
+      const uploader = await User.findById(video.uploader).select('googleId').lean();
+      if (!uploader) return;
+
+      await Notice.create({ userId: uploader.googleId, title, type });
+      await sendNotificationToUser(uploader.googleId, {
+        title,
+        body,
+        data: {
+          type: 'video_moderation',
+          videoId: video._id.toString(),
+          reviewStatus: video.moderationResult?.reviewStatus || 'pending'
+        }
+      });
+    } catch (error) {
+      console.error('⚠️ ModerationReview: Failed to notify uploader:', error.message);
+    }
+  }
+
+  /**
+   * Drop cached feeds and listings that may still contain this video
+   * @param {Object} video { _id, uploader }
+   */
+  async invalidateCaches(video) {
+    if (!redisService.getConnectionStatus()) return;
+
+    const uploader = await User.findById(video.uploader).select('googleId').lean();
+    const keys = [
+      VideoCacheKeys.all(),
+      VideoCacheKeys.single(video._id.toString()),
+      `video:data:${video._id}`,
+      'videos:feed:*'
+    ];
+    if (uploader) keys.push(`videos:user:${uploader.googleId}`, `user:feed:${uploader.googleId}:*`);
+
+    await invalidateCache(keys).catch(err => console.error('⚠️ ModerationReview: Cache invalidation failed:', err.message));
+  }
+}
+
+export default new ModerationReviewService();
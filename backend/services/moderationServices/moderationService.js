@@ -0,0 +1,194 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import path from 'path';
+import fs from 'fs';
+import nodeCrypto from 'crypto';
+import { getModerationProvider } from './index.js';
+import { MODERATION_CONFIG } from '../../constants/index.js';
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+const TEXT_SOURCES = ['title', 'description'];
+const ACTION_RANK = { allow: 0, review: 1, hold: 2 };
+
+/**
+ * Turn classifier signals into a moderation verdict
+ * @param {Array<{ source: string, label: string, score: number }>} signals
+ *   Unsafe-label scores; source is 'frame', 'title' or 'description'.
+ *   A 'duplicate' signal (near-duplicate match already above its own threshold) always holds.
+ * @param {Object} thresholds Defaults to MODERATION_CONFIG
+ * @returns {{ action: 'allow'|'review'|'hold', isFlagged: boolean, label: string, confidence: number, source: string|null }}
+ */
+export const evaluateModeration = (signals = [], thresholds = MODERATION_CONFIG) => {
+  let worst = { action: 'allow', label: 'normal', confidence: 0, source: null };
+
+  for (const signal of signals) {
+    const isText = TEXT_SOURCES.includes(signal.source);
+    const review = isText ? thresholds.TEXT_REVIEW_THRESHOLD : thresholds.IMAGE_REVIEW_THRESHOLD;
+    const hold = isText ? thresholds.TEXT_HOLD_THRESHOLD : thresholds.IMAGE_HOLD_THRESHOLD;
+    const action = signal.source === 'duplicate'
+      ? 'hold'
+      : signal.score >= hold ? 'hold' : signal.score >= review ? 'review' : 'allow';
+
+    if (ACTION_RANK[action] > ACTION_RANK[worst.action] ||
+        (ACTION_RANK[action] === ACTION_RANK[worst.action] && signal.score > worst.confidence)) {
+      worst = { action, label: signal.label, confidence: signal.score, source: signal.source };
+    }
+  }
+
+  return { ...worst, isFlagged: worst.action !== 'allow' };
+};
+
+// Keep only the labels that mean "unsafe", tagged with where they came from
+const unsafeSignals = (results, source, unsafeLabels) =>
+  (Array.isArray(results) ? results : [])
+    .filter(result => unsafeLabels.includes(String(result.label).toLowerCase()))
+    .map(result => ({ source, label: String(result.label).toLowerCase(), score: Number(result.score) || 0 }));
+
+/**
+ * **ModerationService**
+ * Samples frames and reads the title / description, classifies both through
+ * the active IModerationProvider and reports the unsafe signals. What happens
+ * to the video (queue, hold, notify) is moderationReviewService's job.
+ */
+class ModerationService {
+  constructor() {
+    this.tempDir = path.join(process.cwd(), 'uploads', 'temp', 'moderation');
+  }
+
+  /**
+   * Classify a title and description
+   * @returns {Promise<{ signals: Array, errors: Array<string> }>}
+   */
+  async moderateText({ title, description } = {}) {
+    const provider = getModerationProvider();
+    const signals = [];
+    const errors = [];
+
+    for (const [source, text] of [['title', title], ['description', description]]) {
+      if (!text || !String(text).trim()) continue;
+      try {
+        const results = await provider.classifyText(String(text));
+        signals.push(...unsafeSignals(results, source, MODERATION_CONFIG.UNSAFE_TEXT_LABELS));
+      } catch (error) {
+        console.warn(`⚠️ [Moderation] Text check of ${source} failed: ${error.message}`);
+        errors.push(`${source}: ${error.message}`);
+      }
+    }
+
+    return { signals, errors };
+  }
+
+  /**
+   * Classify a single still image (e.g. a custom thumbnail)
+   * @param {string} imagePath Local path of the image
+   * @returns {Promise<Object>} Verdict from evaluateModeration plus { signals, error }
+   */
+  async moderateImage(imagePath) {
+    const provider = getModerationProvider();
+    try {
+      const results = await provider.classifyImage(imagePath);
+      const signals = unsafeSignals(results, 'frame', MODERATION_CONFIG.UNSAFE_IMAGE_LABELS);
+      return { ...evaluateModeration(signals), signals, error: null };
+    } catch (error) {
+      console.warn(`⚠️ [Moderation] Image check failed: ${error.message}`);
+      return { ...evaluateModeration([]), signals: [], error: error.message };
+    }
+  }
+
+  /**
+   * Moderates a video by sampling frames and reading its metadata.
+   * @param {string} videoPath Local path (or URL) of the video
+   * @param {Object} metadata { title, description }
+   * @param {number} frameCount Frames to sample
+   * @returns {Promise<Object>} Verdict from evaluateModeration plus { signals, provider, processedAt, error }
+   */
+  async moderateVideo(videoPath, { title, description } = {}, frameCount = MODERATION_CONFIG.FRAME_COUNT) {
+    const provider = getModerationProvider();
+    const signals = [];
+    const errors = [];
+    let framesScanned = 0;
+    let sessionDir = null;
+
+    try {
+      console.log(`🛡️ [Moderation] Starting scan for: ${path.basename(videoPath)} (provider: ${provider.getName()})`);
+
+      sessionDir = path.join(this.tempDir, nodeCrypto.randomUUID());
+      fs.mkdirSync(sessionDir, { recursive: true });
+
+      const frames = await this.extractFrames(videoPath, sessionDir, frameCount);
+      for (const frame of frames) {
+        try {
+          const results = await provider.classifyImage(frame);
+          signals.push(...unsafeSignals(results, 'frame', MODERATION_CONFIG.UNSAFE_IMAGE_LABELS));
+          framesScanned++;
+        } catch (err) {
+          console.warn(`⚠️ [Moderation] Skipping frame ${path.basename(frame)}: ${err.message}`);
+        } finally {
+          // Cleanup frame immediately to keep disk usage low
+          if (fs.existsSync(frame)) fs.unlinkSync(frame);
+        }
+      }
+      if (framesScanned === 0) errors.push('no frames could be classified');
+    } catch (error) {
+      console.error('❌ [Moderation] Frame scan failed:', error.message);
+      errors.push(`frames: ${error.message}`);
+    } finally {
+      if (sessionDir && fs.existsSync(sessionDir)) {
+        try {
+          fs.rmSync(sessionDir, { recursive: true, force: true });
+        } catch (err) {
+          console.warn('⚠️ [Moderation] Failed to cleanup session dir:', err.message);
+        }
+      }
+    }
+
+    const text = await this.moderateText({ title, description });
+    signals.push(...text.signals);
+    errors.push(...text.errors);
+
+    const verdict = evaluateModeration(signals);
+    console.log(`🛡️ [Moderation] Scan Complete: ${verdict.isFlagged ? `🚩 ${verdict.action.toUpperCase()}` : '✅ PASSED'} ` +
+      `(${verdict.label} ${verdict.confidence.toFixed(4)}, ${framesScanned} frames)`);
+
+    return {
+      ...verdict,
+      signals,
+      provider: provider.getName(),
+      processedAt: new Date(),
+      error: errors.length > 0 ? errors.join('; ') : null
+    };
+  }
+
+  /**
+   * Extracts static frames from video using FFmpeg
+   */
+  async extractFrames(videoPath, outputDir, count) {
+    return new Promise((resolve, reject) => {
+      const frames = [];
+      const absoluteVideoPath = videoPath.startsWith('http') ? videoPath : path.resolve(videoPath);
+
+      ffmpeg(absoluteVideoPath)
+        .screenshots({
+          count: count,
+          folder: outputDir,
+          filename: 'frame-%i.jpg',
+          size: '320x?' // Downscale for significantly faster AI inference
+        })
+        .on('filenames', (filenames) => {
+          filenames.forEach(f => frames.push(path.join(outputDir, f)));
+        })
+        .on('end', () => {
+          console.log(`📸 [Moderation] Extracted ${frames.length} frames for analysis.`);
+          resolve(frames);
+        })
+        .on('error', (err) => {
+          console.error('❌ [Moderation] FFmpeg frame extraction failed:', err.message);
+          reject(err);
+        });
+    });
+  }
+}
+
+export { TEXT_SOURCES };
+export default new ModerationService();
@@ -2,6 +2,10 @@ import cron from 'node-cron';
 import CreatorPayout from '../../models/CreatorPayout.js';
 import User from '../../models/User.js';
 import { processPayout } from './payoutProcessorService.js';
+import payoutVaultService from './payoutVaultService.js';
+
+// Methods processPayout can send money with
+const SUPPORTED_PAYOUT_METHODS = ['upi', 'paypal', 'stripe', 'wise'];
 
 class AutomatedPayoutService {
   constructor() {
@@ -89,7 +93,7 @@ class AutomatedPayoutService {
         month: month,
         status: 'pending',
         isEligibleForPayout: true
-      }).populate('creatorId', 'name email preferredPaymentMethod paymentDetails country');
+      }).populate('creatorId', 'name email preferredPaymentMethod country');
 
       console.log(`📊 Found ${eligiblePayouts.length} eligible payouts for ${month}`);
       return eligiblePayouts;
@@ -113,7 +117,7 @@ class AutomatedPayoutService {
         console.log(`💳 Processing payout for creator: ${payout.creatorId.name} (${payout.formattedPayableAmount})`);
 
         // Check if creator has valid payment details
-        if (!this.hasValidPaymentDetails(payout.creatorId)) {
+        if (!(await this.hasValidPaymentDetails(payout.creatorId))) {
           console.log(`⚠️ Skipping payout - Invalid payment details for creator: ${payout.creatorId.name}`);
           results.skipped.push({
             payoutId: payout._id,
@@ -191,26 +195,12 @@ class AutomatedPayoutService {
     }
   }
 
-  // **NEW: Validate payment details**
-  hasValidPaymentDetails(user) {
+  // Validate that the preferred method has a destination in the payout vault
+  async hasValidPaymentDetails(user) {
     if (!user.preferredPaymentMethod) return false;
+    if (!SUPPORTED_PAYOUT_METHODS.includes(user.preferredPaymentMethod)) return false;
 
-    switch (user.preferredPaymentMethod) {
-      case 'upi':
-        return user.paymentDetails?.upiId && user.paymentDetails.upiId.length > 0;
-      
-      case 'paypal':
-        return user.paymentDetails?.paypalEmail && user.paymentDetails.paypalEmail.length > 0;
-      
-      case 'stripe':
-        return user.paymentDetails?.stripeAccountId && user.paymentDetails.stripeAccountId.length > 0;
-      
-      case 'wise':
-        return user.paymentDetails?.wiseEmail && user.paymentDetails.wiseEmail.length > 0;
-      
-      default:
-        return false;
-    }
+    return payoutVaultService.hasDestination(user._id, user.preferredPaymentMethod);
   }
 
   // **NEW: Get current month in YYYY-MM format**
@@ -1,4 +1,5 @@
 import User from '../../models/User.js';
+import payoutVaultService from './payoutVaultService.js';
 
 // **NEW: Process individual payout**
 export async function processPayout(payout) {
@@ -55,18 +56,27 @@ async function processPaymentByMethod(payout) {
   const paymentMethod = user.preferredPaymentMethod;
 
   try {
+    const destination = await payoutVaultService.reveal(user._id, paymentMethod, {
+      actorType: 'system',
+      actorId: 'payoutProcessor',
+      metadata: { payoutId: payout._id.toString() }
+    });
+    if (!destination) {
+      throw new Error(`No ${paymentMethod} payout destination on file`);
+    }
+
     switch (paymentMethod) {
       case 'upi':
-        return await processUPIPayment(payout, user);
+        return await processUPIPayment(payout, destination);
       
       case 'paypal':
-        return await processPayPalPayment(payout, user);
+        return await processPayPalPayment(payout, destination);
       
       case 'stripe':
-        return await processStripePayment(payout, user);
+        return await processStripePayment(payout, destination);
       
       case 'wise':
-        return await processWisePayment(payout, user);
+        return await processWisePayment(payout, destination);
       
       default:
         throw new Error(`Unsupported payment method: ${paymentMethod}`);
@@ -78,12 +88,12 @@ async function processPaymentByMethod(payout) {
 }
 
 // **NEW: Process UPI payment**
-async function processUPIPayment(payout, user) {
+async function processUPIPayment(payout, destination) {
   try {
     // Here you would integrate with actual UPI payment gateway
     // For now, we'll simulate the process
     
-    console.log(`📱 Processing UPI payment to: ${user.paymentDetails.upiId}`);
+    console.log(`📱 Processing UPI payment to: ${destination.display.masked}`);
     
     // Simulate UPI processing delay
     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -102,9 +112,9 @@ async function processUPIPayment(payout, user) {
 }
 
 // **NEW: Process PayPal payment**
-async function processPayPalPayment(payout, user) {
+async function processPayPalPayment(payout, destination) {
   try {
-    console.log(`💳 Processing PayPal payment to: ${user.paymentDetails.paypalEmail}`);
+    console.log(`💳 Processing PayPal payment to: ${destination.display.masked}`);
     
     // Here you would integrate with PayPal API
     // For now, we'll simulate the process
@@ -126,9 +136,9 @@ async function processPayPalPayment(payout, user) {
 }
 
 // **NEW: Process Stripe payment**
-async function processStripePayment(payout, user) {
+async function processStripePayment(payout, destination) {
   try {
-    console.log(`💳 Processing Stripe payment to: ${user.paymentDetails.stripeAccountId}`);
+    console.log(`💳 Processing Stripe payment to: ${destination.display.masked}`);
     
     // Here you would integrate with Stripe Connect API
     // For now, we'll simulate the process
@@ -150,9 +160,9 @@ async function processStripePayment(payout, user) {
 }
 
 // **NEW: Process Wise payment**
-async function processWisePayment(payout, user) {
+async function processWisePayment(payout, destination) {
   try {
-    console.log(`🌍 Processing Wise payment to: ${user.paymentDetails.wiseEmail}`);
+    console.log(`🌍 Processing Wise payment to: ${destination.display.masked}`);
     
     // Here you would integrate with Wise API
     // For now, we'll simulate the process
@@ -0,0 +1,366 @@
+import crypto from 'crypto';
+import PayoutDestination from '../../models/PayoutDestination.js';
+import { recordAuditEvent } from '../../utils/auditLogger.js';
+import { PAYOUT_VAULT_CONFIG } from '../../constants/index.js';
+
+export class PayoutVaultError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PayoutVaultError';
+    this.statusCode = statusCode;
+  }
+}
+
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const AUDIT_RESOURCE = 'payoutDestination';
+
+// paymentDetails field holding each method's destination (cards are handled separately)
+const METHOD_FIELDS = {
+  upi: 'upiId',
+  paypal: 'paypalEmail',
+  stripe: 'stripeAccountId',
+  wise: 'wiseEmail'
+};
+
+// Values echoed back from a masked profile mean "unchanged", never a new destination
+const isMasked = (value) => String(value).includes('***');
+
+const maskHandle = (value) => {
+  const text = String(value);
+  const at = text.indexOf('@');
+  if (at <= 0) return text.length > 4 ? `****${text.slice(-4)}` : '****';
+  return `${text.slice(0, Math.min(3, at))}***@${text.slice(at + 1)}`;
+};
+
+/**
+ * Key-encryption keys from PAYOUT_VAULT_CONFIG, decoded and checked
+ * @returns {{ activeKeyId: string, keys: Map<string, Buffer> }}
+ */
+export function loadKeyring(config = PAYOUT_VAULT_CONFIG) {
+  const keys = new Map();
+  for (const [keyId, encoded] of Object.entries(config.KEYS || {})) {
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!keyId || key.length !== KEY_BYTES) {
+      throw new PayoutVaultError(`Payout vault key "${keyId}" must be ${KEY_BYTES} bytes of base64`, 500);
+    }
+    keys.set(keyId, key);
+  }
+
+  const activeKeyId = config.ACTIVE_KEY_ID || keys.keys().next().value;
+  if (!activeKeyId || !keys.has(activeKeyId)) {
+    throw new PayoutVaultError('Payout vault is not configured', 500);
+  }
+  return { activeKeyId, keys };
+}
+
+const encrypt = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+};
+
+const decrypt = (key, blob, aad) => {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(blob.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(blob.authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(blob.ciphertext, 'base64')), decipher.final()]);
+};
+
+const kekFor = (keyring, keyId) => {
+  const key = keyring.keys.get(keyId);
+  if (!key) throw new PayoutVaultError(`Payout vault key "${keyId}" is not configured`, 500);
+  return key;
+};
+
+// The payload is bound to its owner and method, the wrapped data key to its vault key id
+const payloadAad = (userId, method) => `${userId}:${method}`;
+
+/**
+ * Encrypt a destination under a fresh data key, wrapped by the active vault key
+ * @returns {{ payload, dataKey, keyId }} Fields stored on PayoutDestination
+ */
+export function sealPayload(userId, method, secret, keyring) {
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  try {
+    return {
+      payload: encrypt(dataKey, Buffer.from(JSON.stringify(secret)), payloadAad(userId, method)),
+      dataKey: encrypt(kekFor(keyring, keyring.activeKeyId), dataKey, keyring.activeKeyId),
+      keyId: keyring.activeKeyId
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Decrypt a stored destination
+ * @returns {Object} The secret fields passed to sealPayload
+ */
+export function openPayload(record, keyring) {
+  const dataKey = decrypt(kekFor(keyring, record.keyId), record.dataKey, record.keyId);
+  try {
+    return JSON.parse(decrypt(dataKey, record.payload, payloadAad(record.userId, record.method)).toString());
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Re-wrap a record's data key with the active vault key; the payload is untouched
+ * @returns {{ dataKey, keyId }}
+ */
+export function rewrapDataKey(record, keyring) {
+  const dataKey = decrypt(kekFor(keyring, record.keyId), record.dataKey, record.keyId);
+  try {
+    return {
+      dataKey: encrypt(kekFor(keyring, keyring.activeKeyId), dataKey, keyring.activeKeyId),
+      keyId: keyring.activeKeyId
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Split submitted paymentDetails into vault entries. Cards keep the last 4 digits,
+ * cardholder name, expiry and any processor token; the full number and CVV are dropped.
+ * @param {Object} paymentDetails { upiId, paypalEmail, stripeAccountId, wiseEmail, cardDetails }
+ * @returns {Array<{ method, display, secret }>}
+ */
+export function toVaultEntries(paymentDetails = {}) {
+  const entries = [];
+
+  for (const [method, field] of Object.entries(METHOD_FIELDS)) {
+    const value = paymentDetails?.[field]?.toString().trim();
+    if (!value || isMasked(value)) continue;
+    entries.push({ method, display: { masked: maskHandle(value) }, secret: { [field]: value } });
+  }
+
+  const card = paymentDetails?.cardDetails;
+  if (card) {
+    const digits = String(card.cardNumber || '').replace(/\D/g, '');
+    const last4 = digits.length >= 4 ? digits.slice(-4) : card.last4 || null;
+    const token = card.token || card.cardToken || null;
+    if ((last4 || token) && !isMasked(card.cardNumber || '')) {
+      entries.push({
+        method: 'card_payment',
+        display: {
+          masked: last4 ? `**** **** **** ${last4}` : '****',
+          last4,
+          cardholderName: card.cardholderName || null
+        },
+        secret: { token, expiryDate: card.expiryDate || null }
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Masked destinations in the legacy paymentDetails shape the app already reads
+ * @param {Array} records PayoutDestination documents (method, display)
+ */
+export function toPaymentDetailsView(records = []) {
+  if (!records.length) return null;
+  const view = {};
+  for (const record of records) {
+    if (record.method === 'card_payment') {
+      view.cardDetails = {
+        cardNumber: record.display?.masked || null,
+        cardholderName: record.display?.cardholderName || null
+      };
+    } else if (METHOD_FIELDS[record.method]) {
+      view[METHOD_FIELDS[record.method]] = record.display?.masked || null;
+    }
+  }
+  return view;
+}
+
+/**
+ * **PayoutVaultService**
+ * The only way in or out of creators' payout destinations. Every read and write is
+ * recorded in the AuditLog; only masked values ever leave the service except through
+ * reveal(), which the payout processor uses to send money.
+ *
+ * The `audit` argument is the caller's part of the audit entry: the actor
+ * ({ actorType, actorId, actorName, actorRole }), for HTTP requests
+ * getAuditRequestContext(req), and optionally extra metadata.
+ */
+class PayoutVaultService {
+  /**
+   * Encrypt and store the destinations in a paymentDetails submission
+   * @param {ObjectId} userId Owner of the destinations
+   * @param {Object} paymentDetails Submitted details (see toVaultEntries)
+   * @param {Object} audit Actor and request context
+   * @returns {Promise<Object|null>} Masked view of all the user's destinations
+   */
+  async saveDestinations(userId, paymentDetails, audit = {}) {
+    const entries = toVaultEntries(paymentDetails);
+
+    if (entries.length) {
+      const keyring = loadKeyring();
+      for (const { method, display, secret } of entries) {
+        await PayoutDestination.findOneAndUpdate(
+          { userId, method },
+          { $set: { display, ...sealPayload(userId, method, secret, keyring) } },
+          { upsert: true, setDefaultsOnInsert: true }
+        );
+      }
+
+      await this._audit(audit, {
+        action: 'payout_vault:write',
+        targetId: userId.toString(),
+        severity: 'warning',
+        metadata: { methods: entries.map(entry => entry.method) }
+      });
+    }
+
+    return this.getPaymentDetailsView(userId, audit);
+  }
+
+  /**
+   * Masked destinations for one user, in the paymentDetails shape
+   * @returns {Promise<Object|null>} null when nothing is stored
+   */
+  async getPaymentDetailsView(userId, audit = {}) {
+    const records = await PayoutDestination.find({ userId }).select('method display').lean();
+
+    await this._audit(audit, {
+      action: 'payout_vault:view',
+      targetId: userId.toString(),
+      metadata: { methods: records.map(record => record.method) }
+    });
+
+    return toPaymentDetailsView(records);
+  }
+
+  /**
+   * Masked destinations for many users at once (admin listings), audited as one event
+   * @param {Array<ObjectId>} userIds
+   * @returns {Promise<Map<string, Object>>} userId -> paymentDetails view
+   */
+  async getPaymentDetailsViews(userIds, audit = {}) {
+    const records = await PayoutDestination.find({ userId: { $in: userIds } })
+      .select('userId method display')
+      .lean();
+
+    await this._audit(audit, {
+      action: 'payout_vault:view',
+      metadata: { users: userIds.length, records: records.length }
+    });
+
+    const byUser = new Map();
+    for (const record of records) {
+      const id = record.userId.toString();
+      if (!byUser.has(id)) byUser.set(id, []);
+      byUser.get(id).push(record);
+    }
+    return new Map([...byUser].map(([id, list]) => [id, toPaymentDetailsView(list)]));
+  }
+
+  /**
+   * Whether a destination exists for this method. Reads no destination data.
+   */
+  async hasDestination(userId, method) {
+    return Boolean(await PayoutDestination.exists({ userId, method }));
+  }
+
+  /**
+   * Decrypted destination for sending a payout
+   * @param {ObjectId} userId
+   * @param {string} method Payment method
+   * @param {Object} audit Actor and request context
+   * @returns {Promise<Object|null>} { method, display, ...secret fields }
+   */
+  async reveal(userId, method, audit = {}) {
+    const record = await PayoutDestination.findOne({ userId, method }).lean();
+
+    await this._audit(audit, {
+      action: 'payout_vault:reveal',
+      targetId: userId.toString(),
+      outcome: record ? 'success' : 'failure',
+      severity: 'warning',
+      metadata: { method }
+    });
+
+    if (!record) return null;
+    return { method, display: record.display, ...openPayload(record, loadKeyring()) };
+  }
+
+  /**
+   * Remove every destination a user has stored (account deletion)
+   * @returns {Promise<Object>} deleteMany result
+   */
+  async deleteForUser(userId, audit = {}) {
+    const result = await PayoutDestination.deleteMany({ userId });
+
+    await this._audit(audit, {
+      action: 'payout_vault:delete',
+      targetId: userId.toString(),
+      severity: 'warning',
+      metadata: { deleted: result.deletedCount || 0 }
+    });
+
+    return result;
+  }
+
+  /**
+   * Re-wrap every data key not yet under the active vault key. Payloads are not
+   * re-encrypted, so a rotation only touches the small wrapped keys.
+   * @returns {Promise<{ rotated: number, failed: number, activeKeyId: string }>}
+   */
+  async rotateKeys(audit = { actorType: 'system', actorId: 'payoutVaultRotation' }) {
+    const keyring = loadKeyring();
+    let rotated = 0;
+    let failed = 0;
+
+    const cursor = PayoutDestination.find({ keyId: { $ne: keyring.activeKeyId } })
+      .select('keyId dataKey')
+      .lean()
+      .cursor();
+
+    for await (const record of cursor) {
+      try {
+        const update = await PayoutDestination.updateOne(
+          { _id: record._id, keyId: record.keyId },
+          { $set: rewrapDataKey(record, keyring) }
+        );
+        if (update.modifiedCount) rotated++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ PayoutVault: Failed to re-wrap ${record._id} (key ${record.keyId}):`, error.message);
+      }
+    }
+
+    await this._audit(audit, {
+      action: 'payout_vault:rotate_key',
+      targetId: keyring.activeKeyId,
+      outcome: failed ? 'failure' : 'success',
+      severity: 'warning',
+      metadata: { rotated, failed }
+    });
+
+    console.log(`🔑 PayoutVault: Re-wrapped ${rotated} data keys under ${keyring.activeKeyId}${failed ? ` (${failed} failed)` : ''}`);
+    return { rotated, failed, activeKeyId: keyring.activeKeyId };
+  }
+
+  _audit({ metadata = {}, ...audit }, entry) {
+    return recordAuditEvent({
+      actorType: 'system',
+      ...audit,
+      ...entry,
+      resource: AUDIT_RESOURCE,
+      metadata: { ...entry.metadata, ...metadata }
+    });
+  }
+}
+
+export default new PayoutVaultService();
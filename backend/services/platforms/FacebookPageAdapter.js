@@ -0,0 +1,78 @@
+import axios from 'axios';
+import fs from 'fs';
+import FormData from 'form-data';
+import { IPlatformAdapter } from './IPlatformAdapter.js';
+import { graphUrl, exchangeLongLivedToken } from './metaGraph.js';
+
+/**
+ * Facebook Page videos via the Graph API.
+ * Publishes with the page token; the page token is re-derived from the long-lived
+ * user token when that one is about to lapse.
+ */
+export default class FacebookPageAdapter extends IPlatformAdapter {
+  constructor() {
+    super('facebook');
+  }
+
+  get constraints() {
+    return {
+      minDurationSeconds: 1,
+      maxDurationSeconds: 240 * 60,
+      minAspectRatio: 9 / 16,
+      maxAspectRatio: 16 / 9,
+      maxLongEdge: 1920,
+      maxBytes: 1024 * 1024 * 1024 // Single-request upload limit
+    };
+  }
+
+  get rateLimit() {
+    // Pages are throttled by Business Use Case usage; stay well under it and honour the usage header on 429s
+    return { limit: 25, windowSeconds: 60 * 60, scope: 'account' };
+  }
+
+  isConnected(account) {
+    return super.isConnected(account) && Boolean(account.pageId);
+  }
+
+  getAccountId(account) {
+    return account.pageId;
+  }
+
+  async refreshToken(account) {
+    const user = await exchangeLongLivedToken(account.userAccessToken, this.platform);
+    const { data } = await axios.get(graphUrl(account.pageId), {
+      params: { fields: 'access_token', access_token: user.accessToken },
+      timeout: 30000
+    });
+
+    return {
+      userAccessToken: user.accessToken,
+      accessToken: data.access_token,
+      expiryDate: user.expiryDate
+    };
+  }
+
+  async publish({ filePath, metadata, account, onProgress }) {
+    const { size } = fs.statSync(filePath);
+    const form = new FormData();
+    form.append('title', (metadata.title || 'Uploaded from Vayu').slice(0, 255));
+    form.append('description', metadata.description || '');
+    form.append('access_token', account.accessToken);
+    form.append('source', fs.createReadStream(filePath), { knownLength: size });
+
+    const { data } = await axios.post(graphUrl(`${account.pageId}/videos`, 'graph-video.facebook.com'), form, {
+      headers: form.getHeaders(),
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      onUploadProgress: (evt) => {
+        if (onProgress && evt.total) onProgress(Math.round((evt.loaded / evt.total) * 100));
+      }
+    });
+
+    return {
+      success: true,
+      videoId: data.id,
+      platformUrl: `https://www.facebook.com/${account.pageId}/videos/${data.id}`
+    };
+  }
+}
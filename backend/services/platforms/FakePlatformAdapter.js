@@ -0,0 +1,66 @@
+import fs from 'fs';
+import { IPlatformAdapter } from './IPlatformAdapter.js';
+
+/**
+ * Offline test double (SOCIAL_PUBLISH_ADAPTER=fake).
+ * Mirrors a real adapter's constraints and rate limit so format fitting and quota
+ * handling run exactly as in production, but never touches the network.
+ */
+export default class FakePlatformAdapter extends IPlatformAdapter {
+  /**
+   * @param {IPlatformAdapter} mirrored Real adapter whose limits are reused
+   */
+  constructor(mirrored) {
+    super(mirrored.platform);
+    this.mirrored = mirrored;
+    this.published = [];
+    this.refreshCount = 0;
+    this.pendingFailures = [];
+  }
+
+  get constraints() {
+    return this.mirrored.constraints;
+  }
+
+  get rateLimit() {
+    return this.mirrored.rateLimit;
+  }
+
+  isConnected() {
+    return true;
+  }
+
+  getAccountId(account) {
+    return (account && this.mirrored.getAccountId(account)) || 'fake-account';
+  }
+
+  async refreshToken() {
+    this.refreshCount += 1;
+    return { accessToken: `fake-token-${this.refreshCount}`, expiryDate: Date.now() + 60 * 24 * 60 * 60 * 1000 };
+  }
+
+  /**
+   * Make the next publish() call throw, e.g. a PlatformError to exercise retries
+   * @param {Error} error
+   */
+  failNext(error) {
+    this.pendingFailures.push(error);
+  }
+
+  async publish({ filePath, publicUrl, metadata, onProgress }) {
+    if (this.pendingFailures.length > 0) throw this.pendingFailures.shift();
+
+    const { size } = fs.statSync(filePath);
+    for (const progress of [25, 50, 75, 100]) onProgress?.(progress);
+
+    const videoId = `fake_${this.platform}_${this.published.length + 1}`;
+    this.published.push({ videoId, filePath, publicUrl, size, metadata });
+    console.log(`🧪 FakePlatformAdapter: "Published" ${size} bytes to ${this.platform} as ${videoId}`);
+
+    return { success: true, videoId, platformUrl: null };
+  }
+
+  getName() {
+    return `Fake(${this.mirrored.getName()})`;
+  }
+}
@@ -0,0 +1,115 @@
+import { SOCIAL_CONFIG } from '../../constants/index.js';
+
+/**
+ * Abstract class defining the contract for cross-posting platforms (FFmpeg Publishing Codecs).
+ *
+ * An adapter only talks to its platform. Downloading, format fitting, rate limiting,
+ * token persistence and crossPostStatus bookkeeping live in socialPublishingService
+ * so every platform goes through the same job lifecycle.
+ */
+export class IPlatformAdapter {
+  /**
+   * @param {string} platform Key used in User.socialAccounts and Video.crossPostStatus
+   */
+  constructor(platform) {
+    this.platform = platform;
+  }
+
+  /**
+   * Format limits the uploaded file must satisfy (see mediaFormat.planFormat)
+   * @returns {{ minDurationSeconds: number, maxDurationSeconds: number, minAspectRatio: number,
+   *   maxAspectRatio: number, maxLongEdge: number, maxBytes: number }}
+   */
+  get constraints() {
+    throw new Error('IPlatformAdapter: constraints not implemented');
+  }
+
+  /**
+   * Publishing quota. `scope: 'account'` counts per connected account, `'app'` across all users.
+   * @returns {{ limit: number, windowSeconds: number, scope: 'account' | 'app' }}
+   */
+  get rateLimit() {
+    throw new Error('IPlatformAdapter: rateLimit not implemented');
+  }
+
+  /**
+   * Whether the platform fetches media from a public URL instead of receiving the bytes
+   * @returns {boolean}
+   */
+  get requiresPublicUrl() {
+    return false;
+  }
+
+  /**
+   * @param {Object} account User.socialAccounts[platform]
+   * @returns {boolean}
+   */
+  isConnected(account) {
+    return Boolean(account?.connected && account?.accessToken);
+  }
+
+  /**
+   * Identifier the per-account rate limit is keyed on
+   * @param {Object} account
+   * @returns {string}
+   */
+  getAccountId(account) {
+    throw new Error('IPlatformAdapter: getAccountId(account) not implemented');
+  }
+
+  /**
+   * @param {Object} account
+   * @returns {boolean} True when the access token lapses within the refresh margin
+   */
+  needsRefresh(account) {
+    if (!account?.expiryDate) return false;
+    return Date.now() >= account.expiryDate - SOCIAL_CONFIG.TOKEN_REFRESH_MARGIN_MS;
+  }
+
+  /**
+   * Obtain fresh credentials. Returned fields are written back to User.socialAccounts[platform].
+   * @param {Object} account
+   * @returns {Promise<Object>} e.g. { accessToken, expiryDate }
+   */
+  async refreshToken(account) {
+    throw new Error('IPlatformAdapter: refreshToken(account) not implemented');
+  }
+
+  /**
+   * Upload and publish a prepared file
+   * @param {Object} params
+   * @param {string} params.filePath Local file that satisfies `constraints`
+   * @param {string|null} params.publicUrl Public URL of the same file when `requiresPublicUrl`
+   * @param {Object} params.metadata { title, description, tags, privacyStatus }
+   * @param {Object} params.account User.socialAccounts[platform] (already refreshed)
+   * @param {Object} params.user Owning User document
+   * @param {Function} params.onProgress Called with 0..100
+   * @returns {Promise<{ success: boolean, videoId: string, platformUrl: string|null }>}
+   */
+  async publish(params) {
+    throw new Error('IPlatformAdapter: publish(params) not implemented');
+  }
+
+  /**
+   * Name recorded in logs and crossPostDetails
+   * @returns {string}
+   */
+  getName() {
+    return this.constructor.name;
+  }
+}
+
+/**
+ * Caption text shared by platforms without a separate title field
+ * @param {Object} metadata { title, description, tags }
+ * @param {number} maxLength Platform caption limit
+ */
+export const buildCaption = ({ title, description, tags }, maxLength) => {
+  const hashtags = (tags || [])
+    .map(tag => String(tag).replace(/[^\p{L}\p{N}_]/gu, ''))
+    .filter(Boolean)
+    .map(tag => `#${tag}`)
+    .join(' ');
+  const caption = [title, description, hashtags].filter(Boolean).join('\n\n');
+  return caption.length > maxLength ? caption.slice(0, maxLength) : caption;
+};
@@ -0,0 +1,115 @@
+import axios from 'axios';
+import { IPlatformAdapter, buildCaption } from './IPlatformAdapter.js';
+import { PlatformError } from './platformErrors.js';
+import { graphUrl, exchangeLongLivedToken } from './metaGraph.js';
+import { SOCIAL_CONFIG } from '../../constants/index.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Instagram Reels via the Instagram Graph API (Facebook Login for Business).
+ * Publishing is container based: Instagram pulls the file from a public URL,
+ * we poll the container until it is FINISHED, then publish it.
+ */
+export default class InstagramReelsAdapter extends IPlatformAdapter {
+  constructor() {
+    super('instagram');
+  }
+
+  get constraints() {
+    return {
+      minDurationSeconds: 3,
+      maxDurationSeconds: 15 * 60,
+      minAspectRatio: 0.5, // Reels are shown 9:16; anything outside 1:2..4:5 is padded
+      maxAspectRatio: 0.8,
+      maxLongEdge: 1920,
+      maxBytes: 300 * 1024 * 1024
+    };
+  }
+
+  get rateLimit() {
+    // Content publishing limit: 50 API-published posts per account per rolling 24 hours
+    return { limit: 50, windowSeconds: 24 * 60 * 60, scope: 'account' };
+  }
+
+  get requiresPublicUrl() {
+    return true;
+  }
+
+  isConnected(account) {
+    return super.isConnected(account) && Boolean(account.instagramUserId);
+  }
+
+  getAccountId(account) {
+    return account.instagramUserId;
+  }
+
+  async refreshToken(account) {
+    return exchangeLongLivedToken(account.accessToken, this.platform);
+  }
+
+  async publish({ publicUrl, metadata, account, onProgress }) {
+    if (!publicUrl) throw new PlatformError('Instagram needs a public video URL', { platform: this.platform });
+    const { instagramUserId, accessToken } = account;
+
+    const { data: container } = await axios.post(graphUrl(`${instagramUserId}/media`), null, {
+      params: {
+        media_type: 'REELS',
+        video_url: publicUrl,
+        caption: buildCaption(metadata, 2200),
+        share_to_feed: true,
+        access_token: accessToken
+      },
+      timeout: 30000
+    });
+    onProgress?.(10);
+
+    await this._waitForContainer(container.id, accessToken, onProgress);
+
+    const { data: media } = await axios.post(graphUrl(`${instagramUserId}/media_publish`), null, {
+      params: { creation_id: container.id, access_token: accessToken },
+      timeout: 30000
+    });
+    onProgress?.(100);
+
+    let permalink = null;
+    try {
+      const { data } = await axios.get(graphUrl(media.id), {
+        params: { fields: 'permalink', access_token: accessToken },
+        timeout: 15000
+      });
+      permalink = data.permalink || null;
+    } catch (error) {
+      // Already published; a missing link is not worth failing the job over
+      console.warn(`⚠️ InstagramReelsAdapter: Could not read permalink for ${media.id}:`, error.message);
+    }
+
+    return { success: true, videoId: media.id, platformUrl: permalink };
+  }
+
+  /**
+   * Poll the media container until Instagram has fetched and processed the video
+   */
+  async _waitForContainer(containerId, accessToken, onProgress) {
+    const deadline = Date.now() + SOCIAL_CONFIG.CONTAINER_POLL_TIMEOUT_MS;
+    let progress = 10;
+
+    while (Date.now() < deadline) {
+      const { data } = await axios.get(graphUrl(containerId), {
+        params: { fields: 'status_code,status', access_token: accessToken },
+        timeout: 15000
+      });
+
+      if (data.status_code === 'FINISHED') return;
+      if (data.status_code === 'ERROR' || data.status_code === 'EXPIRED') {
+        throw new PlatformError(`Instagram could not process the video: ${data.status || data.status_code}`, { platform: this.platform });
+      }
+
+      progress = Math.min(progress + 5, 90);
+      onProgress?.(progress);
+      await sleep(SOCIAL_CONFIG.CONTAINER_POLL_INTERVAL_MS);
+    }
+
+    throw new PlatformError('Instagram is still processing the video, will retry', { platform: this.platform, retryable: true });
+  }
+}
@@ -0,0 +1,131 @@
+import axios from 'axios';
+import fs from 'fs';
+import { IPlatformAdapter, buildCaption } from './IPlatformAdapter.js';
+import { PlatformError } from './platformErrors.js';
+import { SOCIAL_CONFIG } from '../../constants/index.js';
+
+const API_BASE = 'https://api.linkedin.com/rest';
+
+/**
+ * LinkedIn member posts via the versioned REST API (Videos + Posts).
+ * Upload is multipart: initializeUpload hands out byte ranges, each range is PUT
+ * to its own URL, finalizeUpload stitches them by ETag, then a post references the video URN.
+ */
+export default class LinkedInAdapter extends IPlatformAdapter {
+  constructor() {
+    super('linkedin');
+  }
+
+  get constraints() {
+    return {
+      minDurationSeconds: 3,
+      maxDurationSeconds: 30 * 60,
+      minAspectRatio: 1 / 2.4,
+      maxAspectRatio: 2.4,
+      maxLongEdge: 1920,
+      maxBytes: 500 * 1024 * 1024
+    };
+  }
+
+  get rateLimit() {
+    // Member share limit per day; application-wide throttles surface as 429s
+    return { limit: 100, windowSeconds: 24 * 60 * 60, scope: 'account' };
+  }
+
+  isConnected(account) {
+    return super.isConnected(account) && Boolean(account.urn);
+  }
+
+  getAccountId(account) {
+    return account.urn;
+  }
+
+  async refreshToken(account) {
+    const expired = account.refreshTokenExpiryDate && Date.now() >= account.refreshTokenExpiryDate;
+    if (!account.refreshToken || expired) {
+      throw new PlatformError('LinkedIn token expired and cannot be refreshed, reconnect the account', { platform: this.platform, reconnect: true });
+    }
+
+    const { data } = await axios.post('https://www.linkedin.com/oauth/v2/accessToken', new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: account.refreshToken,
+      client_id: process.env.LINKEDIN_CLIENT_ID || '',
+      client_secret: process.env.LINKEDIN_CLIENT_SECRET || ''
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 30000
+    });
+
+    return {
+      accessToken: data.access_token,
+      expiryDate: Date.now() + data.expires_in * 1000,
+      ...(data.refresh_token && {
+        refreshToken: data.refresh_token,
+        refreshTokenExpiryDate: Date.now() + data.refresh_token_expires_in * 1000
+      })
+    };
+  }
+
+  async publish({ filePath, metadata, account, onProgress }) {
+    const owner = this._authorUrn(account.urn);
+    const headers = this._headers(account.accessToken);
+    const { size } = fs.statSync(filePath);
+
+    const { data: init } = await axios.post(`${API_BASE}/videos?action=initializeUpload`, {
+      initializeUploadRequest: { owner, fileSizeBytes: size, uploadCaptions: false, uploadThumbnail: false }
+    }, { headers, timeout: 30000 });
+
+    const { video, uploadInstructions, uploadToken = '' } = init.value;
+    const uploadedPartIds = [];
+    let uploadedBytes = 0;
+
+    for (const instruction of uploadInstructions) {
+      const length = instruction.lastByte - instruction.firstByte + 1;
+      const response = await axios.put(instruction.uploadUrl, fs.createReadStream(filePath, {
+        start: instruction.firstByte,
+        end: instruction.lastByte
+      }), {
+        headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': length },
+        maxBodyLength: Infinity
+      });
+      uploadedPartIds.push(response.headers.etag);
+      uploadedBytes += length;
+      onProgress?.(Math.round((uploadedBytes / size) * 95));
+    }
+
+    await axios.post(`${API_BASE}/videos?action=finalizeUpload`, {
+      finalizeUploadRequest: { video, uploadToken, uploadedPartIds }
+    }, { headers, timeout: 30000 });
+
+    const post = await axios.post(`${API_BASE}/posts`, {
+      author: owner,
+      commentary: buildCaption({ description: metadata.description, tags: metadata.tags }, 3000),
+      visibility: 'PUBLIC',
+      distribution: { feedDistribution: 'MAIN_FEED', targetEntities: [], thirdPartyDistributionChannels: [] },
+      content: { media: { title: (metadata.title || 'Uploaded from Vayu').slice(0, 200), id: video } },
+      lifecycleState: 'PUBLISHED',
+      isReshareDisabledByAuthor: false
+    }, { headers, timeout: 30000 });
+    onProgress?.(100);
+
+    const postUrn = post.headers['x-restli-id'];
+    return {
+      success: true,
+      videoId: postUrn || video,
+      platformUrl: postUrn ? `https://www.linkedin.com/feed/update/${postUrn}` : null
+    };
+  }
+
+  _authorUrn(urn) {
+    return urn.startsWith('urn:li:') ? urn : `urn:li:person:${urn}`;
+  }
+
+  _headers(accessToken) {
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      'LinkedIn-Version': SOCIAL_CONFIG.LINKEDIN_API_VERSION,
+      'X-Restli-Protocol-Version': '2.0.0',
+      'Content-Type': 'application/json'
+    };
+  }
+}
@@ -0,0 +1,41 @@
+import { IPlatformAdapter } from './IPlatformAdapter.js';
+import youtubeService from './youtubeService.js';
+import { SOCIAL_CONFIG } from '../../constants/index.js';
+
+/**
+ * YouTube through the existing youtubeService, which also owns the OAuth flow
+ */
+export default class YouTubeAdapter extends IPlatformAdapter {
+  constructor() {
+    super('youtube');
+  }
+
+  get constraints() {
+    return {
+      minDurationSeconds: 1,
+      maxDurationSeconds: 12 * 60 * 60,
+      minAspectRatio: 0.01, // YouTube letterboxes any shape itself
+      maxAspectRatio: 100,
+      maxLongEdge: 3840,
+      maxBytes: 256 * 1024 * 1024 * 1024
+    };
+  }
+
+  get rateLimit() {
+    // Uploads cost 1600 of the project's daily 10k quota units, shared by every user
+    return { limit: SOCIAL_CONFIG.YOUTUBE_DAILY_UPLOADS, windowSeconds: 24 * 60 * 60, scope: 'app' };
+  }
+
+  getAccountId(account) {
+    return account.channelId;
+  }
+
+  needsRefresh() {
+    // youtubeService.uploadVideo refreshes and persists its own tokens
+    return false;
+  }
+
+  async publish({ filePath, metadata, user, onProgress }) {
+    return youtubeService.uploadVideo(user.googleId, filePath, metadata, onProgress);
+  }
+}
@@ -0,0 +1,58 @@
+import YouTubeAdapter from './YouTubeAdapter.js';
+import InstagramReelsAdapter from './InstagramReelsAdapter.js';
+import FacebookPageAdapter from './FacebookPageAdapter.js';
+import LinkedInAdapter from './LinkedInAdapter.js';
+import FakePlatformAdapter from './FakePlatformAdapter.js';
+import { SOCIAL_CONFIG } from '../../constants/index.js';
+
+// **PLUG-AND-PLAY ARCHITECTURE (FFmpeg Style)**
+// One adapter per cross-posting platform; SOCIAL_PUBLISH_ADAPTER=fake swaps all of them for the offline double.
+const ADAPTERS = {
+  youtube: () => new YouTubeAdapter(),
+  instagram: () => new InstagramReelsAdapter(),
+  facebook: () => new FacebookPageAdapter(),
+  linkedin: () => new LinkedInAdapter()
+};
+
+export const SUPPORTED_PLATFORMS = Object.keys(ADAPTERS);
+
+/**
+ * Instantiate the adapter for a platform
+ * @param {string} platform youtube | instagram | facebook | linkedin
+ * @param {string} mode live | fake
+ * @returns {IPlatformAdapter|null} null for unknown platforms
+ */
+export function createPlatformAdapter(platform, mode = SOCIAL_CONFIG.ADAPTER) {
+  const factory = ADAPTERS[platform];
+  if (!factory) return null;
+  const adapter = factory();
+  return mode === 'fake' ? new FakePlatformAdapter(adapter) : adapter;
+}
+
+const activeAdapters = new Map();
+
+/**
+ * Configure the adapter used for a platform (Dynamic Swap / Codec injection).
+ * @param {string} platform
+ * @param {IPlatformAdapter} adapter
+ */
+export function setPlatformAdapter(platform, adapter) {
+  activeAdapters.set(platform, adapter);
+  console.log(`🔌 ${platform} adapter swapped to: ${adapter.getName()}`);
+}
+
+/**
+ * Get the active adapter for a platform, creating it on first use.
+ * @param {string} platform
+ * @returns {IPlatformAdapter|null}
+ */
+export function getPlatformAdapter(platform) {
+  if (!activeAdapters.has(platform)) {
+    const adapter = createPlatformAdapter(platform);
+    if (!adapter) return null;
+    activeAdapters.set(platform, adapter);
+  }
+  return activeAdapters.get(platform);
+}
+
+export { YouTubeAdapter, InstagramReelsAdapter, FacebookPageAdapter, LinkedInAdapter, FakePlatformAdapter };
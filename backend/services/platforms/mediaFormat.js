@@ -0,0 +1,112 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import { PlatformError } from './platformErrors.js';
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+const ASPECT_TOLERANCE = 0.01;
+const AUDIO_BITRATE_KBPS = 128;
+const MAX_VIDEO_BITRATE_KBPS = 8000;
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Decide whether a file fits a platform's constraints and, if not, how to re-encode it.
+ * Content is never cropped: out-of-range shapes are padded to the nearest allowed ratio,
+ * over-long videos are cut at the platform maximum and oversized files get a bitrate cap.
+ * @param {{ duration: number, width: number, height: number, size: number }} media Display dimensions (rotation applied)
+ * @param {Object} constraints IPlatformAdapter.constraints
+ * @param {string} platform For error attribution
+ * @returns {{ transcode: boolean, reasons: string[], trimSeconds: number|null, width: number, height: number,
+ *   canvasWidth: number, canvasHeight: number, videoBitrateKbps: number|null }}
+ */
+export const planFormat = (media, constraints, platform) => {
+  const { duration, width, height, size } = media;
+  if (!width || !height) {
+    throw new PlatformError('Video has no readable dimensions', { platform });
+  }
+  if (duration < constraints.minDurationSeconds) {
+    throw new PlatformError(`Video is ${duration.toFixed(1)}s, ${platform} needs at least ${constraints.minDurationSeconds}s`, { platform });
+  }
+
+  const reasons = [];
+
+  let trimSeconds = null;
+  if (duration > constraints.maxDurationSeconds) {
+    trimSeconds = constraints.maxDurationSeconds;
+    reasons.push(`duration ${Math.round(duration)}s > ${constraints.maxDurationSeconds}s`);
+  }
+
+  const aspect = width / height;
+  let canvasWidth = width;
+  let canvasHeight = height;
+  if (aspect < constraints.minAspectRatio * (1 - ASPECT_TOLERANCE)) {
+    canvasWidth = height * constraints.minAspectRatio;
+    reasons.push(`aspect ${aspect.toFixed(3)} < ${constraints.minAspectRatio.toFixed(3)}`);
+  } else if (aspect > constraints.maxAspectRatio * (1 + ASPECT_TOLERANCE)) {
+    canvasHeight = width / constraints.maxAspectRatio;
+    reasons.push(`aspect ${aspect.toFixed(3)} > ${constraints.maxAspectRatio.toFixed(3)}`);
+  }
+
+  const longEdge = Math.max(canvasWidth, canvasHeight);
+  const scale = Math.min(1, constraints.maxLongEdge / longEdge);
+  if (scale < 1) reasons.push(`long edge ${Math.round(longEdge)}px > ${constraints.maxLongEdge}px`);
+
+  const outputDuration = trimSeconds ?? duration;
+  const estimatedBytes = size * (outputDuration / Math.max(duration, 1));
+  if (estimatedBytes > constraints.maxBytes) {
+    reasons.push(`size ${Math.round(estimatedBytes / 1048576)}MB > ${Math.round(constraints.maxBytes / 1048576)}MB`);
+  }
+
+  const transcode = reasons.length > 0;
+  let videoBitrateKbps = null;
+  if (transcode) {
+    // 90% of the byte budget, minus audio, spread over the output duration
+    const budgetKbps = Math.floor((constraints.maxBytes * 8 * 0.9) / Math.max(outputDuration, 1) / 1000) - AUDIO_BITRATE_KBPS;
+    videoBitrateKbps = Math.max(Math.min(budgetKbps, MAX_VIDEO_BITRATE_KBPS), 300);
+  }
+
+  return {
+    transcode,
+    reasons,
+    trimSeconds,
+    width: even(width * scale),
+    height: even(height * scale),
+    canvasWidth: even(canvasWidth * scale),
+    canvasHeight: even(canvasHeight * scale),
+    videoBitrateKbps
+  };
+};
+
+/**
+ * Re-encode a file according to a plan from planFormat (H.264/AAC MP4, faststart)
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {Object} plan
+ */
+export const applyFormat = (inputPath, outputPath, plan) => new Promise((resolve, reject) => {
+  const filters = [
+    `scale=${plan.width}:${plan.height}`,
+    `pad=${plan.canvasWidth}:${plan.canvasHeight}:(ow-iw)/2:(oh-ih)/2:black`,
+    'setsar=1'
+  ];
+  const options = [
+    '-preset', 'veryfast',
+    '-pix_fmt', 'yuv420p',
+    '-movflags', '+faststart',
+    '-maxrate', `${plan.videoBitrateKbps}k`,
+    '-bufsize', `${plan.videoBitrateKbps * 2}k`
+  ];
+  if (plan.trimSeconds) options.push('-t', String(plan.trimSeconds));
+
+  ffmpeg(inputPath)
+    .videoCodec('libx264')
+    .audioCodec('aac')
+    .audioBitrate(`${AUDIO_BITRATE_KBPS}k`)
+    .videoFilters(filters)
+    .outputOptions(options)
+    .output(outputPath)
+    .on('end', () => resolve(outputPath))
+    .on('error', (err, stdout, stderr) => reject(new Error(`${err.message} ${(stderr || '').slice(-300)}`.trim())))
+    .run();
+});
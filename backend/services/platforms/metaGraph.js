@@ -0,0 +1,43 @@
+import axios from 'axios';
+import { SOCIAL_CONFIG } from '../../constants/index.js';
+import { PlatformError } from './platformErrors.js';
+
+/**
+ * Graph API helpers shared by the Instagram and Facebook adapters
+ */
+
+export const graphUrl = (path, host = 'graph.facebook.com') =>
+  `https://${host}/${SOCIAL_CONFIG.GRAPH_API_VERSION}/${path.replace(/^\//, '')}`;
+
+/**
+ * Exchange a user token for a fresh long-lived one (60 days).
+ * Works for any non-expired long-lived token, which is how Meta expects them to be renewed.
+ * @param {string} token
+ * @param {string} platform For error attribution
+ * @returns {Promise<{ accessToken: string, expiryDate: number|null }>}
+ */
+export const exchangeLongLivedToken = async (token, platform) => {
+  const clientId = process.env.META_APP_ID;
+  const clientSecret = process.env.META_APP_SECRET;
+  if (!clientId || !clientSecret) {
+    throw new PlatformError('META_APP_ID / META_APP_SECRET are not configured', { platform });
+  }
+  if (!token) {
+    throw new PlatformError(`${platform} has no user token to refresh, reconnect the account`, { platform, reconnect: true });
+  }
+
+  const { data } = await axios.get(graphUrl('oauth/access_token'), {
+    params: {
+      grant_type: 'fb_exchange_token',
+      client_id: clientId,
+      client_secret: clientSecret,
+      fb_exchange_token: token
+    },
+    timeout: 30000
+  });
+
+  return {
+    accessToken: data.access_token,
+    expiryDate: data.expires_in ? Date.now() + data.expires_in * 1000 : null
+  };
+};
@@ -0,0 +1,103 @@
+/**
+ * Publishing failure with enough context for the worker to decide between
+ * retrying, postponing until a quota resets, or giving up.
+ */
+export class PlatformError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {string} options.platform
+   * @param {boolean} options.retryable Worth another attempt with backoff
+   * @param {boolean} options.rateLimited Quota exhausted; retry after `retryAfterMs` without spending an attempt
+   * @param {number|null} options.retryAfterMs
+   * @param {boolean} options.reconnect Token is invalid and cannot be refreshed; the user must reconnect
+   * @param {number|null} options.statusCode HTTP status from the platform
+   */
+  constructor(message, { platform, retryable = false, rateLimited = false, retryAfterMs = null, reconnect = false, statusCode = null } = {}) {
+    super(message);
+    this.name = 'PlatformError';
+    this.platform = platform;
+    this.retryable = retryable || rateLimited;
+    this.rateLimited = rateLimited;
+    this.retryAfterMs = retryAfterMs;
+    this.reconnect = reconnect;
+    this.statusCode = statusCode;
+  }
+}
+
+// Graph API throttling codes (app, user, page and business use case limits)
+const GRAPH_RATE_LIMIT_CODES = new Set([4, 17, 32, 613, 80001, 80002, 80004, 80005, 80006, 80008, 80014]);
+// Instagram "Reached maximum number of posts" (content publishing limit)
+const GRAPH_PUBLISH_LIMIT_SUBCODE = 2207042;
+const GRAPH_TRANSIENT_CODES = new Set([1, 2]);
+const GRAPH_AUTH_CODES = new Set([102, 190]);
+
+const DEFAULT_RATE_LIMIT_DELAY_MS = 15 * 60 * 1000;
+
+const parseJsonHeader = (value) => {
+  if (!value) return null;
+  try { return JSON.parse(value); } catch { return null; }
+};
+
+/**
+ * Milliseconds until a throttled request may be retried, from Retry-After or
+ * Meta's X-Business-Use-Case-Usage (estimated_time_to_regain_access, minutes)
+ * @param {Object} headers Response headers (lower-cased)
+ * @returns {number|null}
+ */
+export const retryAfterFromHeaders = (headers = {}) => {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(date)) return Math.max(date - Date.now(), 0);
+  }
+
+  const usage = parseJsonHeader(headers['x-business-use-case-usage']);
+  if (usage) {
+    const minutes = Object.values(usage).flat()
+      .map(entry => Number(entry?.estimated_time_to_regain_access) || 0);
+    const longest = Math.max(0, ...minutes);
+    if (longest > 0) return longest * 60 * 1000;
+  }
+  return null;
+};
+
+/**
+ * Classify an axios (or any) error thrown while talking to a platform
+ * @param {Error} error
+ * @param {string} platform
+ * @returns {PlatformError}
+ */
+export const toPlatformError = (error, platform) => {
+  if (error instanceof PlatformError) return error;
+
+  const response = error.response;
+  const status = response?.status ?? null;
+  const graphError = response?.data?.error;
+  const code = Number(graphError?.code);
+  const subcode = Number(graphError?.error_subcode);
+  const message = graphError?.message || response?.data?.message || error.message;
+
+  if (status === 429 || GRAPH_RATE_LIMIT_CODES.has(code) || subcode === GRAPH_PUBLISH_LIMIT_SUBCODE) {
+    return new PlatformError(`${platform} rate limit: ${message}`, {
+      platform,
+      rateLimited: true,
+      retryAfterMs: retryAfterFromHeaders(response?.headers) ?? DEFAULT_RATE_LIMIT_DELAY_MS,
+      statusCode: status
+    });
+  }
+
+  if (status === 401 || GRAPH_AUTH_CODES.has(code)) {
+    return new PlatformError(`${platform} authorization expired, reconnect the account: ${message}`, {
+      platform,
+      reconnect: true,
+      statusCode: status
+    });
+  }
+
+  // No response at all is a network failure; 5xx and Graph transient errors clear up on their own
+  const retryable = !response || status >= 500 || graphError?.is_transient === true || GRAPH_TRANSIENT_CODES.has(code);
+  return new PlatformError(`${platform}: ${message}`, { platform, retryable, statusCode: status });
+};
@@ -0,0 +1,49 @@
+import redisService from '../caching/redisService.js';
+
+/**
+ * Fixed-window publishing quota per platform account (or per app).
+ * Counters live in Redis so several social workers share them; without Redis
+ * the window is tracked in process, which still protects a single worker.
+ */
+class PlatformRateLimiter {
+  constructor() {
+    this.localCounters = new Map();
+  }
+
+  /**
+   * Take one slot from the current window
+   * @param {string} platform
+   * @param {string} accountId Ignored for `scope: 'app'` limits
+   * @param {{ limit: number, windowSeconds: number, scope: string }} rateLimit
+   * @returns {Promise<{ allowed: boolean, remaining: number, retryAfterMs: number }>}
+   */
+  async reserve(platform, accountId, { limit, windowSeconds, scope }, now = Date.now()) {
+    const windowMs = windowSeconds * 1000;
+    const windowIndex = Math.floor(now / windowMs);
+    const subject = scope === 'app' ? 'app' : (accountId || 'unknown');
+    const key = `social:ratelimit:${platform}:${subject}:${windowIndex}`;
+
+    let count = await redisService.incrBy(key, 1, windowSeconds);
+    if (count === null) count = this._incrementLocal(key, (windowIndex + 1) * windowMs);
+
+    if (count > limit) {
+      // Hand the slot back so rejected attempts do not push the next window's callers out
+      if ((await redisService.incrBy(key, -1)) === null) this._incrementLocal(key, (windowIndex + 1) * windowMs, -1);
+      return { allowed: false, remaining: 0, retryAfterMs: (windowIndex + 1) * windowMs - now };
+    }
+    return { allowed: true, remaining: limit - count, retryAfterMs: 0 };
+  }
+
+  _incrementLocal(key, expiresAt, amount = 1) {
+    const now = Date.now();
+    for (const [existingKey, entry] of this.localCounters) {
+      if (entry.expiresAt <= now) this.localCounters.delete(existingKey);
+    }
+    const entry = this.localCounters.get(key) || { count: 0, expiresAt };
+    entry.count += amount;
+    this.localCounters.set(key, entry);
+    return entry.count;
+  }
+}
+
+export default new PlatformRateLimiter();
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import Video from '../../models/Video.js';
+import User from '../../models/User.js';
+import cloudflareR2Service from '../uploadServices/cloudflareR2Service.js';
+import { getVideoMetadata } from '../yugFeedServices/videoMetadataService.js';
+import { getPlatformAdapter } from './index.js';
+import platformRateLimiter from './platformRateLimiter.js';
+import { planFormat, applyFormat } from './mediaFormat.js';
+import { PlatformError, toPlatformError } from './platformErrors.js';
+
+const TEMP_DIR = path.join(process.cwd(), 'temp_social_uploads');
+
+/**
+ * **SocialPublishingService**
+ * Runs one cross-posting job end to end for any platform adapter:
+ * token refresh → quota → canonical MP4 download → format fitting → upload,
+ * keeping Video.crossPostStatus / crossPostProgress / crossPostDetails current.
+ * Errors always leave as PlatformError so the worker can pick retry vs. delay vs. give up.
+ */
+class SocialPublishingService {
+  /**
+   * @param {Object} data Social job payload { platform, videoId, userId, title, description, tags, privacyStatus }
+   * @returns {Promise<Object>} Adapter result ({ videoId, platformUrl, ... })
+   */
+  async publish({ platform, videoId, userId, title, description, tags, privacyStatus }) {
+    const workDir = path.join(TEMP_DIR, `${videoId}_${platform}_${Date.now()}`);
+    let stagedKey = null;
+
+    try {
+      const adapter = getPlatformAdapter(platform);
+      if (!adapter) throw new PlatformError(`Platform ${platform} not supported`, { platform });
+
+      await this._setStatus(videoId, platform, 'processing');
+
+      const video = await Video.findById(videoId).select('canonicalMp4Key videoUrl').lean();
+      if (!video) throw new PlatformError('Video not found', { platform });
+
+      const user = await User.findOne({ googleId: userId });
+      if (!user) throw new PlatformError('User not found', { platform });
+
+      let account = user.socialAccounts?.[platform]?.toObject?.() ?? user.socialAccounts?.[platform];
+      if (!adapter.isConnected(account)) {
+        throw new PlatformError(`${platform} account not connected`, { platform, reconnect: true });
+      }
+      account = await this._ensureFreshToken(adapter, user, account);
+
+      const quota = await platformRateLimiter.reserve(platform, adapter.getAccountId(account), adapter.rateLimit);
+      if (!quota.allowed) {
+        throw new PlatformError(`${platform} publishing quota reached`, { platform, rateLimited: true, retryAfterMs: quota.retryAfterMs });
+      }
+
+      // 1. Canonical MP4 (older videos: the MP4 behind videoUrl)
+      const sourceKey = video.canonicalMp4Key || cloudflareR2Service.getKeyFromUrl(video.videoUrl);
+      if (!sourceKey || !sourceKey.endsWith('.mp4')) {
+        throw new PlatformError('Could not resolve an MP4 source for this video', { platform });
+      }
+      fs.mkdirSync(workDir, { recursive: true });
+      const sourcePath = path.join(workDir, 'source.mp4');
+      console.log(`📥 SocialPublishingService: Downloading ${sourceKey} for ${platform}...`);
+      await cloudflareR2Service.downloadFile(sourceKey, sourcePath);
+
+      // 2. Fit the platform's duration, aspect ratio, resolution and size limits
+      const media = await getVideoMetadata(sourcePath);
+      const plan = planFormat(media, adapter.constraints, platform);
+      let uploadPath = sourcePath;
+      if (plan.transcode) {
+        console.log(`🎞️ SocialPublishingService: Re-encoding for ${platform} (${plan.reasons.join(', ')})`);
+        uploadPath = path.join(workDir, `${platform}.mp4`);
+        await applyFormat(sourcePath, uploadPath, plan);
+      }
+
+      // 3. Platforms that fetch media themselves get a public copy
+      let publicUrl = null;
+      if (adapter.requiresPublicUrl) {
+        if (plan.transcode) {
+          stagedKey = `social/${videoId}/${platform}_${Date.now()}.mp4`;
+          publicUrl = (await cloudflareR2Service.uploadFileToR2(uploadPath, stagedKey, 'video/mp4')).url;
+        } else {
+          publicUrl = cloudflareR2Service.getPublicUrl(sourceKey);
+        }
+      }
+
+      let lastProgress = 0;
+      const result = await adapter.publish({
+        filePath: uploadPath,
+        publicUrl,
+        metadata: { title, description, tags, privacyStatus },
+        account,
+        user,
+        onProgress: async (progress) => {
+          // **OPTIMIZATION: Only update DB every 5% to avoid excessive writes**
+          if (progress >= lastProgress + 5 || progress === 100) {
+            lastProgress = progress;
+            await Video.findByIdAndUpdate(videoId, { $set: { [`crossPostProgress.${platform}`]: progress } });
+          }
+        }
+      });
+
+      await Video.findByIdAndUpdate(videoId, {
+        $set: {
+          [`crossPostStatus.${platform}`]: 'completed',
+          [`crossPostProgress.${platform}`]: 100,
+          [`crossPostDetails.${platform}`]: { ...result, adapter: adapter.getName(), reformatted: plan.reasons }
+        }
+      });
+
+      console.log(`✅ SocialPublishingService: Published video ${videoId} to ${platform}`);
+      return result;
+    } catch (error) {
+      throw toPlatformError(error, platform);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+      if (stagedKey) {
+        await cloudflareR2Service.deleteFile(stagedKey).catch(err =>
+          console.warn(`⚠️ SocialPublishingService: Failed to delete staged ${stagedKey}:`, err.message));
+      }
+    }
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {string} videoId
+   * @param {string} platform
+   * @param {PlatformError} error
+   * @param {Object} options
+   * @param {boolean} options.willRetry Another attempt is queued (status goes back to 'pending')
+   * @param {Date|null} options.retryAt When a rate-limited job will run again
+   */
+  async recordFailure(videoId, platform, error, { willRetry = false, retryAt = null } = {}) {
+    await Video.findByIdAndUpdate(videoId, {
+      $set: {
+        [`crossPostStatus.${platform}`]: willRetry ? 'pending' : 'failed',
+        [`crossPostDetails.${platform}`]: {
+          error: error.message,
+          reconnectRequired: Boolean(error.reconnect),
+          ...(retryAt && { retryAt })
+        }
+      }
+    });
+  }
+
+  /**
+   * Refresh the platform token when it is close to expiry and persist the new credentials
+   */
+  async _ensureFreshToken(adapter, user, account) {
+    if (!adapter.needsRefresh(account)) return account;
+
+    try {
+      console.log(`🔄 SocialPublishingService: Refreshing ${adapter.platform} token...`);
+      const fields = await adapter.refreshToken(account);
+      const update = Object.fromEntries(
+        Object.entries(fields).map(([field, value]) => [`socialAccounts.${adapter.platform}.${field}`, value])
+      );
+      await User.updateOne({ _id: user._id }, { $set: update });
+      return { ...account, ...fields };
+    } catch (error) {
+      // Still inside the refresh margin: publish with the current token and retry the refresh next time
+      if (account.expiryDate && Date.now() < account.expiryDate) {
+        console.warn(`⚠️ SocialPublishingService: ${adapter.platform} token refresh failed, using current token:`, error.message);
+        return account;
+      }
+      throw toPlatformError(error, adapter.platform);
+    }
+  }
+
+  async _setStatus(videoId, platform, status) {
+    await Video.findByIdAndUpdate(videoId, { $set: { [`crossPostStatus.${platform}`]: status } });
+  }
+}
+
+export default new SocialPublishingService();
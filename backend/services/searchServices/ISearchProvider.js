@@ -15,6 +15,22 @@ export class ISearchProvider {
     throw new Error('searchVideos() not implemented');
   }
 
+  /**
+   * Text-ranked video candidates, best first. Filters, facets, paging and the
+   * finalScore blend are applied on top of these by videoSearchService.
+   * Default: derived from the order searchVideos() returns.
+   * @param {string} query
+   * @param {number} limit Maximum candidates
+   * @returns {Promise<Array<{ id: string, textScore: number }>>}
+   */
+  async findVideoCandidates(query, limit) {
+    const videos = await this.searchVideos(query, limit);
+    return videos.map((video, index) => ({
+      id: video.id || video._id.toString(),
+      textScore: video.score ?? videos.length - index
+    }));
+  }
+
   /**
    * Search for creators/users.
    * @param {string} query The search query string
@@ -24,4 +40,33 @@ export class ISearchProvider {
   async searchCreators(query, limit) {
     throw new Error('searchCreators() not implemented');
   }
+
+  /**
+   * Whether the provider keeps its own index that must follow Video writes.
+   * @returns {boolean}
+   */
+  usesExternalIndex() {
+    return false;
+  }
+
+  /**
+   * Upsert videos into the provider's index (incremental sync).
+   * Providers that query the primary database directly need no index and keep this no-op.
+   * @param {Array<Object>} videos Lean video documents
+   * @returns {Promise<void>}
+   */
+  async indexVideos(videos) {}
+
+  /**
+   * Remove videos from the provider's index.
+   * @param {Array<string>} videoIds
+   * @returns {Promise<void>}
+   */
+  async removeVideos(videoIds) {}
+
+  /**
+   * Rebuild the whole index from MongoDB.
+   * @returns {Promise<void>}
+   */
+  async rebuild() {}
 }
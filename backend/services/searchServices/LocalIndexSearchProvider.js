@@ -0,0 +1,264 @@
+import { ISearchProvider } from './ISearchProvider.js';
+import MongoSearchProvider from './MongoSearchProvider.js';
+import { hydrateRankedVideos } from './searchResults.js';
+import {
+  tokenize,
+  phoneticKey,
+  typoBudget,
+  editDistance,
+  toSearchDocument,
+  VIDEO_FIELD_WEIGHTS,
+  SEARCH_DOCUMENT_FIELDS
+} from './textAnalysis.js';
+import Video from '../../models/Video.js';
+import { SEARCH_CONFIG } from '../../constants/index.js';
+
+// How strongly each kind of term match counts against an exact hit
+const MATCH_WEIGHTS = {
+  exact: 1,
+  phonetic: 0.9,
+  prefix: 0.7,
+  typo: 0.8 // minus TYPO_PENALTY per edit
+};
+const TYPO_PENALTY = 0.15;
+const TF_SATURATION = 1.2; // BM25 k1: repeated words help, with diminishing returns
+
+/**
+ * In-process inverted index implementation of ISearchProvider.
+ *
+ * Runs without Atlas or an external engine: the index is built lazily from
+ * MongoDB on the first query and kept current through the Video model hooks
+ * (see searchIndexSync.js). Suitable for tests and single-instance deployments;
+ * every process holds its own copy of the index.
+ *
+ * Creators are delegated to MongoSearchProvider.
+ */
+export default class LocalIndexSearchProvider extends ISearchProvider {
+  /**
+   * @param {Object} options
+   * @param {Boolean} options.warmFromDatabase Build from MongoDB on first query (false for pure in-memory tests)
+   * @param {ISearchProvider} options.creatorProvider Provider used for searchCreators()
+   */
+  constructor({ warmFromDatabase = true, creatorProvider = new MongoSearchProvider() } = {}) {
+    super();
+    this.warmFromDatabase = warmFromDatabase;
+    this.creatorProvider = creatorProvider;
+    this.ready = warmFromDatabase ? null : Promise.resolve();
+    this.touchedDuringWarm = null;
+    this._reset();
+  }
+
+  usesExternalIndex() {
+    return true;
+  }
+
+  _reset() {
+    this.documents = new Map(); // id -> Map(term -> weighted term frequency)
+    this.postings = new Map(); // term -> Map(id -> field score)
+    this.keyTerms = new Map(); // phonetic key -> Set(term)
+    this.keysByInitial = new Map(); // first letter -> Set(phonetic key), narrows typo scans
+  }
+
+  /**
+   * Add or replace one search document ({ id, videoName, tags, ... } from toSearchDocument)
+   */
+  addDocument(doc) {
+    this.removeDocument(doc.id);
+
+    const frequencies = new Map();
+    for (const [field, weight] of Object.entries(VIDEO_FIELD_WEIGHTS)) {
+      for (const { term, key } of tokenize(doc[field])) {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        this._registerKey(term, key);
+      }
+    }
+
+    for (const [term, frequency] of frequencies) {
+      const fieldScore = (frequency * (TF_SATURATION + 1)) / (frequency + TF_SATURATION);
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(doc.id, fieldScore);
+    }
+    this.documents.set(doc.id, frequencies);
+
+    if (this.touchedDuringWarm) this.touchedDuringWarm.add(doc.id);
+  }
+
+  removeDocument(id) {
+    const frequencies = this.documents.get(id);
+    if (this.touchedDuringWarm) this.touchedDuringWarm.add(id);
+    if (!frequencies) return;
+
+    for (const term of frequencies.keys()) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this._unregisterTerm(term);
+      }
+    }
+    this.documents.delete(id);
+  }
+
+  _registerKey(term, key) {
+    if (!this.keyTerms.has(key)) {
+      this.keyTerms.set(key, new Set());
+      const initial = key[0];
+      if (!this.keysByInitial.has(initial)) this.keysByInitial.set(initial, new Set());
+      this.keysByInitial.get(initial).add(key);
+    }
+    this.keyTerms.get(key).add(term);
+  }
+
+  _unregisterTerm(term) {
+    const key = phoneticKey(term);
+    const terms = this.keyTerms.get(key);
+    if (!terms) return;
+    terms.delete(term);
+    if (terms.size === 0) {
+      this.keyTerms.delete(key);
+      this.keysByInitial.get(key[0])?.delete(key);
+    }
+  }
+
+  /**
+   * Index terms a query token should match, with the weight of each match kind
+   * @returns {Map<string, number>} term -> match weight
+   */
+  _expandToken({ term, key }, allowPrefix) {
+    const matches = new Map();
+    const offer = (candidate, weight) => {
+      if (weight > (matches.get(candidate) || 0)) matches.set(candidate, weight);
+    };
+
+    if (this.postings.has(term)) offer(term, MATCH_WEIGHTS.exact);
+
+    for (const candidate of this.keyTerms.get(key) || []) {
+      offer(candidate, MATCH_WEIGHTS.phonetic);
+    }
+
+    // Search-as-you-type: the last word of the query may be incomplete
+    if (allowPrefix && term.length >= 2) {
+      for (const candidate of this.postings.keys()) {
+        if (candidate.length > term.length && candidate.startsWith(term)) {
+          offer(candidate, MATCH_WEIGHTS.prefix);
+        }
+      }
+    }
+
+    const budget = typoBudget(key.length);
+    if (budget > 0) {
+      for (const candidateKey of this.keysByInitial.get(key[0]) || []) {
+        if (candidateKey === key || Math.abs(candidateKey.length - key.length) > budget) continue;
+        const distance = editDistance(key, candidateKey, budget);
+        if (distance > budget) continue;
+        for (const candidate of this.keyTerms.get(candidateKey)) {
+          offer(candidate, MATCH_WEIGHTS.typo - TYPO_PENALTY * (distance - 1));
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Rank indexed documents by text relevance only (no database access)
+   * @param {string} query
+   * @param {number} limit
+   * @returns {Array<{ id: string, textScore: number }>}
+   */
+  rank(query, limit) {
+    const tokens = tokenize(query);
+    if (tokens.length === 0 || this.documents.size === 0) return [];
+
+    const totalDocs = this.documents.size;
+    const scores = new Map(); // id -> { score, matched }
+
+    tokens.forEach((token, index) => {
+      const best = new Map(); // Best contribution per document for this token
+      for (const [term, matchWeight] of this._expandToken(token, index === tokens.length - 1)) {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + (totalDocs - posting.size + 0.5) / (posting.size + 0.5));
+        for (const [id, fieldScore] of posting) {
+          const contribution = matchWeight * idf * fieldScore;
+          if (contribution > (best.get(id) || 0)) best.set(id, contribution);
+        }
+      }
+
+      for (const [id, contribution] of best) {
+        const entry = scores.get(id) || { score: 0, matched: 0 };
+        entry.score += contribution;
+        entry.matched += 1;
+        scores.set(id, entry);
+      }
+    });
+
+    // Prefer documents covering more of the query over one very strong word
+    return [...scores.entries()]
+      .map(([id, { score, matched }]) => ({ id, textScore: score * (matched / tokens.length) ** 2 }))
+      .sort((a, b) => b.textScore - a.textScore)
+      .slice(0, limit);
+  }
+
+  _ensureReady() {
+    if (!this.ready) {
+      this.ready = this.rebuild().catch(error => {
+        this.ready = null; // Try again on the next query
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async rebuild() {
+    if (!this.warmFromDatabase) return;
+
+    console.log('🔁 LocalIndexSearchProvider: Building index from MongoDB...');
+    const startedAt = Date.now();
+
+    // Hook-driven updates that land while we stream are newer than the cursor's copy
+    this._reset();
+    this.touchedDuringWarm = new Set();
+    const touched = this.touchedDuringWarm;
+
+    try {
+      const cursor = Video.find({}).select(SEARCH_DOCUMENT_FIELDS).lean().cursor();
+      for await (const video of cursor) {
+        const id = video._id.toString();
+        if (touched.has(id)) continue;
+        this.addDocument(toSearchDocument(video));
+        touched.delete(id);
+      }
+    } finally {
+      this.touchedDuringWarm = null;
+    }
+
+    console.log(`✅ LocalIndexSearchProvider: Indexed ${this.documents.size} videos in ${Date.now() - startedAt}ms`);
+  }
+
+  async indexVideos(videos) {
+    for (const video of videos) this.addDocument(toSearchDocument(video));
+  }
+
+  async removeVideos(videoIds) {
+    for (const id of videoIds) this.removeDocument(id.toString());
+  }
+
+  async searchVideos(query, limit) {
+    const q = query.trim();
+    if (!q) return [];
+
+    console.log(`🔍 LocalIndexSearchProvider: Querying videos for "${q}"`);
+    const hits = await this.findVideoCandidates(q, limit * SEARCH_CONFIG.CANDIDATE_MULTIPLIER);
+    return hydrateRankedVideos(hits, limit);
+  }
+
+  async findVideoCandidates(query, limit) {
+    await this._ensureReady();
+    return this.rank(query, limit);
+  }
+
+  async searchCreators(query, limit) {
+    return this.creatorProvider.searchCreators(query, limit);
+  }
+}
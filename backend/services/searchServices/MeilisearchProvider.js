@@ -0,0 +1,190 @@
+import axios from 'axios';
+import { ISearchProvider } from './ISearchProvider.js';
+import MongoSearchProvider from './MongoSearchProvider.js';
+import { hydrateRankedVideos } from './searchResults.js';
+import { tokenize, toSearchDocument, SEARCH_DOCUMENT_FIELDS } from './textAnalysis.js';
+import Video from '../../models/Video.js';
+import { SEARCH_CONFIG } from '../../constants/index.js';
+
+const BATCH_SIZE = 500;
+const PHONETIC_MATCH_WEIGHT = 0.9; // A spelling-variant hit ranks just under a literal one
+
+/**
+ * Self-hosted search engine implementation of ISearchProvider
+ * (Meilisearch REST API; any engine exposing the same endpoints works).
+ *
+ * Meilisearch handles typo tolerance and prefix search on the literal text.
+ * Hindi/Hinglish variants are covered by a `phonetic` attribute holding the
+ * transliterated terms and phonetic keys from textAnalysis.js, queried in the
+ * same multi-search request. Text relevance is then blended with finalScore
+ * in hydrateRankedVideos().
+ *
+ * Falls back to MongoSearchProvider when the engine is unreachable.
+ */
+export default class MeilisearchProvider extends ISearchProvider {
+  constructor({
+    host = SEARCH_CONFIG.MEILI_HOST,
+    apiKey = SEARCH_CONFIG.MEILI_API_KEY,
+    indexUid = SEARCH_CONFIG.MEILI_INDEX,
+    fallbackProvider = new MongoSearchProvider()
+  } = {}) {
+    super();
+    this.indexUid = indexUid;
+    this.fallbackProvider = fallbackProvider;
+    this.client = axios.create({
+      baseURL: host.replace(/\/$/, ''),
+      timeout: 5000,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    });
+    this.indexReady = null;
+  }
+
+  usesExternalIndex() {
+    return true;
+  }
+
+  /**
+   * Build the document stored in the engine
+   */
+  toEngineDocument(video) {
+    const doc = toSearchDocument(video);
+    const phonetic = new Set();
+    for (const field of ['videoName', 'tags', 'keywords', 'category', 'description']) {
+      for (const { term, key } of tokenize(doc[field])) {
+        phonetic.add(term);
+        phonetic.add(key);
+      }
+    }
+    return { ...doc, phonetic: [...phonetic].join(' ') };
+  }
+
+  /**
+   * Create the index and apply settings once per process; seed it if empty
+   */
+  _ensureIndex() {
+    if (!this.indexReady) {
+      this.indexReady = this._setupIndex().catch(error => {
+        this.indexReady = null;
+        throw error;
+      });
+    }
+    return this.indexReady;
+  }
+
+  async _setupIndex() {
+    try {
+      await this.client.get(`/indexes/${this.indexUid}`);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      await this.client.post('/indexes', { uid: this.indexUid, primaryKey: 'id' });
+    }
+
+    await this.client.patch(`/indexes/${this.indexUid}/settings`, {
+      searchableAttributes: ['videoName', 'tags', 'keywords', 'category', 'description', 'phonetic'],
+      displayedAttributes: ['id'],
+      typoTolerance: {
+        enabled: true,
+        minWordSizeForTypos: { oneTypo: 4, twoTypos: 8 }
+      }
+    });
+
+    const { data: stats } = await this.client.get(`/indexes/${this.indexUid}/stats`);
+    if (!stats?.numberOfDocuments) {
+      // Seed in the background; results fill in as the engine indexes each batch
+      this.rebuild().catch(error => console.error('❌ MeilisearchProvider: Initial index build failed:', error.message));
+    }
+  }
+
+  async indexVideos(videos) {
+    if (videos.length === 0) return;
+    await this._ensureIndex();
+    await this.client.post(`/indexes/${this.indexUid}/documents`, videos.map(video => this.toEngineDocument(video)));
+  }
+
+  async removeVideos(videoIds) {
+    if (videoIds.length === 0) return;
+    await this._ensureIndex();
+    await this.client.post(`/indexes/${this.indexUid}/documents/delete-batch`, videoIds.map(id => id.toString()));
+  }
+
+  async rebuild() {
+    console.log(`🔁 MeilisearchProvider: Rebuilding index "${this.indexUid}" from MongoDB...`);
+    let batch = [];
+    let total = 0;
+
+    const cursor = Video.find({}).select(SEARCH_DOCUMENT_FIELDS).lean().cursor();
+    for await (const video of cursor) {
+      batch.push(this.toEngineDocument(video));
+      if (batch.length >= BATCH_SIZE) {
+        await this.client.post(`/indexes/${this.indexUid}/documents`, batch);
+        total += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await this.client.post(`/indexes/${this.indexUid}/documents`, batch);
+      total += batch.length;
+    }
+
+    console.log(`✅ MeilisearchProvider: Queued ${total} videos for indexing`);
+  }
+
+  async searchVideos(query, limit) {
+    const q = query.trim();
+    if (!q) return [];
+
+    console.log(`🔍 MeilisearchProvider: Querying videos for "${q}"`);
+
+    try {
+      const hits = await this._searchEngine(q, limit * SEARCH_CONFIG.CANDIDATE_MULTIPLIER);
+      return hydrateRankedVideos(hits, limit);
+    } catch (error) {
+      console.error('❌ MeilisearchProvider Search Error (videos), falling back to Mongo:', error.message);
+      return this.fallbackProvider.searchVideos(q, limit);
+    }
+  }
+
+  async findVideoCandidates(query, limit) {
+    try {
+      return await this._searchEngine(query.trim(), limit);
+    } catch (error) {
+      console.error('❌ MeilisearchProvider Search Error (candidates), falling back to Mongo:', error.message);
+      return this.fallbackProvider.findVideoCandidates(query, limit);
+    }
+  }
+
+  /**
+   * Literal + phonetic query in one multi-search round trip
+   * @returns {Promise<Array<{ id: string, textScore: number }>>}
+   */
+  async _searchEngine(q, limit) {
+    await this._ensureIndex();
+
+    const phoneticQuery = [...new Set(tokenize(q).map(({ key }) => key))].join(' ');
+    const common = { indexUid: this.indexUid, limit, showRankingScore: true, attributesToRetrieve: ['id'] };
+
+    const { data } = await this.client.post('/multi-search', {
+      queries: [
+        { ...common, q },
+        { ...common, q: phoneticQuery, attributesToSearchOn: ['phonetic'] }
+      ]
+    });
+
+    const [literal, phonetic] = data.results;
+    const scores = new Map();
+    for (const hit of literal.hits) scores.set(hit.id, hit._rankingScore);
+    for (const hit of phonetic.hits) {
+      const score = hit._rankingScore * PHONETIC_MATCH_WEIGHT;
+      if (score > (scores.get(hit.id) || 0)) scores.set(hit.id, score);
+    }
+
+    return [...scores.entries()]
+      .map(([id, textScore]) => ({ id, textScore }))
+      .sort((a, b) => b.textScore - a.textScore)
+      .slice(0, limit);
+  }
+
+  async searchCreators(query, limit) {
+    return this.fallbackProvider.searchCreators(query, limit);
+  }
+}
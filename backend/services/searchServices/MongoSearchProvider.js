@@ -1,5 +1,5 @@
 import { ISearchProvider } from './ISearchProvider.js';
-import Video from '../../models/Video.js';
+import Video, { publishedMatch } from '../../models/Video.js';
 import User from '../../models/User.js';
 
 /**
@@ -53,6 +53,7 @@ export default class MongoSearchProvider extends ISearchProvider {
             }
           }
         },
+        { $match: publishedMatch() },
         { $limit: limit },
         {
           $lookup: {
@@ -96,7 +97,8 @@ export default class MongoSearchProvider extends ISearchProvider {
       
       // Fallback to basic case-insensitive regex search
       const fallback = await Video.find({
-        videoName: { $regex: q, $options: 'i' }
+        videoName: { $regex: q, $options: 'i' },
+        ...publishedMatch()
       })
       .limit(limit)
       .populate('uploader', 'googleId name profilePic')
@@ -110,6 +112,52 @@ export default class MongoSearchProvider extends ISearchProvider {
     }
   }
 
+  /**
+   * Text-ranked candidate ids (Atlas searchScore, or recency order for the regex fallback).
+   * @param {string} query
+   * @param {number} limit
+   * @returns {Promise<Array<{ id: string, textScore: number }>>}
+   */
+  async findVideoCandidates(query, limit) {
+    const q = query.trim();
+    if (!q) return [];
+
+    try {
+      const hits = await Video.aggregate([
+        {
+          $search: {
+            index: 'default',
+            compound: {
+              should: [
+                { text: { query: q, path: 'videoName', score: { boost: { value: 5 } } } },
+                { text: { query: q, path: 'videoName', fuzzy: { maxEdits: 1, prefixLength: 1 }, score: { boost: { value: 2 } } } },
+                { text: { query: q, path: 'tags', score: { boost: { value: 1 } } } }
+              ],
+              minimumShouldMatch: 1
+            }
+          }
+        },
+        { $match: publishedMatch() },
+        { $limit: limit },
+        { $project: { _id: 1, score: { $meta: 'searchScore' } } }
+      ]);
+
+      return hits.map(hit => ({ id: hit._id.toString(), textScore: hit.score }));
+    } catch (err) {
+      console.error('❌ MongoSearchProvider Atlas Search Error (candidates):', err);
+
+      const escaped = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const fallback = await Video.find({ videoName: { $regex: escaped, $options: 'i' }, ...publishedMatch() })
+        .select('_id')
+        .sort({ uploadedAt: -1 })
+        .limit(limit)
+        .lean();
+
+      // No relevance signal here: every match counts the same and finalScore decides
+      return fallback.map(v => ({ id: v._id.toString(), textScore: 1 }));
+    }
+  }
+
   /**
    * Search for creators using Atlas Search or Regex Fallback.
    * @param {string} query
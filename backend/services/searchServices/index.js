@@ -0,0 +1,51 @@
+import MongoSearchProvider from './MongoSearchProvider.js';
+import LocalIndexSearchProvider from './LocalIndexSearchProvider.js';
+import MeilisearchProvider from './MeilisearchProvider.js';
+import { bindSearchIndex } from './searchIndexSync.js';
+import { SEARCH_CONFIG } from '../../constants/index.js';
+
+// **PLUG-AND-PLAY ARCHITECTURE (FFmpeg Style)**
+// SEARCH_PROVIDER picks the codec; anything implementing ISearchProvider can be swapped in at runtime.
+const PROVIDERS = {
+  mongo: () => new MongoSearchProvider(),
+  local: () => new LocalIndexSearchProvider(),
+  meilisearch: () => new MeilisearchProvider()
+};
+
+/**
+ * Instantiate a provider by name
+ * @param {string} name mongo | local | meilisearch
+ * @returns {ISearchProvider}
+ */
+export function createSearchProvider(name = SEARCH_CONFIG.PROVIDER) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    console.warn(`⚠️ Unknown SEARCH_PROVIDER "${name}", using mongo`);
+    return new MongoSearchProvider();
+  }
+  return factory();
+}
+
+let activeSearchProvider = createSearchProvider();
+bindSearchIndex(activeSearchProvider);
+
+/**
+ * Configure the active search provider (Dynamic Swap / Codec injection).
+ * Incremental index updates follow the new provider.
+ * @param {ISearchProvider} provider
+ */
+export function setSearchProvider(provider) {
+  activeSearchProvider = provider;
+  bindSearchIndex(provider);
+  console.log(`🔌 Search Provider swapped to: ${provider.constructor.name}`);
+}
+
+/**
+ * Get the currently active search provider.
+ * @returns {ISearchProvider}
+ */
+export function getSearchProvider() {
+  return activeSearchProvider;
+}
+
+export { MongoSearchProvider, LocalIndexSearchProvider, MeilisearchProvider };
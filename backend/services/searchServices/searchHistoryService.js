@@ -0,0 +1,140 @@
+import redisService from '../caching/redisService.js';
+import { normalizeText } from './textAnalysis.js';
+import { SEARCH_CONFIG } from '../../constants/index.js';
+
+const RECENT_KEY_PREFIX = 'search:recent';
+const TRENDING_KEY_PREFIX = 'search:trending';
+const POPULAR_KEY = 'search:popular';
+
+const RECENT_TTL_SECONDS = 90 * 24 * 60 * 60;
+const TRENDING_TTL_SECONDS = 3 * 24 * 60 * 60; // Today + yesterday are read, one spare day
+const YESTERDAY_WEIGHT = 0.5; // Yesterday's counts fade into today's trend
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const dayKey = (date) => `${TRENDING_KEY_PREFIX}:${date.toISOString().slice(0, 10).replace(/-/g, '')}`;
+
+/**
+ * **SearchHistoryService**
+ * Per-user recent searches and platform-wide trending / popular queries (Redis).
+ *
+ * - search:recent:{userId}      list, most recent first, capped at RECENT_LIMIT
+ * - search:trending:{YYYYMMDD}  sorted set of query -> searches that day
+ * - search:popular              sorted set of query -> all-time searches (suggest source)
+ *
+ * Reads of the shared sets are cached in-process for a few minutes; every
+ * search would otherwise cost Upstash requests on the hot path.
+ */
+class SearchHistoryService {
+  constructor() {
+    this.trendingCache = { at: 0, entries: [] };
+    this.popularCache = { at: 0, entries: [] };
+  }
+
+  /**
+   * Canonical form used as the stored member (case / punctuation insensitive)
+   */
+  normalizeQuery(query) {
+    return normalizeText(query).replace(/\s+/g, ' ').slice(0, SEARCH_CONFIG.MAX_QUERY_LENGTH);
+  }
+
+  /**
+   * Record a submitted search (not autocomplete keystrokes)
+   * @param {string} query
+   * @param {string|null} userId googleId of the searcher, null for guests
+   */
+  async recordSearch(query, userId = null) {
+    const normalized = this.normalizeQuery(query);
+    if (normalized.length < SEARCH_CONFIG.MIN_RECORDED_QUERY_LENGTH || !redisService.getConnectionStatus()) return;
+
+    const writes = [
+      redisService.zIncrBy(dayKey(new Date()), 1, normalized, TRENDING_TTL_SECONDS),
+      redisService.zIncrBy(POPULAR_KEY, 1, normalized)
+    ];
+    if (userId) {
+      writes.push(redisService.pushRecentUnique(
+        `${RECENT_KEY_PREFIX}:${userId}`, normalized, SEARCH_CONFIG.RECENT_LIMIT, RECENT_TTL_SECONDS
+      ));
+    }
+    await Promise.all(writes);
+
+    // Keep the all-time set bounded; cheap enough to do on a sample of writes
+    if (Math.random() < 0.01) {
+      await redisService.zRemRangeByRank(POPULAR_KEY, 0, -(SEARCH_CONFIG.POPULAR_QUERY_LIMIT + 1));
+    }
+  }
+
+  async getRecentSearches(userId, limit = SEARCH_CONFIG.RECENT_LIMIT) {
+    if (!userId) return [];
+    const entries = await redisService.lRange(`${RECENT_KEY_PREFIX}:${userId}`, 0, limit - 1);
+    return (entries || []).map(String);
+  }
+
+  async clearRecentSearches(userId) {
+    if (!userId) return false;
+    return redisService.del(`${RECENT_KEY_PREFIX}:${userId}`);
+  }
+
+  async removeRecentSearch(userId, query) {
+    if (!userId) return false;
+    const key = `${RECENT_KEY_PREFIX}:${userId}`;
+    const normalized = this.normalizeQuery(query);
+    const remaining = (await this.getRecentSearches(userId)).filter(entry => entry !== normalized);
+
+    await redisService.del(key);
+    if (remaining.length > 0) {
+      await redisService.rPush(key, remaining);
+      await redisService.expire(key, RECENT_TTL_SECONDS);
+    }
+    return true;
+  }
+
+  /**
+   * Trending queries: today's searches plus a fading share of yesterday's
+   * @returns {Promise<Array<{ query: string, score: number }>>}
+   */
+  async getTrendingSearches(limit = 10) {
+    if (Date.now() - this.trendingCache.at > CACHE_TTL_MS) {
+      const now = new Date();
+      const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+      const [today, previous] = await Promise.all([
+        redisService.zRevRangeWithScores(dayKey(now), 0, 99),
+        redisService.zRevRangeWithScores(dayKey(yesterday), 0, 99)
+      ]);
+
+      const scores = new Map();
+      for (const { member, score } of today) scores.set(member, score);
+      for (const { member, score } of previous) {
+        scores.set(member, (scores.get(member) || 0) + score * YESTERDAY_WEIGHT);
+      }
+
+      this.trendingCache = {
+        at: Date.now(),
+        entries: [...scores.entries()]
+          .map(([query, score]) => ({ query, score }))
+          .sort((a, b) => b.score - a.score)
+      };
+    }
+    return this.trendingCache.entries.slice(0, limit);
+  }
+
+  /**
+   * Popular queries starting with a prefix (autocomplete source)
+   * @returns {Promise<Array<{ query: string, score: number }>>}
+   */
+  async getPopularQueries(prefix, limit = 5) {
+    if (Date.now() - this.popularCache.at > CACHE_TTL_MS) {
+      const entries = await redisService.zRevRangeWithScores(POPULAR_KEY, 0, SEARCH_CONFIG.POPULAR_QUERY_LIMIT - 1);
+      this.popularCache = { at: Date.now(), entries: entries.map(({ member, score }) => ({ query: member, score })) };
+    }
+
+    const normalized = this.normalizeQuery(prefix);
+    if (!normalized) return [];
+
+    // Match at any word boundary so "gana" suggests "romantic gana"
+    return this.popularCache.entries
+      .filter(({ query }) => query.startsWith(normalized) || query.includes(` ${normalized}`))
+      .slice(0, limit);
+  }
+}
+
+export default new SearchHistoryService();
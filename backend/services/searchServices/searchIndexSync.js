@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { SEARCH_CONFIG } from '../../constants/index.js';
+import { SEARCH_DOCUMENT_FIELDS } from './textAnalysis.js';
+
+/**
+ * Incremental search index sync.
+ *
+ * The Video model hooks call queueSearchSync() with the ids of videos that
+ * were created, had searchable fields changed, or were deleted. Ids are
+ * batched for SYNC_DEBOUNCE_MS, re-read from MongoDB and pushed to the bound
+ * provider: videos that still exist are upserted, the rest are removed.
+ * Re-reading keeps the index correct no matter which write path changed the video.
+ *
+ * Nothing is bound for MongoSearchProvider, which searches the collection directly.
+ */
+
+// Fields whose change requires re-indexing a video
+export const SEARCHABLE_FIELDS = SEARCH_DOCUMENT_FIELDS.split(' ').filter(field => field !== '_id');
+
+let boundProvider = null;
+const pendingIds = new Set();
+let flushTimer = null;
+
+/**
+ * Point incremental updates at a provider (called by the provider registry)
+ * @param {ISearchProvider} provider
+ */
+export function bindSearchIndex(provider) {
+  boundProvider = provider?.usesExternalIndex?.() ? provider : null;
+  pendingIds.clear();
+}
+
+export function isSearchIndexBound() {
+  return boundProvider !== null;
+}
+
+/**
+ * Does a Mongo update document touch any searchable field?
+ * Handles both operator ($set/$unset/$push/...) and plain replacement updates.
+ */
+export function touchesSearchableFields(update) {
+  if (!update) return false;
+  const paths = Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith('$') && value && typeof value === 'object' ? Object.keys(value) : [key]
+  );
+  return paths.some(path => SEARCHABLE_FIELDS.includes(path.split('.')[0]));
+}
+
+/**
+ * Schedule re-indexing of videos
+ * @param {Array<ObjectId|string>} videoIds
+ */
+export function queueSearchSync(videoIds) {
+  if (!boundProvider || !videoIds?.length) return;
+
+  for (const id of videoIds) pendingIds.add(id.toString());
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flushSearchSync().catch(error => console.error('❌ Search Sync: Flush failed:', error.message));
+    }, SEARCH_CONFIG.SYNC_DEBOUNCE_MS);
+    flushTimer.unref?.();
+  }
+}
+
+/**
+ * Push pending changes to the bound provider now
+ */
+export async function flushSearchSync() {
+  const provider = boundProvider;
+  if (!provider || pendingIds.size === 0) return;
+
+  const ids = [...pendingIds];
+  pendingIds.clear();
+
+  try {
+    const Video = mongoose.model('Video');
+    const videos = await Video.find({ _id: { $in: ids } }).select(SEARCH_DOCUMENT_FIELDS).lean();
+    const existing = new Set(videos.map(video => video._id.toString()));
+    const removed = ids.filter(id => !existing.has(id));
+
+    await provider.indexVideos(videos);
+    await provider.removeVideos(removed);
+  } catch (error) {
+    // Put the ids back so the next write retries them
+    console.warn(`⚠️ Search Sync: Failed to sync ${ids.length} videos, will retry:`, error.message);
+    if (provider === boundProvider) queueSearchSync(ids);
+  }
+}
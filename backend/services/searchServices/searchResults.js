@@ -0,0 +1,65 @@
+import Video, { publishedMatch } from '../../models/Video.js';
+import { SEARCH_CONFIG } from '../../constants/index.js';
+
+// Same shape MongoSearchProvider returns, so clients can't tell providers apart
+const RESULT_FIELDS = 'videoName videoUrl thumbnailUrl uploader videoType duration uploadedAt views likes ' +
+  'category tags videoHash hlsPlaylistUrl hlsMasterPlaylistUrl seriesId episodeNumber finalScore';
+
+/**
+ * Blend text relevance with the recommendation finalScore:
+ *   rank = TEXT_WEIGHT × (text / bestText) + SCORE_WEIGHT × (finalScore / bestFinalScore)
+ * Both parts are normalized over the candidate set so neither scale dominates.
+ *
+ * @param {Array<{ id: string, textScore: number }>} hits Candidates from the text index
+ * @param {Map<string, Object>} videosById Candidates that survived filtering (need `finalScore`)
+ * @returns {Array<{ id: string, score: number, video: Object }>} Best first
+ */
+export function blendWithFinalScore(hits, videosById) {
+  const present = hits.filter(hit => videosById.has(hit.id));
+  if (present.length === 0) return [];
+
+  const bestText = Math.max(...present.map(hit => hit.textScore)) || 1;
+  const bestFinal = Math.max(...present.map(hit => videosById.get(hit.id).finalScore || 0)) || 1;
+
+  return present
+    .map(hit => {
+      const video = videosById.get(hit.id);
+      const score = SEARCH_CONFIG.TEXT_WEIGHT * (hit.textScore / bestText) +
+        SEARCH_CONFIG.SCORE_WEIGHT * (Math.max(video.finalScore || 0, 0) / bestFinal);
+      return { id: hit.id, score, video };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Load result cards for ranked ids, keeping the given order
+ * @param {Array<{ id: string, score: number }>} ranked
+ * @returns {Promise<Array<Object>>} Normalized videos with `score`
+ */
+export async function loadResultVideos(ranked) {
+  if (ranked.length === 0) return [];
+
+  const videos = await Video.find({ _id: { $in: ranked.map(entry => entry.id) }, ...publishedMatch() })
+    .select(RESULT_FIELDS)
+    .populate('uploader', 'googleId name profilePic')
+    .lean();
+  const byId = new Map(videos.filter(v => v.uploader).map(v => [v._id.toString(), v]));
+
+  return ranked
+    .filter(entry => byId.has(entry.id))
+    .map(entry => ({ ...byId.get(entry.id), score: entry.score, id: entry.id }));
+}
+
+/**
+ * Hydrate text-ranked hits from MongoDB, blended with finalScore
+ * @param {Array<{ id: string, textScore: number }>} hits
+ * @param {number} limit
+ * @returns {Promise<Array<Object>>}
+ */
+export async function hydrateRankedVideos(hits, limit) {
+  if (!hits || hits.length === 0) return [];
+
+  const scores = await Video.find({ _id: { $in: hits.map(hit => hit.id) }, ...publishedMatch() }).select('finalScore').lean();
+  const ranked = blendWithFinalScore(hits, new Map(scores.map(v => [v._id.toString(), v])));
+  return loadResultVideos(ranked.slice(0, limit));
+}
@@ -0,0 +1,217 @@
+/**
+ * Text analysis shared by the self-hosted search providers.
+ *
+ * Queries and documents arrive in English, Hindi (Devanagari) and Hinglish
+ * (Hindi typed in Latin script with no fixed spelling: "pyaar" / "pyar",
+ * "bhai" / "bhaai"). Every token is indexed under:
+ *   - term: the normalized surface form (Devanagari is transliterated to Latin)
+ *   - key:  a phonetic key that folds common Hinglish spelling variants together
+ * so "गाना", "gaana" and "gana" all meet at key "gan".
+ */
+
+const DEVANAGARI_RE = /[\u0900-\u097F]/;
+
+const INDEPENDENT_VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o'
+};
+
+const MATRAS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o'
+};
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh',
+  'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+const VIRAMA = '्';
+const ANUSVARA = 'ं';
+const VISARGA = 'ः';
+const INHERENT = '\u0000'; // Placeholder for the inherent "a" until we know it is not suppressed
+
+// Function words that carry no search signal (English + Hindi/Hinglish)
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'the', 'to', 'with',
+  'hai', 'hain', 'ka', 'ki', 'ke', 'ko', 'me', 'mein', 'main', 'se', 'aur', 'bhi',
+  'ye', 'yeh', 'wo', 'woh', 'tha', 'thi', 'ho', 'hi', 'na', 'ne', 'par'
+]);
+
+/**
+ * Lowercase, NFKC-fold and strip punctuation. Devanagari nukta and zero-width
+ * joiners are dropped; chandrabindu folds into anusvara.
+ */
+export const normalizeText = (text) => {
+  if (!text) return '';
+  return String(text)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/\u093C/g, '') // nukta: ज़ -> ज
+    .replace(/\u0901/g, ANUSVARA) // chandrabindu -> anusvara
+    .replace(/[\u0966-\u096F]/g, d => String(d.charCodeAt(0) - 0x0966))
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, ' ')
+    .trim();
+};
+
+/**
+ * Romanize one Devanagari word the way people type it in Hinglish
+ * (ITRANS-like, with word-final schwa deletion: "गाना" -> "gaana", "दिल" -> "dil").
+ */
+export const transliterateDevanagari = (word) => {
+  const out = [];
+  let syllables = 0;
+
+  for (const char of word) {
+    if (CONSONANTS[char]) {
+      out.push(CONSONANTS[char], INHERENT);
+      syllables++;
+    } else if (MATRAS[char]) {
+      if (out[out.length - 1] === INHERENT) out.pop();
+      out.push(MATRAS[char]);
+    } else if (char === VIRAMA) {
+      if (out[out.length - 1] === INHERENT) out.pop();
+    } else if (char === ANUSVARA) {
+      out.push('n');
+    } else if (char === VISARGA) {
+      out.push('h');
+    } else if (INDEPENDENT_VOWELS[char]) {
+      out.push(INDEPENDENT_VOWELS[char]);
+      syllables++;
+    } else if (!DEVANAGARI_RE.test(char)) {
+      out.push(char);
+    }
+  }
+
+  // Schwa deletion: the last inherent vowel is silent in multi-syllable words
+  if (out[out.length - 1] === INHERENT && syllables > 1) out.pop();
+
+  return out.map(part => (part === INHERENT ? 'a' : part)).join('');
+};
+
+/**
+ * Fold Hinglish spelling variants onto one key
+ * ("pyaar"/"pyar" -> "pyar", "bhaai"/"bhai" -> "bai", "gaana"/"gana" -> "gan").
+ */
+export const phoneticKey = (term) => {
+  if (!term) return '';
+  if (/^\d+$/.test(term)) return term;
+
+  let key = term
+    .replace(/ph/g, 'f')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/ck/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/chh/g, 'ch')
+    .replace(/sh/g, 's')
+    .replace(/([bdgjkpt])h/g, '$1') // aspirates: bh, dh, th, kh ...
+    .replace(/ee|ii/g, 'i')
+    .replace(/oo|uu/g, 'u')
+    .replace(/aa+/g, 'a')
+    .replace(/y$/, 'i')
+    .replace(/(.)\1+/g, '$1'); // doubled letters: "dill" -> "dil"
+
+  // Trailing schwa is optional in Hinglish spelling ("gana" / "gaan")
+  if (key.length > 3 && key.endsWith('a')) key = key.slice(0, -1);
+  return key;
+};
+
+/**
+ * Tokenize text into { term, key } pairs.
+ * @param {String} text
+ * @param {Object} options { keepStopwords: Boolean }
+ * @returns {Array<{ term: String, key: String }>}
+ */
+export const tokenize = (text, { keepStopwords = false } = {}) => {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+
+  const tokens = [];
+  for (const word of normalized.split(/\s+/)) {
+    if (!/[\p{L}\p{N}]/u.test(word)) continue; // lone combining marks / emoji selectors
+    const term = DEVANAGARI_RE.test(word) ? transliterateDevanagari(word) : word;
+    if (!term) continue;
+    if (!keepStopwords && STOPWORDS.has(term)) continue;
+    tokens.push({ term, key: phoneticKey(term) });
+  }
+
+  // A query made only of stopwords ("ye hai") should still match something
+  if (tokens.length === 0 && !keepStopwords) {
+    return tokenize(text, { keepStopwords: true });
+  }
+  return tokens;
+};
+
+/**
+ * Max edit distance we tolerate for a term of this length
+ */
+export const typoBudget = (length) => {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance with an early exit
+ * once every cell of a row is above maxDistance.
+ */
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+};
+
+/**
+ * Fields indexed per video and their relevance weight
+ */
+export const VIDEO_FIELD_WEIGHTS = {
+  videoName: 3,
+  tags: 2,
+  keywords: 1.5,
+  category: 1,
+  description: 1
+};
+
+/**
+ * Flatten a Video (document or lean) into the text fields we index
+ */
+export const toSearchDocument = (video) => ({
+  id: video._id.toString(),
+  videoName: video.videoName || '',
+  description: video.description || '',
+  category: video.category || '',
+  tags: Array.isArray(video.tags) ? video.tags.join(' ') : '',
+  keywords: Array.isArray(video.keywords) ? video.keywords.join(' ') : ''
+});
+
+export const SEARCH_DOCUMENT_FIELDS = '_id videoName description category tags keywords';
@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import Video, { publishedMatch } from '../../models/Video.js';
+import { getSearchProvider } from './index.js';
+import { blendWithFinalScore, loadResultVideos } from './searchResults.js';
+import searchHistoryService from './searchHistoryService.js';
+import { normalizeText } from './textAnalysis.js';
+import { SEARCH_CONFIG } from '../../constants/index.js';
+
+// Duration facet buckets (seconds); `duration=<key>` is shorthand for the range
+export const DURATION_BUCKETS = [
+  { key: 'short', min: 0, max: 60 },
+  { key: 'medium', min: 60, max: 300 },
+  { key: 'long', min: 300, max: null }
+];
+
+// Upload date facet windows (days); `uploadedWithin=<key>` is shorthand for uploadedAfter
+export const UPLOAD_WINDOWS = [
+  { key: 'day', days: 1 },
+  { key: 'week', days: 7 },
+  { key: 'month', days: 30 },
+  { key: 'year', days: 365 }
+];
+
+const FACET_FIELDS = 'finalScore category language videoType duration uploadedAt';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class SearchFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchFilterError';
+  }
+}
+
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value).flatMap(v => v.toString().split(',')).map(v => v.trim()).filter(Boolean);
+};
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) throw new SearchFilterError(`${name} must be a non-negative number`);
+  return number;
+};
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value.toString());
+  if (Number.isNaN(date.getTime())) throw new SearchFilterError(`${name} must be an ISO date`);
+  return date;
+};
+
+/**
+ * Parse filter query params
+ * (category, language, videoType: comma lists; minDuration / maxDuration or duration=short|medium|long;
+ * uploadedAfter / uploadedBefore or uploadedWithin=day|week|month|year)
+ * @throws {SearchFilterError}
+ */
+export function parseSearchFilters(params = {}) {
+  const filters = {
+    category: parseList(params.category).map(v => v.toLowerCase()),
+    language: parseList(params.language),
+    videoType: parseList(params.videoType),
+    minDuration: parseNumber(params.minDuration, 'minDuration'),
+    maxDuration: parseNumber(params.maxDuration, 'maxDuration'),
+    uploadedAfter: parseDate(params.uploadedAfter, 'uploadedAfter'),
+    uploadedBefore: parseDate(params.uploadedBefore, 'uploadedBefore'),
+    uploadedWithin: null
+  };
+
+  if (params.duration) {
+    const bucket = DURATION_BUCKETS.find(b => b.key === params.duration);
+    if (!bucket) throw new SearchFilterError(`duration must be one of: ${DURATION_BUCKETS.map(b => b.key).join(', ')}`);
+    filters.minDuration = bucket.min;
+    filters.maxDuration = bucket.max;
+  }
+
+  if (params.uploadedWithin) {
+    const window = UPLOAD_WINDOWS.find(w => w.key === params.uploadedWithin);
+    if (!window) throw new SearchFilterError(`uploadedWithin must be one of: ${UPLOAD_WINDOWS.map(w => w.key).join(', ')}`);
+    // Kept as the key (resolved at query time) so cursors stay valid across pages
+    filters.uploadedWithin = window.key;
+  }
+
+  if (filters.minDuration !== null && filters.maxDuration !== null && filters.minDuration > filters.maxDuration) {
+    throw new SearchFilterError('minDuration cannot exceed maxDuration');
+  }
+  return filters;
+}
+
+/**
+ * MongoDB match for parsed filters
+ */
+export function buildFilterMatch(filters) {
+  const match = {};
+  if (filters.category.length) match.category = { $in: filters.category };
+  if (filters.language.length) match.language = { $in: filters.language };
+  if (filters.videoType.length) match.videoType = { $in: filters.videoType };
+
+  if (filters.minDuration !== null || filters.maxDuration !== null) {
+    match.duration = {};
+    if (filters.minDuration !== null) match.duration.$gte = filters.minDuration;
+    if (filters.maxDuration !== null) match.duration.$lt = filters.maxDuration;
+  }
+  const window = UPLOAD_WINDOWS.find(w => w.key === filters.uploadedWithin);
+  const uploadedAfter = window ? new Date(Date.now() - window.days * DAY_MS) : filters.uploadedAfter;
+  if (uploadedAfter || filters.uploadedBefore) {
+    match.uploadedAt = {};
+    if (uploadedAfter) match.uploadedAt.$gte = uploadedAfter;
+    if (filters.uploadedBefore) match.uploadedAt.$lte = filters.uploadedBefore;
+  }
+  return match;
+}
+
+/**
+ * Cursors are opaque offsets into the ranked result set, bound to the query and
+ * filters they were issued for so they can't be replayed against another search.
+ */
+const fingerprint = (query, filters) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify([normalizeText(query), filters]))
+  .digest('base64url')
+  .slice(0, 12);
+
+export function encodeCursor(offset, query, filters) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint(query, filters) })).toString('base64url');
+}
+
+export function decodeCursor(cursor, query, filters) {
+  if (!cursor) return 0;
+  try {
+    const { o, f } = JSON.parse(Buffer.from(cursor.toString(), 'base64url').toString('utf8'));
+    if (Number.isInteger(o) && o >= 0 && f === fingerprint(query, filters)) return o;
+  } catch (error) { /* fall through */ }
+  throw new SearchFilterError('Invalid cursor for this search');
+}
+
+const countBy = (videos, field) => {
+  const counts = new Map();
+  for (const video of videos) {
+    const value = video[field];
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Facet counts over the filtered result set
+ */
+export function computeFacets(videos, now = Date.now()) {
+  return {
+    category: countBy(videos, 'category'),
+    language: countBy(videos, 'language'),
+    videoType: countBy(videos, 'videoType'),
+    duration: DURATION_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: videos.filter(v => (v.duration || 0) >= bucket.min && (bucket.max === null || (v.duration || 0) < bucket.max)).length
+    })),
+    uploadedWithin: UPLOAD_WINDOWS.map(window => ({
+      key: window.key,
+      count: videos.filter(v => v.uploadedAt && now - new Date(v.uploadedAt).getTime() <= window.days * DAY_MS).length
+    }))
+  };
+}
+
+/**
+ * One page of filtered, faceted search results
+ * @param {string} query
+ * @param {Object} options { filters (from parseSearchFilters), cursor, limit }
+ * @returns {Promise<{ videos, nextCursor, hasMore, total, facets }>}
+ * @throws {SearchFilterError} For a cursor issued for a different search
+ */
+export async function searchVideoPage(query, { filters, cursor = null, limit = SEARCH_CONFIG.DEFAULT_PAGE_SIZE }) {
+  const offset = decodeCursor(cursor, query, filters);
+
+  // Every page ranks the same candidate window, so pages never overlap or skip
+  const hits = await getSearchProvider().findVideoCandidates(query, SEARCH_CONFIG.MAX_CANDIDATES);
+  if (hits.length === 0) {
+    return { videos: [], nextCursor: null, hasMore: false, total: 0, facets: computeFacets([]) };
+  }
+
+  const candidates = await Video.find({ _id: { $in: hits.map(hit => hit.id) }, ...publishedMatch(), ...buildFilterMatch(filters) })
+    .select(FACET_FIELDS)
+    .lean();
+  const ranked = blendWithFinalScore(hits, new Map(candidates.map(v => [v._id.toString(), v])));
+
+  const videos = await loadResultVideos(ranked.slice(offset, offset + limit));
+  const hasMore = offset + limit < ranked.length;
+
+  return {
+    videos,
+    nextCursor: hasMore ? encodeCursor(offset + limit, query, filters) : null,
+    hasMore,
+    total: ranked.length,
+    facets: computeFacets(ranked.map(entry => entry.video))
+  };
+}
+
+/**
+ * Autocomplete: popular queries first, then matching video names
+ * @returns {Promise<Array<{ type: 'query'|'video', text: string, videoId?: string }>>}
+ */
+export async function suggest(prefix, limit = SEARCH_CONFIG.SUGGEST_LIMIT) {
+  const provider = getSearchProvider();
+
+  const [popular, hits] = await Promise.all([
+    searchHistoryService.getPopularQueries(prefix, limit),
+    provider.findVideoCandidates(prefix, limit * 2)
+  ]);
+
+  let titles = [];
+  if (hits.length > 0) {
+    const videos = await Video.find({ _id: { $in: hits.map(hit => hit.id) }, ...publishedMatch() }).select('videoName').lean();
+    const byId = new Map(videos.map(v => [v._id.toString(), v]));
+    titles = hits.filter(hit => byId.has(hit.id)).map(hit => byId.get(hit.id));
+  }
+
+  // Atlas text search has no prefix matching; complete partial words from titles directly
+  if (titles.length < limit && !provider.usesExternalIndex()) {
+    const escaped = prefix.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const excluded = titles.map(v => v._id);
+    const more = await Video.find({ _id: { $nin: excluded }, ...publishedMatch(), videoName: { $regex: `(^|\\s)${escaped}`, $options: 'i' } })
+      .select('videoName')
+      .sort({ finalScore: -1 })
+      .limit(limit - titles.length)
+      .lean();
+    titles = titles.concat(more);
+  }
+
+  const seen = new Set();
+  const suggestions = [];
+  const offer = (suggestion) => {
+    const key = normalizeText(suggestion.text);
+    if (!key || seen.has(key) || suggestions.length >= limit) return;
+    seen.add(key);
+    suggestions.push(suggestion);
+  };
+
+  popular.forEach(({ query }) => offer({ type: 'query', text: query }));
+  titles.forEach(video => offer({ type: 'video', text: video.videoName, videoId: video._id.toString() }));
+  return suggestions;
+}
@@ -0,0 +1,281 @@
+import mongoose from 'mongoose';
+import Tag from '../../models/Tag.js';
+import Video, { publishedMatch } from '../../models/Video.js';
+import View from '../../models/View.js';
+import { normalizeTag } from '../../utils/hashtags.js';
+import { TAG_CONFIG } from '../../constants/index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SORTS = {
+  recent: 'uploadedAt',
+  top: 'finalScore'
+};
+
+const dateKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Trending score of a tag from its current window and daily baseline.
+ * Velocity is the smoothed ratio of current activity to the baseline, so a
+ * tag doubling its usual volume outranks a big tag running at its normal pace;
+ * the log of absolute activity keeps one-off spikes on tiny tags in check.
+ */
+export function scoreTrending({ uploads24h, views24h, baselineUploads, baselineViews }) {
+  const activity = uploads24h + views24h / TAG_CONFIG.VIEWS_PER_UPLOAD;
+  if (activity < TAG_CONFIG.MIN_TRENDING_ACTIVITY) return 0;
+
+  const uploadVelocity = (uploads24h + TAG_CONFIG.UPLOAD_PRIOR) / (baselineUploads + TAG_CONFIG.UPLOAD_PRIOR);
+  const viewVelocity = (views24h + TAG_CONFIG.VIEW_PRIOR) / (baselineViews + TAG_CONFIG.VIEW_PRIOR);
+  const velocity = TAG_CONFIG.UPLOAD_WEIGHT * uploadVelocity + TAG_CONFIG.VIEW_WEIGHT * viewVelocity;
+
+  return Math.round(velocity * Math.log10(10 + activity) * 1000) / 1000;
+}
+
+/**
+ * **TagService**
+ * Tag pages and trending hashtags. Hashtags are parsed into Video.hashtags and
+ * counted per tag by the Video model hooks; this service reads them and
+ * recomputes the windowed trending scores.
+ */
+class TagService {
+  constructor() {
+    this.isRecalculating = false;
+    this.lastReconciledDay = null;
+  }
+
+  async getTag(rawTag) {
+    const tag = normalizeTag(rawTag);
+    if (!tag) return null;
+    return Tag.findOne({ tag }).lean();
+  }
+
+  /**
+   * Public videos carrying a tag
+   * @param {string} rawTag
+   * @param {Object} options { sort: 'recent'|'top', cursor, limit }
+   * @returns {Promise<{ tag, videos, nextCursor, hasMore }|null>} null for an invalid tag
+   */
+  async getTagFeed(rawTag, { sort = 'recent', cursor = null, limit = 20 } = {}) {
+    const tag = normalizeTag(rawTag);
+    if (!tag) return null;
+
+    const sortField = SORTS[sort] || SORTS.recent;
+    const query = {
+      hashtags: tag,
+      processingStatus: 'completed',
+      isSubscriberOnly: { $ne: true },
+      ...publishedMatch()
+    };
+
+    const position = this._decodeCursor(cursor, sortField);
+    if (position) {
+      query.$or = [
+        { [sortField]: { $lt: position.value } },
+        { [sortField]: position.value, _id: { $lt: position.id } }
+      ];
+    }
+
+    const [tagDoc, videos] = await Promise.all([
+      Tag.findOne({ tag }).lean(),
+      Video.find(query)
+        .populate('uploader', 'name profilePic googleId')
+        .sort({ [sortField]: -1, _id: -1 })
+        .limit(limit + 1)
+        .lean()
+    ]);
+
+    const hasMore = videos.length > limit;
+    const page = videos.slice(0, limit).filter(video => video.uploader);
+    const last = videos.slice(0, limit).pop();
+
+    return {
+      tag: tagDoc || { tag, videoCount: 0 },
+      videos: page,
+      nextCursor: hasMore && last ? this._encodeCursor(last, sortField) : null,
+      hasMore
+    };
+  }
+
+  _encodeCursor(video, sortField) {
+    const value = sortField === 'uploadedAt' ? new Date(video.uploadedAt).toISOString() : (video.finalScore || 0);
+    return Buffer.from(JSON.stringify({ v: value, id: video._id.toString() })).toString('base64url');
+  }
+
+  _decodeCursor(cursor, sortField) {
+    if (!cursor) return null;
+    try {
+      const { v, id } = JSON.parse(Buffer.from(cursor.toString(), 'base64url').toString('utf8'));
+      const value = sortField === 'uploadedAt' ? new Date(v) : Number(v);
+      if (!mongoose.Types.ObjectId.isValid(id) || (sortField === 'uploadedAt' && Number.isNaN(value.getTime()))) return null;
+      return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async getTrending(limit = 20) {
+    return Tag.find({ trendingScore: { $gt: 0 } })
+      .sort({ trendingScore: -1 })
+      .limit(limit)
+      .select('tag videoCount uploads24h views24h baselineUploads baselineViews trendingScore trendingUpdatedAt')
+      .lean();
+  }
+
+  /**
+   * Recompute the 24h window, baseline and trending score of every active tag.
+   * Called from recommendationScoreCron.
+   */
+  async recalculateTrending(now = new Date()) {
+    if (this.isRecalculating) {
+      console.log('⚠️ Tag trending recalculation already in progress, skipping...');
+      return null;
+    }
+    this.isRecalculating = true;
+
+    try {
+      const since = new Date(now.getTime() - TAG_CONFIG.TRENDING_WINDOW_HOURS * HOUR_MS);
+      const [uploads, views] = await Promise.all([
+        this._countUploadsSince(since),
+        this._countViewsSince(since)
+      ]);
+
+      const activeTags = new Set([...uploads.keys(), ...views.keys()]);
+      // Tags that were active last run but went quiet need their window zeroed
+      const tags = await Tag.find({
+        $or: [
+          { tag: { $in: [...activeTags] } },
+          { uploads24h: { $gt: 0 } },
+          { views24h: { $gt: 0 } },
+          { trendingScore: { $gt: 0 } }
+        ]
+      }).select('tag uploads24h views24h dailyStats').lean();
+
+      const known = new Set(tags.map(doc => doc.tag));
+      const yesterday = dateKey(new Date(now.getTime() - DAY_MS));
+
+      const operations = tags.map(doc => this._trendingUpdate(doc, uploads, views, yesterday, now));
+      // Tags seen in the window but never counted by the hooks (e.g. description set via query update)
+      for (const tag of activeTags) {
+        if (known.has(tag)) continue;
+        operations.push(this._trendingUpdate({ tag, dailyStats: [] }, uploads, views, yesterday, now, true));
+      }
+
+      if (operations.length > 0) await Tag.bulkWrite(operations, { ordered: false });
+
+      // Once per UTC day, rebuild videoCount / totalViews from the videos themselves
+      let reconciled = 0;
+      if (this.lastReconciledDay !== dateKey(now)) {
+        reconciled = await this.reconcileCounts();
+        this.lastReconciledDay = dateKey(now);
+      }
+
+      return { tags: operations.length, active: activeTags.size, reconciled };
+    } finally {
+      this.isRecalculating = false;
+    }
+  }
+
+  _trendingUpdate(doc, uploads, views, yesterday, now, upsert = false) {
+    const uploads24h = uploads.get(doc.tag) || 0;
+    const views24h = views.get(doc.tag) || 0;
+
+    // First run of a new day: the stored window is (close to) yesterday's total
+    let dailyStats = doc.dailyStats || [];
+    if (!upsert && !dailyStats.some(day => day.date === yesterday)) {
+      dailyStats = [...dailyStats, { date: yesterday, uploads: doc.uploads24h || 0, views: doc.views24h || 0 }]
+        .slice(-TAG_CONFIG.BASELINE_DAYS);
+    }
+
+    const average = (field) => dailyStats.length
+      ? dailyStats.reduce((sum, day) => sum + (day[field] || 0), 0) / dailyStats.length
+      : 0;
+    const baselineUploads = average('uploads');
+    const baselineViews = average('views');
+
+    return {
+      updateOne: {
+        filter: { tag: doc.tag },
+        update: {
+          $set: {
+            uploads24h,
+            views24h,
+            dailyStats,
+            baselineUploads,
+            baselineViews,
+            trendingScore: scoreTrending({ uploads24h, views24h, baselineUploads, baselineViews }),
+            trendingUpdatedAt: now
+          }
+        },
+        upsert
+      }
+    };
+  }
+
+  async _countUploadsSince(since) {
+    const rows = await Video.aggregate([
+      { $match: { uploadedAt: { $gte: since }, 'hashtags.0': { $exists: true } } },
+      { $unwind: '$hashtags' },
+      { $group: { _id: '$hashtags', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [row._id, row.count]));
+  }
+
+  async _countViewsSince(since) {
+    const rows = await View.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: '$video', views: { $sum: 1 } } },
+      {
+        $lookup: {
+          from: 'videos',
+          let: { videoId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$videoId'] } } },
+            { $project: { hashtags: 1 } }
+          ],
+          as: 'video'
+        }
+      },
+      { $unwind: '$video' },
+      { $unwind: '$video.hashtags' },
+      { $group: { _id: '$video.hashtags', views: { $sum: '$views' } } }
+    ]);
+    return new Map(rows.map(row => [row._id, row.views]));
+  }
+
+  /**
+   * Rebuild videoCount / totalViews from Video.hashtags (fixes drift from deletes
+   * and query-level updates that the save hook can't diff)
+   * @returns {Promise<number>} Tags written
+   */
+  async reconcileCounts() {
+    const rows = await Video.aggregate([
+      { $match: { 'hashtags.0': { $exists: true } } },
+      { $unwind: '$hashtags' },
+      {
+        $group: {
+          _id: '$hashtags',
+          videoCount: { $sum: 1 },
+          totalViews: { $sum: '$views' },
+          lastUsedAt: { $max: '$uploadedAt' }
+        }
+      }
+    ]);
+
+    const counted = rows.map(row => row._id);
+    await Tag.bulkWrite([
+      ...rows.map(row => ({
+        updateOne: {
+          filter: { tag: row._id },
+          update: { $set: { videoCount: row.videoCount, totalViews: row.totalViews, lastUsedAt: row.lastUsedAt } },
+          upsert: true
+        }
+      })),
+      { updateMany: { filter: { tag: { $nin: counted } }, update: { $set: { videoCount: 0 } } } }
+    ], { ordered: false });
+
+    return rows.length;
+  }
+}
+
+export default new TagService();
@@ -0,0 +1,385 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import path from 'path';
+import fs from 'fs';
+import nodeCrypto from 'crypto';
+import Video from '../../models/Video.js';
+import User from '../../models/User.js';
+import VideoCaption from '../../models/VideoCaption.js';
+import AIService from '../aiService.js';
+import cloudflareR2Service from './cloudflareR2Service.js';
+import { setMediaGroup, buildSingleFilePlaylist, playlistPrefix } from './hlsManifest.js';
+import redisService from '../caching/redisService.js';
+import { invalidateCache, VideoCacheKeys } from '../../middleware/cacheMiddleware.js';
+import { CAPTION_CONFIG } from '../../constants/index.js';
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+const SUBTITLE_GROUP = { type: 'SUBTITLES', groupId: 'subs' };
+const NO_AUDIO = /does not contain any stream|matches no streams|Output file is empty/i;
+
+export class CaptionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CaptionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const roundMs = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Seconds -> WebVTT timestamp (HH:MM:SS.mmm)
+ */
+export const formatTimestamp = (seconds) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+};
+
+/**
+ * Break timed transcript segments into readable cues of at most maxChars,
+ * sharing each segment's time between its cues by text length
+ * @param {Array<{ start: number, end: number, text: string }>} segments
+ */
+export const segmentsToCues = (segments, { maxChars = CAPTION_CONFIG.MAX_CUE_CHARS } = {}) => {
+  const cues = [];
+
+  for (const segment of segments) {
+    const text = String(segment.text || '').replace(/\s+/g, ' ').trim();
+    if (!text || !(segment.end > segment.start)) continue;
+
+    const pieces = [];
+    let current = '';
+    for (const word of text.split(' ')) {
+      if (current && current.length + 1 + word.length > maxChars) {
+        pieces.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+    if (current) pieces.push(current);
+
+    const totalChars = pieces.reduce((sum, piece) => sum + piece.length, 0);
+    let start = segment.start;
+    pieces.forEach((piece, i) => {
+      const end = i === pieces.length - 1
+        ? segment.end
+        : start + (segment.end - segment.start) * (piece.length / totalChars);
+      cues.push({ start: roundMs(start), end: roundMs(end), text: piece });
+      start = end;
+    });
+  }
+
+  return cues;
+};
+
+const escapeCueText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Render cues as a WebVTT document. The timestamp map aligns cues with the
+ * MPEG-TS segments of the HLS ladder.
+ */
+export const buildWebVtt = (cues, { mpegtsOffset = CAPTION_CONFIG.MPEGTS_OFFSET } = {}) => {
+  const blocks = cues.map((cue, i) =>
+    `${i + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${escapeCueText(cue.text)}`
+  );
+  return `WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:${mpegtsOffset},LOCAL:00:00:00.000\n\n${blocks.join('\n\n')}\n`;
+};
+
+/**
+ * Validate and normalise creator-edited cues
+ * @param {Array} cues [{ start, end, text }] in seconds
+ * @param {Object} options { duration: video length in seconds, if known }
+ * @returns {Array} Cues sorted by start time
+ * @throws {CaptionError}
+ */
+export const validateCues = (cues, { duration = 0 } = {}) => {
+  if (!Array.isArray(cues)) throw new CaptionError('cues must be an array');
+  if (cues.length > CAPTION_CONFIG.MAX_CUES) throw new CaptionError(`A track can have at most ${CAPTION_CONFIG.MAX_CUES} cues`);
+
+  const limit = duration > 0 ? duration + 1 : Infinity;
+  const normalized = cues.map((cue, i) => {
+    const start = Number(cue?.start);
+    const end = Number(cue?.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      throw new CaptionError(`Cue ${i + 1}: end must be after start`);
+    }
+    if (end > limit) throw new CaptionError(`Cue ${i + 1}: ends after the video`);
+
+    // A blank line or an arrow would end the cue early in WebVTT
+    const text = String(cue.text ?? '').replace(/-->/g, '→').replace(/\r/g, '').replace(/\n{2,}/g, '\n').trim();
+    if (!text) throw new CaptionError(`Cue ${i + 1}: text is required`);
+    if (text.length > CAPTION_CONFIG.MAX_CUE_TEXT) {
+      throw new CaptionError(`Cue ${i + 1}: text is longer than ${CAPTION_CONFIG.MAX_CUE_TEXT} characters`);
+    }
+
+    return { start: roundMs(start), end: roundMs(end), text };
+  });
+
+  return normalized.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * **CaptionService**
+ * Auto-captions for processed uploads: transcribes the audio into timed
+ * cues, translates them into the uploader's preferred languages, and
+ * publishes every track as WebVTT plus a SUBTITLES rendition in the HLS master.
+ */
+class CaptionService {
+  constructor() {
+    this.tempDir = path.join(process.cwd(), 'uploads', 'temp', 'captions');
+  }
+
+  /**
+   * Caption a freshly processed upload
+   * @param {String|ObjectId} videoId
+   * @param {string} videoPath Local source file
+   * @returns {Promise<Array|null>} Published tracks, or null when there was nothing to caption
+   */
+  async generateForVideo(videoId, videoPath) {
+    const video = await Video.findById(videoId).select('uploader language duration hlsMasterPlaylistUrl').lean();
+    if (!video?.hlsMasterPlaylistUrl) return null;
+
+    await Video.updateOne({ _id: videoId }, { $set: { captionStatus: 'processing' } });
+
+    try {
+      const source = CAPTION_CONFIG.LANGUAGES[video.language] ? video.language : CAPTION_CONFIG.DEFAULT_SOURCE_LANGUAGE;
+      const cues = segmentsToCues(await this.transcribe(videoPath, video.duration));
+      if (cues.length === 0) {
+        await Video.updateOne({ _id: videoId }, { $set: { captionStatus: 'none' } });
+        console.log(`💬 Captions: No speech found in ${videoId}`);
+        return null;
+      }
+      await this._saveAutoTrack(videoId, source, cues, true);
+
+      // Translations follow the uploader's own language preferences
+      const uploader = await User.findById(video.uploader).select('preferredLanguages').lean();
+      const targets = [...new Set(uploader?.preferredLanguages || [])]
+        .filter(language => CAPTION_CONFIG.LANGUAGES[language] && language !== source)
+        .slice(0, CAPTION_CONFIG.MAX_TRANSLATIONS);
+
+      for (const target of targets) {
+        const translated = await this.translateCues(cues, source, target);
+        if (translated) await this._saveAutoTrack(videoId, target, translated, false);
+      }
+
+      const tracks = await this.publish(videoId);
+      console.log(`💬 Captions: Published ${tracks.map(track => track.code).join(', ')} for ${videoId}`);
+      return tracks;
+    } catch (error) {
+      await Video.updateOne({ _id: videoId }, { $set: { captionStatus: 'failed' } });
+      throw error;
+    }
+  }
+
+  /**
+   * Transcribe a video's audio in chunks into timed segments
+   * @returns {Promise<Array<{ start: number, end: number, text: string }>>} Empty without an audio track
+   */
+  async transcribe(videoPath, durationSeconds = 0) {
+    const chunkSeconds = CAPTION_CONFIG.CHUNK_SECONDS;
+    const maxSeconds = Math.min(durationSeconds || CAPTION_CONFIG.MAX_AUDIO_SECONDS, CAPTION_CONFIG.MAX_AUDIO_SECONDS);
+    const sessionDir = path.join(this.tempDir, nodeCrypto.randomUUID());
+    fs.mkdirSync(sessionDir, { recursive: true });
+
+    try {
+      try {
+        await this._splitAudio(videoPath, sessionDir, chunkSeconds, maxSeconds);
+      } catch (error) {
+        if (NO_AUDIO.test(error.message)) return [];
+        throw error;
+      }
+
+      const chunks = fs.readdirSync(sessionDir).filter(file => file.endsWith('.wav')).sort();
+      const segments = [];
+
+      for (const [index, chunk] of chunks.entries()) {
+        const offset = index * chunkSeconds;
+        const chunkEnd = Math.min(offset + chunkSeconds, maxSeconds);
+        const timed = await AIService.transcribeTimed(path.join(sessionDir, chunk));
+
+        timed.forEach((segment, i) => {
+          const start = offset + Math.max(0, segment.start || 0);
+          // Open-ended segments run until the next one (or the end of the chunk)
+          const nextStart = timed[i + 1] ? offset + timed[i + 1].start : chunkEnd;
+          const end = Number.isFinite(segment.end) ? offset + segment.end : nextStart;
+          segments.push({ start, end: Math.min(end, chunkEnd), text: segment.text });
+        });
+      }
+
+      return segments;
+    } finally {
+      fs.rmSync(sessionDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Translate cue by cue so timings carry over unchanged
+   * @returns {Promise<Array|null>} null when the engine returned nothing translated
+   */
+  async translateCues(cues, sourceLanguage, targetLanguage) {
+    const source = CAPTION_CONFIG.LANGUAGES[sourceLanguage];
+    const target = CAPTION_CONFIG.LANGUAGES[targetLanguage];
+    const translated = [];
+    let changed = 0;
+
+    for (const cue of cues) {
+      const text = (await AIService.translate(cue.text, target.engineCode, source.engineCode))?.trim() || cue.text;
+      if (text !== cue.text) changed++;
+      translated.push({ ...cue, text });
+    }
+
+    // Engines fall back to the input on errors; an untranslated copy is not a track
+    if (changed === 0) {
+      console.warn(`⚠️ Captions: Translation to ${targetLanguage} returned the original text, skipping track`);
+      return null;
+    }
+    return translated;
+  }
+
+  /**
+   * Upload caption tracks and list them in the HLS master playlist
+   * @param {String|ObjectId} videoId
+   * @param {Object} options { languages: only re-upload these tracks' WebVTT (all by default) }
+   * @returns {Promise<Array>} Video.captions entries
+   */
+  async publish(videoId, { languages = null } = {}) {
+    const video = await Video.findById(videoId).select('uploader duration hlsMasterPlaylistUrl').lean();
+    const masterKey = cloudflareR2Service.getKeyFromUrl(video?.hlsMasterPlaylistUrl);
+    if (!masterKey) throw new CaptionError('Video has no HLS master playlist', 409);
+
+    const prefix = playlistPrefix(masterKey);
+    const tracks = await VideoCaption.find({ videoId }).sort({ isOriginal: -1, createdAt: 1 }).lean();
+    const captions = [];
+
+    for (const track of tracks) {
+      const { code, name } = CAPTION_CONFIG.LANGUAGES[track.language];
+      const vttKey = `${prefix}subs/${code}.vtt`;
+      const playlistKey = `${prefix}subs/${code}.m3u8`;
+
+      if (!languages || languages.includes(track.language)) {
+        await cloudflareR2Service.uploadContentToR2(buildWebVtt(track.cues), vttKey, 'text/vtt');
+        await cloudflareR2Service.uploadContentToR2(buildSingleFilePlaylist(`${code}.vtt`, video.duration), playlistKey, 'application/x-mpegURL');
+      }
+
+      captions.push({
+        language: track.language,
+        code,
+        name,
+        url: cloudflareR2Service.getPublicUrl(vttKey),
+        playlistUrl: cloudflareR2Service.getPublicUrl(playlistKey),
+        isOriginal: track.isOriginal,
+        isAuto: track.isAuto
+      });
+    }
+
+    const master = await cloudflareR2Service.getObjectText(masterKey);
+    const updated = setMediaGroup(master, SUBTITLE_GROUP, captions.map(caption => ({
+      name: caption.name,
+      language: caption.code,
+      uri: `subs/${caption.code}.m3u8`,
+      isDefault: false
+    })));
+    await cloudflareR2Service.uploadContentToR2(updated, masterKey, 'application/x-mpegURL');
+
+    await Video.updateOne({ _id: videoId }, { $set: { captions, captionStatus: captions.length > 0 ? 'completed' : 'none' } });
+    await this._invalidateCaches(video);
+    return captions;
+  }
+
+  /**
+   * Cues of one track, for the creator's caption editor
+   * @throws {CaptionError}
+   */
+  async getTrack(videoId, language, userGoogleId) {
+    await this._assertOwner(videoId, userGoogleId);
+    const track = await VideoCaption.findOne({ videoId, language }).lean();
+    if (!track) throw new CaptionError('Caption track not found', 404);
+    return track;
+  }
+
+  /**
+   * Replace the cues of a track (creating it for a supported language) and republish it
+   * @returns {Promise<Object>} The saved track
+   * @throws {CaptionError}
+   */
+  async updateCues(videoId, language, cues, userGoogleId) {
+    if (!CAPTION_CONFIG.LANGUAGES[language]) {
+      throw new CaptionError(`Unsupported caption language. Choose one of: ${Object.keys(CAPTION_CONFIG.LANGUAGES).join(', ')}`);
+    }
+    const video = await this._assertOwner(videoId, userGoogleId);
+    if (!video.hlsMasterPlaylistUrl) throw new CaptionError('Captions can be edited once the video has finished processing', 409);
+
+    const normalized = validateCues(cues, { duration: video.duration });
+    if (normalized.length === 0) throw new CaptionError('A track needs at least one cue');
+
+    const hasOriginal = await VideoCaption.exists({ videoId, isOriginal: true, language: { $ne: language } });
+    const track = await VideoCaption.findOneAndUpdate(
+      { videoId, language },
+      {
+        $set: { cues: normalized, isAuto: false, editedAt: new Date() },
+        $setOnInsert: { isOriginal: !hasOriginal }
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    await this.publish(videoId, { languages: [language] });
+    return track;
+  }
+
+  async _assertOwner(videoId, userGoogleId) {
+    const [video, user] = await Promise.all([
+      Video.findById(videoId).select('uploader duration hlsMasterPlaylistUrl').lean(),
+      User.findOne({ googleId: userGoogleId }).select('_id').lean()
+    ]);
+    if (!video) throw new CaptionError('Video not found', 404);
+    if (!user || video.uploader?.toString() !== user._id.toString()) {
+      throw new CaptionError('Only the creator can edit captions for this video', 403);
+    }
+    return video;
+  }
+
+  // Re-runs (pipeline retries) never overwrite a track the creator has edited
+  async _saveAutoTrack(videoId, language, cues, isOriginal) {
+    const existing = await VideoCaption.findOne({ videoId, language }).select('isAuto').lean();
+    if (existing && !existing.isAuto) return;
+
+    await VideoCaption.updateOne(
+      { videoId, language },
+      { $set: { cues, isOriginal, isAuto: true } },
+      { upsert: true }
+    );
+  }
+
+  _splitAudio(videoPath, outputDir, chunkSeconds, maxSeconds) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(videoPath)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(16000)
+        .audioCodec('pcm_s16le')
+        .outputOptions(['-t', String(maxSeconds), '-f', 'segment', '-segment_time', String(chunkSeconds)])
+        .output(path.join(outputDir, 'chunk_%03d.wav'))
+        .on('end', resolve)
+        .on('error', (err, stdout, stderr) => reject(new Error(`${err.message} ${stderr || ''}`.trim())))
+        .run();
+    });
+  }
+
+  async _invalidateCaches(video) {
+    if (!redisService.getConnectionStatus()) return;
+
+    const keys = [VideoCacheKeys.single(video._id.toString()), `video:data:${video._id}`];
+    const uploader = await User.findById(video.uploader).select('googleId').lean();
+    if (uploader) keys.push(`videos:user:${uploader.googleId}`);
+
+    await invalidateCache(keys).catch(err => console.error('⚠️ Captions: Cache invalidation failed:', err.message));
+  }
+}
+
+export default new CaptionService();
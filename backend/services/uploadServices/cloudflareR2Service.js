@@ -1,13 +1,23 @@
-import { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client, PutObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, GetObjectCommand, ListObjectsV2Command,
+  CreateMultipartUploadCommand, UploadPartCommand, ListPartsCommand, CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand, ListMultipartUploadsCommand, CopyObjectCommand, HeadObjectCommand
+} from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 
+// Keys under this prefix live in the private bucket (renditions of subscriber-only and unpublished videos)
+export const PRIVATE_PREFIX = 'private/';
+
 class CloudflareR2Service {
   constructor() {
     this.accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
     this.bucketName = process.env.CLOUDFLARE_R2_BUCKET_NAME;
+    // No public domain: only the playback worker's binding and presigned URLs can read it.
+    // Required in production; without it private keys fall back to the public bucket.
+    this.privateBucketName = process.env.CLOUDFLARE_R2_PRIVATE_BUCKET_NAME;
     
     // **NEW: Support custom domain (cdn.snehayog.site) for public URLs**
     this.publicDomain = process.env.CLOUDFLARE_R2_PUBLIC_DOMAIN;
@@ -25,6 +35,9 @@ class CloudflareR2Service {
         accessKeyId: process.env.CLOUDFLARE_R2_ACCESS_KEY_ID,
         secretAccessKey: process.env.CLOUDFLARE_R2_SECRET_ACCESS_KEY,
       },
+      // Otherwise presigned URLs carry the CRC32 of an empty body and R2 rejects the real upload
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
     });
   }
 
@@ -38,6 +51,40 @@ class CloudflareR2Service {
     return key.replace(/[^a-zA-Z0-9.\/_-]/g, '_');
   }
 
+  isPrivateKey(key) {
+    return typeof key === 'string' && key.startsWith(PRIVATE_PREFIX);
+  }
+
+  /**
+   * Bucket an object key lives in
+   */
+  bucketFor(key) {
+    return this.isPrivateKey(key) ? (this.privateBucketName || this.bucketName) : this.bucketName;
+  }
+
+  /**
+   * The same key in the private or the public bucket
+   */
+  toPrivateKey(key) {
+    return this.isPrivateKey(key) ? key : `${PRIVATE_PREFIX}${key}`;
+  }
+
+  toPublicKey(key) {
+    return this.isPrivateKey(key) ? key.slice(PRIVATE_PREFIX.length) : key;
+  }
+
+  /**
+   * Cache-Control for an uploaded object. Playlists and captions are rewritten in place;
+   * private objects must never be kept by a shared cache.
+   */
+  cacheControlFor(key) {
+    if (this.isPrivateKey(key)) return 'private, no-store';
+    if (/\.(m3u8|vtt)$/i.test(key)) return 'public, max-age=60, stale-while-revalidate=300';
+    if (/\.(ts|mp4|m4s)$/i.test(key)) return 'public, max-age=31536000, immutable, stale-while-revalidate=604800';
+    if (/\.(jpg|jpeg|png|webp)$/i.test(key)) return 'public, max-age=604800, stale-while-revalidate=604800';
+    return 'public, max-age=86400, stale-while-revalidate=86400';
+  }
+
   /**
    * Download a file from R2 to local path
    * @param {string} key - R2 file key
@@ -52,7 +99,7 @@ class CloudflareR2Service {
       }
 
       const command = new GetObjectCommand({
-        Bucket: this.bucketName,
+        Bucket: this.bucketFor(key),
         Key: key,
       });
 
@@ -70,6 +117,19 @@ class CloudflareR2Service {
     }
   }
 
+  /**
+   * Read a (small) text object from R2, e.g. an HLS playlist
+   * @param {string} key - R2 file key
+   * @returns {Promise<string>}
+   */
+  async getObjectText(key) {
+    const response = await this.s3Client.send(new GetObjectCommand({
+      Bucket: this.bucketFor(key),
+      Key: key,
+    }));
+    return response.Body.transformToString('utf-8');
+  }
+
   /**
    * Delete a file from R2
    * @param {string} key - R2 file key
@@ -77,7 +137,7 @@ class CloudflareR2Service {
   async deleteFile(key) {
     try {
       const command = new DeleteObjectCommand({
-        Bucket: this.bucketName,
+        Bucket: this.bucketFor(key),
         Key: key,
       });
       await this.s3Client.send(command);
@@ -88,6 +148,79 @@ class CloudflareR2Service {
     }
   }
 
+  /**
+   * Delete every object under a key prefix (paged, 1000 keys per request)
+   * @param {string} prefix - e.g. `hls/${userId}/`; must be non-empty
+   * @returns {Promise<number>} Objects deleted
+   */
+  async deletePrefix(prefix) {
+    if (!prefix || !prefix.endsWith('/')) {
+      throw new Error(`Refusing to delete unscoped R2 prefix: "${prefix}"`);
+    }
+
+    const bucket = this.bucketFor(prefix);
+    let deleted = 0;
+    let continuationToken;
+    do {
+      const page = await this.s3Client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      const objects = (page.Contents || []).map(obj => ({ Key: obj.Key }));
+      if (objects.length > 0) {
+        await this.s3Client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: objects, Quiet: true }
+        }));
+        deleted += objects.length;
+      }
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return deleted;
+  }
+
+  /**
+   * Copy one object, or every object under a prefix, to another key (and bucket, see bucketFor).
+   * Copies get the Cache-Control of their new location.
+   * @param {string} from - A key, or a prefix ending in '/'
+   * @param {string} to - The matching key or prefix
+   * @returns {Promise<number>} Objects copied
+   */
+  async copyObjects(from, to) {
+    const keys = [];
+    if (from.endsWith('/')) {
+      let continuationToken;
+      do {
+        const page = await this.s3Client.send(new ListObjectsV2Command({
+          Bucket: this.bucketFor(from),
+          Prefix: from,
+          ContinuationToken: continuationToken
+        }));
+        keys.push(...(page.Contents || []).map(obj => obj.Key));
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+    } else {
+      keys.push(from);
+    }
+
+    for (const key of keys) {
+      const target = `${to}${key.slice(from.length)}`;
+      const head = await this.s3Client.send(new HeadObjectCommand({ Bucket: this.bucketFor(key), Key: key }));
+      await this.s3Client.send(new CopyObjectCommand({
+        Bucket: this.bucketFor(target),
+        Key: target,
+        CopySource: encodeURI(`${this.bucketFor(key)}/${key}`),
+        MetadataDirective: 'REPLACE',
+        ContentType: head.ContentType,
+        CacheControl: this.cacheControlFor(target)
+      }));
+    }
+    return keys.length;
+  }
+
 
   /**
    * Get public URL for an R2 object key
@@ -114,6 +247,21 @@ class CloudflareR2Service {
   }
 
   
+  /**
+   * Inverse of getPublicUrl: R2 key of one of our public URLs (or null)
+   */
+  getKeyFromUrl(url) {
+    if (!url || typeof url !== 'string' || !url.startsWith('http')) return null;
+    try {
+      const { hostname, pathname } = new URL(url);
+      const cleanDomain = this.publicDomain?.replace(/^https?:\/\//, '').replace(/\/$/, '');
+      if (hostname !== cleanDomain && !hostname.endsWith('.r2.cloudflarestorage.com')) return null;
+      return decodeURIComponent(pathname).replace(/^\//, '');
+    } catch {
+      return null;
+    }
+  }
+
   async uploadVideoToR2(filePath, fileName, userId) {
     try {
       const fileContent = fs.readFileSync(filePath);
@@ -206,7 +354,7 @@ class CloudflareR2Service {
   async deleteVideoFromR2(key) {
     try {
       const command = new DeleteObjectCommand({
-        Bucket: this.bucketName,
+        Bucket: this.bucketFor(key),
         Key: key
       });
 
@@ -257,26 +405,24 @@ class CloudflareR2Service {
    * Returns custom domain URL (cdn.snehayog.com) if configured
    */
   async uploadFileToR2(filePath, key, contentType = 'application/octet-stream') {
+    return this.uploadContentToR2(fs.readFileSync(filePath), key, contentType);
+  }
+
+  /**
+   * Upload in-memory content (generated playlists, captions) to R2
+   * @param {Buffer|string} content
+   */
+  async uploadContentToR2(content, key, contentType = 'application/octet-stream') {
     try {
       const sanitizedKey = this.sanitizeKey(key);
-      const fileContent = fs.readFileSync(filePath);
-
-      // Determine cache directives based on file type
-      let cacheControl = 'public, max-age=86400, stale-while-revalidate=86400';
-      if (/\.m3u8$/i.test(sanitizedKey)) {
-        cacheControl = 'public, max-age=60, stale-while-revalidate=300';
-      } else if (/\.(ts|mp4|m4s)$/i.test(sanitizedKey)) {
-        cacheControl = 'public, max-age=31536000, immutable, stale-while-revalidate=604800';
-      } else if (/\.(jpg|jpeg|png|webp)$/i.test(sanitizedKey)) {
-        cacheControl = 'public, max-age=604800, stale-while-revalidate=604800';
-      }
+      const fileContent = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
       
       const command = new PutObjectCommand({
-        Bucket: this.bucketName,
+        Bucket: this.bucketFor(sanitizedKey),
         Key: sanitizedKey,
         Body: fileContent,
         ContentType: contentType,
-        CacheControl: cacheControl,
+        CacheControl: this.cacheControlFor(sanitizedKey),
       });
   
       await this.s3Client.send(command);
@@ -297,27 +443,36 @@ class CloudflareR2Service {
   }
 
   /**
-   * Upload entire HLS directory to R2 (playlist + segments)
-   * Returns the master playlist URL
+   * Upload entire HLS directory to R2 (master + rendition playlists + segments)
+   * Returns the master playlist URL (or the single playlist for flat directories)
+   * and the public URL of every playlist keyed by its path relative to hlsDir.
+   * @param {Object} options { isProtected: write to the private bucket (see requiresAuthorization) }
    */
-  async uploadHLSDirectoryToR2(hlsDir, videoName, userId) {
+  async uploadHLSDirectoryToR2(hlsDir, videoName, userId, { isProtected = false } = {}) {
     try {
       
-      const files = fs.readdirSync(hlsDir);
+      const files = fs.readdirSync(hlsDir, { recursive: true })
+        .map(file => file.split(path.sep).join('/'))
+        .filter(file => fs.statSync(path.join(hlsDir, file)).isFile());
       const uploadPromises = [];
+      const playlistUrls = {};
       let playlistKey = null;
       const sanitizedVideoName = this.sanitizeKey(videoName);
       
       for (const file of files) {
         const filePath = path.join(hlsDir, file);
-        const key = `hls/${userId}/${sanitizedVideoName}/${file}`;
+        const publicKey = `hls/${userId}/${sanitizedVideoName}/${file}`;
+        const key = isProtected ? this.toPrivateKey(publicKey) : publicKey;
         
         if (file.endsWith('.m3u8')) {
           // Upload playlist file
           uploadPromises.push(
             this.uploadFileToR2(filePath, key, 'application/x-mpegURL')
           );
-          playlistKey = key;
+          playlistUrls[file] = this.getPublicUrl(key);
+          if (file === 'master.m3u8' || !playlistKey) {
+            playlistKey = key;
+          }
         } else if (file.endsWith('.ts')) {
           // Upload segment file
           uploadPromises.push(
@@ -335,6 +490,7 @@ class CloudflareR2Service {
       return {
         playlistUrl: this.getPublicUrl(playlistKey),
         playlistKey: playlistKey,
+        playlistUrls,
         totalFiles: files.length,
         segments: files.filter(f => f.endsWith('.ts')).length,
       };
@@ -378,13 +534,134 @@ class CloudflareR2Service {
     }
   }
 
+  /**
+   * Short-lived GET URL for an object that must not be served from the public domain
+   * @param {string} key - The R2 object key
+   * @param {number} expiresIn - Expiration time in seconds
+   */
+  async getPresignedDownloadUrl(key, expiresIn = 300) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucketFor(key),
+      Key: key,
+      ResponseCacheControl: 'private, no-store'
+    });
+    return this.getSignedUrl(this.s3Client, command, { expiresIn });
+  }
+
   /**
    * Compatibility wrapper for getPresignedUploadUrl
+   * @param {string} operation - 'put' (whole object) or 'uploadPart' (one part of a multipart upload)
+   * @param {Object} options - For 'uploadPart': { uploadId, partNumber, contentLength }
    */
-  async generatePresignedUrl(key, contentType, operation = 'put', expiresIn = 3600) {
-    // We only support 'put' for now via this service
+  async generatePresignedUrl(key, contentType, operation = 'put', expiresIn = 3600, options = {}) {
+    if (operation === 'uploadPart') {
+      return this.getPresignedPartUrl(key, options, expiresIn);
+    }
     return this.getPresignedUploadUrl(key, contentType, expiresIn);
   }
+
+  // --- MULTIPART UPLOADS (resumable direct uploads) ---
+
+  /**
+   * Start a multipart upload
+   * @returns {Promise<string>} UploadId
+   */
+  async createMultipartUpload(key, contentType) {
+    const result = await this.s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000, immutable, stale-while-revalidate=604800'
+    }));
+    return result.UploadId;
+  }
+
+  /**
+   * Presigned PUT for one part. Signing the Content-Length makes R2 reject a part of any other size.
+   * @param {Object} part - { uploadId, partNumber, contentLength }
+   */
+  async getPresignedPartUrl(key, { uploadId, partNumber, contentLength }, expiresIn = 3600) {
+    const command = new UploadPartCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      ContentLength: contentLength
+    });
+    return this.getSignedUrl(this.s3Client, command, { expiresIn });
+  }
+
+  /**
+   * Parts R2 has received so far (paged, 1000 per request)
+   * @returns {Promise<Array<{ partNumber: number, etag: string, size: number }>>}
+   */
+  async listUploadedParts(key, uploadId) {
+    const parts = [];
+    let marker;
+    do {
+      const page = await this.s3Client.send(new ListPartsCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumberMarker: marker
+      }));
+      for (const part of page.Parts || []) {
+        parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size });
+      }
+      marker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+    } while (marker);
+    return parts;
+  }
+
+  /**
+   * @param {Array<{ partNumber: number, etag: string }>} parts - Ascending part numbers
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    await this.s3Client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: { Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag })) }
+    }));
+    return { key, url: this.getPublicUrl(key) };
+  }
+
+  /**
+   * Discard a multipart upload and its parts. Already gone counts as success.
+   */
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      await this.s3Client.send(new AbortMultipartUploadCommand({ Bucket: this.bucketName, Key: key, UploadId: uploadId }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NoSuchUpload' || error.Code === 'NoSuchUpload') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * In-progress multipart uploads under a prefix (paged)
+   * @returns {Promise<Array<{ key: string, uploadId: string, initiated: Date }>>}
+   */
+  async listMultipartUploads(prefix) {
+    const uploads = [];
+    let keyMarker;
+    let uploadIdMarker;
+    do {
+      const page = await this.s3Client.send(new ListMultipartUploadsCommand({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        KeyMarker: keyMarker,
+        UploadIdMarker: uploadIdMarker
+      }));
+      for (const upload of page.Uploads || []) {
+        uploads.push({ key: upload.Key, uploadId: upload.UploadId, initiated: upload.Initiated });
+      }
+      keyMarker = page.IsTruncated ? page.NextKeyMarker : undefined;
+      uploadIdMarker = page.IsTruncated ? page.NextUploadIdMarker : undefined;
+    } while (keyMarker);
+    return uploads;
+  }
 }
 
 export default new CloudflareR2Service();
@@ -0,0 +1,121 @@
+import Video from '../../models/Video.js';
+import User from '../../models/User.js';
+import DubbingJob from '../../models/DubbingJob.js';
+import { CAPTION_CONFIG, DUBBING_CONFIG } from '../../constants/index.js';
+
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+/**
+ * Public shape of a dubbing job (REST status + SSE events)
+ */
+export const toDubbingStatus = (job) => ({
+  jobId: job._id.toString(),
+  videoId: job.videoId.toString(),
+  language: job.language,
+  status: job.status,
+  stage: job.stage,
+  progress: job.progress,
+  playlistUrl: job.playlistUrl || null,
+  error: job.error || null
+});
+
+export class DubbingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DubbingError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * **DubbingService**
+ * Accepts dubbing requests from creators and exposes job status.
+ * The work itself runs in the worker (DubbingPipeline).
+ */
+class DubbingService {
+  /**
+   * Queue a dub of a finished video into another language
+   * @param {String} videoId
+   * @param {String} language CAPTION_CONFIG.LANGUAGES key, e.g. 'hindi'
+   * @param {String} userGoogleId Must be the uploader
+   * @returns {Promise<Object>} Job status (see toDubbingStatus)
+   * @throws {DubbingError}
+   */
+  async requestDub(videoId, language, userGoogleId) {
+    const target = typeof language === 'string' ? language.toLowerCase().trim() : '';
+    if (!DUBBING_CONFIG.TARGET_LANGUAGES.includes(target)) {
+      throw new DubbingError(`language must be one of: ${DUBBING_CONFIG.TARGET_LANGUAGES.join(', ')}`);
+    }
+
+    const [video, user] = await Promise.all([
+      Video.findById(videoId).select('uploader language duration processingStatus hlsMasterPlaylistUrl').lean(),
+      User.findOne({ googleId: userGoogleId }).select('_id').lean()
+    ]);
+    if (!video) throw new DubbingError('Video not found', 404);
+    if (!user || video.uploader?.toString() !== user._id.toString()) {
+      throw new DubbingError('Only the creator can dub this video', 403);
+    }
+    if (video.processingStatus !== 'completed' || !video.hlsMasterPlaylistUrl) {
+      throw new DubbingError('Video must finish processing before it can be dubbed', 409);
+    }
+    if (video.duration > DUBBING_CONFIG.MAX_DURATION_SECONDS) {
+      throw new DubbingError(`Videos longer than ${DUBBING_CONFIG.MAX_DURATION_SECONDS / 60} minutes cannot be dubbed`);
+    }
+    if (video.language === target || (!CAPTION_CONFIG.LANGUAGES[video.language] && target === CAPTION_CONFIG.DEFAULT_SOURCE_LANGUAGE)) {
+      throw new DubbingError(`Video is already in ${target}`);
+    }
+
+    // One job per language: a finished or failed one is reset for a re-dub
+    const existing = await DubbingJob.findOne({ videoId: video._id, language: target }).lean();
+    if (existing && ACTIVE_STATUSES.includes(existing.status)) {
+      throw new DubbingError('A dub in this language is already in progress', 409);
+    }
+
+    const job = await DubbingJob.findOneAndUpdate(
+      { videoId: video._id, language: target },
+      {
+        $set: {
+          requestedBy: user._id,
+          status: 'queued',
+          stage: 'queued',
+          progress: 0,
+          error: null,
+          startedAt: null,
+          completedAt: null
+        }
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    // Lazy: queueService opens BullMQ connections on import
+    const { default: queueService } = await import('../yugFeedServices/queueService.js');
+    try {
+      await queueService.addDubbingJob({ jobId: job._id.toString(), videoId: video._id.toString(), language: target });
+    } catch (error) {
+      await DubbingJob.updateOne({ _id: job._id }, { $set: { status: 'failed', error: 'Could not queue the job' } });
+      throw error;
+    }
+
+    return toDubbingStatus(job);
+  }
+
+  /**
+   * Current status of a dubbing job
+   * @throws {DubbingError}
+   */
+  async getStatus(jobId) {
+    const job = await DubbingJob.findById(jobId).lean();
+    if (!job) throw new DubbingError('Dubbing job not found', 404);
+    return toDubbingStatus(job);
+  }
+
+  /**
+   * Dubbing jobs of a video, newest first
+   */
+  async listForVideo(videoId) {
+    const jobs = await DubbingJob.find({ videoId }).sort({ updatedAt: -1 }).lean();
+    return jobs.map(toDubbingStatus);
+  }
+}
+
+export default new DubbingService();
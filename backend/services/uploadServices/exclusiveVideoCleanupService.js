@@ -3,6 +3,7 @@ import { ListObjectsV2Command } from '@aws-sdk/client-s3';
 import Video from '../../models/Video.js';
 import User from '../../models/User.js';
 import cloudflareR2Service from './cloudflareR2Service.js';
+import { thumbnailPrefix } from './thumbnailService.js';
 import redisService from '../caching/redisService.js';
 import { invalidateCache, VideoCacheKeys } from '../../middleware/cacheMiddleware.js';
 import queueService from '../yugFeedServices/queueService.js';
@@ -10,7 +11,7 @@ import queueService from '../yugFeedServices/queueService.js';
 /**
  * Parses a public URL to extract the corresponding Cloudflare R2 storage key.
  */
-const getR2KeyFromUrl = (url) => {
+export const getR2KeyFromUrl = (url) => {
   if (!url || typeof url !== 'string' || !url.startsWith('http')) return null;
   
   // Safety check: ensure it is a SnehaYog R2 URL to prevent deleting external resources
@@ -39,7 +40,7 @@ const deleteFolderFromR2 = async (prefix) => {
   try {
     console.log(`🧹 Listing and deleting all objects under R2 prefix folder: ${prefix}`);
     const listCommand = new ListObjectsV2Command({
-      Bucket: cloudflareR2Service.bucketName,
+      Bucket: cloudflareR2Service.bucketFor(prefix),
       Prefix: prefix
     });
     const listResponse = await cloudflareR2Service.s3Client.send(listCommand);
@@ -136,6 +137,11 @@ export const runCleanup = async () => {
         }
       }
       
+      // Thumbnail candidates, custom thumbnails and preview sprites
+      if (video.uploader?._id) {
+        await deleteFolderFromR2(thumbnailPrefix(video.uploader._id, video._id));
+      }
+
       // Delete the video document permanently from MongoDB
       await Video.findByIdAndDelete(video._id);
 
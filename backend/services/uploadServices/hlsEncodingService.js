@@ -3,6 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { spawnSync } from 'child_process';
+import { hlsConfig } from '../../config/hlsConfig.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -59,15 +60,18 @@ class HLSEncodingService {
   }
 
   /**
-   * Convert video to HLS format (SINGLE 480p quality only)
+   * Convert video to an adaptive HLS ladder
+   * Output layout: <outputDir>/master.m3u8 + <outputDir>/<rung>/playlist.m3u8 + segments.
+   * Rungs come from hlsConfig.encoding.ladder and are capped at the source resolution.
    */
   async convertToHLS(inputPath, videoId, options = {}) {
     const {
       segmentDuration = 3,
-      quality = 'medium',
       codec = 'h265',
-      copyVideo = false,
-      copyAudio = false
+      copyAudio = false,
+      originalVideoInfo = null,
+      onProgress = null,
+      signal = null
     } = options;
 
     let actualCodec = codec;
@@ -79,140 +83,293 @@ class HLSEncodingService {
       }
     }
 
-    return new Promise((resolve, reject) => {
-      const cleanVideoId = videoId.replace(/[^a-zA-Z0-9_-]/g, '_');
-      const outputDir = path.join(this.hlsOutputDir, cleanVideoId);
-      const playlistPath = path.join(outputDir, 'playlist.m3u8');
-      
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
+    const cleanVideoId = videoId.replace(/[^a-zA-Z0-9_-]/g, '_');
+    const outputDir = path.join(this.hlsOutputDir, cleanVideoId);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
 
-      const qualityPresets = {
-        low: { crf: 28, audioBitrate: '48k' },
-        medium: { crf: 28, audioBitrate: '48k' },
-        high: { crf: 23, audioBitrate: '128k' }
-      };
+    const renditions = this.buildLadder(originalVideoInfo);
+    const totalPixels = renditions.reduce((sum, r) => sum + r.width * r.height, 0);
+    let donePixels = 0;
 
-      const originalVideoInfo = options.originalVideoInfo;
-      let selectedResolution;
-      let targetBitrate = '340k';
-      
-      if (originalVideoInfo && originalVideoInfo.width && originalVideoInfo.height) {
-        const originalHeight = originalVideoInfo.height;
-        if (originalHeight > 1080) {
-          targetBitrate = '2500k';
-        } else if (originalHeight > 720) {
-          targetBitrate = '1200k';
-        } else if (originalHeight > 480) {
-          targetBitrate = '340k';
-        } else {
-          targetBitrate = '340k';
+    const variants = [];
+    for (const rendition of renditions) {
+      signal?.throwIfAborted();
+      const pixels = rendition.width * rendition.height;
+
+      await this.encodeRendition(inputPath, outputDir, rendition, {
+        codec: actualCodec,
+        segmentDuration,
+        copyAudio,
+        signal,
+        onProgress: (percent) => {
+          if (!onProgress) return;
+          const overall = ((donePixels + pixels * (Math.min(percent, 100) / 100)) / totalPixels) * 100;
+          onProgress(Math.round(overall));
         }
-        
-        selectedResolution = {
-          width: originalVideoInfo.width,
-          height: originalVideoInfo.height,
-          bitrate: targetBitrate
-        };
-      } else {
-        targetBitrate = '340k';
-        selectedResolution = { width: 854, height: 480, bitrate: targetBitrate };
-      }
-      
-      const selectedQuality = qualityPresets[quality] || qualityPresets.medium;
-      const codecName = actualCodec === 'h265' ? 'H.265 (HEVC)' : 'H.264 (AVC)';
-      
-      let videoOptions;
-      if (copyVideo) {
-        videoOptions = ['-c:v', 'copy'];
-      } else {
-        videoOptions = actualCodec === 'h265'
-          ? [
-              '-c:v', 'libx265',
-              '-tag:v', 'hvc1',
-              '-preset', 'superfast',
-              '-tune', 'fastdecode',
-              '-crf', selectedQuality.crf.toString(),
-              '-maxrate', targetBitrate,
-              '-bufsize', `${parseInt(targetBitrate) * 2}k`,
-              '-x265-params', 'keyint=60:min-keyint=60:scenecut=0:superfast=1',
-              '-threads', '0',
-              '-pix_fmt', 'yuv420p'
-            ]
-          : [
-              '-c:v', 'libx264',
-              '-preset', 'superfast',
-              '-profile:v', 'high',
-              '-level', '3.1',
-              '-crf', selectedQuality.crf.toString(),
-              '-maxrate', targetBitrate,
-              '-bufsize', `${parseInt(targetBitrate) * 2}k`,
-              '-threads', '0',
-              '-sc_threshold', '0',
-              '-g', '60',
-              '-keyint_min', '48',
-              '-force_key_frames', 'expr:gte(t,n_forced*2)',
-              '-pix_fmt', 'yuv420p'
-            ];
-      }
+      });
+      donePixels += pixels;
+
+      variants.push(await this.describeVariant(outputDir, rendition, actualCodec));
+      console.log(`[HLS] ${videoId} | ${rendition.name} ${rendition.width}x${rendition.height} @ ${Math.round(variants[variants.length - 1].bandwidth / 1000)} kbps peak`);
+    }
+
+    const playlistPath = this.writeMasterPlaylist(outputDir, variants);
+
+    return {
+      success: true,
+      playlistPath,
+      playlistUrl: `/uploads/hls/${cleanVideoId}/master.m3u8`,
+      masterPlaylistName: 'master.m3u8',
+      variants,
+      segments: variants.reduce((sum, v) => sum + v.segments, 0),
+      outputDir,
+      codec: actualCodec
+    };
+  }
+
+  /**
+   * Resolve the configured ladder against the source dimensions.
+   * Preset height is the short edge; the long edge follows the source aspect ratio.
+   */
+  buildLadder(originalVideoInfo) {
+    const { qualityPresets, ladder } = hlsConfig.encoding;
+    const srcWidth = originalVideoInfo?.width || 854;
+    const srcHeight = originalVideoInfo?.height || 480;
+    const srcShort = Math.min(srcWidth, srcHeight);
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+    const presets = ladder
+      .filter(name => qualityPresets[name])
+      .map(name => ({ name, ...qualityPresets[name] }))
+      .sort((a, b) => a.height - b.height);
+
+    if (presets.length === 0) {
+      throw new Error('HLS ladder is empty. Check HLS_LADDER / hlsConfig.encoding.qualityPresets');
+    }
+
+    // Never upscale; keep at least the lowest rung even for tiny sources
+    let selected = presets.filter(preset => preset.height <= srcShort);
+    if (selected.length === 0) selected = [presets[0]];
+
+    return selected.map(preset => {
+      const scale = Math.min(preset.height / srcShort, 1);
+      return {
+        ...preset,
+        width: even(srcWidth * scale),
+        height: even(srcHeight * scale)
+      };
+    });
+  }
+
+  /**
+   * Encode one rung of the ladder into <outputDir>/<rung.name>/
+   * Aborting `signal` kills the ffmpeg process.
+   */
+  encodeRendition(inputPath, outputDir, rendition, { codec, segmentDuration, copyAudio, onProgress, signal = null }) {
+    const { h264Profile } = hlsConfig.encoding;
+    const variantDir = path.join(outputDir, rendition.name);
+    if (!fs.existsSync(variantDir)) {
+      fs.mkdirSync(variantDir, { recursive: true });
+    }
+
+    const bitrate = rendition.targetBitrate;
+    // Keyframes on every segment boundary so players can switch rungs cleanly
+    const keyframeOptions = [
+      '-sc_threshold', '0',
+      '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`
+    ];
+
+    const videoOptions = codec === 'h265'
+      ? [
+          '-c:v', 'libx265',
+          '-tag:v', 'hvc1',
+          '-preset', 'superfast',
+          '-tune', 'fastdecode',
+          '-crf', rendition.crf.toString(),
+          '-maxrate', bitrate,
+          '-bufsize', `${parseInt(bitrate) * 2}k`,
+          '-x265-params', 'scenecut=0:superfast=1',
+          '-threads', '0',
+          '-pix_fmt', 'yuv420p',
+          ...keyframeOptions
+        ]
+      : [
+          '-c:v', 'libx264',
+          '-preset', 'superfast',
+          '-profile:v', h264Profile,
+          '-level', rendition.level,
+          '-crf', rendition.crf.toString(),
+          '-maxrate', bitrate,
+          '-bufsize', `${parseInt(bitrate) * 2}k`,
+          '-threads', '0',
+          '-pix_fmt', 'yuv420p',
+          ...keyframeOptions
+        ];
+
+    const audioOptions = copyAudio
+      ? ['-c:a', 'copy']
+      : [
+          '-c:a', 'aac',
+          '-b:a', rendition.audioBitrate,
+          '-ac', '2',
+          '-ar', '44100',
+          '-af', 'acompressor=ratio=4:attack=200:release=1000:threshold=-12dB'
+        ];
 
-      const audioOptions = copyAudio
-        ? ['-c:a', 'copy']
-        : [
-            '-c:a', 'aac',
-            '-b:a', selectedQuality.audioBitrate,
-            '-ac', '2',
-            '-ar', '44100',
-            '-af', 'acompressor=ratio=4:attack=200:release=1000:threshold=-12dB'
-          ];
-
-      const commonOptions = [
-        '-f', 'hls',
-        '-hls_time', segmentDuration.toString(),
-        '-hls_list_size', '0',
-        '-hls_segment_filename', path.join(outputDir, 'segment_%03d.ts'),
-        '-hls_playlist_type', 'vod',
-        '-hls_flags', 'independent_segments+delete_segments',
-        '-hls_segment_type', 'mpegts',
-        '-movflags', '+faststart'
-      ];
-
-      let command = ffmpeg(inputPath)
+    const commonOptions = [
+      '-f', 'hls',
+      '-hls_time', segmentDuration.toString(),
+      '-hls_list_size', '0',
+      '-hls_segment_filename', path.join(variantDir, 'segment_%03d.ts'),
+      '-hls_playlist_type', 'vod',
+      '-hls_flags', 'independent_segments',
+      '-hls_segment_type', 'mpegts'
+    ];
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath);
+      const kill = () => command.kill('SIGKILL');
+      const done = () => signal?.removeEventListener('abort', kill);
+
+      command
         .inputOptions(['-y', '-hide_banner', '-loglevel error'])
-        .outputOptions([...videoOptions, ...audioOptions, ...commonOptions]);
+        .videoFilters(`scale=${rendition.width}:${rendition.height}`)
+        .outputOptions([...videoOptions, ...audioOptions, ...commonOptions])
+        .output(path.join(variantDir, 'playlist.m3u8'))
+        .on('progress', (progress) => {
+          if (onProgress && typeof progress.percent === 'number') onProgress(progress.percent);
+        })
+        .on('end', () => {
+          done();
+          resolve();
+        })
+        .on('error', (error) => {
+          done();
+          reject(signal?.aborted ? signal.reason : new Error(`HLS encoding failed (${rendition.name}): ${error.message}`));
+        })
+        .run();
+
+      signal?.addEventListener('abort', kill, { once: true });
+    });
+  }
+
+  /**
+   * Measure an encoded rung for its master playlist entry.
+   * BANDWIDTH is the peak segment bitrate, AVERAGE-BANDWIDTH the whole-stream average (RFC 8216 §4.3.4.2).
+   */
+  async describeVariant(outputDir, rendition, codec) {
+    const variantDir = path.join(outputDir, rendition.name);
+    const playlist = fs.readFileSync(path.join(variantDir, 'playlist.m3u8'), 'utf8');
 
-      if (originalVideoInfo && originalVideoInfo.height > 1080) {
-        command = command.videoFilters(`scale=-2:1080:force_original_aspect_ratio=decrease`);
+    let pendingDuration = null;
+    let peakBitrate = 0;
+    let totalBytes = 0;
+    let totalDuration = 0;
+    let segments = 0;
+
+    for (const line of playlist.split('\n').map(l => l.trim())) {
+      if (line.startsWith('#EXTINF:')) {
+        pendingDuration = parseFloat(line.substring(8));
+      } else if (line && !line.startsWith('#') && pendingDuration) {
+        const size = fs.statSync(path.join(variantDir, line)).size;
+        peakBitrate = Math.max(peakBitrate, (size * 8) / pendingDuration);
+        totalBytes += size;
+        totalDuration += pendingDuration;
+        segments++;
+        pendingDuration = null;
       }
-      
-      command = command.output(playlistPath);
+    }
 
-      command.on('end', () => {
-        try {
-          const playlistContent = fs.readFileSync(playlistPath, 'utf8');
-          const segments = fs.readdirSync(outputDir).filter(file => file.endsWith('.ts'));
-          resolve({
-            success: true,
-            playlistPath,
-            playlistUrl: `/uploads/hls/${cleanVideoId}/playlist.m3u8`,
-            segments: segments.length,
-            outputDir,
-            codec: actualCodec
-          });
-        } catch (error) {
-          reject(new Error(`Failed to read HLS output: ${error.message}`));
+    const firstSegment = fs.readdirSync(variantDir).find(file => file.endsWith('.ts'));
+    const codecs = firstSegment
+      ? await this.probeCodecs(path.join(variantDir, firstSegment))
+      : null;
+
+    return {
+      name: rendition.name,
+      qualityField: rendition.qualityField || null,
+      width: rendition.width,
+      height: rendition.height,
+      resolution: `${rendition.width}x${rendition.height}`,
+      bandwidth: Math.ceil(peakBitrate),
+      averageBandwidth: totalDuration > 0 ? Math.ceil((totalBytes * 8) / totalDuration) : 0,
+      targetBitrate: rendition.targetBitrate,
+      codecs: codecs || this.fallbackCodecs(codec, rendition.level),
+      playlistPath: `${rendition.name}/playlist.m3u8`,
+      segments,
+      size: totalBytes
+    };
+  }
+
+  /**
+   * RFC 6381 CODECS string read back from the encoded segment
+   */
+  probeCodecs(segmentPath) {
+    return new Promise((resolve) => {
+      ffmpeg.ffprobe(segmentPath, (err, metadata) => {
+        if (err || !metadata) return resolve(null);
+
+        const video = metadata.streams.find(s => s.codec_type === 'video');
+        const audio = metadata.streams.find(s => s.codec_type === 'audio');
+        const parts = [];
+
+        if (video?.codec_name === 'h264' && video.level > 0) {
+          const profiles = {
+            'Constrained Baseline': '42e0',
+            'Baseline': '4200',
+            'Main': '4d40',
+            'High': '6400'
+          };
+          const profileHex = profiles[video.profile] || '6400';
+          parts.push(`avc1.${profileHex}${Number(video.level).toString(16).padStart(2, '0')}`);
+        } else if (video?.codec_name === 'hevc' && video.level > 0) {
+          const profileSpace = video.profile === 'Main 10' ? '2.4' : '1.6';
+          parts.push(`hvc1.${profileSpace}.L${video.level}.B0`);
+        } else {
+          return resolve(null);
         }
-      });
 
-      command.on('error', (error) => {
-        reject(new Error(`HLS encoding failed: ${error.message}`));
-      });
+        if (audio?.codec_name === 'aac') {
+          parts.push(audio.profile === 'HE-AAC' ? 'mp4a.40.5' : 'mp4a.40.2');
+        }
 
-      command.run();
+        resolve(parts.join(','));
+      });
     });
   }
 
+  fallbackCodecs(codec, level = '3.1') {
+    const levelNumber = parseFloat(level) || 3.1;
+    const video = codec === 'h265'
+      ? `hvc1.1.6.L${Math.round(levelNumber * 30)}.B0`
+      : `avc1.6400${Math.round(levelNumber * 10).toString(16).padStart(2, '0')}`;
+    return `${video},mp4a.40.2`;
+  }
+
+  /**
+   * Write master.m3u8 listing every rung, lowest bandwidth first
+   */
+  writeMasterPlaylist(outputDir, variants) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    if (hlsConfig.streaming.enableIndependentSegments) {
+      lines.push('#EXT-X-INDEPENDENT-SEGMENTS');
+    }
+
+    for (const variant of [...variants].sort((a, b) => a.bandwidth - b.bandwidth)) {
+      lines.push(
+        `#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},AVERAGE-BANDWIDTH=${variant.averageBandwidth},` +
+        `RESOLUTION=${variant.resolution},CODECS="${variant.codecs}"`
+      );
+      lines.push(variant.playlistPath);
+    }
+
+    const masterPath = path.join(outputDir, 'master.m3u8');
+    fs.writeFileSync(masterPath, `${lines.join('\n')}\n`);
+    return masterPath;
+  }
+
   async checkFFmpegInstallation() {
     return new Promise((resolve) => {
       ffmpeg.getAvailableCodecs((err) => {
@@ -259,7 +416,8 @@ class HLSEncodingService {
       return {
         videoId,
         totalSegments: files.filter(file => file.endsWith('.ts')).length,
-        hasSinglePlaylist: files.includes('playlist.m3u8')
+        hasMasterPlaylist: files.includes('master.m3u8'),
+        variants: files.filter(file => file.endsWith(`${path.sep}playlist.m3u8`)).length
       };
     } catch (error) {
       return null;
@@ -0,0 +1,81 @@
+/**
+ * HLS playlist helpers for renditions added after encoding (subtitles, dubbed audio).
+ * Pure string manipulation; callers read and write the playlists in R2.
+ */
+
+const quote = (value) => `"${String(value).replace(/"/g, "'")}"`;
+
+/**
+ * Replace one EXT-X-MEDIA group in a master playlist and link every variant to it.
+ * Re-running with the same group is idempotent; an empty rendition list removes the group.
+ * @param {string} master Master playlist text
+ * @param {Object} group { type: 'SUBTITLES' | 'AUDIO', groupId }
+ * @param {Array<Object>} renditions { name, language, uri (optional), isDefault, autoselect, attributes }
+ * @returns {string}
+ */
+export const setMediaGroup = (master, { type, groupId }, renditions) => {
+  const isGroupMedia = (line) => line.startsWith('#EXT-X-MEDIA:') &&
+    line.includes(`TYPE=${type}`) && line.includes(`GROUP-ID=${quote(groupId)}`);
+  const groupAttribute = new RegExp(`,${type}="[^"]*"`, 'g');
+
+  const lines = master.split(/\r?\n/).filter(line => !isGroupMedia(line));
+
+  const mediaLines = renditions.map(rendition => {
+    const attributes = [
+      `TYPE=${type}`,
+      `GROUP-ID=${quote(groupId)}`,
+      `NAME=${quote(rendition.name)}`,
+      `LANGUAGE=${quote(rendition.language)}`,
+      `DEFAULT=${rendition.isDefault ? 'YES' : 'NO'}`,
+      `AUTOSELECT=${rendition.autoselect === false ? 'NO' : 'YES'}`,
+      ...Object.entries(rendition.attributes || {}).map(([key, value]) => `${key}=${quote(value)}`),
+      // No URI: the rendition is the audio already muxed into the variant streams
+      ...(rendition.uri ? [`URI=${quote(rendition.uri)}`] : [])
+    ];
+    return `#EXT-X-MEDIA:${attributes.join(',')}`;
+  });
+
+  const output = [];
+  let inserted = false;
+  for (const line of lines) {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      if (!inserted) {
+        output.push(...mediaLines);
+        inserted = true;
+      }
+      const stripped = line.replace(groupAttribute, '');
+      output.push(renditions.length > 0 ? `${stripped},${type}=${quote(groupId)}` : stripped);
+    } else {
+      output.push(line);
+    }
+  }
+  if (!inserted) output.push(...mediaLines);
+
+  return `${output.join('\n').trimEnd()}\n`;
+};
+
+/**
+ * Media playlist wrapping a single file (one WebVTT document per language)
+ * @param {string} uri Relative to the playlist
+ * @param {number} durationSeconds Total duration of the video
+ */
+export const buildSingleFilePlaylist = (uri, durationSeconds) => {
+  const duration = Math.max(Number(durationSeconds) || 0, 1);
+  return [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${Math.ceil(duration)}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    `#EXTINF:${duration.toFixed(3)},`,
+    uri,
+    '#EXT-X-ENDLIST',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Key prefix ("hls/<user>/<video>/") that holds a master playlist and its renditions
+ * @param {string} masterKey R2 key of master.m3u8
+ */
+export const playlistPrefix = (masterKey) => masterKey.slice(0, masterKey.lastIndexOf('/') + 1);
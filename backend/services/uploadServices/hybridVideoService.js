@@ -84,29 +84,13 @@ class HybridVideoService {
       console.log('📊 Getting original video info...');
       const originalVideoInfo = await this.getOriginalVideoInfo(absoluteVideoPath);
       
-      // **SMART BYPASS: Detect if video is already pre-optimized**
-      const isPreOptimized = originalVideoInfo.height <= 480 && 
-                            (originalVideoInfo.codec === 'h264' || originalVideoInfo.codec === 'h265' || originalVideoInfo.codec === 'hevc');
-
-      let hlsResult;
-      if (isPreOptimized) {
-        console.log('🎯 THE LOOPHOLE: Video is already pre-optimized (480p)! Using STREAM COPY.');
-        hlsResult = await hlsEncodingService.convertToHLS(absoluteVideoPath, `${videoName}_${Date.now()}`, {
-          quality: 'medium',
-          resolution: '480p',
-          copyVideo: true, 
-          copyAudio: false,
-          originalVideoInfo: originalVideoInfo
-        });
-      } else {
-        console.log('🎬 Processing with Local FFmpeg → HLS...');
-        hlsResult = await hlsEncodingService.convertToHLS(absoluteVideoPath, `${videoName}_${Date.now()}`, {
-          quality: 'medium',
-          resolution: '480p',
-          codec: 'h265', // H.265 for bandwidth efficiency
-          originalVideoInfo: originalVideoInfo
-        });
-      }
+      // Adaptive ladder is capped at the source resolution, so pre-optimized 480p uploads
+      // only get the cheap lower rungs encoded on top
+      console.log('🎬 Processing with Local FFmpeg → HLS ladder...');
+      const hlsResult = await hlsEncodingService.convertToHLS(absoluteVideoPath, `${videoName}_${Date.now()}`, {
+        codec: 'h265', // H.265 for bandwidth efficiency
+        originalVideoInfo: originalVideoInfo
+      });
       
       // Upload HLS results to R2
       console.log('📤 Uploading HLS directory to R2...');
@@ -134,11 +118,12 @@ class HybridVideoService {
       return {
         success: true,
         videoUrl: r2HLSResult.playlistUrl,
+        ...this.buildRenditionFields(hlsResult, r2HLSResult),
         thumbnailUrl: r2ThumbnailUrl || '',
         canonicalMp4Url: r2Mp4Result.url,
         canonicalMp4Key: mp4Key,
         format: 'HLS (Adaptive Stream)',
-        quality: `${originalVideoInfo.height}p (balanced)`,
+        quality: hlsResult.variants.map(v => v.name).join('/'),
         storage: 'Cloudflare R2',
         bandwidth: 'FREE Forever',
         size: stats.size, // Size from stats
@@ -171,6 +156,42 @@ class HybridVideoService {
     }
   }
 
+  /**
+   * Map encoded ladder + uploaded playlist URLs onto the Video rendition fields
+   * (hlsMasterPlaylistUrl, hlsVariants, qualitiesGenerated, <field>QualityUrl)
+   */
+  buildRenditionFields(hlsResult, r2HLSResult) {
+    const fields = {
+      hlsMasterPlaylistUrl: r2HLSResult.playlistUrl,
+      hlsVariants: [],
+      qualitiesGenerated: []
+    };
+
+    for (const variant of hlsResult.variants || []) {
+      const url = r2HLSResult.playlistUrls?.[variant.playlistPath];
+      if (!url) continue;
+
+      fields.hlsVariants.push({
+        bandwidth: variant.bandwidth,
+        resolution: variant.resolution,
+        url
+      });
+      fields.qualitiesGenerated.push({
+        quality: variant.name,
+        url,
+        size: variant.size,
+        resolution: { width: variant.width, height: variant.height },
+        bitrate: `${Math.round(variant.averageBandwidth / 1000)}k`,
+        generatedAt: new Date()
+      });
+      if (variant.qualityField) {
+        fields[`${variant.qualityField}QualityUrl`] = url;
+      }
+    }
+
+    return fields;
+  }
+
   /**
    * Get original video information including aspect ratio
    */
@@ -274,11 +295,11 @@ class HybridVideoService {
 
   /**
    * **NEW: Pure HLS Processing - 100% FREE!**
-   * Upload → FFmpeg (Local, FREE) → HLS (.m3u8 + .ts) → R2 (FREE bandwidth)
-   * Single quality (original or 1080p max)
+   * Upload → FFmpeg (Local, FREE) → HLS ladder (master.m3u8 + renditions) → R2 (FREE bandwidth)
+   * 240p…1080p, capped at the source resolution
    */
   async processVideoToHLS(videoPath, videoName, userId, options = {}) {
-    const { onProgress = null, videoId: mongoVideoId = null } = options;
+    const { onProgress = null, videoId: mongoVideoId = null, signal = null, isProtected = false } = options;
     
     try {
       console.log('🚀 Starting Pure HLS Processing (FFmpeg → R2)...');
@@ -335,9 +356,9 @@ class HybridVideoService {
         videoPath,
         videoId,
         {
-          quality: 'medium',
           codec: 'h265',
           originalVideoInfo: originalVideoInfo,
+          signal,
           onProgress: (percent) => {
             // Map 0-100% of encoding to 20-80% of total progress
             const mappedPercent = 20 + Math.round(percent * 0.6);
@@ -347,13 +368,15 @@ class HybridVideoService {
       );
       
       // Step 5: Upload ALL HLS files to R2 (playlist + segments)
+      signal?.throwIfAborted();
       console.log('📤 [Step 5/6] Uploading HLS directory to R2...');
       if (onProgress) onProgress(85);
       
       const r2HLSResult = await cloudflareR2Service.uploadHLSDirectoryToR2(
         hlsResult.outputDir,
         videoId,
-        userId
+        userId,
+        { isProtected }
       );
       
       // Step 6: Cleanup local files
@@ -364,6 +387,7 @@ class HybridVideoService {
       return {
         success: true,
         videoUrl: r2HLSResult.playlistUrl,
+        ...this.buildRenditionFields(hlsResult, r2HLSResult),
         thumbnailUrl: thumbnailUrl,
         format: 'HLS (HTTP Live Streaming)',
         segments: r2HLSResult.segments,
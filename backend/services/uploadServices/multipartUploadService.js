@@ -0,0 +1,326 @@
+import cron from 'node-cron';
+import mongoose from 'mongoose';
+import UploadSession from '../../models/UploadSession.js';
+import cloudflareR2Service from './cloudflareR2Service.js';
+import { UPLOAD_CONFIG } from '../../constants/index.js';
+
+const { MULTIPART } = UPLOAD_CONFIG;
+const RAW_UPLOAD_PREFIX = 'uploads/raw/';
+
+export class MultipartUploadError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'MultipartUploadError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Split a file into parts. Honors a client-requested part size within the
+ * allowed range, growing it when the file would otherwise need too many parts.
+ * @param {number} fileSize Bytes
+ * @param {number|null} requestedPartSize Bytes
+ * @returns {{ partSize: number, partCount: number }}
+ */
+export const planParts = (fileSize, requestedPartSize = null, config = MULTIPART) => {
+  let partSize = Number(requestedPartSize) || config.DEFAULT_PART_SIZE;
+  partSize = Math.min(Math.max(partSize, config.MIN_PART_SIZE), config.MAX_PART_SIZE);
+  partSize = Math.max(partSize, Math.ceil(fileSize / config.MAX_PARTS));
+  return { partSize, partCount: Math.max(Math.ceil(fileSize / partSize), 1) };
+};
+
+/**
+ * Byte length part `partNumber` must have (every part is full size except the last)
+ */
+export const expectedPartSize = ({ fileSize, partSize, partCount }, partNumber) =>
+  partNumber < partCount ? partSize : fileSize - partSize * (partCount - 1);
+
+/**
+ * Compare what R2 holds against the session layout
+ * @param {Object} session { fileSize, partSize, partCount }
+ * @param {Array<{ partNumber: number, size: number }>} parts From listUploadedParts
+ * @returns {{ complete: boolean, missing: number[], wrongSize: number[] }}
+ */
+export const checkUploadedParts = (session, parts) => {
+  const received = new Map(parts.map(part => [part.partNumber, part]));
+  const missing = [];
+  const wrongSize = [];
+  for (let partNumber = 1; partNumber <= session.partCount; partNumber++) {
+    const part = received.get(partNumber);
+    if (!part) missing.push(partNumber);
+    else if (part.size !== expectedPartSize(session, partNumber)) wrongSize.push(partNumber);
+  }
+  return { complete: missing.length === 0 && wrongSize.length === 0, missing, wrongSize };
+};
+
+const toSessionResponse = (session, parts = null) => ({
+  sessionId: session._id,
+  key: session.key,
+  fileName: session.fileName,
+  fileSize: session.fileSize,
+  partSize: session.partSize,
+  partCount: session.partCount,
+  status: session.status,
+  expiresAt: session.expiresAt,
+  ...(parts && {
+    uploadedParts: parts.map(part => ({ partNumber: part.partNumber, size: part.size })),
+    missingParts: checkUploadedParts(session, parts).missing
+  })
+});
+
+/**
+ * **MultipartUploadService**
+ * Resumable direct-to-R2 uploads: create (or resume) a session, hand out presigned
+ * part URLs in batches, report which parts arrived, complete or abort. The client
+ * uploads parts straight to R2 and can pick up where it left off after a restart.
+ */
+class MultipartUploadService {
+  /**
+   * Start a session, or resume the caller's active session for the same file
+   * @param {Object} input { userId, fileName, fileType, fileSize, partSize, fingerprint }
+   */
+  async createSession({ userId, fileName, fileType, fileSize, partSize = null, fingerprint = null }) {
+    if (!fileName || !fileType) throw new MultipartUploadError('fileName and fileType are required');
+    if (!String(fileType).startsWith('video/')) throw new MultipartUploadError('Only video files can use multipart upload');
+
+    const size = Number(fileSize);
+    if (!Number.isInteger(size) || size <= 0) throw new MultipartUploadError('fileSize must be a positive number of bytes');
+    if (size > UPLOAD_CONFIG.VIDEO_FILE_SIZE_LIMIT) {
+      throw new MultipartUploadError(`File too large (Max ${Math.round(UPLOAD_CONFIG.VIDEO_FILE_SIZE_LIMIT / 1048576)}MB)`, 413);
+    }
+
+    const now = new Date();
+    if (fingerprint) {
+      const existing = await UploadSession.findOne({
+        userId, fingerprint: String(fingerprint), fileSize: size, status: 'active', expiresAt: { $gt: now }
+      });
+      if (existing) {
+        await this._touch(existing);
+        const parts = await cloudflareR2Service.listUploadedParts(existing.key, existing.uploadId);
+        console.log(`⏯️ MultipartUpload: Resuming session ${existing._id} (${parts.length}/${existing.partCount} parts)`);
+        return { ...toSessionResponse(existing, parts), resumed: true };
+      }
+    }
+
+    const active = await UploadSession.find({ userId, status: 'active', expiresAt: { $gt: now } }).select('fileSize').lean();
+    if (active.length >= MULTIPART.MAX_ACTIVE_SESSIONS_PER_USER) {
+      throw new MultipartUploadError(`Too many uploads in progress (max ${MULTIPART.MAX_ACTIVE_SESSIONS_PER_USER}); finish or cancel one first`, 429);
+    }
+    const inflightBytes = active.reduce((sum, session) => sum + session.fileSize, 0);
+    if (inflightBytes + size > MULTIPART.MAX_INFLIGHT_BYTES_PER_USER) {
+      throw new MultipartUploadError('Too much data in unfinished uploads; finish or cancel one first', 429);
+    }
+
+    const layout = planParts(size, partSize);
+    const cleanFileName = String(fileName).replace(/[^a-zA-Z0-9]/g, '_');
+    const key = `${RAW_UPLOAD_PREFIX}${userId}/${Date.now()}_${cleanFileName}`;
+    const uploadId = await cloudflareR2Service.createMultipartUpload(key, fileType);
+
+    const session = await UploadSession.create({
+      userId,
+      key,
+      uploadId,
+      fileName: String(fileName),
+      contentType: fileType,
+      fileSize: size,
+      ...layout,
+      fingerprint: fingerprint ? String(fingerprint) : null,
+      expiresAt: new Date(now.getTime() + MULTIPART.SESSION_TTL_MS)
+    });
+
+    console.log(`📦 MultipartUpload: Session ${session._id} for ${key} (${layout.partCount} x ${layout.partSize} bytes)`);
+    return { ...toSessionResponse(session, []), resumed: false };
+  }
+
+  /**
+   * Presigned URLs for a batch of parts
+   * @param {number[]} partNumbers 1-based
+   * @returns {Promise<Array<{ partNumber: number, size: number, url: string }>>}
+   */
+  async signParts(sessionId, userId, partNumbers) {
+    const session = await this._getSession(sessionId, userId, { active: true });
+
+    if (!Array.isArray(partNumbers) || partNumbers.length === 0) {
+      throw new MultipartUploadError('partNumbers must be a non-empty array');
+    }
+    const unique = [...new Set(partNumbers.map(Number))];
+    if (unique.length > MULTIPART.MAX_SIGN_BATCH) {
+      throw new MultipartUploadError(`At most ${MULTIPART.MAX_SIGN_BATCH} parts can be signed per request`);
+    }
+    if (unique.some(partNumber => !Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.partCount)) {
+      throw new MultipartUploadError(`Part numbers must be between 1 and ${session.partCount}`);
+    }
+
+    await this._touch(session);
+    return Promise.all(unique.map(async (partNumber) => {
+      const size = expectedPartSize(session, partNumber);
+      const url = await cloudflareR2Service.generatePresignedUrl(
+        session.key, session.contentType, 'uploadPart', MULTIPART.PART_URL_TTL_SECONDS,
+        { uploadId: session.uploadId, partNumber, contentLength: size }
+      );
+      return { partNumber, size, url };
+    }));
+  }
+
+  /**
+   * Session layout plus the parts R2 already has
+   */
+  async getSession(sessionId, userId) {
+    const session = await this._getSession(sessionId, userId);
+    if (session.status !== 'active') return toSessionResponse(session);
+
+    await this._touch(session);
+    const parts = await cloudflareR2Service.listUploadedParts(session.key, session.uploadId);
+    return toSessionResponse(session, parts);
+  }
+
+  /**
+   * Active sessions, so a restarted app can offer to resume
+   */
+  async listActiveSessions(userId) {
+    const sessions = await UploadSession.find({ userId, status: 'active', expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .lean();
+    return sessions.map(session => ({ ...toSessionResponse(session), fingerprint: session.fingerprint }));
+  }
+
+  /**
+   * Stitch the parts into the final object. Idempotent once completed.
+   * @returns {Promise<{ key: string, url: string, size: number }>}
+   */
+  async complete(sessionId, userId) {
+    const session = await this._getSession(sessionId, userId);
+    if (session.status === 'completed') {
+      return { key: session.key, url: cloudflareR2Service.getPublicUrl(session.key), size: session.fileSize };
+    }
+    if (session.status !== 'active') throw new MultipartUploadError(`Upload session is ${session.status}`, 410);
+
+    const parts = await cloudflareR2Service.listUploadedParts(session.key, session.uploadId);
+    const check = checkUploadedParts(session, parts);
+    if (!check.complete) {
+      throw new MultipartUploadError('Upload is missing parts', 409, { missingParts: check.missing, wrongSizeParts: check.wrongSize });
+    }
+
+    const result = await cloudflareR2Service.completeMultipartUpload(
+      session.key, session.uploadId, [...parts].sort((a, b) => a.partNumber - b.partNumber)
+    );
+    session.status = 'completed';
+    session.completedAt = new Date();
+    await session.save();
+
+    console.log(`✅ MultipartUpload: Completed ${session.key}`);
+    return { ...result, size: session.fileSize };
+  }
+
+  /**
+   * Cancel an upload and free its parts
+   */
+  async abort(sessionId, userId) {
+    const session = await this._getSession(sessionId, userId);
+    if (session.status !== 'active') return toSessionResponse(session);
+
+    await cloudflareR2Service.abortMultipartUpload(session.key, session.uploadId);
+    session.status = 'aborted';
+    await session.save();
+    return toSessionResponse(session);
+  }
+
+  /**
+   * Abort every unfinished upload under a user's raw prefix, with or without a
+   * session record, and drop their sessions (account deletion)
+   * @returns {Promise<number>} Multipart uploads aborted
+   */
+  async abortAllForUser(userId) {
+    const uploads = await cloudflareR2Service.listMultipartUploads(`${RAW_UPLOAD_PREFIX}${userId}/`);
+    let aborted = 0;
+    for (const upload of uploads) {
+      if (await cloudflareR2Service.abortMultipartUpload(upload.key, upload.uploadId)) aborted++;
+    }
+    await UploadSession.deleteMany({ userId });
+    return aborted;
+  }
+
+  /**
+   * Abort expired sessions and multipart uploads R2 holds without a session,
+   * then drop finished session records past their retention.
+   * @returns {Promise<{ expired: number, orphaned: number, purged: number }>}
+   */
+  async runJanitor(now = new Date()) {
+    const stats = { expired: 0, orphaned: 0, purged: 0 };
+
+    const expired = await UploadSession.find({ status: 'active', expiresAt: { $lte: now } }).limit(500);
+    for (const session of expired) {
+      try {
+        await cloudflareR2Service.abortMultipartUpload(session.key, session.uploadId);
+        session.status = 'expired';
+        await session.save();
+        stats.expired++;
+      } catch (error) {
+        console.error(`⚠️ MultipartUpload janitor: Failed to abort ${session.key}:`, error.message);
+      }
+    }
+
+    // Uploads whose session record never got written (crash between create and save) or was lost
+    const cutoff = now.getTime() - MULTIPART.SESSION_TTL_MS;
+    const stale = (await cloudflareR2Service.listMultipartUploads(RAW_UPLOAD_PREFIX))
+      .filter(upload => upload.initiated && new Date(upload.initiated).getTime() < cutoff);
+    if (stale.length > 0) {
+      const tracked = new Set((await UploadSession.find({
+        uploadId: { $in: stale.map(upload => upload.uploadId) },
+        status: 'active'
+      }).select('uploadId').lean()).map(session => session.uploadId));
+
+      for (const upload of stale.filter(upload => !tracked.has(upload.uploadId))) {
+        try {
+          await cloudflareR2Service.abortMultipartUpload(upload.key, upload.uploadId);
+          stats.orphaned++;
+        } catch (error) {
+          console.error(`⚠️ MultipartUpload janitor: Failed to abort orphan ${upload.key}:`, error.message);
+        }
+      }
+    }
+
+    const purged = await UploadSession.deleteMany({
+      status: { $ne: 'active' },
+      updatedAt: { $lt: new Date(now.getTime() - MULTIPART.RETAIN_FINISHED_MS) }
+    });
+    stats.purged = purged.deletedCount || 0;
+
+    return stats;
+  }
+
+  startScheduler() {
+    if (this.job) return;
+    // Hourly, at minute 40 (clear of the other hourly jobs)
+    this.job = cron.schedule('40 * * * *', async () => {
+      try {
+        const stats = await this.runJanitor();
+        if (stats.expired + stats.orphaned > 0) {
+          console.log(`🧹 MultipartUpload janitor: ${stats.expired} expired, ${stats.orphaned} orphaned uploads aborted`);
+        }
+      } catch (error) {
+        console.error('❌ Error in multipart upload janitor:', error);
+      }
+    });
+    console.log('📅 Multipart upload janitor started (hourly)');
+  }
+
+  async _getSession(sessionId, userId, { active = false } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) throw new MultipartUploadError('Upload session not found', 404);
+    const session = await UploadSession.findById(sessionId);
+    // Someone else's session looks the same as a missing one
+    if (!session || session.userId !== userId) throw new MultipartUploadError('Upload session not found', 404);
+    if (active && (session.status !== 'active' || session.expiresAt <= new Date())) {
+      throw new MultipartUploadError(`Upload session is ${session.status === 'active' ? 'expired' : session.status}`, 410);
+    }
+    return session;
+  }
+
+  async _touch(session) {
+    session.expiresAt = new Date(Date.now() + MULTIPART.SESSION_TTL_MS);
+    await session.save();
+  }
+}
+
+export default new MultipartUploadService();
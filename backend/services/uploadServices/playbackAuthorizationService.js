@@ -0,0 +1,347 @@
+import crypto from 'crypto';
+import path from 'path';
+import axios from 'axios';
+import Video, { isPublished } from '../../models/Video.js';
+import cloudflareR2Service from './cloudflareR2Service.js';
+import { playlistPrefix } from './hlsManifest.js';
+import redisService from '../caching/redisService.js';
+import { invalidateCache, VideoCacheKeys } from '../../middleware/cacheMiddleware.js';
+import { PLAYBACK_CONFIG } from '../../constants/index.js';
+
+const VIDEO_ACCESS_FIELDS = 'uploader visibility isSubscriberOnly allowedSubscribers videoUrl hlsMasterPlaylistUrl hlsPlaylistUrl duration';
+const SOURCE_URL_FIELDS = ['videoUrl', 'hlsMasterPlaylistUrl', 'hlsPlaylistUrl', 'preloadQualityUrl', 'lowQualityUrl', 'mediumQualityUrl', 'highQualityUrl'];
+
+export class PlaybackAuthorizationError extends Error {
+  constructor(message, statusCode = 403) {
+    super(message);
+    this.name = 'PlaybackAuthorizationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const hmac = (data, secret) => {
+  if (!secret) throw new PlaybackAuthorizationError('Playback signing secret is not configured', 500);
+  return crypto.createHmac('sha256', secret).update(data).digest();
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const encodePath = (key) => key.split('/').map(segment => encodeURIComponent(segment)).join('/');
+
+/**
+ * Sign a playback token. The same format is verified by the Cloudflare worker (workers/index.js).
+ * @param {Object} claims { v: videoId, s: viewer user id, p: R2 key prefix, iat, exp } (seconds)
+ * @returns {string} "<payload>.<signature>", both base64url
+ */
+export const signPlaybackToken = (claims, secret = PLAYBACK_CONFIG.SIGNING_SECRET) => {
+  const payload = base64url(JSON.stringify(claims));
+  return `${payload}.${base64url(hmac(payload, secret))}`;
+};
+
+/**
+ * @returns {Object} The claims of a valid, unexpired token
+ * @throws {PlaybackAuthorizationError} 401 when the token is malformed, forged or expired
+ */
+export const verifyPlaybackToken = (token, secret = PLAYBACK_CONFIG.SIGNING_SECRET, nowSeconds = Math.floor(Date.now() / 1000)) => {
+  const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!payload || !signature) throw new PlaybackAuthorizationError('Playback token required', 401);
+
+  const expected = hmac(payload, secret);
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new PlaybackAuthorizationError('Invalid playback token', 401);
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  } catch (error) {
+    throw new PlaybackAuthorizationError('Invalid playback token', 401);
+  }
+  if (!claims.exp || claims.exp <= nowSeconds) throw new PlaybackAuthorizationError('Playback token expired', 401);
+  return claims;
+};
+
+/**
+ * Subscriber-only videos, drafts and scheduled videos are not served from the public CDN URL
+ */
+export const requiresAuthorization = (video) => video.isSubscriberOnly === true || !isPublished(video);
+
+/**
+ * Whether a viewer may watch a video right now. Creators can always watch their own videos.
+ * @param {Object} video Needs uploader, visibility, isSubscriberOnly and allowedSubscribers
+ * @param {string|null} viewerId User _id
+ */
+export const canView = (video, viewerId) => {
+  if (viewerId && idOf(video.uploader) === viewerId.toString()) return true;
+  if (!isPublished(video)) return false;
+  if (!video.isSubscriberOnly) return true;
+  return !!viewerId && (video.allowedSubscribers || []).some(id => id.toString() === viewerId.toString());
+};
+
+/**
+ * Point every URI in a playlist at an authorized endpoint.
+ * Nested playlists go back through the API (which re-checks access); segments, subtitles and
+ * init sections go to the edge worker, or through the API when no edge is configured.
+ * URIs outside the token's prefix (e.g. another host) are left untouched.
+ * @param {string} text Playlist text
+ * @param {Object} options { playlistKey, prefix, token, playlistBase, segmentBase }
+ * @returns {string}
+ */
+export const tokenizePlaylist = (text, { playlistKey, prefix, token, playlistBase, segmentBase = null }) => {
+  const directory = path.posix.dirname(playlistKey);
+  const query = `token=${encodeURIComponent(token)}`;
+
+  const rewrite = (uri) => {
+    let key;
+    if (/^https?:\/\//i.test(uri)) {
+      key = cloudflareR2Service.getKeyFromUrl(uri.split('?')[0]);
+    } else {
+      key = path.posix.normalize(path.posix.join(directory, decodeURIComponent(uri.split('?')[0])));
+    }
+    if (!key || !key.startsWith(prefix)) return uri;
+
+    const relative = key.slice(prefix.length);
+    if (key.endsWith('.m3u8') || !segmentBase) return `${playlistBase}/${encodePath(relative)}?${query}`;
+    return `${segmentBase}/${encodePath(key)}?${query}`;
+  };
+
+  return text.split(/\r?\n/).map(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+    if (trimmed.startsWith('#')) return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${rewrite(uri)}"`);
+    return rewrite(trimmed);
+  }).join('\n');
+};
+
+/**
+ * **PlaybackAuthorizationService**
+ * Short-lived, per-viewer signed playback for subscriber-only and unpublished videos.
+ * Playlists are served by the API, which re-checks access on every request, so removing a
+ * subscriber cuts them off at their next playlist refresh. Segments are served by the edge
+ * worker, which checks the signature and a revocation list the API pushes to it.
+ */
+class PlaybackAuthorizationService {
+  /**
+   * R2 key the token is scoped to and the entry file a player opens first
+   * @returns {{ prefix: string, entry: string }|null}
+   */
+  getSource(video) {
+    const sourceUrl = cloudflareR2Service.getPublicUrl(video.hlsMasterPlaylistUrl || video.hlsPlaylistUrl || video.videoUrl || '');
+    const key = cloudflareR2Service.getKeyFromUrl(sourceUrl);
+    if (!key) return null;
+
+    if (key.endsWith('.m3u8')) {
+      const prefix = playlistPrefix(key);
+      return { prefix, entry: key.slice(prefix.length) };
+    }
+    // A single file: scope to the exact key rather than the uploader's whole folder
+    return { prefix: key, entry: path.posix.basename(key) };
+  }
+
+  /**
+   * Sign a playback URL for a viewer who has already been checked with canView
+   * @param {Object} video Needs _id and the source URL fields
+   * @param {string} viewerId User _id
+   * @param {string} apiBaseUrl e.g. "https://api.example.com" (no trailing slash)
+   * @returns {{ playbackUrl: string, token: string, expiresAt: Date }}
+   */
+  issue(video, viewerId, apiBaseUrl) {
+    const source = this.getSource(video);
+    if (!source) throw new PlaybackAuthorizationError('Video has no playable source', 409);
+
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + PLAYBACK_CONFIG.TOKEN_TTL_SECONDS;
+    const token = signPlaybackToken({ v: video._id.toString(), s: viewerId.toString(), p: source.prefix, iat: now, exp });
+
+    return {
+      playbackUrl: `${apiBaseUrl}/api/videos/${video._id}/playback/${encodePath(source.entry)}?token=${encodeURIComponent(token)}`,
+      token,
+      expiresAt: new Date(exp * 1000)
+    };
+  }
+
+  /**
+   * Swap the CDN URLs of serialized protected videos for signed playback URLs.
+   * Rendition and dub URLs are dropped: players pick renditions from the signed playlist.
+   * Public videos are left as they are.
+   * @param {Array<Object>} videos Output of serializeVideos, modified in place
+   * @param {string|null} viewerId User _id every video was already checked for with canView
+   * @param {string} apiBaseUrl
+   * @returns {boolean} Whether any URL was signed, i.e. the response must not be shared
+   */
+  signSerialized(videos, viewerId, apiBaseUrl) {
+    let signed = false;
+    for (const video of videos) {
+      if (!video || !requiresAuthorization(video)) continue;
+
+      const playback = viewerId && this.getSource(video) ? this.issue(video, viewerId, apiBaseUrl) : null;
+      video.videoUrl = playback?.playbackUrl || '';
+      if (video.hlsPlaylistUrl) video.hlsPlaylistUrl = playback?.playbackUrl || '';
+      if (video.hlsMasterPlaylistUrl) video.hlsMasterPlaylistUrl = playback?.playbackUrl || '';
+      video.lowQualityUrl = '';
+      video.dubbedUrls = null;
+      video.playbackExpiresAt = playback?.expiresAt || null;
+      signed = true;
+    }
+    return signed;
+  }
+
+  /**
+   * Playback URL for a viewer: the public CDN URL for public videos, a signed one otherwise
+   * @param {string} videoId
+   * @param {string|null} viewerId User _id, null for signed-out viewers
+   * @param {string} apiBaseUrl
+   */
+  async authorize(videoId, viewerId, apiBaseUrl) {
+    const video = await Video.findById(videoId).select(VIDEO_ACCESS_FIELDS).lean();
+    if (!video) throw new PlaybackAuthorizationError('Video not found', 404);
+    if (!canView(video, viewerId)) {
+      // Unpublished videos do not exist for anyone but their creator
+      throw isPublished(video)
+        ? new PlaybackAuthorizationError('This video is only available to subscribers', 403)
+        : new PlaybackAuthorizationError('Video not found', 404);
+    }
+
+    if (!requiresAuthorization(video)) {
+      const source = video.hlsMasterPlaylistUrl || video.hlsPlaylistUrl || video.videoUrl;
+      return { protected: false, playbackUrl: cloudflareR2Service.getPublicUrl(source || ''), expiresAt: null };
+    }
+
+    return { protected: true, ...this.issue(video, viewerId, apiBaseUrl) };
+  }
+
+  /**
+   * Resolve one tokenized request under /api/videos/:id/playback/
+   * @param {string} videoId
+   * @param {string} relativePath Path below the token's prefix
+   * @param {string} token
+   * @returns {Promise<{ playlist: string }|{ redirectUrl: string }>}
+   */
+  async resolve(videoId, relativePath, token) {
+    const claims = verifyPlaybackToken(token);
+    if (claims.v !== videoId) throw new PlaybackAuthorizationError('Playback token is for another video', 403);
+
+    // Single-file sources are scoped to one key; the path only carries the file name for players
+    const scopedToFolder = claims.p.endsWith('/');
+    const key = scopedToFolder ? path.posix.normalize(`${claims.p}${relativePath || ''}`) : claims.p;
+    if (scopedToFolder && (!key.startsWith(claims.p) || key.length === claims.p.length)) {
+      throw new PlaybackAuthorizationError('Path is outside this video', 403);
+    }
+
+    // Checked on every request so a removed subscriber loses access at once
+    const video = await Video.findById(videoId).select(VIDEO_ACCESS_FIELDS).lean();
+    if (!video || !canView(video, claims.s)) {
+      throw new PlaybackAuthorizationError('Access to this video has been revoked', 403);
+    }
+
+    if (!key.endsWith('.m3u8')) {
+      return { redirectUrl: await cloudflareR2Service.getPresignedDownloadUrl(key, PLAYBACK_CONFIG.SEGMENT_URL_TTL_SECONDS) };
+    }
+
+    // A VOD playlist is fetched once, so the URIs in it must outlive the video.
+    // Removed viewers are still cut off: playlists re-check above, segments via the edge revocation list.
+    const now = Math.floor(Date.now() / 1000);
+    const lifetime = Math.min(
+      PLAYBACK_CONFIG.TOKEN_TTL_SECONDS + Math.ceil(video.duration || 0),
+      PLAYBACK_CONFIG.REVOCATION_TTL_SECONDS
+    );
+    const mediaToken = signPlaybackToken({ ...claims, iat: now, exp: Math.max(claims.exp, now + lifetime) });
+
+    const text = await cloudflareR2Service.getObjectText(key);
+    const edge = PLAYBACK_CONFIG.EDGE_BASE_URL?.replace(/\/$/, '');
+    return {
+      playlist: tokenizePlaylist(text, {
+        playlistKey: key,
+        prefix: claims.p,
+        token: mediaToken,
+        playlistBase: `/api/videos/${videoId}/playback`,
+        segmentBase: edge ? `${edge}/playback` : null
+      })
+    };
+  }
+
+  /**
+   * Keep a video's renditions in the bucket its visibility calls for: protected videos in the
+   * private bucket (served only through /playback/), public ones on the CDN. Call after any change
+   * to visibility or isSubscriberOnly; a video already in the right place is left alone.
+   * Thumbnails and preview sprites stay public.
+   * @param {string} videoId
+   * @returns {Promise<boolean>} Whether anything was moved
+   */
+  async relocateStorage(videoId) {
+    const video = await Video.findById(videoId)
+      .select(`${VIDEO_ACCESS_FIELDS} ${SOURCE_URL_FIELDS.join(' ')} hlsVariants qualitiesGenerated captions dubbedUrls`)
+      .lean();
+    const source = video && this.getSource(video);
+    if (!source) return false;
+
+    const toPrivate = requiresAuthorization(video);
+    if (cloudflareR2Service.isPrivateKey(source.prefix) === toPrivate) return false;
+
+    const from = source.prefix;
+    const to = toPrivate ? cloudflareR2Service.toPrivateKey(from) : cloudflareR2Service.toPublicKey(from);
+    const relocate = (value) => {
+      const key = value && cloudflareR2Service.getKeyFromUrl(cloudflareR2Service.getPublicUrl(value));
+      return key?.startsWith(from) ? cloudflareR2Service.getPublicUrl(`${to}${key.slice(from.length)}`) : value;
+    };
+
+    // Copy, point the video at the copies, then drop the originals, so playback never dangles
+    const moved = await cloudflareR2Service.copyObjects(from, to);
+
+    const update = {};
+    SOURCE_URL_FIELDS.forEach(field => { if (video[field]) update[field] = relocate(video[field]); });
+    if (video.hlsVariants?.length) update.hlsVariants = video.hlsVariants.map(v => ({ ...v, url: relocate(v.url) }));
+    if (video.qualitiesGenerated?.length) update.qualitiesGenerated = video.qualitiesGenerated.map(q => ({ ...q, url: relocate(q.url) }));
+    if (video.captions?.length) {
+      update.captions = video.captions.map(c => ({ ...c, url: relocate(c.url), playlistUrl: relocate(c.playlistUrl) }));
+    }
+    if (video.dubbedUrls && Object.keys(video.dubbedUrls).length) {
+      update.dubbedUrls = Object.fromEntries(Object.entries(video.dubbedUrls).map(([code, url]) => [code, relocate(url)]));
+    }
+    await Video.updateOne({ _id: video._id }, { $set: update });
+
+    if (redisService.getConnectionStatus()) {
+      await invalidateCache([
+        'videos:feed:*',
+        VideoCacheKeys.all(),
+        VideoCacheKeys.single(videoId),
+        `video:data:${videoId}`
+      ]);
+    }
+    await (from.endsWith('/') ? cloudflareR2Service.deletePrefix(from) : cloudflareR2Service.deleteFile(from));
+
+    console.log(`🔒 Moved ${moved} object(s) of video ${videoId} to the ${toPrivate ? 'private' : 'public'} bucket`);
+    return true;
+  }
+
+  /**
+   * Invalidate tokens already issued to viewers who lost access.
+   * The API path needs nothing (it re-checks the video); the edge keeps a revocation list
+   * that rejects tokens issued before this moment until they would have expired anyway.
+   * @param {string} videoId
+   * @param {Array<string>} viewerIds User _ids
+   */
+  async revokeViewers(videoId, viewerIds) {
+    if (!viewerIds?.length || !PLAYBACK_CONFIG.EDGE_BASE_URL) return;
+
+    try {
+      await axios.post(`${PLAYBACK_CONFIG.EDGE_BASE_URL.replace(/\/$/, '')}/playback/revoke`, {
+        videoId: videoId.toString(),
+        viewerIds: viewerIds.map(id => id.toString()),
+        revokedAt: Math.floor(Date.now() / 1000),
+        ttlSeconds: PLAYBACK_CONFIG.REVOCATION_TTL_SECONDS
+      }, {
+        headers: { 'X-Worker-Secret': process.env.WORKER_SECRET },
+        timeout: 5000
+      });
+      console.log(`🔒 Playback revoked at the edge for ${viewerIds.length} viewer(s) of video ${videoId}`);
+    } catch (error) {
+      console.error(`❌ Failed to push playback revocation for video ${videoId}:`, error.message);
+    }
+  }
+}
+
+export default new PlaybackAuthorizationService();
@@ -0,0 +1,435 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import path from 'path';
+import fs from 'fs';
+import nodeCrypto from 'crypto';
+import Video from '../../models/Video.js';
+import User from '../../models/User.js';
+import cloudflareR2Service from './cloudflareR2Service.js';
+import moderationService from '../moderationServices/moderationService.js';
+import { formatTimestamp } from './captionService.js';
+import redisService from '../caching/redisService.js';
+import { invalidateCache, VideoCacheKeys } from '../../middleware/cacheMiddleware.js';
+import { THUMBNAIL_CONFIG } from '../../constants/index.js';
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+export class ThumbnailError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ThumbnailError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * R2 folder holding a video's thumbnail candidates, custom thumbnails and preview sprites.
+ * It sits under thumbnails/<uploader>/ so account deletion removes it with the rest.
+ */
+export const thumbnailPrefix = (uploaderId, videoId) => `thumbnails/${uploaderId}/${videoId}/`;
+
+/**
+ * Variance of the 4-neighbour Laplacian of a grayscale image.
+ * Blurry, dark and flat frames score low; detailed in-focus frames score high.
+ * @param {Uint8Array} pixels One byte per pixel, row-major
+ */
+export const laplacianVariance = (pixels, width, height) => {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+};
+
+/**
+ * Candidate frame times spread over 5%-90% of the video (skipping intros and end cards)
+ * @returns {number[]} Seconds
+ */
+export const candidateTimestamps = (duration, count = THUMBNAIL_CONFIG.CANDIDATE_COUNT) => {
+  if (!(duration > 0)) return [0];
+  const start = duration * 0.05;
+  const end = duration * 0.9;
+  if (count <= 1) return [round3(start)];
+  return Array.from({ length: count }, (_, i) => round3(start + ((end - start) * i) / (count - 1)));
+};
+
+/**
+ * Score candidates and sort them best first. Sharpness is relative to the sharpest
+ * frame of the same video, so the score does not depend on resolution or content.
+ * @param {Array<{ sharpness: number, faceScore: number }>} candidates
+ */
+export const rankCandidates = (candidates, faceWeight = THUMBNAIL_CONFIG.FACE_WEIGHT) => {
+  const sharpest = Math.max(0, ...candidates.map(candidate => candidate.sharpness || 0));
+  return candidates
+    .map(candidate => ({
+      ...candidate,
+      score: round3(
+        (sharpest > 0 ? (candidate.sharpness || 0) / sharpest : 0) * (1 - faceWeight) +
+        (candidate.faceScore || 0) * faceWeight
+      )
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Tile size, interval and sheet grid for a video's preview sprites
+ * @param {Object} video { duration, width, height }
+ */
+export const spriteLayout = ({ duration, width, height }, config = THUMBNAIL_CONFIG) => {
+  const interval = Math.max(config.SPRITE_MIN_INTERVAL_SECONDS, Math.ceil(duration / config.SPRITE_MAX_TILES));
+  const tileWidth = config.SPRITE_TILE_WIDTH;
+  const ratio = width > 0 && height > 0 ? height / width : 16 / 9;
+  const tiles = Math.max(1, Math.ceil(duration / interval));
+
+  return {
+    interval,
+    tileWidth,
+    tileHeight: Math.max(2, 2 * Math.round((tileWidth * ratio) / 2)),
+    columns: config.SPRITE_COLUMNS,
+    rows: config.SPRITE_ROWS,
+    tiles,
+    sheets: Math.ceil(tiles / (config.SPRITE_COLUMNS * config.SPRITE_ROWS))
+  };
+};
+
+export const spriteSheetName = (index) => `sprite_${String(index).padStart(3, '0')}.jpg`;
+
+/**
+ * WebVTT index for seek-bar previews: one cue per interval pointing at its tile,
+ * relative to the VTT file (sprite_000.jpg#xywh=x,y,w,h)
+ */
+export const buildSpriteVtt = (layout, duration) => {
+  const { interval, tileWidth, tileHeight, columns, rows, tiles } = layout;
+  const perSheet = columns * rows;
+  const lines = ['WEBVTT', ''];
+
+  for (let i = 0; i < tiles; i++) {
+    const position = i % perSheet;
+    const x = (position % columns) * tileWidth;
+    const y = Math.floor(position / columns) * tileHeight;
+    lines.push(
+      `${formatTimestamp(i * interval)} --> ${formatTimestamp(Math.min((i + 1) * interval, duration))}`,
+      `${spriteSheetName(Math.floor(i / perSheet))}#xywh=${x},${y},${tileWidth},${tileHeight}`,
+      ''
+    );
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * **ThumbnailService**
+ * Picks a video's thumbnail from several candidate frames scored for sharpness and
+ * face presence, lets the creator choose another candidate or upload their own, and
+ * builds the sprite sheets + WebVTT index players use for seek-bar previews.
+ */
+class ThumbnailService {
+  constructor() {
+    this.tempDir = path.join(process.cwd(), 'uploads', 'temp', 'thumbnails');
+    this.detector = null;
+  }
+
+  /**
+   * Candidates and preview sprites for a freshly processed upload. The best candidate
+   * becomes the thumbnail unless the creator has already picked or uploaded one.
+   * @param {String|ObjectId} videoId
+   * @param {string} videoPath Local source file
+   * @returns {Promise<{ candidates: number, sprites: boolean }>}
+   */
+  async processVideo(videoId, videoPath) {
+    const video = await Video.findById(videoId).select('uploader duration originalResolution').lean();
+    if (!video) return { candidates: 0, sprites: false };
+
+    const sessionDir = path.join(this.tempDir, nodeCrypto.randomUUID());
+    fs.mkdirSync(sessionDir, { recursive: true });
+    const prefix = `${thumbnailPrefix(video.uploader, videoId)}${Date.now()}/`;
+    const update = {};
+
+    try {
+      try {
+        const candidates = await this.generateCandidates(videoPath, video.duration, sessionDir, prefix);
+        if (candidates.length) update.thumbnailCandidates = candidates;
+      } catch (error) {
+        console.warn(`⚠️ Thumbnails: Candidates failed for ${videoId}: ${error.message}`);
+      }
+
+      try {
+        if (video.duration > 0) {
+          update.previewSprites = await this.generatePreviewSprites(videoPath, {
+            duration: video.duration,
+            width: video.originalResolution?.width,
+            height: video.originalResolution?.height
+          }, sessionDir, prefix);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Thumbnails: Preview sprites failed for ${videoId}: ${error.message}`);
+      }
+    } finally {
+      fs.rmSync(sessionDir, { recursive: true, force: true });
+    }
+
+    if (Object.keys(update).length === 0) return { candidates: 0, sprites: false };
+
+    await Video.updateOne({ _id: videoId }, { $set: update });
+    if (update.thumbnailCandidates) {
+      // Only replaces an automatic thumbnail; the filter leaves a creator's choice alone
+      await Video.updateOne(
+        { _id: videoId, thumbnailSource: 'auto' },
+        { $set: { thumbnailUrl: update.thumbnailCandidates[0].url } }
+      );
+    }
+    await this._invalidateCaches(video.uploader, videoId);
+
+    console.log(`🖼️ Thumbnails: ${update.thumbnailCandidates?.length || 0} candidates${update.previewSprites ? ' + preview sprites' : ''} for ${videoId}`);
+    return { candidates: update.thumbnailCandidates?.length || 0, sprites: Boolean(update.previewSprites) };
+  }
+
+  /**
+   * Extract, score and upload candidate frames
+   * @returns {Promise<Array>} Video.thumbnailCandidates entries, best first
+   */
+  async generateCandidates(videoPath, duration, workDir, prefix) {
+    const timestamps = candidateTimestamps(duration);
+    const frames = await this._extractFrames(videoPath, workDir, timestamps);
+
+    const scored = [];
+    let detectFaces = true;
+    for (const [index, framePath] of frames.entries()) {
+      const sharpness = await this.measureSharpness(framePath);
+      let faceScore = 0;
+      if (detectFaces) {
+        try {
+          faceScore = await this.detectFaces(framePath);
+        } catch (error) {
+          // No detector (model not cached, native libs missing): rank on sharpness alone
+          console.warn(`⚠️ Thumbnails: Face detection unavailable: ${error.message}`);
+          detectFaces = false;
+        }
+      }
+      scored.push({ framePath, timestamp: timestamps[index], sharpness: round3(sharpness), faceScore });
+    }
+
+    const ranked = rankCandidates(scored);
+    const candidates = [];
+    for (const [index, { framePath, ...candidate }] of ranked.entries()) {
+      const { url } = await cloudflareR2Service.uploadFileToR2(framePath, `${prefix}candidate_${index}.jpg`, 'image/jpeg');
+      candidates.push({ url, ...candidate });
+    }
+    return candidates;
+  }
+
+  /**
+   * Sharpness of one frame (see laplacianVariance), measured at THUMBNAIL_CONFIG.SCORE_WIDTH
+   */
+  async measureSharpness(imagePath) {
+    const { default: sharp } = await import('sharp');
+    const { data, info } = await sharp(imagePath)
+      .resize({ width: THUMBNAIL_CONFIG.SCORE_WIDTH, withoutEnlargement: true })
+      .greyscale()
+      .toColourspace('b-w')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return laplacianVariance(data, info.width, info.height);
+  }
+
+  /**
+   * Confidence (0-1) that the frame shows a face; 0 when nothing is detected
+   */
+  async detectFaces(imagePath) {
+    const detector = await this._getDetector();
+    const detections = await detector(imagePath, { threshold: THUMBNAIL_CONFIG.FACE_MIN_CONFIDENCE, percentage: true });
+    const faces = detections.filter(detection => THUMBNAIL_CONFIG.FACE_LABELS.includes(String(detection.label).toLowerCase()));
+    return round3(Math.max(0, ...faces.map(face => face.score)));
+  }
+
+  /**
+   * Sprite sheets and their WebVTT index, uploaded next to each other
+   * @returns {Promise<Object>} Video.previewSprites
+   */
+  async generatePreviewSprites(videoPath, { duration, width, height }, workDir, prefix) {
+    const layout = spriteLayout({ duration, width, height });
+    const spriteDir = path.join(workDir, 'sprites');
+    fs.mkdirSync(spriteDir, { recursive: true });
+
+    await this._renderSprites(videoPath, spriteDir, layout);
+
+    const sheetUrls = [];
+    for (let index = 0; index < layout.sheets; index++) {
+      const sheetPath = path.join(spriteDir, spriteSheetName(index));
+      if (!fs.existsSync(sheetPath)) break;
+      const { url } = await cloudflareR2Service.uploadFileToR2(sheetPath, `${prefix}sprites/${spriteSheetName(index)}`, 'image/jpeg');
+      sheetUrls.push(url);
+    }
+    if (sheetUrls.length === 0) throw new Error('ffmpeg produced no sprite sheets');
+
+    const { url: vttUrl } = await cloudflareR2Service.uploadContentToR2(
+      buildSpriteVtt(layout, duration),
+      `${prefix}sprites/storyboard.vtt`,
+      'text/vtt'
+    );
+
+    return {
+      vttUrl,
+      interval: layout.interval,
+      tileWidth: layout.tileWidth,
+      tileHeight: layout.tileHeight,
+      sheetUrls
+    };
+  }
+
+  /**
+   * Thumbnail picker state for the creator
+   */
+  async getCandidates(videoId, userGoogleId) {
+    const video = await this._assertOwner(videoId, userGoogleId, 'thumbnailUrl thumbnailSource thumbnailCandidates');
+    return {
+      thumbnailUrl: cloudflareR2Service.getPublicUrl(video.thumbnailUrl || ''),
+      thumbnailSource: video.thumbnailSource || 'auto',
+      candidates: video.thumbnailCandidates || []
+    };
+  }
+
+  /**
+   * Make one of the scored candidates the thumbnail
+   * @param {number} index Position in Video.thumbnailCandidates
+   * @returns {Promise<string>} The new thumbnail URL
+   */
+  async selectCandidate(videoId, index, userGoogleId) {
+    const video = await this._assertOwner(videoId, userGoogleId, 'uploader thumbnailCandidates');
+    const candidate = Number.isInteger(index) ? video.thumbnailCandidates?.[index] : null;
+    if (!candidate) throw new ThumbnailError('Unknown thumbnail candidate');
+
+    await Video.updateOne({ _id: videoId }, { $set: { thumbnailUrl: candidate.url, thumbnailSource: 'candidate' } });
+    await this._invalidateCaches(video.uploader, videoId);
+    return candidate.url;
+  }
+
+  /**
+   * Store an uploaded image as the thumbnail. It is re-encoded as JPEG (which also drops
+   * EXIF/location metadata), capped in width and checked by content moderation.
+   * @param {Buffer} image
+   * @returns {Promise<string>} The new thumbnail URL
+   */
+  async uploadCustom(videoId, image, userGoogleId) {
+    const video = await this._assertOwner(videoId, userGoogleId, 'uploader');
+
+    const { default: sharp } = await import('sharp');
+    let jpeg;
+    try {
+      jpeg = await sharp(image)
+        .rotate()
+        .resize({ width: THUMBNAIL_CONFIG.CUSTOM_MAX_WIDTH, withoutEnlargement: true })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer();
+    } catch (error) {
+      throw new ThumbnailError('The uploaded file is not a readable image');
+    }
+
+    const checkPath = path.join(this.tempDir, `${nodeCrypto.randomUUID()}.jpg`);
+    fs.mkdirSync(this.tempDir, { recursive: true });
+    fs.writeFileSync(checkPath, jpeg);
+    try {
+      const verdict = await moderationService.moderateImage(checkPath);
+      if (verdict.action === 'hold') {
+        throw new ThumbnailError('This image cannot be used as a thumbnail', 422);
+      }
+    } finally {
+      fs.rmSync(checkPath, { force: true });
+    }
+
+    const { url } = await cloudflareR2Service.uploadContentToR2(
+      jpeg,
+      `${thumbnailPrefix(video.uploader, videoId)}custom_${Date.now()}.jpg`,
+      'image/jpeg'
+    );
+    await Video.updateOne({ _id: videoId }, { $set: { thumbnailUrl: url, thumbnailSource: 'custom' } });
+    await this._invalidateCaches(video.uploader, videoId);
+    return url;
+  }
+
+  async _assertOwner(videoId, userGoogleId, fields) {
+    const [video, user] = await Promise.all([
+      Video.findById(videoId).select(`uploader ${fields}`).lean(),
+      User.findOne({ googleId: userGoogleId }).select('_id').lean()
+    ]);
+    if (!video) throw new ThumbnailError('Video not found', 404);
+    if (!user || video.uploader?.toString() !== user._id.toString()) {
+      throw new ThumbnailError('Only the creator can change this video\'s thumbnail', 403);
+    }
+    return video;
+  }
+
+  // One detector per process; a failed load is retried on the next video
+  _getDetector() {
+    if (!this.detector) {
+      this.detector = (async () => {
+        console.log(`🖼️ Thumbnails: Loading face detector ${THUMBNAIL_CONFIG.FACE_MODEL}...`);
+        const { pipeline } = await import('@xenova/transformers');
+        return pipeline('object-detection', THUMBNAIL_CONFIG.FACE_MODEL);
+      })();
+      this.detector.catch(() => { this.detector = null; });
+    }
+    return this.detector;
+  }
+
+  _extractFrames(videoPath, outputDir, timestamps) {
+    return new Promise((resolve, reject) => {
+      const frames = [];
+      ffmpeg(path.resolve(videoPath))
+        .screenshots({
+          timestamps,
+          folder: outputDir,
+          filename: 'candidate_%i.jpg',
+          size: `${THUMBNAIL_CONFIG.CANDIDATE_WIDTH}x?`
+        })
+        .on('filenames', (filenames) => {
+          filenames.forEach(name => frames.push(path.join(outputDir, name)));
+        })
+        .on('end', () => resolve(frames.filter(frame => fs.existsSync(frame))))
+        .on('error', (err) => reject(err));
+    });
+  }
+
+  _renderSprites(videoPath, outputDir, layout) {
+    const { interval, tileWidth, tileHeight, columns, rows } = layout;
+    return new Promise((resolve, reject) => {
+      ffmpeg(path.resolve(videoPath))
+        .noAudio()
+        .outputOptions([
+          '-vf', `fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${columns}x${rows}`,
+          '-q:v', '5',
+          '-start_number', '0'
+        ])
+        .output(path.join(outputDir, 'sprite_%03d.jpg'))
+        .on('end', resolve)
+        .on('error', (err, stdout, stderr) => reject(new Error(`${err.message} ${stderr || ''}`.trim())))
+        .run();
+    });
+  }
+
+  async _invalidateCaches(uploaderId, videoId) {
+    if (!redisService.getConnectionStatus()) return;
+
+    const keys = [VideoCacheKeys.single(videoId.toString()), `video:data:${videoId}`];
+    const uploader = await User.findById(uploaderId).select('googleId').lean();
+    if (uploader) keys.push(`videos:user:${uploader.googleId}`);
+
+    await invalidateCache(keys).catch(err => console.error('⚠️ Thumbnails: Cache invalidation failed:', err.message));
+  }
+}
+
+export default new ThumbnailService();
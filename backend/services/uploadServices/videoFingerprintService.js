@@ -0,0 +1,349 @@
+import { spawn } from 'child_process';
+import ffmpegStatic from 'ffmpeg-static';
+import Video from '../../models/Video.js';
+import User from '../../models/User.js';
+import Notice from '../../models/Notice.js';
+import VideoFingerprint from '../../models/VideoFingerprint.js';
+import { sendNotificationToUser } from '../notificationServices/notificationService.js';
+import { DUPLICATE_CONFIG } from '../../constants/index.js';
+
+const HASH_WIDTH = 9; // 9x8 grey thumbnail -> 8x8 horizontal gradients = 64 bits
+const HASH_HEIGHT = 8;
+const BAND_COUNT = 4; // 16-bit slices of each frame hash
+const AUDIO_SAMPLE_RATE = 4000;
+const FFMPEG_TIMEOUT_MS = 3 * 60 * 1000;
+const POPCOUNT = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+const bitsToHex = (bits) => {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    const nibble = (bits[i] << 3) | ((bits[i + 1] || 0) << 2) | ((bits[i + 2] || 0) << 1) | (bits[i + 3] || 0);
+    hex += nibble.toString(16);
+  }
+  return hex;
+};
+
+const hexToBits = (hex, count) => {
+  const bits = [];
+  for (const char of hex) {
+    const nibble = parseInt(char, 16);
+    bits.push((nibble >> 3) & 1, (nibble >> 2) & 1, (nibble >> 1) & 1, nibble & 1);
+  }
+  return bits.slice(0, count);
+};
+
+/**
+ * Number of differing bits between two equal-length hex strings
+ */
+export const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += POPCOUNT[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+};
+
+/**
+ * 64-bit difference hash of a 9x8 greyscale frame: one bit per horizontal
+ * neighbour pair, set when brightness rises. Survives re-encoding and scaling.
+ * @param {Uint8Array|Buffer} pixels Row-major luma values
+ * @returns {string} 16 hex chars
+ */
+export const differenceHash = (pixels, width = HASH_WIDTH, height = HASH_HEIGHT) => {
+  const bits = [];
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width - 1; col++) {
+      bits.push(pixels[row * width + col] < pixels[row * width + col + 1] ? 1 : 0);
+    }
+  }
+  return bitsToHex(bits);
+};
+
+/**
+ * Rise/fall pattern of the audio energy envelope: one bit per window, set when
+ * the next window is louder. Independent of codec, bitrate and volume.
+ * @param {Int16Array|Array<number>} samples Mono PCM
+ * @param {number} windowSize Samples per window
+ * @returns {{ audioBits: string|null, audioBitCount: number }}
+ */
+export const energyEnvelopeBits = (samples, windowSize) => {
+  const energies = [];
+  for (let start = 0; start + windowSize <= samples.length; start += windowSize) {
+    let energy = 0;
+    for (let i = start; i < start + windowSize; i++) energy += samples[i] * samples[i];
+    energies.push(energy);
+  }
+  if (energies.length < 2) return { audioBits: null, audioBitCount: 0 };
+
+  const bits = [];
+  for (let i = 0; i < energies.length - 1; i++) bits.push(energies[i + 1] > energies[i] ? 1 : 0);
+  return { audioBits: bitsToHex(bits), audioBitCount: bits.length };
+};
+
+/**
+ * Indexed 16-bit slices of every frame hash ("<slot>:<hex>")
+ */
+export const lshBands = (frameHashes) => {
+  const bands = new Set();
+  for (const hash of frameHashes) {
+    const width = hash.length / BAND_COUNT;
+    for (let slot = 0; slot < BAND_COUNT; slot++) {
+      bands.add(`${slot}:${hash.slice(slot * width, (slot + 1) * width)}`);
+    }
+  }
+  return [...bands];
+};
+
+/**
+ * Share of the upload's frames that also appear (within maxDistance bits) in the candidate
+ */
+export const frameSimilarity = (uploadHashes, candidateHashes, maxDistance = DUPLICATE_CONFIG.FRAME_MAX_DISTANCE) => {
+  if (!uploadHashes?.length || !candidateHashes?.length) return 0;
+  const matched = uploadHashes.filter(hash =>
+    candidateHashes.some(other => other.length === hash.length && hammingDistance(hash, other) <= maxDistance)
+  );
+  return matched.length / uploadHashes.length;
+};
+
+/**
+ * Best bit agreement of two audio envelopes over small offsets (trimmed intros)
+ * @returns {number|null} 0..1, null when either side has no usable audio
+ */
+export const audioSimilarity = (a, b, maxShift = DUPLICATE_CONFIG.AUDIO_MAX_SHIFT) => {
+  if (!a?.audioBits || !b?.audioBits) return null;
+  const bitsA = hexToBits(a.audioBits, a.audioBitCount);
+  const bitsB = hexToBits(b.audioBits, b.audioBitCount);
+  const minOverlap = Math.max(8, Math.floor(Math.min(bitsA.length, bitsB.length) / 2));
+
+  let best = null;
+  for (let shift = -maxShift; shift <= maxShift; shift++) {
+    let overlap = 0;
+    let agree = 0;
+    for (let i = Math.max(0, -shift); i < bitsA.length && i + shift < bitsB.length; i++) {
+      overlap++;
+      if (bitsA[i] === bitsB[i + shift]) agree++;
+    }
+    if (overlap >= minOverlap) best = Math.max(best ?? 0, agree / overlap);
+  }
+  return best;
+};
+
+/**
+ * Compare an upload's fingerprint with a stored one
+ * @returns {{ similarity: number, frameSimilarity: number, audioSimilarity: number|null, isDuplicate: boolean }}
+ */
+export const compareFingerprints = (upload, candidate, config = DUPLICATE_CONFIG) => {
+  const frames = frameSimilarity(upload.frameHashes, candidate.frameHashes, config.FRAME_MAX_DISTANCE);
+  const audio = audioSimilarity(upload, candidate, config.AUDIO_MAX_SHIFT);
+  const similarity = audio === null ? frames : frames * (1 - config.AUDIO_WEIGHT) + audio * config.AUDIO_WEIGHT;
+
+  return {
+    similarity: Math.round(similarity * 1000) / 1000,
+    frameSimilarity: Math.round(frames * 1000) / 1000,
+    audioSimilarity: audio === null ? null : Math.round(audio * 1000) / 1000,
+    isDuplicate: frames >= config.MIN_FRAME_SIMILARITY && similarity >= config.MATCH_THRESHOLD
+  };
+};
+
+// Run ffmpeg and collect raw stdout
+const runFfmpeg = (args) => new Promise((resolve, reject) => {
+  const proc = spawn(ffmpegStatic, args);
+  const chunks = [];
+  let stderr = '';
+
+  const timer = setTimeout(() => {
+    proc.kill('SIGKILL');
+    reject(new Error('ffmpeg timed out'));
+  }, FFMPEG_TIMEOUT_MS);
+
+  proc.stdout.on('data', chunk => chunks.push(chunk));
+  proc.stderr.on('data', data => { stderr = (stderr + data.toString()).slice(-500); });
+  proc.on('error', error => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  proc.on('close', code => {
+    clearTimeout(timer);
+    if (code === 0) resolve(Buffer.concat(chunks));
+    else reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim()}`));
+  });
+});
+
+/**
+ * **VideoFingerprintService**
+ * Perceptual fingerprints for processed uploads and the cross-creator
+ * near-duplicate lookup behind them. A match is attached to the video as
+ * `duplicateOf` and pauses its monetization.
+ */
+class VideoFingerprintService {
+  /**
+   * Fingerprint a local video file
+   * @param {string} videoPath
+   * @param {number} durationSeconds Used to spread the frame samples
+   * @returns {Promise<{ frameHashes: string[], audioBits: string|null, audioBitCount: number }>}
+   */
+  async compute(videoPath, durationSeconds = 0) {
+    const samples = DUPLICATE_CONFIG.FRAME_SAMPLES;
+    const interval = Math.max((durationSeconds || 60) / samples, 0.5);
+
+    // Central 80% only: borders, letterboxing and watermarks in the corners do not count
+    const frameBuffer = await runFfmpeg([
+      '-v', 'error', '-i', videoPath,
+      '-vf', `fps=1/${interval},crop=iw*0.8:ih*0.8,scale=${HASH_WIDTH}:${HASH_HEIGHT}:flags=area,format=gray`,
+      '-frames:v', String(samples),
+      '-f', 'rawvideo', '-'
+    ]);
+
+    const frameSize = HASH_WIDTH * HASH_HEIGHT;
+    const frameHashes = [];
+    for (let offset = 0; offset + frameSize <= frameBuffer.length; offset += frameSize) {
+      frameHashes.push(differenceHash(frameBuffer.subarray(offset, offset + frameSize)));
+    }
+
+    let audio = { audioBits: null, audioBitCount: 0 };
+    try {
+      const pcm = await runFfmpeg([
+        '-v', 'error', '-i', videoPath,
+        '-t', String(DUPLICATE_CONFIG.AUDIO_SECONDS),
+        '-vn', '-ac', '1', '-ar', String(AUDIO_SAMPLE_RATE),
+        '-f', 's16le', '-'
+      ]);
+      const pcmSamples = new Array(Math.floor(pcm.length / 2));
+      for (let i = 0; i < pcmSamples.length; i++) pcmSamples[i] = pcm.readInt16LE(i * 2);
+      audio = energyEnvelopeBits(pcmSamples, Math.round(AUDIO_SAMPLE_RATE * DUPLICATE_CONFIG.AUDIO_WINDOW_MS / 1000));
+    } catch (error) {
+      // Silent videos have no audio stream; frames alone decide
+      console.log(`🔇 Fingerprint: No usable audio (${error.message.slice(0, 80)})`);
+    }
+
+    return { frameHashes, ...audio };
+  }
+
+  /**
+   * Oldest video of another creator that this fingerprint matches
+   * @param {Object} fingerprint Result of compute()
+   * @param {Object} upload { videoId, uploader }
+   * @returns {Promise<Object|null>} { video, similarity, frameSimilarity, audioSimilarity }
+   */
+  async findOriginal(fingerprint, { videoId, uploader }) {
+    const bands = lshBands(fingerprint.frameHashes);
+    if (bands.length === 0) return null;
+
+    const candidates = await VideoFingerprint.aggregate([
+      { $match: { bands: { $in: bands }, uploader: { $ne: uploader }, videoId: { $ne: videoId } } },
+      {
+        $project: {
+          videoId: 1, frameHashes: 1, audioBits: 1, audioBitCount: 1,
+          hits: { $size: { $setIntersection: ['$bands', bands] } }
+        }
+      },
+      { $sort: { hits: -1 } },
+      { $limit: DUPLICATE_CONFIG.CANDIDATE_LIMIT }
+    ]);
+
+    const matches = new Map();
+    for (const candidate of candidates) {
+      const score = compareFingerprints(fingerprint, candidate);
+      if (score.isDuplicate) matches.set(candidate.videoId.toString(), score);
+    }
+    if (matches.size === 0) return null;
+
+    const videos = await Video.find({ _id: { $in: [...matches.keys()] }, processingStatus: { $ne: 'failed' } })
+      .select('uploader videoName createdAt duplicateOf')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // Copies of copies point at the first upload
+    const original = videos.find(video => !video.duplicateOf?.videoId) || videos[0];
+    if (!original) return null;
+
+    return { video: original, ...matches.get(original._id.toString()) };
+  }
+
+  /**
+   * Fingerprint a freshly processed upload, store it and attach a match if there is one
+   * @param {string|ObjectId} videoId
+   * @param {string} videoPath Local file
+   * @returns {Promise<Object|null>} { originalVideoId, originalUploader, similarity, ... } or null when unique
+   */
+  async detect(videoId, videoPath) {
+    const video = await Video.findById(videoId).select('uploader duration videoName').lean();
+    if (!video) return null;
+
+    const fingerprint = await this.compute(videoPath, video.duration);
+    await this.store(video, fingerprint);
+
+    const match = await this.findOriginal(fingerprint, { videoId: video._id, uploader: video.uploader });
+    if (!match) return null;
+
+    const duplicateOf = {
+      videoId: match.video.duplicateOf?.videoId || match.video._id,
+      uploader: match.video.duplicateOf?.uploader || match.video.uploader,
+      similarity: match.similarity,
+      frameSimilarity: match.frameSimilarity,
+      audioSimilarity: match.audioSimilarity,
+      detectedAt: new Date()
+    };
+    await Video.updateOne({ _id: video._id }, { $set: { duplicateOf, monetizationBlocked: true } });
+
+    console.log(`🧬 Fingerprint: ${video._id} matches ${duplicateOf.videoId} (similarity ${match.similarity})`);
+    await this._notifyUploader(video);
+
+    return {
+      originalVideoId: duplicateOf.videoId,
+      originalUploader: duplicateOf.uploader,
+      similarity: match.similarity,
+      frameSimilarity: match.frameSimilarity,
+      audioSimilarity: match.audioSimilarity
+    };
+  }
+
+  /**
+   * Save (or replace) a video's fingerprint so later uploads can be matched against it
+   * @param {Object} video { _id, uploader }
+   * @param {Object} fingerprint Result of compute()
+   */
+  async store(video, fingerprint) {
+    await VideoFingerprint.findOneAndUpdate(
+      { videoId: video._id },
+      {
+        $set: {
+          uploader: video.uploader,
+          frameHashes: fingerprint.frameHashes,
+          bands: lshBands(fingerprint.frameHashes),
+          audioBits: fingerprint.audioBits,
+          audioBitCount: fingerprint.audioBitCount
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Drop stored fingerprints (video or account deleted)
+   */
+  async removeFingerprints(videoIds) {
+    const ids = Array.isArray(videoIds) ? videoIds : [videoIds];
+    if (ids.length === 0) return { deletedCount: 0 };
+    return VideoFingerprint.deleteMany({ videoId: { $in: ids } });
+  }
+
+  async _notifyUploader(video) {
+    try {
+      const uploader = await User.findById(video.uploader).select('googleId').lean();
+      if (!uploader) return;
+
+      const title = `Monetization Paused: ${video.videoName}`;
+      await Notice.create({ userId: uploader.googleId, title, type: 'warning' });
+      await sendNotificationToUser(uploader.googleId, {
+        title,
+        body: `"${video.videoName}" closely matches a video uploaded earlier by another creator, so it will not earn ad revenue.`,
+        data: { type: 'video_duplicate', videoId: video._id.toString() }
+      });
+    } catch (error) {
+      console.error('⚠️ Fingerprint: Failed to notify uploader:', error.message);
+    }
+  }
+}
+
+export default new VideoFingerprintService();
@@ -0,0 +1,266 @@
+import cron from 'node-cron';
+import Video from '../../models/Video.js';
+import User from '../../models/User.js';
+import Notice from '../../models/Notice.js';
+import redisService from '../caching/redisService.js';
+import { invalidateCache, VideoCacheKeys } from '../../middleware/cacheMiddleware.js';
+import { sendNotificationToUser } from '../notificationServices/notificationService.js';
+import playbackAuthorizationService from './playbackAuthorizationService.js';
+
+const VISIBILITIES = ['public', 'draft', 'scheduled'];
+const MAX_SCHEDULE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PUBLISH_BATCH_SIZE = 50;
+
+// "2026-10-20T18:30" / "2026-10-20 18:30:00": wall-clock time without an offset
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+// Trailing "Z" or "+05:30": the instant is already absolute
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+export class PublishScheduleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PublishScheduleError';
+    this.statusCode = statusCode;
+  }
+}
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Milliseconds the zone is ahead of UTC at `instant`
+const zoneOffsetMs = (instant, timeZone) => {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  for (const part of formatter.formatToParts(instant)) parts[part.type] = part.value;
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in an IANA zone to a UTC instant.
+ * Times skipped by a DST jump resolve to the same wall time after the jump.
+ * @param {String} localDateTime "YYYY-MM-DDTHH:mm[:ss]"
+ * @param {String} timeZone e.g. 'Asia/Kolkata'
+ * @returns {Date|null} null if the input is malformed
+ */
+export const zonedTimeToUtc = (localDateTime, timeZone) => {
+  const match = LOCAL_DATE_TIME.exec(String(localDateTime).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = '0'] = match.map(v => v && Number(v));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Offset at the guess, then again at the corrected instant (handles DST boundaries)
+  const firstGuess = wallClock - zoneOffsetMs(new Date(wallClock), timeZone);
+  const instant = wallClock - zoneOffsetMs(new Date(firstGuess), timeZone);
+  return new Date(instant);
+};
+
+/**
+ * Validate the publishing fields of an upload / update request
+ * @param {Object} body { visibility, publishAt, timezone }
+ * @param {Date} now
+ * @returns {{ visibility: String, publishAt: Date|null, publishTimezone: String|null }|null}
+ *   null when the request does not mention visibility at all
+ * @throws {PublishScheduleError}
+ */
+export const parsePublishOptions = ({ visibility, publishAt, timezone } = {}, now = new Date()) => {
+  if (visibility === undefined && publishAt === undefined) return null;
+
+  const resolved = visibility || (publishAt ? 'scheduled' : 'public');
+  if (!VISIBILITIES.includes(resolved)) {
+    throw new PublishScheduleError(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+  }
+  if (resolved !== 'scheduled') {
+    return { visibility: resolved, publishAt: null, publishTimezone: null };
+  }
+
+  if (!publishAt) throw new PublishScheduleError('publishAt is required to schedule a video');
+  if (timezone && !isValidTimeZone(timezone)) {
+    throw new PublishScheduleError(`Unknown timezone: ${timezone}`);
+  }
+
+  const raw = String(publishAt).trim();
+  let instant;
+  if (HAS_OFFSET.test(raw)) {
+    instant = new Date(raw);
+  } else if (timezone) {
+    instant = zonedTimeToUtc(raw, timezone);
+  } else {
+    throw new PublishScheduleError('publishAt needs a UTC offset or a timezone');
+  }
+
+  if (!instant || Number.isNaN(instant.getTime())) {
+    throw new PublishScheduleError('publishAt must be an ISO date-time');
+  }
+  if (instant <= now) {
+    throw new PublishScheduleError('publishAt must be in the future');
+  }
+  if (instant.getTime() - now.getTime() > MAX_SCHEDULE_DAYS * DAY_MS) {
+    throw new PublishScheduleError(`publishAt cannot be more than ${MAX_SCHEDULE_DAYS} days ahead`);
+  }
+
+  return { visibility: 'scheduled', publishAt: instant, publishTimezone: timezone || null };
+};
+
+/**
+ * **VideoPublishService**
+ * Takes drafts and scheduled videos live: flips visibility, fans the video out
+ * to followers, clears the listing caches and tells the creator.
+ */
+class VideoPublishService {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Publish one video now. Atomic, so the scheduler and a manual "publish now"
+   * can race without publishing (and notifying) twice.
+   * @param {String|ObjectId} videoId
+   * @param {Object} options { scheduled: only publish if still scheduled and due }
+   * @returns {Promise<Object|null>} The published video, null if nothing was published
+   */
+  async publishVideo(videoId, { scheduled = false, now = new Date() } = {}) {
+    const filter = scheduled
+      ? { _id: videoId, visibility: 'scheduled', publishAt: { $lte: now }, processingStatus: 'completed' }
+      : { _id: videoId, visibility: { $in: ['draft', 'scheduled'] } };
+
+    // Go-live time counts as the upload time, so freshness ranking and the
+    // following feed treat a scheduled video as new
+    const video = await Video.findOneAndUpdate(
+      filter,
+      { $set: { visibility: 'public', publishedAt: now, uploadedAt: now }, $unset: { publishAt: 1, publishTimezone: 1 } },
+      { new: true }
+    ).select('uploader videoName videoType isSubscriberOnly processingStatus').lean();
+    if (!video) return null;
+
+    const creator = await User.findById(video.uploader).select('googleId').lean();
+    await this._invalidateCaches(video, creator);
+
+    // Off the private bucket unless it is still subscriber-only
+    playbackAuthorizationService.relocateStorage(video._id)
+      .catch(err => console.error(`❌ VideoPublish: Failed to move the renditions of ${video._id}:`, err.message));
+
+    // Processing may still be running for a manual publish; the worker fans out on completion
+    if (video.processingStatus === 'completed') {
+      // Lazy: queueService opens BullMQ connections on import
+      const { default: queueService } = await import('../yugFeedServices/queueService.js');
+      queueService.fanOutToFollowers(video.uploader.toString(), video._id, video.videoType)
+        .catch(err => console.error('⚠️ VideoPublish: Following fan-out failed:', err.message));
+    }
+
+    if (scheduled && creator) {
+      await this._notifyCreator(video, creator);
+    }
+
+    console.log(`📢 VideoPublish: Video ${video._id} is now public`);
+    return video;
+  }
+
+  /**
+   * Publish every scheduled video whose time has come
+   * @returns {Promise<number>} Videos published
+   */
+  async publishDueVideos(now = new Date()) {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let published = 0;
+    try {
+      const due = await Video.find({
+        visibility: 'scheduled',
+        publishAt: { $lte: now },
+        processingStatus: 'completed'
+      })
+        .select('_id')
+        .sort({ publishAt: 1 })
+        .limit(PUBLISH_BATCH_SIZE)
+        .lean();
+
+      for (const { _id } of due) {
+        try {
+          if (await this.publishVideo(_id, { scheduled: true, now })) published++;
+        } catch (error) {
+          console.error(`❌ VideoPublish: Failed to publish ${_id}:`, error.message);
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+    return published;
+  }
+
+  async _invalidateCaches(video, creator) {
+    if (!redisService.getConnectionStatus()) return;
+
+    const keys = [
+      VideoCacheKeys.all(),
+      VideoCacheKeys.single(video._id.toString()),
+      `video:data:${video._id}`
+    ];
+    if (creator) keys.push(`videos:user:${creator.googleId}`, `user:feed:${creator.googleId}:*`);
+    if (!video.isSubscriberOnly) keys.push('videos:feed:*');
+
+    await invalidateCache(keys).catch(err => console.error('⚠️ VideoPublish: Cache invalidation failed:', err.message));
+  }
+
+  async _notifyCreator(video, creator) {
+    try {
+      await sendNotificationToUser(creator.googleId, {
+        title: 'Your video is live',
+        body: `"${video.videoName}" has been published.`,
+        data: {
+          type: 'video_published',
+          videoId: video._id.toString(),
+          videoName: video.videoName
+        }
+      });
+
+      await Notice.create({
+        userId: creator.googleId,
+        title: `Video Published: ${video.videoName}`,
+        type: 'notice'
+      });
+    } catch (error) {
+      console.error('⚠️ VideoPublish: Failed to notify creator:', error.message);
+    }
+  }
+
+  startScheduler() {
+    if (this.job) return;
+    this.job = cron.schedule('* * * * *', async () => {
+      try {
+        await this.publishDueVideos();
+      } catch (error) {
+        console.error('❌ Error in scheduled publishing:', error);
+      }
+    });
+    console.log('📅 Scheduled publishing cron started (every minute)');
+  }
+
+  stopScheduler() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+}
+
+export default new VideoPublishService();
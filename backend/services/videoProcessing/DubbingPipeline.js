@@ -0,0 +1,62 @@
+import fs from 'fs';
+import DubbingJob from '../../models/DubbingJob.js';
+import eventBus from '../../utils/eventBus.js';
+import { toDubbingStatus } from '../uploadServices/dubbingService.js';
+import PrepareDubSourceStep from './steps/dubbing/PrepareDubSourceStep.js';
+import DubTranscriptStep from './steps/dubbing/DubTranscriptStep.js';
+import SpeechSynthesisStep from './steps/dubbing/SpeechSynthesisStep.js';
+import PublishDubStep from './steps/dubbing/PublishDubStep.js';
+
+/**
+ * DubbingPipeline
+ * Turns a finished video into a dubbed audio track in another language.
+ * Every stage is persisted on the DubbingJob and pushed on the 'dubbing-status' event.
+ */
+class DubbingPipeline {
+  constructor() {
+    this.steps = [
+      new PrepareDubSourceStep(),
+      new DubTranscriptStep(),
+      new SpeechSynthesisStep(),
+      new PublishDubStep()
+    ];
+  }
+
+  async run({ jobId, videoId, language }) {
+    console.log(`🎙️ DubbingPipeline: Starting ${language} dub for ${videoId}`);
+    const context = { jobId, videoId, language, report: (update) => this.report(jobId, update) };
+
+    await this.report(jobId, { status: 'processing', stage: 'preparing', progress: 2, error: null, startedAt: new Date() });
+
+    try {
+      for (const step of this.steps) {
+        console.log(`  ➔ Step: ${step.name}`);
+        await step.execute(context);
+      }
+
+      await this.report(jobId, {
+        status: 'completed',
+        stage: 'completed',
+        progress: 100,
+        playlistUrl: context.result.playlistUrl,
+        segmentCount: context.result.segmentCount,
+        completedAt: new Date()
+      });
+      console.log(`✅ DubbingPipeline: ${language} dub published for ${videoId}`);
+      return context.result;
+    } catch (error) {
+      console.error(`❌ DubbingPipeline: ${language} dub failed for ${videoId}:`, error.message);
+      await this.report(jobId, { status: 'failed', error: error.message, completedAt: new Date() });
+      throw error;
+    } finally {
+      if (context.workDir) fs.rmSync(context.workDir, { recursive: true, force: true });
+    }
+  }
+
+  async report(jobId, update) {
+    const job = await DubbingJob.findByIdAndUpdate(jobId, { $set: update }, { new: true }).lean();
+    if (job) eventBus.emit('dubbing-status', toDubbingStatus(job));
+  }
+}
+
+export default new DubbingPipeline();
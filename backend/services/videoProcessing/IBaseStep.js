@@ -1,23 +1,67 @@
 /**
  * Base Step for Video Processing Pipeline
+ *
+ * Every step declares how the pipeline may run it:
+ * - retries / retryDelayMs: in-process retries with exponential backoff (idempotent steps only)
+ * - timeoutMs: fail the attempt if it runs longer than this (null = no limit); the
+ *   step's AbortSignal fires so it can kill child processes and stop uploads
+ * - idempotent: safe to execute again after a partial or completed run
+ * - requires / provides: context keys the step reads / produces, so a resumed run
+ *   can re-execute a finished step whose output is gone (e.g. a deleted temp file)
  */
 class IBaseStep {
-  constructor(name) {
+  constructor(name, {
+    retries = 0,
+    retryDelayMs = 2000,
+    timeoutMs = null,
+    idempotent = true,
+    requires = [],
+    provides = []
+  } = {}) {
     this.name = name;
+    this.policy = { retries, retryDelayMs, timeoutMs, idempotent };
+    this.requires = requires;
+    this.provides = provides;
   }
 
   /**
    * Execute the step logic
    * @param {Object} context - Shared pipeline context
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborted when the attempt times out
    * @returns {Promise<void>}
    */
-  async execute(context) {
+  async execute(context, { signal } = {}) {
     throw new Error(`execute() must be implemented by ${this.constructor.name}`);
   }
 
+  /**
+   * Serializable output persisted on the video once the step succeeds
+   * @param {Object} context
+   * @returns {Object|null}
+   */
+  checkpoint(context) {
+    return null;
+  }
+
+  /**
+   * Rehydrate the context from a persisted checkpoint when the step is skipped on resume
+   * @param {Object} context
+   * @param {Object|null} output - Value previously returned by checkpoint()
+   */
+  restore(context, output) {
+    if (output && typeof output === 'object') {
+      Object.assign(context, output);
+    }
+  }
+
   getName() {
     return this.name;
   }
+
+  getPolicy() {
+    return this.policy;
+  }
 }
 
 export default IBaseStep;
@@ -1,17 +1,38 @@
 import Video from '../../models/Video.js';
 import fs from 'fs';
 
+export class StepTimeoutError extends Error {
+  constructor(stepName, timeoutMs) {
+    super(`Step ${stepName} timed out after ${Math.round(timeoutMs / 1000)}s`);
+    this.name = 'StepTimeoutError';
+    this.step = stepName;
+    // Set when the step ignored the abort and is still running; it must not be retried alongside itself
+    this.stillRunning = false;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// How long a timed-out step gets to release its child processes / uploads after the abort
+const DEFAULT_ABORT_GRACE_MS = 30 * 1000;
+
 /**
  * FFmpeg-style Video Processing Engine (The Orchestrator)
+ *
+ * Resumable: every successful step writes a checkpoint to
+ * `Video.processingCheckpoints.<step>`. When the same video is run again
+ * (BullMQ retry or admin re-queue) completed steps are restored from their
+ * checkpoints instead of being executed again.
  */
 class VideoPipeline {
-  constructor() {
+  constructor({ abortGraceMs = DEFAULT_ABORT_GRACE_MS } = {}) {
     this.steps = [];
+    this.abortGraceMs = abortGraceMs;
   }
 
   /**
    * Add a step to the pipeline
-   * @param {IBaseStep} step 
+   * @param {IBaseStep} step
    */
   addStep(step) {
     this.steps.push(step);
@@ -21,35 +42,61 @@ class VideoPipeline {
   /**
    * Run the full pipeline for a video
    * @param {Object} initialContext - Initial data (videoId, etc.)
+   * @param {Object} options - { fresh: Boolean } ignore existing checkpoints
    */
-  async run(initialContext) {
+  async run(initialContext, options = {}) {
     const { videoId } = initialContext;
     const context = { ...initialContext };
-    
+
     console.log(`🎬 Pipeline: Starting for video ${videoId}`);
 
+    const checkpoints = options.fresh ? new Map() : await this._loadCheckpoints(videoId);
+    await this._recordJob(context, options.fresh);
+
+    let currentStep = null;
     try {
-      for (const step of this.steps) {
-        console.log(`⏳ Pipeline: Executing [${step.getName()}]...`);
-        await step.execute(context);
-        
+      for (let index = 0; index < this.steps.length; index++) {
+        const step = this.steps[index];
+        const checkpoint = checkpoints.get(step.getName());
+
+        if (checkpoint?.status === 'completed') {
+          step.restore(context, checkpoint.output ?? null);
+          console.log(`⏭️ Pipeline: Skipping [${step.getName()}] (checkpoint from ${checkpoint.completedAt?.toISOString?.() || 'earlier run'})`);
+          continue;
+        }
+
+        // Re-run finished steps whose outputs did not survive (e.g. temp file gone after a restart)
+        for (const key of step.requires) {
+          if (context[key] !== undefined) continue;
+          const provider = this.steps.slice(0, index).find(prev => prev.provides.includes(key));
+          if (provider) {
+            console.log(`🔁 Pipeline: [${step.getName()}] needs '${key}', re-running [${provider.getName()}]`);
+            currentStep = provider;
+            await this._executeWithPolicy(provider, context, checkpoints.get(provider.getName()));
+          }
+        }
+
+        currentStep = step;
+        await this._executeWithPolicy(step, context, checkpoint);
+
         // Optional: Update progress in DB if available
         if (context.progress) {
           await Video.findByIdAndUpdate(videoId, { processingProgress: context.progress });
         }
       }
-      
+
       console.log(`✅ Pipeline: Completed successfully for ${videoId}`);
       return context;
     } catch (error) {
-      console.error(`❌ Pipeline: Failed at step for ${videoId}:`, error);
-      
+      console.error(`❌ Pipeline: Failed at step ${currentStep?.getName() || 'unknown'} for ${videoId}:`, error);
+
       // Update DB with failure
-      await Video.findByIdAndUpdate(videoId, { 
+      await Video.findByIdAndUpdate(videoId, {
         processingStatus: 'failed',
-        processingError: error.message 
+        processingError: error.message,
+        processingHeartbeatAt: new Date()
       });
-      
+
       // Cleanup local temp file on ANY failure to save disk space
       if (context.localRawPath && fs.existsSync(context.localRawPath)) {
         try {
@@ -59,10 +106,136 @@ class VideoPipeline {
           console.warn('⚠️ Pipeline: Failed to clean up local file on failure:', cleanupErr.message);
         }
       }
-      
+
       throw error;
     }
   }
+
+  /**
+   * Execute one step honouring its retry / timeout / idempotency policy,
+   * persisting the checkpoint on success and the error on final failure.
+   */
+  async _executeWithPolicy(step, context, previousCheckpoint = null) {
+    const { videoId } = context;
+    const name = step.getName();
+    const { retries, retryDelayMs, timeoutMs, idempotent } = step.getPolicy();
+
+    // A non-idempotent step interrupted mid-run may have partial side effects; don't repeat it blindly
+    if (!idempotent && previousCheckpoint?.status === 'running') {
+      throw new Error(`Step ${name} was interrupted and is not idempotent; manual retry required`);
+    }
+
+    const maxAttempts = idempotent ? retries + 1 : 1;
+    const previousAttempts = previousCheckpoint?.attempts || 0;
+    const startedAt = new Date();
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      console.log(`⏳ Pipeline: Executing [${name}]${attempt > 1 ? ` (attempt ${attempt}/${maxAttempts})` : ''}...`);
+      await this._saveCheckpoint(videoId, name, {
+        status: 'running',
+        attempts: previousAttempts + attempt,
+        startedAt
+      }, { processingStep: name });
+
+      try {
+        await this._runAttempt(step, context, timeoutMs);
+
+        const completedAt = new Date();
+        await this._saveCheckpoint(videoId, name, {
+          status: 'completed',
+          attempts: previousAttempts + attempt,
+          startedAt,
+          completedAt,
+          durationMs: completedAt - startedAt,
+          output: step.checkpoint(context)
+        });
+        return;
+      } catch (error) {
+        const isLastAttempt = attempt === maxAttempts || error.stillRunning === true;
+        console.warn(`⚠️ Pipeline: [${name}] attempt ${attempt}/${maxAttempts} failed: ${error.message}`);
+
+        if (isLastAttempt) {
+          await this._saveCheckpoint(videoId, name, {
+            status: 'failed',
+            attempts: previousAttempts + attempt,
+            startedAt,
+            error: error.message
+          });
+          throw error;
+        }
+
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  /**
+   * Run one attempt of a step. On timeout the step's AbortSignal fires and the
+   * attempt only settles once the step has stopped (or the grace period ran out),
+   * so a retry never runs a second ffmpeg / upload next to the first one.
+   */
+  async _runAttempt(step, context, timeoutMs) {
+    const controller = new AbortController();
+    const run = Promise.resolve().then(() => step.execute(context, { signal: controller.signal }));
+    if (!timeoutMs) return run;
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new StepTimeoutError(step.getName(), timeoutMs)), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([run, timeout]);
+    } catch (error) {
+      if (error instanceof StepTimeoutError) {
+        controller.abort(error);
+        error.stillRunning = !(await this._settlesWithin(run, this.abortGraceMs));
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async _settlesWithin(promise, ms) {
+    let timer;
+    const settled = promise.then(() => true, () => true);
+    const expired = new Promise(resolve => { timer = setTimeout(() => resolve(false), ms); });
+    try {
+      return await Promise.race([settled, expired]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async _loadCheckpoints(videoId) {
+    const video = await Video.findById(videoId).select('processingCheckpoints').lean();
+    const stored = video?.processingCheckpoints || {};
+    return stored instanceof Map ? stored : new Map(Object.entries(stored));
+  }
+
+  async _recordJob(context, fresh = false) {
+    const { videoId, rawVideoKey, videoName, userId, thumbnailKey, crossPostPlatforms } = context;
+    const update = {
+      processingJob: { rawVideoKey, videoName, userId, thumbnailKey, crossPostPlatforms },
+      processingHeartbeatAt: new Date()
+    };
+    if (fresh) update.processingCheckpoints = {};
+    await Video.findByIdAndUpdate(videoId, update);
+  }
+
+  async _saveCheckpoint(videoId, stepName, checkpoint, extra = {}) {
+    try {
+      await Video.findByIdAndUpdate(videoId, {
+        [`processingCheckpoints.${stepName}`]: checkpoint,
+        processingHeartbeatAt: new Date(),
+        ...extra
+      });
+    } catch (error) {
+      // Losing a checkpoint only costs a re-run on resume; never fail the step for it
+      console.warn(`⚠️ Pipeline: Failed to persist checkpoint for [${stepName}]:`, error.message);
+    }
+  }
 }
 
 export default VideoPipeline;
@@ -2,6 +2,10 @@ import VideoPipeline from './VideoPipeline.js';
 import DownloadStep from './steps/DownloadStep.js';
 import HlsTranscodeStep from './steps/HlsTranscodeStep.js';
 import AiAnalysisStep from './steps/AiAnalysisStep.js';
+import ModerationStep from './steps/ModerationStep.js';
+import DuplicateDetectionStep from './steps/DuplicateDetectionStep.js';
+import ThumbnailStep from './steps/ThumbnailStep.js';
+import CaptionStep from './steps/CaptionStep.js';
 import CleanupStep from './steps/CleanupStep.js';
 
 /**
@@ -12,6 +16,10 @@ const defaultPipeline = new VideoPipeline();
 defaultPipeline
   .addStep(new DownloadStep())
   .addStep(new HlsTranscodeStep())
+  .addStep(new ModerationStep())
+  .addStep(new DuplicateDetectionStep())
+  .addStep(new ThumbnailStep())
+  .addStep(new CaptionStep())
   .addStep(new CleanupStep());
 
 export default defaultPipeline;
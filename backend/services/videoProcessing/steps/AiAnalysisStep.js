@@ -15,10 +15,11 @@ const execPromise = promisify(exec);
  */
 class AiAnalysisStep extends IBaseStep {
   constructor() {
-    super('AiAnalysis');
+    // Frame extraction only; Gemini itself runs detached in the background
+    super('AiAnalysis', { retries: 1, timeoutMs: 2 * 60 * 1000 });
   }
 
-  async execute(context) {
+  async execute(context, { signal } = {}) {
     const { videoId, localRawPath } = context;
     
     if (!process.env.GEMINI_API_KEY) {
@@ -41,7 +42,7 @@ class AiAnalysisStep extends IBaseStep {
       for (let i = 0; i < timestamps.length; i++) {
         const framePath = path.join(tempDir, `frame_${videoId}_${i}.jpg`);
         try {
-          await execPromise(`ffmpeg -ss ${timestamps[i]} -i "${localRawPath}" -frames:v 1 -q:v 2 "${framePath}" -y`);
+          await execPromise(`ffmpeg -ss ${timestamps[i]} -i "${localRawPath}" -frames:v 1 -q:v 2 "${framePath}" -y`, { signal });
           if (fs.existsSync(framePath)) tempFrames.push(framePath);
         } catch (e) {
           console.warn(`⚠️ AiAnalysisStep: Failed to extract frame at ${timestamps[i]}s`);
@@ -0,0 +1,39 @@
+import IBaseStep from '../IBaseStep.js';
+import captionService from '../../uploadServices/captionService.js';
+import { CAPTION_CONFIG } from '../../../constants/index.js';
+
+/**
+ * Pipeline Step: Auto Captions
+ * Transcribes the upload into WebVTT, translates it and adds the tracks to the
+ * HLS master playlist. The video is already playable; captions arrive after.
+ */
+class CaptionStep extends IBaseStep {
+  constructor() {
+    super('Captions', {
+      retries: 1,
+      retryDelayMs: 15000,
+      timeoutMs: 20 * 60 * 1000,
+      requires: ['localRawPath', 'hlsResult']
+    });
+  }
+
+  async execute(context) {
+    if (!CAPTION_CONFIG.ENABLED) return;
+
+    const { videoId, localRawPath } = context;
+    try {
+      const tracks = await captionService.generateForVideo(videoId, localRawPath);
+      context.captions = (tracks || []).map(track => track.language);
+    } catch (error) {
+      // Missing captions never fail the upload; captionStatus records it
+      console.warn(`⚠️ [Captions] Skipped for ${videoId}: ${error.message}`);
+      context.captions = [];
+    }
+  }
+
+  checkpoint(context) {
+    return context.captions ? { captions: context.captions } : null;
+  }
+}
+
+export default CaptionStep;
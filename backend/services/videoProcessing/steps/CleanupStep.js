@@ -7,7 +7,7 @@ import fs from 'fs';
  */
 class CleanupStep extends IBaseStep {
   constructor() {
-    super('FinalCleanup');
+    super('FinalCleanup', { retries: 2, retryDelayMs: 2000, timeoutMs: 2 * 60 * 1000 });
   }
 
   async execute(context) {
@@ -8,7 +8,12 @@ import fs from 'fs';
  */
 class DownloadStep extends IBaseStep {
   constructor() {
-    super('DownloadSource');
+    super('DownloadSource', {
+      retries: 2,
+      retryDelayMs: 5000,
+      timeoutMs: 10 * 60 * 1000,
+      provides: ['localRawPath']
+    });
   }
 
   async execute(context) {
@@ -24,6 +29,17 @@ class DownloadStep extends IBaseStep {
     context.localRawPath = localRawPath;
     context.progress = 15;
   }
+
+  checkpoint(context) {
+    return { localRawPath: context.localRawPath };
+  }
+
+  restore(context, output) {
+    // The temp file does not survive a worker restart; leave it unset so dependants re-download
+    if (output?.localRawPath && fs.existsSync(output.localRawPath)) {
+      context.localRawPath = output.localRawPath;
+    }
+  }
 }
 
 export default DownloadStep;
@@ -0,0 +1,55 @@
+import IBaseStep from '../IBaseStep.js';
+import videoFingerprintService from '../../uploadServices/videoFingerprintService.js';
+import moderationReviewService from '../../moderationServices/moderationReviewService.js';
+import { DUPLICATE_CONFIG } from '../../../constants/index.js';
+
+/**
+ * Pipeline Step: Duplicate Detection
+ * Fingerprints the upload and looks for a near-duplicate from another creator.
+ * A match always blocks monetization; with DUPLICATE_ACTION=review it also
+ * holds the video in the moderation queue.
+ */
+class DuplicateDetectionStep extends IBaseStep {
+  constructor() {
+    super('DuplicateDetection', {
+      retries: 1,
+      timeoutMs: 5 * 60 * 1000,
+      requires: ['localRawPath']
+    });
+  }
+
+  async execute(context) {
+    const { videoId, localRawPath } = context;
+
+    let match;
+    try {
+      match = await videoFingerprintService.detect(videoId, localRawPath);
+    } catch (error) {
+      // Fingerprinting is best effort; a broken sample never blocks the upload
+      console.warn(`⚠️ [DuplicateDetection] Skipped for ${videoId}: ${error.message}`);
+      context.duplicate = null;
+      return;
+    }
+
+    context.duplicate = match
+      ? { originalVideoId: match.originalVideoId.toString(), similarity: match.similarity }
+      : null;
+
+    if (match && DUPLICATE_CONFIG.ACTION === 'review') {
+      const result = await moderationReviewService.recordScan(videoId, {
+        signals: [{ source: 'duplicate', label: 'near_duplicate', score: match.similarity }]
+      }, { sources: ['duplicate'] });
+
+      if (result) {
+        context.moderation = { action: result.action, reviewStatus: result.reviewStatus, held: result.held };
+      }
+    }
+  }
+
+  checkpoint(context) {
+    if (context.duplicate === undefined) return null;
+    return { duplicate: context.duplicate, ...(context.moderation ? { moderation: context.moderation } : {}) };
+  }
+}
+
+export default DuplicateDetectionStep;
@@ -1,26 +1,39 @@
 import IBaseStep from '../IBaseStep.js';
 import hybridVideoService from '../../uploadServices/hybridVideoService.js';
 import Video from '../../../models/Video.js';
+import playbackAuthorizationService, { requiresAuthorization } from '../../uploadServices/playbackAuthorizationService.js';
 
 /**
  * Pipeline Step: HLS Transcoding
  */
 class HlsTranscodeStep extends IBaseStep {
   constructor() {
-    super('HlsTranscoding');
+    // Idempotent: a re-run uploads to a fresh R2 prefix and overwrites the Video fields
+    super('HlsTranscoding', {
+      retries: 1,
+      retryDelayMs: 10000,
+      timeoutMs: 30 * 60 * 1000,
+      requires: ['localRawPath'],
+      provides: ['hlsResult']
+    });
   }
 
-  async execute(context) {
+  async execute(context, { signal } = {}) {
     const { videoId, localRawPath, videoName, userId } = context;
     
     let lastUpdate = 0;
 
+    // Subscriber-only and unpublished videos go straight to the private bucket
+    const access = await Video.findById(videoId).select('visibility isSubscriberOnly').lean();
+
     const hlsResult = await hybridVideoService.processVideoToHLS(
       localRawPath,
       videoName,
       userId,
       {
         videoId: videoId,
+        isProtected: !!access && requiresAuthorization(access),
+        signal,
         onProgress: (percent) => {
           context.progress = percent;
           
@@ -28,13 +41,16 @@ class HlsTranscodeStep extends IBaseStep {
           const now = Date.now();
           if (now - lastUpdate > 3000) {
             lastUpdate = now;
-            Video.findByIdAndUpdate(videoId, { processingProgress: percent })
+            Video.findByIdAndUpdate(videoId, { processingProgress: percent, processingHeartbeatAt: new Date() })
               .catch(err => console.warn('⚠️ Failed to update progress in DB:', err.message));
           }
         }
       }
     );
 
+    // A timed-out attempt must not publish URLs the retry is about to replace
+    signal?.throwIfAborted();
+
     // Save results to context for later steps
     context.hlsResult = hlsResult;
 
@@ -42,12 +58,28 @@ class HlsTranscodeStep extends IBaseStep {
     await Video.findByIdAndUpdate(videoId, {
       videoUrl: hlsResult.videoUrl,
       hlsPlaylistUrl: hlsResult.hlsPlaylistUrl,
+      hlsMasterPlaylistUrl: hlsResult.hlsMasterPlaylistUrl,
+      hlsVariants: hlsResult.hlsVariants,
+      qualitiesGenerated: hlsResult.qualitiesGenerated,
+      preloadQualityUrl: hlsResult.preloadQualityUrl,
+      lowQualityUrl: hlsResult.lowQualityUrl,
+      mediumQualityUrl: hlsResult.mediumQualityUrl,
+      highQualityUrl: hlsResult.highQualityUrl,
+      originalResolution: { width: hlsResult.width, height: hlsResult.height },
       isHLSEncoded: true,
       duration: hlsResult.duration,
       aspectRatio: hlsResult.aspectRatio,
-      processingStatus: 'completed', // Mark completed early so users can watch immediately while AI processes in background
+      // Not public yet: ModerationStep flips this to completed (or flagged) once the scan is recorded
+      processingStatus: 'moderating',
       processingProgress: 100
     });
+
+    // Visibility may have changed while encoding
+    await playbackAuthorizationService.relocateStorage(videoId);
+  }
+
+  checkpoint(context) {
+    return { hlsResult: context.hlsResult };
   }
 }
 
@@ -0,0 +1,50 @@
+import IBaseStep from '../IBaseStep.js';
+import Video from '../../../models/Video.js';
+import moderationService from '../../moderationServices/moderationService.js';
+import moderationReviewService from '../../moderationServices/moderationReviewService.js';
+
+/**
+ * Pipeline Step: Content Moderation
+ * Scans sampled frames plus title / description and records the verdict, then
+ * takes the upload out of 'moderating': live, or flagged until a moderator decides.
+ * The worker notifies the uploader of a hold once the pipeline has finished.
+ */
+class ModerationStep extends IBaseStep {
+  constructor() {
+    // A failed scan never fails the upload; the verdict records the error instead
+    super('Moderation', {
+      retries: 1,
+      timeoutMs: 5 * 60 * 1000,
+      requires: ['localRawPath']
+    });
+  }
+
+  async execute(context) {
+    const { videoId, localRawPath } = context;
+
+    const video = await Video.findById(videoId).select('videoName description').lean();
+    if (!video) return;
+
+    const scan = await moderationService.moderateVideo(localRawPath, {
+      title: video.videoName,
+      description: video.description
+    });
+    const result = await moderationReviewService.recordScan(videoId, scan);
+
+    context.moderation = result
+      ? { action: result.action, reviewStatus: result.reviewStatus, held: result.held }
+      : null;
+
+    // Only from 'moderating': a resumed job must not undo a moderator's decision
+    await Video.updateOne(
+      { _id: videoId, processingStatus: 'moderating' },
+      { $set: { processingStatus: result?.held ? 'flagged' : 'completed' } }
+    );
+  }
+
+  checkpoint(context) {
+    return context.moderation ? { moderation: context.moderation } : null;
+  }
+}
+
+export default ModerationStep;
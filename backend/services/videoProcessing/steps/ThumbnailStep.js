@@ -0,0 +1,35 @@
+import IBaseStep from '../IBaseStep.js';
+import thumbnailService from '../../uploadServices/thumbnailService.js';
+
+/**
+ * Pipeline Step: Thumbnails
+ * Scores candidate frames (picking the best unless the creator chose one) and
+ * renders the seek-bar preview sprites. Neither blocks playback.
+ */
+class ThumbnailStep extends IBaseStep {
+  constructor() {
+    super('Thumbnails', {
+      retries: 1,
+      retryDelayMs: 10000,
+      timeoutMs: 10 * 60 * 1000,
+      requires: ['localRawPath', 'hlsResult']
+    });
+  }
+
+  async execute(context) {
+    const { videoId, localRawPath } = context;
+    try {
+      context.thumbnails = await thumbnailService.processVideo(videoId, localRawPath);
+    } catch (error) {
+      // The early single-frame thumbnail stays in place
+      console.warn(`⚠️ [Thumbnails] Skipped for ${videoId}: ${error.message}`);
+      context.thumbnails = { candidates: 0, sprites: false };
+    }
+  }
+
+  checkpoint(context) {
+    return context.thumbnails ? { thumbnails: context.thumbnails } : null;
+  }
+}
+
+export default ThumbnailStep;
@@ -0,0 +1,46 @@
+import IBaseStep from '../../IBaseStep.js';
+import VideoCaption from '../../../../models/VideoCaption.js';
+import captionService, { segmentsToCues } from '../../../uploadServices/captionService.js';
+import { mergeCuesForSpeech } from './dubTimeline.js';
+import { DUBBING_CONFIG } from '../../../../constants/index.js';
+
+/**
+ * Step 2: Timed script in the target language.
+ * Reuses the video's caption tracks (including creator edits) when they exist.
+ */
+export default class DubTranscriptStep extends IBaseStep {
+  constructor() {
+    super('DubTranscript');
+  }
+
+  async execute(context) {
+    const { videoId, language, video } = context;
+
+    const original = await VideoCaption.findOne({ videoId, isOriginal: true }).lean();
+    let sourceLanguage = context.sourceLanguage;
+    let sourceCues;
+
+    if (original?.cues?.length) {
+      sourceCues = original.cues;
+      sourceLanguage = original.language;
+    } else {
+      await context.report({ stage: 'transcribing', progress: 15 });
+      sourceCues = segmentsToCues(await captionService.transcribe(context.sourceAudioPath, video.duration));
+    }
+    if (sourceCues.length === 0) throw new Error('No speech found to dub');
+    if (sourceLanguage === language) throw new Error(`Video is already in ${language}`);
+    context.sourceLanguage = sourceLanguage;
+
+    await context.report({ stage: 'translating', progress: 30 });
+    const existing = await VideoCaption.findOne({ videoId, language }).lean();
+    const targetCues = existing?.cues?.length
+      ? existing.cues
+      : await captionService.translateCues(sourceCues, sourceLanguage, language);
+    if (!targetCues) throw new Error(`Translation to ${language} failed`);
+
+    context.phrases = mergeCuesForSpeech(targetCues, {
+      maxGap: DUBBING_CONFIG.MERGE_GAP_SECONDS,
+      maxChars: DUBBING_CONFIG.MAX_PHRASE_CHARS
+    });
+  }
+}
@@ -0,0 +1,40 @@
+import IBaseStep from '../../IBaseStep.js';
+import path from 'path';
+import fs from 'fs';
+import Video from '../../../../models/Video.js';
+import cloudflareR2Service from '../../../uploadServices/cloudflareR2Service.js';
+import { extractAudio } from './ffmpegAudio.js';
+import { CAPTION_CONFIG, DUBBING_CONFIG } from '../../../../constants/index.js';
+
+/**
+ * Step 1: Pull the original audio from the smallest HLS rendition
+ */
+export default class PrepareDubSourceStep extends IBaseStep {
+  constructor() {
+    super('PrepareDubSource');
+  }
+
+  async execute(context) {
+    const video = await Video.findById(context.videoId)
+      .select('uploader language duration videoUrl hlsVariants hlsMasterPlaylistUrl')
+      .lean();
+    if (!video?.hlsMasterPlaylistUrl) throw new Error('Video has no HLS master playlist');
+
+    // Every rung carries the same audio; the lowest one is the cheapest to read
+    const lowest = [...(video.hlsVariants || [])].sort((a, b) => a.bandwidth - b.bandwidth)[0];
+    const input = cloudflareR2Service.getPublicUrl(lowest?.url || video.hlsMasterPlaylistUrl);
+
+    context.workDir = path.join(process.cwd(), 'uploads', 'temp', 'dubbing', context.jobId.toString());
+    fs.mkdirSync(context.workDir, { recursive: true });
+    context.sourceAudioPath = path.join(context.workDir, 'source.wav');
+
+    await extractAudio(input, context.sourceAudioPath, {
+      sampleRate: DUBBING_CONFIG.SAMPLE_RATE,
+      maxSeconds: DUBBING_CONFIG.MAX_DURATION_SECONDS
+    });
+
+    context.video = video;
+    context.sourceLanguage = CAPTION_CONFIG.LANGUAGES[video.language] ? video.language : CAPTION_CONFIG.DEFAULT_SOURCE_LANGUAGE;
+    await context.report({ stage: 'preparing', progress: 10 });
+  }
+}
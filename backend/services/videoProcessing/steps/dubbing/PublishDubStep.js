@@ -0,0 +1,70 @@
+import IBaseStep from '../../IBaseStep.js';
+import path from 'path';
+import fs from 'fs';
+import Video from '../../../../models/Video.js';
+import DubbingJob from '../../../../models/DubbingJob.js';
+import cloudflareR2Service from '../../../uploadServices/cloudflareR2Service.js';
+import { setMediaGroup, playlistPrefix } from '../../../uploadServices/hlsManifest.js';
+import { encodeAudioRendition } from './ffmpegAudio.js';
+import { invalidateCache, VideoCacheKeys } from '../../../../middleware/cacheMiddleware.js';
+import redisService from '../../../caching/redisService.js';
+import { CAPTION_CONFIG, DUBBING_CONFIG } from '../../../../constants/index.js';
+
+/**
+ * Step 4: Encode the dub as an audio-only HLS rendition next to the video
+ * and list it (with the original audio) in the master playlist
+ */
+export default class PublishDubStep extends IBaseStep {
+  constructor() {
+    super('PublishDub');
+  }
+
+  async execute(context) {
+    const { videoId, language, video, workDir } = context;
+
+    await context.report({ stage: 'mixing', progress: 88 });
+    const outputDir = path.join(workDir, 'hls');
+    fs.mkdirSync(outputDir, { recursive: true });
+    await encodeAudioRendition(context.speechPath, context.sourceAudioPath, outputDir, {
+      sampleRate: DUBBING_CONFIG.SAMPLE_RATE,
+      bedVolume: DUBBING_CONFIG.BED_VOLUME,
+      bitrate: DUBBING_CONFIG.AUDIO_BITRATE,
+      segmentSeconds: DUBBING_CONFIG.SEGMENT_SECONDS
+    });
+
+    await context.report({ stage: 'publishing', progress: 95 });
+    const masterKey = cloudflareR2Service.getKeyFromUrl(video.hlsMasterPlaylistUrl);
+    if (!masterKey) throw new Error('Video has no HLS master playlist in R2');
+    const prefix = playlistPrefix(masterKey);
+    const { code } = CAPTION_CONFIG.LANGUAGES[language];
+
+    for (const file of fs.readdirSync(outputDir)) {
+      const contentType = file.endsWith('.m3u8') ? 'application/x-mpegURL' : 'video/mp2t';
+      await cloudflareR2Service.uploadFileToR2(path.join(outputDir, file), `${prefix}dub/${code}/${file}`, contentType);
+    }
+    const playlistUrl = cloudflareR2Service.getPublicUrl(`${prefix}dub/${code}/playlist.m3u8`);
+
+    await Video.updateOne({ _id: videoId }, { $set: { [`dubbedUrls.${code}`]: playlistUrl } });
+
+    // The muxed audio stays the default; every finished dub is an alternative
+    const others = await DubbingJob.find({ videoId, status: 'completed', language: { $ne: language } }).select('language').lean();
+    const dubs = [...others.map(job => job.language), language]
+      .filter(lang => CAPTION_CONFIG.LANGUAGES[lang])
+      .map(lang => CAPTION_CONFIG.LANGUAGES[lang]);
+    const source = CAPTION_CONFIG.LANGUAGES[context.sourceLanguage];
+
+    const master = await cloudflareR2Service.getObjectText(masterKey);
+    const updated = setMediaGroup(master, { type: 'AUDIO', groupId: DUBBING_CONFIG.AUDIO_GROUP_ID }, [
+      { name: 'Original', language: source.code, isDefault: true },
+      ...dubs.map(dub => ({ name: dub.name, language: dub.code, uri: `dub/${dub.code}/playlist.m3u8` }))
+    ]);
+    await cloudflareR2Service.uploadContentToR2(updated, masterKey, 'application/x-mpegURL');
+
+    if (redisService.getConnectionStatus()) {
+      await invalidateCache([VideoCacheKeys.single(videoId.toString()), `video:data:${videoId}`])
+        .catch(err => console.error('⚠️ Dubbing: Cache invalidation failed:', err.message));
+    }
+
+    context.result = { playlistUrl, segmentCount: context.segmentCount };
+  }
+}
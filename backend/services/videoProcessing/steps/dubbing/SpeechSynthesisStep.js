@@ -0,0 +1,65 @@
+import IBaseStep from '../../IBaseStep.js';
+import path from 'path';
+import fs from 'fs';
+import AIService from '../../../aiService.js';
+import { decodeToPcm } from './ffmpegAudio.js';
+import { fitPhrase, mixInto } from './dubTimeline.js';
+import { DUBBING_CONFIG } from '../../../../constants/index.js';
+
+/**
+ * Step 3: Speak every phrase and lay it on a timeline at the original speaker's timing
+ */
+export default class SpeechSynthesisStep extends IBaseStep {
+  constructor() {
+    super('SpeechSynthesis');
+  }
+
+  async execute(context) {
+    const { phrases, language, workDir, video } = context;
+    const sampleRate = DUBBING_CONFIG.SAMPLE_RATE;
+    const lastEnd = phrases[phrases.length - 1]?.end || 0;
+    const totalSeconds = Math.min(video.duration || lastEnd + 2, DUBBING_CONFIG.MAX_DURATION_SECONDS);
+    const timeline = new Int16Array(Math.ceil(totalSeconds * sampleRate));
+
+    let spoken = 0;
+    let lastProgress = 0;
+    for (const [i, phrase] of phrases.entries()) {
+      if (phrase.start >= totalSeconds) break;
+      const clipPath = path.join(workDir, `tts_${i}.mp3`);
+
+      try {
+        await AIService.synthesize(phrase.text, language, clipPath);
+        let samples = await decodeToPcm(clipPath, { sampleRate });
+
+        const fit = fitPhrase(phrase, phrases[i + 1]?.start ?? null, samples.length / sampleRate, {
+          maxTempo: DUBBING_CONFIG.MAX_TEMPO,
+          totalDuration: totalSeconds
+        });
+        if (fit.tempo > 1 || samples.length / sampleRate > fit.maxSeconds) {
+          samples = await decodeToPcm(clipPath, { sampleRate, tempo: fit.tempo, maxSeconds: fit.maxSeconds });
+        }
+
+        mixInto(timeline, samples, Math.round(phrase.start * sampleRate));
+        spoken++;
+      } catch (error) {
+        // One bad phrase leaves a gap rather than failing the whole track
+        if (error.message === 'MODEL_LOADING') throw error;
+        console.warn(`⚠️ [Dubbing] Phrase ${i + 1}/${phrases.length} skipped: ${error.message}`);
+      } finally {
+        fs.rmSync(clipPath, { force: true });
+      }
+
+      const progress = 35 + Math.round(50 * (i + 1) / phrases.length);
+      if (progress !== lastProgress) {
+        lastProgress = progress;
+        await context.report({ stage: 'synthesizing', progress });
+      }
+    }
+
+    if (spoken === 0) throw new Error('Speech synthesis failed for every phrase');
+
+    context.speechPath = path.join(workDir, 'speech.raw');
+    fs.writeFileSync(context.speechPath, Buffer.from(timeline.buffer));
+    context.segmentCount = spoken;
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Timing helpers for dubbed speech: which cues are spoken together, how much a
+ * synthesized phrase may be sped up to fit its slot, and how it lands on the
+ * PCM timeline of the dubbed track.
+ */
+
+const SENTENCE_END = /[.!?।॥؟]["')\]]?$/;
+
+/**
+ * Join caption cues into phrases for TTS: neighbouring cues of the same
+ * sentence are spoken in one go so the voice does not stop mid-sentence.
+ * @param {Array<{ start: number, end: number, text: string }>} cues Sorted by start
+ * @param {Object} options { maxGap: seconds, maxChars }
+ */
+export const mergeCuesForSpeech = (cues, { maxGap = 0.3, maxChars = 250 } = {}) => {
+  const phrases = [];
+
+  for (const cue of cues) {
+    const text = String(cue.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    const last = phrases[phrases.length - 1];
+    if (last &&
+        cue.start - last.end <= maxGap &&
+        !SENTENCE_END.test(last.text) &&
+        last.text.length + 1 + text.length <= maxChars) {
+      last.end = Math.max(last.end, cue.end);
+      last.text = `${last.text} ${text}`;
+    } else {
+      phrases.push({ start: cue.start, end: cue.end, text });
+    }
+  }
+
+  return phrases;
+};
+
+/**
+ * Fit a synthesized phrase into the time the original speaker used. The phrase
+ * may run into the silence before the next phrase; beyond that it is sped up
+ * (up to maxTempo) and finally cut.
+ * @param {Object} phrase { start, end }
+ * @param {number|null} nextStart Start of the following phrase
+ * @param {number} clipSeconds Length of the synthesized audio
+ * @param {Object} options { maxTempo, totalDuration }
+ * @returns {{ tempo: number, maxSeconds: number }}
+ */
+export const fitPhrase = (phrase, nextStart, clipSeconds, { maxTempo = 1.6, totalDuration = null } = {}) => {
+  const slotEnd = nextStart ?? totalDuration ?? phrase.end;
+  const available = Math.max(slotEnd - phrase.start, phrase.end - phrase.start, 0.1);
+  const tempo = clipSeconds > available ? Math.min(clipSeconds / available, maxTempo) : 1;
+
+  return {
+    tempo: Math.round(tempo * 1000) / 1000,
+    maxSeconds: Math.round(available * 1000) / 1000
+  };
+};
+
+/**
+ * Add a clip into the timeline at a sample offset (saturating, never wrapping)
+ * @param {Int16Array} timeline
+ * @param {Int16Array} samples
+ * @param {number} offset Sample index
+ */
+export const mixInto = (timeline, samples, offset) => {
+  const end = Math.min(timeline.length, offset + samples.length);
+  for (let i = Math.max(0, offset); i < end; i++) {
+    const mixed = timeline[i] + samples[i - offset];
+    timeline[i] = mixed > 32767 ? 32767 : mixed < -32768 ? -32768 : mixed;
+  }
+  return timeline;
+};
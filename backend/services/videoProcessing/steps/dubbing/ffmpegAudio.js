@@ -0,0 +1,83 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import fs from 'fs';
+import path from 'path';
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+const run = (command) => new Promise((resolve, reject) => {
+  command
+    .on('end', resolve)
+    .on('error', (err, stdout, stderr) => reject(new Error(`${err.message} ${(stderr || '').slice(-300)}`.trim())))
+    .run();
+});
+
+/**
+ * Mono WAV of a video's audio track (local file or HLS / HTTP URL)
+ */
+export const extractAudio = (input, outputPath, { sampleRate, maxSeconds }) => run(
+  ffmpeg(input)
+    .noVideo()
+    .audioChannels(1)
+    .audioFrequency(sampleRate)
+    .audioCodec('pcm_s16le')
+    .outputOptions(['-t', String(maxSeconds)])
+    .output(outputPath)
+);
+
+/**
+ * Decode an audio file to mono 16-bit samples, optionally sped up and cut
+ * @returns {Promise<Int16Array>}
+ */
+export const decodeToPcm = async (input, { sampleRate, tempo = 1, maxSeconds = null }) => {
+  const rawPath = `${input}.${tempo}.raw`;
+  const command = ffmpeg(input)
+    .audioChannels(1)
+    .audioFrequency(sampleRate)
+    .format('s16le')
+    .output(rawPath);
+  if (tempo !== 1) command.audioFilters(`atempo=${tempo}`);
+  if (maxSeconds) command.outputOptions(['-t', String(maxSeconds)]);
+
+  await run(command);
+  try {
+    const buffer = fs.readFileSync(rawPath);
+    const usable = buffer.length - (buffer.length % 2);
+    return new Int16Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + usable));
+  } finally {
+    fs.rmSync(rawPath, { force: true });
+  }
+};
+
+/**
+ * Encode the speech timeline (plus an optional quiet bed of the original audio)
+ * as an audio-only HLS rendition: <outputDir>/playlist.m3u8 + segments
+ */
+export const encodeAudioRendition = (speechRawPath, bedPath, outputDir, { sampleRate, bedVolume, bitrate, segmentSeconds }) => {
+  const command = ffmpeg()
+    .input(speechRawPath)
+    .inputOptions(['-f', 's16le', '-ar', String(sampleRate), '-ac', '1']);
+
+  if (bedVolume > 0 && bedPath) {
+    command
+      .input(bedPath)
+      .complexFilter([
+        `[1:a]volume=${bedVolume}[bed]`,
+        '[0:a][bed]amix=inputs=2:duration=first:normalize=0[mix]'
+      ])
+      .outputOptions(['-map', '[mix]']);
+  }
+
+  return run(
+    command
+      .audioCodec('aac')
+      .audioBitrate(bitrate)
+      .outputOptions([
+        '-f', 'hls',
+        '-hls_time', String(segmentSeconds),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(outputDir, 'seg_%03d.ts')
+      ])
+      .output(path.join(outputDir, 'playlist.m3u8'))
+  );
+};
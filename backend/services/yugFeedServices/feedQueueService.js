@@ -1,5 +1,7 @@
-import Video from '../../models/Video.js';
+import Video, { publishedMatch, isPublished } from '../../models/Video.js';
 import FeedHistory from '../../models/FeedHistory.js';
+import User from '../../models/User.js';
+import Follower from '../../models/Follower.js';
 import redisService from '../caching/redisService.js';
 import RecommendationService from './recommendationService.js';
 import mongoose from 'mongoose';
@@ -14,6 +16,12 @@ class FeedQueueService {
     this.QUEUE_SIZE_LIMIT = 150;  // Max videos to hold in Redis per user
     this.REFILL_THRESHOLD = 40;   // Trigger refill when videos drop below this number
     this.BATCH_SIZE = 110;        // Number of videos to fetch during refill (Threshold + Batch = Limit)
+
+    // Following feed: uploads are pushed to follower inboxes (fan-out on write) for
+    // creators up to FANOUT_FOLLOWER_LIMIT followers; bigger creators are merged in on read.
+    this.FANOUT_FOLLOWER_LIMIT = 1000;
+    this.FOLLOWING_INBOX_SIZE = 500;            // Entries kept per user inbox
+    this.FOLLOWING_INBOX_TTL = 6 * 60 * 60;     // Idle inboxes expire and are rebuilt from MongoDB
   }
 
   getQueueKey(userId, videoType = 'yog') {
@@ -160,6 +168,7 @@ class FeedQueueService {
 
       const matchQuery = {
           processingStatus: 'completed', 
+          ...publishedMatch(),
           videoType,
           uploader: uploaderObjectId ? { $ne: uploaderObjectId } : { $exists: true },
           isSubscriberOnly: { $ne: true }
@@ -252,6 +261,7 @@ class FeedQueueService {
     try {
       const matchStage = { 
         processingStatus: 'completed',
+        ...publishedMatch(),
         videoType,
         isSubscriberOnly: { $ne: true },
         _id: { $nin: Array.from(excludeSet).map(id => { try { return new mongoose.Types.ObjectId(id); } catch(e) { return null; } }).filter(Boolean) }
@@ -299,7 +309,7 @@ class FeedQueueService {
 
     if (missingIds.length > 0) {
       const dbDocs = await Video.find({ _id: { $in: missingIds } })
-        .select('videoUrl thumbnailUrl description uploader views likes shares comments duration processingStatus createdAt videoHash videoName tags seriesId episodeNumber videoType aspectRatio quizzes')
+        .select('videoUrl thumbnailUrl description uploader views likes shares commentCount duration processingStatus createdAt videoHash videoName tags seriesId episodeNumber videoType aspectRatio quizzes')
         .populate('uploader', 'name profilePic googleId username').lean();
 
       const dbMap = new Map(dbDocs.map(v => [v._id.toString(), v]));
@@ -367,6 +377,212 @@ class FeedQueueService {
       console.error('❌ FeedQueue: mergeGuestHistory failed:', e.message);
     }
   }
+
+  // --- FOLLOWING FEED ---
+
+  getFollowingInboxKey(userObjectId) {
+    return `user:following:${userObjectId}`;
+  }
+
+  getFollowingSeededKey(userObjectId) {
+    return `user:following_seeded:${userObjectId}`;
+  }
+
+  /**
+   * Videos a viewer may see in the following feed: processed, published, and
+   * either public or subscriber-only with the viewer on the allow list
+   */
+  followingAccessMatch(userObjectId) {
+    return {
+      processingStatus: 'completed',
+      ...publishedMatch(),
+      $or: [
+        { isSubscriberOnly: { $ne: true } },
+        { allowedSubscribers: userObjectId }
+      ]
+    };
+  }
+
+  // Inbox entries are "<uploadedAt ms>:<videoId>" so the feed can be ordered without a DB read
+  encodeInboxEntry(video) {
+    return `${new Date(video.uploadedAt || video.createdAt).getTime()}:${video._id}`;
+  }
+
+  decodeInboxEntry(entry) {
+    const [time, id] = String(entry).split(':');
+    const t = Number(time);
+    if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { t, id };
+  }
+
+  encodeFollowingCursor(video) {
+    return Buffer.from(JSON.stringify({
+      t: new Date(video.uploadedAt || video.createdAt).getTime(),
+      id: video._id.toString()
+    })).toString('base64url');
+  }
+
+  decodeFollowingCursor(cursor) {
+    if (!cursor) return null;
+    try {
+      const { t, id } = JSON.parse(Buffer.from(cursor.toString(), 'base64url').toString('utf8'));
+      if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) return null;
+      return { t, id };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Push a freshly completed video into its followers' inboxes.
+   * Creators above FANOUT_FOLLOWER_LIMIT are skipped: their uploads are read on demand.
+   * @returns {Promise<number>} Inboxes written
+   */
+  async fanOutToFollowers(videoId) {
+    if (!redisService.getConnectionStatus()) return 0;
+    try {
+      const video = await Video.findById(videoId)
+        .select('uploader uploadedAt createdAt processingStatus visibility isSubscriberOnly allowedSubscribers')
+        .lean();
+      // Drafts and scheduled videos are fanned out when they are published
+      if (!video || !video.uploader || video.processingStatus !== 'completed' || !isPublished(video)) return 0;
+
+      const creator = await User.findById(video.uploader).select('followerCount').lean();
+      if (!creator || (creator.followerCount || 0) > this.FANOUT_FOLLOWER_LIMIT) return 0;
+
+      const query = { following: video.uploader };
+      if (video.isSubscriberOnly) query.follower = { $in: video.allowedSubscribers || [] };
+      const followers = await Follower.find(query).select('follower').limit(this.FANOUT_FOLLOWER_LIMIT).lean();
+      if (followers.length === 0) return 0;
+
+      const entry = this.encodeInboxEntry(video);
+      let written = 0;
+      for (let i = 0; i < followers.length; i += 200) {
+        const keys = followers.slice(i, i + 200).map(f => this.getFollowingInboxKey(f.follower));
+        if (await redisService.pushToLists(keys, entry, this.FOLLOWING_INBOX_SIZE, this.FOLLOWING_INBOX_TTL)) {
+          written += keys.length;
+        }
+      }
+      return written;
+    } catch (e) {
+      console.error('⚠️ FeedQueue: Following fan-out failed:', e.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Drop a user's inbox so it is rebuilt for their new set of followed creators
+   */
+  async invalidateFollowingInbox(userObjectId) {
+    if (!userObjectId || !redisService.getConnectionStatus()) return false;
+    return redisService.del(this.getFollowingInboxKey(userObjectId), this.getFollowingSeededKey(userObjectId));
+  }
+
+  /**
+   * Inbox entries for the fan-out creators a user follows, seeding from MongoDB
+   * when the inbox expired or was invalidated
+   * @returns {Promise<Array<{ t: number, id: string }>>}
+   */
+  async readFollowingInbox(userObjectId, creatorIds) {
+    const inboxKey = this.getFollowingInboxKey(userObjectId);
+    const seededKey = this.getFollowingSeededKey(userObjectId);
+
+    if (!(await redisService.exists(seededKey))) {
+      const recent = await Video.find({ uploader: { $in: creatorIds }, ...this.followingAccessMatch(userObjectId) })
+        .sort({ uploadedAt: -1, _id: -1 })
+        .limit(this.FOLLOWING_INBOX_SIZE)
+        .select('_id uploadedAt createdAt')
+        .lean();
+      const entries = recent.map(video => this.encodeInboxEntry(video));
+      // Only mark the inbox seeded once it holds the entries; otherwise the next read seeds again
+      if (await redisService.replaceList(inboxKey, entries, this.FOLLOWING_INBOX_TTL)) {
+        await redisService.set(seededKey, 'true', this.FOLLOWING_INBOX_TTL);
+      }
+      return entries.map(entry => this.decodeInboxEntry(entry));
+    }
+
+    await redisService.expire(inboxKey, this.FOLLOWING_INBOX_TTL);
+    await redisService.expire(seededKey, this.FOLLOWING_INBOX_TTL);
+    const entries = await redisService.lRange(inboxKey, 0, -1);
+    return (entries || []).map(entry => this.decodeInboxEntry(entry)).filter(Boolean);
+  }
+
+  /**
+   * Chronological feed of creators a user follows
+   * @param {ObjectId} userObjectId
+   * @param {Object} options { cursor, limit }
+   * @returns {Promise<{ videos, nextCursor, hasMore }>}
+   */
+  async getFollowingFeed(userObjectId, { cursor = null, limit = 20 } = {}) {
+    const follows = await Follower.find({ follower: userObjectId }).select('following').lean();
+    if (follows.length === 0) return { videos: [], nextCursor: null, hasMore: false };
+
+    const creators = await User.find({ _id: { $in: follows.map(f => f.following) } }).select('followerCount').lean();
+    const canUseInbox = redisService.getConnectionStatus();
+    const fanOutIds = [];
+    const fanInIds = [];
+    creators.forEach(creator => {
+      const small = (creator.followerCount || 0) <= this.FANOUT_FOLLOWER_LIMIT;
+      (canUseInbox && small ? fanOutIds : fanInIds).push(creator._id);
+    });
+
+    const position = this.decodeFollowingCursor(cursor);
+    const isBefore = (t, id) => !position || t < position.t || (t === position.t && id < position.id);
+    const window = limit * 2 + 1; // Slack for inbox entries that no longer pass the access check
+
+    const [inboxEntries, fanInVideos] = await Promise.all([
+      fanOutIds.length > 0 ? this.readFollowingInbox(userObjectId, fanOutIds) : [],
+      fanInIds.length > 0
+        ? Video.find({
+            uploader: { $in: fanInIds },
+            ...this.followingAccessMatch(userObjectId),
+            ...(position ? {
+              $and: [{
+                $or: [
+                  { uploadedAt: { $lt: new Date(position.t) } },
+                  { uploadedAt: new Date(position.t), _id: { $lt: new mongoose.Types.ObjectId(position.id) } }
+                ]
+              }]
+            } : {})
+          })
+            .sort({ uploadedAt: -1, _id: -1 })
+            .limit(window)
+            .select('_id uploadedAt createdAt')
+            .lean()
+        : []
+    ]);
+
+    const seen = new Set();
+    const candidates = [
+      ...inboxEntries,
+      ...fanInVideos.map(video => this.decodeInboxEntry(this.encodeInboxEntry(video)))
+    ]
+      .filter(entry => entry && isBefore(entry.t, entry.id) && !seen.has(entry.id) && seen.add(entry.id))
+      .sort((a, b) => b.t - a.t || (a.id < b.id ? 1 : -1))
+      .slice(0, window);
+    if (candidates.length === 0) return { videos: [], nextCursor: null, hasMore: false };
+
+    // Re-check access and follow state: inbox entries may be stale (deleted, made private, unfollowed)
+    const docs = await Video.find({
+      _id: { $in: candidates.map(c => c.id) },
+      uploader: { $in: creators.map(c => c._id) },
+      ...this.followingAccessMatch(userObjectId)
+    })
+      .populate('uploader', 'name profilePic googleId username')
+      .lean();
+    const byId = new Map(docs.filter(v => v.uploader).map(v => [v._id.toString(), v]));
+    const ordered = candidates.filter(c => byId.has(c.id)).map(c => byId.get(c.id));
+
+    const videos = ordered.slice(0, limit);
+    const hasMore = ordered.length > limit || candidates.length === window;
+    const last = videos[videos.length - 1] || null;
+
+    return {
+      videos,
+      nextCursor: hasMore && last ? this.encodeFollowingCursor(last) : null,
+      hasMore: hasMore && !!last
+    };
+  }
 }
 
 export default new FeedQueueService();
@@ -220,6 +220,49 @@ class FeedQueueService {
         }
     }
 
+    /**
+     * Re-run text moderation after a title / description edit
+     */
+    async addTextModerationJob(videoId) {
+        try {
+            await videoQueue.add('moderate-text', { videoId: videoId.toString() }, {
+                jobId: `moderate-text_${videoId}`,
+                attempts: 2,
+                backoff: { type: 'exponential', delay: 10000 },
+                removeOnComplete: true,
+                removeOnFail: true,
+                priority: 3
+            });
+            this._wakeWorker().catch(err => console.error('Error waking worker:', err));
+            return true;
+        } catch (error) {
+            console.error('❌ QueueService: Failed to add text moderation job:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Add a dubbing job (transcript -> translation -> TTS -> HLS audio rendition)
+     * @param {Object} data - { jobId (DubbingJob id), videoId, language }
+     */
+    async addDubbingJob(data) {
+        try {
+            console.log(`📥 QueueService: Adding ${data.language} dubbing job for video:`, data.videoId);
+            await videoQueue.add('dub-video', data, {
+                jobId: `dub_${data.jobId}_${Date.now()}`,
+                attempts: 1, // TTS is billed per call; failures are re-requested by the creator
+                removeOnComplete: true,
+                removeOnFail: true,
+                priority: 2
+            });
+            this._wakeWorker().catch(err => console.error('Error waking worker:', err));
+            return true;
+        } catch (error) {
+            console.error('❌ QueueService: Failed to add dubbing job:', error);
+            throw error;
+        }
+    }
+
     /**
      * Add a background video analysis job (Gemini)
      * @param {Object} data - { videoId }
@@ -272,14 +315,62 @@ class FeedQueueService {
         }
     }
 
-    
-    // Legacy FanOut method (stub or move existing logic here if needed)
+    /**
+     * Current BullMQ state of the processing job for each video
+     * @param {Array<string>} videoIds
+     * @returns {Promise<Object>} videoId -> state ('failed', 'active', ...) or null when the job is gone
+     */
+    async getVideoJobStates(videoIds) {
+        const states = {};
+        await Promise.all(videoIds.map(async (videoId) => {
+            try {
+                const job = await videoQueue.getJob(`process-video_${videoId}`);
+                states[videoId] = job ? await job.getState() : null;
+            } catch (error) {
+                states[videoId] = null;
+            }
+        }));
+        return states;
+    }
+
+    /**
+     * Re-queue a failed or stuck video processing job.
+     * The pipeline resumes from the video's last completed checkpoint unless data.fresh is set.
+     * @param {Object} data - Same payload as addVideoJob (+ optional fresh flag)
+     * @returns {Promise<Object>} { action: 'retried' | 'queued' | 'already_queued', state }
+     */
+    async retryVideoJob(data) {
+        const jobId = `process-video_${data.videoId}`;
+        const existing = await videoQueue.getJob(jobId);
+
+        if (existing) {
+            const state = await existing.getState();
+            if (['active', 'waiting', 'delayed', 'prioritized', 'waiting-children'].includes(state)) {
+                return { action: 'already_queued', state };
+            }
+            if (state === 'failed' && !data.fresh) {
+                await existing.retry();
+                this._wakeWorker().catch(err => console.error('Error waking worker:', err));
+                return { action: 'retried', state };
+            }
+            // Completed / stale job still holds the jobId; drop it so a new one can be added
+            await existing.remove();
+        }
+
+        await this.addVideoJob(data);
+        return { action: 'queued', state: existing ? 'replaced' : null };
+    }
+
+
+    /**
+     * Push a completed video into its followers' following-feed inboxes.
+     * Large creators are merged in on read instead (see FeedQueueService.getFollowingFeed).
+     * @returns {Promise<number>} Inboxes written
+     */
     async fanOutToFollowers(userId, videoId, videoType) {
-        // Implementation can stay as is if it's already working directly via DB
-        // Or we can move it to a background job too later.
-        // For now, let's focus on video processing.
-        console.log('fanOutToFollowers placeholder called');
-        return 0;
+        // Lazy import: the BullMQ queue module is also loaded by workers that never touch feeds
+        const { default: feedQueueService } = await import('./feedQueueService.js');
+        return feedQueueService.fanOutToFollowers(videoId);
     }
 }
 
@@ -18,14 +18,18 @@ class QualityScorer extends BaseScorer {
       totalWatchTime = 0,
       duration = 0,
       likes = 0,
-      comments = [],
+      commentCount = 0,
+      comments,
       shares = 0,
       views = 0,
       skipCount = 0
     } = video;
 
+    // Prefer the denormalized counter; fall back to legacy embedded arrays
+    const totalComments = commentCount || (Array.isArray(comments) ? comments.length : 0);
+
     const watchScore = this._calculateWatchScore(totalWatchTime, duration, views);
-    const engagementScore = this._calculateEngagementScore(likes, comments.length, views);
+    const engagementScore = this._calculateEngagementScore(likes, totalComments, views);
     const shareScore = this._calculateShareScore(shares, views);
     const skipPenalty = this._calculateSkipPenalty(skipCount, views);
 
@@ -1,5 +1,6 @@
 import cron from 'node-cron';
 import RecommendationService from './recommendationService.js';
+import tagService from '../tagServices/tagService.js';
 
 /**
  * Recommendation Score Recalculation Cron Job
@@ -80,6 +81,16 @@ class RecommendationScoreCron {
       console.log(`📊 Video Stats: ${stats.processed} processed, ${stats.errors} errors`);
     } catch (error) {
       console.error('❌ Error in recommendation score recalculation:', error);
+    }
+
+    try {
+      // 2. Recalculate Trending Hashtags (windowed velocity vs. daily baseline)
+      const tagStats = await tagService.recalculateTrending();
+      if (tagStats) {
+        console.log(`🏷️ Tag Stats: ${tagStats.tags} tags updated, ${tagStats.active} active in window`);
+      }
+    } catch (error) {
+      console.error('❌ Error in tag trending recalculation:', error);
     } finally {
       this.isRecalculating = false;
     }
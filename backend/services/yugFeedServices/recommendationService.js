@@ -28,6 +28,7 @@ class RecommendationService {
       totalWatchTime = 0,
       duration = 0,
       likes = 0,
+      commentCount: storedCommentCount = 0,
       comments = 0,
       shares = 0,
       views = 0,
@@ -35,7 +36,7 @@ class RecommendationService {
       uploadedAt
     } = videoData;
 
-    const commentCount = Array.isArray(comments) ? comments.length : (comments || 0);
+    const commentCount = storedCommentCount || (Array.isArray(comments) ? comments.length : (comments || 0));
 
     const watchScore = this._legacyCalculateWatchScore(totalWatchTime, duration, views);
     const engagementScore = this._legacyCalculateWilsonScore(likes + commentCount, views);
@@ -235,25 +236,30 @@ class RecommendationService {
         { $match: { isViewed: true, timestamp: { $gte: startOfMonth } } },
         {
           $group: {
-            _id: { creator: '$creatorId', adType: '$adType' },
-            totalViews: { $sum: { $cond: [{ $gt: ['$viewCount', 0] }, '$viewCount', 1] } }
-          }
-        },
-        {
-          $group: {
-            _id: '$_id.creator',
-            bannerViews: { $sum: { $cond: [{ $eq: ['$_id.adType', 'banner'] }, '$totalViews', 0] } },
-            carouselViews: { $sum: { $cond: [{ $eq: ['$_id.adType', 'carousel'] }, '$totalViews', 0] } }
+            _id: '$creatorId',
+            // Auction clearing price; pre-auction impressions fall back to the flat CPM
+            grossRevenue: {
+              $sum: {
+                $ifNull: [
+                  '$clearingPrice',
+                  {
+                    $cond: [
+                      { $eq: ['$adType', 'banner'] },
+                      (AD_CONFIG?.BANNER_CPM ?? 10) / 1000,
+                      (AD_CONFIG?.DEFAULT_CPM ?? 30) / 1000
+                    ]
+                  }
+                ]
+              }
+            }
           }
         }
       ]);
 
-      const bannerCpm = AD_CONFIG?.BANNER_CPM ?? 10;
-      const carouselCpm = AD_CONFIG?.DEFAULT_CPM ?? 30;
       const creatorShare = AD_CONFIG?.CREATOR_REVENUE_SHARE ?? 0.8;
 
       const rankedList = stats.map(s => {
-        const earnings = ((s.bannerViews / 1000) * bannerCpm + (s.carouselViews / 1000) * carouselCpm) * creatorShare;
+        const earnings = (s.grossRevenue || 0) * creatorShare;
         return { id: s._id?.toString(), earnings };
       })
       .filter(item => item.id)
@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Video from '../../models/Video.js';
+import { SecondPriceAuction } from '../../services/adServices/adEngine/auction/SecondPriceAuction.js';
+import { AdEngine } from '../../services/adServices/adEngine/AdEngine.js';
+import { ServeTokenService, REDEEM_SCRIPT } from '../../services/adServices/adEngine/serveToken/ServeTokenService.js';
+import adService from '../../services/adServices/adService.js';
+import budgetLedgerService from '../../services/adServices/budgetLedger/BudgetLedgerService.js';
+import { useMemoryRedis, resetRedis } from './support/memoryUpstash.js';
+
+/**
+ * 🏷️ AD AUCTION REGRESSION TEST
+ *
+ * Winners pay the runner-up's price (never their own campaign's), CPC bids are
+ * ranked by expected eCPM, and each served slot carries the price it cleared at
+ * in its own serve token, so concurrent auctions cannot overwrite each other.
+ * The reserve is a floor for both bids and clearing prices, and a click bills
+ * once per token.
+ */
+
+const auction = new SecondPriceAuction({ reserveCpm: 10, increment: 0.01, ctrPrior: 0.01, ctrPriorWeight: 100 });
+const tokens = new ServeTokenService({ secret: 'test-secret', ttlSeconds: 60 });
+const engine = new AdEngine([{}], [{}], null, auction, tokens);
+
+const campaign = (bidType, cpmINR) => ({ _id: new mongoose.Types.ObjectId(), bidType, cpmINR, name: 'Campaign' });
+const creative = (camp, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  adType: 'banner',
+  campaign: camp,
+  targetingScore: 100,
+  impressions: 0,
+  clicks: 0,
+  ...extra
+});
+
+const claimsOf = (token) => tokens.verify(token, { viewerKeys: ['device-1'] });
+const videoId = new mongoose.Types.ObjectId().toString();
+
+// HSETNX + HGET of the redemption hash, applied to an in-memory map
+const redemptions = new Map();
+const scripts = {
+  [REDEEM_SCRIPT]: (memory, [key], [stage, outcome]) => {
+    const hash = redemptions.get(key) || {};
+    redemptions.set(key, hash);
+    const claimed = stage in hash ? 0 : 1;
+    if (claimed) hash[stage] = outcome;
+    return [claimed, hash.impression ?? null];
+  }
+};
+
+describe('🏷️ Ads: Second-price auction and slot pricing', () => {
+  beforeEach(() => {
+    jest.spyOn(Video, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ _id: videoId, uploader: new mongoose.Types.ObjectId() }) })
+    });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('winners pay the next campaign down plus one paisa, capped at their bid', () => {
+    const big = campaign('CPM', 50);
+    const mid = campaign('CPM', 30);
+    // CPC ₹2 per click at a 1% CTR prior is a ₹20 eCPM
+    const cpc = campaign('CPC', 2);
+
+    const ranked = auction.run([creative(mid), creative(big), creative(big), creative(cpc)]);
+
+    expect(ranked.map(ad => ad.campaign._id)).toEqual([big._id, big._id, mid._id, cpc._id]);
+    // Both creatives of the big campaign skip their sibling and price against mid
+    expect(ranked[0].auction.clearingCpm).toBe(30.01);
+    expect(ranked[1].auction.clearingCpm).toBe(30.01);
+    expect(ranked[2].auction.clearingCpm).toBe(20.01);
+    // Last one falls back to the reserve, expressed per click for CPC
+    expect(ranked[3].auction).toMatchObject({ bidType: 'CPC', ecpm: 20, clearingCpm: 10.01, clearingCpc: 1.001 });
+  });
+
+  test('bids below the reserve are dropped and nobody clears below it', () => {
+    const low = campaign('CPM', 8);
+    // CPC ₹0.5 per click at a 1% CTR prior is a ₹5 eCPM
+    const lowCpc = campaign('CPC', 0.5);
+    const exact = campaign('CPM', 10);
+
+    expect(auction.run([creative(low)])).toEqual([]);
+
+    const ranked = auction.run([creative(low), creative(lowCpc), creative(exact)]);
+    expect(ranked.map(ad => ad.campaign._id)).toEqual([exact._id]);
+    expect(ranked[0].auction.clearingCpm).toBe(10);
+
+    // A runner-up with low relevance would price the winner under the reserve
+    const [winner] = auction.run([creative(campaign('CPM', 50)), creative(campaign('CPM', 20), { targetingScore: 20 })]);
+    expect(winner.auction.clearingCpm).toBe(10.01);
+  });
+
+  test('each slot token carries its own clearing price and clients never see the auction block', async () => {
+    const big = campaign('CPM', 50);
+    const ad = creative(big);
+
+    // The same creative wins two auctions at different prices
+    const [expensive] = engine.transformAdsForFrontend(auction.run([ad, creative(campaign('CPM', 40))]));
+    const [cheap] = engine.transformAdsForFrontend(auction.run([ad]));
+
+    const served = await engine.issueServeTokens([expensive, cheap], { userKey: 'device-1', videoId });
+
+    expect(served.every(slot => !('auction' in slot))).toBe(true);
+    expect(claimsOf(served[0].serveToken).px).toEqual({ bt: 'CPM', cpm: 40.01, cpc: null });
+    expect(claimsOf(served[1].serveToken).px).toEqual({ bt: 'CPM', cpm: 10.01, cpc: null });
+  });
+
+  test('CPC slots carry their clearing price per click, and slots without a video cannot be billed', async () => {
+    const cpc = campaign('CPC', 2);
+    const ranked = engine.transformAdsForFrontend(auction.run([creative(cpc)]));
+
+    const [slot] = await engine.issueServeTokens(ranked, { userKey: 'device-1', videoId });
+    expect(claimsOf(slot.serveToken)).toMatchObject({ vid: videoId, px: { bt: 'CPC', cpm: 10.01, cpc: 1.001 } });
+
+    const [unbound] = await engine.issueServeTokens(ranked, { userKey: 'device-1' });
+    expect(unbound.serveToken).toBeNull();
+  });
+
+  test('a click is billed once per token at its clearing CPC, only for the ad it was served with', async () => {
+    const ranked = engine.transformAdsForFrontend(auction.run([creative(campaign('CPC', 2))]));
+    const [slot] = await engine.issueServeTokens(ranked, { userKey: 'device-1', videoId });
+
+    // Without Redis a replay could not be caught: nothing is billed
+    await expect(tokens.redeemClick(slot.serveToken, slot.id)).rejects.toMatchObject({ reason: 'unverified', statusCode: 503 });
+
+    useMemoryRedis({ scripts });
+    try {
+      await expect(tokens.redeemClick(slot.serveToken, new mongoose.Types.ObjectId())).rejects.toMatchObject({ reason: 'wrong_ad' });
+      await expect(tokens.redeemClick(undefined, slot.id)).rejects.toMatchObject({ reason: 'malformed' });
+
+      // Click beacons rarely know the viewer: a genuine token still pays for its one click
+      const { pricing } = await tokens.redeemClick(slot.serveToken, slot.id);
+      expect(pricing).toEqual({ bidType: 'CPC', clearingCpm: 10.01, clearingCpc: 1.001 });
+      await expect(tokens.redeemClick(slot.serveToken, slot.id)).rejects.toMatchObject({ reason: 'replay', statusCode: 409 });
+    } finally {
+      resetRedis();
+    }
+  });
+
+  test('clicks without a genuine, unused token never reach the budget', async () => {
+    process.env.AD_SERVE_TOKEN_SECRET = 'test-secret'; // Shared with the app-wide token service
+    const debit = jest.spyOn(budgetLedgerService, 'debit').mockResolvedValue({ charged: 1.001 });
+    const cpc = campaign('CPC', 2);
+    const ad = { _id: new mongoose.Types.ObjectId(), campaignId: cpc._id };
+    const token = tokens.issue({
+      adId: ad._id,
+      campaignId: cpc._id,
+      adType: 'banner',
+      videoId,
+      pricing: { bidType: 'CPC', clearingCpm: 10.01, clearingCpc: 1.001 }
+    });
+
+    useMemoryRedis({ scripts });
+    try {
+      await expect(adService.billClick(ad, undefined)).resolves.toBeNull();
+      await expect(adService.billClick(ad, 'forged.token')).resolves.toBeNull();
+
+      await adService.billClick(ad, token);
+      await adService.billClick(ad, token);
+      expect(debit).toHaveBeenCalledTimes(1);
+      expect(debit).toHaveBeenCalledWith(cpc._id, { eventType: 'click', amount: 1.001 });
+    } finally {
+      resetRedis();
+      delete process.env.AD_SERVE_TOKEN_SECRET;
+    }
+  });
+});
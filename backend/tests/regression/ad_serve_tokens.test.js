@@ -0,0 +1,99 @@
+import { ServeTokenService, ServeTokenError, REDEEM_SCRIPT } from '../../services/adServices/adEngine/serveToken/ServeTokenService.js';
+import { useMemoryRedis, resetRedis } from './support/memoryUpstash.js';
+
+/**
+ * 🎟️ AD SERVE TOKEN REGRESSION TEST
+ *
+ * Beacons may only count slots the server filled: the token binds ad, video,
+ * creator and viewer, cannot be edited, and stops working once it expires.
+ * Every token is bound to a video.
+ */
+
+const tokens = new ServeTokenService({ secret: 'test-secret', ttlSeconds: 60 });
+const slot = {
+  adId: '64b000000000000000000001',
+  campaignId: '64b000000000000000000002',
+  adType: 'banner',
+  videoId: '64b000000000000000000003',
+  creatorId: '64b000000000000000000004',
+  userKey: 'device-abc'
+};
+
+// HSETNX + HGET of the redemption hash, applied to an in-memory map
+const redemptions = new Map();
+const scripts = {
+  [REDEEM_SCRIPT]: (memory, [key], [stage, outcome]) => {
+    const hash = redemptions.get(key) || {};
+    redemptions.set(key, hash);
+    const claimed = stage in hash ? 0 : 1;
+    if (claimed) hash[stage] = outcome;
+    return [claimed, hash.impression ?? null];
+  }
+};
+
+const rejection = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(ServeTokenError);
+    return error;
+  }
+  throw new Error('expected the token to be rejected');
+};
+
+describe('🎟️ Ads: Serve tokens', () => {
+  test('round-trips the server-side slot binding', () => {
+    const claims = tokens.verify(tokens.issue(slot), { adType: 'banner', viewerKeys: [null, 'device-abc'] });
+
+    expect(claims).toMatchObject({ ad: slot.adId, vid: slot.videoId, cr: slot.creatorId, uk: 'device-abc' });
+    expect(tokens.uniqueKey(claims, 'view')).toBe(`serve:${claims.jti}:view`);
+  });
+
+  test('rejects edited claims and foreign signatures', () => {
+    const [body, signature] = tokens.issue(slot).split('.');
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...claims, cr: '64b0000000000000000000ff' })).toString('base64url');
+
+    expect(rejection(() => tokens.verify(`${forged}.${signature}`)).reason).toBe('bad_signature');
+
+    const other = new ServeTokenService({ secret: 'other-secret' });
+    expect(rejection(() => tokens.verify(other.issue(slot))).reason).toBe('bad_signature');
+  });
+
+  test('expired, mismatched and wrong-slot tokens keep their claims for invalid-traffic counting', () => {
+    const issuedAt = Date.now() - 61 * 1000;
+    const expired = rejection(() => tokens.verify(tokens.issue(slot, issuedAt), { viewerKeys: ['device-abc'] }));
+    expect(expired).toMatchObject({ reason: 'expired', statusCode: 410 });
+    expect(expired.claims.cr).toBe(slot.creatorId);
+
+    const token = tokens.issue(slot);
+    expect(rejection(() => tokens.verify(token, { viewerKeys: ['device-xyz'] })).reason).toBe('viewer_mismatch');
+    expect(rejection(() => tokens.verify(token, { adType: 'carousel', viewerKeys: ['device-abc'] })).reason).toBe('wrong_ad_type');
+    expect(rejection(() => tokens.verify(undefined)).reason).toBe('malformed');
+  });
+
+  test('tokens are always bound to a video', () => {
+    expect(() => tokens.issue({ ...slot, videoId: null })).toThrow('bound to the video');
+
+    // Tokens from before binding carried no video; they must not count on any video
+    const body = Buffer.from(JSON.stringify({ jti: 'old', ad: slot.adId, typ: 'banner', vid: null, exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+    expect(rejection(() => tokens.verify(`${body}.${tokens._sign(body)}`)).reason).toBe('unbound');
+  });
+
+  test('each stage of a slot is redeemed once, and the view sees what its impression recorded', async () => {
+    const token = tokens.issue(slot);
+    const viewer = { adType: 'banner', viewerKeys: ['device-abc'] };
+
+    useMemoryRedis({ scripts });
+    try {
+      await tokens.redeem(token, 'impression', viewer);
+      await expect(tokens.redeem(token, 'impression', viewer)).rejects.toMatchObject({ reason: 'replay', statusCode: 409 });
+
+      const { impressionOutcome } = await tokens.redeem(token, 'view', viewer);
+      expect(impressionOutcome).toBe('counted');
+      await expect(tokens.redeem(token, 'view', viewer)).rejects.toMatchObject({ reason: 'replay' });
+    } finally {
+      resetRedis();
+    }
+  });
+});
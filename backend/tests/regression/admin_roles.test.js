@@ -0,0 +1,125 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+import AdminAccount from '../../models/AdminAccount.js';
+import AuditLog from '../../models/AuditLog.js';
+import { requireAdmin } from '../../middleware/adminAuth.js';
+
+/**
+ * 🛡️ ADMIN ROLE REGRESSION TEST
+ *
+ * Personal access keys resolve to a role; each route asks for one permission.
+ * Denied attempts and every write are persisted to the audit log.
+ */
+
+const buildAccount = (role, key) => new AdminAccount({
+  name: `${role} admin`,
+  email: `${role}@example.com`,
+  role,
+  keyHash: AdminAccount.hashKey(key),
+  keyPrefix: key.slice(0, 12),
+  lastUsedAt: new Date()
+});
+
+const mockRequest = ({ key, method = 'GET', params = {}, body = {} }) => ({
+  method,
+  params,
+  body,
+  headers: key ? { 'x-admin-key': key } : {},
+  query: { adminKey: 'ignored' },
+  originalUrl: '/api/admin/videos/abc/remove',
+  baseUrl: '/api/admin',
+  route: { path: '/videos/:videoId/remove' },
+  ip: '127.0.0.1'
+});
+
+const mockResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.locals = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const run = async (middleware, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+};
+
+describe('🛡️ Admin: Role-based access', () => {
+  let audit;
+
+  beforeEach(() => {
+    audit = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    jest.spyOn(AdminAccount, 'findOne').mockImplementation(async ({ keyHash }) => (
+      [buildAccount('finance', 'vak_finance'), buildAccount('moderator', 'vak_moderator')]
+        .find(account => account.keyHash === keyHash) || null
+    ));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Superadmin holds every permission; other roles only their own', () => {
+    expect(buildAccount('superadmin', 'vak_root').hasPermission('admins:manage')).toBe(true);
+    expect(buildAccount('finance', 'vak_f').hasPermission('finance:read')).toBe(true);
+    expect(buildAccount('finance', 'vak_f').hasPermission('content:delete')).toBe(false);
+    expect(buildAccount('support', 'vak_s').hasPermission('notifications:send')).toBe(true);
+  });
+
+  test('Keys are only read from the header and must belong to an active account', async () => {
+    const missing = await run(requireAdmin('analytics:read'), mockRequest({}));
+    expect(missing.res.statusCode).toBe(401);
+    expect(missing.next).not.toHaveBeenCalled();
+
+    const invalid = await run(requireAdmin('analytics:read'), mockRequest({ key: 'vak_unknown' }));
+    expect(invalid.res.statusCode).toBe(401);
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({ actorType: 'anonymous', outcome: 'denied' }));
+  });
+
+  test('A role without the permission is refused and the attempt audited', async () => {
+    const { res, next } = await run(requireAdmin('content:delete'), mockRequest({ key: 'vak_finance', method: 'POST' }));
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+      actorName: 'finance@example.com',
+      actorRole: 'finance',
+      resource: 'content:delete',
+      outcome: 'denied',
+      statusCode: 403
+    }));
+  });
+
+  test('Permitted writes are audited with route details once the response is sent', async () => {
+    const req = mockRequest({ key: 'vak_moderator', method: 'POST', params: { videoId: 'abc' }, body: { reason: 'spam' } });
+    const { res, next } = await run(requireAdmin('content:delete'), req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.admin).toEqual(expect.objectContaining({ email: 'moderator@example.com', role: 'moderator' }));
+    expect(audit).not.toHaveBeenCalled();
+
+    res.locals.auditMetadata = { reason: 'spam' };
+    res.emit('finish');
+
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+      actorType: 'admin',
+      action: 'content:delete',
+      resource: '/api/admin/videos/:videoId/remove',
+      targetId: 'abc',
+      outcome: 'success',
+      metadata: expect.objectContaining({ reason: 'spam', bodyFields: ['reason'] })
+    }));
+  });
+
+  test('Reads are not audited unless the route asks for it', async () => {
+    const plain = await run(requireAdmin('finance:read'), mockRequest({ key: 'vak_finance' }));
+    plain.res.emit('finish');
+    expect(audit).not.toHaveBeenCalled();
+
+    const sensitive = await run(requireAdmin('finance:read', { auditReads: true }), mockRequest({ key: 'vak_finance' }));
+    sensitive.res.emit('finish');
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'finance:read', severity: 'info' }));
+  });
+});
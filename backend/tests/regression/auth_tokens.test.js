@@ -8,7 +8,7 @@ import RefreshToken from '../../models/RefreshToken.js';
  * 
  * This test verifies the Access/Refresh token lifecycle:
  * 1. Token Refresh (Rotation)
- * 2. Reuse Prevention (Security)
+ * 2. Reuse Prevention (Security) - replaying a rotated token revokes its family
  * 3. Access Control (Protected routes)
  */
 
@@ -64,7 +64,15 @@ describe('🔐 Auth Token Lifecycle & Security', () => {
       });
     
     const usedToken = setupToken; // This one is now revoked
-    const newToken = res1.body.refreshToken;
+
+    // Rotate once more: a retry with the immediate predecessor would still be honoured (grace window)
+    const resNext = await request(app)
+      .post('/api/auth/refresh')
+      .send({
+        refreshToken: res1.body.refreshToken,
+        deviceId: testDeviceId
+      });
+    const newToken = resNext.body.refreshToken;
 
     // 2. Try to use 'usedToken' again
     const res2 = await request(app)
@@ -76,9 +84,24 @@ describe('🔐 Auth Token Lifecycle & Security', () => {
 
     // Should be Forbidden or Unauthorized because it was revoked
     expect([403, 401]).toContain(res2.statusCode);
+    expect(res2.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+    // 3. Replaying a rotated token kills the whole family, including the newest token
+    const res3 = await request(app)
+      .post('/api/auth/refresh')
+      .send({
+        refreshToken: newToken,
+        deviceId: testDeviceId
+      });
+    expect([403, 401]).toContain(res3.statusCode);
 
-    // IMPORTANT: Update setupToken to the valid one for the NEXT test
-    setupToken = newToken;
+    // IMPORTANT: Start a fresh session for the NEXT test
+    setupToken = await RefreshToken.createForDevice(
+      testUser._id,
+      testDeviceId,
+      'Test Suite Runner',
+      'web'
+    );
   });
 
   test('Protected routes should work with the new Access Token', async () => {
@@ -99,6 +122,11 @@ describe('🔐 Auth Token Lifecycle & Security', () => {
 
     expect(resPrivate.statusCode).toBe(200);
     expect(resPrivate.body).toHaveProperty('sessions');
+
+    // The session killed by reuse detection is listed separately
+    expect(resPrivate.body.revokedSessions).toEqual(
+      expect.arrayContaining([expect.objectContaining({ reason: 'reuse_detected' })])
+    );
   });
 
 });
@@ -0,0 +1,31 @@
+import refundService from '../../services/adServices/billing/RefundService.js';
+
+/**
+ * 💸 REFUND ALLOCATION REGRESSION TEST
+ *
+ * Unspent budget of a cancelled campaign is split across its paid invoices in
+ * proportion to what is still refundable on each, to the paisa.
+ */
+
+const invoice = (id, totalAmount, refundRequestedAmount = 0) => ({ _id: id, totalAmount, refundRequestedAmount });
+
+describe('💸 Billing: Pro rata refund allocation', () => {
+  test('splits by refundable headroom and sums to the exact amount', () => {
+    const allocations = refundService.allocateProRata(
+      [invoice('a', 1000), invoice('b', 500, 100), invoice('c', 333.33)],
+      777.77
+    );
+
+    const total = allocations.reduce((sum, entry) => sum + Math.round(entry.amountINR * 100), 0);
+    expect(total).toBe(77777);
+    expect(allocations.find(e => e.invoice._id === 'a').amountINR).toBeGreaterThan(
+      allocations.find(e => e.invoice._id === 'b').amountINR
+    );
+  });
+
+  test('never refunds more than an invoice has left', () => {
+    const allocations = refundService.allocateProRata([invoice('a', 100, 40), invoice('b', 200, 200)], 500);
+
+    expect(allocations).toEqual([{ invoice: expect.objectContaining({ _id: 'a' }), amountINR: 60 }]);
+  });
+});
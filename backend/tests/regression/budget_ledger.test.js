@@ -0,0 +1,175 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import AdCampaign from '../../models/AdCampaign.js';
+import redisService from '../../services/caching/redisService.js';
+import budgetLedgerService, {
+  DEBIT_SCRIPT,
+  FOLD_PENDING_SCRIPT,
+  CLEAR_DIRTY_SCRIPT
+} from '../../services/adServices/budgetLedger/BudgetLedgerService.js';
+import { evaluateCampaignDelivery } from '../../services/adServices/budgetLedger/pacing.js';
+import { useMemoryRedis, resetRedis } from './support/memoryUpstash.js';
+
+/**
+ * 💸 BUDGET LEDGER REGRESSION TEST
+ *
+ * Pacing, day/hour parting and budgets decide whether a campaign serves, and
+ * frequency caps count through the real Redis wrapper (not a mocked one), so a
+ * helper that cannot run against the instrumented client shows up here.
+ * Debits that fell back to Mongo are added onto Redis by reconcile, never
+ * written over it.
+ */
+
+// 2026-03-02 is a Monday; 12:00 in Asia/Kolkata
+const NOON_IST = new Date('2026-03-02T06:30:00Z');
+
+// The ledger's Lua scripts, applied to the in-memory store
+const scripts = {
+  [DEBIT_SCRIPT]: (memory, [total, day, dirty], [amount, seedTotal, seedDay, , id]) => {
+    if (memory.get(total) === null) memory.set(total, seedTotal);
+    if (memory.get(day) === null) memory.set(day, seedDay);
+    const totals = [total, day].map(key => {
+      memory.set(key, Number(memory.get(key)) + Number(amount));
+      return memory.get(key);
+    });
+    memory.handlers.sadd(dirty, id);
+    return totals;
+  },
+  [FOLD_PENDING_SCRIPT]: (memory, [total, day], [totalDelta, dayDelta]) => {
+    if (memory.get(total) !== null) memory.set(total, Number(memory.get(total)) + Number(totalDelta));
+    if (memory.get(day) !== null && Number(dayDelta) > 0) memory.set(day, Number(memory.get(day)) + Number(dayDelta));
+    return 1;
+  },
+  [CLEAR_DIRTY_SCRIPT]: (memory, [dirty, total], [id, seen]) => {
+    const current = memory.get(total);
+    if (current !== null && Number(current) !== Number(seen)) return 0;
+    return memory.handlers.srem(dirty, id);
+  }
+};
+
+const campaign = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'active',
+  timeZone: 'Asia/Kolkata',
+  dailyBudget: 1000,
+  totalBudget: 10000,
+  pacing: 'smooth',
+  ...overrides
+});
+
+describe('💸 Ads: Budget ledger, pacing and frequency caps', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetRedis();
+  });
+
+  test('smooth pacing, parting and budgets gate delivery', () => {
+    // Half the day is gone: 50% + 5% burst may be spent
+    expect(evaluateCampaignDelivery(campaign(), { daySpent: 500 }, NOON_IST).servable).toBe(true);
+    expect(evaluateCampaignDelivery(campaign(), { daySpent: 560 }, NOON_IST).reason).toBe('paced');
+    expect(evaluateCampaignDelivery(campaign({ pacing: 'asap' }), { daySpent: 990 }, NOON_IST).servable).toBe(true);
+
+    expect(evaluateCampaignDelivery(campaign(), { daySpent: 1000 }, NOON_IST).reason).toBe('daily_budget_exhausted');
+    expect(evaluateCampaignDelivery(campaign(), { totalSpent: 10000 }, NOON_IST).reason).toBe('total_budget_exhausted');
+    expect(evaluateCampaignDelivery(campaign({ dayParting: { Tuesday: true } }), {}, NOON_IST).reason).toBe('outside_day_parting');
+    expect(evaluateCampaignDelivery(campaign({ hourParting: { all: '18:00-23:00' } }), {}, NOON_IST).reason).toBe('outside_hour_parting');
+  });
+
+  test('incrBy counts and sets a TTL on the instrumented Upstash client', async () => {
+    const memory = useMemoryRedis();
+
+    await expect(redisService.incrBy('counter', 2, 60)).resolves.toBe(2);
+    await expect(redisService.incrBy('counter', -1)).resolves.toBe(1);
+    expect(memory.ttl('counter')).toBe(60);
+  });
+
+  test('impressions count towards the cap and capped campaigns stop serving', async () => {
+    const memory = useMemoryRedis();
+    const capped = campaign({ frequencyCap: 2, pacing: 'asap' });
+    const open = campaign({ pacing: 'asap' });
+    jest.spyOn(AdCampaign, 'findById').mockReturnValue({ select: () => ({ lean: async () => capped }) });
+
+    const first = await budgetLedgerService.recordImpression(capped._id, 'device-1', NOON_IST);
+    const second = await budgetLedgerService.recordImpression(capped._id, 'device-1', NOON_IST);
+    const third = await budgetLedgerService.recordImpression(capped._id, 'device-1', NOON_IST);
+
+    expect([first, second, third].map(result => result.count)).toEqual([1, 2, 3]);
+    expect(third).toEqual({ count: 3, frequencyCap: 2, capped: true });
+    expect(memory.ttl(`ads:freq:${capped._id}:device-1:2026-03-02`)).toBe(36 * 60 * 60);
+
+    const ads = [{ _id: 'a', campaignId: capped }, { _id: 'b', campaignId: open }];
+    const servable = await budgetLedgerService.filterServable(ads, { userKey: 'device-1', now: NOON_IST });
+    expect(servable.map(ad => ad._id)).toEqual(['b']);
+
+    // Other devices are not capped by device-1's impressions
+    const fresh = await budgetLedgerService.filterServable(ads, { userKey: 'device-2', now: NOON_IST });
+    expect(fresh.map(ad => ad._id)).toEqual(['a', 'b']);
+  });
+
+  test('debits are capped at the bid and fall back to Mongo when the ledger script fails', async () => {
+    useMemoryRedis(); // No script registered: EVAL errors like an unavailable Redis would
+    const cpc = campaign({ bidType: 'CPC', cpmINR: 4, spend: 10, dailySpend: 2, dailySpendDate: '2026-03-02' });
+    jest.spyOn(AdCampaign, 'findById').mockReturnValue({ select: () => ({ lean: async () => cpc }) });
+    const mongoDebit = jest.spyOn(AdCampaign, 'findOneAndUpdate').mockReturnValue({
+      select: () => ({ lean: async () => ({ spend: 14, dailySpend: 6 }) })
+    });
+
+    await expect(budgetLedgerService.debit(cpc._id, { eventType: 'impression', now: NOON_IST })).resolves.toBeNull();
+
+    const result = await budgetLedgerService.debit(cpc._id, { eventType: 'click', amount: 9, now: NOON_IST });
+    expect(result).toEqual({ charged: 4, totalSpent: 14, daySpent: 6, exhausted: false });
+    expect(mongoDebit).toHaveBeenCalledWith(
+      { _id: cpc._id, dailySpendDate: '2026-03-02' },
+      { $inc: { spend: 4, dailySpend: 4, pendingSpend: 4, pendingDailySpend: 4 } },
+      { new: true }
+    );
+  });
+
+  test('reconcile adds fallback debits onto Redis instead of overwriting later Redis debits', async () => {
+    const memory = useMemoryRedis({ scripts });
+    const cpc = campaign({
+      bidType: 'CPC',
+      cpmINR: 10,
+      spend: 100,
+      dailySpend: 30,
+      dailySpendDate: '2026-03-02',
+      pendingSpend: 20, // Fell back to Mongo during an outage
+      pendingDailySpend: 20
+    });
+    const id = cpc._id.toString();
+    memory.set(`ads:ledger:${id}:total`, 80);
+    memory.set(`ads:ledger:${id}:day:2026-03-02`, 10);
+    jest.spyOn(AdCampaign, 'findById').mockReturnValue({ select: () => ({ lean: async () => cpc }) });
+
+    // Redis is back and takes a debit before reconcile runs
+    const debited = await budgetLedgerService.debit(cpc._id, { eventType: 'click', now: NOON_IST });
+    expect(debited).toEqual(expect.objectContaining({ totalSpent: 110, daySpent: 40 }));
+
+    const find = jest.spyOn(AdCampaign, 'find').mockReturnValue({ select: () => ({ lean: async () => [cpc] }) });
+    const update = jest.spyOn(AdCampaign, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(budgetLedgerService.reconcile(NOON_IST)).resolves.toEqual({ reconciled: 1, exhausted: 0 });
+    expect(find.mock.calls[0][0].$or).toEqual([{ _id: { $in: [id] } }, { pendingSpend: { $gt: 0 } }]);
+    expect(update.mock.calls[0]).toEqual([
+      { _id: cpc._id, pendingSpend: 20, pendingDailySpend: 20 },
+      { $inc: { pendingSpend: -20, pendingDailySpend: -20 } }
+    ]);
+    expect(memory.get(`ads:ledger:${id}:total`)).toBe('110');
+    expect(memory.get(`ads:ledger:${id}:day:2026-03-02`)).toBe('40');
+    expect(update.mock.calls[1][1]).toEqual(expect.objectContaining({ $max: { spend: 110 } }));
+    expect(memory.handlers.smembers('ads:ledger:dirty')).toEqual([]);
+  });
+
+  test('a campaign stays dirty when its write-back fails', async () => {
+    const memory = useMemoryRedis({ scripts });
+    const cpm = campaign({ spend: 5 });
+    const id = cpm._id.toString();
+    memory.set(`ads:ledger:${id}:total`, 7);
+    memory.handlers.sadd('ads:ledger:dirty', id, 'deleted-campaign');
+    jest.spyOn(AdCampaign, 'find').mockReturnValue({ select: () => ({ lean: async () => [cpm] }) });
+    jest.spyOn(AdCampaign, 'updateOne').mockRejectedValue(new Error('write conflict'));
+
+    await expect(budgetLedgerService.reconcile(NOON_IST)).resolves.toEqual({ reconciled: 0, exhausted: 0 });
+    expect(memory.handlers.smembers('ads:ledger:dirty')).toEqual([id]);
+  });
+});
@@ -0,0 +1,76 @@
+import { segmentsToCues, buildWebVtt, validateCues } from '../../services/uploadServices/captionService.js';
+import { setMediaGroup } from '../../services/uploadServices/hlsManifest.js';
+
+/**
+ * 💬 CAPTION REGRESSION TEST
+ *
+ * Long transcript segments are split into readable cues, creator edits are
+ * normalised before they reach WebVTT, and subtitle renditions can be
+ * re-published without duplicating entries in the master playlist.
+ */
+
+const MASTER = [
+  '#EXTM3U',
+  '#EXT-X-VERSION:3',
+  '#EXT-X-STREAM-INF:BANDWIDTH=400000,AVERAGE-BANDWIDTH=350000,RESOLUTION=426x240,CODECS="hvc1.1.6.L63.B0,mp4a.40.2"',
+  '240p/playlist.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=1400000,AVERAGE-BANDWIDTH=1200000,RESOLUTION=1280x720,CODECS="hvc1.1.6.L93.B0,mp4a.40.2"',
+  '720p/playlist.m3u8',
+  ''
+].join('\n');
+
+describe('💬 Captions: Cues, WebVTT and HLS renditions', () => {
+  test('long segments become short cues covering the same time span', () => {
+    const text = 'word '.repeat(40).trim(); // 199 chars
+    const cues = segmentsToCues([{ start: 10, end: 20, text }], { maxChars: 84 });
+
+    expect(cues.length).toBe(3);
+    expect(cues.every(cue => cue.text.length <= 84)).toBe(true);
+    expect(cues[0].start).toBe(10);
+    expect(cues[cues.length - 1].end).toBe(20);
+    cues.slice(1).forEach((cue, i) => expect(cue.start).toBe(cues[i].end));
+  });
+
+  test('edited cues are sorted, sanitised and rendered as valid WebVTT', () => {
+    const cues = validateCues([
+      { start: 4, end: 6.5, text: 'Second --> line' },
+      { start: 0, end: 2, text: 'Tom & <Jerry>\n\n\nhello' }
+    ], { duration: 10 });
+
+    expect(cues.map(cue => cue.start)).toEqual([0, 4]);
+    expect(cues[0].text).toBe('Tom & <Jerry>\nhello');
+
+    const vtt = buildWebVtt(cues, { mpegtsOffset: 126000 });
+    expect(vtt.startsWith('WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000\n\n')).toBe(true);
+    expect(vtt).toContain('1\n00:00:00.000 --> 00:00:02.000\nTom &amp; &lt;Jerry&gt;\nhello');
+    expect(vtt).toContain('2\n00:00:04.000 --> 00:00:06.500\nSecond → line');
+
+    expect(() => validateCues([{ start: 3, end: 2, text: 'x' }])).toThrow(/end must be after start/);
+    expect(() => validateCues([{ start: 0, end: 30, text: 'x' }], { duration: 10 })).toThrow(/ends after the video/);
+    expect(() => validateCues([{ start: 0, end: 1, text: '   ' }])).toThrow(/text is required/);
+  });
+
+  test('subtitle renditions are linked to every variant and replaced on re-publish', () => {
+    const group = { type: 'SUBTITLES', groupId: 'subs' };
+    const once = setMediaGroup(MASTER, group, [
+      { name: 'English', language: 'en', uri: 'subs/en.m3u8' }
+    ]);
+    const twice = setMediaGroup(once, group, [
+      { name: 'English', language: 'en', uri: 'subs/en.m3u8' },
+      { name: 'हिन्दी', language: 'hi', uri: 'subs/hi.m3u8' }
+    ]);
+
+    const lines = twice.trim().split('\n');
+    const media = lines.filter(line => line.startsWith('#EXT-X-MEDIA:'));
+    const variants = lines.filter(line => line.startsWith('#EXT-X-STREAM-INF:'));
+
+    expect(media).toHaveLength(2);
+    expect(media[1]).toBe('#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="हिन्दी",LANGUAGE="hi",DEFAULT=NO,AUTOSELECT=YES,URI="subs/hi.m3u8"');
+    expect(lines.indexOf(media[1])).toBeLessThan(lines.indexOf(variants[0]));
+    variants.forEach(line => expect(line.match(/SUBTITLES="subs"/g)).toHaveLength(1));
+    expect(lines).toContain('720p/playlist.m3u8');
+
+    // Removing every track restores the original ladder
+    expect(setMediaGroup(twice, group, [])).toBe(MASTER);
+  });
+});
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Comment from '../../models/Comment.js';
+import Video from '../../models/Video.js';
+import {
+  addComment,
+  toggleCommentLike,
+  togglePinComment
+} from '../../controllers/video/videoCommentController.js';
+
+/**
+ * 💬 COMMENT THREADS REGRESSION TEST
+ *
+ * Likes are toggled with conditional updates so counters cannot drift,
+ * replies to replies stay in one thread, a video has one pinned comment
+ * and soft delete only decrements the parent thread once.
+ */
+
+const id = () => new mongoose.Types.ObjectId();
+const videoId = id();
+const creatorId = id();
+const viewerId = id();
+
+const lean = (value) => ({ select: () => ({ lean: async () => value }), lean: async () => value });
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('💬 Comments: Likes, threads, pinning and soft delete', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('likes and unlikes only apply when likedBy agrees with the direction', async () => {
+    const commentId = id();
+    const update = jest.spyOn(Comment, 'findOneAndUpdate')
+      .mockReturnValueOnce(lean({ likes: 4 }))
+      .mockReturnValueOnce(lean(null))
+      .mockReturnValueOnce(lean({ likes: 3 }));
+
+    await expect(Comment.toggleLike(commentId, viewerId)).resolves.toEqual({ liked: true, likes: 4 });
+    expect(update.mock.calls[0][0]).toEqual({ _id: commentId, likedBy: { $ne: viewerId } });
+    expect(update.mock.calls[0][1]).toEqual({ $addToSet: { likedBy: viewerId }, $inc: { likes: 1 } });
+
+    // Already liked: the guarded like matches nothing, the guarded unlike applies
+    await expect(Comment.toggleLike(commentId, viewerId)).resolves.toEqual({ liked: false, likes: 3 });
+    expect(update.mock.calls[2][0]).toEqual({ _id: commentId, likedBy: viewerId });
+    expect(update.mock.calls[2][1]).toEqual({ $pull: { likedBy: viewerId }, $inc: { likes: -1 } });
+  });
+
+  test('liking with a malformed video id is a 400, not a CastError', async () => {
+    const findOne = jest.spyOn(Comment, 'findOne');
+    const res = mockRes();
+
+    await toggleCommentLike({ params: { id: 'not-an-id', commentId: id().toString() }, user: { _id: viewerId } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('a reply to a reply joins the top-level thread and mentions its author', async () => {
+    const topId = id();
+    const replyId = id();
+    const replyAuthor = id();
+
+    jest.spyOn(Video, 'findById').mockReturnValue(lean({ _id: videoId, uploader: creatorId }));
+    jest.spyOn(Comment, 'findOne').mockReturnValue(lean({ _id: replyId, parentComment: topId, user: replyAuthor }));
+    const create = jest.spyOn(Comment, 'create').mockImplementation(async (doc) => ({ _id: id(), ...doc }));
+    jest.spyOn(Video, 'updateOne').mockResolvedValue({});
+    const bumpReplies = jest.spyOn(Comment, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Comment, 'findById').mockImplementation(() => ({
+      populate() { return this; },
+      lean: async () => ({ ...create.mock.calls[0][0], _id: id(), user: { _id: viewerId, name: 'Viewer' } })
+    }));
+
+    const res = mockRes();
+    await addComment({
+      params: { id: videoId.toString() },
+      body: { content: ' nice ', parentCommentId: replyId.toString() },
+      user: { _id: viewerId }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      parentComment: topId,
+      replyToUser: replyAuthor,
+      content: 'nice'
+    }));
+    expect(bumpReplies).toHaveBeenCalledWith({ _id: topId }, { $inc: { replyCount: 1 } });
+  });
+
+  test('pinning unpins the previous comment; replies cannot be pinned', async () => {
+    const commentId = id();
+    jest.spyOn(Video, 'findById').mockReturnValue(lean({ _id: videoId, uploader: creatorId }));
+    const findOne = jest.spyOn(Comment, 'findOne').mockReturnValue(lean({ _id: commentId, isPinned: false, parentComment: null }));
+    const unpinAll = jest.spyOn(Comment, 'updateMany').mockResolvedValue({});
+    const pin = jest.spyOn(Comment, 'updateOne').mockResolvedValue({});
+    const req = { params: { id: videoId.toString(), commentId: commentId.toString() }, user: { _id: creatorId } };
+
+    let res = mockRes();
+    await togglePinComment(req, res);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ isPinned: true }));
+    expect(unpinAll).toHaveBeenCalledWith(
+      { targetType: 'video', targetId: videoId, isPinned: true },
+      { $set: { isPinned: false }, $unset: { pinnedAt: 1 } }
+    );
+    expect(pin.mock.calls[0][1].$set.isPinned).toBe(true);
+
+    findOne.mockReturnValue(lean({ _id: commentId, parentComment: id() }));
+    res = mockRes();
+    await togglePinComment(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res = mockRes();
+    await togglePinComment({ ...req, user: { _id: viewerId } }, res);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('soft delete blanks the comment and decrements the thread only once', async () => {
+    const parentComment = id();
+    const comment = { _id: id(), parentComment };
+    const update = jest.spyOn(Comment, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(Comment.softDelete(comment, viewerId)).resolves.toBe(true);
+    expect(update.mock.calls[0][0]).toEqual({ _id: comment._id, isDeleted: false });
+    expect(update.mock.calls[0][1].$set).toEqual(expect.objectContaining({ isDeleted: true, isPinned: false, content: '[deleted]' }));
+    expect(update.mock.calls[1]).toEqual([{ _id: parentComment, replyCount: { $gt: 0 } }, { $inc: { replyCount: -1 } }]);
+
+    await expect(Comment.softDelete(comment, viewerId)).resolves.toBe(false);
+    expect(update).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,30 @@
+import { redactPaymentDetails } from '../../services/accountServices/dataExportService.js';
+
+/**
+ * 🔒 DATA EXPORT REDACTION REGRESSION TEST
+ *
+ * The export hands users their own payment details, but never a full card
+ * number or CVV (a stolen export must not be a stolen card).
+ */
+
+describe('🔒 Account: Data export redaction', () => {
+  test('masks the card number and drops the CVV', () => {
+    const redacted = redactPaymentDetails({
+      upiId: 'creator@upi',
+      cardDetails: { cardNumber: '4111 1111 1111 1234', cvv: '123', expiryDate: '12/29', cardholderName: 'A Creator' }
+    });
+
+    expect(redacted.upiId).toBe('creator@upi');
+    expect(redacted.cardDetails).toEqual({
+      cardNumber: '**** **** **** 1234',
+      expiryDate: '12/29',
+      cardholderName: 'A Creator'
+    });
+    expect(JSON.stringify(redacted)).not.toContain('4111');
+  });
+
+  test('leaves details without a card untouched', () => {
+    expect(redactPaymentDetails({ paypalEmail: 'a@b.c' })).toEqual({ paypalEmail: 'a@b.c' });
+    expect(redactPaymentDetails(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,58 @@
+import { mergeCuesForSpeech, fitPhrase, mixInto } from '../../services/videoProcessing/steps/dubbing/dubTimeline.js';
+import { setMediaGroup } from '../../services/uploadServices/hlsManifest.js';
+
+/**
+ * 🎙️ DUBBING TIMELINE REGRESSION TEST
+ *
+ * Dubbed phrases follow the original speaker: cues of one sentence are spoken
+ * together, long translations are sped up only as far as MAX_TEMPO and never
+ * run over the next phrase, and the dub is an alternative to the muxed audio.
+ */
+
+describe('🎙️ Dubbing: Timeline', () => {
+  test('cues of one sentence are merged, sentence ends and pauses split phrases', () => {
+    const phrases = mergeCuesForSpeech([
+      { start: 0, end: 2, text: 'This sentence is split' },
+      { start: 2.1, end: 4, text: 'across two cues.' },
+      { start: 4.1, end: 5, text: 'New sentence' },
+      { start: 7, end: 8, text: 'after a pause' }
+    ], { maxGap: 0.3, maxChars: 250 });
+
+    expect(phrases).toEqual([
+      { start: 0, end: 4, text: 'This sentence is split across two cues.' },
+      { start: 4.1, end: 5, text: 'New sentence' },
+      { start: 7, end: 8, text: 'after a pause' }
+    ]);
+  });
+
+  test('phrases use the following silence before being sped up, and are capped', () => {
+    // Fits into the pause before the next phrase: no speed-up
+    expect(fitPhrase({ start: 0, end: 2 }, 3, 2.8, { maxTempo: 1.6 })).toEqual({ tempo: 1, maxSeconds: 3 });
+    // 4.5s of speech for a 3s slot: 1.5x
+    expect(fitPhrase({ start: 0, end: 2 }, 3, 4.5, { maxTempo: 1.6 })).toEqual({ tempo: 1.5, maxSeconds: 3 });
+    // Far too long: capped at MAX_TEMPO and cut at the next phrase
+    expect(fitPhrase({ start: 10, end: 11 }, 12, 6, { maxTempo: 1.6 })).toEqual({ tempo: 1.6, maxSeconds: 2 });
+    // Last phrase may run to the end of the video
+    expect(fitPhrase({ start: 10, end: 11 }, null, 3, { totalDuration: 14 }).tempo).toBe(1);
+  });
+
+  test('clips are mixed at their offset without overflowing', () => {
+    const timeline = new Int16Array(6);
+    timeline[3] = 30000;
+    mixInto(timeline, Int16Array.from([100, 5000, -200, 7]), 2);
+
+    expect(Array.from(timeline)).toEqual([0, 0, 100, 32767, -200, 7]);
+  });
+
+  test('the original audio stays the default rendition next to the dubs', () => {
+    const master = '#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-STREAM-INF:BANDWIDTH=400000,RESOLUTION=426x240\n240p/playlist.m3u8\n';
+    const updated = setMediaGroup(master, { type: 'AUDIO', groupId: 'aud' }, [
+      { name: 'Original', language: 'en', isDefault: true },
+      { name: 'हिन्दी', language: 'hi', uri: 'dub/hi/playlist.m3u8' }
+    ]);
+
+    expect(updated).toContain('#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Original",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES\n');
+    expect(updated).toContain('URI="dub/hi/playlist.m3u8"');
+    expect(updated).toContain('#EXT-X-STREAM-INF:BANDWIDTH=400000,RESOLUTION=426x240,AUDIO="aud"');
+  });
+});
@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Video from '../../models/Video.js';
+import User from '../../models/User.js';
+import Follower from '../../models/Follower.js';
+import feedQueueService from '../../services/yugFeedServices/feedQueueService.js';
+import { PUSH_TO_LISTS_SCRIPT, REPLACE_LIST_SCRIPT } from '../../services/caching/redisService.js';
+import { useMemoryRedis, resetRedis } from './support/memoryUpstash.js';
+
+/**
+ * 👥 FOLLOWING FEED REGRESSION TEST
+ *
+ * Uploads of small creators are fanned out into follower inboxes, big creators
+ * are read on demand, and an inbox is only marked seeded once the list write
+ * went through the real Redis wrapper.
+ */
+
+// The Lua scripts, applied to the in-memory store command by command
+const scripts = {
+  [PUSH_TO_LISTS_SCRIPT]: ({ handlers }, keys, [value, maxItems, ttl]) => {
+    keys.forEach(key => {
+      handlers.lpush(key, value);
+      handlers.ltrim(key, 0, Number(maxItems) - 1);
+      if (Number(ttl) > 0) handlers.expire(key, ttl);
+    });
+    return keys.length;
+  },
+  [REPLACE_LIST_SCRIPT]: ({ handlers }, [key], [ttl, ...values]) => {
+    handlers.del(key);
+    if (values.length > 0) {
+      handlers.rpush(key, ...values);
+      if (Number(ttl) > 0) handlers.expire(key, ttl);
+    }
+    return values.length;
+  }
+};
+
+const id = () => new mongoose.Types.ObjectId();
+const viewer = id();
+const smallCreator = id();
+const bigCreator = id();
+
+// Chainable stand-in for a mongoose query resolving to `value`
+const query = (value) => {
+  const chain = { lean: async () => value };
+  ['select', 'sort', 'limit', 'populate'].forEach(method => { chain[method] = () => chain; });
+  return chain;
+};
+
+const video = (uploader, minutesAgo) => ({
+  _id: id(),
+  uploader,
+  uploadedAt: new Date(Date.UTC(2026, 2, 2, 12) - minutesAgo * 60 * 1000),
+  processingStatus: 'completed',
+  visibility: 'public'
+});
+
+describe('👥 Feed: Following inboxes and fan-out', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetRedis();
+  });
+
+  test('a new upload lands at the head of each follower inbox, capped and expiring', async () => {
+    const memory = useMemoryRedis({ scripts });
+    const upload = video(smallCreator, 0);
+    const inboxKey = feedQueueService.getFollowingInboxKey(viewer);
+    memory.handlers.rpush(inboxKey, ...Array.from({ length: feedQueueService.FOLLOWING_INBOX_SIZE }, (_, i) => `${i}:${id()}`));
+
+    jest.spyOn(Video, 'findById').mockReturnValue(query(upload));
+    jest.spyOn(User, 'findById').mockReturnValue(query({ followerCount: 2 }));
+    jest.spyOn(Follower, 'find').mockReturnValue(query([{ follower: viewer }, { follower: id() }]));
+
+    await expect(feedQueueService.fanOutToFollowers(upload._id)).resolves.toBe(2);
+
+    const inbox = memory.list(inboxKey);
+    expect(inbox[0]).toBe(feedQueueService.encodeInboxEntry(upload));
+    expect(inbox).toHaveLength(feedQueueService.FOLLOWING_INBOX_SIZE);
+    expect(memory.ttl(inboxKey)).toBe(feedQueueService.FOLLOWING_INBOX_TTL);
+  });
+
+  test('the inbox is seeded once from MongoDB, then read from Redis', async () => {
+    const memory = useMemoryRedis({ scripts });
+    const uploads = [video(smallCreator, 1), video(smallCreator, 5)];
+    const find = jest.spyOn(Video, 'find').mockReturnValue(query(uploads));
+
+    const seeded = await feedQueueService.readFollowingInbox(viewer, [smallCreator]);
+    expect(seeded.map(entry => entry.id)).toEqual(uploads.map(v => v._id.toString()));
+    expect(memory.get(feedQueueService.getFollowingSeededKey(viewer))).toBe('true');
+
+    const cached = await feedQueueService.readFollowingInbox(viewer, [smallCreator]);
+    expect(cached).toEqual(seeded);
+    expect(find).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failed list write leaves the inbox unseeded and counts no fan-out', async () => {
+    const memory = useMemoryRedis(); // No scripts: EVAL errors
+    const upload = video(smallCreator, 1);
+    jest.spyOn(Video, 'find').mockReturnValue(query([upload]));
+    jest.spyOn(Video, 'findById').mockReturnValue(query(upload));
+    jest.spyOn(User, 'findById').mockReturnValue(query({ followerCount: 1 }));
+    jest.spyOn(Follower, 'find').mockReturnValue(query([{ follower: viewer }]));
+
+    const entries = await feedQueueService.readFollowingInbox(viewer, [smallCreator]);
+    expect(entries.map(entry => entry.id)).toEqual([upload._id.toString()]);
+    expect(memory.get(feedQueueService.getFollowingSeededKey(viewer))).toBeNull();
+
+    await expect(feedQueueService.fanOutToFollowers(upload._id)).resolves.toBe(0);
+  });
+
+  test('inbox and on-demand creators merge newest first and page by cursor', async () => {
+    useMemoryRedis({ scripts });
+    const small = [video(smallCreator, 1), video(smallCreator, 30)];
+    const big = [video(bigCreator, 10), video(bigCreator, 40)];
+    const all = [...small, ...big];
+
+    jest.spyOn(Follower, 'find').mockReturnValue(query([{ following: smallCreator }, { following: bigCreator }]));
+    jest.spyOn(User, 'find').mockReturnValue(query([
+      { _id: smallCreator, followerCount: 10 },
+      { _id: bigCreator, followerCount: feedQueueService.FANOUT_FOLLOWER_LIMIT + 1 }
+    ]));
+    jest.spyOn(Video, 'find').mockImplementation((filter) => {
+      if (filter._id) return query(all.filter(v => filter._id.$in.includes(v._id.toString())));
+      const creators = filter.uploader.$in.map(String);
+      return query(all.filter(v => creators.includes(v.uploader.toString())));
+    });
+
+    const first = await feedQueueService.getFollowingFeed(viewer, { limit: 3 });
+    expect(first.videos.map(v => v._id)).toEqual([small[0]._id, big[0]._id, small[1]._id]);
+    expect(first.hasMore).toBe(true);
+
+    const cursor = feedQueueService.decodeFollowingCursor(first.nextCursor);
+    expect(cursor).toEqual({ t: small[1].uploadedAt.getTime(), id: small[1]._id.toString() });
+  });
+});
@@ -0,0 +1,45 @@
+import { extractHashtags, normalizeTag } from '../../utils/hashtags.js';
+import { scoreTrending } from '../../services/tagServices/tagService.js';
+import { TAG_CONFIG } from '../../constants/index.js';
+
+/**
+ * #️⃣ HASHTAGS REGRESSION TEST
+ *
+ * Hashtags are parsed from descriptions in any script (Devanagari vowel signs
+ * included), never from inside words, URLs or HTML entities, and trending
+ * ranks tags by velocity against their own baseline, not raw size.
+ */
+
+describe('#️⃣ Tags: Hashtag parsing and trending', () => {
+  test('hashtags are normalized, unique and in order of first appearance', () => {
+    expect(extractHashtags('New #Comedy video! #comedy #Funny_Clips #comedy')).toEqual(['comedy', 'funny_clips']);
+    expect(extractHashtags('#होली की शुभकामनाएं #भारत')).toEqual(['होली', 'भारत']);
+    // Full-width "＃" and letters fold to ASCII under NFKC
+    expect(extractHashtags('＃ＤＡＮＣＥ')).toEqual(['dance']);
+  });
+
+  test('tags inside words, entities and URL fragments are ignored, as are numbers', () => {
+    expect(extractHashtags('email me at a#b or see https://x.com/page#section')).toEqual([]);
+    expect(extractHashtags('&#35;notatag and ##double')).toEqual([]);
+    expect(extractHashtags('#1 hit of #2024 #a')).toEqual([]);
+    expect(extractHashtags(null)).toEqual([]);
+  });
+
+  test('long tags are rejected and a description yields at most the configured number', () => {
+    expect(normalizeTag('#' + 'a'.repeat(TAG_CONFIG.MAX_TAG_LENGTH))).toBe('a'.repeat(TAG_CONFIG.MAX_TAG_LENGTH));
+    expect(normalizeTag('a'.repeat(TAG_CONFIG.MAX_TAG_LENGTH + 1))).toBeNull();
+    expect(normalizeTag('two words')).toBeNull();
+
+    const many = Array.from({ length: TAG_CONFIG.MAX_HASHTAGS_PER_VIDEO + 10 }, (_, i) => `#tag${i}`).join(' ');
+    expect(extractHashtags(many)).toHaveLength(TAG_CONFIG.MAX_HASHTAGS_PER_VIDEO);
+  });
+
+  test('a small tag doubling its volume outranks a big tag at its usual pace', () => {
+    const rising = scoreTrending({ uploads24h: 20, views24h: 4000, baselineUploads: 10, baselineViews: 2000 });
+    const steady = scoreTrending({ uploads24h: 500, views24h: 100000, baselineUploads: 500, baselineViews: 100000 });
+
+    expect(rising).toBeGreaterThan(steady);
+    // Too little activity never trends, however fast it grows
+    expect(scoreTrending({ uploads24h: 2, views24h: 10, baselineUploads: 0, baselineViews: 0 })).toBe(0);
+  });
+});
@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import hlsEncodingService from '../../services/uploadServices/hlsEncodingService.js';
+
+/**
+ * 📶 HLS LADDER REGRESSION TEST
+ *
+ * The ladder never upscales and keeps the source aspect ratio, and the master
+ * playlist advertises measured peak/average bitrates, lowest rung first.
+ */
+
+const writeRung = (dir, name, segments) => {
+  const rungDir = path.join(dir, name);
+  fs.mkdirSync(rungDir, { recursive: true });
+  const lines = ['#EXTM3U', '#EXT-X-TARGETDURATION:2'];
+  segments.forEach(([duration, bytes], i) => {
+    fs.writeFileSync(path.join(rungDir, `segment_${i}.ts`), Buffer.alloc(bytes));
+    lines.push(`#EXTINF:${duration},`, `segment_${i}.ts`);
+  });
+  lines.push('#EXT-X-ENDLIST');
+  fs.writeFileSync(path.join(rungDir, 'playlist.m3u8'), lines.join('\n'));
+};
+
+describe('📶 HLS: Adaptive ladder and master playlist', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-ladder-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('portrait sources get every rung up to their short edge, in their own aspect ratio', () => {
+    const ladder = hlsEncodingService.buildLadder({ width: 720, height: 1280 });
+
+    expect(ladder.map(rung => rung.name)).toEqual(['240p', '360p', '480p', '720p']);
+    expect(ladder.map(rung => `${rung.width}x${rung.height}`)).toEqual(['240x426', '360x640', '480x854', '720x1280']);
+    expect(ladder.every(rung => rung.width % 2 === 0 && rung.height % 2 === 0)).toBe(true);
+  });
+
+  test('tiny sources still get the bottom rung, never upscaled', () => {
+    const [only, ...rest] = hlsEncodingService.buildLadder({ width: 320, height: 180 });
+
+    expect(rest).toEqual([]);
+    expect(only).toMatchObject({ name: '240p', width: 320, height: 180 });
+  });
+
+  test('master playlist lists measured bandwidths, lowest rung first', async () => {
+    jest.spyOn(hlsEncodingService, 'probeCodecs').mockResolvedValue(null);
+    // 1s segments: 50 KB and 25 KB -> peak 400 kbps, average 300 kbps
+    writeRung(workDir, '360p', [[1, 50000], [1, 25000]]);
+    writeRung(workDir, '240p', [[1, 20000], [2, 20000]]);
+
+    const [high, low] = await Promise.all([
+      hlsEncodingService.describeVariant(workDir, { name: '360p', width: 360, height: 640, level: '3.0', qualityField: 'preload' }, 'h264'),
+      hlsEncodingService.describeVariant(workDir, { name: '240p', width: 240, height: 426, level: '3.0' }, 'h264')
+    ]);
+
+    expect(high).toMatchObject({ bandwidth: 400000, averageBandwidth: 300000, segments: 2, size: 75000, qualityField: 'preload' });
+    expect(high.codecs).toBe('avc1.64001e,mp4a.40.2');
+
+    const master = fs.readFileSync(hlsEncodingService.writeMasterPlaylist(workDir, [high, low]), 'utf8').split('\n');
+    expect(master.slice(0, 3)).toEqual(['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS']);
+    expect(master[3]).toBe('#EXT-X-STREAM-INF:BANDWIDTH=160000,AVERAGE-BANDWIDTH=106667,RESOLUTION=240x426,CODECS="avc1.64001e,mp4a.40.2"');
+    expect(master[4]).toBe('240p/playlist.m3u8');
+    expect(master[6]).toBe('360p/playlist.m3u8');
+  });
+});
@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Video from '../../models/Video.js';
+import moderationService, { evaluateModeration } from '../../services/moderationServices/moderationService.js';
+import moderationReviewService from '../../services/moderationServices/moderationReviewService.js';
+import ModerationStep from '../../services/videoProcessing/steps/ModerationStep.js';
+
+/**
+ * 🛡️ MODERATION THRESHOLD REGRESSION TEST
+ *
+ * Frames and text have their own thresholds: below REVIEW a video passes,
+ * from REVIEW it is queued for a human, from HOLD it is also hidden.
+ * A fresh upload stays 'moderating' (hidden) until its scan is recorded.
+ */
+
+const thresholds = {
+  IMAGE_REVIEW_THRESHOLD: 0.6,
+  IMAGE_HOLD_THRESHOLD: 0.85,
+  TEXT_REVIEW_THRESHOLD: 0.7,
+  TEXT_HOLD_THRESHOLD: 0.9
+};
+
+describe('🛡️ Moderation: Verdicts', () => {
+  test('clean or low scores pass', () => {
+    expect(evaluateModeration([], thresholds)).toMatchObject({ action: 'allow', isFlagged: false, label: 'normal' });
+    expect(evaluateModeration([{ source: 'frame', label: 'nsfw', score: 0.59 }], thresholds).action).toBe('allow');
+  });
+
+  test('text and frames are judged against their own thresholds', () => {
+    expect(evaluateModeration([{ source: 'title', label: 'toxic', score: 0.65 }], thresholds).action).toBe('allow');
+    expect(evaluateModeration([{ source: 'frame', label: 'nsfw', score: 0.65 }], thresholds).action).toBe('review');
+    expect(evaluateModeration([{ source: 'description', label: 'threat', score: 0.9 }], thresholds).action).toBe('hold');
+  });
+
+  test('the strictest action wins over a higher score with a milder action', () => {
+    const verdict = evaluateModeration([
+      { source: 'title', label: 'insult', score: 0.88 },
+      { source: 'frame', label: 'porn', score: 0.86 }
+    ], thresholds);
+
+    expect(verdict).toMatchObject({ action: 'hold', isFlagged: true, label: 'porn', source: 'frame', confidence: 0.86 });
+  });
+});
+
+describe('🛡️ Moderation: Upload gate', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const runStep = async (verdict) => {
+    const videoId = new mongoose.Types.ObjectId();
+    jest.spyOn(Video, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ videoName: 'clip' }) }) });
+    jest.spyOn(moderationService, 'moderateVideo').mockResolvedValue({ signals: [] });
+    jest.spyOn(moderationReviewService, 'recordScan').mockResolvedValue(verdict);
+    const update = jest.spyOn(Video, 'updateOne').mockResolvedValue({});
+
+    const context = { videoId, localRawPath: '/tmp/raw.mp4' };
+    await new ModerationStep().execute(context);
+    return { videoId, update, context };
+  };
+
+  test('a passing scan releases the upload, a hold flags it', async () => {
+    const passed = await runStep({ action: 'allow', reviewStatus: 'none', held: false });
+    expect(passed.update).toHaveBeenCalledWith(
+      { _id: passed.videoId, processingStatus: 'moderating' },
+      { $set: { processingStatus: 'completed' } }
+    );
+
+    const held = await runStep({ action: 'hold', reviewStatus: 'pending', held: true });
+    expect(held.context.moderation).toMatchObject({ held: true });
+    expect(held.update).toHaveBeenCalledWith(
+      { _id: held.videoId, processingStatus: 'moderating' },
+      { $set: { processingStatus: 'flagged' } }
+    );
+  });
+});
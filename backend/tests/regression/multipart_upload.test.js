@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import UploadSession from '../../models/UploadSession.js';
+import cloudflareR2Service from '../../services/uploadServices/cloudflareR2Service.js';
+import multipartUploadService, {
+  planParts,
+  expectedPartSize,
+  checkUploadedParts
+} from '../../services/uploadServices/multipartUploadService.js';
+import { UPLOAD_CONFIG } from '../../constants/index.js';
+
+/**
+ * 📦 MULTIPART UPLOAD REGRESSION TEST
+ *
+ * Part layout, per-part size enforcement and the resume/complete checks,
+ * with R2 and the session collection stubbed out.
+ */
+
+const MB = 1024 * 1024;
+const { MULTIPART } = UPLOAD_CONFIG;
+
+const buildSession = (overrides = {}) => new UploadSession({
+  userId: 'google-user',
+  key: 'uploads/raw/google-user/1_clip_mp4',
+  uploadId: 'upload-1',
+  fileName: 'clip.mp4',
+  contentType: 'video/mp4',
+  fileSize: 20 * MB + 123,
+  partSize: 8 * MB,
+  partCount: 3,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...overrides
+});
+
+describe('📦 Upload: Resumable multipart sessions', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Part size stays within limits and grows to respect the part cap', () => {
+    expect(planParts(20 * MB + 123)).toEqual({ partSize: MULTIPART.DEFAULT_PART_SIZE, partCount: 3 });
+    expect(planParts(20 * MB, 1 * MB).partSize).toBe(MULTIPART.MIN_PART_SIZE);
+    expect(planParts(700 * MB, 512 * MB).partSize).toBe(MULTIPART.MAX_PART_SIZE);
+
+    const tiny = { ...MULTIPART, MAX_PARTS: 10 };
+    const layout = planParts(100 * MB, null, tiny);
+    expect(layout.partCount).toBeLessThanOrEqual(10);
+    expect(layout.partSize * layout.partCount).toBeGreaterThanOrEqual(100 * MB);
+  });
+
+  test('Only the last part may be short, and every part must be present', () => {
+    const session = { fileSize: 20 * MB + 123, partSize: 8 * MB, partCount: 3 };
+    expect(expectedPartSize(session, 1)).toBe(8 * MB);
+    expect(expectedPartSize(session, 3)).toBe(4 * MB + 123);
+
+    expect(checkUploadedParts(session, [
+      { partNumber: 1, size: 8 * MB },
+      { partNumber: 3, size: 4 * MB + 123 }
+    ])).toEqual({ complete: false, missing: [2], wrongSize: [] });
+
+    expect(checkUploadedParts(session, [
+      { partNumber: 1, size: 8 * MB },
+      { partNumber: 2, size: 5 * MB },
+      { partNumber: 3, size: 4 * MB + 123 }
+    ]).wrongSize).toEqual([2]);
+  });
+
+  test('Signed part URLs carry the exact part length and are batch limited', async () => {
+    const session = buildSession();
+    jest.spyOn(UploadSession, 'findById').mockResolvedValue(session);
+    jest.spyOn(session, 'save').mockResolvedValue(session);
+    const sign = jest.spyOn(cloudflareR2Service, 'generatePresignedUrl').mockImplementation(
+      async (key, type, op, ttl, { partNumber }) => `https://r2.test/${partNumber}`
+    );
+
+    const parts = await multipartUploadService.signParts(session._id.toString(), 'google-user', [3, 1, 3]);
+    expect(parts.map(part => part.partNumber)).toEqual([3, 1]);
+    expect(sign).toHaveBeenCalledWith(session.key, 'video/mp4', 'uploadPart', MULTIPART.PART_URL_TTL_SECONDS,
+      { uploadId: 'upload-1', partNumber: 3, contentLength: 4 * MB + 123 });
+
+    await expect(multipartUploadService.signParts(session._id.toString(), 'google-user', [4]))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(multipartUploadService.signParts(session._id.toString(), 'someone-else', [1]))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('Complete reports missing parts instead of assembling a truncated file', async () => {
+    const session = buildSession();
+    jest.spyOn(UploadSession, 'findById').mockResolvedValue(session);
+    jest.spyOn(session, 'save').mockResolvedValue(session);
+    jest.spyOn(cloudflareR2Service, 'listUploadedParts').mockResolvedValue([
+      { partNumber: 3, size: 4 * MB + 123, etag: '"c"' },
+      { partNumber: 1, size: 8 * MB, etag: '"a"' }
+    ]);
+    const completeUpload = jest.spyOn(cloudflareR2Service, 'completeMultipartUpload')
+      .mockResolvedValue({ key: session.key, url: 'https://cdn.test/clip' });
+
+    await expect(multipartUploadService.complete(session._id.toString(), 'google-user'))
+      .rejects.toMatchObject({ statusCode: 409, details: { missingParts: [2], wrongSizeParts: [] } });
+    expect(completeUpload).not.toHaveBeenCalled();
+
+    cloudflareR2Service.listUploadedParts.mockResolvedValue([
+      { partNumber: 3, size: 4 * MB + 123, etag: '"c"' },
+      { partNumber: 1, size: 8 * MB, etag: '"a"' },
+      { partNumber: 2, size: 8 * MB, etag: '"b"' }
+    ]);
+    const result = await multipartUploadService.complete(session._id.toString(), 'google-user');
+
+    expect(result).toEqual(expect.objectContaining({ key: session.key, size: 20 * MB + 123 }));
+    expect(completeUpload.mock.calls[0][2].map(part => part.partNumber)).toEqual([1, 2, 3]);
+    expect(session.status).toBe('completed');
+  });
+
+  test('Account deletion aborts every open upload under the user prefix, tracked or not', async () => {
+    const list = jest.spyOn(cloudflareR2Service, 'listMultipartUploads').mockResolvedValue([
+      { key: 'uploads/raw/google-user/1_clip_mp4', uploadId: 'upload-1' },
+      { key: 'uploads/raw/google-user/2_orphan_mp4', uploadId: 'upload-2' }
+    ]);
+    const abort = jest.spyOn(cloudflareR2Service, 'abortMultipartUpload')
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(false); // Already gone
+    const dropSessions = jest.spyOn(UploadSession, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    await expect(multipartUploadService.abortAllForUser('google-user')).resolves.toBe(1);
+    expect(list).toHaveBeenCalledWith('uploads/raw/google-user/');
+    expect(abort).toHaveBeenCalledWith('uploads/raw/google-user/2_orphan_mp4', 'upload-2');
+    expect(dropSessions).toHaveBeenCalledWith({ userId: 'google-user' });
+  });
+});
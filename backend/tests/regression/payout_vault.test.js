@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import PayoutDestination from '../../models/PayoutDestination.js';
+import AuditLog from '../../models/AuditLog.js';
+import payoutVaultService, {
+  loadKeyring,
+  sealPayload,
+  openPayload,
+  rewrapDataKey,
+  toVaultEntries
+} from '../../services/payoutServices/payoutVaultService.js';
+import { PAYOUT_VAULT_CONFIG } from '../../constants/index.js';
+
+/**
+ * 🏦 PAYOUT VAULT REGRESSION TEST
+ *
+ * Payout destinations are envelope-encrypted under a rotatable key, cards keep only
+ * their last 4 digits, and every read and write lands in the audit log.
+ */
+
+const userId = new mongoose.Types.ObjectId();
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+describe('🏦 Payouts: Encrypted destination vault', () => {
+  beforeAll(() => {
+    PAYOUT_VAULT_CONFIG.KEYS = { v1: newKey() };
+    PAYOUT_VAULT_CONFIG.ACTIVE_KEY_ID = 'v1';
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Destinations round-trip, are bound to their owner and survive key rotation', () => {
+    const v1 = loadKeyring();
+    const sealed = sealPayload(userId, 'upi', { upiId: 'creator@okbank' }, v1);
+    const record = { userId, method: 'upi', ...sealed };
+
+    expect(sealed.keyId).toBe('v1');
+    expect(JSON.stringify(sealed)).not.toContain('creator@okbank');
+    expect(openPayload(record, v1)).toEqual({ upiId: 'creator@okbank' });
+    expect(() => openPayload({ ...record, userId: new mongoose.Types.ObjectId() }, v1)).toThrow();
+
+    const both = loadKeyring({ KEYS: { v1: PAYOUT_VAULT_CONFIG.KEYS.v1, v2: newKey() }, ACTIVE_KEY_ID: 'v2' });
+    const rotated = { ...record, ...rewrapDataKey(record, both) };
+    expect(rotated.keyId).toBe('v2');
+    expect(rotated.payload).toEqual(record.payload);
+
+    const v2Only = { activeKeyId: 'v2', keys: new Map([['v2', both.keys.get('v2')]]) };
+    expect(openPayload(rotated, v2Only)).toEqual({ upiId: 'creator@okbank' });
+    expect(() => openPayload(record, v2Only)).toThrow('Payout vault key "v1" is not configured');
+  });
+
+  test('Cards keep only last 4, name, expiry and token; masked echoes are ignored', () => {
+    const entries = toVaultEntries({
+      upiId: 'cre***@okbank',
+      paypalEmail: 'creator@example.com',
+      cardDetails: { cardNumber: '4111 1111 1111 1234', cvv: '123', expiryDate: '12/29', cardholderName: 'A Creator' }
+    });
+
+    expect(entries.map(entry => entry.method)).toEqual(['paypal', 'card_payment']);
+    const card = entries[1];
+    expect(card.display).toEqual({ masked: '**** **** **** 1234', last4: '1234', cardholderName: 'A Creator' });
+    expect(card.secret).toEqual({ token: null, expiryDate: '12/29' });
+    expect(JSON.stringify(entries)).not.toMatch(/4111|"123"/);
+  });
+
+  test('Saving stores ciphertext and audits the write and the masked read', async () => {
+    const audit = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    const upsert = jest.spyOn(PayoutDestination, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(PayoutDestination, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ method: 'upi', display: { masked: 'cre***@okbank' } }] })
+    });
+
+    const view = await payoutVaultService.saveDestinations(userId, { upiId: 'creator@okbank' }, {
+      actorType: 'user',
+      actorId: userId.toString(),
+      ipAddress: '10.0.0.1'
+    });
+
+    expect(view).toEqual({ upiId: 'cre***@okbank' });
+    const stored = upsert.mock.calls[0][1].$set;
+    expect(stored).toEqual(expect.objectContaining({ keyId: 'v1', display: { masked: 'cre***@okbank' } }));
+    expect(JSON.stringify(stored)).not.toContain('creator@okbank');
+    expect(audit.mock.calls.map(([entry]) => entry.action)).toEqual(['payout_vault:write', 'payout_vault:view']);
+    expect(audit.mock.calls[0][0]).toEqual(expect.objectContaining({
+      resource: 'payoutDestination',
+      targetId: userId.toString(),
+      ipAddress: '10.0.0.1',
+      metadata: { methods: ['upi'] }
+    }));
+  });
+
+  test('Revealing a destination for a payout is audited', async () => {
+    const audit = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    const sealed = sealPayload(userId, 'wise', { wiseEmail: 'creator@example.com' }, loadKeyring());
+    jest.spyOn(PayoutDestination, 'findOne').mockReturnValue({
+      lean: async () => ({ userId, method: 'wise', display: { masked: 'cre***@example.com' }, ...sealed })
+    });
+
+    const destination = await payoutVaultService.reveal(userId, 'wise', {
+      actorType: 'system',
+      actorId: 'payoutProcessor',
+      metadata: { payoutId: 'payout-1' }
+    });
+
+    expect(destination.wiseEmail).toBe('creator@example.com');
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+      actorId: 'payoutProcessor',
+      action: 'payout_vault:reveal',
+      severity: 'warning',
+      metadata: { method: 'wise', payoutId: 'payout-1' }
+    }));
+  });
+});
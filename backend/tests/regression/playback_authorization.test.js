@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Video from '../../models/Video.js';
+import cloudflareR2Service from '../../services/uploadServices/cloudflareR2Service.js';
+import playbackAuthorizationService, {
+  signPlaybackToken,
+  verifyPlaybackToken,
+  tokenizePlaylist,
+  canView
+} from '../../services/uploadServices/playbackAuthorizationService.js';
+import { PLAYBACK_CONFIG } from '../../constants/index.js';
+import { serializeVideos } from '../../utils/serializers/videoSerializer.js';
+
+/**
+ * 🔐 SIGNED PLAYBACK REGRESSION TEST
+ *
+ * Per-viewer playback tokens for subscriber-only videos, playlist rewriting,
+ * the access re-check that makes subscriber removal take effect at once,
+ * serialized listings that never carry a protected video's CDN URLs, and
+ * protected renditions kept in the private bucket.
+ */
+
+const creatorId = new mongoose.Types.ObjectId();
+const subscriberId = new mongoose.Types.ObjectId();
+const videoId = new mongoose.Types.ObjectId();
+
+const buildVideo = (overrides = {}) => ({
+  _id: videoId,
+  uploader: creatorId,
+  visibility: 'public',
+  isSubscriberOnly: true,
+  allowedSubscribers: [subscriberId],
+  hlsMasterPlaylistUrl: 'hls/creator/clip/master.m3u8',
+  duration: 60,
+  ...overrides
+});
+
+const mockVideo = (video) => jest.spyOn(Video, 'findById').mockReturnValue({
+  select: () => ({ lean: async () => video })
+});
+
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('🔐 Playback: Signed URLs for protected videos', () => {
+  beforeAll(() => {
+    PLAYBACK_CONFIG.SIGNING_SECRET = PLAYBACK_CONFIG.SIGNING_SECRET || 'test-signing-secret';
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Tokens round-trip and reject tampering or expiry', () => {
+    const claims = { v: 'video', s: 'viewer', p: 'hls/a/b/', iat: now(), exp: now() + 60 };
+    const token = signPlaybackToken(claims, 'secret');
+
+    expect(verifyPlaybackToken(token, 'secret')).toEqual(claims);
+    expect(() => verifyPlaybackToken(token, 'other-secret')).toThrow(expect.objectContaining({ statusCode: 401 }));
+
+    const forged = `${Buffer.from(JSON.stringify({ ...claims, p: 'hls/' })).toString('base64url')}.${token.split('.')[1]}`;
+    expect(() => verifyPlaybackToken(forged, 'secret')).toThrow('Invalid playback token');
+
+    const expired = signPlaybackToken({ ...claims, exp: now() - 1 }, 'secret');
+    expect(() => verifyPlaybackToken(expired, 'secret')).toThrow('Playback token expired');
+  });
+
+  test('Only the creator and listed subscribers can view; drafts only the creator', () => {
+    const video = buildVideo();
+    expect(canView(video, subscriberId.toString())).toBe(true);
+    expect(canView(video, creatorId.toString())).toBe(true);
+    expect(canView(video, new mongoose.Types.ObjectId().toString())).toBe(false);
+    expect(canView(video, null)).toBe(false);
+
+    const draft = buildVideo({ isSubscriberOnly: false, visibility: 'draft' });
+    expect(canView(draft, subscriberId.toString())).toBe(false);
+    expect(canView(draft, creatorId.toString())).toBe(true);
+  });
+
+  test('Playlists are rewritten so every URI carries the token', () => {
+    const master = [
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",URI="subs/en.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=800000,SUBTITLES="subs"',
+      '720p/index.m3u8',
+      'https://other.example.com/ad.m3u8'
+    ].join('\n');
+    const media = '#EXTM3U\n#EXTINF:6.0,\nsegment_000.ts\n#EXT-X-ENDLIST';
+
+    const rewrittenMaster = tokenizePlaylist(master, {
+      playlistKey: 'hls/creator/clip/master.m3u8',
+      prefix: 'hls/creator/clip/',
+      token: 'T',
+      playlistBase: '/api/videos/v1/playback',
+      segmentBase: 'https://edge.test/playback'
+    });
+    expect(rewrittenMaster).toContain('URI="/api/videos/v1/playback/subs/en.m3u8?token=T"');
+    expect(rewrittenMaster).toContain('\n/api/videos/v1/playback/720p/index.m3u8?token=T');
+    expect(rewrittenMaster).toContain('\nhttps://other.example.com/ad.m3u8');
+
+    const rewrittenMedia = tokenizePlaylist(media, {
+      playlistKey: 'hls/creator/clip/720p/index.m3u8',
+      prefix: 'hls/creator/clip/',
+      token: 'T',
+      playlistBase: '/api/videos/v1/playback',
+      segmentBase: 'https://edge.test/playback'
+    });
+    expect(rewrittenMedia).toContain('\nhttps://edge.test/playback/hls/creator/clip/720p/segment_000.ts?token=T');
+  });
+
+  test('Removing a subscriber revokes playback on the next request', async () => {
+    const video = buildVideo();
+    mockVideo(video);
+    jest.spyOn(cloudflareR2Service, 'getObjectText').mockResolvedValue('#EXTM3U\n720p/index.m3u8');
+
+    const { token, playbackUrl } = playbackAuthorizationService.issue(video, subscriberId, 'https://api.test');
+    expect(playbackUrl).toBe(`https://api.test/api/videos/${videoId}/playback/master.m3u8?token=${encodeURIComponent(token)}`);
+
+    const served = await playbackAuthorizationService.resolve(videoId.toString(), 'master.m3u8', token);
+    expect(served.playlist).toMatch(new RegExp(`^#EXTM3U\\n/api/videos/${videoId}/playback/720p/index.m3u8\\?token=`));
+
+    await expect(playbackAuthorizationService.resolve(videoId.toString(), '../other/master.m3u8', token))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    video.allowedSubscribers = [];
+    await expect(playbackAuthorizationService.resolve(videoId.toString(), 'master.m3u8', token))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Access to this video has been revoked' });
+  });
+
+  test('Serialized protected videos only carry a signed URL; public ones keep the CDN', () => {
+    const [protectedVideo, publicVideo] = serializeVideos([
+      buildVideo({ lowQualityUrl: 'hls/creator/clip/480p/index.m3u8', hlsPlaylistUrl: 'hls/creator/clip/master.m3u8' }),
+      buildVideo({ _id: new mongoose.Types.ObjectId(), isSubscriberOnly: false, hlsMasterPlaylistUrl: 'hls/creator/open/master.m3u8' })
+    ]);
+    const publicUrl = publicVideo.hlsMasterPlaylistUrl;
+
+    expect(playbackAuthorizationService.signSerialized([protectedVideo, publicVideo], subscriberId.toString(), 'https://api.test')).toBe(true);
+
+    const signed = `https://api.test/api/videos/${videoId}/playback/master.m3u8?token=`;
+    expect(protectedVideo.videoUrl.startsWith(signed)).toBe(true);
+    expect(protectedVideo.hlsPlaylistUrl).toBe(protectedVideo.videoUrl);
+    expect(protectedVideo.hlsMasterPlaylistUrl).toBe(protectedVideo.videoUrl);
+    expect(protectedVideo.lowQualityUrl).toBe('');
+    expect(protectedVideo.playbackExpiresAt).toBeInstanceOf(Date);
+    expect(JSON.stringify(protectedVideo)).not.toContain('hls/creator/clip/');
+
+    expect(publicVideo.hlsMasterPlaylistUrl).toBe(publicUrl);
+    expect(publicVideo.playbackExpiresAt).toBeUndefined();
+
+    // Without a viewer to sign for, a protected video gets no playable URL at all
+    const [draft] = serializeVideos([buildVideo({ isSubscriberOnly: false, visibility: 'draft' })]);
+    playbackAuthorizationService.signSerialized([draft], null, 'https://api.test');
+    expect(draft.videoUrl).toBe('');
+  });
+
+  test('Protected renditions live in the private bucket and move when visibility changes', async () => {
+    expect(cloudflareR2Service.cacheControlFor('private/hls/creator/clip/720p/segment_000.ts')).toBe('private, no-store');
+    expect(cloudflareR2Service.cacheControlFor('hls/creator/clip/720p/segment_000.ts')).toContain('immutable');
+    expect(cloudflareR2Service.bucketFor('private/hls/creator/clip/master.m3u8')).toBe(cloudflareR2Service.privateBucketName || cloudflareR2Service.bucketName);
+
+    const copy = jest.spyOn(cloudflareR2Service, 'copyObjects').mockResolvedValue(3);
+    const drop = jest.spyOn(cloudflareR2Service, 'deletePrefix').mockResolvedValue(3);
+    const update = jest.spyOn(Video, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const video = buildVideo({
+      hlsPlaylistUrl: 'hls/creator/clip/master.m3u8',
+      hlsVariants: [{ bandwidth: 800000, url: 'hls/creator/clip/720p/index.m3u8' }],
+      captions: [{ code: 'hi', playlistUrl: 'hls/creator/clip/subs/hi.m3u8' }],
+      dubbedUrls: { hi: 'hls/creator/clip/dub/hi/playlist.m3u8' }
+    });
+    mockVideo(video);
+
+    expect(await playbackAuthorizationService.relocateStorage(videoId.toString())).toBe(true);
+    expect(copy).toHaveBeenCalledWith('hls/creator/clip/', 'private/hls/creator/clip/');
+    expect(drop).toHaveBeenCalledWith('hls/creator/clip/');
+    expect(copy.mock.invocationCallOrder[0]).toBeLessThan(update.mock.invocationCallOrder[0]);
+    expect(update.mock.invocationCallOrder[0]).toBeLessThan(drop.mock.invocationCallOrder[0]);
+
+    const { $set } = update.mock.calls[0][1];
+    const keyOf = (url) => cloudflareR2Service.getKeyFromUrl(url);
+    expect(keyOf($set.hlsMasterPlaylistUrl)).toBe('private/hls/creator/clip/master.m3u8');
+    expect(keyOf($set.hlsPlaylistUrl)).toBe('private/hls/creator/clip/master.m3u8');
+    expect(keyOf($set.hlsVariants[0].url)).toBe('private/hls/creator/clip/720p/index.m3u8');
+    expect(keyOf($set.captions[0].playlistUrl)).toBe('private/hls/creator/clip/subs/hi.m3u8');
+    expect(keyOf($set.dubbedUrls.hi)).toBe('private/hls/creator/clip/dub/hi/playlist.m3u8');
+
+    // Already where it belongs: nothing moves
+    copy.mockClear();
+    mockVideo(buildVideo({ hlsMasterPlaylistUrl: 'private/hls/creator/clip/master.m3u8' }));
+    expect(await playbackAuthorizationService.relocateStorage(videoId.toString())).toBe(false);
+    expect(copy).not.toHaveBeenCalled();
+
+    // Made public again: back to the CDN
+    mockVideo(buildVideo({ isSubscriberOnly: false, hlsMasterPlaylistUrl: 'private/hls/creator/clip/master.m3u8' }));
+    expect(await playbackAuthorizationService.relocateStorage(videoId.toString())).toBe(true);
+    expect(copy).toHaveBeenCalledWith('private/hls/creator/clip/', 'hls/creator/clip/');
+  });
+});
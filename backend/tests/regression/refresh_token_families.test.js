@@ -0,0 +1,181 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import RefreshToken from '../../models/RefreshToken.js';
+import User from '../../models/User.js';
+import Notice from '../../models/Notice.js';
+import AuditLog from '../../models/AuditLog.js';
+import sessionSecurityService from '../../services/accountServices/sessionSecurityService.js';
+import { generateJWT, verifyToken } from '../../utils/verifytoken.js';
+import { ACCOUNT_CONFIG } from '../../constants/index.js';
+
+/**
+ * 🧬 REFRESH TOKEN FAMILY REGRESSION TEST
+ *
+ * Rotation keeps a device session's familyId; replaying a token that was already
+ * rotated revokes the whole family and is audited, and the killed session is shown
+ * to the user in GET /api/auth/sessions. A retry with the token that was just
+ * rotated (lost response) rotates again instead, and access tokens stop working
+ * once their family is revoked.
+ */
+
+const userId = new mongoose.Types.ObjectId();
+
+const rotatedQuery = (doc) => ({ populate: async () => doc });
+
+// Minimal Express response for calling middleware directly
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('🧬 Auth: Refresh token families', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Rotation carries the family forward and links the old token to the new one', async () => {
+    const existing = new RefreshToken({
+      userId,
+      tokenHash: 'old-hash',
+      familyId: 'family-1',
+      deviceId: 'pixel-device-1',
+      deviceName: 'Pixel 8',
+      platform: 'android',
+      expiresAt: new Date(Date.now() + 60000)
+    });
+    existing.userId = { _id: userId, googleId: 'google-1' };
+
+    const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue(rotatedQuery(existing));
+    const link = jest.spyOn(RefreshToken, 'updateOne').mockResolvedValue({});
+    const saved = [];
+    jest.spyOn(RefreshToken.prototype, 'save').mockImplementation(async function () { saved.push(this); return this; });
+
+    const result = await RefreshToken.verifyAndRotate('raw-token', { ipAddress: '10.0.0.1' });
+
+    expect(claim.mock.calls[0][0]).toEqual(expect.objectContaining({ tokenHash: RefreshToken.hashToken('raw-token'), isRevoked: false }));
+    expect(claim.mock.calls[0][1].$set).toEqual(expect.objectContaining({ isRevoked: true, revokedReason: 'rotated' }));
+    expect(result.familyId).toBe('family-1');
+    expect(saved[0]).toEqual(expect.objectContaining({ familyId: 'family-1', deviceId: 'pixel-device-1', ipAddress: '10.0.0.1' }));
+    expect(link).toHaveBeenCalledWith({ _id: existing._id }, { $set: { replacedBy: saved[0]._id } });
+  });
+
+  test('Replaying a rotated token revokes every live token in its family', async () => {
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue(rotatedQuery(null));
+    jest.spyOn(RefreshToken, 'findOne').mockReturnValue({
+      select: async () => ({ userId, familyId: 'family-1', revokedReason: 'rotated', deviceName: 'Pixel 8', platform: 'android' })
+    });
+    const revoke = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await RefreshToken.verifyAndRotate('stolen-token');
+
+    expect(result).toEqual(expect.objectContaining({ reuseDetected: true, familyId: 'family-1', revokedCount: 1 }));
+    expect(revoke.mock.calls[0][0]).toEqual({ familyId: 'family-1', isRevoked: false });
+    expect(revoke.mock.calls[0][1].$set).toEqual(expect.objectContaining({ isRevoked: true, revokedReason: 'reuse_detected' }));
+  });
+
+  test('Retrying with the token just rotated rotates the live one instead of killing the family', async () => {
+    const successor = new RefreshToken({
+      userId,
+      tokenHash: 'new-hash',
+      familyId: 'family-3',
+      deviceName: 'Pixel 8',
+      expiresAt: new Date(Date.now() + 60000)
+    });
+    successor.userId = { _id: userId, googleId: 'google-1' };
+    const presented = { userId, familyId: 'family-3', revokedReason: 'rotated', revokedAt: new Date(), replacedBy: successor._id };
+
+    const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate')
+      .mockReturnValueOnce(rotatedQuery(null))
+      .mockReturnValueOnce(rotatedQuery(successor));
+    jest.spyOn(RefreshToken, 'findOne').mockReturnValue({ select: async () => presented });
+    jest.spyOn(RefreshToken, 'updateOne').mockResolvedValue({});
+    jest.spyOn(RefreshToken.prototype, 'save').mockImplementation(async function () { return this; });
+    const revoke = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const retried = await RefreshToken.verifyAndRotate('previous-token');
+    expect(retried).toEqual(expect.objectContaining({ graceRetry: true, familyId: 'family-3', user: successor.userId }));
+    expect(claim.mock.calls[1][0]).toEqual(expect.objectContaining({ _id: successor._id, isRevoked: false }));
+    expect(revoke).not.toHaveBeenCalled();
+
+    // Outside the grace window the same replay is treated as theft
+    presented.revokedAt = new Date(Date.now() - (ACCOUNT_CONFIG.REFRESH_REUSE_GRACE_SECONDS + 1) * 1000);
+    claim.mockReturnValueOnce(rotatedQuery(null));
+    const replayed = await RefreshToken.verifyAndRotate('previous-token');
+    expect(replayed).toEqual(expect.objectContaining({ reuseDetected: true, familyId: 'family-3' }));
+    expect(revoke.mock.calls[0][0]).toEqual({ familyId: 'family-3', isRevoked: false });
+  });
+
+  test('Access tokens of a revoked family are rejected', async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ _id: userId }) }) });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    const lookup = jest.spyOn(RefreshToken, 'exists').mockImplementation(async ({ familyId }) => (familyId === 'family-live' ? { _id: userId } : null));
+
+    const call = async (token) => {
+      const res = mockResponse();
+      const next = jest.fn();
+      await verifyToken({ headers: { authorization: `Bearer ${token}` } }, res, next);
+      return { res, next };
+    };
+
+    const live = await call(generateJWT('google-1', '30d', 'family-live'));
+    expect(live.next).toHaveBeenCalled();
+
+    const revoked = await call(generateJWT('google-1', '30d', 'family-revoked'));
+    expect(revoked.next).not.toHaveBeenCalled();
+    expect(revoked.res.status).toHaveBeenCalledWith(401);
+    expect(revoked.res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+
+    // The answer is cached per family
+    await call(generateJWT('google-1', '30d', 'family-revoked'));
+    expect(lookup).toHaveBeenCalledTimes(2);
+  });
+
+  test('Tokens revoked by logout or unknown tokens are simply rejected', async () => {
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue(rotatedQuery(null));
+    const revoke = jest.spyOn(RefreshToken, 'updateMany');
+
+    jest.spyOn(RefreshToken, 'findOne').mockReturnValue({ select: async () => null });
+    expect(await RefreshToken.verifyAndRotate('unknown-token')).toBeNull();
+
+    RefreshToken.findOne.mockReturnValue({ select: async () => ({ userId, familyId: 'family-2', revokedReason: 'logout' }) });
+    expect(await RefreshToken.verifyAndRotate('logged-out-token')).toBeNull();
+    expect(revoke).not.toHaveBeenCalled();
+  });
+
+  test('Reuse is audited and the killed session shows up in the session overview', async () => {
+    const audit = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ googleId: 'google-1', email: 'owner@example.com', name: 'Owner' }) })
+    });
+    jest.spyOn(Notice, 'create').mockResolvedValue({});
+
+    await sessionSecurityService.handleTokenReuse(
+      { reuseDetected: true, userId, familyId: 'family-1', revokedCount: 1, deviceName: 'Pixel 8', platform: 'android' },
+      { ipAddress: '203.0.113.9' }
+    );
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+      actorId: userId.toString(),
+      action: 'auth:refresh_token_reuse',
+      targetId: 'family-1',
+      severity: 'critical',
+      ipAddress: '203.0.113.9'
+    }));
+
+    const revokedAt = new Date();
+    jest.spyOn(RefreshToken, 'getActiveSessions').mockResolvedValue([]);
+    jest.spyOn(RefreshToken, 'getRevokedSessions').mockResolvedValue([
+      { familyId: 'family-1', deviceName: 'Pixel 8', platform: 'android', revokedAt, revokedReason: 'reuse_detected' }
+    ]);
+    jest.spyOn(AuditLog, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ lean: async () => [
+        { action: 'auth:refresh_token_reuse', metadata: { deviceName: 'Pixel 8', platform: 'android' }, createdAt: revokedAt },
+        { action: 'auth:new_device_login', metadata: { deviceName: 'iPad', platform: 'ios' }, ipAddress: '198.51.100.4', createdAt: revokedAt }
+      ] }) })
+    });
+
+    const overview = await sessionSecurityService.getSessionOverview(userId);
+    expect(overview.revokedSessions).toEqual([expect.objectContaining({ sessionId: 'family-1', reason: 'reuse_detected', revokedAt })]);
+    expect(overview.alerts.map(alert => alert.type)).toEqual(['session_revoked', 'new_device_login']);
+  });
+});
@@ -0,0 +1,46 @@
+import { buildRetentionSample, buildRetentionReport, RETENTION_BIN_COUNT } from '../../utils/analyticsUtils.js';
+
+/**
+ * 📉 RETENTION CURVE REGRESSION TEST
+ *
+ * Watch events become 2% exit bins; the report's curve must start at 100%,
+ * never rise, and end at the completion rate.
+ */
+
+const reportFor = (events, videoDuration = 60) => {
+  const samples = events.map(event => buildRetentionSample(event, { videoDuration }));
+  const exitBins = new Map();
+  samples.forEach(s => exitBins.set(String(s.bin), (exitBins.get(String(s.bin)) || 0) + 1));
+
+  return buildRetentionReport({
+    sessions: samples.length,
+    exitBins,
+    percentViewedSum: samples.reduce((sum, s) => sum + s.fraction, 0),
+    completions: samples.filter(s => s.completed).length,
+    rewatches: samples.filter(s => s.rewatch).length,
+    earlySkips: samples.filter(s => s.earlySkip).length
+  });
+};
+
+describe('📉 Analytics: Per-video retention', () => {
+  test('exit positions map to 2% bins, loops count as completed rewatches', () => {
+    expect(buildRetentionSample({ position: 1 }, { videoDuration: 60 })).toMatchObject({ bin: 0, earlySkip: true });
+    expect(buildRetentionSample({ position: 30 }, { videoDuration: 60 }).bin).toBe(25);
+    expect(buildRetentionSample({ position: 12, loops: 2 }, { videoDuration: 60 })).toMatchObject({
+      bin: RETENTION_BIN_COUNT, completed: true, rewatch: true, earlySkip: false
+    });
+    expect(buildRetentionSample({ position: 10 }, { videoDuration: 0 })).toBeNull();
+  });
+
+  test('curve is monotonic and rates match the sessions', () => {
+    const report = reportFor([{ position: 1 }, { position: 30 }, { completed: true }, { position: 45, loops: 1 }]);
+
+    expect(report.curve[0]).toEqual({ position: 0, retention: 1 });
+    expect(report.curve[report.curve.length - 1]).toEqual({ position: 100, retention: 0.5 });
+    report.curve.slice(1).forEach((point, i) => expect(point.retention).toBeLessThanOrEqual(report.curve[i].retention));
+
+    expect(report.skipWithin3sRate).toBe(0.25);
+    expect(report.rewatchRate).toBe(0.25);
+    expect(report.biggestDrops[0].drop).toBe(0.25);
+  });
+});
@@ -0,0 +1,49 @@
+import { parsePublishOptions, zonedTimeToUtc } from '../../services/uploadServices/videoPublishService.js';
+import { publishedMatch, isPublished } from '../../models/Video.js';
+
+/**
+ * 📅 SCHEDULED PUBLISHING REGRESSION TEST
+ *
+ * A creator's "publish at 6 PM" must mean 6 PM where they are, and drafts and
+ * scheduled videos must stay out of every public listing (legacy videos with
+ * no visibility count as public).
+ */
+
+const NOW = new Date('2026-03-01T00:00:00Z');
+
+describe('📅 Upload: Scheduled publishing', () => {
+  test('wall-clock times are read in the creator timezone, across DST', () => {
+    expect(zonedTimeToUtc('2026-03-02T18:00', 'Asia/Kolkata').toISOString()).toBe('2026-03-02T12:30:00.000Z');
+    expect(zonedTimeToUtc('2026-01-15T09:00', 'America/New_York').toISOString()).toBe('2026-01-15T14:00:00.000Z');
+    expect(zonedTimeToUtc('2026-07-15T09:00', 'America/New_York').toISOString()).toBe('2026-07-15T13:00:00.000Z');
+    expect(zonedTimeToUtc('tomorrow', 'Asia/Kolkata')).toBeNull();
+  });
+
+  test('parses visibility, schedules and rejects bad input', () => {
+    expect(parsePublishOptions({}, NOW)).toBeNull();
+    expect(parsePublishOptions({ visibility: 'draft' }, NOW)).toEqual({ visibility: 'draft', publishAt: null, publishTimezone: null });
+    expect(parsePublishOptions({ publishAt: '2026-03-02T18:00', timezone: 'Asia/Kolkata' }, NOW)).toEqual({
+      visibility: 'scheduled',
+      publishAt: new Date('2026-03-02T12:30:00Z'),
+      publishTimezone: 'Asia/Kolkata'
+    });
+    expect(parsePublishOptions({ visibility: 'scheduled', publishAt: '2026-03-02T18:00:00+05:30' }, NOW).publishAt)
+      .toEqual(new Date('2026-03-02T12:30:00Z'));
+
+    const rejects = (body) => expect(() => parsePublishOptions(body, NOW)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    rejects({ visibility: 'unlisted' });
+    rejects({ visibility: 'scheduled' });
+    rejects({ publishAt: '2026-03-02T18:00' });
+    rejects({ publishAt: '2026-03-02T18:00', timezone: 'Mars/Olympus' });
+    rejects({ publishAt: '2026-02-01T00:00:00Z' });
+    rejects({ publishAt: '2028-03-02T00:00:00Z' });
+  });
+
+  test('published filter keeps legacy and public videos only', () => {
+    expect(publishedMatch()).toEqual({ visibility: { $nin: ['draft', 'scheduled'] } });
+    expect(publishedMatch()).not.toBe(publishedMatch());
+    expect(isPublished({})).toBe(true);
+    expect(isPublished({ visibility: 'public' })).toBe(true);
+    expect(isPublished({ visibility: 'scheduled' })).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import searchHistoryService from '../../services/searchServices/searchHistoryService.js';
+import { SEARCH_CONFIG } from '../../constants/index.js';
+import { useMemoryRedis, resetRedis } from './support/memoryUpstash.js';
+
+/**
+ * 🔎 SEARCH HISTORY REGRESSION TEST
+ *
+ * Recorded searches land in the user's recent list (deduplicated, newest first,
+ * capped) and in the trending / popular sets, through the real Redis wrapper.
+ */
+
+const dayKey = (date) => `search:trending:${date.toISOString().slice(0, 10).replace(/-/g, '')}`;
+
+describe('🔎 Search: Recent, trending and popular queries', () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = useMemoryRedis();
+    searchHistoryService.trendingCache = { at: 0, entries: [] };
+    searchHistoryService.popularCache = { at: 0, entries: [] };
+    // Skip the sampled trim of the all-time set
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetRedis();
+  });
+
+  test('recent searches are normalized, deduplicated, newest first and capped', async () => {
+    await searchHistoryService.recordSearch('Romantic  Gana!', 'user-1');
+    await searchHistoryService.recordSearch('comedy', 'user-1');
+    await searchHistoryService.recordSearch('romantic gana', 'user-1');
+    await searchHistoryService.recordSearch('x', 'user-1'); // Too short to record
+
+    await expect(searchHistoryService.getRecentSearches('user-1')).resolves.toEqual(['romantic gana', 'comedy']);
+    expect(memory.ttl('search:recent:user-1')).toBe(90 * 24 * 60 * 60);
+
+    for (let i = 0; i < SEARCH_CONFIG.RECENT_LIMIT + 5; i++) {
+      await searchHistoryService.recordSearch(`query ${i}`, 'user-1');
+    }
+    const recent = await searchHistoryService.getRecentSearches('user-1');
+    expect(recent).toHaveLength(SEARCH_CONFIG.RECENT_LIMIT);
+    expect(recent[0]).toBe(`query ${SEARCH_CONFIG.RECENT_LIMIT + 4}`);
+
+    await searchHistoryService.removeRecentSearch('user-1', recent[0]);
+    await expect(searchHistoryService.getRecentSearches('user-1')).resolves.not.toContain(recent[0]);
+  });
+
+  test('trending counts today plus half of yesterday; popular feeds autocomplete', async () => {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    memory.handlers.zincrby(dayKey(yesterday), 4, 'cricket');
+
+    await searchHistoryService.recordSearch('Romantic Gana', 'user-1');
+    await searchHistoryService.recordSearch('romantic gana');
+    await searchHistoryService.recordSearch('cricket');
+
+    expect(memory.ttl(dayKey(new Date()))).toBe(3 * 24 * 60 * 60);
+    // Guests still count towards trending but have no recent list
+    expect(memory.list('search:recent:null')).toEqual([]);
+
+    await expect(searchHistoryService.getTrendingSearches()).resolves.toEqual([
+      { query: 'cricket', score: 3 },
+      { query: 'romantic gana', score: 2 }
+    ]);
+    await expect(searchHistoryService.getPopularQueries('Gana')).resolves.toEqual([
+      { query: 'romantic gana', score: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+import LocalIndexSearchProvider from '../../services/searchServices/LocalIndexSearchProvider.js';
+import { tokenize, phoneticKey } from '../../services/searchServices/textAnalysis.js';
+
+/**
+ * 🔎 SEARCH PROVIDER REGRESSION TEST
+ *
+ * Exercises the in-process index directly (no Atlas, no search engine):
+ * Hinglish spelling variants, Devanagari queries, typos and deletions.
+ */
+
+describe('🔎 Search: Local index provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new LocalIndexSearchProvider({ warmFromDatabase: false });
+    provider.addDocument({ id: 'song', videoName: 'प्यार का गाना', tags: 'music', description: '', category: 'Music', keywords: '' });
+    provider.addDocument({ id: 'comedy', videoName: 'Bhai comedy sketch', tags: 'comedy', description: '', category: 'Comedy', keywords: '' });
+    provider.addDocument({ id: 'food', videoName: 'Paneer recipe', tags: 'food', description: 'easy paneer', category: 'Food', keywords: '' });
+  });
+
+  test('Hinglish spelling variants share a phonetic key', () => {
+    expect(phoneticKey('pyaar')).toBe(phoneticKey('pyar'));
+    expect(phoneticKey('bhaai')).toBe(phoneticKey('bhai'));
+    expect(tokenize('गाना')[0].key).toBe(phoneticKey('gana'));
+  });
+
+  test('Latin, Devanagari and misspelled queries find the same video', () => {
+    for (const query of ['pyaar gaana', 'pyar gana', 'गाना']) {
+      expect(provider.rank(query, 5)[0]?.id).toBe('song');
+    }
+    expect(provider.rank('comdey', 5)[0]?.id).toBe('comedy');
+    expect(provider.rank('pan', 5)[0]?.id).toBe('food');
+  });
+
+  test('Removed videos disappear from results', async () => {
+    await provider.removeVideos(['food']);
+    expect(provider.rank('paneer', 5)).toHaveLength(0);
+  });
+});
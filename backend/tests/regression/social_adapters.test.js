@@ -0,0 +1,105 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { planFormat } from '../../services/platforms/mediaFormat.js';
+import { PlatformError, toPlatformError } from '../../services/platforms/platformErrors.js';
+import { createPlatformAdapter } from '../../services/platforms/index.js';
+import platformRateLimiter from '../../services/platforms/platformRateLimiter.js';
+import { useMemoryRedis, resetRedis } from './support/memoryUpstash.js';
+
+/**
+ * 📡 CROSS-POSTING ADAPTER REGRESSION TEST
+ *
+ * Format fitting, error classification and quotas are platform independent;
+ * the fake adapter stands in for the network so none of this needs credentials.
+ */
+
+describe('📡 Social: Platform adapters', () => {
+  test('Landscape video is padded, scaled and trimmed for Reels', () => {
+    const reels = createPlatformAdapter('instagram', 'live').constraints;
+    const plan = planFormat({ duration: 1200, width: 1920, height: 1080, size: 50 * 1048576 }, reels, 'instagram');
+
+    expect(plan.transcode).toBe(true);
+    expect(plan.trimSeconds).toBe(900);
+    expect(plan.canvasWidth / plan.canvasHeight).toBeCloseTo(0.8, 2);
+    expect(Math.max(plan.canvasWidth, plan.canvasHeight)).toBeLessThanOrEqual(1920);
+    expect(plan.width).toBe(plan.canvasWidth); // Padded top and bottom, never cropped
+
+    const vertical = planFormat({ duration: 30, width: 1080, height: 1920, size: 20 * 1048576 }, reels, 'instagram');
+    expect(vertical.transcode).toBe(false);
+
+    expect(() => planFormat({ duration: 1, width: 1080, height: 1920, size: 1 }, reels, 'instagram')).toThrow(PlatformError);
+  });
+
+  test('Platform errors are classified for retry, delay or reconnect', () => {
+    const throttled = toPlatformError({
+      message: 'Request failed',
+      response: { status: 400, headers: { 'x-business-use-case-usage': '{"1":[{"estimated_time_to_regain_access":7}]}' }, data: { error: { code: 80001 } } }
+    }, 'facebook');
+    expect(throttled.rateLimited).toBe(true);
+    expect(throttled.retryAfterMs).toBe(7 * 60 * 1000);
+
+    expect(toPlatformError({ response: { status: 429, headers: { 'retry-after': '30' }, data: {} } }, 'linkedin').retryAfterMs).toBe(30000);
+    expect(toPlatformError({ response: { status: 400, data: { error: { code: 190 } } } }, 'instagram').reconnect).toBe(true);
+    expect(toPlatformError({ response: { status: 503, data: {} } }, 'linkedin').retryable).toBe(true);
+    expect(toPlatformError(new Error('ECONNRESET'), 'linkedin').retryable).toBe(true);
+    expect(toPlatformError({ response: { status: 400, data: { message: 'bad' } } }, 'linkedin').retryable).toBe(false);
+  });
+
+  test('Quota rejects past the limit and reports when the window resets', async () => {
+    const rateLimit = { limit: 2, windowSeconds: 60, scope: 'account' };
+    const account = `acct_${Date.now()}`;
+
+    expect((await platformRateLimiter.reserve('linkedin', account, rateLimit)).allowed).toBe(true);
+    expect((await platformRateLimiter.reserve('linkedin', account, rateLimit)).allowed).toBe(true);
+    const rejected = await platformRateLimiter.reserve('linkedin', account, rateLimit);
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.retryAfterMs).toBeGreaterThan(0);
+    expect(rejected.retryAfterMs).toBeLessThanOrEqual(60000);
+
+    expect((await platformRateLimiter.reserve('linkedin', `${account}_other`, rateLimit)).allowed).toBe(true);
+  });
+
+  test('Quota counters in Redis are shared by every worker and expire with the window', async () => {
+    const memory = useMemoryRedis();
+    try {
+      const rateLimit = { limit: 2, windowSeconds: 60, scope: 'app' };
+      const now = Date.UTC(2026, 2, 2, 12, 0, 30);
+      const key = `social:ratelimit:youtube:app:${Math.floor(now / 60000)}`;
+      // A second worker process: its own in-memory fallback, the same Redis
+      const otherWorker = new platformRateLimiter.constructor();
+
+      expect((await platformRateLimiter.reserve('youtube', 'a', rateLimit, now)).remaining).toBe(1);
+      expect((await otherWorker.reserve('youtube', 'b', rateLimit, now)).remaining).toBe(0);
+      expect((await otherWorker.reserve('youtube', 'c', rateLimit, now)).allowed).toBe(false);
+
+      // The rejected attempt handed its slot back
+      expect(memory.get(key)).toBe('2');
+      expect(memory.ttl(key)).toBe(60);
+      expect(otherWorker.localCounters.size).toBe(0);
+    } finally {
+      resetRedis();
+    }
+  });
+
+  test('Fake adapter mirrors real limits and publishes offline', async () => {
+    const fake = createPlatformAdapter('linkedin', 'fake');
+    expect(fake.constraints).toEqual(createPlatformAdapter('linkedin', 'live').constraints);
+    expect(fake.isConnected(undefined)).toBe(true);
+
+    const filePath = path.join(os.tmpdir(), `social_fake_${Date.now()}.mp4`);
+    fs.writeFileSync(filePath, Buffer.alloc(1024));
+    try {
+      fake.failNext(new PlatformError('linkedin: 503', { platform: 'linkedin', retryable: true }));
+      await expect(fake.publish({ filePath, metadata: {} })).rejects.toThrow('503');
+
+      const progress = [];
+      const result = await fake.publish({ filePath, metadata: { title: 'Hello' }, onProgress: p => progress.push(p) });
+      expect(result.videoId).toBe('fake_linkedin_1');
+      expect(progress.at(-1)).toBe(100);
+      expect(fake.published[0].size).toBe(1024);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+});
@@ -0,0 +1,176 @@
+import { Redis } from '@upstash/redis';
+import redisService from '../../../services/caching/redisService.js';
+
+/**
+ * In-memory stand-in for the Upstash REST endpoint.
+ *
+ * It plugs in below the real @upstash/redis client (as its Requester), so tests
+ * exercise the same client + instrumentation Proxy that connect() builds and
+ * catch helpers that only work against a mock. Only the commands the services
+ * use are implemented; anything else fails loudly like an unknown command would.
+ *
+ * `scripts` maps a Lua script source to a JS implementation (memory, keys, args) => result.
+ */
+export const createMemoryUpstash = ({ scripts = {} } = {}) => {
+  const data = new Map();
+  const ttls = new Map();
+  const commands = [];
+
+  const read = (key, type, fallback) => {
+    const entry = data.get(key);
+    if (!entry) return fallback();
+    if (entry.type !== type) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    return entry.value;
+  };
+  const write = (key, type, value) => data.set(key, { type, value });
+  const list = (key) => read(key, 'list', () => []);
+  const zset = (key) => read(key, 'zset', () => new Map());
+  const set = (key) => read(key, 'set', () => new Set());
+  const range = (items, start, stop) => {
+    const length = items.length;
+    const from = start < 0 ? Math.max(length + start, 0) : start;
+    const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+    return from > to ? [] : items.slice(from, to + 1);
+  };
+  const remove = (key) => {
+    ttls.delete(key);
+    return data.delete(key) ? 1 : 0;
+  };
+
+  const handlers = {
+    ping: () => 'PONG',
+    get: (key) => (data.has(key) ? read(key, 'string') : null),
+    mget: (...keys) => keys.map(key => (data.has(key) ? data.get(key).value : null)),
+    set: (key, value, ...options) => {
+      const flags = options.map(option => String(option).toLowerCase());
+      if (flags.includes('nx') && data.has(key)) return null;
+      if (flags.includes('xx') && !data.has(key)) return null;
+      write(key, 'string', String(value));
+      const ex = flags.indexOf('ex');
+      if (ex !== -1) ttls.set(key, Number(options[ex + 1]));
+      else ttls.delete(key);
+      return 'OK';
+    },
+    del: (...keys) => keys.reduce((count, key) => count + remove(key), 0),
+    exists: (...keys) => keys.filter(key => data.has(key)).length,
+    expire: (key, seconds) => {
+      if (!data.has(key)) return 0;
+      ttls.set(key, Number(seconds));
+      return 1;
+    },
+    ttl: (key) => (data.has(key) ? (ttls.get(key) ?? -1) : -2),
+    incrby: (key, amount) => {
+      const value = Number(read(key, 'string', () => '0')) + Number(amount);
+      write(key, 'string', String(value));
+      return value;
+    },
+    lpush: (key, ...values) => {
+      const items = [...values.map(String).reverse(), ...list(key)];
+      write(key, 'list', items);
+      return items.length;
+    },
+    rpush: (key, ...values) => {
+      const items = [...list(key), ...values.map(String)];
+      write(key, 'list', items);
+      return items.length;
+    },
+    lrange: (key, start, stop) => range(list(key), Number(start), Number(stop)),
+    llen: (key) => list(key).length,
+    ltrim: (key, start, stop) => {
+      if (data.has(key)) write(key, 'list', range(list(key), Number(start), Number(stop)));
+      return 'OK';
+    },
+    lrem: (key, count, value) => {
+      const items = list(key);
+      const kept = items.filter(item => item !== String(value));
+      if (data.has(key)) write(key, 'list', kept);
+      return items.length - kept.length;
+    },
+    sadd: (key, ...members) => {
+      const current = set(key);
+      const before = current.size;
+      members.forEach(member => current.add(String(member)));
+      write(key, 'set', current);
+      return current.size - before;
+    },
+    smembers: (key) => [...set(key)],
+    srem: (key, ...members) => members.filter(member => set(key).delete(String(member))).length,
+    zincrby: (key, amount, member) => {
+      const scores = zset(key);
+      const score = (scores.get(String(member)) || 0) + Number(amount);
+      scores.set(String(member), score);
+      write(key, 'zset', scores);
+      return String(score);
+    },
+    zrange: (key, start, stop, ...options) => {
+      const flags = options.map(option => String(option).toLowerCase());
+      const sorted = [...zset(key).entries()].sort((a, b) => (a[1] - b[1]) || a[0].localeCompare(b[0]));
+      if (flags.includes('rev')) sorted.reverse();
+      const picked = range(sorted, Number(start), Number(stop));
+      return flags.includes('withscores')
+        ? picked.flatMap(([member, score]) => [member, String(score)])
+        : picked.map(([member]) => member);
+    },
+    zremrangebyrank: (key, start, stop) => {
+      const sorted = [...zset(key).entries()].sort((a, b) => a[1] - b[1]);
+      const doomed = range(sorted, Number(start), Number(stop));
+      doomed.forEach(([member]) => zset(key).delete(member));
+      return doomed.length;
+    },
+    eval: (script, keyCount, ...rest) => {
+      const run = scripts[script];
+      if (!run) throw new Error('ERR unknown script');
+      const keys = rest.slice(0, Number(keyCount));
+      return run(memory, keys, rest.slice(Number(keyCount)));
+    }
+  };
+
+  const execute = (command) => {
+    const [name, ...args] = command;
+    commands.push(command);
+    const handler = handlers[String(name).toLowerCase()];
+    if (!handler) return { error: `ERR unknown command '${name}'` };
+    try {
+      const result = handler(...args);
+      return { result: result === undefined ? null : result };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+
+  const requester = {
+    request: async ({ path, body }) => {
+      if (path && (path[0] === 'pipeline' || path[0] === 'multi-exec')) return body.map(execute);
+      return execute(body);
+    }
+  };
+
+  const memory = {
+    requester,
+    commands,
+    handlers,
+    ttl: (key) => handlers.ttl(key),
+    get: (key) => data.get(key)?.value ?? null,
+    list: (key) => list(key),
+    zset: (key) => zset(key),
+    set: (key, value) => handlers.set(key, value)
+  };
+  return memory;
+};
+
+/**
+ * Point the redisService singleton at a fresh in-memory backend, through the same
+ * instrumentation connect() applies. Returns the memory handle for assertions.
+ */
+export const useMemoryRedis = (options) => {
+  const memory = createMemoryUpstash(options);
+  redisService.client = redisService._instrumentClient(new Redis(memory.requester));
+  redisService.isConnected = true;
+  redisService.disabledUntil = 0;
+  return memory;
+};
+
+export const resetRedis = () => {
+  redisService.client = null;
+  redisService.isConnected = false;
+};
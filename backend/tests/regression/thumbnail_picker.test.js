@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Video from '../../models/Video.js';
+import User from '../../models/User.js';
+import thumbnailService, {
+  laplacianVariance,
+  candidateTimestamps,
+  rankCandidates,
+  spriteLayout,
+  buildSpriteVtt
+} from '../../services/uploadServices/thumbnailService.js';
+
+/**
+ * 🖼️ THUMBNAIL PICKER REGRESSION TEST
+ *
+ * Candidate frames are ranked by sharpness and face presence, creators can only
+ * pick candidates of their own videos, and the preview sprite WebVTT addresses
+ * the right tile of the right sheet.
+ */
+
+const videoId = new mongoose.Types.ObjectId();
+const ownerId = new mongoose.Types.ObjectId();
+
+const mockOwnership = (candidates) => {
+  jest.spyOn(Video, 'findById').mockReturnValue({
+    select: () => ({ lean: async () => ({ _id: videoId, uploader: ownerId, thumbnailCandidates: candidates }) })
+  });
+  jest.spyOn(User, 'findOne').mockImplementation(({ googleId }) => ({
+    select: () => ({ lean: async () => ({ _id: googleId === 'owner' ? ownerId : new mongoose.Types.ObjectId() }) })
+  }));
+};
+
+describe('🖼️ Thumbnails: Candidate scoring, picking and preview sprites', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('detailed frames score sharper than flat ones, faces break near-ties', () => {
+    const size = 16;
+    const flat = new Uint8Array(size * size).fill(128);
+    const checker = Uint8Array.from({ length: size * size }, (_, i) => ((i % size) + Math.floor(i / size)) % 2 ? 255 : 0);
+
+    expect(laplacianVariance(flat, size, size)).toBe(0);
+    expect(laplacianVariance(checker, size, size)).toBeGreaterThan(1000);
+
+    expect(candidateTimestamps(100, 3)).toEqual([5, 47.5, 90]);
+
+    const ranked = rankCandidates([
+      { timestamp: 5, sharpness: 0, faceScore: 0 },
+      { timestamp: 10, sharpness: 1000, faceScore: 0 },
+      { timestamp: 20, sharpness: 900, faceScore: 0.9 }
+    ], 0.4);
+    expect(ranked.map(candidate => candidate.timestamp)).toEqual([20, 10, 5]);
+    expect(ranked[1].score).toBe(0.6);
+    expect(ranked[2].score).toBe(0);
+  });
+
+  test('sprite cues roll over to the next sheet with the tile offset', () => {
+    const layout = spriteLayout({ duration: 250, width: 1920, height: 1080 });
+    expect(layout).toEqual(expect.objectContaining({ interval: 2, tileWidth: 160, tileHeight: 90, tiles: 125, sheets: 2 }));
+
+    const vtt = buildSpriteVtt(layout, 250);
+    expect(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nsprite_000.jpg#xywh=0,0,160,90\n')).toBe(true);
+    expect(vtt).toContain('00:00:22.000 --> 00:00:24.000\nsprite_000.jpg#xywh=160,90,160,90');
+    expect(vtt).toContain('00:03:20.000 --> 00:03:22.000\nsprite_001.jpg#xywh=0,0,160,90');
+    expect(vtt.trim().endsWith('00:04:08.000 --> 00:04:10.000\nsprite_001.jpg#xywh=640,180,160,90')).toBe(true);
+
+    expect(spriteLayout({ duration: 3600, width: 1080, height: 1920 }).interval).toBe(12);
+  });
+
+  test('only the creator can pick a candidate, and it becomes the thumbnail', async () => {
+    mockOwnership([{ url: 'https://cdn.snehayog.site/a.jpg' }, { url: 'https://cdn.snehayog.site/b.jpg' }]);
+    const update = jest.spyOn(Video, 'updateOne').mockResolvedValue({});
+
+    await expect(thumbnailService.selectCandidate(videoId, 1, 'someone-else')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(thumbnailService.selectCandidate(videoId, 5, 'owner')).rejects.toMatchObject({ statusCode: 400 });
+    expect(update).not.toHaveBeenCalled();
+
+    const url = await thumbnailService.selectCandidate(videoId, 1, 'owner');
+    expect(url).toBe('https://cdn.snehayog.site/b.jpg');
+    expect(update).toHaveBeenCalledWith(
+      { _id: videoId },
+      { $set: { thumbnailUrl: 'https://cdn.snehayog.site/b.jpg', thumbnailSource: 'candidate' } }
+    );
+  });
+});
@@ -0,0 +1,81 @@
+import {
+  differenceHash,
+  hammingDistance,
+  energyEnvelopeBits,
+  compareFingerprints,
+  lshBands
+} from '../../services/uploadServices/videoFingerprintService.js';
+import { evaluateModeration } from '../../services/moderationServices/moderationService.js';
+
+/**
+ * 🧬 VIDEO FINGERPRINT REGRESSION TEST
+ *
+ * Re-encoded or brightened copies of a video must still match the original,
+ * while unrelated videos must not; a trimmed intro shifts the audio envelope
+ * but should not hide the match.
+ */
+
+const config = {
+  FRAME_MAX_DISTANCE: 10,
+  MIN_FRAME_SIMILARITY: 0.5,
+  MATCH_THRESHOLD: 0.75,
+  AUDIO_WEIGHT: 0.4,
+  AUDIO_MAX_SHIFT: 8
+};
+
+// Deterministic pseudo-random 9x8 frames
+const seeded = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+const makeFrames = (seed, count = 12) => {
+  const random = seeded(seed);
+  return Array.from({ length: count }, () => Array.from({ length: 72 }, () => Math.floor(random() * 256)));
+};
+const makeAudio = (seed, length = 4000 * 60) => {
+  const random = seeded(seed);
+  let level = 1000;
+  return Array.from({ length }, (_, i) => {
+    if (i % 500 === 0) level = 200 + random() * 8000;
+    return Math.round((random() * 2 - 1) * level);
+  });
+};
+const fingerprint = (frames, samples) => ({
+  frameHashes: frames.map(frame => differenceHash(frame)),
+  ...energyEnvelopeBits(samples, 1000)
+});
+
+describe('🧬 Fingerprint: Near-duplicate matching', () => {
+  test('difference hashes ignore uniform brightness changes', () => {
+    const [frame] = makeFrames(7, 1);
+    const brighter = frame.map(value => Math.min(255, value + 20));
+
+    expect(differenceHash(frame)).toHaveLength(16);
+    expect(hammingDistance(differenceHash(frame), differenceHash(brighter))).toBeLessThanOrEqual(4);
+    expect(lshBands([differenceHash(frame)])).toHaveLength(4);
+  });
+
+  test('a brightened copy with an offset audio track matches, an unrelated video does not', () => {
+    const frames = makeFrames(1);
+    const audio = makeAudio(3);
+    const original = fingerprint(frames, audio);
+
+    // Intro trimmed by a second (4 envelope windows) and colours lifted
+    const copy = fingerprint(
+      frames.slice(2).map(frame => frame.map(value => Math.min(255, value + 12))),
+      audio.slice(4000)
+    );
+    const unrelated = fingerprint(makeFrames(2), makeAudio(4));
+
+    const copyScore = compareFingerprints(copy, original, config);
+    expect(copyScore.isDuplicate).toBe(true);
+    expect(copyScore.audioSimilarity).toBeGreaterThan(0.95);
+
+    expect(compareFingerprints(unrelated, original, config).isDuplicate).toBe(false);
+  });
+
+  test('a duplicate signal always holds the upload for review', () => {
+    const verdict = evaluateModeration([{ source: 'duplicate', label: 'near_duplicate', score: 0.8 }]);
+    expect(verdict).toMatchObject({ action: 'hold', isFlagged: true, source: 'duplicate' });
+  });
+});
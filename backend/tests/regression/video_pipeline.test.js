@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Video from '../../models/Video.js';
+import IBaseStep from '../../services/videoProcessing/IBaseStep.js';
+import VideoPipeline, { StepTimeoutError } from '../../services/videoProcessing/VideoPipeline.js';
+
+/**
+ * 🎞️ VIDEO PIPELINE REGRESSION TEST
+ *
+ * Completed steps are restored from their checkpoints on resume, missing outputs
+ * re-run their provider, and a timed-out attempt is aborted and has stopped
+ * before a retry starts (so two ffmpeg runs never overlap).
+ */
+
+class FakeStep extends IBaseStep {
+  constructor(name, policy, run) {
+    super(name, { retryDelayMs: 1, ...policy });
+    this.run = run;
+    this.calls = 0;
+  }
+
+  async execute(context, options) {
+    this.calls++;
+    return this.run(context, options, this.calls);
+  }
+}
+
+const videoId = new mongoose.Types.ObjectId();
+
+const mockCheckpoints = (processingCheckpoints = {}) => {
+  jest.spyOn(Video, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ processingCheckpoints }) }) });
+  return jest.spyOn(Video, 'findByIdAndUpdate').mockResolvedValue({});
+};
+
+const savedCheckpoint = (update, step) => update.mock.calls
+  .map(([, changes]) => changes[`processingCheckpoints.${step}`])
+  .filter(Boolean)
+  .pop();
+
+describe('🎞️ Processing: Checkpoints, resume and step timeouts', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a timed-out attempt is aborted and has stopped before the retry starts', async () => {
+    const update = mockCheckpoints();
+    let running = 0;
+    let maxConcurrent = 0;
+    let abortReason = null;
+
+    const transcode = new FakeStep('HlsTranscoding', { retries: 1, timeoutMs: 30 }, (context, { signal }, call) => {
+      running++;
+      maxConcurrent = Math.max(maxConcurrent, running);
+      if (call > 1) {
+        running--;
+        context.hlsResult = { ok: true };
+        return undefined;
+      }
+      // Like ffmpeg: only exits once killed, a little after the signal
+      return new Promise((_, reject) => signal.addEventListener('abort', () => {
+        abortReason = signal.reason;
+        setTimeout(() => { running--; reject(signal.reason); }, 20);
+      }));
+    });
+
+    const context = await new VideoPipeline({ abortGraceMs: 1000 }).addStep(transcode).run({ videoId });
+
+    expect(abortReason).toBeInstanceOf(StepTimeoutError);
+    expect(maxConcurrent).toBe(1);
+    expect(context.hlsResult).toEqual({ ok: true });
+    expect(savedCheckpoint(update, 'HlsTranscoding')).toMatchObject({ status: 'completed', attempts: 2 });
+  });
+
+  test('a step that ignores the abort is not retried next to itself', async () => {
+    const update = mockCheckpoints();
+    let release;
+    const stuck = new FakeStep('Thumbnails', { retries: 2, timeoutMs: 20 }, () => new Promise(resolve => { release = resolve; }));
+
+    await expect(new VideoPipeline({ abortGraceMs: 20 }).addStep(stuck).run({ videoId }))
+      .rejects.toMatchObject({ name: 'StepTimeoutError', stillRunning: true });
+
+    expect(stuck.calls).toBe(1);
+    expect(savedCheckpoint(update, 'Thumbnails')).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(update).toHaveBeenCalledWith(videoId, expect.objectContaining({ processingStatus: 'failed' }));
+    release();
+  });
+
+  test('resume restores finished steps and re-runs the provider of a missing output', async () => {
+    const update = mockCheckpoints({
+      DownloadSource: { status: 'completed', output: { localRawPath: '/gone/raw.mp4' } },
+      HlsTranscoding: { status: 'completed', output: { hlsResult: { videoUrl: 'master.m3u8' } } }
+    });
+
+    const download = new FakeStep('DownloadSource', { provides: ['localRawPath'] }, (context) => {
+      context.localRawPath = '/tmp/raw.mp4';
+    });
+    // Like DownloadStep: the temp file did not survive the restart
+    download.restore = () => {};
+    const transcode = new FakeStep('HlsTranscoding', { provides: ['hlsResult'] }, () => {});
+    const thumbnails = new FakeStep('Thumbnails', { requires: ['localRawPath', 'hlsResult'] }, (context) => {
+      context.sawRaw = context.localRawPath;
+    });
+
+    const context = await new VideoPipeline()
+      .addStep(download)
+      .addStep(transcode)
+      .addStep(thumbnails)
+      .run({ videoId });
+
+    expect(transcode.calls).toBe(0);
+    expect(context.hlsResult).toEqual({ videoUrl: 'master.m3u8' });
+    expect(download.calls).toBe(1);
+    expect(thumbnails.calls).toBe(1);
+    expect(context.sawRaw).toBe('/tmp/raw.mp4');
+    expect(savedCheckpoint(update, 'Thumbnails')).toMatchObject({ status: 'completed', attempts: 1 });
+  });
+
+  test('an interrupted non-idempotent step needs a manual retry', async () => {
+    mockCheckpoints({ PublishDub: { status: 'running', attempts: 1 } });
+    const publish = new FakeStep('PublishDub', { idempotent: false }, () => {});
+
+    await expect(new VideoPipeline().addStep(publish).run({ videoId }))
+      .rejects.toThrow('not idempotent');
+    expect(publish.calls).toBe(0);
+  });
+});
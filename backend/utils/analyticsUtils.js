@@ -1,4 +1,5 @@
 import CreatorDailyStats from '../models/CreatorDailyStats.js';
+import VideoRetention from '../models/VideoRetention.js';
 
 /**
  * Update daily stats for a creator using atomic upsert.
@@ -38,3 +39,110 @@ export const updateCreatorDailyStats = async (creatorId, increments) => {
     }
   }
 };
+
+// **NEW: Per-video retention (2% exit bins)**
+export const RETENTION_BIN_PERCENT = 2;
+export const RETENTION_BIN_COUNT = 100 / RETENTION_BIN_PERCENT; // Bin RETENTION_BIN_COUNT = watched to the end
+export const EARLY_SKIP_SECONDS = 3;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Turn one watch event into a retention sample.
+ * @param {Object} event { position (seconds at exit), duration (seconds watched), completed, loops, videoDuration }
+ * @param {Object} context { videoDuration (from the Video record), rewatch (viewer watched it before) }
+ * @returns {Object|null} { bin, fraction, completed, earlySkip, rewatch }, null when the video length is unknown
+ */
+export const buildRetentionSample = (event, { videoDuration = 0, rewatch = false } = {}) => {
+  const length = Number(videoDuration) || Number(event.videoDuration) || 0;
+  if (length <= 0) return null;
+
+  // Clients that don't send the exit position report watch time; for a single pass they match
+  const rawPosition = event.position ?? event.exitPosition ?? event.duration ?? 0;
+  const position = Math.max(0, Number(rawPosition) || 0);
+  const loops = Math.max(0, parseInt(event.loops, 10) || 0);
+  const completed = event.completed === true || event.completed === 'true' || loops > 0;
+
+  const fraction = completed ? 1 : Math.min(1, position / length);
+  const bin = fraction >= 1 ? RETENTION_BIN_COUNT : Math.floor(fraction * RETENTION_BIN_COUNT);
+
+  return {
+    bin,
+    fraction,
+    completed: bin === RETENTION_BIN_COUNT,
+    earlySkip: !completed && position < EARLY_SKIP_SECONDS,
+    rewatch: rewatch || loops > 0
+  };
+};
+
+/**
+ * Fold retention samples into VideoRetention with one upsert per video.
+ * @param {Array<{ videoId, sample }>} entries
+ */
+export const recordRetentionSamples = async (entries) => {
+  const byVideo = new Map();
+  for (const { videoId, sample } of entries) {
+    if (!sample) continue;
+    const id = videoId.toString();
+    if (!byVideo.has(id)) {
+      byVideo.set(id, { sessions: 0, percentViewedSum: 0, completions: 0, rewatches: 0, earlySkips: 0 });
+    }
+    const inc = byVideo.get(id);
+    inc.sessions += 1;
+    inc.percentViewedSum += sample.fraction;
+    inc.completions += sample.completed ? 1 : 0;
+    inc.rewatches += sample.rewatch ? 1 : 0;
+    inc.earlySkips += sample.earlySkip ? 1 : 0;
+    inc[`exitBins.${sample.bin}`] = (inc[`exitBins.${sample.bin}`] || 0) + 1;
+  }
+  if (byVideo.size === 0) return;
+
+  try {
+    const now = new Date();
+    await VideoRetention.bulkWrite([...byVideo.entries()].map(([videoId, inc]) => ({
+      updateOne: {
+        filter: { videoId },
+        update: { $inc: inc, $set: { lastEventAt: now } },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    console.error('❌ Error recording video retention:', error.message);
+  }
+};
+
+/**
+ * Retention curve and drop-off metrics from a VideoRetention document
+ * @returns {Object} { sessions, curve: [{ position, retention }], averagePercentViewed,
+ *   completionRate, rewatchRate, skipWithin3sRate, biggestDrops }
+ */
+export const buildRetentionReport = (doc) => {
+  const sessions = doc?.sessions || 0;
+  const bins = doc?.exitBins instanceof Map ? Object.fromEntries(doc.exitBins) : (doc?.exitBins || {});
+  const rate = (count) => (sessions > 0 ? round4(count / sessions) : 0);
+
+  // Share of sessions still playing at the start of each bin, plus the end of the video
+  const curve = [];
+  let stillWatching = sessions;
+  for (let bin = 0; bin <= RETENTION_BIN_COUNT; bin++) {
+    curve.push({ position: bin * RETENTION_BIN_PERCENT, retention: rate(stillWatching) });
+    stillWatching -= bins[bin] || 0;
+  }
+
+  const biggestDrops = curve.slice(0, -1)
+    .map((point, i) => ({ from: point.position, to: curve[i + 1].position, drop: round4(point.retention - curve[i + 1].retention) }))
+    .filter(segment => segment.drop > 0)
+    .sort((a, b) => b.drop - a.drop)
+    .slice(0, 3);
+
+  return {
+    sessions,
+    binPercent: RETENTION_BIN_PERCENT,
+    curve,
+    averagePercentViewed: sessions > 0 ? round4((doc.percentViewedSum / sessions) * 100) : 0,
+    completionRate: rate(doc?.completions || 0),
+    rewatchRate: rate(doc?.rewatches || 0),
+    skipWithin3sRate: rate(doc?.earlySkips || 0),
+    biggestDrops
+  };
+};
@@ -0,0 +1,35 @@
+import { TAG_CONFIG } from '../constants/index.js';
+
+// "#" followed by letters, marks (Devanagari vowel signs), digits or "_"; must not sit inside a word
+const HASHTAG_RE = /(^|[^\p{L}\p{M}\p{N}_&#])#([\p{L}\p{M}\p{N}_]+)/gu;
+
+/**
+ * Canonical form of a tag: NFKC, lowercase, no leading "#"
+ * @param {string} tag
+ * @returns {string|null} null when the tag is not valid
+ */
+export function normalizeTag(tag) {
+  if (!tag) return null;
+  const normalized = tag.toString().normalize('NFKC').trim().replace(/^#+/, '').toLowerCase();
+  if (normalized.length < TAG_CONFIG.MIN_TAG_LENGTH || normalized.length > TAG_CONFIG.MAX_TAG_LENGTH) return null;
+  if (!/^[\p{L}\p{M}\p{N}_]+$/u.test(normalized)) return null;
+  if (/^[\p{N}_]+$/u.test(normalized)) return null; // "#1", "#2024" are not topics
+  return normalized;
+}
+
+/**
+ * Extract unique hashtags from free text, in order of first appearance
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function extractHashtags(text) {
+  if (!text) return [];
+
+  const tags = [];
+  for (const match of text.toString().normalize('NFKC').matchAll(HASHTAG_RE)) {
+    const tag = normalizeTag(match[2]);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+    if (tags.length >= TAG_CONFIG.MAX_HASHTAGS_PER_VIDEO) break;
+  }
+  return tags;
+}
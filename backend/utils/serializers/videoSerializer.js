@@ -34,6 +34,7 @@ export const serializeVideo = (video, apiVersion, requestingUserObjectId, traceI
     likes: parseInt(videoObj.likes) || 0,
     views: parseInt(videoObj.views) || 0,
     shares: parseInt(videoObj.shares) || 0,
+    commentCount: parseInt(videoObj.commentCount) || 0,
     duration: parseInt(videoObj.duration) || 0,
     aspectRatio: parseFloat(videoObj.aspectRatio) || 9 / 16,
     videoType: videoObj.videoType || 'yog',
@@ -49,7 +50,22 @@ export const serializeVideo = (video, apiVersion, requestingUserObjectId, traceI
     episodes: videoObj.episodes || [],
     dubbedUrls: dubbedUrls,
     quizzes: videoObj.quizzes || [],
-    isSubscriberOnly: videoObj.isSubscriberOnly === true
+    isSubscriberOnly: videoObj.isSubscriberOnly === true,
+    visibility: videoObj.visibility || 'public',
+    publishAt: videoObj.publishAt?.toISOString ? videoObj.publishAt.toISOString() : (videoObj.publishAt || null),
+    publishTimezone: videoObj.publishTimezone || null,
+    isAgeRestricted: videoObj.isAgeRestricted === true,
+    captions: (videoObj.captions || []).map(track => ({
+      language: track.language,
+      code: track.code,
+      name: track.name,
+      url: cloudflareR2Service.getPublicUrl(track.url || ''),
+      isAuto: track.isAuto !== false
+    })),
+    // Seek-bar previews: WebVTT cues point at tiles in the sprite sheets next to it
+    previewThumbnailsUrl: videoObj.previewSprites?.vttUrl
+      ? cloudflareR2Service.getPublicUrl(videoObj.previewSprites.vttUrl)
+      : null
   };
 
   if (base.quizzes.length > 0) {
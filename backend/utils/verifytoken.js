@@ -5,6 +5,8 @@ import jwt from 'jsonwebtoken';
 import { OAuth2Client } from 'google-auth-library';
 import { config } from '../config.js';
 import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { ACCOUNT_CONFIG } from '../constants/index.js';
 
 // Ensure we're using the correct Google Client ID
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || '406195883653-qp49f9nauq4t428ndscuu3nr9jb10g4h.apps.googleusercontent.com';
@@ -33,6 +35,34 @@ const getMemoizedUserExtras = async (googleId) => {
     return null;
 };
 
+// **SECURITY: Access tokens die with their refresh token family (logout, reuse detection)**
+// Looked up at most once per SESSION_CHECK_CACHE_SECONDS per family and process
+const sessionFamilyCache = new Map();
+
+export const isSessionActive = async (familyId) => {
+    const cached = sessionFamilyCache.get(familyId);
+    if (cached && (Date.now() - cached.timestamp < ACCOUNT_CONFIG.SESSION_CHECK_CACHE_SECONDS * 1000)) {
+        return cached.active;
+    }
+    try {
+        const active = await RefreshToken.isFamilyActive(familyId);
+        sessionFamilyCache.set(familyId, { active, timestamp: Date.now() });
+        if (sessionFamilyCache.size > 10000) {
+            const now = Date.now();
+            for (const [key, value] of sessionFamilyCache.entries()) {
+                if (now - value.timestamp > ACCOUNT_CONFIG.SESSION_CHECK_CACHE_SECONDS * 1000) {
+                    sessionFamilyCache.delete(key);
+                }
+            }
+        }
+        return active;
+    } catch (error) {
+        // A database hiccup must not sign everyone out; the next request checks again
+        console.log('⚠️ Session family check failed:', error.message);
+        return true;
+    }
+};
+
 export const verifyGoogleToken = async (idToken) => {
     // 1. Check cache first
     const cached = googleTokenCache.get(idToken);
@@ -65,9 +95,10 @@ export const verifyGoogleToken = async (idToken) => {
     return payload;
 };
 
-export const generateJWT = (userId, expiresIn = '1m') => {
+// familyId: refresh token family the access token belongs to (checked on every request)
+export const generateJWT = (userId, expiresIn = '1m', familyId = null) => {
     const JWT_SECRET = process.env.JWT_SECRET || config.auth.jwtSecret;
-    const payload = { id: userId };
+    const payload = familyId ? { id: userId, fam: familyId } : { id: userId };
     const token = jwt.sign(payload, JWT_SECRET, { expiresIn });
     
     return token;
@@ -128,6 +159,11 @@ export const verifyToken = async (req, res, next) => {
         // **HIGH-PERFORMANCE AUTH: Check for local JWT first (< 1ms)**
         try {
             const decoded = jwt.verify(token, JWT_SECRET);
+
+            // Signed out, or killed by refresh token reuse detection
+            if (decoded.fam && !(await isSessionActive(decoded.fam))) {
+                return res.status(401).json({ error: 'This session has been signed out', code: 'SESSION_REVOKED' });
+            }
             
             const userExtras = await getMemoizedUserExtras(decoded.id);
             req.user = {
@@ -239,6 +275,8 @@ export const passiveVerifyToken = async (req, res, next) => {
         try {
             const JWT_SECRET = process.env.JWT_SECRET || config.auth.jwtSecret;
             const decoded = jwt.verify(token, JWT_SECRET);
+            // A revoked session browses as a guest
+            if (decoded.fam && !(await isSessionActive(decoded.fam))) return next();
             const userExtras = await getMemoizedUserExtras(decoded.id);
             req.user = {
                 ...decoded,
@@ -1,19 +1,17 @@
 import '../config/env.js';
-import { Worker } from 'bullmq';
+import { Worker, DelayedError, UnrecoverableError } from 'bullmq';
 import mongoose from 'mongoose';
-import fs from 'fs';
-import path from 'path';
-import Video from '../models/Video.js';
-import User from '../models/User.js';
 import { redisOptions } from '../services/yugFeedServices/queueService.js';
-import cloudflareR2Service from '../services/uploadServices/cloudflareR2Service.js';
-import youtubeService from '../services/platforms/youtubeService.js';
+import redisService from '../services/caching/redisService.js';
+import socialPublishingService from '../services/platforms/socialPublishingService.js';
 
 // Connect to MongoDB
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI);
     console.log('📦 Social Worker: MongoDB Connected');
+    // Shared publishing quotas; without Redis each worker counts on its own
+    await redisService.connect();
   } catch (error) {
     console.error('❌ Social Worker: MongoDB Connection Error:', error);
     process.exit(1);
@@ -24,103 +22,37 @@ connectDB();
 
 /**
  * Handle platform-specific publishing logic
+ * Rate-limited jobs are pushed back until the quota resets without spending an attempt;
+ * errors that another attempt cannot fix (bad format, revoked token) fail immediately.
  */
-async function handlePublishingJob(job) {
-  const { platform, videoId, userId, title, description, tags, privacyStatus } = job.data;
+async function handlePublishingJob(job, token) {
+  const { platform, videoId } = job.data;
   console.log(`📡 Social Worker: Processing ${platform} job for video ${videoId}`);
 
-  let localFilePath = null;
-
   try {
-    // 1. Update status to 'processing'
-    await Video.findByIdAndUpdate(videoId, {
-      $set: { [`crossPostStatus.${platform}`]: 'processing' }
-    });
-
-    // 2. Get video metadata to find the R2 key
-    const video = await Video.findById(videoId).populate('uploader');
-    if (!video) throw new Error('Video not found');
-    
-    const user = await User.findOne({ googleId: userId });
-    if (!user) throw new Error('User not found');
-
-    const tempDir = path.join(process.cwd(), 'temp_social_uploads');
-    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
-    
-    localFilePath = path.join(tempDir, `${videoId}_${platform}.mp4`);
-    
-    // Download the video file
-    console.log(`📥 Social Worker: Downloading video for ${platform}...`);
-    
-    // **NEW: Use canonical MP4 key if available (much more reliable)**
-    if (video.canonicalMp4Key) {
-        console.log(`🔑 Using canonical MP4 key: ${video.canonicalMp4Key}`);
-        await cloudflareR2Service.downloadFile(video.canonicalMp4Key, localFilePath);
-    } else if (video.videoUrl.includes('cdn.snehayog.site')) {
-        // Fallback to parsing if canonical key is missing (for older videos)
-        const publicDomain = 'cdn.snehayog.site';
-        const key = video.videoUrl.split(publicDomain).pop().replace(/^\//, '');
-        console.log(`🔑 Parsed key from URL: ${key}`);
-        await cloudflareR2Service.downloadFile(key, localFilePath);
-    } else {
-        // Fallback or handle different CDN
-        throw new Error('Could not resolve video R2 key for download');
-    }
+    return await socialPublishingService.publish(job.data);
+  } catch (error) {
+    console.error(`❌ Social Worker Error (${platform}):`, error.message);
 
-    let result;
-    if (platform === 'youtube') {
-      let lastProgress = 0;
-      result = await youtubeService.uploadVideo(userId, localFilePath, { title, description, tags, privacyStatus }, async (progress) => {
-          // **OPTIMIZATION: Only update DB every 5% to avoid excessive writes**
-          if (progress >= lastProgress + 5 || progress === 100) {
-              lastProgress = progress;
-              await Video.findByIdAndUpdate(videoId, {
-                  $set: { [`crossPostProgress.${platform}`]: progress }
-              });
-              console.log(`📡 Social Worker: ${platform} upload progress for ${videoId}: ${progress}%`);
-          }
-      });
-    } else {
-      throw new Error(`Platform ${platform} not supported or removed`);
+    if (error.rateLimited && error.retryAfterMs) {
+      const retryAt = new Date(Date.now() + error.retryAfterMs);
+      await socialPublishingService.recordFailure(videoId, platform, error, { willRetry: true, retryAt });
+      await job.moveToDelayed(retryAt.getTime(), token);
+      console.log(`⏳ Social Worker: ${platform} rate limited, job ${job.id} resumes at ${retryAt.toISOString()}`);
+      throw new DelayedError();
     }
 
-    // 3. Update status to 'completed'
-    await Video.findByIdAndUpdate(videoId, {
-      $set: { 
-        [`crossPostStatus.${platform}`]: 'completed',
-        [`crossPostDetails.${platform}`]: result
-      }
-    });
-
-    console.log(`✅ Social Worker: Successfully published to ${platform} for video ${videoId}`);
+    const willRetry = error.retryable && job.attemptsMade + 1 < (job.opts.attempts || 1);
+    await socialPublishingService.recordFailure(videoId, platform, error, { willRetry });
 
-  } catch (error) {
-    console.error(`❌ Social Worker Error (${platform}):`, error.message);
-    
-    // Update status to 'failed'
-    await Video.findByIdAndUpdate(videoId, {
-      $set: { 
-        [`crossPostStatus.${platform}`]: 'failed',
-        [`crossPostDetails.${platform}`]: { error: error.message }
-      }
-    });
-    
-    throw error; // Let Bull handle retries if configured
-  } finally {
-    // Cleanup local file
-    if (localFilePath && fs.existsSync(localFilePath)) {
-      try {
-        fs.unlinkSync(localFilePath);
-      } catch (e) {
-        console.error('⚠️ Social Worker: Failed to cleanup local file:', e.message);
-      }
-    }
+    if (!error.retryable) throw new UnrecoverableError(error.message);
+    throw error; // Let BullMQ retry with backoff
   }
 }
 
 // **Social Worker Instance**
-const socialWorker = new Worker('social-publishing', async (job) => {
-  return await handlePublishingJob(job);
+const socialWorker = new Worker('social-publishing', async (job, token) => {
+  return await handlePublishingJob(job, token);
 }, {
   connection: redisOptions,
   concurrency: 2 // Keep it low to avoid platform rate limits
@@ -9,6 +9,7 @@ import recommendationService from '../services/yugFeedServices/recommendationSer
 import redisService from '../services/caching/redisService.js';
 import geminiService from '../services/geminiService.js';
 import { sendNotificationToUser } from '../services/notificationServices/notificationService.js';
+import moderationReviewService from '../services/moderationServices/moderationReviewService.js';
 
 // Connect to MongoDB & Redis (If not already connected)
 const initializeWorkerConnections = async () => {
@@ -35,7 +36,7 @@ initializeWorkerConnections();
 import videoPipeline from '../services/videoProcessing/index.js';
 
 async function handleVideoProcessing(job) {
-  const { videoId, rawVideoKey, videoName, userId, crossPostPlatforms, thumbnailKey } = job.data;
+  const { videoId, rawVideoKey, videoName, userId, crossPostPlatforms, thumbnailKey, fresh = false } = job.data;
   
   try {
     const videoExists = await Video.findById(videoId);
@@ -52,6 +53,7 @@ async function handleVideoProcessing(job) {
       processingProgress: 5 
     });
 
+    // Retries (BullMQ attempts or admin re-queue) resume from the last completed step
     const result = await videoPipeline.run({
       videoId,
       rawVideoKey,
@@ -59,7 +61,20 @@ async function handleVideoProcessing(job) {
       userId,
       thumbnailKey,
       crossPostPlatforms
-    });
+    }, { fresh });
+
+    // **NEW: Held by moderation: stays out of every feed until a moderator decides**
+    if (result.moderation?.held) {
+      const heldVideo = await Video.findByIdAndUpdate(videoId, {
+        processingStatus: 'flagged',
+        processingProgress: 100
+      }, { new: true }).select('videoName uploader moderationResult').lean();
+      // Feeds cached before the hold may still list it
+      await moderationReviewService.invalidateCaches(heldVideo);
+      await moderationReviewService.notifyHeld(heldVideo);
+      console.log(`🛡️ Worker: Video ${videoId} held for moderation review`);
+      return { status: 'flagged', videoId, result };
+    }
 
     // Final status update (already handled by pipeline steps, but ensures completion)
     await Video.findByIdAndUpdate(videoId, { 
@@ -109,6 +124,10 @@ async function handleVideoProcessing(job) {
       console.error('⚠️ Worker: Failed to invalidate cache after success:', cacheErr.message);
     }
 
+    // **NEW: Deliver to followers' following feeds (no-op for large creators, merged on read)**
+    queueService.fanOutToFollowers(userId, videoId, videoExists.videoType)
+      .catch(err => console.error('⚠️ Worker: Following fan-out failed:', err.message));
+
     return { status: 'completed', videoId, result };
 
   } catch (error) {
@@ -165,6 +184,7 @@ async function handleVideoProcessing(job) {
 
 
 import clippingPipeline from '../services/videoProcessing/ClippingPipeline.js';
+import dubbingPipeline from '../services/videoProcessing/DubbingPipeline.js';
 
 /**
  * Handle generating a vertical clip
@@ -254,6 +274,14 @@ const videoWorker = new Worker('video-processing', async (job) => {
         
       case 'analyze-video':
         return await handleVideoAnalysis(job.data);
+
+      case 'dub-video':
+        console.log(`🎙️ Worker: Dubbing video ${job.data.videoId} into ${job.data.language}...`);
+        return await dubbingPipeline.run(job.data);
+
+      case 'moderate-text':
+        await moderationReviewService.rescanText(job.data.videoId);
+        return { status: 'completed' };
         
       default:
         console.warn(`⚠️ Worker: Unknown job type ${job.name}`);
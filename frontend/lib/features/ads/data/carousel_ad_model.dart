@@ -15,6 +15,8 @@ class CarouselAdModel {
   final int comments;
   final int shares;
   final List<String> likedBy;
+  // Per-viewer token bound to the video the ads were fetched for; null otherwise (not billable)
+  final String? serveToken;
 
   CarouselAdModel({
     required this.id,
@@ -32,6 +34,7 @@ class CarouselAdModel {
     this.comments = 0,
     this.shares = 0,
     this.likedBy = const [],
+    this.serveToken,
   });
 
   factory CarouselAdModel.fromJson(Map<String, dynamic> json) {
@@ -59,6 +62,7 @@ class CarouselAdModel {
               ?.map((e) => e.toString())
               .toList() ??
           [],
+      serveToken: json['serveToken'] as String?,
     );
   }
 
@@ -98,6 +102,7 @@ class CarouselAdModel {
     int? comments,
     int? shares,
     List<String>? likedBy,
+    String? serveToken,
   }) {
     return CarouselAdModel(
       id: id ?? this.id,
@@ -115,6 +120,7 @@ class CarouselAdModel {
       comments: comments ?? this.comments,
       shares: shares ?? this.shares,
       likedBy: likedBy ?? this.likedBy,
+      serveToken: serveToken ?? this.serveToken,
     );
   }
 }
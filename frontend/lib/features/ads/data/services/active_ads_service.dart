@@ -412,7 +412,8 @@ class ActiveAdsService implements IAdService {
 
   /// Track ad click
   @override
-  Future<bool> trackClick(String adId, {String? userId}) async {
+  Future<bool> trackClick(String adId,
+      {String? userId, String? serveToken}) async {
     try {
       AppLogger.log('🖱️ ActiveAdsService: Tracking click for ad: $adId');
 
@@ -424,6 +425,7 @@ class ActiveAdsService implements IAdService {
         body: json.encode({
           'userId': userId,
           'platform': 'mobile',
+          if (serveToken != null) 'serveToken': serveToken,
         }),
       );
 
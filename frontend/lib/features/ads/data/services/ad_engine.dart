@@ -52,10 +52,12 @@ class AdEngine {
   }
 
   /// Route click tracking
-  Future<bool> trackClick(String adId, String adType, {String? userId}) async {
+  Future<bool> trackClick(String adId, String adType,
+      {String? userId, String? serveToken}) async {
     final provider = _getProvider(adType);
     if (provider == null) return false;
-    return await provider.trackClick(adId, userId: userId);
+    return await provider.trackClick(adId,
+        userId: userId, serveToken: serveToken);
   }
 }
 
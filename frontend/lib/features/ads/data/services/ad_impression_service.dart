@@ -73,6 +73,7 @@ class AdImpressionService {
     required String videoId,
     required String adId,
     required String userId,
+    String? serveToken, // Issued with the ad by /ads/serve; bills the beacon at the slot's price
   }) async {
     final dedupeKey = 'banner:$videoId:$adId:$userId';
     if (_isDuplicate(dedupeKey)) return;
@@ -96,6 +97,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           // NOTE: creatorId is NOT sent - backend fetches it from Video document
           // This avoids ID type confusion (googleId vs MongoDB ObjectId)
           'adType': 'banner',
@@ -124,6 +126,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           'adType': 'banner',
           'timestamp': DateTime.now().toIso8601String(),
           'impressionType': 'view',
@@ -141,6 +144,7 @@ class AdImpressionService {
         'videoId': videoId,
         'adId': adId,
         'userId': userId,
+        if (serveToken != null) 'serveToken': serveToken,
         'adType': 'banner',
         'timestamp': DateTime.now().toIso8601String(),
         'impressionType': 'view',
@@ -153,6 +157,7 @@ class AdImpressionService {
     required String videoId,
     required String adId,
     required String userId,
+    String? serveToken,
     required int scrollPosition,
   }) async {
     final dedupeKey = 'carousel:$videoId:$adId:$userId:$scrollPosition';
@@ -169,6 +174,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           'adType': 'carousel',
           'scrollPosition': scrollPosition,
           'timestamp': DateTime.now().toIso8601String(),
@@ -191,6 +197,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           'adType': 'carousel',
           'scrollPosition': scrollPosition,
           'timestamp': DateTime.now().toIso8601String(),
@@ -208,6 +215,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           'adType': 'carousel',
           'scrollPosition': scrollPosition,
           'timestamp': DateTime.now().toIso8601String(),
@@ -221,6 +229,7 @@ class AdImpressionService {
     required String videoId,
     required String adId,
     required String userId,
+    String? serveToken,
   }) async {
     try {
       AppLogger.log('🖱️ AdImpressionService: Tracking carousel ad click:');
@@ -239,6 +248,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           'adType': 'carousel',
           'timestamp': DateTime.now().toIso8601String(),
         }),
@@ -252,6 +262,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           'adType': 'carousel',
           'timestamp': DateTime.now().toIso8601String(),
           'impressionType': 'click',
@@ -263,6 +274,7 @@ class AdImpressionService {
         'videoId': videoId,
         'adId': adId,
         'userId': userId,
+        if (serveToken != null) 'serveToken': serveToken,
         'adType': 'carousel',
         'timestamp': DateTime.now().toIso8601String(),
         'impressionType': 'click',
@@ -275,6 +287,7 @@ class AdImpressionService {
     required String videoId,
     required String adId,
     required String userId,
+    String? serveToken,
     required String adType,
   }) async {
     try {
@@ -294,6 +307,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           'adType': adType,
           'timestamp': DateTime.now().toIso8601String(),
         }),
@@ -307,6 +321,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           'adType': adType,
           'timestamp': DateTime.now().toIso8601String(),
           'impressionType': 'click',
@@ -318,6 +333,7 @@ class AdImpressionService {
         'videoId': videoId,
         'adId': adId,
         'userId': userId,
+        if (serveToken != null) 'serveToken': serveToken,
         'adType': adType,
         'timestamp': DateTime.now().toIso8601String(),
         'impressionType': 'click',
@@ -431,6 +447,7 @@ class AdImpressionService {
     required String videoId,
     required String adId,
     required String userId,
+    String? serveToken,
     required double viewDuration, // Duration in seconds
   }) async {
     try {
@@ -451,6 +468,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           'viewDuration': viewDuration,
         }),
       );
@@ -472,6 +490,7 @@ class AdImpressionService {
     required String videoId,
     required String adId,
     required String userId,
+    String? serveToken,
     required double viewDuration, // Duration in seconds
   }) async {
     try {
@@ -492,6 +511,7 @@ class AdImpressionService {
           'videoId': videoId,
           'adId': adId,
           'userId': userId,
+          if (serveToken != null) 'serveToken': serveToken,
           'viewDuration': viewDuration,
         }),
       );
@@ -15,7 +15,9 @@ class CarouselAdService {
 
   /// Fetch carousel ads from the backend using multiple endpoints
   /// Try different endpoints to find carousel ads
-  Future<List<CarouselAdModel>> fetchCarouselAds() async {
+  /// Pass [videoId] to get serve tokens bound to that video; ads fetched
+  /// without one are shown but never billed
+  Future<List<CarouselAdModel>> fetchCarouselAds({String? videoId}) async {
     try {
       AppLogger.log('🎯 CarouselAdService: Fetching carousel ads...');
 
@@ -24,10 +26,12 @@ class CarouselAdService {
       AppLogger.log('🎯 CarouselAdService: Using base URL: $baseUrl');
 
       // Try multiple endpoints to find carousel ads
+      final videoQuery =
+          videoId != null ? 'videoId=${Uri.encodeQueryComponent(videoId)}' : '';
       final endpoints = [
-        '$baseUrl/api/ads/carousel', // Direct carousel endpoint
-        '$baseUrl/api/ads/serve?adType=carousel', // Serve endpoint with carousel filter
-        '$baseUrl/api/ads/serve', // General ads endpoint
+        '$baseUrl/api/ads/carousel${videoQuery.isNotEmpty ? '?$videoQuery' : ''}', // Direct carousel endpoint
+        '$baseUrl/api/ads/serve?adType=carousel${videoQuery.isNotEmpty ? '&$videoQuery' : ''}', // Serve endpoint with carousel filter
+        '$baseUrl/api/ads/serve${videoQuery.isNotEmpty ? '?$videoQuery' : ''}', // General ads endpoint
       ];
 
       // Get token for authentication
@@ -319,14 +323,17 @@ class CarouselAdService {
   }
 
   /// Track ad click
-  Future<bool> trackClick(String adId) async {
+  /// [serveToken] is the token the ad was served with; clicks without one are not billed
+  Future<bool> trackClick(String adId, {String? serveToken}) async {
     try {
       final response = await httpClientService.post(
         Uri.parse('$_baseUrl/api/ads/carousel/$adId/click'),
         headers: {
           'Content-Type': 'application/json',
         },
-        body: json.encode({}), // Send empty JSON object to avoid null parsing error
+        body: json.encode({
+          if (serveToken != null) 'serveToken': serveToken,
+        }),
       );
 
       return response.statusCode == 200;
@@ -27,7 +27,8 @@ class DisabledAdsService implements IAdService {
   }
 
   @override
-  Future<bool> trackClick(String adId, {String? userId}) async {
+  Future<bool> trackClick(String adId,
+      {String? userId, String? serveToken}) async {
     AppLogger.log('🚫 [DisabledAdsService]: trackClick mocked for ID $adId');
     return true;
   }
@@ -35,7 +35,9 @@ class CarouselAdPlugin implements IAdProvider {
   }
 
   @override
-  Future<bool> trackClick(String adId, {String? userId}) async {
-    return await _activeAdsService.trackClick(adId, userId: userId);
+  Future<bool> trackClick(String adId,
+      {String? userId, String? serveToken}) async {
+    return await _activeAdsService.trackClick(adId,
+        userId: userId, serveToken: serveToken);
   }
 }
@@ -14,5 +14,6 @@ abstract class IAdProvider {
   Future<bool> trackImpression(String adId);
 
   /// Tracks a click engagement for this ad format.
-  Future<bool> trackClick(String adId, {String? userId});
+  /// [serveToken] is the token the ad was served with; clicks without one are not billed.
+  Future<bool> trackClick(String adId, {String? userId, String? serveToken});
 }
@@ -15,7 +15,8 @@ abstract class IAdService {
   Future<bool> trackImpression(String adId);
 
   /// Track when a user clicks on an ad.
-  Future<bool> trackClick(String adId, {String? userId});
+  /// [serveToken] is the token the ad was served with; clicks without one are not billed.
+  Future<bool> trackClick(String adId, {String? userId, String? serveToken});
 
   /// Clear any local ad caches.
   Future<void> clearAdsCache();
@@ -114,6 +114,7 @@ class _BannerAdWidgetState extends State<BannerAdWidget> {
         videoId: videoId,
         adId: adId,
         userId: userId,
+        serveToken: widget.adData['serveToken'] as String?,
         viewDuration: viewDuration,
       );
 
@@ -378,7 +379,8 @@ class _BannerAdWidgetState extends State<BannerAdWidget> {
         // Track click
         if (adId != null) {
           final activeAdsService = widget.adService ?? ActiveAdsService();
-          await activeAdsService.trackClick(adId);
+          await activeAdsService.trackClick(adId,
+              serveToken: widget.adData['serveToken'] as String?);
         }
 
         // Execute callback
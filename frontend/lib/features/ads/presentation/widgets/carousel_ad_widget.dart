@@ -182,6 +182,7 @@ class _CarouselAdWidgetState extends State<CarouselAdWidget>
         videoId: videoId,
         adId: adId,
         userId: userId,
+        serveToken: widget.carouselAd.serveToken,
         viewDuration: viewDuration,
       );
 
@@ -206,6 +207,7 @@ class _CarouselAdWidgetState extends State<CarouselAdWidget>
           videoId: widget.videoId!,
           adId: widget.carouselAd.id,
           userId: userId,
+          serveToken: widget.carouselAd.serveToken,
           scrollPosition: _currentSlideIndex,
         );
       } else {
@@ -230,10 +232,12 @@ class _CarouselAdWidgetState extends State<CarouselAdWidget>
           videoId: widget.videoId!,
           adId: widget.carouselAd.id,
           userId: userId,
+          serveToken: widget.carouselAd.serveToken,
         );
       } else {
         // Fallback to global click tracking
-        await _carouselAdService.trackClick(widget.carouselAd.id);
+        await _carouselAdService.trackClick(widget.carouselAd.id,
+            serveToken: widget.carouselAd.serveToken);
       }
       _hasTrackedClick = true;
     } catch (e) {
@@ -930,6 +930,7 @@ extension _VideoFeedUI on _VideoFeedAdvancedState {
                 videoId: video.id,
                 adId: adId.toString(),
                 userId: userData['id'],
+                serveToken: adData['serveToken'] as String?,
                 adType: 'banner',
               );
             } catch (e) {
@@ -959,6 +960,7 @@ extension _VideoFeedUI on _VideoFeedAdvancedState {
                 videoId: video.id,
                 adId: adId.toString(),
                 userId: userData['id'],
+                serveToken: adData['serveToken'] as String?,
               );
             } catch (e) {
               AppLogger.log('❌ Error tracking banner ad impression: $e');
@@ -1894,6 +1896,7 @@ extension _VideoFeedUI on _VideoFeedAdvancedState {
               videoId: video.id,
               adId: adId,
               userId: userData['id'],
+              serveToken: carouselAd.serveToken,
               scrollPosition: 0, // Popup is considered position 0
             );
           } catch (e) {
@@ -1984,6 +1987,7 @@ extension _VideoFeedUI on _VideoFeedAdvancedState {
                             videoId: video.id,
                             adId: carouselAd.id,
                             userId: userData['id'],
+                            serveToken: carouselAd.serveToken,
                           );
                         } catch (e) {
                           AppLogger.log('❌ Error tracking popup ad click: $e');
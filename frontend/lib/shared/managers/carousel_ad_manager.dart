@@ -139,7 +139,8 @@ class CarouselAdManager {
     AppLogger.log(
         '🎯 CarouselAdManager: Carousel ad clicked: ${carouselAd.id}');
     // Track click
-    _carouselAdService.trackClick(carouselAd.id);
+    _carouselAdService.trackClick(carouselAd.id,
+        serveToken: carouselAd.serveToken);
   }
 
   /// **Update carousel ad state**
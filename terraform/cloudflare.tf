@@ -8,6 +8,14 @@ resource "cloudflare_r2_bucket" "videos" {
   location   = "APAC"
 }
 
+# Renditions of subscriber-only and unpublished videos. Never attach a public domain:
+# only the edge worker's /playback/ route (bucket binding) and presigned URLs read it.
+resource "cloudflare_r2_bucket" "private_videos" {
+  account_id = var.cloudflare_account_id
+  name       = "snehayog-videos-private"
+  location   = "APAC"
+}
+
 # Add state bucket
 resource "cloudflare_r2_bucket" "terraform_state" {
   account_id = var.cloudflare_account_id
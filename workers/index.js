@@ -16,6 +16,14 @@ export default {
       return handleUploadRequest(request, env);
     }
 
+    // ROUTE: Signed playback of subscriber-only / unpublished videos
+    if (url.pathname === '/playback/revoke' && request.method === 'POST') {
+      return handlePlaybackRevoke(request, env);
+    }
+    if (url.pathname.startsWith('/playback/') && (request.method === 'GET' || request.method === 'HEAD')) {
+      return handlePlayback(request, env);
+    }
+
     // ROUTE: API Gateway (Phase 2)
     // Support GET and HEAD (for curl -I tests)
     if ((request.method === 'GET' || request.method === 'HEAD') && url.pathname.startsWith('/api')) {
@@ -169,6 +177,80 @@ async function handleApiGateway(request, env) {
   return debugResponse;
 }
 
+/**
+ * Signed Playback: serve one segment (or subtitle / audio file) from R2
+ * Tokens are issued by the backend (playbackAuthorizationService) and scoped to one
+ * viewer and one video's key prefix. Playlists stay on the backend, which re-checks access.
+ */
+async function handlePlayback(request, env) {
+  const url = new URL(request.url);
+  const key = decodeURIComponent(url.pathname.slice('/playback/'.length));
+
+  const claims = await verifyPlaybackToken(url.searchParams.get('token'), env.PLAYBACK_SIGNING_SECRET || env.JWT_SECRET);
+  if (!claims) {
+    return new Response(JSON.stringify({ error: 'Invalid or expired playback token' }), { status: 401 });
+  }
+
+  const inScope = claims.p.endsWith('/') ? key.startsWith(claims.p) : key === claims.p;
+  if (!inScope || key.split('/').includes('..') || key.endsWith('.m3u8')) {
+    return new Response(JSON.stringify({ error: 'Forbidden' }), { status: 403 });
+  }
+
+  // Viewers removed after this token was issued (pushed by the backend)
+  const revokedAt = await env.VAYUG_CACHE.get(`playback:revoked:${claims.v}:${claims.s}`);
+  if (revokedAt && claims.iat <= Number(revokedAt)) {
+    console.log(`🔒 Playback revoked: video ${claims.v}, viewer ${claims.s}`);
+    return new Response(JSON.stringify({ error: 'Access to this video has been revoked' }), { status: 403 });
+  }
+
+  // Protected renditions live in a bucket with no public domain; this route is its only reader
+  const bucket = key.startsWith('private/') ? env.PRIVATE_BUCKET : env.MY_BUCKET;
+  const object = await bucket.get(key, { range: request.headers });
+  if (!object) return new Response('Not found', { status: 404 });
+
+  const headers = new Headers();
+  object.writeHttpMetadata(headers);
+  headers.set('ETag', object.httpEtag);
+  headers.set('Accept-Ranges', 'bytes');
+  headers.set('Cache-Control', 'private, no-store');
+  headers.set('Access-Control-Allow-Origin', '*');
+
+  if (object.range && request.headers.has('Range')) {
+    const offset = object.range.offset ?? 0;
+    const length = object.range.length ?? (object.size - offset);
+    headers.set('Content-Range', `bytes ${offset}-${offset + length - 1}/${object.size}`);
+    headers.set('Content-Length', String(length));
+    return new Response(request.method === 'HEAD' ? null : object.body, { status: 206, headers });
+  }
+
+  headers.set('Content-Length', String(object.size));
+  return new Response(request.method === 'HEAD' ? null : object.body, { headers });
+}
+
+/**
+ * Signed Playback: record viewers whose access was removed.
+ * Tokens they were issued before `revokedAt` are refused until the entry expires.
+ */
+async function handlePlaybackRevoke(request, env) {
+  if (!env.WORKER_SECRET || request.headers.get('X-Worker-Secret') !== env.WORKER_SECRET) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401 });
+  }
+
+  const { videoId, viewerIds, revokedAt, ttlSeconds } = await request.json();
+  if (!videoId || !Array.isArray(viewerIds)) {
+    return new Response(JSON.stringify({ error: 'videoId and viewerIds are required' }), { status: 400 });
+  }
+
+  // KV rejects TTLs under a minute
+  const expirationTtl = Math.max(Number(ttlSeconds) || 0, 60);
+  await Promise.all(viewerIds.map(viewerId =>
+    env.VAYUG_CACHE.put(`playback:revoked:${videoId}:${viewerId}`, String(revokedAt), { expirationTtl })
+  ));
+
+  console.log(`🔒 Revoked playback for ${viewerIds.length} viewer(s) of video ${videoId}`);
+  return new Response(JSON.stringify({ success: true }), { headers: { 'Content-Type': 'application/json' } });
+}
+
 /**
  * Helper: Simple SHA-256 hash for cache keys
  */
@@ -179,6 +261,40 @@ async function hashString(str) {
   return hashArray.map(b => b.toString(16).padStart(2, '0')).slice(0, 16).join('');
 }
 
+/**
+ * Helper: base64url (or base64) to bytes
+ */
+function base64ToUint8Array(b64) {
+  const s = atob(b64.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Helper: Playback token verification ("<payload>.<signature>", HMAC-SHA256, base64url)
+ * @returns {Object|null} Claims { v: videoId, s: viewerId, p: key prefix, iat, exp } when valid
+ */
+async function verifyPlaybackToken(token, secret) {
+  try {
+    const [payloadB64, signatureB64] = (token || '').split('.');
+    if (!payloadB64 || !signatureB64 || !secret) return null;
+
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
+    );
+    const valid = await crypto.subtle.verify(
+      'HMAC', key, base64ToUint8Array(signatureB64), encoder.encode(payloadB64)
+    );
+    if (!valid) return null;
+
+    const claims = JSON.parse(new TextDecoder().decode(base64ToUint8Array(payloadB64)));
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (e) { return null; }
+}
+
 /**
  * Helper: JWT Verification
  */
@@ -190,13 +306,6 @@ async function verifyJWT(token, secret) {
       'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
     );
 
-    const base64ToUint8Array = (b64) => {
-      const s = atob(b64.replace(/-/g, '+').replace(/_/g, '/'));
-      const bytes = new Uint8Array(s.length);
-      for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
-      return bytes;
-    };
-
     return await crypto.subtle.verify(
       'HMAC', key, base64ToUint8Array(signatureB64), encoder.encode(`${headerB64}.${payloadB64}`)
     );